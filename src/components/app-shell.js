@@ -5,6 +5,11 @@
 
 import { getStore } from '../core/store.js';
 import { getEventBus, Events } from '../core/event-bus.js';
+import { FilterInfo } from '../effects/filters/filters.js';
+import { ShapePresets } from '../document/shape-layer.js';
+import { ShapeTools, DashPatterns } from '../tools/shape-tool.js';
+import { TransformMode, TransformModeNames, WarpPresetNames } from '../tools/transform-warp.js';
+import { SymmetryMode, SymmetryModeNames, SymmetryTools } from '../tools/brush/symmetry.js';
 
 const template = document.createElement('template');
 template.innerHTML = `
@@ -146,6 +151,67 @@ template.innerHTML = `
       width: 50px;
       padding: 2px 4px;
     }
+
+    .option-group button {
+      padding: 2px 8px;
+    }
+
+    .option-set {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+    }
+
+    .option-set[hidden],
+    .option-group[hidden] {
+      display: none;
+    }
+
+    /* Filter menu */
+    .menu-anchor {
+      position: relative;
+    }
+
+    .dropdown-menu {
+      display: none;
+      position: absolute;
+      top: 100%;
+      left: 0;
+      min-width: 180px;
+      margin-top: 4px;
+      padding: 4px 0;
+      background: var(--bg-panel);
+      border: 1px solid var(--border-color);
+      border-radius: 4px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+      z-index: 100;
+    }
+
+    .dropdown-menu.open {
+      display: block;
+    }
+
+    .dropdown-menu .menu-group {
+      padding: 6px 12px 2px;
+      font-size: 11px;
+      color: var(--text-secondary);
+    }
+
+    .dropdown-menu button {
+      display: block;
+      width: 100%;
+      padding: 6px 12px 6px 20px;
+      text-align: left;
+      font-size: 12px;
+      color: var(--text-primary);
+      background: none;
+      border: none;
+      cursor: pointer;
+    }
+
+    .dropdown-menu button:hover {
+      background: var(--bg-hover);
+    }
   </style>
 
   <div class="toolbar">
@@ -184,6 +250,26 @@ template.innerHTML = `
       <button class="icon-btn" data-action="fit" data-tooltip="Fit to Screen (Ctrl+0)">
         <svg viewBox="0 0 24 24"><path d="M3 5v4h2V5h4V3H5c-1.1 0-2 .9-2 2zm2 10H3v4c0 1.1.9 2 2 2h4v-2H5v-4zm14 4h-4v2h4c1.1 0 2-.9 2-2v-4h-2v4zm0-16h-4v2h4v4h2V5c0-1.1-.9-2-2-2z"/></svg>
       </button>
+      <button class="icon-btn" data-action="onion-skin" id="onion-skin-btn" data-tooltip="Onion Skin">
+        <svg viewBox="0 0 24 24"><path d="M9 4a8 8 0 1 0 0 16A8 8 0 0 0 9 4zm0 14a6 6 0 1 1 0-12 6 6 0 0 1 0 12zm6-13.74v2.09a6 6 0 0 1 0 11.3v2.09a8 8 0 0 0 0-15.48z" opacity=".5"/><circle cx="9" cy="12" r="3"/></svg>
+      </button>
+    </div>
+    <div class="separator"></div>
+    <div class="toolbar-section menu-anchor">
+      <button class="icon-btn" id="filter-menu-btn" data-tooltip="Filters">
+        <svg viewBox="0 0 24 24"><path d="M3 17v2h6v-2H3zM3 5v2h10V5H3zm10 16v-2h8v-2h-8v-2h-2v6h2zM7 9v2H3v2h4v2h2V9H7zm14 4v-2H11v2h10zm-6-4h2V7h4V5h-4V3h-2v6z"/></svg>
+      </button>
+      <div class="dropdown-menu" id="filter-menu"></div>
+    </div>
+    <div class="toolbar-section menu-anchor">
+      <button class="icon-btn" id="select-menu-btn" data-tooltip="Select">
+        <svg viewBox="0 0 24 24"><path d="M3 5h2V3c-1.1 0-2 .9-2 2zm0 8h2v-2H3v2zm4 8h2v-2H7v2zM3 9h2V7H3v2zm10-6h-2v2h2V3zm6 0v2h2c0-1.1-.9-2-2-2zM5 21v-2H3c0 1.1.9 2 2 2zm-2-4h2v-2H3v2zM9 3H7v2h2V3zm2 18h2v-2h-2v2zm8-8h2v-2h-2v2zm0 8c1.1 0 2-.9 2-2h-2v2zm0-12h2V7h-2v2zm0 8h2v-2h-2v2zm-4 4h2v-2h-2v2zm0-16h2V3h-2v2z"/></svg>
+      </button>
+      <div class="dropdown-menu" id="select-menu">
+        <button data-action="color-range">Color Range...</button>
+        <button data-action="select-subject">Select Subject (edge-based)</button>
+        <button data-action="refine-edge">Refine Edge...</button>
+      </div>
     </div>
   </div>
 
@@ -198,6 +284,9 @@ template.innerHTML = `
       <button class="tool-btn" data-tool="lasso" data-tooltip="Lasso (L)">
         <svg viewBox="0 0 24 24"><path d="M15 2c-2.71 0-5.05 1.54-6.22 3.78-1.28.67-2.34 1.72-3 3C3.54 9.95 2 12.29 2 15c0 3.87 3.13 7 7 7 2.71 0 5.05-1.54 6.22-3.78 1.28-.67 2.34-1.72 3-3C20.46 14.05 22 11.71 22 9c0-3.87-3.13-7-7-7zM9 20c-2.76 0-5-2.24-5-5 0-1.12.37-2.16 1-3 0 3.87 3.13 7 7 7-.84.63-1.88 1-3 1zm3-3c-2.76 0-5-2.24-5-5 0-1.12.37-2.16 1-3 0 3.87 3.13 7 7 7-.84.63-1.88 1-3 1zm3-3c-2.76 0-5-2.24-5-5 0-1.12.37-2.16 1-3 0 3.87 3.13 7 7 7-.84.63-1.88 1-3 1zm4.32-1.78c.43-.84.68-1.8.68-2.78 0-3.26-2.47-5.91-5.6-6.31.33-.44.6-.93.82-1.45C17.53 2.55 20 5.24 20 8.5c0 1.28-.4 2.47-1.08 3.45-.29.16-.56.35-.82.55l-.78-.28z"/></svg>
       </button>
+      <button class="tool-btn" data-tool="magneticLasso" data-tooltip="Magnetic Lasso (L)">
+        <svg viewBox="0 0 24 24"><path d="M12 3C6.48 3 2 6.13 2 10c0 2.38 1.69 4.47 4.27 5.73L5 21l4.4-3.2c.85.13 1.72.2 2.6.2 5.52 0 10-3.13 10-7s-4.48-7-10-7zm0 12c-4.41 0-8-2.24-8-5s3.59-5 8-5 8 2.24 8 5-3.59 5-8 5z"/><path d="M9 8v3a3 3 0 0 0 6 0V8h-2v3a1 1 0 0 1-2 0V8z"/></svg>
+      </button>
       <button class="tool-btn" data-tool="magicWand" data-tooltip="Magic Wand (W)">
         <svg viewBox="0 0 24 24"><path d="m7.5 5.6 2 2 7-7-2-2-7 7zm-5.5 13L9.9 11 11 12.1l-7.8 7.9-1.2-1.4zm9.9-1.4 7.9-7.9-1.4-1.4-7.9 7.9 1.4 1.4zm5.7-9.3 1.4 1.4-7.9 7.9-1.4-1.4 7.9-7.9zM4.5 9.1l-3 3L0 10.6l3-3 1.5 1.5zm6.4-6.4 3-3 1.5 1.5-3 3-1.5-1.5z"/></svg>
       </button>
@@ -205,6 +294,12 @@ template.innerHTML = `
       <button class="tool-btn" data-tool="brush" data-tooltip="Brush (B)">
         <svg viewBox="0 0 24 24"><path d="M7 14c-1.66 0-3 1.34-3 3 0 1.31-1.16 2-2 2 .92 1.22 2.49 2 4 2 2.21 0 4-1.79 4-4 0-1.66-1.34-3-3-3zm13.71-9.37l-1.34-1.34a.996.996 0 0 0-1.41 0L9 12.25 11.75 15l8.96-8.96a.996.996 0 0 0 0-1.41z"/></svg>
       </button>
+      <button class="tool-btn" data-tool="mixerBrush" data-tooltip="Mixer Brush (B)">
+        <svg viewBox="0 0 24 24"><path d="M7 14c-1.66 0-3 1.34-3 3 0 1.31-1.16 2-2 2 .92 1.22 2.49 2 4 2 2.21 0 4-1.79 4-4 0-1.66-1.34-3-3-3zm13.71-9.37l-1.34-1.34a.996.996 0 0 0-1.41 0L9 12.25 11.75 15l8.96-8.96a.996.996 0 0 0 0-1.41z"/><circle cx="18" cy="18" r="3"/></svg>
+      </button>
+      <button class="tool-btn" data-tool="smudge" data-tooltip="Smudge (R)">
+        <svg viewBox="0 0 24 24"><path d="M9 2a1.5 1.5 0 0 1 1.5 1.5V11h1V4.5a1.5 1.5 0 0 1 3 0V11h1V6.5a1.5 1.5 0 0 1 3 0V15c0 4-3 7-7 7-2.5 0-4.2-1.1-5.6-3L2.6 14.6l1.5-1.4c.6-.5 1.4-.6 2-.2L7.5 14V3.5A1.5 1.5 0 0 1 9 2z"/></svg>
+      </button>
       <button class="tool-btn" data-tool="eraser" data-tooltip="Eraser (E)">
         <svg viewBox="0 0 24 24"><path d="M16.24 3.56l4.95 4.94c.78.79.78 2.05 0 2.84L12 20.53a4.008 4.008 0 0 1-5.66 0L2.81 17c-.78-.79-.78-2.05 0-2.84l10.6-10.6c.79-.78 2.05-.78 2.83 0zM4.22 15.58l3.54 3.53c.78.79 2.04.79 2.83 0l3.53-3.53-4.95-4.95-4.95 4.95z"/></svg>
       </button>
@@ -214,6 +309,27 @@ template.innerHTML = `
       <button class="tool-btn" data-tool="eyedropper" data-tooltip="Eyedropper (I)">
         <svg viewBox="0 0 24 24"><path d="M20.71 5.63l-2.34-2.34a.996.996 0 0 0-1.41 0l-3.12 3.12-1.93-1.91-1.41 1.41 1.42 1.42L3 16.25V21h4.75l8.92-8.92 1.42 1.42 1.41-1.41-1.92-1.92 3.12-3.12c.4-.4.4-1.03.01-1.42zM6.92 19L5 17.08l8.06-8.06 1.92 1.92L6.92 19z"/></svg>
       </button>
+      <button class="tool-btn" data-tool="text" data-tooltip="Text (T)">
+        <svg viewBox="0 0 24 24"><path d="M5 4v3h5.5v12h3V7H19V4z"/></svg>
+      </button>
+      <button class="tool-btn" data-tool="pen" data-tooltip="Pen (P)">
+        <svg viewBox="0 0 24 24"><path d="M12 2l-5 9 3 3v3h4v-3l3-3-5-9zm0 5.5a1.5 1.5 0 1 1 0 3 1.5 1.5 0 0 1 0-3zM9 19h6v3H9z"/></svg>
+      </button>
+      <button class="tool-btn" data-tool="rectangle" data-tooltip="Rectangle (U)">
+        <svg viewBox="0 0 24 24"><path d="M3 5h18v14H3V5z"/></svg>
+      </button>
+      <button class="tool-btn" data-tool="ellipse" data-tooltip="Ellipse (U)">
+        <svg viewBox="0 0 24 24"><ellipse cx="12" cy="12" rx="9" ry="7"/></svg>
+      </button>
+      <button class="tool-btn" data-tool="polygon" data-tooltip="Polygon (U)">
+        <svg viewBox="0 0 24 24"><path d="M12 2l9.5 6.9-3.6 11.1H6.1L2.5 8.9z"/></svg>
+      </button>
+      <button class="tool-btn" data-tool="line" data-tooltip="Line (U)">
+        <svg viewBox="0 0 24 24"><path d="M4.4 21L3 19.6 19.6 3 21 4.4z"/></svg>
+      </button>
+      <button class="tool-btn" data-tool="customShape" data-tooltip="Custom Shape (U)">
+        <svg viewBox="0 0 24 24"><path d="M12 21.35l-1.45-1.32C5.4 15.36 2 12.28 2 8.5 2 5.42 4.42 3 7.5 3c1.74 0 3.41.81 4.5 2.09C13.09 3.81 14.76 3 16.5 3 19.58 3 22 5.42 22 8.5c0 3.78-3.4 6.86-8.55 11.54L12 21.35z"/></svg>
+      </button>
       <div class="separator" style="width: 100%; height: 1px; margin: 4px 0;"></div>
       <button class="tool-btn" data-tool="zoom" data-tooltip="Zoom (Z)">
         <svg viewBox="0 0 24 24"><path d="M15.5 14h-.79l-.28-.27A6.471 6.471 0 0 0 16 9.5 6.5 6.5 0 1 0 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z"/></svg>
@@ -225,20 +341,202 @@ template.innerHTML = `
 
     <div class="canvas-area">
       <div class="tool-options" id="tool-options">
-        <div class="option-group">
-          <label>Size:</label>
-          <input type="range" id="brush-size" min="1" max="500" value="20">
-          <input type="number" id="brush-size-num" min="1" max="500" value="20" style="width: 50px;">
+        <div class="option-set" id="brush-options">
+          <div class="option-group">
+            <label>Size:</label>
+            <input type="range" id="brush-size" min="1" max="500" value="20">
+            <input type="number" id="brush-size-num" min="1" max="500" value="20" style="width: 50px;">
+          </div>
+          <div class="option-group">
+            <label>Opacity:</label>
+            <input type="range" id="brush-opacity" min="1" max="100" value="100">
+            <span id="brush-opacity-val">100%</span>
+          </div>
+          <div class="option-group">
+            <label>Hardness:</label>
+            <input type="range" id="brush-hardness" min="0" max="100" value="100">
+            <span id="brush-hardness-val">100%</span>
+          </div>
+        </div>
+        <div class="option-set" id="text-options" hidden>
+          <div class="option-group">
+            <label>Font:</label>
+            <select id="text-font-family">
+              <option value="Arial">Arial</option>
+              <option value="Helvetica">Helvetica</option>
+              <option value="Verdana">Verdana</option>
+              <option value="Trebuchet MS">Trebuchet MS</option>
+              <option value="Georgia">Georgia</option>
+              <option value="Times New Roman">Times New Roman</option>
+              <option value="Courier New">Courier New</option>
+              <option value="Impact">Impact</option>
+              <option value="sans-serif">Sans Serif</option>
+              <option value="serif">Serif</option>
+              <option value="monospace">Monospace</option>
+            </select>
+          </div>
+          <div class="option-group">
+            <select id="text-font-weight">
+              <option value="300">Light</option>
+              <option value="400">Regular</option>
+              <option value="500">Medium</option>
+              <option value="700">Bold</option>
+              <option value="900">Black</option>
+            </select>
+          </div>
+          <div class="option-group">
+            <label>Size:</label>
+            <input type="number" id="text-font-size" min="1" max="1000" value="48">
+          </div>
+          <div class="option-group">
+            <label>Align:</label>
+            <select id="text-align">
+              <option value="left">Left</option>
+              <option value="center">Center</option>
+              <option value="right">Right</option>
+            </select>
+          </div>
+          <div class="option-group">
+            <label>Leading:</label>
+            <input type="number" id="text-line-height" min="0.5" max="5" step="0.1" value="1.2">
+          </div>
+          <div class="option-group">
+            <label>Tracking:</label>
+            <input type="number" id="text-letter-spacing" min="-50" max="200" step="1" value="0">
+          </div>
+        </div>
+        <div class="option-set" id="mixer-brush-options" hidden>
+          <div class="option-group">
+            <label>Wet:</label>
+            <input type="number" id="mixer-wet" min="0" max="100" step="1" value="50">
+            <span>%</span>
+          </div>
+          <div class="option-group">
+            <label>Load:</label>
+            <input type="number" id="mixer-load" min="1" max="100" step="1" value="50">
+            <span>%</span>
+          </div>
+          <div class="option-group">
+            <label>Mix:</label>
+            <input type="number" id="mixer-mix" min="0" max="100" step="1" value="50">
+            <span>%</span>
+          </div>
+          <div class="option-group">
+            <label>Flow:</label>
+            <input type="number" id="mixer-flow" min="1" max="100" step="1" value="100">
+            <span>%</span>
+          </div>
+          <div class="option-group">
+            <label><input type="checkbox" id="mixer-load-after"> Load after stroke</label>
+          </div>
+          <div class="option-group">
+            <label><input type="checkbox" id="mixer-clean-after"> Clean after stroke</label>
+          </div>
+          <div class="option-group">
+            <label><input type="checkbox" id="mixer-sample-all"> Sample all layers</label>
+          </div>
         </div>
-        <div class="option-group">
-          <label>Opacity:</label>
-          <input type="range" id="brush-opacity" min="1" max="100" value="100">
-          <span id="brush-opacity-val">100%</span>
+        <div class="option-set" id="smudge-options" hidden>
+          <div class="option-group">
+            <label>Strength:</label>
+            <input type="number" id="smudge-strength" min="0" max="100" step="1" value="50">
+            <span>%</span>
+          </div>
+          <div class="option-group">
+            <label><input type="checkbox" id="smudge-finger-painting"> Finger painting</label>
+          </div>
+          <div class="option-group">
+            <label><input type="checkbox" id="smudge-sample-all"> Sample all layers</label>
+          </div>
         </div>
-        <div class="option-group">
-          <label>Hardness:</label>
-          <input type="range" id="brush-hardness" min="0" max="100" value="100">
-          <span id="brush-hardness-val">100%</span>
+        <div class="option-set" id="symmetry-options" hidden>
+          <div class="option-group">
+            <label>Symmetry:</label>
+            <select id="symmetry-mode"></select>
+          </div>
+          <div class="option-group" data-radial-option>
+            <label>Segments:</label>
+            <input type="number" id="symmetry-segments" min="2" max="32" step="1" value="6">
+          </div>
+          <div class="option-group" data-symmetry-option>
+            <label>Angle:</label>
+            <input type="number" id="symmetry-angle" min="-180" max="180" step="1" value="0">
+            <span>&deg;</span>
+          </div>
+          <div class="option-group" data-symmetry-option>
+            <button id="symmetry-reset-center" title="Move the center back to the middle of the document">Reset Center</button>
+          </div>
+        </div>
+        <div class="option-set" id="magnetic-lasso-options" hidden>
+          <div class="option-group">
+            <label>Width:</label>
+            <input type="number" id="magnetic-lasso-width" min="1" max="256" step="1" value="10">
+          </div>
+          <div class="option-group">
+            <label>Contrast:</label>
+            <input type="number" id="magnetic-lasso-contrast" min="1" max="100" step="1" value="10">
+            <span>%</span>
+          </div>
+          <div class="option-group">
+            <label>Frequency:</label>
+            <input type="number" id="magnetic-lasso-frequency" min="0" max="100" step="1" value="57">
+          </div>
+        </div>
+        <div class="option-set" id="transform-options" hidden>
+          <div class="option-group">
+            <label>Mode:</label>
+            <select id="transform-mode"></select>
+          </div>
+          <div class="option-group" data-warp-option>
+            <label>Warp:</label>
+            <select id="transform-warp-preset"></select>
+          </div>
+          <div class="option-group" data-warp-option>
+            <label>Bend:</label>
+            <input type="number" id="transform-bend" min="-100" max="100" step="1" value="50">
+            <span>%</span>
+          </div>
+          <div class="option-group" data-warp-option>
+            <label>Grid:</label>
+            <input type="number" id="transform-grid" min="1" max="8" step="1" value="3">
+          </div>
+        </div>
+        <div class="option-set" id="shape-options" hidden>
+          <div class="option-group" data-shape-tools="rectangle ellipse polygon customShape">
+            <label><input type="checkbox" id="shape-fill"> Fill</label>
+          </div>
+          <div class="option-group" data-shape-tools="rectangle ellipse polygon customShape">
+            <label><input type="checkbox" id="shape-stroke"> Stroke</label>
+            <input type="color" id="shape-stroke-color" value="#000000">
+            <input type="number" id="shape-stroke-width" min="0" max="500" step="1" value="3">
+          </div>
+          <div class="option-group" data-shape-tools="line">
+            <label>Weight:</label>
+            <input type="number" id="shape-line-weight" min="1" max="500" step="1" value="4">
+          </div>
+          <div class="option-group">
+            <label>Dash:</label>
+            <select id="shape-dash">
+              <option value="solid">Solid</option>
+              <option value="dashed">Dashed</option>
+              <option value="dotted">Dotted</option>
+            </select>
+          </div>
+          <div class="option-group" data-shape-tools="rectangle">
+            <label>Radius:</label>
+            <input type="number" id="shape-corner-radius" min="0" max="1000" step="1" value="0">
+          </div>
+          <div class="option-group" data-shape-tools="polygon">
+            <label>Sides:</label>
+            <input type="number" id="shape-sides" min="3" max="100" step="1" value="5">
+            <label><input type="checkbox" id="shape-star"> Star</label>
+            <label>Indent:</label>
+            <input type="number" id="shape-star-ratio" min="1" max="99" step="1" value="50">
+          </div>
+          <div class="option-group" data-shape-tools="customShape">
+            <label>Shape:</label>
+            <select id="shape-preset"></select>
+          </div>
         </div>
       </div>
       <div class="canvas-container">
@@ -251,6 +549,8 @@ template.innerHTML = `
       <brushes-panel></brushes-panel>
       <adjustments-panel></adjustments-panel>
       <layers-panel></layers-panel>
+      <paths-panel></paths-panel>
+      <channels-panel></channels-panel>
       <history-panel></history-panel>
     </div>
   </div>
@@ -349,6 +649,316 @@ export class AppShell extends HTMLElement {
         options: this.store.state.tools.options.brush
       });
     });
+
+    this.setupTextOptions();
+    this.setupShapeOptions();
+    this.setupMagneticLassoOptions();
+    this.setupTransformOptions();
+    this.setupPaintMixingOptions();
+    this.setupSymmetryOptions();
+  }
+
+  setupTextOptions() {
+    const fields = [
+      { id: 'text-font-family', key: 'fontFamily', parse: v => v },
+      { id: 'text-font-weight', key: 'fontWeight', parse: v => v },
+      { id: 'text-font-size', key: 'fontSize', parse: v => Math.max(1, parseFloat(v) || 1) },
+      { id: 'text-align', key: 'align', parse: v => v },
+      { id: 'text-line-height', key: 'lineHeight', parse: v => Math.max(0.5, parseFloat(v) || 1) },
+      { id: 'text-letter-spacing', key: 'letterSpacing', parse: v => parseFloat(v) || 0 }
+    ];
+
+    for (const { id, key, parse } of fields) {
+      const input = this.shadowRoot.getElementById(id);
+      input.value = this.store.state.tools.options.text[key];
+
+      input.addEventListener('change', (e) => {
+        this.store.state.tools.options.text[key] = parse(e.target.value);
+        this.eventBus.emit(Events.TOOL_OPTIONS_CHANGED, {
+          tool: 'text',
+          options: { [key]: this.store.state.tools.options.text[key] }
+        });
+      });
+    }
+
+    // Show the options bar matching the active tool
+    this.unsubscribers.push(
+      this.eventBus.on(Events.TOOL_CHANGED, ({ tool }) => {
+        const isShape = ShapeTools.includes(tool);
+        this.shadowRoot.getElementById('brush-options').hidden =
+          tool === 'text' || tool === 'magneticLasso' || tool === 'transform' || isShape;
+        this.shadowRoot.getElementById('text-options').hidden = tool !== 'text';
+        this.shadowRoot.getElementById('shape-options').hidden = !isShape;
+        this.shadowRoot.getElementById('magnetic-lasso-options').hidden = tool !== 'magneticLasso';
+        this.shadowRoot.getElementById('mixer-brush-options').hidden = tool !== 'mixerBrush';
+        this.shadowRoot.getElementById('smudge-options').hidden = tool !== 'smudge';
+        this.shadowRoot.getElementById('symmetry-options').hidden = !SymmetryTools.includes(tool);
+        this.shadowRoot.getElementById('transform-options').hidden = tool !== 'transform';
+
+        for (const group of this.shadowRoot.querySelectorAll('[data-shape-tools]')) {
+          group.hidden = !group.dataset.shapeTools.split(' ').includes(tool);
+        }
+      })
+    );
+
+    // Reflect the text layer being edited in the options bar
+    this.unsubscribers.push(
+      this.eventBus.on(Events.TEXT_EDIT_START, ({ layer }) => {
+        for (const { id, key } of fields) {
+          this.shadowRoot.getElementById(id).value = layer.text[key];
+        }
+      })
+    );
+  }
+
+  setupMagneticLassoOptions() {
+    const options = this.store.state.tools.options.magneticLasso;
+
+    const fields = [
+      { id: 'magnetic-lasso-width', key: 'width', parse: v => Math.min(256, Math.max(1, parseInt(v) || 1)) },
+      { id: 'magnetic-lasso-contrast', key: 'contrast', parse: v => Math.min(100, Math.max(1, parseInt(v) || 1)) },
+      { id: 'magnetic-lasso-frequency', key: 'frequency', parse: v => Math.min(100, Math.max(0, parseInt(v) || 0)) }
+    ];
+
+    for (const { id, key, parse } of fields) {
+      const input = this.shadowRoot.getElementById(id);
+      input.value = options[key];
+
+      input.addEventListener('change', (e) => {
+        options[key] = parse(e.target.value);
+        input.value = options[key];
+        this.eventBus.emit(Events.TOOL_OPTIONS_CHANGED, {
+          tool: 'magneticLasso',
+          options: { [key]: options[key] }
+        });
+      });
+    }
+  }
+
+  setupPaintMixingOptions() {
+    const percent = (min) => v => Math.min(100, Math.max(min, parseInt(v) || min));
+
+    const fields = [
+      { tool: 'mixerBrush', id: 'mixer-wet', key: 'wet', parse: percent(0) },
+      { tool: 'mixerBrush', id: 'mixer-load', key: 'load', parse: percent(1) },
+      { tool: 'mixerBrush', id: 'mixer-mix', key: 'mix', parse: percent(0) },
+      { tool: 'mixerBrush', id: 'mixer-flow', key: 'flow', parse: percent(1) },
+      { tool: 'mixerBrush', id: 'mixer-load-after', key: 'loadAfterStroke', checkbox: true },
+      { tool: 'mixerBrush', id: 'mixer-clean-after', key: 'cleanAfterStroke', checkbox: true },
+      { tool: 'mixerBrush', id: 'mixer-sample-all', key: 'sampleAllLayers', checkbox: true },
+      { tool: 'smudge', id: 'smudge-strength', key: 'strength', parse: percent(0) },
+      { tool: 'smudge', id: 'smudge-finger-painting', key: 'fingerPainting', checkbox: true },
+      { tool: 'smudge', id: 'smudge-sample-all', key: 'sampleAllLayers', checkbox: true }
+    ];
+
+    for (const { tool, id, key, checkbox, parse } of fields) {
+      const options = this.store.state.tools.options[tool];
+      const input = this.shadowRoot.getElementById(id);
+      if (checkbox) {
+        input.checked = !!options[key];
+      } else {
+        input.value = options[key];
+      }
+
+      input.addEventListener('change', (e) => {
+        if (checkbox) {
+          options[key] = e.target.checked;
+        } else {
+          options[key] = parse(e.target.value);
+          input.value = options[key];
+        }
+        this.eventBus.emit(Events.TOOL_OPTIONS_CHANGED, {
+          tool,
+          options: { [key]: options[key] }
+        });
+      });
+    }
+  }
+
+  setupSymmetryOptions() {
+    const options = this.store.state.tools.options.symmetry;
+
+    const modeSelect = this.shadowRoot.getElementById('symmetry-mode');
+    for (const [value, name] of Object.entries(SymmetryModeNames)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = name;
+      modeSelect.appendChild(option);
+    }
+
+    const fields = [
+      { id: 'symmetry-mode', key: 'mode', parse: v => v },
+      { id: 'symmetry-segments', key: 'segments', parse: v => Math.min(32, Math.max(2, parseInt(v) || 2)) },
+      { id: 'symmetry-angle', key: 'angle', parse: v => Math.min(180, Math.max(-180, parseInt(v) || 0)) }
+    ];
+
+    // Segments only apply to radial and mandala, the rest to any symmetry
+    const syncInputs = () => {
+      for (const { id, key } of fields) {
+        this.shadowRoot.getElementById(id).value = options[key];
+      }
+      const radial = options.mode === SymmetryMode.RADIAL || options.mode === SymmetryMode.MANDALA;
+      for (const group of this.shadowRoot.querySelectorAll('[data-radial-option]')) {
+        group.hidden = !radial;
+      }
+      for (const group of this.shadowRoot.querySelectorAll('[data-symmetry-option]')) {
+        group.hidden = options.mode === SymmetryMode.OFF;
+      }
+    };
+    syncInputs();
+
+    const emitChange = (changes) => {
+      syncInputs();
+      this.eventBus.emit(Events.TOOL_OPTIONS_CHANGED, { tool: 'symmetry', options: changes });
+    };
+
+    for (const { id, key, parse } of fields) {
+      this.shadowRoot.getElementById(id).addEventListener('change', (e) => {
+        options[key] = parse(e.target.value);
+        emitChange({ [key]: options[key] });
+      });
+    }
+
+    this.shadowRoot.getElementById('symmetry-reset-center').addEventListener('click', () => {
+      options.centerX = null;
+      options.centerY = null;
+      emitChange({ centerX: null, centerY: null });
+    });
+
+    // Follow the center and axis as they are dragged on the canvas
+    this.unsubscribers.push(
+      this.eventBus.on(Events.TOOL_OPTIONS_CHANGED, ({ tool }) => {
+        if (tool === 'symmetry') syncInputs();
+      })
+    );
+  }
+
+  setupTransformOptions() {
+    const options = this.store.state.tools.options.transform;
+
+    const fillSelect = (id, names) => {
+      const select = this.shadowRoot.getElementById(id);
+      for (const [value, name] of Object.entries(names)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = name;
+        select.appendChild(option);
+      }
+    };
+    fillSelect('transform-mode', TransformModeNames);
+    fillSelect('transform-warp-preset', WarpPresetNames);
+
+    // Warp settings only show in warp mode
+    const updateWarpOptions = () => {
+      for (const group of this.shadowRoot.querySelectorAll('[data-warp-option]')) {
+        group.hidden = options.mode !== TransformMode.WARP;
+      }
+    };
+    updateWarpOptions();
+
+    const fields = [
+      { id: 'transform-mode', key: 'mode', parse: v => v },
+      { id: 'transform-warp-preset', key: 'warpPreset', parse: v => v },
+      { id: 'transform-bend', key: 'bend', parse: v => Math.min(100, Math.max(-100, parseInt(v) || 0)) },
+      { id: 'transform-grid', key: 'grid', parse: v => Math.min(8, Math.max(1, parseInt(v) || 1)) }
+    ];
+
+    for (const { id, key, parse } of fields) {
+      const input = this.shadowRoot.getElementById(id);
+      input.value = options[key];
+
+      input.addEventListener('change', (e) => {
+        options[key] = parse(e.target.value);
+        input.value = options[key];
+        updateWarpOptions();
+        this.eventBus.emit(Events.TOOL_OPTIONS_CHANGED, {
+          tool: 'transform',
+          options: { [key]: options[key] }
+        });
+      });
+    }
+  }
+
+  setupShapeOptions() {
+    const options = this.store.state.tools.options.shape;
+
+    const presetSelect = this.shadowRoot.getElementById('shape-preset');
+    for (const [key, preset] of Object.entries(ShapePresets)) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = preset.name;
+      presetSelect.appendChild(option);
+    }
+
+    const fields = [
+      { id: 'shape-fill', key: 'fill', checkbox: true },
+      { id: 'shape-stroke', key: 'stroke', checkbox: true },
+      { id: 'shape-stroke-color', key: 'strokeColor', parse: v => v },
+      { id: 'shape-stroke-width', key: 'strokeWidth', parse: v => Math.max(0, parseFloat(v) || 0) },
+      { id: 'shape-line-weight', key: 'lineWeight', parse: v => Math.max(1, parseFloat(v) || 1) },
+      { id: 'shape-dash', key: 'dash', parse: v => v },
+      { id: 'shape-corner-radius', key: 'cornerRadius', parse: v => Math.max(0, parseFloat(v) || 0) },
+      { id: 'shape-sides', key: 'sides', parse: v => Math.max(3, parseInt(v) || 3) },
+      { id: 'shape-star', key: 'star', checkbox: true },
+      { id: 'shape-star-ratio', key: 'starRatio', parse: v => Math.min(99, Math.max(1, parseFloat(v) || 50)) },
+      { id: 'shape-preset', key: 'preset', parse: v => v }
+    ];
+
+    const setInput = (input, checkbox, value) => {
+      if (checkbox) {
+        input.checked = !!value;
+      } else {
+        input.value = value;
+      }
+    };
+
+    for (const { id, key, checkbox, parse } of fields) {
+      const input = this.shadowRoot.getElementById(id);
+      setInput(input, checkbox, options[key]);
+
+      input.addEventListener('change', (e) => {
+        options[key] = checkbox ? e.target.checked : parse(e.target.value);
+        this.eventBus.emit(Events.TOOL_OPTIONS_CHANGED, {
+          tool: this.store.state.tools.active,
+          options: { [key]: options[key] }
+        });
+      });
+    }
+
+    // Reflect the selected shape layer in the options bar
+    this.unsubscribers.push(
+      this.eventBus.on(Events.LAYER_SELECTED, ({ layer }) => {
+        if (layer?.type !== 'shape') return;
+
+        const { shape } = layer;
+        const dash = Object.keys(DashPatterns)
+          .find(name => DashPatterns[name].join() === (shape.dash || []).join());
+        const values = {
+          fill: !!shape.fill,
+          stroke: !!shape.stroke,
+          strokeColor: shape.stroke || options.strokeColor,
+          strokeWidth: shape.strokeWidth,
+          dash: dash || options.dash,
+          cornerRadius: shape.cornerRadius,
+          sides: shape.sides,
+          star: shape.star,
+          starRatio: Math.round(shape.starRatio * 100)
+        };
+
+        if (shape.kind === 'line') {
+          values.lineWeight = shape.strokeWidth;
+          delete values.fill;
+          delete values.stroke;
+          delete values.strokeWidth;
+        }
+
+        for (const { id, key, checkbox } of fields) {
+          if (values[key] === undefined) continue;
+          options[key] = values[key];
+          setInput(this.shadowRoot.getElementById(id), checkbox, values[key]);
+        }
+      })
+    );
   }
 
   setupToolbarActions() {
@@ -359,8 +969,57 @@ export class AppShell extends HTMLElement {
       if (!btn) return;
 
       const action = btn.dataset.action;
-      this.eventBus.emit(`toolbar:${action}`, {});
+      this.eventBus.emit(`toolbar:${action}`, { ...btn.dataset });
     });
+
+    this.setupFilterMenu();
+    this.setupDropdown('select-menu-btn', 'select-menu');
+  }
+
+  setupFilterMenu() {
+    const menu = this.shadowRoot.getElementById('filter-menu');
+
+    // Items grouped by category, e.g. Blur > Gaussian Blur
+    let lastGroup = null;
+    for (const [type, info] of Object.entries(FilterInfo)) {
+      if (info.group !== lastGroup) {
+        const heading = document.createElement('div');
+        heading.className = 'menu-group';
+        heading.textContent = info.group;
+        menu.appendChild(heading);
+        lastGroup = info.group;
+      }
+
+      const item = document.createElement('button');
+      item.dataset.action = 'filter';
+      item.dataset.filter = type;
+      item.textContent = `${info.name}${info.params.length ? '...' : ''}`;
+      menu.appendChild(item);
+    }
+
+    this.setupDropdown('filter-menu-btn', 'filter-menu');
+  }
+
+  /**
+   * Open a toolbar dropdown from its button; any click closes it
+   */
+  setupDropdown(buttonId, menuId) {
+    const button = this.shadowRoot.getElementById(buttonId);
+    const menu = this.shadowRoot.getElementById(menuId);
+
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.shadowRoot.querySelectorAll('.dropdown-menu.open').forEach(other => {
+        if (other !== menu) other.classList.remove('open');
+      });
+      menu.classList.toggle('open');
+    });
+
+    menu.addEventListener('click', () => menu.classList.remove('open'));
+
+    const closeMenu = () => menu.classList.remove('open');
+    document.addEventListener('click', closeMenu);
+    this.unsubscribers.push(() => document.removeEventListener('click', closeMenu));
   }
 
   setupStatusBar() {
@@ -384,9 +1043,11 @@ export class AppShell extends HTMLElement {
     this.unsubscribers.push(
       this.eventBus.on(Events.TOOL_CHANGED, ({ tool }) => {
         const toolNames = {
-          move: 'Move', marquee: 'Marquee', lasso: 'Lasso',
-          magicWand: 'Magic Wand', brush: 'Brush', eraser: 'Eraser',
-          fill: 'Fill', eyedropper: 'Eyedropper', zoom: 'Zoom', hand: 'Hand'
+          move: 'Move', marquee: 'Marquee', lasso: 'Lasso', magneticLasso: 'Magnetic Lasso',
+          magicWand: 'Magic Wand', brush: 'Brush', mixerBrush: 'Mixer Brush', smudge: 'Smudge', eraser: 'Eraser',
+          fill: 'Fill', eyedropper: 'Eyedropper', text: 'Text', zoom: 'Zoom', hand: 'Hand',
+          rectangle: 'Rectangle', ellipse: 'Ellipse', polygon: 'Polygon', line: 'Line',
+          customShape: 'Custom Shape', pen: 'Pen'
         };
         this.shadowRoot.getElementById('status-tool').textContent =
           toolNames[tool] || tool;
@@ -395,6 +1056,14 @@ export class AppShell extends HTMLElement {
   }
 
   subscribeToState() {
+    // Reflect onion skin state on its toolbar toggle
+    this.unsubscribers.push(
+      this.store.subscribe('ui.onionSkin', (onionSkin) => {
+        this.shadowRoot.getElementById('onion-skin-btn')
+          .classList.toggle('active', !!onionSkin?.enabled);
+      })
+    );
+
     // Update dimensions display when document changes
     this.unsubscribers.push(
       this.store.subscribe('document', (doc) => {
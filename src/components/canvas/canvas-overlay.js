@@ -5,6 +5,16 @@
 import { getStore } from '../../core/store.js';
 import { getEventBus, Events } from '../../core/event-bus.js';
 import { getMaskManager } from '../../document/mask.js';
+import { getPathData } from '../../document/paths.js';
+import { evaluateMesh } from '../../tools/transform-warp.js';
+import { StabilizerMode } from '../../tools/brush/stroke-stabilizer.js';
+import {
+  SymmetryMode,
+  SymmetryTools,
+  getSymmetryCenter,
+  getSymmetryRays,
+  getAxisHandle
+} from '../../tools/brush/symmetry.js';
 
 const template = document.createElement('template');
 template.innerHTML = `
@@ -58,6 +68,12 @@ export class CanvasOverlay extends HTMLElement {
     // Transform handles state
     this.transformHandles = null;
 
+    // Pen tool editing state
+    this.pathEdit = null;
+
+    // Brush stabilizer string
+    this.stabilizerGuide = null;
+
     // Mask editing state
     this.maskManager = null;
     this.isEditingMask = false;
@@ -122,7 +138,10 @@ export class CanvasOverlay extends HTMLElement {
     // Transform handles
     this.unsubscribers.push(
       this.eventBus.on(Events.TRANSFORM_START, (data) => {
-        this.transformHandles = data;
+        // Requests to start a transform carry no handles yet
+        if (data?.bounds || data?.quad) {
+          this.transformHandles = data;
+        }
       }),
       this.eventBus.on(Events.TRANSFORM_UPDATE, (data) => {
         this.transformHandles = data;
@@ -132,6 +151,26 @@ export class CanvasOverlay extends HTMLElement {
       })
     );
 
+    // Path editing (pen tool)
+    this.unsubscribers.push(
+      this.eventBus.on(Events.PATH_EDIT_UPDATE, (data) => {
+        this.pathEdit = data;
+      }),
+      this.eventBus.on(Events.PATH_EDIT_END, () => {
+        this.pathEdit = null;
+      })
+    );
+
+    // Brush stabilizer
+    this.unsubscribers.push(
+      this.eventBus.on(Events.STABILIZER_UPDATE, (guide) => {
+        this.stabilizerGuide = guide;
+      }),
+      this.eventBus.on(Events.STABILIZER_END, () => {
+        this.stabilizerGuide = null;
+      })
+    );
+
     // Render request
     this.unsubscribers.push(
       this.eventBus.on(Events.RENDER_REQUEST, () => {
@@ -197,17 +236,35 @@ export class CanvasOverlay extends HTMLElement {
       this.drawSelectionPreview(ctx);
     }
 
-    // Draw marching ants for active selection
+    // Draw marching ants for active selection (Quick Mask shows it as the overlay instead)
     const app = window.photoEditorApp;
-    if (app?.selection?.hasSelection()) {
+    if (app?.selection?.hasSelection() && !this.maskManager.isQuickMask()) {
       this.drawMarchingAnts(ctx, app.selection);
     }
 
+    // Draw the active path
+    const activePath = app?.document?.getActivePath();
+    if (activePath) {
+      this.drawVectorPath(ctx, activePath);
+    }
+
     // Draw transform handles
     if (this.transformHandles) {
       this.drawTransformHandles(ctx);
     }
 
+    // Draw the symmetry axes for the painting tools
+    const symmetry = this.store.state.tools.options.symmetry;
+    if (app?.document && symmetry.mode !== SymmetryMode.OFF &&
+        SymmetryTools.includes(this.store.state.tools.active)) {
+      this.drawSymmetryGuide(ctx, symmetry, app.document);
+    }
+
+    // Draw the stabilizer string while painting
+    if (this.stabilizerGuide) {
+      this.drawStabilizerGuide(ctx);
+    }
+
     // Draw mask editing indicator
     if (this.isEditingMask) {
       this.drawMaskEditingIndicator(ctx);
@@ -312,6 +369,19 @@ export class CanvasOverlay extends HTMLElement {
         ctx.strokeStyle = '#000000';
         ctx.stroke();
       }
+
+      // Draw magnetic lasso anchors
+      if (preview.anchors) {
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#000000';
+        for (const anchor of preview.anchors) {
+          const x = Math.round(anchor.x * zoom + panX) - 2.5;
+          const y = Math.round(anchor.y * zoom + panY) - 2.5;
+          ctx.fillRect(x, y, 5, 5);
+          ctx.strokeRect(x, y, 5, 5);
+        }
+      }
     }
 
     ctx.restore();
@@ -367,22 +437,103 @@ export class CanvasOverlay extends HTMLElement {
   drawPath(ctx, path, zoom, panX, panY) {
     if (!path || path.length < 2) return;
 
+    // Selections made from multi-part paths keep one polygon per subpath
+    const polygons = Array.isArray(path[0]) ? path : [path];
+
     ctx.beginPath();
-    ctx.moveTo(path[0].x * zoom + panX, path[0].y * zoom + panY);
+    for (const polygon of polygons) {
+      if (polygon.length < 2) continue;
 
-    for (let i = 1; i < path.length; i++) {
-      ctx.lineTo(path[i].x * zoom + panX, path[i].y * zoom + panY);
-    }
+      ctx.moveTo(polygon[0].x * zoom + panX, polygon[0].y * zoom + panY);
 
-    ctx.closePath();
+      for (let i = 1; i < polygon.length; i++) {
+        ctx.lineTo(polygon[i].x * zoom + panX, polygon[i].y * zoom + panY);
+      }
+
+      ctx.closePath();
+    }
     ctx.stroke();
   }
 
+  /**
+   * Draw a Bézier path, with anchors and handles while the pen tool edits it
+   */
+  drawVectorPath(ctx, path) {
+    const { zoom, panX, panY } = this.viewport;
+    const sx = (x) => x * zoom + panX;
+    const sy = (y) => y * zoom + panY;
+    const edit = this.pathEdit?.pathId === path.id ? this.pathEdit : null;
+
+    ctx.save();
+    ctx.setLineDash([]);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#0078d4';
+    ctx.stroke(new Path2D(getPathData(path.subpaths, sx, sy)));
+
+    if (!edit) {
+      ctx.restore();
+      return;
+    }
+
+    // Rubber band from the last anchor of the open subpath to the pointer
+    const openNodes = path.subpaths[edit.openSubpath]?.nodes;
+    if (openNodes?.length && edit.hover) {
+      const last = openNodes[openNodes.length - 1];
+      ctx.beginPath();
+      ctx.moveTo(sx(last.x), sy(last.y));
+      ctx.bezierCurveTo(sx(last.outX), sy(last.outY), sx(edit.hover.x), sy(edit.hover.y), sx(edit.hover.x), sy(edit.hover.y));
+      ctx.globalAlpha = 0.6;
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+
+    const anchorSize = 6;
+
+    path.subpaths.forEach((subpath, s) => {
+      subpath.nodes.forEach((node, n) => {
+        const isSelected = edit.selected?.subpath === s && edit.selected?.node === n;
+        const ax = sx(node.x);
+        const ay = sy(node.y);
+
+        // Handles
+        for (const [hx, hy] of [[node.inX, node.inY], [node.outX, node.outY]]) {
+          if (hx === node.x && hy === node.y) continue;
+
+          ctx.beginPath();
+          ctx.moveTo(ax, ay);
+          ctx.lineTo(sx(hx), sy(hy));
+          ctx.stroke();
+
+          ctx.beginPath();
+          ctx.arc(sx(hx), sy(hy), 3, 0, Math.PI * 2);
+          ctx.fillStyle = '#ffffff';
+          ctx.fill();
+          ctx.stroke();
+        }
+
+        // Anchor (filled when selected)
+        ctx.fillStyle = isSelected ? '#0078d4' : '#ffffff';
+        ctx.fillRect(ax - anchorSize / 2, ay - anchorSize / 2, anchorSize, anchorSize);
+        ctx.strokeRect(ax - anchorSize / 2, ay - anchorSize / 2, anchorSize, anchorSize);
+      });
+    });
+
+    ctx.restore();
+  }
+
   /**
    * Draw transform handles
    */
   drawTransformHandles(ctx) {
     const handles = this.transformHandles;
+    if (handles?.mesh) {
+      this.drawWarpMesh(ctx, handles.mesh);
+      return;
+    }
+    if (handles?.quad) {
+      this.drawTransformQuad(ctx, handles.quad);
+      return;
+    }
     if (!handles || !handles.bounds) return;
 
     const { zoom, panX, panY } = this.viewport;
@@ -462,6 +613,81 @@ export class CanvasOverlay extends HTMLElement {
     ctx.restore();
   }
 
+  /**
+   * Draw the quad of a skew, distort or perspective transform
+   */
+  drawTransformQuad(ctx, quad) {
+    const { zoom, panX, panY } = this.viewport;
+    const points = quad.map(p => ({ x: p.x * zoom + panX, y: p.y * zoom + panY }));
+    const handleSize = 8;
+
+    ctx.save();
+    ctx.strokeStyle = '#0078d4';
+    ctx.fillStyle = '#ffffff';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([]);
+
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.closePath();
+    ctx.stroke();
+
+    // Corner and edge midpoint handles
+    const handles = points.flatMap((p, i) => {
+      const next = points[(i + 1) % points.length];
+      return [p, { x: (p.x + next.x) / 2, y: (p.y + next.y) / 2 }];
+    });
+    for (const p of handles) {
+      ctx.fillRect(p.x - handleSize / 2, p.y - handleSize / 2, handleSize, handleSize);
+      ctx.strokeRect(p.x - handleSize / 2, p.y - handleSize / 2, handleSize, handleSize);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the warp grid as the curves it bends the layer along, with its
+   * control points
+   */
+  drawWarpMesh(ctx, mesh) {
+    const { zoom, panX, panY } = this.viewport;
+    const segments = 48;
+
+    ctx.save();
+    ctx.strokeStyle = '#0078d4';
+    ctx.fillStyle = '#ffffff';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([]);
+
+    ctx.beginPath();
+    const curve = (at) => {
+      const start = at(0);
+      ctx.moveTo(start.x * zoom + panX, start.y * zoom + panY);
+      for (let i = 1; i <= segments; i++) {
+        const p = at(i / segments);
+        ctx.lineTo(p.x * zoom + panX, p.y * zoom + panY);
+      }
+    };
+    for (let row = 0; row <= mesh.rows; row++) {
+      curve(t => evaluateMesh(mesh, t, row / mesh.rows));
+    }
+    for (let col = 0; col <= mesh.cols; col++) {
+      curve(t => evaluateMesh(mesh, col / mesh.cols, t));
+    }
+    ctx.stroke();
+
+    for (const point of mesh.points) {
+      const x = point.x * zoom + panX;
+      const y = point.y * zoom + panY;
+      ctx.beginPath();
+      ctx.arc(x, y, 4, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
   /**
    * Draw mask overlay to visualize masked areas
    * Shows red tint on areas that will be hidden (black in mask)
@@ -470,11 +696,10 @@ export class CanvasOverlay extends HTMLElement {
     const app = window.photoEditorApp;
     if (!app || !app.document) return;
 
-    const layer = app.document.getLayer(this.editingMaskLayerId);
-    if (!layer || !layer.mask) return;
+    const mask = this.maskManager.getEditingMask(app.document);
+    if (!mask) return;
 
     const { zoom, panX, panY } = this.viewport;
-    const mask = layer.mask;
 
     // Get mask data
     const maskData = mask.getImageData();
@@ -512,6 +737,99 @@ export class CanvasOverlay extends HTMLElement {
     ctx.restore();
   }
 
+  /**
+   * Draw the stabilizer string from the brush to the pointer
+   */
+  drawStabilizerGuide(ctx) {
+    const { mode, length, brush, cursor } = this.stabilizerGuide;
+    const { zoom, panX, panY } = this.viewport;
+
+    const bx = brush.x * zoom + panX;
+    const by = brush.y * zoom + panY;
+    const cx = cursor.x * zoom + panX;
+    const cy = cursor.y * zoom + panY;
+
+    ctx.save();
+    ctx.lineWidth = 1;
+
+    // Reach of the string around the brush
+    if (mode !== StabilizerMode.AVERAGE) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.arc(bx, by, length * zoom, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    ctx.setLineDash([]);
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(bx, by);
+    ctx.lineTo(cx, cy);
+    ctx.stroke();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.arc(bx, by, 3, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the symmetry axes with the center and axis handles
+   */
+  drawSymmetryGuide(ctx, settings, doc) {
+    const { zoom, panX, panY } = this.viewport;
+    const center = getSymmetryCenter(settings, doc.width, doc.height);
+    const handle = getAxisHandle(settings, center, zoom);
+
+    const cx = center.x * zoom + panX;
+    const cy = center.y * zoom + panY;
+    const hx = handle.x * zoom + panX;
+    const hy = handle.y * zoom + panY;
+
+    // Rays reach past the document from any center
+    const reach = Math.hypot(doc.width, doc.height) * zoom;
+
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.setLineDash([6, 4]);
+    for (const angle of getSymmetryRays(settings)) {
+      const r = angle * Math.PI / 180;
+      ctx.beginPath();
+      ctx.moveTo(cx, cy);
+      ctx.lineTo(cx + Math.cos(r) * reach, cy + Math.sin(r) * reach);
+      ctx.strokeStyle = '#000000';
+      ctx.lineDashOffset = 0;
+      ctx.stroke();
+      ctx.strokeStyle = 'rgba(0, 200, 255, 0.9)';
+      ctx.lineDashOffset = 5;
+      ctx.stroke();
+    }
+
+    ctx.setLineDash([]);
+    ctx.strokeStyle = '#000000';
+    ctx.fillStyle = '#ffffff';
+
+    // Center handle
+    ctx.beginPath();
+    ctx.arc(cx, cy, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    // Axis rotation handle
+    ctx.fillRect(hx - 4, hy - 4, 8, 8);
+    ctx.strokeRect(hx - 4, hy - 4, 8, 8);
+
+    ctx.restore();
+  }
+
   /**
    * Draw mask editing mode indicator (border around canvas)
    */
@@ -531,13 +849,15 @@ export class CanvasOverlay extends HTMLElement {
     ctx.strokeRect(2, 2, width - 4, height - 4);
 
     // Draw "MASK" indicator in corner
+    const label = this.maskManager.isQuickMask() ? 'QUICK MASK' : 'MASK';
+    ctx.font = 'bold 12px sans-serif';
+    const labelWidth = Math.max(60, ctx.measureText(label).width + 24);
     ctx.fillStyle = 'rgba(255, 100, 100, 0.9)';
-    ctx.fillRect(10, 10, 60, 24);
+    ctx.fillRect(10, 10, labelWidth, 24);
     ctx.fillStyle = '#ffffff';
-    ctx.font = 'bold 12px sans-serif';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillText('MASK', 40, 22);
+    ctx.fillText(label, 10 + labelWidth / 2, 22);
 
     ctx.restore();
   }
@@ -5,6 +5,10 @@
 
 import { getStore } from '../../core/store.js';
 import { getEventBus, Events } from '../../core/event-bus.js';
+import { LayerType } from '../../document/layer.js';
+import { renderOnionSkin } from '../../document/animation.js';
+import { hasActiveStyles, getStyledLayer } from '../../document/layer-styles.js';
+import { hasActiveSmartFilters, getSmartFilteredCanvas } from '../../effects/filters/smart-filters.js';
 
 const template = document.createElement('template');
 template.innerHTML = `
@@ -56,12 +60,32 @@ template.innerHTML = `
       background-position: 0 0, 0 10px, 10px -10px, -10px 0px;
       background-color: #333;
     }
+
+    /* On-canvas text editor: glyphs are drawn by the text layer, only the caret shows */
+    .text-editor {
+      position: absolute;
+      z-index: 3;
+      margin: 0;
+      padding: 0;
+      border: none;
+      outline: 1px dashed rgba(0, 120, 215, 0.9);
+      background: transparent;
+      color: transparent;
+      resize: none;
+      overflow: hidden;
+      box-sizing: content-box;
+    }
+
+    .text-editor[hidden] {
+      display: none;
+    }
   </style>
 
   <div class="canvas-wrapper">
     <div class="checkerboard" id="checkerboard"></div>
     <canvas id="main-canvas"></canvas>
     <canvas id="overlay-canvas"></canvas>
+    <textarea id="text-editor" class="text-editor" spellcheck="false" hidden></textarea>
   </div>
 `;
 
@@ -75,6 +99,10 @@ export class EditorCanvas extends HTMLElement {
     this.mainCanvas = null;
     this.overlayCanvas = null;
     this.checkerboard = null;
+    this.textEditor = null;
+
+    // Text layer being edited on canvas
+    this.editingTextLayer = null;
 
     // Contexts
     this.gl = null;
@@ -121,6 +149,7 @@ export class EditorCanvas extends HTMLElement {
     this.mainCanvas = this.shadowRoot.getElementById('main-canvas');
     this.overlayCanvas = this.shadowRoot.getElementById('overlay-canvas');
     this.checkerboard = this.shadowRoot.getElementById('checkerboard');
+    this.textEditor = this.shadowRoot.getElementById('text-editor');
 
     this.initWebGL();
     this.initOverlay();
@@ -306,6 +335,85 @@ export class EditorCanvas extends HTMLElement {
       this.eventBus.on('toolbar:zoom-out', () => this.zoomBy(0.8)),
       this.eventBus.on('toolbar:fit', () => this.fitToScreen())
     );
+
+    // On-canvas text editing
+    this.textEditor.addEventListener('input', () => {
+      this.eventBus.emit(Events.TEXT_INPUT, { content: this.textEditor.value });
+    });
+
+    this.textEditor.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.eventBus.emit(Events.TEXT_COMMIT, { cancel: true });
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this.eventBus.emit(Events.TEXT_COMMIT, { cancel: false });
+      }
+    });
+
+    this.unsubscribers.push(
+      this.eventBus.on(Events.TEXT_EDIT_START, ({ layer }) => this.showTextEditor(layer)),
+      this.eventBus.on(Events.TEXT_EDIT_UPDATE, () => this.positionTextEditor()),
+      this.eventBus.on(Events.TEXT_EDIT_END, () => this.hideTextEditor()),
+      this.eventBus.on(Events.VIEWPORT_CHANGED, () => this.positionTextEditor())
+    );
+  }
+
+  /**
+   * Show the text editor over a text layer
+   */
+  showTextEditor(layer) {
+    this.editingTextLayer = layer;
+    this.textEditor.value = layer.text.content;
+    this.textEditor.hidden = false;
+    this.positionTextEditor();
+
+    requestAnimationFrame(() => {
+      this.textEditor.focus();
+      const end = this.textEditor.value.length;
+      this.textEditor.setSelectionRange(end, end);
+    });
+  }
+
+  /**
+   * Match the text editor's position and font to the layer at the current zoom
+   */
+  positionTextEditor() {
+    const layer = this.editingTextLayer;
+    if (!layer) return;
+
+    const { zoom } = this.viewport;
+    const text = layer.text;
+    const bounds = layer.getTextBounds();
+    const topLeft = this.documentToScreen(bounds.x + layer.x, bounds.y + layer.y);
+    const isBox = text.mode === 'box' && text.boxWidth > 0;
+
+    // Point text grows as the user types, so leave room for the next glyph
+    const slack = isBox ? 0 : text.fontSize * zoom;
+    const slackOffset = text.align === 'center' ? slack / 2 : text.align === 'right' ? slack : 0;
+    const width = isBox ? text.boxWidth * zoom : bounds.width * zoom + slack;
+    const height = Math.max(bounds.height, text.fontSize * text.lineHeight) * zoom;
+
+    const style = this.textEditor.style;
+    style.left = `${topLeft.x - slackOffset}px`;
+    style.top = `${topLeft.y}px`;
+    style.width = `${width}px`;
+    style.height = `${height}px`;
+    style.font = `${text.fontStyle} ${text.fontWeight} ${text.fontSize * zoom}px ${text.fontFamily}`;
+    style.lineHeight = `${text.fontSize * text.lineHeight * zoom}px`;
+    style.letterSpacing = `${text.letterSpacing * zoom}px`;
+    style.textAlign = text.align;
+    style.whiteSpace = isBox ? 'pre-wrap' : 'pre';
+    style.caretColor = text.color;
+  }
+
+  /**
+   * Hide the text editor
+   */
+  hideTextEditor() {
+    this.editingTextLayer = null;
+    this.textEditor.hidden = true;
+    this.textEditor.blur();
   }
 
   subscribeToState() {
@@ -330,6 +438,14 @@ export class EditorCanvas extends HTMLElement {
       this.eventBus.on(Events.LAYER_VISIBILITY_CHANGED, () => this.render()),
       this.eventBus.on(Events.RENDER_REQUEST, () => this.render())
     );
+
+    // Onion skin follows the active layer's frame
+    this.unsubscribers.push(
+      this.store.subscribe('ui.onionSkin', () => this.render()),
+      this.eventBus.on(Events.LAYER_SELECTED, () => {
+        if (this.store.state.ui.onionSkin?.enabled) this.render();
+      })
+    );
   }
 
   handleResize() {
@@ -390,7 +506,9 @@ export class EditorCanvas extends HTMLElement {
       tiltX: e.tiltX,
       tiltY: e.tiltY,
       pointerType: e.pointerType,
-      button: e.button
+      button: e.button,
+      shiftKey: e.shiftKey,
+      altKey: e.altKey
     });
   }
 
@@ -401,7 +519,9 @@ export class EditorCanvas extends HTMLElement {
     this.eventBus.emit(Events.CANVAS_POINTER_MOVE, {
       x: coords.x,
       y: coords.y,
-      pressure: e.pressure
+      pressure: e.pressure,
+      shiftKey: e.shiftKey,
+      altKey: e.altKey
     });
 
     if (this.activePointers.size === 2) {
@@ -443,6 +563,8 @@ export class EditorCanvas extends HTMLElement {
           tiltX: coalescedEvent.tiltX,
           tiltY: coalescedEvent.tiltY,
           pointerType: coalescedEvent.pointerType,
+          shiftKey: e.shiftKey,
+          altKey: e.altKey,
           isCoalesced: true
         });
       }
@@ -465,7 +587,9 @@ export class EditorCanvas extends HTMLElement {
       this.eventBus.emit(Events.CANVAS_POINTER_UP, {
         x: coords.x,
         y: coords.y,
-        pressure: e.pressure
+        pressure: e.pressure,
+        shiftKey: e.shiftKey,
+        altKey: e.altKey
       });
     }
   }
@@ -605,6 +729,16 @@ export class EditorCanvas extends HTMLElement {
     gl.useProgram(this.program);
     gl.bindVertexArray(this.vao);
 
+    // Onion skin: show the active frame with neighbouring frames ghosted
+    const onionSkin = this.store.state.ui.onionSkin;
+    if (onionSkin && onionSkin.enabled) {
+      const onionCanvas = renderOnionSkin(app.document, app.document.activeLayerId, onionSkin);
+      if (onionCanvas) {
+        this.renderComposited(onionCanvas);
+        return;
+      }
+    }
+
     // Check if document has any clipping masks or layer masks that need compositing
     const hasClippingOrMasks = app.document.layers.some(l =>
       l.clipped || (l.mask && l.maskEnabled)
@@ -668,6 +802,16 @@ export class EditorCanvas extends HTMLElement {
   renderLayer(layer) {
     const gl = this.gl;
 
+    // Text and shape layers redraw their pixels when properties change
+    if (layer.type === LayerType.TEXT || layer.type === LayerType.SHAPE) {
+      layer.ensureRendered();
+    }
+
+    if (hasActiveStyles(layer.styles) || hasActiveSmartFilters(layer)) {
+      this.renderStyledLayer(layer);
+      return;
+    }
+
     // Create or update texture
     if (!layer._glTexture) {
       layer._glTexture = gl.createTexture();
@@ -699,6 +843,55 @@ export class EditorCanvas extends HTMLElement {
     gl.drawArrays(gl.TRIANGLES, 0, 6);
   }
 
+  /**
+   * Render a layer through its smart filters and layer styles
+   * Both results are cached, so the texture is only uploaded when one changes
+   */
+  renderStyledLayer(layer) {
+    const gl = this.gl;
+
+    // Unfiltered pixels are shown until the smart filter result is ready
+    const source = getSmartFilteredCanvas(layer) || layer.canvas;
+    const styled = hasActiveStyles(layer.styles)
+      ? getStyledLayer(layer, source)
+      : { canvas: source, x: 0, y: 0 };
+    if (!styled) return;
+
+    if (!layer._glStyleTexture) {
+      layer._glStyleTexture = gl.createTexture();
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, layer._glStyleTexture);
+
+    // Upload only when the image was regenerated or the layer was painted on
+    if (layer._glStyleSource !== styled.canvas || layer._glStyleVersion !== layer.contentVersion) {
+      gl.texImage2D(
+        gl.TEXTURE_2D, 0, gl.RGBA,
+        gl.RGBA, gl.UNSIGNED_BYTE, styled.canvas
+      );
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      layer._glStyleSource = styled.canvas;
+      layer._glStyleVersion = layer.contentVersion;
+    }
+
+    // The styled image extends past the layer bounds by the effect margin
+    const matrix = this.createTransformMatrix({
+      x: layer.x + styled.x,
+      y: layer.y + styled.y,
+      width: styled.canvas.width,
+      height: styled.canvas.height
+    });
+
+    gl.uniformMatrix3fv(this.locations.matrix, false, matrix);
+    gl.uniform1f(this.locations.opacity, layer.opacity);
+    gl.uniform1i(this.locations.texture, 0);
+
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+  }
+
   createTransformMatrix(layer) {
     const canvasWidth = this.mainCanvas.width;
     const canvasHeight = this.mainCanvas.height;
@@ -0,0 +1,508 @@
+/**
+ * Color Range Dialog - Select by sampled colors or tonal range
+ * Shows a live grayscale preview of the resulting mask; click the preview to
+ * sample colors (Shift adds a sample, Alt removes the closest one).
+ */
+
+import { SelectionMode } from '../../document/selection.js';
+import {
+  ColorRangePreset,
+  ColorRangePresetNames,
+  ColorRangeDefaults,
+  computeColorRangeMask,
+  sampleColor
+} from '../../document/color-range.js';
+
+const PREVIEW_WIDTH = 320;
+const PREVIEW_HEIGHT = 220;
+
+const template = document.createElement('template');
+template.innerHTML = `
+  <style>
+    :host {
+      display: contents;
+    }
+
+    .dialog-backdrop {
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.3);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+      opacity: 0;
+      visibility: hidden;
+      transition: opacity 0.2s, visibility 0.2s;
+    }
+
+    .dialog-backdrop.visible {
+      opacity: 1;
+      visibility: visible;
+    }
+
+    .dialog {
+      background: var(--bg-panel, #2a2a2a);
+      border: 1px solid var(--border-color, #444);
+      border-radius: 8px;
+      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+      min-width: 360px;
+      transform: translateY(-20px);
+      transition: transform 0.2s;
+    }
+
+    .dialog-backdrop.visible .dialog {
+      transform: translateY(0);
+    }
+
+    .dialog-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 16px 20px;
+      border-bottom: 1px solid var(--border-color, #444);
+    }
+
+    .dialog-title {
+      font-size: 16px;
+      font-weight: 600;
+      color: var(--text-primary, #fff);
+    }
+
+    .close-btn {
+      width: 28px;
+      height: 28px;
+      border-radius: 4px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      color: var(--text-secondary, #888);
+      cursor: pointer;
+      transition: background 0.15s, color 0.15s;
+      background: transparent;
+      border: none;
+    }
+
+    .close-btn:hover {
+      background: var(--bg-hover, #333);
+      color: var(--text-primary, #fff);
+    }
+
+    .close-btn svg {
+      width: 18px;
+      height: 18px;
+      fill: currentColor;
+    }
+
+    .dialog-content {
+      padding: 20px;
+    }
+
+    .form-group {
+      display: grid;
+      grid-template-columns: 90px 1fr 50px;
+      gap: 10px;
+      align-items: center;
+      margin-bottom: 12px;
+    }
+
+    .form-label {
+      font-size: 12px;
+      font-weight: 500;
+      color: var(--text-secondary, #888);
+    }
+
+    .value {
+      font-size: 12px;
+      color: var(--text-secondary, #888);
+      text-align: right;
+    }
+
+    select {
+      width: 100%;
+      padding: 4px 8px;
+      border: 1px solid var(--border-color, #444);
+      border-radius: 4px;
+      background: var(--bg-input, #1a1a1a);
+      color: var(--text-primary, #fff);
+      font-size: 13px;
+    }
+
+    input[type="range"] {
+      width: 100%;
+    }
+
+    .preview {
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      width: ${PREVIEW_WIDTH}px;
+      height: ${PREVIEW_HEIGHT}px;
+      margin: 0 auto 8px;
+      background: #000;
+      border: 1px solid var(--border-color, #444);
+    }
+
+    .preview canvas {
+      cursor: crosshair;
+    }
+
+    .view-row, .samples-row, .invert-row {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      margin-bottom: 12px;
+      font-size: 13px;
+      color: var(--text-primary, #fff);
+    }
+
+    .samples-row {
+      font-size: 12px;
+      color: var(--text-secondary, #888);
+    }
+
+    .swatches {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+    }
+
+    .swatch {
+      width: 14px;
+      height: 14px;
+      border: 1px solid var(--border-color, #444);
+      border-radius: 2px;
+    }
+
+    .dialog-footer {
+      display: flex;
+      justify-content: flex-end;
+      gap: 10px;
+      padding: 16px 20px;
+      border-top: 1px solid var(--border-color, #444);
+    }
+
+    .btn {
+      padding: 8px 16px;
+      border-radius: 4px;
+      font-size: 13px;
+      font-weight: 500;
+      cursor: pointer;
+      transition: background 0.15s;
+      border: none;
+    }
+
+    .btn-secondary {
+      background: var(--bg-secondary, #333);
+      color: var(--text-primary, #fff);
+      border: 1px solid var(--border-color, #444);
+    }
+
+    .btn-secondary:hover {
+      background: var(--bg-hover, #3a3a3a);
+    }
+
+    .btn-primary {
+      background: var(--accent-color, #3b82f6);
+      color: #fff;
+    }
+
+    .btn-primary:hover {
+      background: var(--accent-hover, #2563eb);
+    }
+  </style>
+
+  <div class="dialog-backdrop">
+    <div class="dialog">
+      <div class="dialog-header">
+        <span class="dialog-title">Color Range</span>
+        <button class="close-btn">
+          <svg viewBox="0 0 24 24">
+            <path d="M18.3 5.7a1 1 0 00-1.4 0L12 10.6 7.1 5.7a1 1 0 00-1.4 1.4L10.6 12l-4.9 4.9a1 1 0 101.4 1.4l4.9-4.9 4.9 4.9a1 1 0 001.4-1.4L13.4 12l4.9-4.9a1 1 0 000-1.4z"/>
+          </svg>
+        </button>
+      </div>
+      <div class="dialog-content">
+        <div class="form-group">
+          <label class="form-label">Select</label>
+          <select id="preset">
+            ${Object.entries(ColorRangePresetNames).map(([value, name]) => `
+              <option value="${value}">${name}</option>
+            `).join('')}
+          </select>
+          <span></span>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Fuzziness</label>
+          <input type="range" id="fuzziness" min="0" max="200" step="1" value="${ColorRangeDefaults.fuzziness}" />
+          <span class="value" id="fuzziness-value">${ColorRangeDefaults.fuzziness}</span>
+        </div>
+        <div class="preview">
+          <canvas id="preview-canvas"></canvas>
+        </div>
+        <div class="view-row">
+          <label><input type="radio" name="view" value="selection" checked /> Selection</label>
+          <label><input type="radio" name="view" value="image" /> Image</label>
+        </div>
+        <div class="samples-row">
+          <span id="samples-label">Click the preview to sample colors</span>
+          <div class="swatches" id="swatches"></div>
+        </div>
+        <label class="invert-row">
+          <input type="checkbox" id="invert" />
+          Invert
+        </label>
+        <div class="form-group">
+          <label class="form-label">Selection</label>
+          <select id="mode">
+            <option value="${SelectionMode.REPLACE}">New Selection</option>
+            <option value="${SelectionMode.ADD}">Add to Selection</option>
+            <option value="${SelectionMode.SUBTRACT}">Subtract from Selection</option>
+            <option value="${SelectionMode.INTERSECT}">Intersect with Selection</option>
+          </select>
+          <span></span>
+        </div>
+      </div>
+      <div class="dialog-footer">
+        <button class="btn btn-secondary" id="cancel">Cancel</button>
+        <button class="btn btn-primary" id="apply">OK</button>
+      </div>
+    </div>
+  </div>
+`;
+
+class ColorRangeDialog extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(template.content.cloneNode(true));
+
+    // Full-size pixels the selection is built from, and a small copy for the preview
+    this.imageData = null;
+    this.previewImage = null;
+    this.onApply = null;
+
+    this.settings = { ...ColorRangeDefaults };
+    this.view = 'selection';
+  }
+
+  connectedCallback() {
+    this.setupElements();
+    this.setupEventListeners();
+  }
+
+  setupElements() {
+    this.backdrop = this.shadowRoot.querySelector('.dialog-backdrop');
+    this.presetSelect = this.shadowRoot.getElementById('preset');
+    this.fuzzinessInput = this.shadowRoot.getElementById('fuzziness');
+    this.fuzzinessValue = this.shadowRoot.getElementById('fuzziness-value');
+    this.canvas = this.shadowRoot.getElementById('preview-canvas');
+    this.ctx = this.canvas.getContext('2d');
+    this.samplesLabel = this.shadowRoot.getElementById('samples-label');
+    this.swatches = this.shadowRoot.getElementById('swatches');
+    this.invertCheck = this.shadowRoot.getElementById('invert');
+    this.modeSelect = this.shadowRoot.getElementById('mode');
+  }
+
+  setupEventListeners() {
+    this.shadowRoot.querySelector('.close-btn').addEventListener('click', () => this.hide());
+    this.shadowRoot.getElementById('cancel').addEventListener('click', () => this.hide());
+    this.shadowRoot.getElementById('apply').addEventListener('click', () => this.commit());
+
+    this.presetSelect.addEventListener('change', () => {
+      this.settings.preset = this.presetSelect.value;
+      this.updatePreview();
+    });
+
+    this.fuzzinessInput.addEventListener('input', () => {
+      this.settings.fuzziness = parseInt(this.fuzzinessInput.value);
+      this.fuzzinessValue.textContent = this.fuzzinessInput.value;
+      this.updatePreview();
+    });
+
+    this.invertCheck.addEventListener('change', () => {
+      this.settings.invert = this.invertCheck.checked;
+      this.updatePreview();
+    });
+
+    this.shadowRoot.querySelectorAll('input[name="view"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        this.view = radio.value;
+        this.updatePreview();
+      });
+    });
+
+    this.canvas.addEventListener('click', (e) => this.handleSample(e));
+
+    this.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hide();
+      if (e.key === 'Enter') this.commit();
+    });
+  }
+
+  /**
+   * Open the dialog for an image
+   * @param {ImageData} imageData - Pixels to select from (document composite)
+   * @param {Object} options - { colors } initial samples, { onApply(mask, mode) }
+   */
+  show(imageData, options = {}) {
+    this.imageData = imageData;
+    this.onApply = options.onApply || null;
+    this.previewImage = this.createPreviewImage(imageData);
+
+    this.settings = {
+      ...ColorRangeDefaults,
+      fuzziness: this.settings.fuzziness,
+      colors: options.colors ? [...options.colors] : []
+    };
+
+    this.presetSelect.value = this.settings.preset;
+    this.fuzzinessInput.value = this.settings.fuzziness;
+    this.fuzzinessValue.textContent = this.settings.fuzziness;
+    this.invertCheck.checked = false;
+    this.modeSelect.value = SelectionMode.REPLACE;
+
+    this.updatePreview();
+    this.backdrop.classList.add('visible');
+  }
+
+  hide() {
+    this.backdrop.classList.remove('visible');
+    this.imageData = null;
+    this.previewImage = null;
+    this.onApply = null;
+  }
+
+  /**
+   * Scale the image down to fit the preview box
+   */
+  createPreviewImage(imageData) {
+    const { width, height } = imageData;
+    const scale = Math.min(1, PREVIEW_WIDTH / width, PREVIEW_HEIGHT / height);
+    const previewWidth = Math.max(1, Math.round(width * scale));
+    const previewHeight = Math.max(1, Math.round(height * scale));
+
+    const full = new OffscreenCanvas(width, height);
+    full.getContext('2d').putImageData(imageData, 0, 0);
+
+    const small = new OffscreenCanvas(previewWidth, previewHeight);
+    const ctx = small.getContext('2d');
+    ctx.drawImage(full, 0, 0, previewWidth, previewHeight);
+
+    this.canvas.width = previewWidth;
+    this.canvas.height = previewHeight;
+    return ctx.getImageData(0, 0, previewWidth, previewHeight);
+  }
+
+  /**
+   * Redraw the preview: the mask in grayscale, or the image itself
+   */
+  updatePreview() {
+    if (!this.previewImage) return;
+
+    const sampled = this.settings.preset === ColorRangePreset.SAMPLED;
+    const tonal = !sampled && this.settings.preset !== ColorRangePreset.SKIN_TONES;
+    this.fuzzinessInput.disabled = tonal;
+    this.renderSwatches();
+
+    if (this.view === 'image') {
+      this.ctx.putImageData(this.previewImage, 0, 0);
+      return;
+    }
+
+    const { width, height } = this.previewImage;
+    const mask = computeColorRangeMask(this.previewImage, this.settings);
+    const output = this.ctx.createImageData(width, height);
+
+    for (let i = 0; i < mask.length; i++) {
+      const p = i * 4;
+      output.data[p] = output.data[p + 1] = output.data[p + 2] = mask[i];
+      output.data[p + 3] = 255;
+    }
+
+    this.ctx.putImageData(output, 0, 0);
+  }
+
+  renderSwatches() {
+    const { colors, preset } = this.settings;
+    const sampled = preset === ColorRangePreset.SAMPLED;
+
+    this.samplesLabel.textContent = !sampled
+      ? ''
+      : colors.length === 0
+        ? 'Click the preview to sample colors'
+        : `Samples (${colors.length})`;
+
+    this.swatches.innerHTML = sampled
+      ? colors.map(c => `<span class="swatch" style="background: rgb(${c.r}, ${c.g}, ${c.b})"></span>`).join('')
+      : '';
+  }
+
+  /**
+   * Sample the clicked color: replace the samples, or Shift adds / Alt removes
+   */
+  handleSample(e) {
+    if (!this.previewImage) return;
+
+    const rect = this.canvas.getBoundingClientRect();
+    const x = Math.floor((e.clientX - rect.left) * this.canvas.width / rect.width);
+    const y = Math.floor((e.clientY - rect.top) * this.canvas.height / rect.height);
+    const color = sampleColor(this.previewImage, x, y, 1);
+
+    const colors = this.settings.colors;
+    if (e.altKey) {
+      if (colors.length === 0) return;
+
+      const distance = c => (c.r - color.r) ** 2 + (c.g - color.g) ** 2 + (c.b - color.b) ** 2;
+      const closest = colors.reduce((best, c, i) => distance(c) < distance(colors[best]) ? i : best, 0);
+      colors.splice(closest, 1);
+    } else if (e.shiftKey) {
+      colors.push(color);
+    } else {
+      this.settings.colors = [color];
+    }
+
+    this.settings.preset = ColorRangePreset.SAMPLED;
+    this.presetSelect.value = ColorRangePreset.SAMPLED;
+    this.updatePreview();
+  }
+
+  /**
+   * Build the full-size mask and hand it to the caller
+   */
+  commit() {
+    if (!this.imageData) return;
+
+    const mask = computeColorRangeMask(this.imageData, this.settings);
+    const mode = this.modeSelect.value;
+    const onApply = this.onApply;
+
+    this.hide();
+    onApply?.(mask, mode);
+  }
+}
+
+customElements.define('color-range-dialog', ColorRangeDialog);
+
+// Singleton instance
+let dialogInstance = null;
+
+/**
+ * Show the Color Range dialog
+ * @param {ImageData} imageData - Pixels to select from
+ * @param {Object} options - { colors, onApply(mask, mode) }
+ */
+export function showColorRangeDialog(imageData, options = {}) {
+  if (!imageData) return;
+
+  if (!dialogInstance) {
+    dialogInstance = document.createElement('color-range-dialog');
+    document.body.appendChild(dialogInstance);
+  }
+  dialogInstance.show(imageData, options);
+}
+
+export { ColorRangeDialog };
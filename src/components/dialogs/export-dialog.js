@@ -3,8 +3,26 @@
  */
 
 import { getEventBus, Events } from '../../core/event-bus.js';
-import { ExportFormat, exportDocument, exportResized, estimateFileSize } from '../../io/image-export.js';
+import {
+  ExportFormat,
+  AnimationDefaults,
+  exportDocument,
+  exportResized,
+  estimateFileSize,
+  supportsAnimation
+} from '../../io/image-export.js';
+import { getAnimationFrames } from '../../document/animation.js';
 import { exportAndSavePSD, estimatePSDSize, validateForPSDExport } from '../../io/psd/psd-export.js';
+import { exportAndSaveSVG, exportToSVGBlob, validateForSVGExport } from '../../io/svg-export.js';
+
+/**
+ * Format a byte count for the size estimate
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
 
 const template = document.createElement('template');
 template.innerHTML = `
@@ -317,11 +335,26 @@ template.innerHTML = `
               <span class="format-name">WebP</span>
               <span class="format-ext">.webp</span>
             </div>
+            <div class="format-option" data-format="image/gif">
+              <span class="format-icon">🎞️</span>
+              <span class="format-name">GIF</span>
+              <span class="format-ext">.gif</span>
+            </div>
+            <div class="format-option" data-format="image/bmp">
+              <span class="format-icon">🧱</span>
+              <span class="format-name">BMP</span>
+              <span class="format-ext">.bmp</span>
+            </div>
             <div class="format-option" data-format="psd">
               <span class="format-icon">📄</span>
               <span class="format-name">PSD</span>
               <span class="format-ext">.psd</span>
             </div>
+            <div class="format-option" data-format="svg">
+              <span class="format-icon">✒️</span>
+              <span class="format-name">SVG</span>
+              <span class="format-ext">.svg</span>
+            </div>
           </div>
         </div>
 
@@ -333,6 +366,42 @@ template.innerHTML = `
           </div>
         </div>
 
+        <div class="form-group" id="gif-group">
+          <label class="form-label">Colors</label>
+          <div class="slider-group">
+            <input type="range" id="colors-slider" min="2" max="256" value="256">
+            <span class="slider-value" id="colors-value">256</span>
+          </div>
+          <label class="checkbox-group" style="margin-top: 8px;">
+            <input type="checkbox" id="dithering" checked>
+            Dithering
+          </label>
+        </div>
+
+        <div class="form-group" id="bmp-group">
+          <label class="checkbox-group">
+            <input type="checkbox" id="bmp-alpha">
+            Preserve transparency (32-bit)
+          </label>
+        </div>
+
+        <div class="form-group" id="animation-group">
+          <label class="checkbox-group">
+            <input type="checkbox" id="animate">
+            Export layers as animation frames
+          </label>
+          <div class="size-options" id="animation-options" style="margin-top: 8px;">
+            <div class="size-input">
+              <input type="number" id="loop-input" min="0" max="65535" value="0">
+              <label>Loops (0 = forever)</label>
+            </div>
+            <div class="size-input">
+              <input type="number" id="delay-input" min="10" max="65535" value="100">
+              <label>Default delay (ms)</label>
+            </div>
+          </div>
+        </div>
+
         <div class="form-group" id="size-group">
           <label class="form-label">Size</label>
           <div class="size-options">
@@ -357,6 +426,10 @@ template.innerHTML = `
               <span class="file-info-label">Dimensions:</span>
               <span class="file-info-value" id="info-dimensions">1920 × 1080</span>
             </div>
+            <div class="file-info-row" id="info-frames-row">
+              <span class="file-info-label">Frames:</span>
+              <span class="file-info-value" id="info-frames">0</span>
+            </div>
             <div class="file-info-row">
               <span class="file-info-label">Estimated size:</span>
               <span class="file-info-value" id="info-size">Calculating...</span>
@@ -383,6 +456,12 @@ export class ExportDialog extends HTMLElement {
     this.document = null;
     this.selectedFormat = 'image/png';
     this.quality = 92;
+    this.colors = 256;
+    this.dithering = true;
+    this.bitDepth = 24;
+    this.animate = false;
+    this.loop = AnimationDefaults.loop;
+    this.defaultDelay = AnimationDefaults.defaultDelay;
     this.originalWidth = 0;
     this.originalHeight = 0;
     this.aspectRatio = 1;
@@ -399,6 +478,12 @@ export class ExportDialog extends HTMLElement {
     const exportBtn = this.shadowRoot.getElementById('export-btn');
     const formatGrid = this.shadowRoot.getElementById('format-grid');
     const qualitySlider = this.shadowRoot.getElementById('quality-slider');
+    const colorsSlider = this.shadowRoot.getElementById('colors-slider');
+    const ditheringCheckbox = this.shadowRoot.getElementById('dithering');
+    const bmpAlphaCheckbox = this.shadowRoot.getElementById('bmp-alpha');
+    const animateCheckbox = this.shadowRoot.getElementById('animate');
+    const loopInput = this.shadowRoot.getElementById('loop-input');
+    const delayInput = this.shadowRoot.getElementById('delay-input');
     const widthInput = this.shadowRoot.getElementById('width-input');
     const heightInput = this.shadowRoot.getElementById('height-input');
     const maintainAspect = this.shadowRoot.getElementById('maintain-aspect');
@@ -432,6 +517,42 @@ export class ExportDialog extends HTMLElement {
       this.updateEstimate();
     });
 
+    // GIF options
+    colorsSlider.addEventListener('input', (e) => {
+      this.colors = parseInt(e.target.value);
+      this.shadowRoot.getElementById('colors-value').textContent = `${this.colors}`;
+    });
+    colorsSlider.addEventListener('change', () => this.updateEstimate());
+
+    ditheringCheckbox.addEventListener('change', (e) => {
+      this.dithering = e.target.checked;
+      this.updateEstimate();
+    });
+
+    // BMP options
+    bmpAlphaCheckbox.addEventListener('change', (e) => {
+      this.bitDepth = e.target.checked ? 32 : 24;
+      this.updateEstimate();
+    });
+
+    // Animation options
+    animateCheckbox.addEventListener('change', (e) => {
+      this.animate = e.target.checked;
+      this.updateUIForFormat();
+      this.updateEstimate();
+    });
+
+    loopInput.addEventListener('change', () => {
+      this.loop = Math.max(0, parseInt(loopInput.value) || 0);
+      loopInput.value = this.loop;
+    });
+
+    delayInput.addEventListener('change', () => {
+      this.defaultDelay = Math.max(10, parseInt(delayInput.value) || AnimationDefaults.defaultDelay);
+      delayInput.value = this.defaultDelay;
+      this.updateEstimate();
+    });
+
     // Size inputs
     widthInput.addEventListener('input', () => {
       if (maintainAspect.checked) {
@@ -491,17 +612,34 @@ export class ExportDialog extends HTMLElement {
 
   updateUIForFormat() {
     const qualityGroup = this.shadowRoot.getElementById('quality-group');
+    const gifGroup = this.shadowRoot.getElementById('gif-group');
+    const bmpGroup = this.shadowRoot.getElementById('bmp-group');
+    const animationGroup = this.shadowRoot.getElementById('animation-group');
     const sizeGroup = this.shadowRoot.getElementById('size-group');
+    const animating = this.isAnimationExport();
 
     // Show/hide quality slider based on format
-    if (this.selectedFormat === 'image/png' || this.selectedFormat === 'psd') {
-      qualityGroup.style.display = 'none';
-    } else {
+    if (this.selectedFormat === 'image/jpeg' || this.selectedFormat === 'image/webp') {
       qualityGroup.style.display = 'block';
+    } else {
+      qualityGroup.style.display = 'none';
+    }
+
+    gifGroup.style.display = this.selectedFormat === ExportFormat.GIF ? 'block' : 'none';
+    bmpGroup.style.display = this.selectedFormat === ExportFormat.BMP ? 'block' : 'none';
+
+    // Animation mode for GIF and PNG (APNG)
+    animationGroup.style.display = supportsAnimation(this.selectedFormat) ? 'block' : 'none';
+    this.shadowRoot.getElementById('animation-options').style.display = animating ? 'flex' : 'none';
+    this.shadowRoot.getElementById('info-frames-row').style.display = animating ? 'flex' : 'none';
+
+    if (animating && this.document) {
+      this.shadowRoot.getElementById('info-frames').textContent =
+        getAnimationFrames(this.document).length;
     }
 
-    // Hide size options for PSD
-    if (this.selectedFormat === 'psd') {
+    // Hide size options for PSD, SVG and animations (frames are document-sized)
+    if (this.selectedFormat === 'psd' || this.selectedFormat === 'svg' || animating) {
       sizeGroup.style.display = 'none';
     } else {
       sizeGroup.style.display = 'block';
@@ -529,10 +667,17 @@ export class ExportDialog extends HTMLElement {
           warningsDiv.textContent = validation.warnings.join('. ');
           warningsDiv.style.display = 'block';
         }
+      } else if (this.selectedFormat === 'svg') {
+        const blob = await exportToSVGBlob(this.document);
+        sizeSpan.textContent = formatSize(blob.size);
+
+        const validation = validateForSVGExport(this.document);
+        if (validation.warnings.length > 0) {
+          warningsDiv.textContent = validation.warnings.join('. ');
+          warningsDiv.style.display = 'block';
+        }
       } else {
-        estimate = await estimateFileSize(this.document, this.selectedFormat, {
-          quality: this.quality / 100
-        });
+        estimate = await estimateFileSize(this.document, this.selectedFormat, this.getExportOptions());
         sizeSpan.textContent = estimate.formatted;
       }
     } catch (error) {
@@ -550,10 +695,13 @@ export class ExportDialog extends HTMLElement {
     try {
       const width = parseInt(this.shadowRoot.getElementById('width-input').value);
       const height = parseInt(this.shadowRoot.getElementById('height-input').value);
-      const resized = width !== this.originalWidth || height !== this.originalHeight;
+      const resized = !this.isAnimationExport() &&
+        (width !== this.originalWidth || height !== this.originalHeight);
 
       if (this.selectedFormat === 'psd') {
         await exportAndSavePSD(this.document);
+      } else if (this.selectedFormat === 'svg') {
+        await exportAndSaveSVG(this.document);
       } else {
         if (resized) {
           // Export with resize
@@ -561,13 +709,11 @@ export class ExportDialog extends HTMLElement {
             this.document,
             { width, height },
             this.selectedFormat,
-            { quality: this.quality / 100 }
+            this.getExportOptions()
           );
           await this.saveBlob(blob);
         } else {
-          await exportDocument(this.document, this.selectedFormat, {
-            quality: this.quality / 100
-          });
+          await exportDocument(this.document, this.selectedFormat, this.getExportOptions());
         }
       }
 
@@ -583,6 +729,22 @@ export class ExportDialog extends HTMLElement {
     }
   }
 
+  isAnimationExport() {
+    return this.animate && supportsAnimation(this.selectedFormat);
+  }
+
+  getExportOptions() {
+    return {
+      quality: this.quality / 100,
+      colors: this.colors,
+      dithering: this.dithering,
+      bitDepth: this.bitDepth,
+      animation: this.isAnimationExport(),
+      loop: this.loop,
+      defaultDelay: this.defaultDelay
+    };
+  }
+
   async saveBlob(blob) {
     const ext = this.getExtension();
     const suggestedName = `${this.document.name}.${ext}`;
@@ -614,7 +776,10 @@ export class ExportDialog extends HTMLElement {
       'image/png': 'png',
       'image/jpeg': 'jpg',
       'image/webp': 'webp',
-      'psd': 'psd'
+      'image/gif': 'gif',
+      'image/bmp': 'bmp',
+      'psd': 'psd',
+      'svg': 'svg'
     };
     return extensions[this.selectedFormat] || 'png';
   }
@@ -0,0 +1,640 @@
+/**
+ * Filter Dialog - Parameters and live preview for filters
+ * Applies destructively, or adds/edits an entry in the layer's smart filter stack
+ */
+
+import { getEventBus, Events } from '../../core/event-bus.js';
+import { getHistory } from '../../core/commands.js';
+import { BlendMode } from '../../document/layer.js';
+import {
+  FilterInfo,
+  getFilterParams,
+  getFilterPadding,
+  getFilterRegion,
+  filterLayerRegion,
+  applyFilterToLayer
+} from '../../effects/filters/filters.js';
+import {
+  createSmartFilter,
+  cloneSmartFilters,
+  invalidateSmartFilters,
+  SetSmartFiltersCommand
+} from '../../effects/filters/smart-filters.js';
+
+// Delay before re-running the preview while a slider is dragged
+const PREVIEW_DELAY = 150;
+
+const template = document.createElement('template');
+template.innerHTML = `
+  <style>
+    :host {
+      display: contents;
+    }
+
+    .dialog-backdrop {
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.3);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+      opacity: 0;
+      visibility: hidden;
+      transition: opacity 0.2s, visibility 0.2s;
+    }
+
+    .dialog-backdrop.visible {
+      opacity: 1;
+      visibility: visible;
+    }
+
+    .dialog {
+      background: var(--bg-panel, #2a2a2a);
+      border: 1px solid var(--border-color, #444);
+      border-radius: 8px;
+      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+      min-width: 360px;
+      max-width: 420px;
+      transform: translateY(-20px);
+      transition: transform 0.2s;
+    }
+
+    .dialog-backdrop.visible .dialog {
+      transform: translateY(0);
+    }
+
+    .dialog-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 16px 20px;
+      border-bottom: 1px solid var(--border-color, #444);
+    }
+
+    .dialog-title {
+      font-size: 16px;
+      font-weight: 600;
+      color: var(--text-primary, #fff);
+    }
+
+    .close-btn {
+      width: 28px;
+      height: 28px;
+      border-radius: 4px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      color: var(--text-secondary, #888);
+      cursor: pointer;
+      transition: background 0.15s, color 0.15s;
+      background: transparent;
+      border: none;
+    }
+
+    .close-btn:hover {
+      background: var(--bg-hover, #333);
+      color: var(--text-primary, #fff);
+    }
+
+    .close-btn svg {
+      width: 18px;
+      height: 18px;
+      fill: currentColor;
+    }
+
+    .dialog-content {
+      padding: 20px;
+    }
+
+    .form-group {
+      display: grid;
+      grid-template-columns: 90px 1fr 70px;
+      gap: 10px;
+      align-items: center;
+      margin-bottom: 12px;
+    }
+
+    .form-label {
+      font-size: 12px;
+      font-weight: 500;
+      color: var(--text-secondary, #888);
+    }
+
+    .value {
+      font-size: 12px;
+      color: var(--text-secondary, #888);
+      text-align: right;
+    }
+
+    select {
+      width: 100%;
+      padding: 4px 8px;
+      border: 1px solid var(--border-color, #444);
+      border-radius: 4px;
+      background: var(--bg-input, #1a1a1a);
+      color: var(--text-primary, #fff);
+      font-size: 13px;
+    }
+
+    input[type="range"] {
+      width: 100%;
+    }
+
+    .empty {
+      font-size: 13px;
+      color: var(--text-secondary, #888);
+    }
+
+    .smart-options {
+      margin-top: 16px;
+      padding-top: 12px;
+      border-top: 1px solid var(--border-color, #444);
+    }
+
+    .smart-blending[hidden], .smart-toggle[hidden] {
+      display: none;
+    }
+
+    .smart-toggle {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 12px;
+      font-size: 13px;
+      color: var(--text-primary, #fff);
+    }
+
+    .preview-row {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-right: auto;
+      font-size: 13px;
+      color: var(--text-primary, #fff);
+    }
+
+    .preview-row .busy {
+      font-size: 12px;
+      color: var(--text-secondary, #888);
+      visibility: hidden;
+    }
+
+    .preview-row .busy.visible {
+      visibility: visible;
+    }
+
+    .dialog-footer {
+      display: flex;
+      justify-content: flex-end;
+      align-items: center;
+      gap: 10px;
+      padding: 16px 20px;
+      border-top: 1px solid var(--border-color, #444);
+    }
+
+    .btn {
+      padding: 8px 16px;
+      border-radius: 4px;
+      font-size: 13px;
+      font-weight: 500;
+      cursor: pointer;
+      transition: background 0.15s;
+      border: none;
+    }
+
+    .btn-secondary {
+      background: var(--bg-secondary, #333);
+      color: var(--text-primary, #fff);
+      border: 1px solid var(--border-color, #444);
+    }
+
+    .btn-secondary:hover {
+      background: var(--bg-hover, #3a3a3a);
+    }
+
+    .btn-primary {
+      background: var(--accent-color, #3b82f6);
+      color: #fff;
+    }
+
+    .btn-primary:hover {
+      background: var(--accent-hover, #2563eb);
+    }
+  </style>
+
+  <div class="dialog-backdrop">
+    <div class="dialog">
+      <div class="dialog-header">
+        <span class="dialog-title">Filter</span>
+        <button class="close-btn">
+          <svg viewBox="0 0 24 24">
+            <path d="M18.3 5.7a1 1 0 00-1.4 0L12 10.6 7.1 5.7a1 1 0 00-1.4 1.4L10.6 12l-4.9 4.9a1 1 0 101.4 1.4l4.9-4.9 4.9 4.9a1 1 0 001.4-1.4L13.4 12l4.9-4.9a1 1 0 000-1.4z"/>
+          </svg>
+        </button>
+      </div>
+      <div class="dialog-content">
+        <div id="settings"></div>
+        <div class="smart-options">
+          <label class="smart-toggle" id="smart-toggle">
+            <input type="checkbox" id="smart" />
+            Smart Filter (non-destructive)
+          </label>
+          <div class="smart-blending" id="smart-blending">
+            <div class="form-group">
+              <label class="form-label">Mode</label>
+              <select id="smart-blend-mode">
+                ${Object.values(BlendMode).map(mode => `
+                  <option value="${mode}">${mode.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase())}</option>
+                `).join('')}
+              </select>
+              <span></span>
+            </div>
+            <div class="form-group">
+              <label class="form-label">Opacity</label>
+              <input type="range" id="smart-opacity" min="0" max="100" step="1" value="100" />
+              <span class="value" id="smart-opacity-value">100 %</span>
+            </div>
+          </div>
+        </div>
+      </div>
+      <div class="dialog-footer">
+        <label class="preview-row">
+          <input type="checkbox" id="preview" checked />
+          Preview
+          <span class="busy" id="busy">Rendering...</span>
+        </label>
+        <button class="btn btn-secondary" id="cancel">Cancel</button>
+        <button class="btn btn-primary" id="apply">OK</button>
+      </div>
+    </div>
+  </div>
+`;
+
+class FilterDialog extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(template.content.cloneNode(true));
+    this.eventBus = getEventBus();
+
+    this.layer = null;
+    this.type = null;
+    this.params = null;
+    this.selection = null;
+
+    // Smart filter mode: the stack before editing and the entry being edited
+    this.smart = false;
+    this.beforeFilters = null;
+    this.editingFilter = null;
+    this.blendMode = 'normal';
+    this.opacity = 1;
+
+    // Layer pixels the preview was drawn over, restored on cancel
+    this.original = null;
+    this.previewRegion = null;
+    this.previewTimer = null;
+    this.previewToken = 0;
+  }
+
+  connectedCallback() {
+    this.setupElements();
+    this.setupEventListeners();
+  }
+
+  setupElements() {
+    this.backdrop = this.shadowRoot.querySelector('.dialog-backdrop');
+    this.titleEl = this.shadowRoot.querySelector('.dialog-title');
+    this.settings = this.shadowRoot.querySelector('#settings');
+    this.previewCheck = this.shadowRoot.querySelector('#preview');
+    this.busy = this.shadowRoot.querySelector('#busy');
+    this.smartToggle = this.shadowRoot.querySelector('#smart-toggle');
+    this.smartCheck = this.shadowRoot.querySelector('#smart');
+    this.smartBlending = this.shadowRoot.querySelector('#smart-blending');
+    this.blendSelect = this.shadowRoot.querySelector('#smart-blend-mode');
+    this.opacityInput = this.shadowRoot.querySelector('#smart-opacity');
+    this.opacityValue = this.shadowRoot.querySelector('#smart-opacity-value');
+  }
+
+  setupEventListeners() {
+    this.shadowRoot.querySelector('.close-btn').addEventListener('click', () => this.cancel());
+    this.shadowRoot.querySelector('#cancel').addEventListener('click', () => this.cancel());
+    this.shadowRoot.querySelector('#apply').addEventListener('click', () => this.commit());
+
+    this.settings.addEventListener('input', (e) => this.handleFieldInput(e));
+    this.settings.addEventListener('change', (e) => this.handleFieldInput(e));
+
+    this.previewCheck.addEventListener('change', () => {
+      if (this.previewCheck.checked) {
+        this.schedulePreview(0);
+      } else {
+        this.previewToken++;
+        this.busy.classList.remove('visible');
+        this.restoreOriginal();
+        this.restoreSmartFilters();
+      }
+    });
+
+    this.smartCheck.addEventListener('change', () => {
+      this.smart = this.smartCheck.checked;
+      this.smartBlending.hidden = !this.smart;
+      this.refreshPreview(0);
+    });
+
+    this.blendSelect.addEventListener('change', () => {
+      this.blendMode = this.blendSelect.value;
+      this.refreshPreview(0);
+    });
+
+    this.opacityInput.addEventListener('input', () => {
+      this.opacity = parseInt(this.opacityInput.value) / 100;
+      this.opacityValue.textContent = `${this.opacityInput.value} %`;
+      this.refreshPreview(PREVIEW_DELAY);
+    });
+
+    this.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.cancel();
+      if (e.key === 'Enter') this.commit();
+    });
+  }
+
+  /**
+   * Open the dialog for a filter on a layer
+   * @param {Object} options - { smartFilter } to edit a stack entry,
+   *   { smartOnly } when the layer can't be filtered destructively
+   */
+  show(layer, type, selection = null, params = {}, options = {}) {
+    const editing = options.smartFilter || null;
+
+    this.layer = layer;
+    this.type = type;
+    this.selection = selection;
+    this.params = getFilterParams(type, editing ? editing.params : params);
+    this.original = null;
+    this.previewRegion = null;
+
+    // New filters default to smart once the layer has a stack
+    this.editingFilter = editing;
+    this.beforeFilters = cloneSmartFilters(layer.smartFilters);
+    this.smart = !!(editing || options.smartOnly || layer.smartFilters?.length);
+    this.blendMode = editing?.blendMode || 'normal';
+    this.opacity = editing?.opacity ?? 1;
+
+    this.smartCheck.checked = this.smart;
+    this.smartCheck.disabled = !!options.smartOnly;
+    this.smartToggle.hidden = !!editing;
+    this.smartBlending.hidden = !this.smart;
+    this.blendSelect.value = this.blendMode;
+    this.opacityInput.value = Math.round(this.opacity * 100);
+    this.opacityValue.textContent = `${Math.round(this.opacity * 100)} %`;
+
+    this.titleEl.textContent = FilterInfo[type].name;
+    this.renderSettings();
+    this.backdrop.classList.add('visible');
+
+    if (this.previewCheck.checked) {
+      this.schedulePreview(0);
+    }
+  }
+
+  hide() {
+    clearTimeout(this.previewTimer);
+    this.previewToken++;
+    this.busy.classList.remove('visible');
+    this.backdrop.classList.remove('visible');
+    this.layer = null;
+  }
+
+  renderSettings() {
+    const fields = FilterInfo[this.type].params;
+
+    if (fields.length === 0) {
+      this.settings.innerHTML = '<div class="empty">This filter has no options.</div>';
+      return;
+    }
+
+    this.settings.innerHTML = fields.map((field) => {
+      const value = this.params[field.key];
+
+      switch (field.type) {
+        case 'select':
+          return `
+            <div class="form-group">
+              <label class="form-label">${field.label}</label>
+              <select data-field="${field.key}">
+                ${field.options.map(option => `
+                  <option value="${option.value}" ${option.value === value ? 'selected' : ''}>${option.label}</option>
+                `).join('')}
+              </select>
+              <span></span>
+            </div>`;
+        case 'checkbox':
+          return `
+            <div class="form-group">
+              <label class="form-label">${field.label}</label>
+              <input type="checkbox" data-field="${field.key}" ${value ? 'checked' : ''} />
+              <span></span>
+            </div>`;
+        default:
+          return `
+            <div class="form-group">
+              <label class="form-label">${field.label}</label>
+              <input type="range" data-field="${field.key}" min="${field.min}" max="${field.max}"
+                     step="${field.step}" value="${value}" />
+              <span class="value" id="value-${field.key}">${value} ${field.unit}</span>
+            </div>`;
+      }
+    }).join('');
+  }
+
+  handleFieldInput(e) {
+    const key = e.target.dataset.field;
+    if (!key) return;
+
+    const field = FilterInfo[this.type].params.find(f => f.key === key);
+
+    if (field.type === 'checkbox') {
+      this.params[key] = e.target.checked;
+    } else if (field.type === 'select') {
+      this.params[key] = e.target.value;
+    } else {
+      this.params[key] = parseFloat(e.target.value);
+      this.shadowRoot.getElementById(`value-${key}`).textContent = `${this.params[key]} ${field.unit}`;
+    }
+
+    this.refreshPreview(PREVIEW_DELAY);
+  }
+
+  refreshPreview(delay) {
+    if (this.previewCheck.checked) {
+      this.schedulePreview(delay);
+    }
+  }
+
+  schedulePreview(delay) {
+    clearTimeout(this.previewTimer);
+    this.previewTimer = setTimeout(() => this.preview(), delay);
+  }
+
+  /**
+   * Filter the layer in the worker and draw the result in place
+   * Results from superseded runs are dropped.
+   */
+  async preview() {
+    if (!this.layer) return;
+
+    const token = ++this.previewToken;
+    this.restoreOriginal();
+
+    // Smart filters preview through the layer's own stack
+    if (this.smart) {
+      this.busy.classList.remove('visible');
+      this.layer.smartFilters = this.buildSmartFilters();
+      invalidateSmartFilters(this.layer);
+      this.eventBus.emit(Events.RENDER_REQUEST);
+      return;
+    }
+
+    this.restoreSmartFilters();
+
+    const region = getFilterRegion(this.layer, this.selection, getFilterPadding(this.type, this.params));
+    if (!region) return;
+
+    this.busy.classList.add('visible');
+
+    try {
+      const { before, after } = await filterLayerRegion(this.layer, region, this.type, this.params);
+      if (token !== this.previewToken || !this.layer) return;
+
+      this.original = before;
+      this.previewRegion = region;
+      this.layer.ctx.putImageData(after, region.x, region.y);
+      this.layer.dirty = true;
+      this.eventBus.emit(Events.RENDER_REQUEST);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Filter preview failed:', error);
+      }
+    } finally {
+      if (token === this.previewToken) {
+        this.busy.classList.remove('visible');
+      }
+    }
+  }
+
+  /**
+   * Put back the pixels the preview replaced
+   */
+  restoreOriginal() {
+    if (!this.original || !this.layer) return;
+
+    this.layer.ctx.putImageData(this.original, this.previewRegion.x, this.previewRegion.y);
+    this.layer.dirty = true;
+    this.original = null;
+    this.previewRegion = null;
+    this.eventBus.emit(Events.RENDER_REQUEST);
+  }
+
+  /**
+   * Put back the smart filter stack the dialog was opened with
+   */
+  restoreSmartFilters() {
+    if (!this.layer) return;
+
+    const before = JSON.stringify(this.beforeFilters);
+    if (JSON.stringify(this.layer.smartFilters) === before) return;
+
+    this.layer.smartFilters = cloneSmartFilters(this.beforeFilters);
+    invalidateSmartFilters(this.layer);
+    this.eventBus.emit(Events.RENDER_REQUEST);
+  }
+
+  /**
+   * The layer's stack with the dialog's filter added or updated
+   */
+  buildSmartFilters() {
+    const filter = createSmartFilter(this.type, structuredClone(this.params), {
+      id: this.editingFilter?.id,
+      enabled: this.editingFilter?.enabled ?? true,
+      blendMode: this.blendMode,
+      opacity: this.opacity
+    });
+
+    const filters = cloneSmartFilters(this.beforeFilters) || [];
+    const index = this.editingFilter ? filters.findIndex(f => f.id === this.editingFilter.id) : -1;
+
+    if (index >= 0) {
+      filters[index] = filter;
+    } else {
+      filters.push(filter);
+    }
+    return filters;
+  }
+
+  cancel() {
+    this.previewToken++;
+    this.restoreOriginal();
+    this.restoreSmartFilters();
+    this.hide();
+  }
+
+  /**
+   * Apply the filter for real, with progress and an undo step
+   */
+  commit() {
+    const layer = this.layer;
+    if (!layer) return;
+
+    const { type, params, selection } = this;
+    this.previewToken++;
+    this.restoreOriginal();
+
+    if (this.smart) {
+      const before = this.beforeFilters;
+      const after = this.buildSmartFilters();
+      const name = this.editingFilter ? 'Edit Smart Filter' : `Smart Filter: ${FilterInfo[type].name}`;
+
+      this.restoreSmartFilters();
+      this.hide();
+      getHistory().execute(new SetSmartFiltersCommand(layer.id, before, after, name));
+      return;
+    }
+
+    this.restoreSmartFilters();
+    this.hide();
+    applyFilterToLayer(layer, type, params, selection);
+  }
+}
+
+customElements.define('filter-dialog', FilterDialog);
+
+// Singleton instance
+let dialogInstance = null;
+
+/**
+ * Show the filter dialog for a layer
+ */
+export function showFilterDialog(layer, type, selection = null, params = {}, options = {}) {
+  if (!layer || !FilterInfo[type]) return;
+
+  if (!dialogInstance) {
+    dialogInstance = document.createElement('filter-dialog');
+    document.body.appendChild(dialogInstance);
+  }
+  dialogInstance.show(layer, type, selection, params, options);
+}
+
+/**
+ * Show the filter dialog for an entry of a layer's smart filter stack
+ */
+export function showSmartFilterDialog(layer, filterId) {
+  const filter = layer?.smartFilters?.find(f => f.id === filterId);
+  if (!filter) return;
+
+  showFilterDialog(layer, filter.type, null, filter.params, { smartFilter: filter });
+}
+
+export { FilterDialog };
@@ -0,0 +1,578 @@
+/**
+ * Layer Style Dialog - Edit a layer's effects with live preview
+ */
+
+import { getEventBus, Events } from '../../core/event-bus.js';
+import { getHistory } from '../../core/commands.js';
+import { BlendMode } from '../../document/layer.js';
+import {
+  LayerStyleType,
+  StrokePosition,
+  GlowSource,
+  GradientStyle,
+  createLayerStyle,
+  cloneLayerStyle,
+  hasActiveStyles,
+  SetLayerStyleCommand
+} from '../../document/layer-styles.js';
+
+const EFFECT_NAMES = {
+  [LayerStyleType.DROP_SHADOW]: 'Drop Shadow',
+  [LayerStyleType.INNER_SHADOW]: 'Inner Shadow',
+  [LayerStyleType.OUTER_GLOW]: 'Outer Glow',
+  [LayerStyleType.INNER_GLOW]: 'Inner Glow',
+  [LayerStyleType.STROKE]: 'Stroke',
+  [LayerStyleType.COLOR_OVERLAY]: 'Color Overlay',
+  [LayerStyleType.GRADIENT_OVERLAY]: 'Gradient Overlay'
+};
+
+// Controls shown for each effect, in order
+const EFFECT_FIELDS = {
+  [LayerStyleType.DROP_SHADOW]: ['blendMode', 'color', 'opacity', 'angle', 'distance', 'spread', 'size'],
+  [LayerStyleType.INNER_SHADOW]: ['blendMode', 'color', 'opacity', 'angle', 'distance', 'choke', 'size'],
+  [LayerStyleType.OUTER_GLOW]: ['blendMode', 'color', 'opacity', 'spread', 'size'],
+  [LayerStyleType.INNER_GLOW]: ['blendMode', 'color', 'opacity', 'source', 'choke', 'size'],
+  [LayerStyleType.STROKE]: ['size', 'position', 'blendMode', 'opacity', 'color'],
+  [LayerStyleType.COLOR_OVERLAY]: ['blendMode', 'color', 'opacity'],
+  [LayerStyleType.GRADIENT_OVERLAY]: ['blendMode', 'opacity', 'stops', 'reverse', 'style', 'angle', 'scale']
+};
+
+const FIELDS = {
+  blendMode: { label: 'Blend Mode', type: 'select', options: Object.values(BlendMode) },
+  color: { label: 'Color', type: 'color' },
+  opacity: { label: 'Opacity', type: 'range', min: 0, max: 100, unit: '%', scale: 100 },
+  angle: { label: 'Angle', type: 'range', min: -180, max: 180, unit: '°' },
+  distance: { label: 'Distance', type: 'range', min: 0, max: 100, unit: 'px' },
+  spread: { label: 'Spread', type: 'range', min: 0, max: 100, unit: '%' },
+  choke: { label: 'Choke', type: 'range', min: 0, max: 100, unit: '%' },
+  size: { label: 'Size', type: 'range', min: 0, max: 100, unit: 'px' },
+  scale: { label: 'Scale', type: 'range', min: 10, max: 150, unit: '%' },
+  position: { label: 'Position', type: 'select', options: Object.values(StrokePosition) },
+  source: { label: 'Source', type: 'select', options: Object.values(GlowSource) },
+  style: { label: 'Style', type: 'select', options: Object.values(GradientStyle) },
+  reverse: { label: 'Reverse', type: 'checkbox' },
+  stops: { label: 'Gradient', type: 'stops' }
+};
+
+const template = document.createElement('template');
+template.innerHTML = `
+  <style>
+    :host {
+      display: contents;
+    }
+
+    .dialog-backdrop {
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.6);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+      opacity: 0;
+      visibility: hidden;
+      transition: opacity 0.2s, visibility 0.2s;
+    }
+
+    .dialog-backdrop.visible {
+      opacity: 1;
+      visibility: visible;
+    }
+
+    .dialog {
+      background: var(--bg-panel, #2a2a2a);
+      border: 1px solid var(--border-color, #444);
+      border-radius: 8px;
+      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+      width: 560px;
+      max-width: calc(100vw - 32px);
+      transform: translateY(-20px);
+      transition: transform 0.2s;
+    }
+
+    .dialog-backdrop.visible .dialog {
+      transform: translateY(0);
+    }
+
+    .dialog-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 16px 20px;
+      border-bottom: 1px solid var(--border-color, #444);
+    }
+
+    .dialog-title {
+      font-size: 16px;
+      font-weight: 600;
+      color: var(--text-primary, #fff);
+    }
+
+    .close-btn {
+      width: 28px;
+      height: 28px;
+      border-radius: 4px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      color: var(--text-secondary, #888);
+      cursor: pointer;
+      transition: background 0.15s, color 0.15s;
+      background: transparent;
+      border: none;
+    }
+
+    .close-btn:hover {
+      background: var(--bg-hover, #333);
+      color: var(--text-primary, #fff);
+    }
+
+    .close-btn svg {
+      width: 18px;
+      height: 18px;
+      fill: currentColor;
+    }
+
+    .dialog-content {
+      display: grid;
+      grid-template-columns: 170px 1fr;
+      min-height: 300px;
+    }
+
+    .effect-list {
+      border-right: 1px solid var(--border-color, #444);
+      padding: 8px 0;
+    }
+
+    .effect-item {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 12px;
+      font-size: 13px;
+      color: var(--text-primary, #fff);
+      cursor: pointer;
+    }
+
+    .effect-item:hover {
+      background: var(--bg-hover, #333);
+    }
+
+    .effect-item.selected {
+      background: var(--layer-selected, #3b82f633);
+    }
+
+    .effect-settings {
+      padding: 16px 20px;
+    }
+
+    .form-group {
+      display: grid;
+      grid-template-columns: 90px 1fr 48px;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 10px;
+    }
+
+    .form-label {
+      font-size: 12px;
+      font-weight: 500;
+      color: var(--text-secondary, #888);
+    }
+
+    .value {
+      font-size: 12px;
+      color: var(--text-secondary, #888);
+      text-align: right;
+    }
+
+    select, input[type="color"] {
+      width: 100%;
+      padding: 4px 8px;
+      border: 1px solid var(--border-color, #444);
+      border-radius: 4px;
+      background: var(--bg-input, #1a1a1a);
+      color: var(--text-primary, #fff);
+      font-size: 13px;
+    }
+
+    input[type="color"] {
+      height: 28px;
+      padding: 2px;
+    }
+
+    input[type="range"] {
+      width: 100%;
+    }
+
+    .stops {
+      grid-column: 2 / 4;
+    }
+
+    .stop-row {
+      display: grid;
+      grid-template-columns: 40px 1fr 24px;
+      gap: 6px;
+      align-items: center;
+      margin-bottom: 4px;
+    }
+
+    .stop-row button, .add-stop {
+      background: var(--bg-secondary, #333);
+      color: var(--text-primary, #fff);
+      border: 1px solid var(--border-color, #444);
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 12px;
+    }
+
+    .empty {
+      font-size: 13px;
+      color: var(--text-secondary, #888);
+    }
+
+    .dialog-footer {
+      display: flex;
+      justify-content: flex-end;
+      gap: 10px;
+      padding: 16px 20px;
+      border-top: 1px solid var(--border-color, #444);
+    }
+
+    .btn {
+      padding: 8px 16px;
+      border-radius: 4px;
+      font-size: 13px;
+      font-weight: 500;
+      cursor: pointer;
+      transition: background 0.15s;
+      border: none;
+    }
+
+    .btn-secondary {
+      background: var(--bg-secondary, #333);
+      color: var(--text-primary, #fff);
+      border: 1px solid var(--border-color, #444);
+    }
+
+    .btn-secondary:hover {
+      background: var(--bg-hover, #3a3a3a);
+    }
+
+    .btn-primary {
+      background: var(--accent-color, #3b82f6);
+      color: #fff;
+    }
+
+    .btn-primary:hover {
+      background: var(--accent-hover, #2563eb);
+    }
+  </style>
+
+  <div class="dialog-backdrop">
+    <div class="dialog">
+      <div class="dialog-header">
+        <span class="dialog-title">Layer Style</span>
+        <button class="close-btn">
+          <svg viewBox="0 0 24 24">
+            <path d="M18.3 5.7a1 1 0 00-1.4 0L12 10.6 7.1 5.7a1 1 0 00-1.4 1.4L10.6 12l-4.9 4.9a1 1 0 101.4 1.4l4.9-4.9 4.9 4.9a1 1 0 001.4-1.4L13.4 12l4.9-4.9a1 1 0 000-1.4z"/>
+          </svg>
+        </button>
+      </div>
+      <div class="dialog-content">
+        <div class="effect-list">
+          ${Object.entries(EFFECT_NAMES).map(([type, name]) => `
+            <label class="effect-item" data-effect="${type}">
+              <input type="checkbox" data-toggle="${type}" />
+              ${name}
+            </label>
+          `).join('')}
+        </div>
+        <div class="effect-settings" id="settings"></div>
+      </div>
+      <div class="dialog-footer">
+        <button class="btn btn-secondary" id="cancel">Cancel</button>
+        <button class="btn btn-primary" id="ok">OK</button>
+      </div>
+    </div>
+  </div>
+`;
+
+class LayerStyleDialog extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(template.content.cloneNode(true));
+    this.eventBus = getEventBus();
+
+    this.layer = null;
+    this.beforeStyles = null;
+    this.styles = null;
+    this.selectedEffect = LayerStyleType.DROP_SHADOW;
+  }
+
+  connectedCallback() {
+    this.backdrop = this.shadowRoot.querySelector('.dialog-backdrop');
+    this.settings = this.shadowRoot.getElementById('settings');
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    this.shadowRoot.querySelector('.close-btn').addEventListener('click', () => this.cancel());
+    this.shadowRoot.querySelector('#cancel').addEventListener('click', () => this.cancel());
+    this.shadowRoot.querySelector('#ok').addEventListener('click', () => this.commit());
+
+    this.backdrop.addEventListener('click', (e) => {
+      if (e.target === this.backdrop) this.cancel();
+    });
+
+    // Effect list: checkbox toggles, row selects
+    this.shadowRoot.querySelector('.effect-list').addEventListener('click', (e) => {
+      const item = e.target.closest('[data-effect]');
+      if (!item) return;
+
+      const toggle = e.target.closest('[data-toggle]');
+      if (toggle) {
+        this.styles[toggle.dataset.toggle].enabled = toggle.checked;
+        this.preview();
+      }
+
+      this.selectEffect(item.dataset.effect);
+    });
+
+    this.settings.addEventListener('input', (e) => this.handleFieldInput(e));
+    this.settings.addEventListener('change', (e) => this.handleFieldInput(e));
+    this.settings.addEventListener('click', (e) => this.handleStopAction(e));
+
+    this.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.cancel();
+      if (e.key === 'Enter') this.commit();
+    });
+  }
+
+  /**
+   * Open the dialog for a layer
+   */
+  show(layer) {
+    this.layer = layer;
+    this.beforeStyles = cloneLayerStyle(layer.styles);
+    this.styles = createLayerStyle(layer.styles || {});
+
+    // Start on the first enabled effect
+    const enabled = Object.values(LayerStyleType).find(type => this.styles[type].enabled);
+    this.selectedEffect = enabled || LayerStyleType.DROP_SHADOW;
+
+    this.updateToggles();
+    this.selectEffect(this.selectedEffect);
+    this.backdrop.classList.add('visible');
+  }
+
+  hide() {
+    this.backdrop.classList.remove('visible');
+    this.layer = null;
+  }
+
+  updateToggles() {
+    this.shadowRoot.querySelectorAll('[data-toggle]').forEach(input => {
+      input.checked = this.styles[input.dataset.toggle].enabled;
+    });
+  }
+
+  selectEffect(type) {
+    this.selectedEffect = type;
+
+    this.shadowRoot.querySelectorAll('.effect-item').forEach(item => {
+      item.classList.toggle('selected', item.dataset.effect === type);
+    });
+
+    this.renderSettings();
+  }
+
+  renderSettings() {
+    const effect = this.styles[this.selectedEffect];
+
+    this.settings.innerHTML = EFFECT_FIELDS[this.selectedEffect].map(key => {
+      const field = FIELDS[key];
+      const value = effect[key];
+
+      switch (field.type) {
+        case 'select':
+          return `
+            <div class="form-group">
+              <label class="form-label">${field.label}</label>
+              <select data-field="${key}">
+                ${field.options.map(option => `
+                  <option value="${option}" ${option === value ? 'selected' : ''}>${this.formatOption(option)}</option>
+                `).join('')}
+              </select>
+              <span></span>
+            </div>`;
+        case 'color':
+          return `
+            <div class="form-group">
+              <label class="form-label">${field.label}</label>
+              <input type="color" data-field="${key}" value="${value}" />
+              <span></span>
+            </div>`;
+        case 'checkbox':
+          return `
+            <div class="form-group">
+              <label class="form-label">${field.label}</label>
+              <input type="checkbox" data-field="${key}" ${value ? 'checked' : ''} />
+              <span></span>
+            </div>`;
+        case 'stops':
+          return `
+            <div class="form-group">
+              <label class="form-label">${field.label}</label>
+              <div class="stops">
+                ${value.map((stop, index) => `
+                  <div class="stop-row">
+                    <input type="color" data-stop="${index}" data-stop-field="color" value="${stop.color}" />
+                    <input type="range" data-stop="${index}" data-stop-field="offset"
+                           min="0" max="100" value="${Math.round(stop.offset * 100)}" />
+                    <button data-remove-stop="${index}" title="Remove Stop" ${value.length <= 2 ? 'disabled' : ''}>&times;</button>
+                  </div>
+                `).join('')}
+                <button class="add-stop" data-add-stop>Add Stop</button>
+              </div>
+            </div>`;
+        default: {
+          const scale = field.scale || 1;
+          const display = Math.round(value * scale);
+          return `
+            <div class="form-group">
+              <label class="form-label">${field.label}</label>
+              <input type="range" data-field="${key}" min="${field.min}" max="${field.max}" value="${display}" />
+              <span class="value" id="value-${key}">${display}${field.unit}</span>
+            </div>`;
+        }
+      }
+    }).join('');
+  }
+
+  formatOption(option) {
+    return option.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+  }
+
+  handleFieldInput(e) {
+    const effect = this.styles[this.selectedEffect];
+    const target = e.target;
+
+    if (target.dataset.stop !== undefined) {
+      const stop = effect.stops[parseInt(target.dataset.stop)];
+      stop[target.dataset.stopField] = target.dataset.stopField === 'offset'
+        ? parseInt(target.value) / 100
+        : target.value;
+    } else if (target.dataset.field) {
+      const key = target.dataset.field;
+      const field = FIELDS[key];
+
+      if (field.type === 'range') {
+        const value = parseInt(target.value);
+        effect[key] = value / (field.scale || 1);
+        this.shadowRoot.getElementById(`value-${key}`).textContent = `${value}${field.unit}`;
+      } else if (field.type === 'checkbox') {
+        effect[key] = target.checked;
+      } else {
+        effect[key] = target.value;
+      }
+    } else {
+      return;
+    }
+
+    // Editing an effect turns it on
+    if (!effect.enabled) {
+      effect.enabled = true;
+      this.updateToggles();
+    }
+
+    this.preview();
+  }
+
+  handleStopAction(e) {
+    const effect = this.styles[this.selectedEffect];
+    const remove = e.target.closest('[data-remove-stop]');
+    const add = e.target.closest('[data-add-stop]');
+
+    if (remove && effect.stops.length > 2) {
+      effect.stops.splice(parseInt(remove.dataset.removeStop), 1);
+    } else if (add) {
+      // New stop halfway along the widest gap
+      const sorted = [...effect.stops].sort((a, b) => a.offset - b.offset);
+      let gap = { start: sorted[0], end: sorted[1] };
+      for (let i = 1; i < sorted.length - 1; i++) {
+        if (sorted[i + 1].offset - sorted[i].offset > gap.end.offset - gap.start.offset) {
+          gap = { start: sorted[i], end: sorted[i + 1] };
+        }
+      }
+      effect.stops.push({ offset: (gap.start.offset + gap.end.offset) / 2, color: gap.start.color });
+    } else {
+      return;
+    }
+
+    this.renderSettings();
+    this.preview();
+  }
+
+  /**
+   * Show the edited styles on the canvas
+   */
+  preview() {
+    if (!this.layer) return;
+
+    this.layer.styles = hasActiveStyles(this.styles) ? cloneLayerStyle(this.styles) : null;
+    this.eventBus.emit(Events.RENDER_REQUEST);
+  }
+
+  cancel() {
+    if (this.layer) {
+      this.layer.styles = cloneLayerStyle(this.beforeStyles);
+      this.eventBus.emit(Events.RENDER_REQUEST);
+    }
+    this.hide();
+  }
+
+  /**
+   * Keep the edited styles and record them in history
+   */
+  commit() {
+    const layer = this.layer;
+    if (!layer) return;
+
+    const afterStyles = hasActiveStyles(this.styles) ? cloneLayerStyle(this.styles) : null;
+    layer.styles = cloneLayerStyle(afterStyles);
+    this.hide();
+
+    this.eventBus.emit(Events.LAYER_UPDATED, { layer });
+    this.eventBus.emit(Events.RENDER_REQUEST);
+
+    if (JSON.stringify(this.beforeStyles) === JSON.stringify(afterStyles)) return;
+
+    const command = new SetLayerStyleCommand(layer.id, this.beforeStyles, afterStyles);
+    getHistory().push(command);
+  }
+}
+
+customElements.define('layer-style-dialog', LayerStyleDialog);
+
+// Singleton instance
+let dialogInstance = null;
+
+/**
+ * Show the layer style dialog for a layer
+ */
+export function showLayerStyleDialog(layer) {
+  if (!layer) return;
+
+  if (!dialogInstance) {
+    dialogInstance = document.createElement('layer-style-dialog');
+    document.body.appendChild(dialogInstance);
+  }
+  dialogInstance.show(layer);
+}
+
+export { LayerStyleDialog };
@@ -0,0 +1,689 @@
+/**
+ * Refine Edge Dialog - Refine a selection's edge around hair, fur and soft detail
+ * The preview works on a scaled-down copy; the full-size mask is built on OK.
+ * With the refine radius brush on, drag over the preview to mark areas to
+ * refine (Alt-drag erases).
+ */
+
+import {
+  RefineEdgeView,
+  RefineEdgeViewNames,
+  RefineEdgeOutput,
+  RefineEdgeOutputNames,
+  RefineEdgeDefaults,
+  refineMask,
+  decontaminateColors
+} from '../../document/refine-edge.js';
+
+const PREVIEW_WIDTH = 480;
+const PREVIEW_HEIGHT = 320;
+
+const SLIDERS = [
+  { key: 'radius', label: 'Radius', min: 0, max: 100, step: 1, unit: 'px' },
+  { key: 'smooth', label: 'Smooth', min: 0, max: 100, step: 1, unit: '' },
+  { key: 'feather', label: 'Feather', min: 0, max: 100, step: 0.5, unit: 'px' },
+  { key: 'contrast', label: 'Contrast', min: 0, max: 100, step: 1, unit: '%' },
+  { key: 'shiftEdge', label: 'Shift Edge', min: -100, max: 100, step: 1, unit: '%' }
+];
+
+const template = document.createElement('template');
+template.innerHTML = `
+  <style>
+    :host {
+      display: contents;
+    }
+
+    .dialog-backdrop {
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.3);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+      opacity: 0;
+      visibility: hidden;
+      transition: opacity 0.2s, visibility 0.2s;
+    }
+
+    .dialog-backdrop.visible {
+      opacity: 1;
+      visibility: visible;
+    }
+
+    .dialog {
+      background: var(--bg-panel, #2a2a2a);
+      border: 1px solid var(--border-color, #444);
+      border-radius: 8px;
+      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+      transform: translateY(-20px);
+      transition: transform 0.2s;
+    }
+
+    .dialog-backdrop.visible .dialog {
+      transform: translateY(0);
+    }
+
+    .dialog-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 16px 20px;
+      border-bottom: 1px solid var(--border-color, #444);
+    }
+
+    .dialog-title {
+      font-size: 16px;
+      font-weight: 600;
+      color: var(--text-primary, #fff);
+    }
+
+    .close-btn {
+      width: 28px;
+      height: 28px;
+      border-radius: 4px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      color: var(--text-secondary, #888);
+      cursor: pointer;
+      transition: background 0.15s, color 0.15s;
+      background: transparent;
+      border: none;
+    }
+
+    .close-btn:hover {
+      background: var(--bg-hover, #333);
+      color: var(--text-primary, #fff);
+    }
+
+    .close-btn svg {
+      width: 18px;
+      height: 18px;
+      fill: currentColor;
+    }
+
+    .dialog-content {
+      display: flex;
+      gap: 20px;
+      padding: 20px;
+    }
+
+    .preview {
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      width: ${PREVIEW_WIDTH}px;
+      height: ${PREVIEW_HEIGHT}px;
+      background: #000;
+      border: 1px solid var(--border-color, #444);
+    }
+
+    .preview canvas.brushing {
+      cursor: crosshair;
+    }
+
+    .controls {
+      width: 300px;
+    }
+
+    .section-title {
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+      color: var(--text-secondary, #888);
+      margin: 4px 0 8px;
+    }
+
+    .form-group {
+      display: grid;
+      grid-template-columns: 80px 1fr 50px;
+      gap: 10px;
+      align-items: center;
+      margin-bottom: 10px;
+    }
+
+    .form-label {
+      font-size: 12px;
+      font-weight: 500;
+      color: var(--text-secondary, #888);
+    }
+
+    .value {
+      font-size: 12px;
+      color: var(--text-secondary, #888);
+      text-align: right;
+    }
+
+    select, input[type="number"] {
+      width: 100%;
+      padding: 4px 8px;
+      border: 1px solid var(--border-color, #444);
+      border-radius: 4px;
+      background: var(--bg-input, #1a1a1a);
+      color: var(--text-primary, #fff);
+      font-size: 13px;
+      box-sizing: border-box;
+    }
+
+    input[type="range"] {
+      width: 100%;
+    }
+
+    input:disabled {
+      opacity: 0.5;
+    }
+
+    .check-row {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 10px;
+      font-size: 13px;
+      color: var(--text-primary, #fff);
+    }
+
+    .dialog-footer {
+      display: flex;
+      justify-content: flex-end;
+      gap: 10px;
+      padding: 16px 20px;
+      border-top: 1px solid var(--border-color, #444);
+    }
+
+    .btn {
+      padding: 8px 16px;
+      border-radius: 4px;
+      font-size: 13px;
+      font-weight: 500;
+      cursor: pointer;
+      transition: background 0.15s;
+      border: none;
+    }
+
+    .btn-secondary {
+      background: var(--bg-secondary, #333);
+      color: var(--text-primary, #fff);
+      border: 1px solid var(--border-color, #444);
+    }
+
+    .btn-secondary:hover {
+      background: var(--bg-hover, #3a3a3a);
+    }
+
+    .btn-primary {
+      background: var(--accent-color, #3b82f6);
+      color: #fff;
+    }
+
+    .btn-primary:hover {
+      background: var(--accent-hover, #2563eb);
+    }
+  </style>
+
+  <div class="dialog-backdrop">
+    <div class="dialog">
+      <div class="dialog-header">
+        <span class="dialog-title">Refine Edge</span>
+        <button class="close-btn">
+          <svg viewBox="0 0 24 24">
+            <path d="M18.3 5.7a1 1 0 00-1.4 0L12 10.6 7.1 5.7a1 1 0 00-1.4 1.4L10.6 12l-4.9 4.9a1 1 0 101.4 1.4l4.9-4.9 4.9 4.9a1 1 0 001.4-1.4L13.4 12l4.9-4.9a1 1 0 000-1.4z"/>
+          </svg>
+        </button>
+      </div>
+      <div class="dialog-content">
+        <div class="preview">
+          <canvas id="preview-canvas"></canvas>
+        </div>
+        <div class="controls">
+          <div class="form-group">
+            <label class="form-label">View</label>
+            <select id="view">
+              ${Object.entries(RefineEdgeViewNames).map(([value, name]) => `
+                <option value="${value}">${name}</option>
+              `).join('')}
+            </select>
+            <span></span>
+          </div>
+
+          <div class="section-title">Edge Detection</div>
+          ${SLIDERS.slice(0, 1).map(renderSlider).join('')}
+          <label class="check-row">
+            <input type="checkbox" id="brush" />
+            Refine Radius brush
+          </label>
+          <div class="form-group">
+            <label class="form-label">Brush Size</label>
+            <input type="range" id="brush-size" min="1" max="200" step="1" value="20" />
+            <span class="value" id="brush-size-value">20px</span>
+          </div>
+
+          <div class="section-title">Adjust Edge</div>
+          ${SLIDERS.slice(1).map(renderSlider).join('')}
+
+          <div class="section-title">Output</div>
+          <label class="check-row">
+            <input type="checkbox" id="decontaminate" />
+            Decontaminate Colors
+          </label>
+          <div class="form-group">
+            <label class="form-label">Amount</label>
+            <input type="range" id="decontaminateAmount" min="0" max="100" step="1"
+              value="${RefineEdgeDefaults.decontaminateAmount}" disabled />
+            <span class="value" id="decontaminateAmount-value">${RefineEdgeDefaults.decontaminateAmount}%</span>
+          </div>
+          <div class="form-group">
+            <label class="form-label">Output To</label>
+            <select id="output">
+              ${Object.entries(RefineEdgeOutputNames).map(([value, name]) => `
+                <option value="${value}">${name}</option>
+              `).join('')}
+            </select>
+            <span></span>
+          </div>
+        </div>
+      </div>
+      <div class="dialog-footer">
+        <button class="btn btn-secondary" id="reset">Reset</button>
+        <button class="btn btn-secondary" id="cancel">Cancel</button>
+        <button class="btn btn-primary" id="apply">OK</button>
+      </div>
+    </div>
+  </div>
+`;
+
+function renderSlider({ key, label, min, max, step, unit }) {
+  return `
+    <div class="form-group">
+      <label class="form-label">${label}</label>
+      <input type="range" id="${key}" min="${min}" max="${max}" step="${step}" value="${RefineEdgeDefaults[key]}" />
+      <span class="value" id="${key}-value">${RefineEdgeDefaults[key]}${unit}</span>
+    </div>
+  `;
+}
+
+class RefineEdgeDialog extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(template.content.cloneNode(true));
+
+    // Full-size pixels and selection, and scaled-down copies for the preview
+    this.imageData = null;
+    this.mask = null;
+    this.previewImage = null;
+    this.previewMask = null;
+    this.scale = 1;
+    this.onApply = null;
+
+    // Preview pixels painted with the refine radius brush
+    this.refineArea = null;
+    this.isBrushing = false;
+    this.brushSize = 20;
+
+    this.settings = { ...RefineEdgeDefaults };
+    this.view = RefineEdgeView.OVERLAY;
+    this.pendingPreview = false;
+  }
+
+  connectedCallback() {
+    this.setupElements();
+    this.setupEventListeners();
+  }
+
+  setupElements() {
+    this.backdrop = this.shadowRoot.querySelector('.dialog-backdrop');
+    this.canvas = this.shadowRoot.getElementById('preview-canvas');
+    this.ctx = this.canvas.getContext('2d');
+    this.viewSelect = this.shadowRoot.getElementById('view');
+    this.brushCheck = this.shadowRoot.getElementById('brush');
+    this.brushSizeInput = this.shadowRoot.getElementById('brush-size');
+    this.brushSizeValue = this.shadowRoot.getElementById('brush-size-value');
+    this.decontaminateCheck = this.shadowRoot.getElementById('decontaminate');
+    this.amountInput = this.shadowRoot.getElementById('decontaminateAmount');
+    this.amountValue = this.shadowRoot.getElementById('decontaminateAmount-value');
+    this.outputSelect = this.shadowRoot.getElementById('output');
+  }
+
+  setupEventListeners() {
+    this.shadowRoot.querySelector('.close-btn').addEventListener('click', () => this.hide());
+    this.shadowRoot.getElementById('cancel').addEventListener('click', () => this.hide());
+    this.shadowRoot.getElementById('apply').addEventListener('click', () => this.commit());
+    this.shadowRoot.getElementById('reset').addEventListener('click', () => this.reset());
+
+    for (const { key, unit } of SLIDERS) {
+      const input = this.shadowRoot.getElementById(key);
+      const value = this.shadowRoot.getElementById(`${key}-value`);
+      input.addEventListener('input', () => {
+        this.settings[key] = parseFloat(input.value);
+        value.textContent = `${input.value}${unit}`;
+        this.schedulePreview();
+      });
+    }
+
+    this.viewSelect.addEventListener('change', () => {
+      this.view = this.viewSelect.value;
+      this.schedulePreview();
+    });
+
+    this.brushCheck.addEventListener('change', () => {
+      this.canvas.classList.toggle('brushing', this.brushCheck.checked);
+    });
+
+    this.brushSizeInput.addEventListener('input', () => {
+      this.brushSize = parseInt(this.brushSizeInput.value);
+      this.brushSizeValue.textContent = `${this.brushSize}px`;
+    });
+
+    this.decontaminateCheck.addEventListener('change', () => {
+      this.settings.decontaminate = this.decontaminateCheck.checked;
+      this.updateDecontaminateControls();
+      this.schedulePreview();
+    });
+
+    this.amountInput.addEventListener('input', () => {
+      this.settings.decontaminateAmount = parseInt(this.amountInput.value);
+      this.amountValue.textContent = `${this.amountInput.value}%`;
+      this.schedulePreview();
+    });
+
+    this.outputSelect.addEventListener('change', () => {
+      this.settings.output = this.outputSelect.value;
+    });
+
+    this.canvas.addEventListener('pointerdown', (e) => {
+      if (!this.brushCheck.checked || !this.refineArea) return;
+      this.isBrushing = true;
+      this.canvas.setPointerCapture(e.pointerId);
+      this.paintRefineArea(e);
+    });
+    this.canvas.addEventListener('pointermove', (e) => {
+      if (this.isBrushing) this.paintRefineArea(e);
+    });
+    this.canvas.addEventListener('pointerup', () => {
+      this.isBrushing = false;
+    });
+
+    this.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hide();
+      if (e.key === 'Enter') this.commit();
+    });
+  }
+
+  /**
+   * Open the dialog for a selection
+   * @param {ImageData} imageData - Pixels the selection is on
+   * @param {Uint8ClampedArray} mask - Selection mask, same size as imageData
+   * @param {Object} options - { onApply({ mask, imageData, output }) }
+   */
+  show(imageData, mask, options = {}) {
+    this.imageData = imageData;
+    this.mask = mask;
+    this.onApply = options.onApply || null;
+    this.createPreviewData();
+
+    // Settings carry over between uses; the refine area starts empty
+    this.syncControls();
+    this.updatePreview();
+    this.backdrop.classList.add('visible');
+  }
+
+  hide() {
+    this.backdrop.classList.remove('visible');
+    this.imageData = null;
+    this.mask = null;
+    this.previewImage = null;
+    this.previewMask = null;
+    this.refineArea = null;
+    this.onApply = null;
+  }
+
+  reset() {
+    this.settings = { ...RefineEdgeDefaults };
+    this.refineArea?.fill(0);
+    this.syncControls();
+    this.updatePreview();
+  }
+
+  syncControls() {
+    for (const { key, unit } of SLIDERS) {
+      this.shadowRoot.getElementById(key).value = this.settings[key];
+      this.shadowRoot.getElementById(`${key}-value`).textContent = `${this.settings[key]}${unit}`;
+    }
+    this.viewSelect.value = this.view;
+    this.decontaminateCheck.checked = this.settings.decontaminate;
+    this.amountInput.value = this.settings.decontaminateAmount;
+    this.amountValue.textContent = `${this.settings.decontaminateAmount}%`;
+    this.updateDecontaminateControls();
+  }
+
+  /**
+   * Decontaminated colors only exist on a layer, so they can't go to a selection
+   */
+  updateDecontaminateControls() {
+    const { decontaminate } = this.settings;
+    this.amountInput.disabled = !decontaminate;
+
+    const selectionOption = this.outputSelect.querySelector(`option[value="${RefineEdgeOutput.SELECTION}"]`);
+    selectionOption.disabled = decontaminate;
+    if (decontaminate && this.settings.output === RefineEdgeOutput.SELECTION) {
+      this.settings.output = RefineEdgeOutput.NEW_LAYER;
+    }
+    this.outputSelect.value = this.settings.output;
+  }
+
+  /**
+   * Scale the image and mask down to fit the preview box
+   */
+  createPreviewData() {
+    const { width, height } = this.imageData;
+    this.scale = Math.min(1, PREVIEW_WIDTH / width, PREVIEW_HEIGHT / height);
+    const previewWidth = Math.max(1, Math.round(width * this.scale));
+    const previewHeight = Math.max(1, Math.round(height * this.scale));
+
+    const full = new OffscreenCanvas(width, height);
+    const fullCtx = full.getContext('2d');
+    const small = new OffscreenCanvas(previewWidth, previewHeight);
+    const ctx = small.getContext('2d', { willReadFrequently: true });
+
+    fullCtx.putImageData(this.imageData, 0, 0);
+    ctx.drawImage(full, 0, 0, previewWidth, previewHeight);
+    this.previewImage = ctx.getImageData(0, 0, previewWidth, previewHeight);
+
+    // Draw the mask as gray pixels to scale it the same way
+    const maskImage = fullCtx.createImageData(width, height);
+    for (let i = 0; i < this.mask.length; i++) {
+      const p = i * 4;
+      maskImage.data[p] = maskImage.data[p + 1] = maskImage.data[p + 2] = this.mask[i];
+      maskImage.data[p + 3] = 255;
+    }
+    fullCtx.putImageData(maskImage, 0, 0);
+    ctx.clearRect(0, 0, previewWidth, previewHeight);
+    ctx.drawImage(full, 0, 0, previewWidth, previewHeight);
+    const scaledMask = ctx.getImageData(0, 0, previewWidth, previewHeight).data;
+
+    this.previewMask = new Uint8ClampedArray(previewWidth * previewHeight);
+    for (let i = 0; i < this.previewMask.length; i++) {
+      this.previewMask[i] = scaledMask[i * 4];
+    }
+
+    this.refineArea = new Uint8Array(previewWidth * previewHeight);
+    this.canvas.width = previewWidth;
+    this.canvas.height = previewHeight;
+  }
+
+  /**
+   * Mark (or with Alt, unmark) preview pixels under the brush for refinement
+   */
+  paintRefineArea(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const cx = (e.clientX - rect.left) * this.canvas.width / rect.width;
+    const cy = (e.clientY - rect.top) * this.canvas.height / rect.height;
+    const radius = Math.max(1, this.brushSize / 2 * this.scale);
+    const value = e.altKey ? 0 : 1;
+    const { width, height } = this.canvas;
+
+    for (let y = Math.max(0, Math.floor(cy - radius)); y <= Math.min(height - 1, Math.ceil(cy + radius)); y++) {
+      for (let x = Math.max(0, Math.floor(cx - radius)); x <= Math.min(width - 1, Math.ceil(cx + radius)); x++) {
+        if ((x - cx) ** 2 + (y - cy) ** 2 <= radius * radius) {
+          this.refineArea[y * width + x] = value;
+        }
+      }
+    }
+
+    this.schedulePreview();
+  }
+
+  hasRefineArea() {
+    return this.refineArea?.some(v => v) ?? false;
+  }
+
+  /**
+   * Redraw on the next frame, so slider drags don't queue up previews
+   */
+  schedulePreview() {
+    if (this.pendingPreview) return;
+    this.pendingPreview = true;
+    requestAnimationFrame(() => {
+      this.pendingPreview = false;
+      this.updatePreview();
+    });
+  }
+
+  /**
+   * Redraw the preview in the current view mode
+   */
+  updatePreview() {
+    if (!this.previewImage) return;
+
+    const image = this.previewImage;
+    const { width, height } = image;
+    const mask = refineMask(this.previewMask, image, this.settings, {
+      refineArea: this.hasRefineArea() ? this.refineArea : null,
+      brushSize: this.brushSize,
+      scale: this.scale
+    });
+    const source = this.settings.decontaminate
+      ? decontaminateColors(image, mask, this.settings.decontaminateAmount, Math.max(8, this.settings.radius) * this.scale)
+      : image;
+
+    const output = this.ctx.createImageData(width, height);
+    const out = output.data;
+    const data = source.data;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const p = i * 4;
+        const a = mask[i] / 255;
+
+        switch (this.view) {
+          case RefineEdgeView.ON_BLACK:
+          case RefineEdgeView.ON_WHITE: {
+            const matte = this.view === RefineEdgeView.ON_WHITE ? 255 : 0;
+            for (let c = 0; c < 3; c++) out[p + c] = data[p + c] * a + matte * (1 - a);
+            break;
+          }
+
+          case RefineEdgeView.OVERLAY:
+            // Unselected areas tinted red, like Quick Mask
+            out[p] = data[p] * a + (data[p] * 0.5 + 127.5) * (1 - a);
+            out[p + 1] = data[p + 1] * a + data[p + 1] * 0.5 * (1 - a);
+            out[p + 2] = data[p + 2] * a + data[p + 2] * 0.5 * (1 - a);
+            break;
+
+          default: {
+            // Marching ants: dashed line where the selection crosses 50%
+            const inside = mask[i] >= 128;
+            const edge = (x > 0 && (mask[i - 1] >= 128) !== inside) ||
+              (y > 0 && (mask[i - width] >= 128) !== inside);
+            if (edge) {
+              const dash = ((x + y) >> 2) & 1 ? 255 : 0;
+              out[p] = out[p + 1] = out[p + 2] = dash;
+            } else {
+              out[p] = data[p];
+              out[p + 1] = data[p + 1];
+              out[p + 2] = data[p + 2];
+            }
+          }
+        }
+        out[p + 3] = 255;
+
+        // Show the refine radius brush strokes
+        if (this.refineArea[i]) {
+          out[p + 1] = Math.min(255, out[p + 1] + 60);
+        }
+      }
+    }
+
+    this.ctx.putImageData(output, 0, 0);
+  }
+
+  /**
+   * Upscale the brushed refine area to the full image size
+   */
+  getFullRefineArea() {
+    if (!this.hasRefineArea()) return null;
+
+    const { width, height } = this.imageData;
+    const previewWidth = this.canvas.width;
+    const previewHeight = this.canvas.height;
+    const area = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      const py = Math.min(previewHeight - 1, Math.floor(y * previewHeight / height));
+      for (let x = 0; x < width; x++) {
+        const px = Math.min(previewWidth - 1, Math.floor(x * previewWidth / width));
+        area[y * width + x] = this.refineArea[py * previewWidth + px];
+      }
+    }
+
+    return area;
+  }
+
+  /**
+   * Build the full-size result and hand it to the caller
+   */
+  commit() {
+    if (!this.imageData) return;
+
+    const mask = refineMask(this.mask, this.imageData, this.settings, {
+      refineArea: this.getFullRefineArea(),
+      brushSize: this.brushSize
+    });
+    const imageData = this.settings.decontaminate
+      ? decontaminateColors(this.imageData, mask, this.settings.decontaminateAmount, Math.max(8, this.settings.radius))
+      : this.imageData;
+    const output = this.settings.output;
+    const onApply = this.onApply;
+
+    this.hide();
+    onApply?.({ mask, imageData, output });
+  }
+}
+
+customElements.define('refine-edge-dialog', RefineEdgeDialog);
+
+// Singleton instance
+let dialogInstance = null;
+
+/**
+ * Show the Refine Edge dialog
+ * @param {ImageData} imageData - Pixels the selection is on
+ * @param {Uint8ClampedArray} mask - Selection mask
+ * @param {Object} options - { onApply({ mask, imageData, output }) }
+ */
+export function showRefineEdgeDialog(imageData, mask, options = {}) {
+  if (!imageData || !mask) return;
+
+  if (!dialogInstance) {
+    dialogInstance = document.createElement('refine-edge-dialog');
+    document.body.appendChild(dialogInstance);
+  }
+  dialogInstance.show(imageData, mask, options);
+}
+
+export { RefineEdgeDialog };
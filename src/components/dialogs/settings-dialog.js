@@ -408,6 +408,19 @@ template.innerHTML = `
               <option value="512">512px (High performance)</option>
             </select>
           </div>
+
+          <div class="setting-row">
+            <div class="setting-info">
+              <div class="setting-label">History memory</div>
+              <div class="setting-description">Older undo steps beyond this are moved to disk</div>
+            </div>
+            <select class="select" id="history-memory">
+              <option value="134217728">128 MB</option>
+              <option value="268435456" selected>256 MB</option>
+              <option value="536870912">512 MB</option>
+              <option value="1073741824">1 GB</option>
+            </select>
+          </div>
         </div>
 
         <!-- Storage -->
@@ -461,6 +474,7 @@ export class SettingsDialog extends HTMLElement {
     const autosaveInterval = this.shadowRoot.getElementById('autosave-interval');
     const gpuToggle = this.shadowRoot.getElementById('gpu-toggle');
     const tileSize = this.shadowRoot.getElementById('tile-size');
+    const historyMemory = this.shadowRoot.getElementById('history-memory');
     const persistBtn = this.shadowRoot.getElementById('persist-btn');
 
     closeBtn.addEventListener('click', () => this.close());
@@ -505,6 +519,12 @@ export class SettingsDialog extends HTMLElement {
       await saveSetting('tileSize', parseInt(e.target.value));
     });
 
+    // History memory budget
+    historyMemory.addEventListener('change', async (e) => {
+      await saveSetting('historyMemory', parseInt(e.target.value));
+      getEventBus().emit('settings:historyMemory', { bytes: parseInt(e.target.value) });
+    });
+
     // Persistent storage
     persistBtn.addEventListener('click', async () => {
       const granted = await requestPersistentStorage();
@@ -550,6 +570,10 @@ export class SettingsDialog extends HTMLElement {
     const tileSize = settings.tileSize || 256;
     this.shadowRoot.getElementById('tile-size').value = tileSize;
 
+    // History memory budget
+    const historyMemory = settings.historyMemory || 268435456;
+    this.shadowRoot.getElementById('history-memory').value = historyMemory;
+
     // Persistent storage status
     const persisted = await isStoragePersistent();
     this.updatePersistStatus(persisted);
@@ -368,16 +368,18 @@ const SHORTCUT_CATEGORIES = {
   tools: {
     name: 'Tools',
     shortcuts: [
-      { id: 'tool.brush', action: 'Brush Tool', default: 'B' },
+      { id: 'tool.brush', action: 'Brush / Mixer Brush', default: 'B' },
+      { id: 'tool.smudge', action: 'Smudge Tool', default: 'R' },
       { id: 'tool.eraser', action: 'Eraser Tool', default: 'E' },
       { id: 'tool.move', action: 'Move Tool', default: 'V' },
       { id: 'tool.marquee', action: 'Marquee Selection', default: 'M' },
-      { id: 'tool.lasso', action: 'Lasso Selection', default: 'L' },
+      { id: 'tool.lasso', action: 'Lasso / Polygonal / Magnetic Lasso', default: 'L' },
       { id: 'tool.wand', action: 'Magic Wand', default: 'W' },
       { id: 'tool.eyedropper', action: 'Eyedropper', default: 'I' },
       { id: 'tool.fill', action: 'Fill Tool', default: 'G' },
       { id: 'tool.gradient', action: 'Gradient Tool', default: 'Shift+G' },
-      { id: 'tool.crop', action: 'Crop Tool', default: 'C' }
+      { id: 'tool.crop', action: 'Crop Tool', default: 'C' },
+      { id: 'tool.text', action: 'Text Tool', default: 'T' }
     ]
   },
   file: {
@@ -406,7 +408,10 @@ const SHORTCUT_CATEGORIES = {
     shortcuts: [
       { id: 'select.all', action: 'Select All', default: 'Ctrl+A' },
       { id: 'select.deselect', action: 'Deselect', default: 'Ctrl+D' },
-      { id: 'select.inverse', action: 'Inverse Selection', default: 'Ctrl+Shift+I' }
+      { id: 'select.inverse', action: 'Inverse Selection', default: 'Ctrl+Shift+I' },
+      { id: 'select.transform', action: 'Transform Selection', default: 'Ctrl+Alt+T' },
+      { id: 'select.refineEdge', action: 'Refine Edge', default: 'Ctrl+Alt+R' },
+      { id: 'select.quickMask', action: 'Quick Mask', default: 'Q' }
     ]
   },
   view: {
@@ -160,6 +160,50 @@ template.innerHTML = `
       background: var(--bg-hover);
       color: var(--text-primary);
     }
+
+    .gradient-preview {
+      height: 16px;
+      border: 1px solid var(--border-color);
+      border-radius: 4px;
+      margin-bottom: 12px;
+    }
+
+    .gradient-stop {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 8px;
+    }
+
+    .gradient-stop input[type="range"] {
+      flex: 1;
+    }
+
+    .gradient-stop .control-value {
+      width: 32px;
+      text-align: right;
+      font-size: 11px;
+    }
+
+    .stop-btn {
+      padding: 2px 6px;
+      font-size: 11px;
+      background: var(--bg-input);
+      border: 1px solid var(--border-color);
+      border-radius: 4px;
+      color: var(--text-secondary);
+      cursor: pointer;
+    }
+
+    .stop-btn:hover:not(:disabled) {
+      background: var(--bg-hover);
+      color: var(--text-primary);
+    }
+
+    .stop-btn:disabled {
+      opacity: 0.4;
+      cursor: default;
+    }
   </style>
 
   <div class="panel-header">
@@ -209,6 +253,14 @@ export class AdjustmentsPanel extends HTMLElement {
         this.handleInputChange(e);
       }
     });
+
+    // Gradient stop add/remove buttons
+    this.shadowRoot.getElementById('panel-content').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-stop-action]');
+      if (button) {
+        this.handleStopAction(button.dataset.stopAction, parseInt(button.dataset.stopIndex, 10));
+      }
+    });
   }
 
   subscribeToEvents() {
@@ -271,7 +323,8 @@ export class AdjustmentsPanel extends HTMLElement {
       'black-white': 'Black & White',
       'invert': 'Invert',
       'posterize': 'Posterize',
-      'threshold': 'Threshold'
+      'threshold': 'Threshold',
+      'gradient-map': 'Gradient Map'
     };
 
     let html = `<div class="adjustment-type">${typeNames[type] || type}</div>`;
@@ -307,6 +360,9 @@ export class AdjustmentsPanel extends HTMLElement {
       case AdjustmentType.PHOTO_FILTER:
         html += this.renderPhotoFilterControls(params);
         break;
+      case AdjustmentType.GRADIENT_MAP:
+        html += this.renderGradientMapControls(params);
+        break;
       case AdjustmentType.CURVES:
         html += `<div class="empty-state" style="padding: 10px 0;">Curves editor coming soon</div>`;
         break;
@@ -463,10 +519,116 @@ export class AdjustmentsPanel extends HTMLElement {
     `;
   }
 
+  renderGradientMapControls(params) {
+    const stops = params.stops || AdjustmentDefaults[AdjustmentType.GRADIENT_MAP].stops;
+
+    const stopRows = stops.map((stop, index) => {
+      const position = Math.round(stop.offset * 100);
+      return `
+        <div class="gradient-stop">
+          <input type="color" class="color-picker" value="${stop.color}"
+                 data-stop-index="${index}" data-stop-field="color">
+          <input type="range" class="slider-control" value="${position}" min="0" max="100"
+                 data-stop-index="${index}" data-stop-field="offset">
+          <span class="control-value" data-stop-value="${index}">${position}%</span>
+          <button class="stop-btn" data-stop-action="remove" data-stop-index="${index}"
+                  title="Remove Stop" ${stops.length <= 2 ? 'disabled' : ''}>&times;</button>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="control-section">
+        <div class="section-title">Gradient</div>
+        <div class="gradient-preview" id="gradient-preview"
+             style="background: ${this.getGradientCSS(stops, params.reverse)}"></div>
+        ${stopRows}
+        <button class="stop-btn" data-stop-action="add" data-stop-index="-1">+ Add Stop</button>
+      </div>
+      ${this.renderCheckbox('reverse', 'Reverse', params.reverse)}
+      ${this.renderCheckbox('dither', 'Dither', params.dither)}
+    `;
+  }
+
+  getGradientCSS(stops, reverse = false) {
+    const sorted = [...stops].sort((a, b) => a.offset - b.offset);
+    const colorStops = sorted.map(stop => `${stop.color} ${Math.round(stop.offset * 100)}%`);
+    return `linear-gradient(to ${reverse ? 'left' : 'right'}, ${colorStops.join(', ')})`;
+  }
+
+  handleStopInput(input) {
+    const params = this.currentLayer.adjustment.params;
+    const index = parseInt(input.dataset.stopIndex, 10);
+    const field = input.dataset.stopField;
+
+    // Replace the array so clones sharing the old one are unaffected
+    params.stops = params.stops.map((stop, i) => {
+      if (i !== index) return stop;
+      return field === 'offset'
+        ? { ...stop, offset: parseFloat(input.value) / 100 }
+        : { ...stop, color: input.value };
+    });
+
+    if (field === 'offset') {
+      const valueDisplay = this.shadowRoot.querySelector(`[data-stop-value="${index}"]`);
+      if (valueDisplay) {
+        valueDisplay.textContent = `${input.value}%`;
+      }
+    }
+
+    const preview = this.shadowRoot.getElementById('gradient-preview');
+    if (preview) {
+      preview.style.background = this.getGradientCSS(params.stops, params.reverse);
+    }
+  }
+
+  handleStopAction(action, index) {
+    if (!this.currentLayer || !this.currentLayer.adjustment) return;
+
+    const params = this.currentLayer.adjustment.params;
+    const stops = params.stops || [];
+
+    if (action === 'add') {
+      // Insert a new stop in the middle of the widest gap
+      const sorted = [...stops].sort((a, b) => a.offset - b.offset);
+      let gapStart = sorted[0];
+      let gapEnd = sorted[1];
+      for (let i = 1; i < sorted.length - 1; i++) {
+        if (sorted[i + 1].offset - sorted[i].offset > gapEnd.offset - gapStart.offset) {
+          gapStart = sorted[i];
+          gapEnd = sorted[i + 1];
+        }
+      }
+      params.stops = [...stops, {
+        offset: (gapStart.offset + gapEnd.offset) / 2,
+        color: gapStart.color
+      }];
+    } else if (action === 'remove') {
+      if (stops.length <= 2) return;
+      params.stops = stops.filter((_, i) => i !== index);
+    } else {
+      return;
+    }
+
+    this.showAdjustmentControls(this.currentLayer);
+    this.currentLayer.dirty = true;
+    this.eventBus.emit(Events.ADJUSTMENT_LAYER_UPDATED, { layer: this.currentLayer });
+    this.eventBus.emit(Events.RENDER_REQUEST);
+  }
+
   handleInputChange(e) {
     if (!this.currentLayer || !this.currentLayer.adjustment) return;
 
     const input = e.target;
+
+    if (input.dataset.stopField) {
+      this.handleStopInput(input);
+      this.currentLayer.dirty = true;
+      this.eventBus.emit(Events.ADJUSTMENT_LAYER_UPDATED, { layer: this.currentLayer });
+      this.eventBus.emit(Events.RENDER_REQUEST);
+      return;
+    }
+
     const name = input.name;
     let value;
 
@@ -495,6 +657,13 @@ export class AdjustmentsPanel extends HTMLElement {
       this.currentLayer.adjustment.params[name] = value;
     }
 
+    // Keep the gradient map preview in sync with the reverse option
+    const preview = this.shadowRoot.getElementById('gradient-preview');
+    if (preview && name === 'reverse') {
+      const params = this.currentLayer.adjustment.params;
+      preview.style.background = this.getGradientCSS(params.stops, params.reverse);
+    }
+
     // Mark layer as dirty and request re-render
     this.currentLayer.dirty = true;
     this.eventBus.emit(Events.ADJUSTMENT_LAYER_UPDATED, { layer: this.currentLayer });
@@ -5,6 +5,10 @@
 import { getStore } from '../../core/store.js';
 import { getEventBus, Events } from '../../core/event-bus.js';
 import { getBrushPresetManager } from '../../tools/brush/brush-presets.js';
+import { getBrushTipManager } from '../../tools/brush/brush-tips.js';
+import { MaskModeNames } from '../../tools/brush/brush-effects.js';
+import { StabilizerModeNames } from '../../tools/brush/stroke-stabilizer.js';
+import { getLoadingIndicator } from '../shared/loading-indicator.js';
 
 const template = document.createElement('template');
 template.innerHTML = `
@@ -112,6 +116,41 @@ template.innerHTML = `
       text-align: right;
     }
 
+    .effect-section {
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .effect-section summary {
+      padding: 6px 12px;
+      cursor: pointer;
+      font-size: 11px;
+      font-weight: 600;
+      color: var(--text-secondary);
+      background: var(--bg-secondary);
+    }
+
+    .effect-section summary:hover {
+      background: var(--bg-hover);
+    }
+
+    .effect-section .brush-settings {
+      border-bottom: none;
+    }
+
+    .setting-row label {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      font-size: 11px;
+      color: var(--text-secondary);
+    }
+
+    .setting-select {
+      flex: 1;
+      min-width: 0;
+      font-size: 11px;
+    }
+
     .category-section {
       margin-bottom: 8px;
     }
@@ -228,10 +267,14 @@ template.innerHTML = `
   <div class="panel-header">
     <span class="panel-title">Brushes</span>
     <div class="panel-actions">
+      <button class="action-btn" data-action="import" title="Import Brushes (.abr, .json)">
+        <svg viewBox="0 0 24 24"><path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/></svg>
+      </button>
       <button class="action-btn" data-action="new" title="New Brush">
         <svg viewBox="0 0 24 24"><path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/></svg>
       </button>
     </div>
+    <input type="file" id="import-input" accept=".abr,.json" multiple hidden>
   </div>
 
   <div class="brush-preview">
@@ -261,6 +304,124 @@ template.innerHTML = `
     </div>
   </div>
 
+  <details class="effect-section">
+    <summary>Color Dynamics</summary>
+    <div class="brush-settings">
+      <div class="setting-row">
+        <label><input type="checkbox" data-section="colorDynamics" data-key="enabled"> Enabled</label>
+        <label><input type="checkbox" data-section="colorDynamics" data-key="perTip"> Apply per tip</label>
+      </div>
+      <div class="setting-row">
+        <span class="setting-label">FG/BG</span>
+        <input type="range" class="setting-slider" data-section="colorDynamics" data-key="foregroundBackgroundJitter" min="0" max="100">
+        <span class="setting-value" data-unit="%"></span>
+      </div>
+      <div class="setting-row">
+        <label><input type="checkbox" data-section="colorDynamics" data-key="foregroundBackgroundPressure"> FG/BG by pen pressure</label>
+      </div>
+      <div class="setting-row">
+        <span class="setting-label">Hue</span>
+        <input type="range" class="setting-slider" data-section="colorDynamics" data-key="hueJitter" min="0" max="100">
+        <span class="setting-value" data-unit="%"></span>
+      </div>
+      <div class="setting-row">
+        <span class="setting-label">Saturation</span>
+        <input type="range" class="setting-slider" data-section="colorDynamics" data-key="saturationJitter" min="0" max="100">
+        <span class="setting-value" data-unit="%"></span>
+      </div>
+      <div class="setting-row">
+        <span class="setting-label">Brightness</span>
+        <input type="range" class="setting-slider" data-section="colorDynamics" data-key="brightnessJitter" min="0" max="100">
+        <span class="setting-value" data-unit="%"></span>
+      </div>
+    </div>
+  </details>
+
+  <details class="effect-section">
+    <summary>Texture</summary>
+    <div class="brush-settings">
+      <div class="setting-row">
+        <label><input type="checkbox" data-section="texture" data-key="enabled"> Enabled</label>
+        <label><input type="checkbox" data-section="texture" data-key="invert"> Invert</label>
+      </div>
+      <div class="setting-row">
+        <span class="setting-label">Pattern</span>
+        <select class="setting-select" data-section="texture" data-key="patternId" data-tips></select>
+      </div>
+      <div class="setting-row">
+        <span class="setting-label">Scale</span>
+        <input type="range" class="setting-slider" data-section="texture" data-key="scale" min="10" max="400">
+        <span class="setting-value" data-unit="%"></span>
+      </div>
+      <div class="setting-row">
+        <span class="setting-label">Depth</span>
+        <input type="range" class="setting-slider" data-section="texture" data-key="depth" min="0" max="100">
+        <span class="setting-value" data-unit="%"></span>
+      </div>
+      <div class="setting-row">
+        <span class="setting-label">Mode</span>
+        <select class="setting-select" data-section="texture" data-key="mode" data-modes></select>
+      </div>
+    </div>
+  </details>
+
+  <details class="effect-section">
+    <summary>Dual Brush</summary>
+    <div class="brush-settings">
+      <div class="setting-row">
+        <label><input type="checkbox" data-section="dualBrush" data-key="enabled"> Enabled</label>
+      </div>
+      <div class="setting-row">
+        <span class="setting-label">Tip</span>
+        <select class="setting-select" data-section="dualBrush" data-key="tipId" data-tips>
+          <option value="">Round</option>
+        </select>
+      </div>
+      <div class="setting-row">
+        <span class="setting-label">Mode</span>
+        <select class="setting-select" data-section="dualBrush" data-key="mode" data-modes></select>
+      </div>
+      <div class="setting-row">
+        <span class="setting-label">Size</span>
+        <input type="range" class="setting-slider" data-section="dualBrush" data-key="size" min="1" max="200">
+        <span class="setting-value" data-unit="%"></span>
+      </div>
+      <div class="setting-row">
+        <span class="setting-label">Scatter</span>
+        <input type="range" class="setting-slider" data-section="dualBrush" data-key="scatter" min="0" max="100">
+        <span class="setting-value" data-unit="%"></span>
+      </div>
+      <div class="setting-row">
+        <span class="setting-label">Count</span>
+        <input type="range" class="setting-slider" data-section="dualBrush" data-key="count" min="1" max="16">
+        <span class="setting-value" data-unit=""></span>
+      </div>
+    </div>
+  </details>
+
+  <details class="effect-section">
+    <summary>Stabilizer</summary>
+    <div class="brush-settings">
+      <div class="setting-row">
+        <span class="setting-label">Mode</span>
+        <select class="setting-select" data-section="stabilizer" data-key="mode" data-stabilizer-modes></select>
+      </div>
+      <div class="setting-row">
+        <span class="setting-label">Length</span>
+        <input type="range" class="setting-slider" data-section="stabilizer" data-key="length" min="1" max="300">
+        <span class="setting-value" data-unit="px"></span>
+      </div>
+      <div class="setting-row">
+        <span class="setting-label">Strength</span>
+        <input type="range" class="setting-slider" data-section="stabilizer" data-key="strength" min="0" max="100">
+        <span class="setting-value" data-unit="%"></span>
+      </div>
+      <div class="setting-row">
+        <label><input type="checkbox" data-section="stabilizer" data-key="catchUp"> Catch up on stroke end</label>
+      </div>
+    </div>
+  </details>
+
   <div id="presets-container"></div>
 `;
 
@@ -284,6 +445,7 @@ export class BrushesPanel extends HTMLElement {
     this.presetManager = getBrushPresetManager();
 
     this.setupEventListeners();
+    this.setupEffectControls();
     this.render();
     this.updatePreview();
   }
@@ -331,6 +493,19 @@ export class BrushesPanel extends HTMLElement {
       this.updateBrushOption('flow', flow);
     });
 
+    // Import brush files
+    const importInput = this.shadowRoot.getElementById('import-input');
+    this.shadowRoot.querySelector('[data-action="import"]').addEventListener('click', () => {
+      importInput.click();
+    });
+    importInput.addEventListener('change', async () => {
+      const files = Array.from(importInput.files);
+      importInput.value = '';
+      for (const file of files) {
+        await this.importFile(file);
+      }
+    });
+
     // Listen for tool changes
     this.unsubscribers.push(
       this.eventBus.on(Events.TOOL_CHANGED, () => this.syncFromStore()),
@@ -338,6 +513,115 @@ export class BrushesPanel extends HTMLElement {
     );
   }
 
+  /**
+   * Bind the color dynamics, texture, dual brush and stabilizer controls to the active preset
+   */
+  setupEffectControls() {
+    this.fillTipOptions();
+    for (const select of this.shadowRoot.querySelectorAll('[data-modes]')) {
+      for (const [value, name] of Object.entries(MaskModeNames)) {
+        select.add(new Option(name, value));
+      }
+    }
+    for (const select of this.shadowRoot.querySelectorAll('[data-stabilizer-modes]')) {
+      for (const [value, name] of Object.entries(StabilizerModeNames)) {
+        select.add(new Option(name, value));
+      }
+    }
+
+    for (const input of this.shadowRoot.querySelectorAll('[data-section]')) {
+      const event = input.type === 'range' ? 'input' : 'change';
+      input.addEventListener(event, () => {
+        const preset = this.presetManager.getActivePreset();
+        if (!preset) return;
+
+        const { section, key } = input.dataset;
+        if (input.type === 'checkbox') {
+          preset[section][key] = input.checked;
+        } else if (input.type === 'range') {
+          preset[section][key] = parseInt(input.value);
+        } else {
+          preset[section][key] = input.value || null;
+        }
+        this.updateEffectValue(input);
+
+        this.eventBus.emit(Events.TOOL_OPTIONS_CHANGED, {
+          tool: 'brush',
+          options: this.store.state.tools.options.brush
+        });
+      });
+    }
+
+    this.syncEffectControls();
+  }
+
+  /**
+   * List the brush tips in the pattern and dual tip menus
+   */
+  fillTipOptions() {
+    const tips = getBrushTipManager().getAllTips();
+    for (const select of this.shadowRoot.querySelectorAll('[data-tips]')) {
+      for (const option of [...select.options]) {
+        if (option.value) option.remove();
+      }
+      for (const tip of tips) {
+        select.add(new Option(tip.name, tip.id));
+      }
+    }
+  }
+
+  /**
+   * Show the active preset's effect settings
+   */
+  syncEffectControls() {
+    const preset = this.presetManager.getActivePreset();
+    if (!preset) return;
+
+    for (const input of this.shadowRoot.querySelectorAll('[data-section]')) {
+      const value = preset[input.dataset.section][input.dataset.key];
+      if (input.type === 'checkbox') {
+        input.checked = !!value;
+      } else {
+        input.value = value ?? '';
+      }
+      this.updateEffectValue(input);
+    }
+  }
+
+  updateEffectValue(input) {
+    const label = input.nextElementSibling;
+    if (input.type === 'range' && label?.dataset.unit !== undefined) {
+      label.textContent = `${input.value}${label.dataset.unit}`;
+    }
+  }
+
+  /**
+   * Import a Photoshop .abr file or our own exported JSON presets
+   */
+  async importFile(file) {
+    const indicator = getLoadingIndicator();
+    const category = file.name.replace(/\.[^/.]+$/, '');
+
+    try {
+      let count;
+      if (/\.abr$/i.test(file.name)) {
+        count = this.presetManager.importABR(await file.arrayBuffer(), category).length;
+      } else {
+        const json = JSON.parse(await file.text());
+        this.presetManager.importPresets(json);
+        count = json.length;
+      }
+
+      this.fillTipOptions();
+      this.syncEffectControls();
+      this.render();
+      indicator.showToast('success', 'Brushes imported', `${count} brushes from ${file.name}`);
+    } catch (error) {
+      console.error('Brush import error:', error);
+      indicator.showToast('error', 'Brush import failed', `${file.name}: ${error.message}`);
+    }
+  }
+
   updateBrushOption(option, value) {
     this.store.state.tools.options.brush[option] = value;
     this.eventBus.emit(Events.TOOL_OPTIONS_CHANGED, {
@@ -505,6 +789,7 @@ export class BrushesPanel extends HTMLElement {
     });
 
     this.syncFromStore();
+    this.syncEffectControls();
     this.render();
   }
 }
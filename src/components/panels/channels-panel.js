@@ -0,0 +1,371 @@
+/**
+ * Channels Panel - Lists the composite color channels and saved alpha channels,
+ * and saves or loads selections
+ */
+
+import { getEventBus, Events } from '../../core/event-bus.js';
+import { SelectionMode } from '../../document/selection.js';
+import { ColorChannels } from '../../document/channels.js';
+
+const THUMB_WIDTH = 32;
+const THUMB_HEIGHT = 24;
+
+const template = document.createElement('template');
+template.innerHTML = `
+  <style>
+    :host {
+      display: block;
+      background: var(--bg-panel);
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .panel-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 8px 12px;
+      background: var(--bg-secondary);
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .panel-title {
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+      color: var(--text-secondary);
+    }
+
+    .panel-actions {
+      display: flex;
+      gap: 4px;
+    }
+
+    .action-btn {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 24px;
+      height: 24px;
+      border-radius: 4px;
+      color: var(--text-secondary);
+      transition: all 0.15s;
+    }
+
+    .action-btn:hover:not(:disabled) {
+      background: var(--bg-hover);
+      color: var(--text-primary);
+    }
+
+    .action-btn:disabled {
+      opacity: 0.3;
+      cursor: not-allowed;
+    }
+
+    .action-btn svg {
+      width: 16px;
+      height: 16px;
+      fill: currentColor;
+    }
+
+    .channels-list {
+      max-height: 200px;
+      overflow-y: auto;
+    }
+
+    .channel-item {
+      display: flex;
+      align-items: center;
+      padding: 6px 12px;
+      gap: 8px;
+      cursor: pointer;
+      font-size: 12px;
+      border-bottom: 1px solid var(--border-color);
+      transition: background-color 0.15s;
+    }
+
+    .channel-item:hover {
+      background: var(--layer-hover);
+    }
+
+    .channel-item.active {
+      background: var(--layer-selected);
+    }
+
+    .channel-thumbnail {
+      width: 32px;
+      height: 24px;
+      background: var(--bg-secondary);
+      border: 1px solid var(--border-color);
+    }
+
+    .channel-name {
+      flex: 1;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .channel-name input {
+      width: 100%;
+      font-size: 12px;
+    }
+
+    .panel-footer {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 6px 12px;
+      font-size: 11px;
+      color: var(--text-secondary);
+    }
+
+    .panel-footer select {
+      font-size: 11px;
+    }
+
+    .empty-state {
+      padding: 20px;
+      text-align: center;
+      color: var(--text-secondary);
+      font-size: 12px;
+    }
+  </style>
+
+  <div class="panel-header">
+    <span class="panel-title">Channels</span>
+    <div class="panel-actions">
+      <button class="action-btn" id="save-selection-btn" title="Save Selection as Channel">
+        <svg viewBox="0 0 24 24"><path d="M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm-7 14c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5z"/></svg>
+      </button>
+      <button class="action-btn" id="delete-channel-btn" title="Delete Channel">
+        <svg viewBox="0 0 24 24"><path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/></svg>
+      </button>
+    </div>
+  </div>
+
+  <div class="channels-list" id="channels-list"></div>
+
+  <div class="panel-footer">
+    <select id="mode-select" title="Combine with Current Selection">
+      <option value="${SelectionMode.REPLACE}">New Selection</option>
+      <option value="${SelectionMode.ADD}">Add to Selection</option>
+      <option value="${SelectionMode.SUBTRACT}">Subtract from Selection</option>
+      <option value="${SelectionMode.INTERSECT}">Intersect with Selection</option>
+    </select>
+    <div class="panel-actions">
+      <button class="action-btn" id="load-selection-btn" title="Load Channel as Selection">
+        <svg viewBox="0 0 24 24"><path d="M3 5h2V3H3v2zm0 8h2v-2H3v2zm4 8h2v-2H7v2zM3 9h2V7H3v2zm10-6h-2v2h2V3zm6 0v2h2V3h-2zM5 21v-2H3v2h2zm-2-4h2v-2H3v2zM9 3H7v2h2V3zm2 18h2v-2h-2v2zm8-8h2v-2h-2v2zm0 8h2v-2h-2v2zm0-12h2V7h-2v2zm0 8h2v-2h-2v2zm-4 4h2v-2h-2v2zm0-16h2V3h-2v2z"/></svg>
+      </button>
+    </div>
+  </div>
+`;
+
+export class ChannelsPanel extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(template.content.cloneNode(true));
+
+    this.eventBus = null;
+    this.unsubscribers = [];
+
+    // Channel picked in the list (panel state only; channels aren't edited)
+    this.selectedId = 'rgb';
+    this.thumbnailTimer = null;
+  }
+
+  connectedCallback() {
+    this.eventBus = getEventBus();
+
+    this.setupEventListeners();
+    this.subscribeToState();
+    this.render();
+  }
+
+  disconnectedCallback() {
+    this.unsubscribers.forEach(unsub => unsub());
+    clearTimeout(this.thumbnailTimer);
+  }
+
+  setupEventListeners() {
+    const app = () => window.photoEditorApp;
+    const mode = () => this.shadowRoot.getElementById('mode-select').value;
+
+    this.shadowRoot.getElementById('save-selection-btn').addEventListener('click', () => {
+      app()?.saveSelection();
+    });
+
+    this.shadowRoot.getElementById('delete-channel-btn').addEventListener('click', () => {
+      app()?.deleteChannel(this.selectedId);
+    });
+
+    this.shadowRoot.getElementById('load-selection-btn').addEventListener('click', () => {
+      app()?.loadSelection(this.selectedId, mode());
+    });
+
+    const list = this.shadowRoot.getElementById('channels-list');
+
+    list.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-channel-id]');
+      if (!item || e.target.tagName === 'INPUT') return;
+
+      this.selectedId = item.dataset.channelId;
+      this.render();
+    });
+
+    // Double-click loads a channel as a selection; on an alpha's name it renames
+    list.addEventListener('dblclick', (e) => {
+      const item = e.target.closest('[data-channel-id]');
+      if (!item) return;
+
+      if (e.target.closest('.channel-name') && app()?.document?.getChannel(item.dataset.channelId)) {
+        this.startRename(item);
+      } else {
+        app()?.loadSelection(item.dataset.channelId, mode());
+      }
+    });
+  }
+
+  subscribeToState() {
+    // Color channel thumbnails follow the composite, at most a few times a second
+    const refreshThumbnails = () => {
+      clearTimeout(this.thumbnailTimer);
+      this.thumbnailTimer = setTimeout(() => this.drawThumbnails(), 300);
+    };
+
+    this.unsubscribers.push(
+      this.eventBus.on(Events.CHANNELS_CHANGED, () => this.render()),
+      this.eventBus.on(Events.SELECTION_CHANGED, () => this.updateButtons()),
+      this.eventBus.on(Events.SELECTION_CLEARED, () => this.updateButtons()),
+      this.eventBus.on(Events.DOCUMENT_CREATED, () => this.render()),
+      this.eventBus.on(Events.DOCUMENT_OPENED, () => this.render()),
+      this.eventBus.on(Events.LAYER_UPDATED, refreshThumbnails),
+      this.eventBus.on(Events.LAYER_ADDED, refreshThumbnails),
+      this.eventBus.on(Events.LAYER_REMOVED, refreshThumbnails)
+    );
+  }
+
+  /**
+   * Replace an alpha channel's name with an input until Enter, Escape or blur
+   */
+  startRename(item) {
+    const nameEl = item.querySelector('.channel-name');
+    const channelId = item.dataset.channelId;
+    const channel = window.photoEditorApp?.document?.getChannel(channelId);
+    if (!nameEl || !channel) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = channel.name;
+    nameEl.replaceChildren(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+
+      if (commit) {
+        window.photoEditorApp?.renameChannel(channelId, input.value.trim());
+      }
+      this.render();
+    };
+
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  updateButtons() {
+    const app = window.photoEditorApp;
+    const doc = app?.document;
+
+    this.shadowRoot.getElementById('save-selection-btn').disabled = !app?.selection?.hasSelection();
+    this.shadowRoot.getElementById('delete-channel-btn').disabled = !doc?.getChannel(this.selectedId);
+    this.shadowRoot.getElementById('load-selection-btn').disabled = !doc;
+  }
+
+  render() {
+    const doc = window.photoEditorApp?.document;
+    const listEl = this.shadowRoot.getElementById('channels-list');
+
+    if (!doc) {
+      listEl.innerHTML = '<div class="empty-state">No document</div>';
+      this.updateButtons();
+      return;
+    }
+
+    // Fall back to the composite when the picked alpha was deleted
+    const channels = [...ColorChannels, ...doc.channels];
+    if (!channels.some(c => c.id === this.selectedId)) {
+      this.selectedId = 'rgb';
+    }
+
+    listEl.innerHTML = channels.map(channel => `
+      <div class="channel-item ${channel.id === this.selectedId ? 'active' : ''}" data-channel-id="${channel.id}">
+        <canvas class="channel-thumbnail" width="${THUMB_WIDTH}" height="${THUMB_HEIGHT}"></canvas>
+        <span class="channel-name"></span>
+      </div>
+    `).join('');
+
+    // Names are user input, so they are set as text
+    listEl.querySelectorAll('.channel-name').forEach((nameEl, i) => {
+      nameEl.textContent = channels[i].name;
+    });
+
+    this.updateButtons();
+    this.drawThumbnails();
+  }
+
+  /**
+   * Draw the channel thumbnails: color channels from a scaled-down composite,
+   * alpha channels by sampling their masks
+   */
+  drawThumbnails() {
+    const doc = window.photoEditorApp?.document;
+    if (!doc) return;
+
+    const composite = new OffscreenCanvas(THUMB_WIDTH, THUMB_HEIGHT);
+    const compositeCtx = composite.getContext('2d');
+    compositeCtx.drawImage(doc.getCompositedCanvas(true), 0, 0, THUMB_WIDTH, THUMB_HEIGHT);
+    const pixels = compositeCtx.getImageData(0, 0, THUMB_WIDTH, THUMB_HEIGHT).data;
+
+    for (const canvas of this.shadowRoot.querySelectorAll('.channel-thumbnail')) {
+      const channelId = canvas.closest('[data-channel-id]').dataset.channelId;
+      const ctx = canvas.getContext('2d');
+
+      if (channelId === 'rgb') {
+        ctx.drawImage(composite, 0, 0);
+        continue;
+      }
+
+      const color = ColorChannels.find(c => c.id === channelId);
+      const alpha = doc.getChannel(channelId);
+      if (!color && !alpha) continue;
+
+      const image = ctx.createImageData(THUMB_WIDTH, THUMB_HEIGHT);
+      for (let y = 0; y < THUMB_HEIGHT; y++) {
+        for (let x = 0; x < THUMB_WIDTH; x++) {
+          const i = y * THUMB_WIDTH + x;
+          let value;
+          if (color) {
+            value = pixels[i * 4 + color.offset];
+          } else {
+            const sx = Math.floor((x + 0.5) * alpha.width / THUMB_WIDTH);
+            const sy = Math.floor((y + 0.5) * alpha.height / THUMB_HEIGHT);
+            value = alpha.data[sy * alpha.width + sx];
+          }
+          image.data.set([value, value, value, 255], i * 4);
+        }
+      }
+      ctx.putImageData(image, 0, 0);
+    }
+  }
+}
+
+customElements.define('channels-panel', ChannelsPanel);
@@ -1,10 +1,16 @@
 /**
- * History Panel - Displays undo/redo history
+ * History Panel - Displays undo/redo history, snapshots and branches
  */
 
 import { getStore } from '../../core/store.js';
 import { getEventBus, Events } from '../../core/event-bus.js';
 import { getHistory } from '../../core/commands.js';
+import { getSnapshotManager } from '../../document/snapshots.js';
+import { saveSetting } from '../../storage/project-store.js';
+
+const HISTORY_ICON = '<svg class="history-icon" viewBox="0 0 24 24"><path d="M17 3H7c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h10c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm0 16H7V5h10v14z"/></svg>';
+const SNAPSHOT_ICON = '<svg class="history-icon" viewBox="0 0 24 24"><path d="M12 15.2a3.2 3.2 0 1 0 0-6.4 3.2 3.2 0 0 0 0 6.4zM9 2 7.17 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2h-3.17L15 2H9z"/></svg>';
+const BRANCH_ICON = '<svg class="history-icon" viewBox="0 0 24 24"><path d="M6 3a3 3 0 0 0-1 5.83v6.34A3 3 0 1 0 7 15.2V13c0-1.1.9-2 2-2h6a4 4 0 0 0 4-4v-.17A3 3 0 1 0 17 6.8V7c0 1.1-.9 2-2 2H9c-.73 0-1.41.2-2 .54V8.83A3 3 0 0 0 6 3z"/></svg>';
 
 const template = document.createElement('template');
 template.innerHTML = `
@@ -92,6 +98,59 @@ template.innerHTML = `
       opacity: 0.5;
     }
 
+    .history-item.branch-step {
+      padding-left: 36px;
+    }
+
+    .branch-header {
+      display: flex;
+      align-items: center;
+      padding: 4px 12px 4px 24px;
+      gap: 8px;
+      cursor: pointer;
+      font-size: 11px;
+      color: var(--text-secondary);
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .branch-header:hover {
+      background: var(--layer-hover);
+    }
+
+    .snapshot-item {
+      display: flex;
+      align-items: center;
+      padding: 6px 12px;
+      gap: 8px;
+      cursor: pointer;
+      font-size: 12px;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .snapshot-item:hover {
+      background: var(--layer-hover);
+    }
+
+    .snapshot-item .action-btn {
+      width: 20px;
+      height: 20px;
+      visibility: hidden;
+    }
+
+    .snapshot-item:hover .action-btn {
+      visibility: visible;
+    }
+
+    .snapshot-item input {
+      width: 100%;
+      font-size: 12px;
+    }
+
+    .action-btn.active {
+      background: var(--layer-selected);
+      color: var(--text-primary);
+    }
+
     .history-icon {
       width: 16px;
       height: 16px;
@@ -138,6 +197,15 @@ template.innerHTML = `
   <div class="panel-header">
     <span class="panel-title">History</span>
     <div class="panel-actions">
+      <button class="action-btn" id="snapshot-btn" title="Create New Snapshot">
+        ${SNAPSHOT_ICON}
+      </button>
+      <button class="action-btn" id="new-document-btn" title="Create New Document from Current State">
+        <svg viewBox="0 0 24 24"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm2 14h-3v3h-2v-3H8v-2h3v-3h2v3h3v2zm-3-7V3.5L18.5 9H13z"/></svg>
+      </button>
+      <button class="action-btn" id="branching-btn" title="Keep Undone Steps as Branches">
+        ${BRANCH_ICON}
+      </button>
       <button class="action-btn" id="undo-btn" title="Undo (Ctrl+Z)">
         <svg viewBox="0 0 24 24"><path d="M12.5 8c-2.65 0-5.05.99-6.9 2.6L2 7v9h9l-3.62-3.62c1.39-1.16 3.16-1.88 5.12-1.88 3.54 0 6.55 2.31 7.6 5.5l2.37-.78C21.08 11.03 17.15 8 12.5 8z"/></svg>
       </button>
@@ -164,13 +232,18 @@ export class HistoryPanel extends HTMLElement {
     this.store = null;
     this.eventBus = null;
     this.history = null;
+    this.snapshots = null;
     this.unsubscribers = [];
+
+    // Branches whose steps are listed
+    this.expandedBranches = new Set();
   }
 
   connectedCallback() {
     this.store = getStore();
     this.eventBus = getEventBus();
     this.history = getHistory();
+    this.snapshots = getSnapshotManager();
 
     this.setupEventListeners();
     this.subscribeToState();
@@ -191,69 +264,217 @@ export class HistoryPanel extends HTMLElement {
       this.history.redo();
     });
 
+    this.shadowRoot.getElementById('snapshot-btn').addEventListener('click', () => {
+      const doc = window.photoEditorApp?.document;
+      if (doc) {
+        this.snapshots.create(doc);
+      }
+    });
+
+    this.shadowRoot.getElementById('new-document-btn').addEventListener('click', () => {
+      window.photoEditorApp?.newDocumentFromSnapshot();
+    });
+
+    this.shadowRoot.getElementById('branching-btn').addEventListener('click', () => {
+      const enabled = !this.history.branching;
+      this.history.setBranching(enabled);
+      saveSetting('historyBranching', enabled);
+      this.render();
+    });
+
+    const list = this.shadowRoot.getElementById('history-list');
+
     // History item clicks
-    this.shadowRoot.getElementById('history-list').addEventListener('click', (e) => {
+    list.addEventListener('click', (e) => {
+      if (e.target.tagName === 'INPUT') return;
+
+      const action = e.target.closest('[data-action]');
+      const snapshot = e.target.closest('[data-snapshot-id]');
+      const branchStep = e.target.closest('[data-branch-id][data-index]');
+      const branchHeader = e.target.closest('[data-branch-id]');
       const item = e.target.closest('[data-index]');
-      if (item) {
+
+      if (action && snapshot) {
+        this.handleSnapshotAction(action.dataset.action, snapshot.dataset.snapshotId);
+      } else if (snapshot) {
+        this.snapshots.restore(snapshot.dataset.snapshotId);
+      } else if (branchStep) {
+        this.history.switchBranch(branchStep.dataset.branchId, parseInt(branchStep.dataset.index));
+      } else if (branchHeader) {
+        this.toggleBranch(branchHeader.dataset.branchId);
+      } else if (item) {
         const index = parseInt(item.dataset.index);
         this.goToState(index);
       }
     });
+
+    // Double-click renames a snapshot
+    list.addEventListener('dblclick', (e) => {
+      const snapshot = e.target.closest('[data-snapshot-id]');
+      if (snapshot && !e.target.closest('[data-action]')) {
+        this.startRename(snapshot);
+      }
+    });
+  }
+
+  handleSnapshotAction(action, snapshotId) {
+    switch (action) {
+      case 'new-document':
+        window.photoEditorApp?.newDocumentFromSnapshot(snapshotId);
+        break;
+      case 'delete':
+        this.snapshots.remove(snapshotId);
+        break;
+    }
+  }
+
+  toggleBranch(branchId) {
+    if (this.expandedBranches.has(branchId)) {
+      this.expandedBranches.delete(branchId);
+    } else {
+      this.expandedBranches.add(branchId);
+    }
+    this.render();
+  }
+
+  /**
+   * Replace a snapshot's name with an input until Enter, Escape or blur
+   */
+  startRename(item) {
+    const nameEl = item.querySelector('.history-name');
+    const snapshot = this.snapshots.get(item.dataset.snapshotId);
+    if (!nameEl || !snapshot) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = snapshot.name;
+    nameEl.replaceChildren(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+
+      if (commit) {
+        this.snapshots.rename(snapshot.id, input.value.trim());
+      }
+      this.render();
+    };
+
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
   }
 
   subscribeToState() {
     this.unsubscribers.push(
       this.eventBus.on(Events.HISTORY_PUSH, () => this.render()),
       this.eventBus.on(Events.HISTORY_UNDO, () => this.render()),
-      this.eventBus.on(Events.HISTORY_REDO, () => this.render())
+      this.eventBus.on(Events.HISTORY_REDO, () => this.render()),
+      this.eventBus.on(Events.HISTORY_CHANGED, () => this.render())
     );
   }
 
   goToState(index) {
-    if (index === -1) {
-      // Go to initial state - undo everything
-      while (this.history.canUndo()) {
-        this.history.undo();
-      }
-    } else {
-      this.history.goTo(index);
-    }
+    // -1 is the initial state (undo everything)
+    this.history.goTo(index);
   }
 
   render() {
-    const undoStack = this.history.getUndoStack();
+    const line = this.history.getCurrentLine();
     const currentIndex = this.history.undoStack.length - 1;
+    const branches = this.history.getBranches();
 
     // Update button states
     this.shadowRoot.getElementById('undo-btn').disabled = !this.history.canUndo();
     this.shadowRoot.getElementById('redo-btn').disabled = !this.history.canRedo();
+    this.shadowRoot.getElementById('branching-btn').classList.toggle('active', this.history.branching);
 
     const listEl = this.shadowRoot.getElementById('history-list');
 
+    // Names can be user input, so they are set as text afterwards
+    const names = [];
+    const nameSpan = (name) => `<span class="history-name" data-name="${names.push(name) - 1}"></span>`;
+
+    // Branches are listed after the last step they share with the current line
+    const branchesAt = (forkIndex) => branches
+      .filter(branch => branch.forkIndex === forkIndex)
+      .map(branch => {
+        const expanded = this.expandedBranches.has(branch.id);
+        let branchHtml = `
+          <div class="branch-header" data-branch-id="${branch.id}">
+            ${BRANCH_ICON}
+            ${nameSpan(`${branch.steps[0]?.name ?? 'Branch'} (${branch.steps.length} ${branch.steps.length === 1 ? 'step' : 'steps'})`)}
+            <span>${expanded ? '&#9662;' : '&#9656;'}</span>
+          </div>
+        `;
+
+        if (expanded) {
+          for (const step of branch.steps) {
+            branchHtml += `
+              <div class="history-item branch-step future" data-branch-id="${branch.id}" data-index="${step.index}">
+                ${HISTORY_ICON}
+                ${nameSpan(step.name)}
+                <span class="history-time">${new Date(step.timestamp).toLocaleTimeString()}</span>
+              </div>
+            `;
+          }
+        }
+
+        return branchHtml;
+      })
+      .join('');
+
+    // Snapshots
+    let html = this.snapshots.snapshots.map(snapshot => `
+      <div class="snapshot-item" data-snapshot-id="${snapshot.id}">
+        ${SNAPSHOT_ICON}
+        ${nameSpan(snapshot.name)}
+        <button class="action-btn" data-action="new-document" title="New Document from Snapshot">
+          <svg viewBox="0 0 24 24"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm2 14h-3v3h-2v-3H8v-2h3v-3h2v3h3v2zm-3-7V3.5L18.5 9H13z"/></svg>
+        </button>
+        <button class="action-btn" data-action="delete" title="Delete Snapshot">
+          <svg viewBox="0 0 24 24"><path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/></svg>
+        </button>
+      </div>
+    `).join('');
+
     // Initial state
-    let html = `
+    html += `
       <div class="initial-state ${currentIndex === -1 ? 'current' : ''}" data-index="-1">
         <svg class="history-icon" viewBox="0 0 24 24"><path d="M13 3a9 9 0 0 0-9 9H1l3.89 3.89.07.14L9 12H6c0-3.87 3.13-7 7-7s7 3.13 7 7-3.13 7-7 7c-1.93 0-3.68-.79-4.94-2.06l-1.42 1.42A8.954 8.954 0 0 0 13 21a9 9 0 0 0 0-18zm-1 5v5l4.28 2.54.72-1.21-3.5-2.08V8H12z"/></svg>
         <span>Initial State</span>
       </div>
     `;
+    html += branchesAt(0);
 
-    // History items
-    undoStack.forEach((item, index) => {
+    // History items, then undone steps
+    line.forEach((command, index) => {
       const isCurrent = index === currentIndex;
-      const time = new Date(item.timestamp).toLocaleTimeString();
+      const isFuture = index > currentIndex;
+      const time = new Date(command.timestamp).toLocaleTimeString();
 
       html += `
-        <div class="history-item ${isCurrent ? 'current' : ''}" data-index="${index}">
-          <svg class="history-icon" viewBox="0 0 24 24"><path d="M17 3H7c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h10c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm0 16H7V5h10v14z"/></svg>
-          <span class="history-name">${item.name}</span>
+        <div class="history-item ${isCurrent ? 'current' : ''} ${isFuture ? 'future' : ''}" data-index="${index}">
+          ${HISTORY_ICON}
+          ${nameSpan(command.getDescription())}
           <span class="history-time">${time}</span>
         </div>
       `;
+      html += branchesAt(index + 1);
     });
 
     listEl.innerHTML = html;
 
+    listEl.querySelectorAll('[data-name]').forEach(nameEl => {
+      nameEl.textContent = names[nameEl.dataset.name];
+    });
+
     // Scroll current into view
     const currentEl = listEl.querySelector('.current');
     if (currentEl) {
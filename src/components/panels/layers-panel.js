@@ -6,6 +6,13 @@ import { getStore } from '../../core/store.js';
 import { getEventBus, Events } from '../../core/event-bus.js';
 import { getMaskManager } from '../../document/mask.js';
 import { createAdjustmentLayer } from '../../document/layer.js';
+import { hasActiveStyles } from '../../document/layer-styles.js';
+import { getHistory } from '../../core/commands.js';
+import {
+  cloneSmartFilters,
+  getSmartFilterName,
+  SetSmartFiltersCommand
+} from '../../effects/filters/smart-filters.js';
 import { AdjustmentType, AdjustmentDefaults } from '../../effects/adjustments/adjustment-layer.js';
 
 const template = document.createElement('template');
@@ -50,6 +57,10 @@ template.innerHTML = `
       transition: all 0.15s;
     }
 
+    .action-btn[hidden] {
+      display: none;
+    }
+
     .action-btn:hover {
       background: var(--bg-hover);
       color: var(--text-primary);
@@ -351,6 +362,71 @@ template.innerHTML = `
       fill: white;
     }
 
+    /* Smart filter stack under a layer */
+    .smart-filters {
+      padding: 2px 0 4px 28px;
+      font-size: 11px;
+    }
+
+    .smart-filter-row {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      height: 22px;
+      padding: 0 6px;
+      border-radius: 4px;
+    }
+
+    .smart-filter-row:hover {
+      background: var(--bg-hover);
+    }
+
+    .smart-filter-row.header {
+      color: var(--text-secondary);
+    }
+
+    .smart-filter-row.disabled .smart-filter-name {
+      opacity: 0.4;
+    }
+
+    .smart-filter-name {
+      flex: 1;
+      min-width: 0;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      cursor: pointer;
+    }
+
+    .smart-filter-blend {
+      color: var(--text-secondary);
+      font-size: 10px;
+    }
+
+    .smart-filter-row button {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 18px;
+      height: 18px;
+      padding: 0;
+      border: none;
+      border-radius: 3px;
+      background: none;
+      color: var(--text-secondary);
+      cursor: pointer;
+    }
+
+    .smart-filter-row button.off {
+      opacity: 0.3;
+    }
+
+    .smart-filter-row button svg {
+      width: 12px;
+      height: 12px;
+      fill: currentColor;
+    }
+
     .adjustment-type-badge {
       font-size: 9px;
       color: #a78bfa;
@@ -467,8 +543,18 @@ template.innerHTML = `
             <svg viewBox="0 0 24 24"><path d="M12 4c4.41 0 8 3.59 8 8s-3.59 8-8 8-8-3.59-8-8 3.59-8 8-8m0-2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 14c-2.21 0-4-1.79-4-4h8c0 2.21-1.79 4-4 4z"/></svg>
             Threshold
           </div>
+          <div class="adjustment-dropdown-item" data-adjustment="gradient-map">
+            <svg viewBox="0 0 24 24"><path d="M3 3h18v18H3V3zm2 2v14h4V5H5zm6 0v14h2V5h-2zm4 0v14h4V5h-4z"/></svg>
+            Gradient Map
+          </div>
         </div>
       </div>
+      <button class="action-btn" data-action="rasterize" id="rasterize-btn" title="Rasterize Type" hidden>
+        <svg viewBox="0 0 24 24"><path d="M3 3h8v8H3V3zm10 0h8v8h-8V3zM3 13h8v8H3v-8zm10 0h8v8h-8v-8z"/></svg>
+      </button>
+      <button class="action-btn" data-action="layer-style" id="layer-style-btn" title="Layer Style">
+        <svg viewBox="0 0 24 24"><path d="M5 20V4h9v2H7.5v5H13v2H7.5v7H5zm9.2 0l3-4.6-2.8-4.4h2.6l1.6 2.7 1.6-2.7h2.5l-2.8 4.4 3 4.6h-2.6l-1.8-2.9-1.8 2.9h-2.5z"/></svg>
+      </button>
       <button class="action-btn" data-action="add-mask" title="Add Layer Mask">
         <svg viewBox="0 0 24 24"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8zm0-14c-3.31 0-6 2.69-6 6s2.69 6 6 6 6-2.69 6-6-2.69-6-6-6z"/></svg>
       </button>
@@ -594,6 +680,13 @@ export class LayersPanel extends HTMLElement {
         return;
       }
 
+      // Handle smart filter actions
+      if (maskAction && maskAction.dataset.smartFilter !== undefined) {
+        e.stopPropagation();
+        this.handleSmartFilterAction(maskAction.dataset.action, maskAction.dataset.layerId, maskAction.dataset.smartFilter);
+        return;
+      }
+
       // Handle mask actions
       if (maskAction && maskAction.dataset.layerId) {
         e.stopPropagation();
@@ -745,6 +838,12 @@ export class LayersPanel extends HTMLElement {
       case 'delete':
         app.deleteLayer();
         break;
+      case 'rasterize':
+        app.rasterizeLayer();
+        break;
+      case 'layer-style':
+        app.editLayerStyle();
+        break;
       case 'toggle-adjustment-menu':
         const dropdown = this.shadowRoot.getElementById('adjustment-dropdown');
         dropdown.classList.toggle('visible');
@@ -788,10 +887,11 @@ export class LayersPanel extends HTMLElement {
       'black-white': 'Black & White',
       'invert': 'Invert',
       'posterize': 'Posterize',
-      'threshold': 'Threshold'
+      'threshold': 'Threshold',
+      'gradient-map': 'Gradient Map'
     };
 
-    const layer = createAdjustmentLayer(type, { ...defaultParams });
+    const layer = createAdjustmentLayer(type, structuredClone(defaultParams));
     layer.name = typeNames[type] || type;
 
     // Add layer above active layer
@@ -869,6 +969,15 @@ export class LayersPanel extends HTMLElement {
         `${Math.round(activeLayer.opacity * 100)}%`;
     }
 
+    // Rasterize is only offered for text and shape layers
+    const rasterizeBtn = this.shadowRoot.getElementById('rasterize-btn');
+    rasterizeBtn.hidden = activeLayer?.type !== 'text' && activeLayer?.type !== 'shape';
+    rasterizeBtn.title = activeLayer?.type === 'shape' ? 'Rasterize Shape' : 'Rasterize Type';
+
+    // Styles apply to pixel content only
+    this.shadowRoot.getElementById('layer-style-btn').hidden =
+      !activeLayer || activeLayer.type === 'adjustment' || activeLayer.type === 'group';
+
     // Render layers (reverse order - top layer first)
     const layers = [...doc.layers].reverse();
     const maskManager = getMaskManager();
@@ -923,10 +1032,11 @@ export class LayersPanel extends HTMLElement {
         <div class="layer-info">
           <div class="layer-name">${layer.name}${isClipped ? '<span class="clip-indicator">⤷</span>' : ''}</div>
           <div class="layer-meta">
-            ${isAdjustment ? `<span class="adjustment-type-badge">${layer.adjustment?.type || 'Adjustment'}</span>` : layer.blendMode}${layer.opacity < 1 ? `, ${Math.round(layer.opacity * 100)}%` : ''}${hasMask ? ' • Mask' : ''}${isClipped ? ' • Clipped' : ''}
+            ${isAdjustment ? `<span class="adjustment-type-badge">${layer.adjustment?.type || 'Adjustment'}</span>` : layer.blendMode}${layer.opacity < 1 ? `, ${Math.round(layer.opacity * 100)}%` : ''}${hasMask ? ' • Mask' : ''}${isClipped ? ' • Clipped' : ''}${hasActiveStyles(layer.styles) ? ' • fx' : ''}
           </div>
         </div>
       </div>
+      ${this.renderSmartFilters(layer)}
     `}).join('');
 
     // Update thumbnails
@@ -961,6 +1071,87 @@ export class LayersPanel extends HTMLElement {
     });
   }
 
+  /**
+   * Rows for a layer's smart filter stack, top filter first like the layers
+   */
+  renderSmartFilters(layer) {
+    if (!layer.smartFilters?.length) return '';
+
+    const eye = '<path d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/>';
+    const remove = '<path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>';
+    const anyEnabled = layer.smartFilters.some(filter => filter.enabled);
+
+    return `
+      <div class="smart-filters">
+        <div class="smart-filter-row header">
+          <button class="${anyEnabled ? '' : 'off'}" data-action="toggle-smart-filters"
+                  data-layer-id="${layer.id}" data-smart-filter="" title="Toggle All Smart Filters">
+            <svg viewBox="0 0 24 24">${eye}</svg>
+          </button>
+          <span class="smart-filter-name">Smart Filters</span>
+        </div>
+        ${[...layer.smartFilters].reverse().map(filter => `
+          <div class="smart-filter-row ${filter.enabled ? '' : 'disabled'}">
+            <button class="${filter.enabled ? '' : 'off'}" data-action="toggle-smart-filter"
+                    data-layer-id="${layer.id}" data-smart-filter="${filter.id}" title="Toggle Filter">
+              <svg viewBox="0 0 24 24">${eye}</svg>
+            </button>
+            <span class="smart-filter-name" data-action="edit-smart-filter"
+                  data-layer-id="${layer.id}" data-smart-filter="${filter.id}" title="Edit Filter">${getSmartFilterName(filter)}</span>
+            ${filter.blendMode !== 'normal' || filter.opacity < 1
+              ? `<span class="smart-filter-blend">${filter.blendMode}, ${Math.round(filter.opacity * 100)}%</span>`
+              : ''}
+            <button data-action="delete-smart-filter"
+                    data-layer-id="${layer.id}" data-smart-filter="${filter.id}" title="Delete Filter">
+              <svg viewBox="0 0 24 24">${remove}</svg>
+            </button>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  handleSmartFilterAction(action, layerId, filterId) {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return;
+
+    const layer = app.document.getLayer(layerId);
+    if (!layer || !layer.smartFilters) return;
+
+    if (action === 'edit-smart-filter') {
+      app.editSmartFilter(layerId, filterId);
+      return;
+    }
+
+    const before = layer.smartFilters;
+    let after = cloneSmartFilters(before);
+    let name;
+
+    switch (action) {
+      case 'toggle-smart-filters': {
+        const enable = !before.some(filter => filter.enabled);
+        after.forEach(filter => { filter.enabled = enable; });
+        name = 'Toggle Smart Filters';
+        break;
+      }
+      case 'toggle-smart-filter': {
+        const filter = after.find(f => f.id === filterId);
+        if (!filter) return;
+        filter.enabled = !filter.enabled;
+        name = 'Toggle Smart Filter';
+        break;
+      }
+      case 'delete-smart-filter':
+        after = after.filter(f => f.id !== filterId);
+        name = 'Delete Smart Filter';
+        break;
+      default:
+        return;
+    }
+
+    getHistory().execute(new SetSmartFiltersCommand(layerId, before, after, name));
+  }
+
   handleMaskAction(action, layerId, event) {
     const maskManager = getMaskManager();
 
@@ -998,7 +1189,8 @@ export class LayersPanel extends HTMLElement {
       'black-white': '<path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18V4c4.41 0 8 3.59 8 8s-3.59 8-8 8z"/>',
       'invert': '<path d="M17.66 7.93L12 2.27 6.34 7.93c-3.12 3.12-3.12 8.19 0 11.31C7.9 20.8 9.95 21.58 12 21.58c2.05 0 4.1-.78 5.66-2.34 3.12-3.12 3.12-8.19 0-11.31zM12 19.59c-1.6 0-3.11-.62-4.24-1.76C6.62 16.69 6 15.19 6 13.59s.62-3.11 1.76-4.24L12 5.1v14.49z"/>',
       'posterize': '<path d="M3 5H1v16c0 1.1.9 2 2 2h16v-2H3V5zm18-4H7c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V3c0-1.1-.9-2-2-2zm0 16H7V3h14v14z"/>',
-      'threshold': '<path d="M12 4c4.41 0 8 3.59 8 8s-3.59 8-8 8-8-3.59-8-8 3.59-8 8-8m0-2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 14c-2.21 0-4-1.79-4-4h8c0 2.21-1.79 4-4 4z"/>'
+      'threshold': '<path d="M12 4c4.41 0 8 3.59 8 8s-3.59 8-8 8-8-3.59-8-8 3.59-8 8-8m0-2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 14c-2.21 0-4-1.79-4-4h8c0 2.21-1.79 4-4 4z"/>',
+      'gradient-map': '<path d="M3 3h18v18H3V3zm2 2v14h4V5H5zm6 0v14h2V5h-2zm4 0v14h4V5h-4z"/>'
     };
     return icons[type] || '<path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8z"/>';
   }
@@ -0,0 +1,309 @@
+/**
+ * Paths Panel - Lists the document's paths and turns them into selections,
+ * strokes or fills
+ */
+
+import { getEventBus, Events } from '../../core/event-bus.js';
+import { getPathData } from '../../document/paths.js';
+
+const template = document.createElement('template');
+template.innerHTML = `
+  <style>
+    :host {
+      display: block;
+      background: var(--bg-panel);
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .panel-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 8px 12px;
+      background: var(--bg-secondary);
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .panel-title {
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+      color: var(--text-secondary);
+    }
+
+    .panel-actions {
+      display: flex;
+      gap: 4px;
+    }
+
+    .action-btn {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 24px;
+      height: 24px;
+      border-radius: 4px;
+      color: var(--text-secondary);
+      transition: all 0.15s;
+    }
+
+    .action-btn:hover:not(:disabled) {
+      background: var(--bg-hover);
+      color: var(--text-primary);
+    }
+
+    .action-btn:disabled {
+      opacity: 0.3;
+      cursor: not-allowed;
+    }
+
+    .action-btn svg {
+      width: 16px;
+      height: 16px;
+      fill: currentColor;
+    }
+
+    .paths-list {
+      max-height: 150px;
+      overflow-y: auto;
+    }
+
+    .path-item {
+      display: flex;
+      align-items: center;
+      padding: 6px 12px;
+      gap: 8px;
+      cursor: pointer;
+      font-size: 12px;
+      border-bottom: 1px solid var(--border-color);
+      transition: background-color 0.15s;
+    }
+
+    .path-item:hover {
+      background: var(--layer-hover);
+    }
+
+    .path-item.active {
+      background: var(--layer-selected);
+    }
+
+    .path-thumbnail {
+      width: 32px;
+      height: 24px;
+      background: var(--bg-secondary);
+      border: 1px solid var(--border-color);
+    }
+
+    .path-thumbnail path {
+      fill: none;
+      stroke: var(--text-primary);
+    }
+
+    .path-name {
+      flex: 1;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .path-name input {
+      width: 100%;
+      font-size: 12px;
+    }
+
+    .panel-footer {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 6px 12px;
+      font-size: 11px;
+      color: var(--text-secondary);
+    }
+
+    .panel-footer input {
+      width: 40px;
+      margin: 0 4px;
+    }
+
+    .empty-state {
+      padding: 20px;
+      text-align: center;
+      color: var(--text-secondary);
+      font-size: 12px;
+    }
+  </style>
+
+  <div class="panel-header">
+    <span class="panel-title">Paths</span>
+    <div class="panel-actions">
+      <button class="action-btn" id="new-path-btn" title="New Path">
+        <svg viewBox="0 0 24 24"><path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/></svg>
+      </button>
+      <button class="action-btn" id="delete-path-btn" title="Delete Path">
+        <svg viewBox="0 0 24 24"><path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/></svg>
+      </button>
+    </div>
+  </div>
+
+  <div class="paths-list" id="paths-list"></div>
+
+  <div class="panel-footer">
+    <label>Feather<input type="number" id="feather-input" min="0" max="250" value="0">px</label>
+    <div class="panel-actions">
+      <button class="action-btn" id="select-path-btn" title="Load Path as Selection">
+        <svg viewBox="0 0 24 24"><path d="M3 5h2V3H3v2zm0 8h2v-2H3v2zm4 8h2v-2H7v2zM3 9h2V7H3v2zm10-6h-2v2h2V3zm6 0v2h2V3h-2zM5 21v-2H3v2h2zm-2-4h2v-2H3v2zM9 3H7v2h2V3zm2 18h2v-2h-2v2zm8-8h2v-2h-2v2zm0 8h2v-2h-2v2zm0-12h2V7h-2v2zm0 8h2v-2h-2v2zm-4 4h2v-2h-2v2zm0-16h2V3h-2v2z"/></svg>
+      </button>
+      <button class="action-btn" id="stroke-path-btn" title="Stroke Path with Brush">
+        <svg viewBox="0 0 24 24"><path d="M7 14c-1.66 0-3 1.34-3 3 0 1.31-1.16 2-2 2 .92 1.22 2.49 2 4 2 2.21 0 4-1.79 4-4 0-1.66-1.34-3-3-3zm13.71-9.37l-1.34-1.34a.996.996 0 0 0-1.41 0L9 12.25 11.75 15l8.96-8.96a.996.996 0 0 0 0-1.41z"/></svg>
+      </button>
+      <button class="action-btn" id="fill-path-btn" title="Fill Path with Foreground Color">
+        <svg viewBox="0 0 24 24"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2z"/></svg>
+      </button>
+    </div>
+  </div>
+`;
+
+export class PathsPanel extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(template.content.cloneNode(true));
+
+    this.eventBus = null;
+    this.unsubscribers = [];
+  }
+
+  connectedCallback() {
+    this.eventBus = getEventBus();
+
+    this.setupEventListeners();
+    this.subscribeToState();
+    this.render();
+  }
+
+  disconnectedCallback() {
+    this.unsubscribers.forEach(unsub => unsub());
+  }
+
+  setupEventListeners() {
+    const app = () => window.photoEditorApp;
+
+    this.shadowRoot.getElementById('new-path-btn').addEventListener('click', () => {
+      app()?.newPath();
+    });
+
+    this.shadowRoot.getElementById('delete-path-btn').addEventListener('click', () => {
+      app()?.deletePath();
+    });
+
+    this.shadowRoot.getElementById('select-path-btn').addEventListener('click', () => {
+      const feather = parseFloat(this.shadowRoot.getElementById('feather-input').value) || 0;
+      app()?.loadPathAsSelection(Math.max(0, feather));
+    });
+
+    this.shadowRoot.getElementById('stroke-path-btn').addEventListener('click', () => {
+      app()?.paintPath('stroke');
+    });
+
+    this.shadowRoot.getElementById('fill-path-btn').addEventListener('click', () => {
+      app()?.paintPath('fill');
+    });
+
+    const list = this.shadowRoot.getElementById('paths-list');
+
+    // Click selects; clicking the active path again deselects it (hides it)
+    list.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-path-id]');
+      const doc = app()?.document;
+      if (!item || !doc || e.target.tagName === 'INPUT') return;
+
+      const pathId = item.dataset.pathId;
+      doc.setActivePath(doc.activePathId === pathId ? null : pathId);
+    });
+
+    // Double-click renames
+    list.addEventListener('dblclick', (e) => {
+      const item = e.target.closest('[data-path-id]');
+      if (item) {
+        this.startRename(item);
+      }
+    });
+  }
+
+  subscribeToState() {
+    this.unsubscribers.push(
+      this.eventBus.on(Events.PATHS_CHANGED, () => this.render()),
+      this.eventBus.on(Events.PATH_SELECTED, () => this.render()),
+      this.eventBus.on(Events.DOCUMENT_CREATED, () => this.render()),
+      this.eventBus.on(Events.DOCUMENT_OPENED, () => this.render())
+    );
+  }
+
+  /**
+   * Replace a path's name with an input until Enter, Escape or blur
+   */
+  startRename(item) {
+    const nameEl = item.querySelector('.path-name');
+    const pathId = item.dataset.pathId;
+    const path = window.photoEditorApp?.document?.getPath(pathId);
+    if (!nameEl || !path) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = path.name;
+    nameEl.replaceChildren(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+
+      if (commit) {
+        window.photoEditorApp?.renamePath(pathId, input.value.trim());
+      }
+      this.render();
+    };
+
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  render() {
+    const doc = window.photoEditorApp?.document;
+    const listEl = this.shadowRoot.getElementById('paths-list');
+    const activePath = doc?.getActivePath();
+
+    for (const id of ['delete-path-btn', 'select-path-btn', 'stroke-path-btn', 'fill-path-btn']) {
+      this.shadowRoot.getElementById(id).disabled = !activePath;
+    }
+    this.shadowRoot.getElementById('new-path-btn').disabled = !doc;
+
+    if (!doc || doc.paths.length === 0) {
+      listEl.innerHTML = '<div class="empty-state">No paths</div>';
+      return;
+    }
+
+    listEl.innerHTML = doc.paths.map(path => `
+      <div class="path-item ${path === activePath ? 'active' : ''}" data-path-id="${path.id}">
+        <svg class="path-thumbnail" viewBox="0 0 ${doc.width} ${doc.height}" preserveAspectRatio="xMidYMid meet">
+          <path d="${getPathData(path.subpaths)}" vector-effect="non-scaling-stroke"/>
+        </svg>
+        <span class="path-name"></span>
+      </div>
+    `).join('');
+
+    // Names are user input, so they are set as text
+    listEl.querySelectorAll('.path-name').forEach((nameEl, i) => {
+      nameEl.textContent = doc.paths[i].name;
+    });
+  }
+}
+
+customElements.define('paths-panel', PathsPanel);
@@ -306,6 +306,30 @@ export class LoadingIndicator extends HTMLElement {
       this.showToast('error', 'Export failed', data.error?.message || 'Unknown error');
     });
 
+    // Filter events
+    eventBus.on(Events.FILTER_START, (data) => {
+      this.show(`Applying ${data.name || 'filter'}...`, {
+        indeterminate: false,
+        cancellable: !!data.onCancel,
+        onCancel: data.onCancel
+      });
+    });
+
+    eventBus.on(Events.FILTER_PROGRESS, (data) => {
+      this.setProgress(data.progress, data.status);
+    });
+
+    eventBus.on(Events.FILTER_COMPLETE, () => {
+      this.hide();
+    });
+
+    eventBus.on(Events.FILTER_ERROR, (data) => {
+      this.hide();
+      if (!data.cancelled) {
+        this.showToast('error', 'Filter failed', data.error?.message || 'Unknown error');
+      }
+    });
+
     // Autosave events
     eventBus.on('autosave:complete', () => {
       this.showToast('info', 'Auto-saved', 'Your work has been saved', 2000);
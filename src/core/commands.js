@@ -5,6 +5,44 @@
 
 import { getEventBus, Events } from './event-bus.js';
 import { getStore } from './store.js';
+import { Stores, clear as clearStore } from '../storage/db.js';
+
+const MB = 1024 * 1024;
+
+// Saved command type -> function rebuilding a command from its data
+const commandTypes = new Map();
+
+/**
+ * Register how a saved command type is rebuilt
+ * @param {string} type - Type written by the command's serialize()
+ * @param {Function} deserialize - (data, context) => Command|null
+ */
+export function registerCommand(type, deserialize) {
+  commandTypes.set(type, deserialize);
+}
+
+/**
+ * Rebuild a command saved with HistoryManager.serialize()
+ * @param {Object} record - { type, data, name, timestamp }
+ * @param {Object} context - { document } being restored
+ * @returns {Command|null} null if the type is unknown or can't be rebuilt
+ */
+export function deserializeCommand(record, context = {}) {
+  const deserialize = commandTypes.get(record.type);
+  if (!deserialize) return null;
+
+  try {
+    const command = deserialize(record.data, context);
+    if (!command) return null;
+
+    command.name = record.name;
+    command.timestamp = record.timestamp;
+    return command;
+  } catch (error) {
+    console.warn(`Failed to restore "${record.name}" from saved history:`, error);
+    return null;
+  }
+}
 
 /**
  * Base Command class - all commands inherit from this
@@ -13,6 +51,9 @@ export class Command {
   constructor(name) {
     this.name = name;
     this.timestamp = Date.now();
+
+    // Bumped when another command merges in, so saved copies can tell it changed
+    this.revision = 0;
   }
 
   /**
@@ -52,6 +93,55 @@ export class Command {
   merge(other) {
     // Override in subclasses that support merging
   }
+
+  /**
+   * Bytes of undo data held in memory (counted against the history budget)
+   */
+  getMemorySize() {
+    return 0;
+  }
+
+  /**
+   * Whether spill() frees the memory counted by getMemorySize()
+   */
+  canSpill() {
+    return false;
+  }
+
+  /**
+   * Whether the undo data has been moved to storage
+   */
+  isSpilled() {
+    return false;
+  }
+
+  /**
+   * Move undo data to storage to free memory
+   * @returns {Promise<void>}
+   */
+  async spill() {}
+
+  /**
+   * Load undo data back from storage
+   * @returns {Promise<void>}
+   */
+  async restore() {}
+
+  /**
+   * Release undo data when the command leaves history
+   */
+  dispose() {}
+
+  /**
+   * Data for saving this command with the project
+   * Commands that can't be saved return null; history is only kept back to
+   * the most recent one of those.
+   * @returns {{type: string, data: Object}|null|Promise} type must be registered
+   *   with registerCommand()
+   */
+  serialize() {
+    return null;
+  }
 }
 
 /**
@@ -77,22 +167,48 @@ export class SnapshotCommand extends Command {
     store.set(this.statePath, this.oldValue);
     return true;
   }
+
+  serialize() {
+    return {
+      type: 'store-state',
+      data: { statePath: this.statePath, newValue: this.newValue, oldValue: this.oldValue }
+    };
+  }
 }
 
+registerCommand('store-state', data => Object.assign(new SnapshotCommand(null, data.statePath, data.newValue), data));
+
 /**
  * History manager - manages command history for undo/redo
+ * Memory is tracked in bytes: once commands hold more than `memoryBudget`,
+ * the undo data of the oldest entries is moved to IndexedDB and read back
+ * when undo reaches them. Steps are never dropped for their count.
+ *
+ * With `branching` on, a new action after undo keeps the undone steps as a
+ * branch instead of discarding them. Each branch is a full line of commands
+ * from the initial state; lines share the commands they have in common.
  */
 class HistoryManager {
   constructor() {
     this.undoStack = [];
     this.redoStack = [];
-    this.maxSize = 100;
+    this.memoryBudget = 256 * MB;
     this.isExecuting = false;
     this.eventBus = null;
+
+    // Alternative lines of history (branching mode)
+    this.branching = false;
+    this.branches = [];
+
+    // Pending read of spilled undo data
+    this.loading = null;
   }
 
   init() {
     this.eventBus = getEventBus();
+
+    // Spilled data from a previous session can't be undone any more
+    clearStore(Stores.HISTORY).catch(() => {});
   }
 
   /**
@@ -110,28 +226,15 @@ class HistoryManager {
       const success = command.execute();
 
       if (success) {
-        // Check if we can merge with the last command
+        // Check if we can merge with the last command (not right after undo)
         const lastCommand = this.undoStack[this.undoStack.length - 1];
-        if (lastCommand && command.canMergeWith(lastCommand)) {
+        if (lastCommand && this.redoStack.length === 0 && command.canMergeWith(lastCommand)) {
           lastCommand.merge(command);
+          lastCommand.revision++;
+          this.commit(command);
         } else {
-          this.undoStack.push(command);
-
-          // Trim history if needed
-          if (this.undoStack.length > this.maxSize) {
-            this.undoStack.shift();
-          }
+          this.push(command);
         }
-
-        // Clear redo stack when new command is executed
-        this.redoStack = [];
-
-        // Mark document as dirty
-        const store = getStore();
-        store.state.app.isDirty = true;
-
-        this.eventBus?.emit(Events.HISTORY_PUSH, { command });
-        this.eventBus?.emit(Events.DOCUMENT_MODIFIED, {});
       }
 
       return success;
@@ -140,15 +243,181 @@ class HistoryManager {
     }
   }
 
+  /**
+   * Add a command that has already been applied (e.g. a finished brush stroke)
+   */
+  push(command) {
+    this.discardRedo();
+    this.undoStack.push(command);
+    this.commit(command);
+  }
+
+  /**
+   * Enforce limits and announce a new history entry
+   */
+  commit(command) {
+    this.enforceLimits();
+
+    // Mark document as dirty
+    const store = getStore();
+    store.state.app.isDirty = true;
+
+    this.eventBus?.emit(Events.HISTORY_PUSH, { command });
+    this.eventBus?.emit(Events.DOCUMENT_MODIFIED, {});
+  }
+
+  /**
+   * Throw away the undone steps, or keep them as a branch
+   */
+  discardRedo() {
+    if (this.redoStack.length === 0) return;
+
+    const redo = this.redoStack;
+    this.redoStack = [];
+
+    if (this.branching) {
+      this.branches.push(createBranch([...this.undoStack, ...[...redo].reverse()]));
+      this.eventBus?.emit(Events.HISTORY_CHANGED);
+    } else {
+      redo.forEach(cmd => cmd.dispose());
+    }
+  }
+
+  /**
+   * Spill the oldest undo data until the commands in memory fit the budget
+   * The next undo and redo steps always stay in memory.
+   */
+  enforceLimits() {
+    let used = this.getMemoryUsage();
+    if (used <= this.memoryBudget) return;
+
+    // Oldest undo entries first, then the redo entries furthest away,
+    // then steps only found in branches
+    const candidates = new Set([
+      ...this.undoStack.slice(0, -1),
+      ...this.redoStack.slice(0, -1),
+      ...this.branches.flatMap(branch => branch.commands)
+    ]);
+    candidates.delete(this.redoStack[this.redoStack.length - 1]);
+    candidates.delete(this.undoStack[this.undoStack.length - 1]);
+
+    for (const command of candidates) {
+      if (used <= this.memoryBudget) break;
+
+      const size = command.getMemorySize();
+      if (size === 0 || command.isSpilled() || !command.canSpill()) continue;
+
+      command.spill();
+      used -= size;
+    }
+  }
+
+  /**
+   * Bytes of undo data held in memory
+   */
+  getMemoryUsage() {
+    let total = 0;
+    for (const command of this.getAllCommands()) total += command.getMemorySize();
+    return total;
+  }
+
+  /**
+   * Every command held by history, including branches
+   */
+  getAllCommands() {
+    return new Set([
+      ...this.undoStack,
+      ...this.redoStack,
+      ...this.branches.flatMap(branch => branch.commands)
+    ]);
+  }
+
+  /**
+   * Remove steps that can't be undone or redone any more
+   * The removed steps must not affect the state the other steps work on.
+   * @param {(command: Command) => boolean} predicate
+   */
+  removeWhere(predicate) {
+    const removed = [...this.getAllCommands()].filter(predicate);
+    if (removed.length === 0) return;
+
+    this.undoStack = this.undoStack.filter(cmd => !predicate(cmd));
+    this.redoStack = this.redoStack.filter(cmd => !predicate(cmd));
+    this.branches = this.branches.filter(branch => {
+      branch.commands = branch.commands.filter(cmd => !predicate(cmd));
+      return branch.commands.length > 0;
+    });
+
+    removed.forEach(cmd => cmd.dispose());
+    this.eventBus?.emit(Events.HISTORY_CHANGED);
+  }
+
+  /**
+   * Dispose commands no line of history refers to any more
+   */
+  disposeUnused(commands) {
+    const live = this.getAllCommands();
+    for (const command of new Set(commands)) {
+      if (!live.has(command)) command.dispose();
+    }
+  }
+
+  /**
+   * Change the memory budget (bytes)
+   */
+  setMemoryBudget(bytes) {
+    this.memoryBudget = Math.max(16 * MB, bytes);
+    this.enforceLimits();
+  }
+
+  /**
+   * Read a command's spilled data back into memory
+   */
+  load(command) {
+    if (!this.loading) {
+      this.loading = command.restore()
+        .catch(error => console.error('Failed to restore history:', error))
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Start reading the next undo/redo step back if it was spilled
+   */
+  prefetch() {
+    const next = this.undoStack[this.undoStack.length - 1];
+    if (next?.isSpilled()) {
+      this.load(next);
+    }
+  }
+
   /**
    * Undo the last command
+   * Returns false while spilled undo data is being read back; the undo runs
+   * once it has loaded.
    */
   undo() {
     if (this.undoStack.length === 0) {
       return false;
     }
 
-    const command = this.undoStack.pop();
+    const command = this.undoStack[this.undoStack.length - 1];
+
+    if (this.loading || command.isSpilled()) {
+      const waitingForOther = !!this.loading;
+      (this.loading || this.load(command)).then(() => {
+        const retry = waitingForOther || !command.isSpilled();
+        if (retry && this.undoStack[this.undoStack.length - 1] === command) {
+          this.undo();
+        }
+      });
+      return false;
+    }
+
+    this.undoStack.pop();
 
     this.isExecuting = true;
     try {
@@ -158,6 +427,7 @@ class HistoryManager {
         this.redoStack.push(command);
         this.eventBus?.emit(Events.HISTORY_UNDO, { command });
         this.eventBus?.emit(Events.DOCUMENT_MODIFIED, {});
+        this.prefetch();
       } else {
         // Put it back if undo failed
         this.undoStack.push(command);
@@ -177,7 +447,20 @@ class HistoryManager {
       return false;
     }
 
-    const command = this.redoStack.pop();
+    const command = this.redoStack[this.redoStack.length - 1];
+
+    if (this.loading || command.isSpilled()) {
+      const waitingForOther = !!this.loading;
+      (this.loading || this.load(command)).then(() => {
+        const retry = waitingForOther || !command.isSpilled();
+        if (retry && this.redoStack[this.redoStack.length - 1] === command) {
+          this.redo();
+        }
+      });
+      return false;
+    }
+
+    this.redoStack.pop();
 
     this.isExecuting = true;
     try {
@@ -187,6 +470,7 @@ class HistoryManager {
         this.undoStack.push(command);
         this.eventBus?.emit(Events.HISTORY_REDO, { command });
         this.eventBus?.emit(Events.DOCUMENT_MODIFIED, {});
+        this.enforceLimits();
       } else {
         // Put it back if redo failed
         this.redoStack.push(command);
@@ -224,26 +508,184 @@ class HistoryManager {
   }
 
   /**
-   * Go to a specific point in history
+   * Go to a specific point in history (-1 is the initial state)
+   * Spilled steps are read back on the way.
    */
-  goTo(index) {
+  async goTo(index) {
     while (this.undoStack.length > index + 1) {
-      this.undo();
+      await this.ensureLoaded(this.undoStack[this.undoStack.length - 1]);
+      if (!this.undo()) break;
     }
     while (this.undoStack.length < index + 1 && this.redoStack.length > 0) {
-      this.redo();
+      await this.ensureLoaded(this.redoStack[this.redoStack.length - 1]);
+      if (!this.redo()) break;
+    }
+  }
+
+  /**
+   * The current line of history: done steps followed by undone ones
+   */
+  getCurrentLine() {
+    return [...this.undoStack, ...[...this.redoStack].reverse()];
+  }
+
+  /**
+   * Branches for the history panel
+   * `forkIndex` is how many steps a branch shares with the current line;
+   * `steps` are the ones after that.
+   */
+  getBranches() {
+    const line = this.getCurrentLine();
+
+    return this.branches.map(branch => {
+      const forkIndex = sharedLength(line, branch.commands);
+      return {
+        id: branch.id,
+        forkIndex,
+        timestamp: branch.timestamp,
+        steps: branch.commands.slice(forkIndex).map((cmd, i) => ({
+          index: forkIndex + i,
+          name: cmd.getDescription(),
+          timestamp: cmd.timestamp
+        }))
+      };
+    });
+  }
+
+  /**
+   * Turn branching on or off; turning it off discards all branches
+   */
+  setBranching(enabled) {
+    this.branching = enabled;
+
+    if (!enabled && this.branches.length > 0) {
+      const dropped = this.branches.flatMap(branch => branch.commands);
+      this.branches = [];
+      this.disposeUnused(dropped);
+      this.eventBus?.emit(Events.HISTORY_CHANGED);
     }
   }
 
+  /**
+   * Make a branch the current line and go to one of its steps
+   * The line being left becomes a branch itself.
+   * @param {string} branchId
+   * @param {number} index - Step to go to (defaults to the branch's last step)
+   */
+  async switchBranch(branchId, index = null) {
+    const branch = this.branches.find(b => b.id === branchId);
+    if (!branch) return false;
+
+    const line = this.getCurrentLine();
+    const forkIndex = sharedLength(line, branch.commands);
+
+    await this.goTo(forkIndex - 1);
+    if (this.undoStack.length !== forkIndex) return false;
+
+    this.branches = this.branches.filter(b => b !== branch);
+    if (line.length > forkIndex) {
+      this.branches.push(createBranch(line));
+    }
+
+    this.redoStack = branch.commands.slice(forkIndex).reverse();
+    this.eventBus?.emit(Events.HISTORY_CHANGED);
+
+    await this.goTo(index ?? branch.commands.length - 1);
+    return true;
+  }
+
+  /**
+   * Save the undo and redo stacks (branches aren't kept)
+   * Spilled undo data is read back from storage for the copy.
+   * @param {(command: Command) => Promise<*>} save - Saves one step, null if it can't be
+   * @returns {Promise<{undo: Array, redo: Array}>} What `save` returned, in stack order
+   */
+  async serialize(save = command => this.serializeCommand(command)) {
+    // Stop at the first step that can't be saved, nearest steps first
+    const collect = async (stack) => {
+      const records = [];
+      for (let i = stack.length - 1; i >= 0; i--) {
+        const record = await save(stack[i]);
+        if (!record) break;
+        records.unshift(record);
+      }
+      return records;
+    };
+
+    return {
+      undo: await collect(this.undoStack),
+      redo: await collect(this.redoStack)
+    };
+  }
+
+  /**
+   * Save record of one step
+   * @returns {Promise<Object|null>} null if the step can't be saved
+   */
+  async serializeCommand(command) {
+    const saved = await command.serialize();
+    return saved && { ...saved, name: command.name, timestamp: command.timestamp };
+  }
+
+  /**
+   * Replace history with saved stacks
+   * @param {Object|null} saved - Result of serialize()
+   * @param {Object} context - Passed to the command deserializers
+   */
+  restore(saved, context = {}) {
+    this.clear();
+    if (!saved) return;
+
+    // Keep the steps nearest the current state that could be rebuilt
+    const rebuild = (records = []) => {
+      const commands = [];
+      for (let i = records.length - 1; i >= 0; i--) {
+        const command = deserializeCommand(records[i], context);
+        if (!command) break;
+        commands.unshift(command);
+      }
+      return commands;
+    };
+
+    this.undoStack = rebuild(saved.undo);
+    this.redoStack = rebuild(saved.redo);
+    this.enforceLimits();
+
+    this.eventBus?.emit(Events.HISTORY_CHANGED);
+  }
+
+  async ensureLoaded(command) {
+    if (this.loading) await this.loading;
+    if (command.isSpilled()) await this.load(command);
+  }
+
   /**
    * Clear all history
    */
   clear() {
+    this.getAllCommands().forEach(cmd => cmd.dispose());
     this.undoStack = [];
     this.redoStack = [];
+    this.branches = [];
+    this.eventBus?.emit(Events.HISTORY_CHANGED);
   }
 }
 
+let branchIdCounter = 0;
+
+function createBranch(commands) {
+  return { id: `branch_${++branchIdCounter}`, commands, timestamp: Date.now() };
+}
+
+/**
+ * Number of leading commands two lines of history have in common
+ */
+function sharedLength(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  return i;
+}
+
 // Singleton instance
 let historyManager = null;
 
@@ -163,6 +163,8 @@ export const Events = {
   // Tool events
   TOOL_CHANGED: 'tool:changed',
   TOOL_OPTIONS_CHANGED: 'tool:options',
+  STABILIZER_UPDATE: 'tool:stabilizer:update',
+  STABILIZER_END: 'tool:stabilizer:end',
 
   // Viewport events
   VIEWPORT_CHANGED: 'viewport:changed',
@@ -182,10 +184,27 @@ export const Events = {
   TRANSFORM_UPDATE: 'transform:update',
   TRANSFORM_END: 'transform:end',
 
+  // Text editing events
+  TEXT_EDIT_START: 'text:edit:start',
+  TEXT_EDIT_UPDATE: 'text:edit:update',
+  TEXT_EDIT_END: 'text:edit:end',
+  TEXT_INPUT: 'text:input',
+  TEXT_COMMIT: 'text:commit',
+
+  // Path events
+  PATHS_CHANGED: 'paths:changed',
+  PATH_SELECTED: 'path:selected',
+  PATH_EDIT_UPDATE: 'path:edit:update',
+  PATH_EDIT_END: 'path:edit:end',
+
+  // Channel events
+  CHANNELS_CHANGED: 'channels:changed',
+
   // History events
   HISTORY_PUSH: 'history:push',
   HISTORY_UNDO: 'history:undo',
   HISTORY_REDO: 'history:redo',
+  HISTORY_CHANGED: 'history:changed',
 
   // Color events
   COLOR_FOREGROUND_CHANGED: 'color:foreground',
@@ -212,6 +231,12 @@ export const Events = {
   FILE_EXPORT_COMPLETE: 'file:export:complete',
   FILE_EXPORT_ERROR: 'file:export:error',
 
+  // Filter events
+  FILTER_START: 'filter:start',
+  FILTER_PROGRESS: 'filter:progress',
+  FILTER_COMPLETE: 'filter:complete',
+  FILTER_ERROR: 'filter:error',
+
   // Canvas events
   CANVAS_POINTER_DOWN: 'canvas:pointer:down',
   CANVAS_POINTER_MOVE: 'canvas:pointer:move',
@@ -0,0 +1,412 @@
+/**
+ * Pixel Delta - Compact undo data for pixel edits
+ * Only the tiles that changed between two snapshots are kept. Tiles filled
+ * with a single color are stored as one pixel, identical tiles share storage,
+ * and the whole delta can be moved to IndexedDB while it sits deep in history.
+ */
+
+import { getEventBus, Events } from './event-bus.js';
+import { Command, registerCommand } from './commands.js';
+import { Stores, put, get, remove } from '../storage/db.js';
+
+export const TILE_SIZE = 64;
+
+let deltaIdCounter = 0;
+
+/**
+ * FNV-1a hash of pixel data, used to find identical tiles
+ */
+function hashPixels(data) {
+  const words = new Uint32Array(data.buffer, data.byteOffset, data.byteLength >> 2);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < words.length; i++) {
+    hash ^= words[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function equalPixels(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Copy a rectangle out of ImageData
+ */
+function readRect(imageData, x, y, width, height) {
+  const out = new Uint8ClampedArray(width * height * 4);
+  const rowBytes = width * 4;
+  for (let row = 0; row < height; row++) {
+    const start = ((y + row) * imageData.width + x) * 4;
+    out.set(imageData.data.subarray(start, start + rowBytes), row * rowBytes);
+  }
+  return out;
+}
+
+/**
+ * Whether a rectangle differs between two ImageData of the same size
+ */
+function rectChanged(before, after, x, y, width, height) {
+  const a = before.data;
+  const b = after.data;
+  for (let row = 0; row < height; row++) {
+    let i = ((y + row) * before.width + x) * 4;
+    const end = i + width * 4;
+    for (; i < end; i++) {
+      if (a[i] !== b[i]) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Reduce a tile to a single pixel if it is one solid color
+ */
+function compactPixels(data) {
+  for (let i = 4; i < data.length; i += 4) {
+    if (data[i] !== data[0] || data[i + 1] !== data[1] || data[i + 2] !== data[2] || data[i + 3] !== data[3]) {
+      return data;
+    }
+  }
+  return data.slice(0, 4);
+}
+
+export class PixelDelta {
+  constructor() {
+    this.id = `delta_${Date.now().toString(36)}_${++deltaIdCounter}`;
+
+    // Keyed by "x,y" of the tile in target coordinates
+    this.tiles = new Map();
+    this.blobs = new Map();
+
+    this.spilled = false;
+    this.spilling = null;
+  }
+
+  /**
+   * Build a delta from before/after snapshots of the same size
+   * @param {ImageData} before
+   * @param {ImageData} after
+   * @param {Object} options - { x, y } where the snapshots sit in the target;
+   *   { bounds } limits the comparison to a region of the snapshots
+   */
+  static fromImageData(before, after, options = {}) {
+    const delta = new PixelDelta();
+    const { x: offsetX = 0, y: offsetY = 0 } = options;
+    const bounds = options.bounds || { x: 0, y: 0, width: before.width, height: before.height };
+
+    const left = Math.max(0, Math.floor(bounds.x));
+    const top = Math.max(0, Math.floor(bounds.y));
+    const right = Math.min(before.width, Math.ceil(bounds.x + bounds.width));
+    const bottom = Math.min(before.height, Math.ceil(bounds.y + bounds.height));
+
+    // Tiles are aligned to the snapshot grid so merged deltas line up
+    for (let ty = Math.floor(top / TILE_SIZE) * TILE_SIZE; ty < bottom; ty += TILE_SIZE) {
+      for (let tx = Math.floor(left / TILE_SIZE) * TILE_SIZE; tx < right; tx += TILE_SIZE) {
+        const width = Math.min(TILE_SIZE, before.width - tx);
+        const height = Math.min(TILE_SIZE, before.height - ty);
+
+        if (!rectChanged(before, after, tx, ty, width, height)) continue;
+
+        delta.tiles.set(`${tx + offsetX},${ty + offsetY}`, {
+          x: tx + offsetX,
+          y: ty + offsetY,
+          width,
+          height,
+          before: delta.intern(readRect(before, tx, ty, width, height)),
+          after: delta.intern(readRect(after, tx, ty, width, height))
+        });
+      }
+    }
+
+    return delta;
+  }
+
+  /**
+   * Store tile pixels, sharing identical data
+   * @returns {Uint8ClampedArray} The stored (possibly shared) data
+   */
+  intern(data) {
+    const compact = compactPixels(data);
+    const key = `${compact.length}:${hashPixels(compact)}`;
+    const candidates = this.blobs.get(key);
+
+    if (candidates) {
+      const match = candidates.find(existing => equalPixels(existing, compact));
+      if (match) return match;
+      candidates.push(compact);
+    } else {
+      this.blobs.set(key, [compact]);
+    }
+
+    return compact;
+  }
+
+  isEmpty() {
+    return this.tiles.size === 0;
+  }
+
+  /**
+   * Bytes of pixel data held in memory
+   */
+  get byteSize() {
+    if (this.spilled) return 0;
+
+    let size = 0;
+    for (const candidates of this.blobs.values()) {
+      for (const data of candidates) {
+        size += data.byteLength;
+      }
+    }
+    return size;
+  }
+
+  /**
+   * Write one side of the delta into a canvas context
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {'before'|'after'} side
+   */
+  apply(ctx, side) {
+    if (this.spilled) return false;
+
+    for (const tile of this.tiles.values()) {
+      const data = tile[side];
+      const imageData = new ImageData(tile.width, tile.height);
+
+      if (data.length === 4 && tile.width * tile.height > 1) {
+        for (let i = 0; i < imageData.data.length; i += 4) {
+          imageData.data.set(data, i);
+        }
+      } else {
+        imageData.data.set(data);
+      }
+
+      ctx.putImageData(imageData, tile.x, tile.y);
+    }
+
+    return true;
+  }
+
+  /**
+   * Combine with a later delta on the same target
+   * Keeps this delta's "before" and the later delta's "after".
+   */
+  merge(other) {
+    for (const [key, tile] of other.tiles) {
+      const existing = this.tiles.get(key);
+      const after = this.intern(tile.after);
+
+      if (existing) {
+        existing.after = after;
+      } else {
+        this.tiles.set(key, { ...tile, before: this.intern(tile.before), after });
+      }
+    }
+
+    this.pruneBlobs();
+  }
+
+  /**
+   * Drop stored data no tile refers to any more
+   */
+  pruneBlobs() {
+    const used = new Set();
+    for (const tile of this.tiles.values()) {
+      used.add(tile.before);
+      used.add(tile.after);
+    }
+
+    for (const [key, candidates] of this.blobs) {
+      const kept = candidates.filter(data => used.has(data));
+      if (kept.length > 0) {
+        this.blobs.set(key, kept);
+      } else {
+        this.blobs.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Plain copy of the delta for storage: tiles refer to blobs by index
+   */
+  createRecord() {
+    const blobs = [...this.blobs.values()].flat();
+    const index = new Map(blobs.map((data, i) => [data, i]));
+    return {
+      id: this.id,
+      blobs,
+      tiles: [...this.tiles.values()].map(tile => ({
+        ...tile,
+        before: index.get(tile.before),
+        after: index.get(tile.after)
+      }))
+    };
+  }
+
+  /**
+   * Storage record of the delta, read back from IndexedDB if spilled
+   */
+  async toRecord() {
+    if (this.spilling) await this.spilling;
+    if (!this.spilled) return this.createRecord();
+
+    const record = await get(Stores.HISTORY, this.id);
+    if (!record) throw new Error('History data is missing from storage');
+    return record;
+  }
+
+  /**
+   * Rebuild a delta from a storage record
+   */
+  static fromRecord(record) {
+    const delta = new PixelDelta();
+    delta.loadRecord(record);
+    return delta;
+  }
+
+  loadRecord(record) {
+    for (const tile of record.tiles) {
+      this.tiles.set(`${tile.x},${tile.y}`, {
+        ...tile,
+        before: this.intern(record.blobs[tile.before]),
+        after: this.intern(record.blobs[tile.after])
+      });
+    }
+  }
+
+  /**
+   * Move pixel data to IndexedDB
+   */
+  spill() {
+    if (this.spilled) return Promise.resolve();
+    if (this.spilling) return this.spilling;
+
+    this.spilling = put(Stores.HISTORY, this.createRecord())
+      .then(() => {
+        this.spilled = true;
+        this.tiles = new Map();
+        this.blobs = new Map();
+      })
+      .catch(error => console.warn('Failed to move history to storage:', error))
+      .finally(() => {
+        this.spilling = null;
+      });
+
+    return this.spilling;
+  }
+
+  /**
+   * Read pixel data back from IndexedDB
+   */
+  async restore() {
+    if (this.spilling) await this.spilling;
+    if (!this.spilled) return;
+
+    const record = await get(Stores.HISTORY, this.id);
+    if (!record) throw new Error('History data is missing from storage');
+
+    this.loadRecord(record);
+    this.spilled = false;
+    remove(Stores.HISTORY, this.id).catch(() => {});
+  }
+
+  /**
+   * Release stored data
+   */
+  dispose() {
+    if (this.spilled || this.spilling) {
+      Promise.resolve(this.spilling)
+        .then(() => remove(Stores.HISTORY, this.id))
+        .catch(() => {});
+    }
+    this.tiles = new Map();
+    this.blobs = new Map();
+  }
+}
+
+/**
+ * Base command for pixel edits on a layer or its mask
+ * Subclasses only set a name; the delta is built from before/after snapshots.
+ */
+export class PixelCommand extends Command {
+  /**
+   * @param {string} name - History name
+   * @param {string} layerId - Target layer
+   * @param {ImageData} beforeImageData - Snapshot before the edit
+   * @param {ImageData} afterImageData - Snapshot after the edit
+   * @param {Object} options - { x, y, bounds } (see PixelDelta.fromImageData),
+   *   { target: 'layer'|'mask' } and { delta } to reuse an existing delta
+   */
+  constructor(name, layerId, beforeImageData, afterImageData, options = {}) {
+    super(name);
+    this.layerId = layerId;
+    this.target = options.target || 'layer';
+    this.delta = options.delta ?? PixelDelta.fromImageData(beforeImageData, afterImageData, options);
+  }
+
+  execute() {
+    return this.applyDelta('after');
+  }
+
+  undo() {
+    return this.applyDelta('before');
+  }
+
+  applyDelta(side) {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return false;
+
+    const layer = app.document.getLayer(this.layerId);
+    const surface = this.target === 'mask' ? layer?.mask : layer;
+    if (!surface || !surface.ctx) return false;
+
+    if (!this.delta.apply(surface.ctx, side)) return false;
+
+    surface.updateThumbnail();
+    layer.dirty = true;
+
+    getEventBus().emit(Events.LAYER_UPDATED, { layer });
+    getEventBus().emit(Events.RENDER_REQUEST);
+    return true;
+  }
+
+  getMemorySize() {
+    return this.delta.byteSize;
+  }
+
+  canSpill() {
+    return true;
+  }
+
+  isSpilled() {
+    return this.delta.spilled;
+  }
+
+  spill() {
+    return this.delta.spill();
+  }
+
+  restore() {
+    return this.delta.restore();
+  }
+
+  dispose() {
+    this.delta.dispose();
+  }
+
+  async serialize() {
+    return {
+      type: 'pixels',
+      data: { layerId: this.layerId, target: this.target, delta: await this.delta.toRecord() }
+    };
+  }
+}
+
+registerCommand('pixels', data => new PixelCommand(null, data.layerId, null, null, {
+  target: data.target,
+  delta: PixelDelta.fromRecord(data.delta)
+}));
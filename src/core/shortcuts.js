@@ -350,6 +350,16 @@ export function registerDefaultShortcuts(app) {
     context: ShortcutContext.EDITOR
   });
 
+  shortcuts.register('ctrl+alt+r', () => app.showRefineEdge(), {
+    description: 'Refine Edge',
+    context: ShortcutContext.EDITOR
+  });
+
+  shortcuts.register('q', () => app.toggleQuickMask(), {
+    description: 'Quick Mask',
+    context: ShortcutContext.EDITOR
+  });
+
   // Tools
   shortcuts.register('v', () => app.setTool('move'), {
     description: 'Move Tool',
@@ -361,8 +371,8 @@ export function registerDefaultShortcuts(app) {
     context: ShortcutContext.EDITOR
   });
 
-  shortcuts.register('l', () => app.setTool('lasso'), {
-    description: 'Lasso Tool',
+  shortcuts.register('l', () => app.cycleLassoTool(), {
+    description: 'Lasso Tools',
     context: ShortcutContext.EDITOR
   });
 
@@ -391,6 +401,21 @@ export function registerDefaultShortcuts(app) {
     context: ShortcutContext.EDITOR
   });
 
+  shortcuts.register('t', () => app.setTool('text'), {
+    description: 'Text Tool',
+    context: ShortcutContext.EDITOR
+  });
+
+  shortcuts.register('u', () => app.cycleShapeTool(), {
+    description: 'Shape Tools',
+    context: ShortcutContext.EDITOR
+  });
+
+  shortcuts.register('p', () => app.setTool('pen'), {
+    description: 'Pen Tool',
+    context: ShortcutContext.EDITOR
+  });
+
   // Brush size
   shortcuts.register('bracketleft', () => app.decreaseBrushSize(), {
     description: 'Decrease Brush Size',
@@ -434,6 +459,11 @@ export function registerDefaultShortcuts(app) {
     context: ShortcutContext.EDITOR
   });
 
+  shortcuts.register('ctrl+alt+t', () => app.transformSelection(), {
+    description: 'Transform Selection',
+    context: ShortcutContext.EDITOR
+  });
+
   // Color
   shortcuts.register('x', () => app.swapColors(), {
     description: 'Swap Foreground/Background',
@@ -272,14 +272,67 @@ export function createInitialState() {
           hardness: 100,
           opacity: 100
         },
+        mixerBrush: {
+          wet: 50,                // how much canvas color the brush picks up
+          load: 50,               // how long the loaded paint lasts
+          mix: 50,                // share of picked up color in the paint
+          flow: 100,
+          sampleAllLayers: false,
+          loadAfterStroke: true,  // refill with the foreground color
+          cleanAfterStroke: true  // drop picked up color
+        },
+        smudge: {
+          strength: 50,           // how far colors are dragged
+          fingerPainting: false,  // start strokes with the foreground color
+          sampleAllLayers: false
+        },
+        symmetry: {
+          mode: 'off',       // off, horizontal, vertical, both, radial, mandala
+          segments: 6,       // radial and mandala copies
+          centerX: null,     // null centers on the document
+          centerY: null,
+          angle: 0           // axis rotation in degrees
+        },
         marquee: {
           type: 'rectangle', // rectangle, ellipse
           feather: 0
         },
+        magneticLasso: {
+          width: 10,      // edge detection radius in pixels
+          contrast: 10,   // minimum edge strength, 1-100
+          frequency: 57   // how often anchors are dropped, 0-100
+        },
+        transform: {
+          mode: 'free',         // free, skew, distort, perspective, warp
+          warpPreset: 'custom', // custom, arc, bulge, flag
+          bend: 50,             // preset warp strength, -100 to 100
+          grid: 3               // warp mesh cells per side
+        },
         magicWand: {
           tolerance: 32,
           contiguous: true,
           antiAlias: true
+        },
+        text: {
+          fontFamily: 'Arial',
+          fontSize: 48,
+          fontWeight: '400',
+          align: 'left',
+          lineHeight: 1.2,
+          letterSpacing: 0
+        },
+        shape: {
+          fill: true,
+          stroke: false,
+          strokeColor: '#000000',
+          strokeWidth: 3,
+          dash: 'solid',     // solid, dashed, dotted
+          cornerRadius: 0,
+          sides: 5,
+          star: false,
+          starRatio: 50,     // Inner radius, % of outer
+          lineWeight: 4,
+          preset: 'arrow'
         }
       }
     },
@@ -300,6 +353,12 @@ export function createInitialState() {
         history: { visible: true, collapsed: false },
         colors: { visible: true, collapsed: false }
       },
+      onionSkin: {
+        enabled: false,
+        before: 1,
+        after: 1,
+        opacity: 0.3
+      },
       dialogs: {
         newDocument: false,
         export: false,
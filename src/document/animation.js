@@ -0,0 +1,133 @@
+/**
+ * Animation - Layers-as-frames helpers
+ * Each visible top-level layer or group is one frame, bottom to top
+ */
+
+import { LayerType } from './layer.js';
+
+/**
+ * Frame delay used when a layer name has none (ms)
+ */
+export const DEFAULT_FRAME_DELAY = 100;
+
+// Matches a delay in a layer name, e.g. "frame 3 (120ms)"
+const FRAME_DELAY_PATTERN = /\((\d+)\s*ms\)/i;
+
+/**
+ * Default onion skin settings
+ */
+export const OnionSkinDefaults = {
+  enabled: false,
+  before: 1,        // Frames shown before the active frame
+  after: 1,         // Frames shown after the active frame
+  opacity: 0.3      // Opacity of the nearest ghost frames
+};
+
+/**
+ * Read a frame delay from a layer name
+ * @param {string} name - Layer name
+ * @param {number} defaultDelay - Delay when the name has none
+ * @returns {number} Delay in milliseconds
+ */
+export function parseFrameDelay(name, defaultDelay = DEFAULT_FRAME_DELAY) {
+  const match = FRAME_DELAY_PATTERN.exec(name || '');
+  if (!match) return defaultDelay;
+
+  const delay = parseInt(match[1], 10);
+  return delay > 0 ? delay : defaultDelay;
+}
+
+/**
+ * Collect animation frames from a document's top-level layers
+ * Clipped layers belong to the frame of their base layer; adjustment
+ * layers are not frames.
+ * @param {Document} document - The document
+ * @param {Object} options - { defaultDelay }
+ * @returns {Array<{layers: Layer[], name: string, delay: number}>}
+ */
+export function getAnimationFrames(document, options = {}) {
+  const { defaultDelay = DEFAULT_FRAME_DELAY } = options;
+  const frames = [];
+  let current = null;
+
+  for (const layer of document.layers) {
+    if (layer.type === LayerType.ADJUSTMENT) continue;
+
+    // Clipped layers follow their base (and are dropped with a hidden base)
+    if (layer.clipped && layer.type !== LayerType.GROUP) {
+      if (current && layer.visible) current.layers.push(layer);
+      continue;
+    }
+
+    if (!layer.visible) {
+      current = null;
+      continue;
+    }
+
+    current = {
+      layers: [layer],
+      name: layer.name,
+      delay: parseFrameDelay(layer.name, defaultDelay)
+    };
+    frames.push(current);
+  }
+
+  return frames;
+}
+
+/**
+ * Find the frame containing a layer (including layers nested in groups)
+ * @returns {number} Frame index or -1
+ */
+export function findFrameIndex(frames, layerId) {
+  const contains = (layer) => layer.id === layerId ||
+    (layer.children || []).some(contains);
+
+  return frames.findIndex(frame => frame.layers.some(contains));
+}
+
+/**
+ * Render a single frame to a document-sized canvas
+ * @param {Document} document - The document
+ * @param {Object} frame - Frame from getAnimationFrames
+ * @param {boolean} includeBackground - Include the document background fill
+ * @returns {OffscreenCanvas}
+ */
+export function renderFrame(document, frame, includeBackground = true) {
+  return document.getCompositedCanvas(includeBackground, frame.layers);
+}
+
+/**
+ * Render the active layer's frame with neighbouring frames ghosted
+ * @param {Document} document - The document
+ * @param {string} activeLayerId - Layer whose frame is shown
+ * @param {Object} options - Onion skin settings
+ * @returns {OffscreenCanvas|null} Null when the active layer is not in a frame
+ */
+export function renderOnionSkin(document, activeLayerId, options = {}) {
+  const { before, after, opacity } = { ...OnionSkinDefaults, ...options };
+
+  const frames = getAnimationFrames(document);
+  const index = findFrameIndex(frames, activeLayerId);
+  if (index === -1) return null;
+
+  const canvas = new OffscreenCanvas(document.width, document.height);
+  const ctx = canvas.getContext('2d');
+
+  // Draw farther frames first, fading with distance
+  const ghosts = [];
+  for (let d = Math.max(before, after); d >= 1; d--) {
+    if (d <= before && index - d >= 0) ghosts.push({ frame: frames[index - d], distance: d });
+    if (d <= after && index + d < frames.length) ghosts.push({ frame: frames[index + d], distance: d });
+  }
+
+  for (const { frame, distance } of ghosts) {
+    ctx.globalAlpha = opacity / distance;
+    ctx.drawImage(renderFrame(document, frame, false), 0, 0);
+  }
+
+  ctx.globalAlpha = 1;
+  ctx.drawImage(renderFrame(document, frames[index], false), 0, 0);
+
+  return canvas;
+}
@@ -0,0 +1,148 @@
+/**
+ * Channels - Saved selections (alpha channels) kept per document
+ * An alpha channel is a document-sized 8-bit mask: { id, name, width, height, data }.
+ * The color channels of the composite can be read the same way, so any
+ * channel can be loaded as a selection.
+ */
+
+import { getEventBus, Events } from '../core/event-bus.js';
+import { Command, registerCommand } from '../core/commands.js';
+
+let channelIdCounter = 0;
+
+/**
+ * Composite channels listed above the alpha channels
+ */
+export const ColorChannels = [
+  { id: 'rgb', name: 'RGB' },
+  { id: 'red', name: 'Red', offset: 0 },
+  { id: 'green', name: 'Green', offset: 1 },
+  { id: 'blue', name: 'Blue', offset: 2 }
+];
+
+/**
+ * Create an alpha channel
+ * @param {string} name - Name shown in the Channels panel
+ * @param {Uint8ClampedArray} data - width * height mask values (copied)
+ */
+export function createChannel(name, width, height, data = null) {
+  return {
+    id: `channel_${Date.now().toString(36)}_${++channelIdCounter}`,
+    name,
+    width,
+    height,
+    data: data ? new Uint8ClampedArray(data) : new Uint8ClampedArray(width * height)
+  };
+}
+
+/**
+ * Deep copy a channel (keeps its id)
+ */
+export function cloneChannel(channel) {
+  return channel ? structuredClone(channel) : null;
+}
+
+/**
+ * Deep copy a list of channels
+ */
+export function cloneChannels(channels) {
+  return (channels || []).map(cloneChannel);
+}
+
+/**
+ * Move a channel's content onto a canvas of a new size
+ * Areas uncovered by the move are unselected.
+ */
+export function offsetChannel(channel, width, height, offsetX, offsetY) {
+  const data = new Uint8ClampedArray(width * height);
+
+  for (let y = 0; y < channel.height; y++) {
+    const ty = y + offsetY;
+    if (ty < 0 || ty >= height) continue;
+
+    const x1 = Math.max(0, -offsetX);
+    const x2 = Math.min(channel.width, width - offsetX);
+    if (x2 <= x1) continue;
+
+    const row = y * channel.width;
+    data.set(channel.data.subarray(row + x1, row + x2), ty * width + x1 + offsetX);
+  }
+
+  channel.width = width;
+  channel.height = height;
+  channel.data = data;
+}
+
+/**
+ * Read a color channel of the document composite as a mask
+ * 'rgb' gives the composite's luminosity.
+ */
+export function getColorChannelMask(doc, channelId) {
+  const canvas = doc.getCompositedCanvas(true);
+  const { data } = canvas.getContext('2d').getImageData(0, 0, doc.width, doc.height);
+  const mask = new Uint8ClampedArray(doc.width * doc.height);
+  const channel = ColorChannels.find(c => c.id === channelId);
+
+  for (let i = 0; i < mask.length; i++) {
+    const p = i * 4;
+    mask[i] = channel?.offset !== undefined
+      ? data[p + channel.offset]
+      : 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+
+  return mask;
+}
+
+/**
+ * Command for adding, renaming or deleting an alpha channel (undo/redo)
+ * A null state means the channel doesn't exist on that side of the change.
+ */
+export class SetChannelCommand extends Command {
+  constructor(channelId, beforeChannel, afterChannel, name = 'Edit Channel', index = -1) {
+    super(name);
+    this.channelId = channelId;
+    this.beforeChannel = cloneChannel(beforeChannel);
+    this.afterChannel = cloneChannel(afterChannel);
+    this.index = index;
+  }
+
+  execute() {
+    return this.applyChannel(this.afterChannel);
+  }
+
+  undo() {
+    return this.applyChannel(this.beforeChannel);
+  }
+
+  applyChannel(state) {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return false;
+
+    const doc = app.document;
+    const channel = doc.getChannel(this.channelId);
+
+    if (!state) {
+      doc.removeChannel(this.channelId);
+    } else if (channel) {
+      Object.assign(channel, cloneChannel(state));
+      getEventBus().emit(Events.CHANNELS_CHANGED, { channel });
+    } else {
+      doc.addChannel(cloneChannel(state), this.index);
+    }
+
+    return true;
+  }
+
+  getMemorySize() {
+    return (this.beforeChannel?.data.length ?? 0) + (this.afterChannel?.data.length ?? 0);
+  }
+
+  serialize() {
+    const { channelId, beforeChannel, afterChannel, index } = this;
+    return { type: 'channel', data: { channelId, beforeChannel, afterChannel, index } };
+  }
+}
+
+registerCommand('channel', data => new SetChannelCommand(
+  data.channelId, data.beforeChannel, data.afterChannel, null, data.index
+));
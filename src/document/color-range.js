@@ -0,0 +1,136 @@
+/**
+ * Color Range - Selection masks from sampled colors or tonal ranges
+ * Sampled colors select pixels within the fuzziness distance of any sample;
+ * the presets select highlights, midtones, shadows or skin tones.
+ */
+
+export const ColorRangePreset = {
+  SAMPLED: 'sampled',
+  HIGHLIGHTS: 'highlights',
+  MIDTONES: 'midtones',
+  SHADOWS: 'shadows',
+  SKIN_TONES: 'skinTones'
+};
+
+export const ColorRangePresetNames = {
+  [ColorRangePreset.SAMPLED]: 'Sampled Colors',
+  [ColorRangePreset.HIGHLIGHTS]: 'Highlights',
+  [ColorRangePreset.MIDTONES]: 'Midtones',
+  [ColorRangePreset.SHADOWS]: 'Shadows',
+  [ColorRangePreset.SKIN_TONES]: 'Skin Tones'
+};
+
+export const ColorRangeDefaults = {
+  preset: ColorRangePreset.SAMPLED,
+  colors: [],
+  fuzziness: 40,
+  invert: false
+};
+
+// Skin tones cluster in this ellipse of the CbCr plane
+const SKIN_CB = 102;
+const SKIN_CR = 153;
+const SKIN_CB_RADIUS = 25;
+const SKIN_CR_RADIUS = 20;
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Selection amount (0-1) for a pixel at a distance from a sample
+ * Fully selected within half the fuzziness, fading out to the full fuzziness.
+ */
+function falloff(distance, fuzziness) {
+  const t = distance / Math.max(1, fuzziness);
+  if (t <= 0.5) return 1;
+  if (t >= 1) return 0;
+  return (1 - t) * 2;
+}
+
+/**
+ * Average color around a point
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function sampleColor(imageData, x, y, radius = 0) {
+  const { width, height, data } = imageData;
+  let r = 0, g = 0, b = 0, count = 0;
+
+  for (let sy = Math.max(0, y - radius); sy <= Math.min(height - 1, y + radius); sy++) {
+    for (let sx = Math.max(0, x - radius); sx <= Math.min(width - 1, x + radius); sx++) {
+      const p = (sy * width + sx) * 4;
+      r += data[p];
+      g += data[p + 1];
+      b += data[p + 2];
+      count++;
+    }
+  }
+
+  if (count === 0) return { r: 0, g: 0, b: 0 };
+  return { r: Math.round(r / count), g: Math.round(g / count), b: Math.round(b / count) };
+}
+
+/**
+ * Build a selection mask for a color range
+ * @param {ImageData} imageData - Pixels to select from
+ * @param {Object} options - { preset, colors: [{r, g, b}], fuzziness (0-200), invert }
+ * @returns {Uint8ClampedArray} width * height mask (0-255)
+ */
+export function computeColorRangeMask(imageData, options = {}) {
+  const { preset, colors, fuzziness, invert } = { ...ColorRangeDefaults, ...options };
+  const { width, height, data } = imageData;
+  const mask = new Uint8ClampedArray(width * height);
+
+  for (let i = 0; i < mask.length; i++) {
+    const p = i * 4;
+    const r = data[p];
+    const g = data[p + 1];
+    const b = data[p + 2];
+    const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+    let amount = 0;
+
+    switch (preset) {
+      case ColorRangePreset.HIGHLIGHTS:
+        amount = smoothstep(128, 192, luminance);
+        break;
+
+      case ColorRangePreset.SHADOWS:
+        amount = 1 - smoothstep(64, 128, luminance);
+        break;
+
+      case ColorRangePreset.MIDTONES:
+        amount = smoothstep(64, 128, luminance) - smoothstep(128, 192, luminance);
+        break;
+
+      case ColorRangePreset.SKIN_TONES: {
+        const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+        const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+        const dcb = (cb - SKIN_CB) / SKIN_CB_RADIUS;
+        const dcr = (cr - SKIN_CR) / SKIN_CR_RADIUS;
+        const distance = Math.sqrt(dcb * dcb + dcr * dcr);
+
+        // Fuzziness widens the edge of the skin tone ellipse
+        const edge = fuzziness / 100;
+        amount = distance <= 1 ? 1 : edge > 0 ? Math.max(0, 1 - (distance - 1) / edge) : 0;
+        break;
+      }
+
+      default:
+        for (const color of colors) {
+          const dr = r - color.r;
+          const dg = g - color.g;
+          const db = b - color.b;
+          amount = Math.max(amount, falloff(Math.sqrt(dr * dr + dg * dg + db * db), fuzziness));
+          if (amount === 1) break;
+        }
+    }
+
+    if (invert) amount = 1 - amount;
+
+    // Transparent pixels can't be selected, inverted or not
+    mask[i] = Math.round(amount * data[p + 3]);
+  }
+
+  return mask;
+}
@@ -7,6 +7,9 @@ import { Layer, createRasterLayer, LayerType } from './layer.js';
 import { getEventBus, Events } from '../core/event-bus.js';
 import { getStore } from '../core/store.js';
 import { createAdjustment } from '../effects/adjustments/adjustment-layer.js';
+import { hasActiveStyles, getStyledLayer } from './layer-styles.js';
+import { getSmartFilteredCanvas, whenSmartFiltersReady } from '../effects/filters/smart-filters.js';
+import { offsetChannel } from './channels.js';
 
 let documentIdCounter = 0;
 
@@ -30,6 +33,13 @@ export class Document {
     // Selection state
     this.selection = null;
 
+    // Vector paths (Paths panel), in document coordinates
+    this.paths = [];
+    this.activePathId = null;
+
+    // Saved selections (alpha channels), document-sized masks
+    this.channels = [];
+
     // Resolution and color
     this.dpi = options.dpi ?? 72;
     this.colorMode = options.colorMode ?? 'rgb';
@@ -105,10 +115,28 @@ export class Document {
   }
 
   /**
-   * Get a layer by ID
+   * Get a layer by ID, including layers inside groups
    */
   getLayer(layerId) {
-    return this.layers.find(l => l.id === layerId);
+    return this.findLayer(layerId)?.layer;
+  }
+
+  /**
+   * Find a layer in the layer tree
+   * @returns {{layer: Layer, siblings: Layer[], index: number}|null} `siblings` is
+   *   the list holding the layer: the document's layers or its group's children
+   */
+  findLayer(layerId, layers = this.layers) {
+    for (let index = 0; index < layers.length; index++) {
+      const layer = layers[index];
+      if (layer.id === layerId) return { layer, siblings: layers, index };
+
+      if (layer.type === LayerType.GROUP && layer.children) {
+        const found = this.findLayer(layerId, layer.children);
+        if (found) return found;
+      }
+    }
+    return null;
   }
 
   /**
@@ -132,6 +160,100 @@ export class Document {
     this.syncToStore();
   }
 
+  /**
+   * Add a path to the document
+   */
+  addPath(path, index = -1) {
+    if (index === -1) {
+      this.paths.push(path);
+    } else {
+      this.paths.splice(index, 0, path);
+    }
+
+    this.modifiedAt = Date.now();
+    this.eventBus.emit(Events.PATHS_CHANGED, { path });
+  }
+
+  /**
+   * Remove a path from the document
+   */
+  removePath(pathId) {
+    const index = this.paths.findIndex(p => p.id === pathId);
+    if (index === -1) return null;
+
+    const [path] = this.paths.splice(index, 1);
+
+    if (this.activePathId === pathId) {
+      this.setActivePath(null);
+    }
+
+    this.modifiedAt = Date.now();
+    this.eventBus.emit(Events.PATHS_CHANGED, { path, removed: true });
+
+    return path;
+  }
+
+  /**
+   * Get a path by ID
+   */
+  getPath(pathId) {
+    return this.paths.find(p => p.id === pathId);
+  }
+
+  /**
+   * Get the active path
+   */
+  getActivePath() {
+    return this.getPath(this.activePathId);
+  }
+
+  /**
+   * Set the active path (null deselects)
+   */
+  setActivePath(pathId) {
+    if (this.activePathId === pathId) return;
+    if (pathId !== null && !this.getPath(pathId)) return;
+
+    this.activePathId = pathId;
+    this.eventBus.emit(Events.PATH_SELECTED, { path: this.getActivePath() ?? null });
+  }
+
+  /**
+   * Add an alpha channel to the document
+   */
+  addChannel(channel, index = -1) {
+    if (index === -1) {
+      this.channels.push(channel);
+    } else {
+      this.channels.splice(index, 0, channel);
+    }
+
+    this.modifiedAt = Date.now();
+    this.eventBus.emit(Events.CHANNELS_CHANGED, { channel });
+  }
+
+  /**
+   * Remove an alpha channel from the document
+   */
+  removeChannel(channelId) {
+    const index = this.channels.findIndex(c => c.id === channelId);
+    if (index === -1) return null;
+
+    const [channel] = this.channels.splice(index, 1);
+
+    this.modifiedAt = Date.now();
+    this.eventBus.emit(Events.CHANNELS_CHANGED, { channel, removed: true });
+
+    return channel;
+  }
+
+  /**
+   * Get an alpha channel by ID
+   */
+  getChannel(channelId) {
+    return this.channels.find(c => c.id === channelId);
+  }
+
   /**
    * Move a layer to a new position
    */
@@ -157,7 +279,9 @@ export class Document {
     const layer = this.getLayer(layerId);
     if (!layer) return null;
 
+    // Only top level layers can be duplicated
     const index = this.layers.indexOf(layer);
+    if (index === -1) return null;
     const cloned = layer.clone();
 
     this.addLayer(cloned, index + 1);
@@ -168,8 +292,9 @@ export class Document {
 
   /**
    * Merge a layer with the one below
+   * Waits for the upper layer's smart filters so their result is merged
    */
-  mergeDown(layerId) {
+  async mergeDown(layerId) {
     const index = this.layers.findIndex(l => l.id === layerId);
     if (index <= 0) return null;
 
@@ -178,12 +303,11 @@ export class Document {
 
     if (lowerLayer.type !== LayerType.RASTER) return null;
 
-    // Draw upper layer onto lower layer
-    lowerLayer.ctx.globalAlpha = upperLayer.opacity;
-    lowerLayer.ctx.globalCompositeOperation = upperLayer.blendMode;
-    lowerLayer.ctx.drawImage(upperLayer.canvas, upperLayer.x, upperLayer.y);
-    lowerLayer.ctx.globalAlpha = 1;
-    lowerLayer.ctx.globalCompositeOperation = 'source-over';
+    await whenSmartFiltersReady([upperLayer]);
+    if (this.layers[index] !== upperLayer || this.layers[index - 1] !== lowerLayer) return null;
+
+    // Draw upper layer onto lower layer (styles are baked in)
+    this.renderLayerToContext(lowerLayer.ctx, upperLayer);
 
     lowerLayer.dirty = true;
     lowerLayer.updateThumbnail();
@@ -196,10 +320,13 @@ export class Document {
 
   /**
    * Flatten all layers
+   * Waits for smart filters so their results are flattened
    */
-  flatten() {
+  async flatten() {
     if (this.layers.length <= 1) return;
 
+    await this.whenSmartFiltersReady();
+
     // Create new background layer
     const flattened = createRasterLayer('Background', this.width, this.height);
 
@@ -211,15 +338,11 @@ export class Document {
     // Composite all visible layers
     for (const layer of this.layers) {
       if (!layer.visible) continue;
-      if (layer.type !== LayerType.RASTER) continue;
+      if (layer.type !== LayerType.RASTER && layer.type !== LayerType.TEXT && layer.type !== LayerType.SHAPE) continue;
 
-      flattened.ctx.globalAlpha = layer.opacity;
-      flattened.ctx.globalCompositeOperation = layer.blendMode;
-      flattened.ctx.drawImage(layer.canvas, layer.x, layer.y);
+      this.renderLayerToContext(flattened.ctx, layer);
     }
 
-    flattened.ctx.globalAlpha = 1;
-    flattened.ctx.globalCompositeOperation = 'source-over';
     flattened.locked = true;
 
     // Replace all layers
@@ -288,6 +411,24 @@ export class Document {
       layer.y += offsetY;
     }
 
+    // Paths stay attached to the content
+    for (const path of this.paths) {
+      for (const subpath of path.subpaths) {
+        for (const node of subpath.nodes) {
+          node.x += offsetX;
+          node.y += offsetY;
+          node.inX += offsetX;
+          node.inY += offsetY;
+          node.outX += offsetX;
+          node.outY += offsetY;
+        }
+      }
+    }
+
+    for (const channel of this.channels) {
+      offsetChannel(channel, newWidth, newHeight, offsetX, offsetY);
+    }
+
     this.width = newWidth;
     this.height = newHeight;
     this.modifiedAt = Date.now();
@@ -297,9 +438,10 @@ export class Document {
   /**
    * Get composited canvas with proper clipping, mask, and adjustment layer support
    * @param {boolean} includeBackground - Include background fill
+   * @param {Layer[]} layers - Layers to composite, bottom to top (defaults to all)
    * @returns {OffscreenCanvas} Composited canvas
    */
-  getCompositedCanvas(includeBackground = true) {
+  getCompositedCanvas(includeBackground = true, layers = this.layers) {
     const canvas = new OffscreenCanvas(this.width, this.height);
     const ctx = canvas.getContext('2d');
 
@@ -309,11 +451,22 @@ export class Document {
       ctx.fillRect(0, 0, this.width, this.height);
     }
 
+    this.compositeLayers(ctx, layers);
+
+    return canvas;
+  }
+
+  /**
+   * Composite a list of layers (bottom to top) onto a context
+   */
+  compositeLayers(ctx, layers) {
+    const canvas = ctx.canvas;
+
     // Group layers by clipping relationship
     // Process layers from bottom to top
     let i = 0;
-    while (i < this.layers.length) {
-      const layer = this.layers[i];
+    while (i < layers.length) {
+      const layer = layers[i];
 
       if (!layer.visible) {
         i++;
@@ -327,12 +480,19 @@ export class Document {
         continue;
       }
 
+      // Handle groups by compositing their children
+      if (layer.type === LayerType.GROUP) {
+        this.renderGroupToContext(ctx, layer);
+        i++;
+        continue;
+      }
+
       // Find clipping group (consecutive clipped layers above this one)
       const clippingGroup = [layer];
       let j = i + 1;
-      while (j < this.layers.length && this.layers[j].clipped) {
-        if (this.layers[j].visible) {
-          clippingGroup.push(this.layers[j]);
+      while (j < layers.length && layers[j].clipped) {
+        if (layers[j].visible) {
+          clippingGroup.push(layers[j]);
         }
         j++;
       }
@@ -347,8 +507,22 @@ export class Document {
 
       i = j;
     }
+  }
 
-    return canvas;
+  /**
+   * Render a layer group, compositing its children in isolation
+   */
+  renderGroupToContext(ctx, group) {
+    if (!group.children || group.children.length === 0) return;
+
+    const groupCanvas = new OffscreenCanvas(this.width, this.height);
+    this.compositeLayers(groupCanvas.getContext('2d'), group.children);
+
+    ctx.save();
+    ctx.globalAlpha = group.opacity;
+    ctx.globalCompositeOperation = group.blendMode;
+    ctx.drawImage(groupCanvas, 0, 0);
+    ctx.restore();
   }
 
   /**
@@ -415,12 +589,18 @@ export class Document {
    * Render a single layer to context, handling masks
    */
   renderLayerToContext(ctx, layer) {
+    // Text and shape layers draw their pixels lazily from their properties
+    if (layer.type === LayerType.TEXT || layer.type === LayerType.SHAPE) {
+      layer.ensureRendered();
+    }
+
     if (!layer.canvas) return;
 
     ctx.save();
 
-    // Get layer content, potentially with mask applied
-    let sourceCanvas = layer.canvas;
+    // Get layer content (through its smart filters), potentially with mask applied
+    const contentCanvas = getSmartFilteredCanvas(layer) || layer.canvas;
+    let sourceCanvas = contentCanvas;
 
     if (layer.mask && layer.maskEnabled) {
       // Create temporary canvas with mask applied
@@ -428,7 +608,7 @@ export class Document {
       const maskedCtx = maskedCanvas.getContext('2d');
 
       // Draw layer content
-      maskedCtx.drawImage(layer.canvas, 0, 0);
+      maskedCtx.drawImage(contentCanvas, 0, 0);
 
       // Apply mask using destination-in
       maskedCtx.globalCompositeOperation = 'destination-in';
@@ -439,7 +619,16 @@ export class Document {
 
     ctx.globalAlpha = layer.opacity;
     ctx.globalCompositeOperation = layer.blendMode;
-    ctx.drawImage(sourceCanvas, layer.x, layer.y);
+
+    if (hasActiveStyles(layer.styles)) {
+      // Effects are drawn together with the content as one image
+      const styled = getStyledLayer(layer, sourceCanvas, contentCanvas);
+      if (styled) {
+        ctx.drawImage(styled.canvas, layer.x + styled.x, layer.y + styled.y);
+      }
+    } else {
+      ctx.drawImage(sourceCanvas, layer.x, layer.y);
+    }
 
     ctx.restore();
   }
@@ -491,10 +680,20 @@ export class Document {
     ctx.drawImage(groupCanvas, 0, 0);
   }
 
+  /**
+   * Wait until every smart filtered layer has a current result
+   * Call before compositing for output; on screen, renders draw the last
+   * result while a new one is evaluated.
+   */
+  async whenSmartFiltersReady() {
+    await whenSmartFiltersReady(this.layers);
+  }
+
   /**
    * Get flattened image as blob
    */
   async toBlob(format = 'image/png', quality = 0.92) {
+    await this.whenSmartFiltersReady();
     const canvas = this.getCompositedCanvas(format !== 'image/png');
     return await canvas.convertToBlob({ type: format, quality });
   }
@@ -530,6 +729,8 @@ export class Document {
       colorMode: this.colorMode,
       layers: this.layers.map(l => l.toJSON()),
       activeLayerId: this.activeLayerId,
+      paths: structuredClone(this.paths),
+      channels: structuredClone(this.channels),
       createdAt: this.createdAt,
       modifiedAt: this.modifiedAt
     };
@@ -0,0 +1,608 @@
+/**
+ * Layer Styles - Non-destructive effects rendered from a layer's content
+ * Drop shadow, inner shadow, outer/inner glow, stroke and overlays
+ */
+
+import { getEventBus, Events } from '../core/event-bus.js';
+import { Command, registerCommand } from '../core/commands.js';
+
+export const LayerStyleType = {
+  DROP_SHADOW: 'dropShadow',
+  INNER_SHADOW: 'innerShadow',
+  OUTER_GLOW: 'outerGlow',
+  INNER_GLOW: 'innerGlow',
+  STROKE: 'stroke',
+  COLOR_OVERLAY: 'colorOverlay',
+  GRADIENT_OVERLAY: 'gradientOverlay'
+};
+
+export const StrokePosition = {
+  OUTSIDE: 'outside',
+  INSIDE: 'inside',
+  CENTER: 'center'
+};
+
+export const GlowSource = {
+  EDGE: 'edge',
+  CENTER: 'center'
+};
+
+export const GradientStyle = {
+  LINEAR: 'linear',
+  RADIAL: 'radial'
+};
+
+/**
+ * Default settings per effect (sizes and distances in px, angles in degrees)
+ */
+export const LayerStyleDefaults = {
+  [LayerStyleType.DROP_SHADOW]: {
+    enabled: false,
+    color: '#000000',
+    opacity: 0.75,
+    blendMode: 'multiply',
+    angle: 120,       // Light angle
+    distance: 5,
+    spread: 0,        // 0-100, % of size that is solid
+    size: 5
+  },
+
+  [LayerStyleType.INNER_SHADOW]: {
+    enabled: false,
+    color: '#000000',
+    opacity: 0.75,
+    blendMode: 'multiply',
+    angle: 120,
+    distance: 5,
+    choke: 0,         // 0-100
+    size: 5
+  },
+
+  [LayerStyleType.OUTER_GLOW]: {
+    enabled: false,
+    color: '#ffffbe',
+    opacity: 0.75,
+    blendMode: 'screen',
+    spread: 0,
+    size: 5
+  },
+
+  [LayerStyleType.INNER_GLOW]: {
+    enabled: false,
+    color: '#ffffbe',
+    opacity: 0.75,
+    blendMode: 'screen',
+    source: GlowSource.EDGE,
+    choke: 0,
+    size: 5
+  },
+
+  [LayerStyleType.STROKE]: {
+    enabled: false,
+    color: '#000000',
+    opacity: 1,
+    blendMode: 'normal',
+    position: StrokePosition.OUTSIDE,
+    size: 3
+  },
+
+  [LayerStyleType.COLOR_OVERLAY]: {
+    enabled: false,
+    color: '#ff0000',
+    opacity: 1,
+    blendMode: 'normal'
+  },
+
+  [LayerStyleType.GRADIENT_OVERLAY]: {
+    enabled: false,
+    opacity: 1,
+    blendMode: 'normal',
+    style: GradientStyle.LINEAR,
+    angle: 90,
+    scale: 100,       // 10-150 %
+    reverse: false,
+    stops: [
+      { offset: 0, color: '#000000' },
+      { offset: 1, color: '#ffffff' }
+    ]
+  }
+};
+
+/**
+ * Create a full style set, filling unspecified values from the defaults
+ * @param {Object} styles - Partial styles keyed by LayerStyleType
+ * @returns {Object}
+ */
+export function createLayerStyle(styles = {}) {
+  const result = {};
+
+  for (const [type, defaults] of Object.entries(LayerStyleDefaults)) {
+    result[type] = { ...defaults, ...(styles?.[type] || {}) };
+  }
+
+  const gradient = result[LayerStyleType.GRADIENT_OVERLAY];
+  gradient.stops = gradient.stops.map(stop => ({ ...stop }));
+
+  return result;
+}
+
+/**
+ * Deep copy a style set (null stays null)
+ */
+export function cloneLayerStyle(styles) {
+  return styles ? createLayerStyle(styles) : null;
+}
+
+/**
+ * Whether a style set has at least one enabled effect
+ */
+export function hasActiveStyles(styles) {
+  if (!styles) return false;
+  return Object.values(LayerStyleType).some(type => styles[type]?.enabled);
+}
+
+/**
+ * Distance (px) effects can reach beyond the layer content
+ */
+export function getStyleMargin(styles) {
+  let margin = 0;
+
+  for (const type of Object.values(LayerStyleType)) {
+    const effect = styles?.[type];
+    if (!effect?.enabled) continue;
+
+    // Blur tails extend about 1.5x the effect size
+    const reach = (effect.distance || 0) + (effect.size || 0) * 1.5;
+    margin = Math.max(margin, reach);
+  }
+
+  return Math.ceil(margin) + 2;
+}
+
+/**
+ * Canvas composite operation for a layer blend mode
+ */
+function toCompositeOperation(blendMode) {
+  return !blendMode || blendMode === 'normal' ? 'source-over' : blendMode;
+}
+
+function parseHexColor(hex) {
+  const value = parseInt((hex || '#000000').slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Euclidean distance transform (Felzenszwalb & Huttenlocher)
+ * @param {Uint8Array} features - 1 where distance is zero
+ * @returns {Float32Array} Distance of every pixel to the nearest feature
+ */
+export function distanceTransform(features, width, height) {
+  const INF = 1e20;
+  const size = Math.max(width, height);
+  const grid = new Float64Array(width * height);
+  const f = new Float64Array(size);
+  const d = new Float64Array(size);
+  const v = new Int32Array(size);
+  const z = new Float64Array(size + 1);
+
+  for (let i = 0; i < grid.length; i++) {
+    grid[i] = features[i] ? 0 : INF;
+  }
+
+  // 1D squared distance transform of f into d
+  const transform1D = (n) => {
+    let k = 0;
+    v[0] = 0;
+    z[0] = -INF;
+    z[1] = INF;
+
+    for (let q = 1; q < n; q++) {
+      let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+      while (s <= z[k]) {
+        k--;
+        s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+      }
+      k++;
+      v[k] = q;
+      z[k] = s;
+      z[k + 1] = INF;
+    }
+
+    k = 0;
+    for (let q = 0; q < n; q++) {
+      while (z[k + 1] < q) k++;
+      d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+    }
+  };
+
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) f[y] = grid[y * width + x];
+    transform1D(height);
+    for (let y = 0; y < height; y++) grid[y * width + x] = d[y];
+  }
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) f[x] = grid[row + x];
+    transform1D(width);
+    for (let x = 0; x < width; x++) grid[row + x] = d[x];
+  }
+
+  const result = new Float32Array(width * height);
+  for (let i = 0; i < result.length; i++) {
+    result[i] = Math.sqrt(grid[i]);
+  }
+  return result;
+}
+
+/**
+ * Alpha coverage of a layer's content and lazily computed edge distances
+ */
+class Silhouette {
+  constructor(alpha, width, height) {
+    this.alpha = alpha;     // Uint8Array, 0-255
+    this.width = width;
+    this.height = height;
+    this._outside = null;
+    this._inside = null;
+  }
+
+  /** Distance from each pixel to the content (0 inside) */
+  get outside() {
+    if (!this._outside) {
+      const features = this.alpha.map(a => (a >= 128 ? 1 : 0));
+      this._outside = distanceTransform(features, this.width, this.height);
+    }
+    return this._outside;
+  }
+
+  /** Distance from each pixel to the outside (0 outside) */
+  get inside() {
+    if (!this._inside) {
+      const features = this.alpha.map(a => (a < 128 ? 1 : 0));
+      this._inside = distanceTransform(features, this.width, this.height);
+    }
+    return this._inside;
+  }
+
+  /** Content coverage, 0-1 */
+  coverage() {
+    return Float32Array.from(this.alpha, a => a / 255);
+  }
+
+  /** Content grown outward by a radius */
+  grow(radius) {
+    const mask = this.coverage();
+    if (radius <= 0) return mask;
+
+    const outside = this.outside;
+    for (let i = 0; i < mask.length; i++) {
+      mask[i] = Math.max(mask[i], clamp01(radius + 1 - outside[i]));
+    }
+    return mask;
+  }
+
+  /** Content shrunk inward by a radius */
+  shrink(radius) {
+    const mask = this.coverage();
+    if (radius <= 0) return mask;
+
+    const inside = this.inside;
+    for (let i = 0; i < mask.length; i++) {
+      mask[i] = this.alpha[i] >= 128 ? Math.min(mask[i], clamp01(inside[i] - radius)) : 0;
+    }
+    return mask;
+  }
+
+  /** Everything outside the content, grown inward by a radius */
+  inverse(radius) {
+    const mask = this.shrink(radius);
+    for (let i = 0; i < mask.length; i++) {
+      mask[i] = 1 - mask[i];
+    }
+    return mask;
+  }
+
+  /** Band of a given width just outside the content edge */
+  outerRing(width) {
+    const mask = new Float32Array(this.alpha.length);
+    const outside = this.outside;
+    for (let i = 0; i < mask.length; i++) {
+      mask[i] = this.alpha[i] >= 128 ? 0 : clamp01(width + 1 - outside[i]);
+    }
+    return mask;
+  }
+
+  /** Band of a given width just inside the content edge */
+  innerRing(width) {
+    const mask = new Float32Array(this.alpha.length);
+    const inside = this.inside;
+    for (let i = 0; i < mask.length; i++) {
+      mask[i] = this.alpha[i] >= 128 ? clamp01(width + 1 - inside[i]) : 1;
+    }
+    return mask;
+  }
+}
+
+function clamp01(value) {
+  return value < 0 ? 0 : (value > 1 ? 1 : value);
+}
+
+/**
+ * Build a solid-color canvas whose alpha comes from a 0-1 mask
+ */
+function maskToCanvas(mask, width, height, color) {
+  const [r, g, b] = parseHexColor(color);
+  const imageData = new ImageData(width, height);
+  const data = imageData.data;
+
+  for (let i = 0, j = 0; i < mask.length; i++, j += 4) {
+    data[j] = r;
+    data[j + 1] = g;
+    data[j + 2] = b;
+    data[j + 3] = Math.round(mask[i] * 255);
+  }
+
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+/**
+ * Draw a mask canvas blurred, offset and blended into a context
+ */
+function drawEffect(ctx, canvas, effect, blur, dx = 0, dy = 0) {
+  ctx.save();
+  ctx.globalAlpha = effect.opacity;
+  ctx.globalCompositeOperation = toCompositeOperation(effect.blendMode);
+  if (blur > 0) {
+    ctx.filter = `blur(${blur / 2}px)`;
+  }
+  ctx.drawImage(canvas, dx, dy);
+  ctx.restore();
+}
+
+/**
+ * Shadow offset for a light angle (shadows fall away from the light)
+ */
+function shadowOffset(effect) {
+  const radians = effect.angle * Math.PI / 180;
+  return {
+    dx: -Math.cos(radians) * effect.distance,
+    dy: Math.sin(radians) * effect.distance
+  };
+}
+
+/**
+ * Split an effect size into a solid part (spread/choke) and a blurred part
+ */
+function splitSize(effect, amount) {
+  const solid = effect.size * (amount || 0) / 100;
+  return { solid, blur: effect.size - solid };
+}
+
+function createGradient(ctx, effect, bounds) {
+  const cx = bounds.x + bounds.width / 2;
+  const cy = bounds.y + bounds.height / 2;
+  const scale = (effect.scale ?? 100) / 100;
+  let gradient;
+
+  if (effect.style === GradientStyle.RADIAL) {
+    const radius = Math.max(1, Math.hypot(bounds.width, bounds.height) / 2 * scale);
+    gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius);
+  } else {
+    // Angle 90 runs from the bottom (first stop) to the top (last stop)
+    const radians = effect.angle * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const half = (Math.abs(bounds.width * cos) + Math.abs(bounds.height * sin)) / 2 * scale;
+    gradient = ctx.createLinearGradient(cx - cos * half, cy + sin * half, cx + cos * half, cy - sin * half);
+  }
+
+  const stops = [...effect.stops].sort((a, b) => a.offset - b.offset);
+  for (const stop of stops) {
+    const offset = effect.reverse ? 1 - stop.offset : stop.offset;
+    gradient.addColorStop(clamp01(offset), stop.color);
+  }
+
+  return gradient;
+}
+
+/**
+ * Find the bounding box of non-transparent pixels
+ */
+function getAlphaBounds(data, width, height) {
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width * 4;
+    for (let x = 0; x < width; x++) {
+      if (data[row + x * 4 + 3] === 0) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+
+  if (maxX < 0) return null;
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/**
+ * Render content with its layer styles applied
+ * @param {OffscreenCanvas} source - Layer content (masks already applied)
+ * @param {Object} styles - Style set from createLayerStyle
+ * @returns {{canvas: OffscreenCanvas, x: number, y: number}|null} Styled result
+ *   and its offset relative to the source; null when the content is empty
+ */
+export function renderLayerStyles(source, styles) {
+  const sourceData = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+  const bounds = getAlphaBounds(sourceData.data, source.width, source.height);
+  if (!bounds) return null;
+
+  const margin = getStyleMargin(styles);
+  const ox = bounds.x - margin;
+  const oy = bounds.y - margin;
+  const width = bounds.width + margin * 2;
+  const height = bounds.height + margin * 2;
+
+  // Content and its alpha, in work-area coordinates
+  const content = new OffscreenCanvas(width, height);
+  content.getContext('2d').drawImage(source, -ox, -oy);
+
+  const alpha = new Uint8Array(width * height);
+  for (let y = 0; y < bounds.height; y++) {
+    for (let x = 0; x < bounds.width; x++) {
+      const src = ((bounds.y + y) * source.width + bounds.x + x) * 4 + 3;
+      alpha[(y + margin) * width + x + margin] = sourceData.data[src];
+    }
+  }
+
+  const shape = new Silhouette(alpha, width, height);
+  const contentBounds = { x: margin, y: margin, width: bounds.width, height: bounds.height };
+
+  // Fill pass: content made opaque, effects blended in, then its alpha restored
+  const fill = new OffscreenCanvas(width, height);
+  const fillCtx = fill.getContext('2d');
+  const opaque = content.getContext('2d').getImageData(0, 0, width, height);
+  for (let i = 3; i < opaque.data.length; i += 4) opaque.data[i] = 255;
+  fillCtx.putImageData(opaque, 0, 0);
+
+  const gradientOverlay = styles[LayerStyleType.GRADIENT_OVERLAY];
+  if (gradientOverlay?.enabled) {
+    fillCtx.save();
+    fillCtx.globalAlpha = gradientOverlay.opacity;
+    fillCtx.globalCompositeOperation = toCompositeOperation(gradientOverlay.blendMode);
+    fillCtx.fillStyle = createGradient(fillCtx, gradientOverlay, contentBounds);
+    fillCtx.fillRect(0, 0, width, height);
+    fillCtx.restore();
+  }
+
+  const colorOverlay = styles[LayerStyleType.COLOR_OVERLAY];
+  if (colorOverlay?.enabled) {
+    fillCtx.save();
+    fillCtx.globalAlpha = colorOverlay.opacity;
+    fillCtx.globalCompositeOperation = toCompositeOperation(colorOverlay.blendMode);
+    fillCtx.fillStyle = colorOverlay.color;
+    fillCtx.fillRect(0, 0, width, height);
+    fillCtx.restore();
+  }
+
+  const innerGlow = styles[LayerStyleType.INNER_GLOW];
+  if (innerGlow?.enabled) {
+    const { solid, blur } = splitSize(innerGlow, innerGlow.choke);
+    const mask = innerGlow.source === GlowSource.CENTER ? shape.shrink(solid) : shape.inverse(solid);
+    drawEffect(fillCtx, maskToCanvas(mask, width, height, innerGlow.color), innerGlow, blur);
+  }
+
+  const innerShadow = styles[LayerStyleType.INNER_SHADOW];
+  if (innerShadow?.enabled) {
+    const { solid, blur } = splitSize(innerShadow, innerShadow.choke);
+    const { dx, dy } = shadowOffset(innerShadow);
+    const mask = maskToCanvas(shape.inverse(solid), width, height, innerShadow.color);
+    drawEffect(fillCtx, mask, innerShadow, blur, dx, dy);
+  }
+
+  const stroke = styles[LayerStyleType.STROKE];
+  const strokeInside = stroke?.enabled && stroke.position !== StrokePosition.OUTSIDE;
+  const strokeOutside = stroke?.enabled && stroke.position !== StrokePosition.INSIDE;
+  const strokeWidth = stroke?.position === StrokePosition.CENTER ? stroke.size / 2 : stroke?.size;
+
+  if (strokeInside) {
+    drawEffect(fillCtx, maskToCanvas(shape.innerRing(strokeWidth), width, height, stroke.color), stroke, 0);
+  }
+
+  fillCtx.globalCompositeOperation = 'destination-in';
+  fillCtx.drawImage(content, 0, 0);
+  fillCtx.globalCompositeOperation = 'source-over';
+
+  // Output: effects behind the content, then the filled content
+  const output = new OffscreenCanvas(width, height);
+  const ctx = output.getContext('2d');
+
+  const dropShadow = styles[LayerStyleType.DROP_SHADOW];
+  if (dropShadow?.enabled) {
+    const { solid, blur } = splitSize(dropShadow, dropShadow.spread);
+    const { dx, dy } = shadowOffset(dropShadow);
+    drawEffect(ctx, maskToCanvas(shape.grow(solid), width, height, dropShadow.color), dropShadow, blur, dx, dy);
+  }
+
+  const outerGlow = styles[LayerStyleType.OUTER_GLOW];
+  if (outerGlow?.enabled) {
+    const { solid, blur } = splitSize(outerGlow, outerGlow.spread);
+    drawEffect(ctx, maskToCanvas(shape.grow(solid), width, height, outerGlow.color), outerGlow, blur);
+  }
+
+  if (strokeOutside) {
+    drawEffect(ctx, maskToCanvas(shape.outerRing(strokeWidth), width, height, stroke.color), stroke, 0);
+  }
+
+  ctx.drawImage(fill, 0, 0);
+
+  return { canvas: output, x: ox, y: oy };
+}
+
+/**
+ * Get a layer's styled rendering, reusing the last result while neither
+ * the content nor the styles have changed
+ * @param {Layer} layer - Layer with styles
+ * @param {OffscreenCanvas} source - Content to style (defaults to the layer canvas)
+ * @param {Object} sourceId - Identity of the content for caching, when `source` is a temporary copy
+ * @returns {{canvas: OffscreenCanvas, x: number, y: number}|null}
+ */
+export function getStyledLayer(layer, source = layer.canvas, sourceId = source) {
+  const key = JSON.stringify(layer.styles);
+  const cache = layer._styleCache;
+
+  if (cache && cache.version === layer.contentVersion && cache.key === key && cache.sourceId === sourceId) {
+    return cache.result;
+  }
+
+  const result = renderLayerStyles(source, layer.styles);
+  layer._styleCache = { version: layer.contentVersion, key, sourceId, result };
+  return result;
+}
+
+/**
+ * Command for changing a layer's styles (undo/redo)
+ */
+export class SetLayerStyleCommand extends Command {
+  constructor(layerId, beforeStyles, afterStyles) {
+    super('Layer Style');
+    this.layerId = layerId;
+    this.beforeStyles = cloneLayerStyle(beforeStyles);
+    this.afterStyles = cloneLayerStyle(afterStyles);
+  }
+
+  execute() {
+    return this.applyStyles(this.afterStyles);
+  }
+
+  undo() {
+    return this.applyStyles(this.beforeStyles);
+  }
+
+  applyStyles(styles) {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return false;
+
+    const layer = app.document.getLayer(this.layerId);
+    if (!layer) return false;
+
+    layer.styles = cloneLayerStyle(styles);
+
+    getEventBus().emit(Events.LAYER_UPDATED, { layer });
+    getEventBus().emit(Events.RENDER_REQUEST);
+    return true;
+  }
+
+  serialize() {
+    return {
+      type: 'layer-style',
+      data: { layerId: this.layerId, beforeStyles: this.beforeStyles, afterStyles: this.afterStyles }
+    };
+  }
+}
+
+registerCommand('layer-style', data => new SetLayerStyleCommand(data.layerId, data.beforeStyles, data.afterStyles));
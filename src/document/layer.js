@@ -4,6 +4,8 @@
  */
 
 import { LayerMask } from './mask.js';
+import { cloneLayerStyle } from './layer-styles.js';
+import { cloneSmartFilters } from '../effects/filters/smart-filters.js';
 
 let layerIdCounter = 0;
 
@@ -11,7 +13,8 @@ export const LayerType = {
   RASTER: 'raster',
   ADJUSTMENT: 'adjustment',
   GROUP: 'group',
-  TEXT: 'text'
+  TEXT: 'text',
+  SHAPE: 'shape'
 };
 
 export const BlendMode = {
@@ -70,6 +73,15 @@ export class Layer {
     // For adjustment layers
     this.adjustment = options.adjustment ?? null;
 
+    // Layer styles (drop shadow, stroke, overlays...)
+    this.styles = cloneLayerStyle(options.styles);
+
+    // Smart filters (non-destructive filter stack, evaluated bottom first)
+    this.smartFilters = cloneSmartFilters(options.smartFilters);
+
+    // Bumped whenever the layer is marked dirty; lets caches detect content changes
+    this.contentVersion = 0;
+
     // Dirty flag for rendering optimization
     this.dirty = true;
 
@@ -77,6 +89,15 @@ export class Layer {
     this.thumbnail = null;
   }
 
+  get dirty() {
+    return this._dirty;
+  }
+
+  set dirty(value) {
+    this._dirty = value;
+    if (value) this.contentVersion++;
+  }
+
   /**
    * Initialize the layer canvas
    */
@@ -266,7 +287,9 @@ export class Layer {
       width: this.width,
       height: this.height,
       clipped: this.clipped,
-      adjustment: this.adjustment ? { ...this.adjustment } : null
+      adjustment: this.adjustment ? { ...this.adjustment } : null,
+      styles: this.styles,
+      smartFilters: this.smartFilters
     });
 
     if (this.canvas) {
@@ -303,7 +326,9 @@ export class Layer {
       parentId: this.parentId,
       maskEnabled: this.maskEnabled,
       maskLinked: this.maskLinked,
-      adjustment: this.adjustment
+      adjustment: this.adjustment,
+      styles: this.styles,
+      smartFilters: this.smartFilters
     };
   }
 
@@ -327,6 +352,35 @@ export function createRasterLayer(name, width, height) {
   return layer;
 }
 
+/**
+ * Copy a layer's pixels and properties into a new raster layer
+ * Used to rasterize layers whose pixels are generated (text, shapes)
+ */
+export function rasterizeLayer(layer) {
+  const raster = createRasterLayer(layer.name, layer.width, layer.height);
+  raster.ctx.drawImage(layer.canvas, 0, 0);
+  raster.id = layer.id;
+  raster.visible = layer.visible;
+  raster.opacity = layer.opacity;
+  raster.blendMode = layer.blendMode;
+  raster.locked = layer.locked;
+  raster.x = layer.x;
+  raster.y = layer.y;
+  raster.clipped = layer.clipped;
+  raster.parentId = layer.parentId;
+  raster.styles = cloneLayerStyle(layer.styles);
+  raster.smartFilters = cloneSmartFilters(layer.smartFilters);
+
+  if (layer.mask) {
+    raster.mask = layer.mask.clone();
+    raster.maskEnabled = layer.maskEnabled;
+    raster.maskLinked = layer.maskLinked;
+  }
+
+  raster.updateThumbnail();
+  return raster;
+}
+
 /**
  * Create a layer from an image
  */
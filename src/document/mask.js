@@ -4,7 +4,22 @@
  */
 
 import { getEventBus, Events } from '../core/event-bus.js';
-import { Command, getHistory } from '../core/commands.js';
+import { Command, getHistory, registerCommand } from '../core/commands.js';
+import { PixelCommand } from '../core/pixel-delta.js';
+
+/**
+ * Editing layer id reported by the mask manager while Quick Mask is on
+ */
+export const QUICK_MASK_ID = 'quick-mask';
+
+/**
+ * Mask value (0-255) painted for a color: its brightness
+ */
+export function getMaskValue(hex) {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  if (!result) return 0;
+  return Math.round((parseInt(result[1], 16) + parseInt(result[2], 16) + parseInt(result[3], 16)) / 3);
+}
 
 /**
  * Mask class - represents a grayscale mask for a layer
@@ -134,6 +149,36 @@ export class LayerMask {
     return resultData;
   }
 
+  /**
+   * Read the mask as one value per pixel (0-255), like a selection mask
+   */
+  toMaskData() {
+    const { data } = this.getImageData();
+    const values = new Uint8ClampedArray(this.width * this.height);
+    for (let i = 0; i < values.length; i++) {
+      values[i] = data[i * 4];
+    }
+    return values;
+  }
+
+  /**
+   * Create a mask from one value per pixel (0-255)
+   */
+  static fromMaskData(values, width, height) {
+    const mask = new LayerMask(width, height);
+    const imageData = mask.ctx.createImageData(width, height);
+    const data = imageData.data;
+
+    for (let i = 0; i < values.length; i++) {
+      const p = i * 4;
+      data[p] = data[p + 1] = data[p + 2] = values[i];
+      data[p + 3] = 255;
+    }
+
+    mask.putImageData(imageData);
+    return mask;
+  }
+
   /**
    * Create mask from selection
    */
@@ -236,42 +281,36 @@ export class LayerMask {
 /**
  * Command for mask paint operations
  */
-export class MaskPaintCommand extends Command {
-  constructor(layerId, beforeImageData, afterImageData) {
-    super('Paint Mask');
-    this.layerId = layerId;
-    this.beforeImageData = beforeImageData;
-    this.afterImageData = afterImageData;
+export class MaskPaintCommand extends PixelCommand {
+  constructor(layerId, beforeImageData, afterImageData, bounds, name = 'Paint Mask') {
+    super(name, layerId, beforeImageData, afterImageData, { bounds, target: 'mask' });
   }
+}
 
-  execute() {
-    const app = window.photoEditorApp;
-    if (!app || !app.document) return false;
-
-    const layer = app.document.getLayer(this.layerId);
-    if (!layer || !layer.mask) return false;
+/**
+ * Command for paint operations on the Quick Mask
+ * Removed from history when the Quick Mask it was painted on closes.
+ */
+export class QuickMaskPaintCommand extends PixelCommand {
+  constructor(name, beforeImageData, afterImageData, bounds) {
+    super(name, null, beforeImageData, afterImageData, { bounds, target: 'quickMask' });
+    this.session = getMaskManager().quickMaskSession;
+  }
 
-    layer.mask.putImageData(this.afterImageData);
-    layer.dirty = true;
+  applyDelta(side) {
+    const manager = getMaskManager();
+    const mask = manager.quickMask;
+    if (!mask || manager.quickMaskSession !== this.session) return false;
+    if (!this.delta.apply(mask.ctx, side)) return false;
 
-    getEventBus().emit(Events.LAYER_UPDATED, { layer });
+    mask.updateThumbnail();
     getEventBus().emit(Events.RENDER_REQUEST);
     return true;
   }
 
-  undo() {
-    const app = window.photoEditorApp;
-    if (!app || !app.document) return false;
-
-    const layer = app.document.getLayer(this.layerId);
-    if (!layer || !layer.mask) return false;
-
-    layer.mask.putImageData(this.beforeImageData);
-    layer.dirty = true;
-
-    getEventBus().emit(Events.LAYER_UPDATED, { layer });
-    getEventBus().emit(Events.RENDER_REQUEST);
-    return true;
+  serialize() {
+    // Quick Mask is temporary, so its edits aren't saved with the project
+    return null;
   }
 }
 
@@ -323,8 +362,14 @@ export class AddMaskCommand extends Command {
     getEventBus().emit(Events.RENDER_REQUEST);
     return true;
   }
+
+  serialize() {
+    return { type: 'add-mask', data: { layerId: this.layerId, fillWhite: this.fillWhite } };
+  }
 }
 
+registerCommand('add-mask', data => new AddMaskCommand(data.layerId, data.fillWhite));
+
 /**
  * Command for deleting a mask
  */
@@ -377,8 +422,15 @@ export class DeleteMaskCommand extends Command {
     getEventBus().emit(Events.RENDER_REQUEST);
     return true;
   }
+
+  serialize() {
+    const { layerId, maskData, maskProps } = this;
+    return { type: 'delete-mask', data: { layerId, maskData, maskProps } };
+  }
 }
 
+registerCommand('delete-mask', data => Object.assign(new DeleteMaskCommand(data.layerId), data));
+
 /**
  * Command for applying (merging) a mask
  */
@@ -444,8 +496,15 @@ export class ApplyMaskCommand extends Command {
     getEventBus().emit(Events.RENDER_REQUEST);
     return true;
   }
+
+  serialize() {
+    const { layerId, beforeLayerData, maskData, maskProps } = this;
+    return { type: 'apply-mask', data: { layerId, beforeLayerData, maskData, maskProps } };
+  }
 }
 
+registerCommand('apply-mask', data => Object.assign(new ApplyMaskCommand(data.layerId), data));
+
 /**
  * Command for inverting a mask
  */
@@ -474,8 +533,14 @@ export class InvertMaskCommand extends Command {
     // Inverting twice restores original
     return this.execute();
   }
+
+  serialize() {
+    return { type: 'invert-mask', data: { layerId: this.layerId } };
+  }
 }
 
+registerCommand('invert-mask', data => new InvertMaskCommand(data.layerId));
+
 /**
  * Command for toggling clipping mask
  */
@@ -516,8 +581,14 @@ export class ToggleClippingCommand extends Command {
     getEventBus().emit(Events.RENDER_REQUEST);
     return true;
   }
+
+  serialize() {
+    return { type: 'toggle-clipping', data: { layerId: this.layerId, previousState: this.previousState } };
+  }
 }
 
+registerCommand('toggle-clipping', data => Object.assign(new ToggleClippingCommand(data.layerId), data));
+
 /**
  * Mask manager for handling mask editing state
  */
@@ -526,10 +597,18 @@ class MaskManager {
     this.isEditingMask = false;
     this.activeLayerId = null;
     this.eventBus = null;
+
+    // Temporary mask edited in place of the selection (Quick Mask mode)
+    this.quickMask = null;
+    this.quickMaskSession = 0;
   }
 
   init() {
     this.eventBus = getEventBus();
+
+    // Quick Mask belongs to the document it was opened on
+    this.eventBus.on(Events.DOCUMENT_CREATED, () => this.discardQuickMask());
+    this.eventBus.on(Events.DOCUMENT_OPENED, () => this.discardQuickMask());
   }
 
   /**
@@ -564,6 +643,101 @@ class MaskManager {
     return this.activeLayerId;
   }
 
+  /**
+   * Check if the Quick Mask is being edited
+   */
+  isQuickMask() {
+    return this.isEditingMask && this.activeLayerId === QUICK_MASK_ID && this.quickMask !== null;
+  }
+
+  /**
+   * Enter Quick Mask mode: the selection becomes a mask the paint tools edit
+   * Without a selection the whole canvas starts selected.
+   */
+  enterQuickMask(selection) {
+    if (this.isQuickMask()) return;
+
+    const { width, height } = selection;
+    this.quickMask = selection.hasSelection()
+      ? LayerMask.fromMaskData(selection.mask, width, height)
+      : new LayerMask(width, height);
+    this.quickMaskSession++;
+
+    this.enterMaskEditMode(QUICK_MASK_ID);
+  }
+
+  /**
+   * Leave Quick Mask mode, turning the painted mask back into the selection
+   */
+  exitQuickMask(selection) {
+    if (!this.quickMask) return;
+
+    const values = this.quickMask.toMaskData();
+    this.discardQuickMask();
+
+    if (values.some(v => v > 0)) {
+      selection.fromMask(values);
+    } else {
+      selection.clear();
+    }
+  }
+
+  /**
+   * Drop the Quick Mask without changing the selection
+   * Its paint steps go with it, since there is nothing left for them to undo.
+   */
+  discardQuickMask() {
+    if (!this.quickMask) return;
+
+    if (this.activeLayerId === QUICK_MASK_ID) {
+      this.exitMaskEditMode();
+    }
+    this.quickMask = null;
+
+    const session = this.quickMaskSession;
+    getHistory().removeWhere(cmd => cmd instanceof QuickMaskPaintCommand && cmd.session === session);
+  }
+
+  /**
+   * Get the mask paint tools draw into: the Quick Mask or the editing layer's mask
+   * @returns {LayerMask|null} null when no mask is being edited
+   */
+  getEditingMask(doc) {
+    if (!this.isEditingMask) return null;
+    if (this.activeLayerId === QUICK_MASK_ID) return this.quickMask;
+    return doc?.getLayer(this.activeLayerId)?.mask ?? null;
+  }
+
+  /**
+   * Get the layer whose mask is being edited (null for the Quick Mask)
+   */
+  getEditingLayer(doc) {
+    if (!this.isEditingMask || this.activeLayerId === QUICK_MASK_ID) return null;
+    return doc?.getLayer(this.activeLayerId) ?? null;
+  }
+
+  /**
+   * Record a paint operation on the mask being edited
+   * Tools paint directly, so the command is pushed without executing.
+   */
+  commitMaskPaint(doc, name, beforeImageData, afterImageData, bounds = null) {
+    const mask = this.getEditingMask(doc);
+    if (!mask) return;
+
+    const layer = this.getEditingLayer(doc);
+    const command = layer
+      ? new MaskPaintCommand(layer.id, beforeImageData, afterImageData, bounds, name)
+      : new QuickMaskPaintCommand(name, beforeImageData, afterImageData, bounds);
+    getHistory().push(command);
+
+    mask.updateThumbnail();
+    if (layer) {
+      layer.dirty = true;
+      this.eventBus?.emit(Events.LAYER_UPDATED, { layer });
+    }
+    this.eventBus?.emit(Events.RENDER_REQUEST);
+  }
+
   /**
    * Add mask to layer
    */
@@ -0,0 +1,284 @@
+/**
+ * Paths - Cubic Bézier paths kept per document
+ * A path holds subpaths; each subpath is a list of anchor nodes with incoming
+ * and outgoing handles: { x, y, inX, inY, outX, outY }. A handle sitting on
+ * its anchor means the segment on that side is straight.
+ */
+
+import { getEventBus, Events } from '../core/event-bus.js';
+import { Command, registerCommand } from '../core/commands.js';
+import { PixelCommand } from '../core/pixel-delta.js';
+import { SelectionMode } from './selection.js';
+
+let pathIdCounter = 0;
+
+/**
+ * Create an anchor node (handles default to the anchor)
+ */
+export function createPathNode(x, y, inX = x, inY = y, outX = x, outY = y) {
+  return { x, y, inX, inY, outX, outY };
+}
+
+/**
+ * Create a path
+ * @param {string} name - Name shown in the Paths panel
+ * @param {Array} subpaths - [{ closed, nodes }]
+ */
+export function createPath(name = 'Path', subpaths = []) {
+  return {
+    id: `path_${Date.now().toString(36)}_${++pathIdCounter}`,
+    name,
+    subpaths: structuredClone(subpaths)
+  };
+}
+
+/**
+ * Deep copy a path (keeps its id)
+ */
+export function clonePath(path) {
+  return path ? structuredClone(path) : null;
+}
+
+/**
+ * Deep copy a list of paths
+ */
+export function clonePaths(paths) {
+  return (paths || []).map(clonePath);
+}
+
+/**
+ * Whether a node has handles pulled out of its anchor
+ */
+export function isSmoothNode(node) {
+  return node.inX !== node.x || node.inY !== node.y || node.outX !== node.x || node.outY !== node.y;
+}
+
+/**
+ * Whether the segment between two nodes is a straight line
+ */
+function isStraightSegment(a, b) {
+  return a.outX === a.x && a.outY === a.y && b.inX === b.x && b.inY === b.y;
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const identity = (value) => value;
+
+/**
+ * Build SVG path data for subpaths
+ * @param {Array} subpaths - [{ closed, nodes }]
+ * @param {Function} mapX - Maps node x values to output coordinates
+ * @param {Function} mapY - Maps node y values to output coordinates
+ * @returns {string}
+ */
+export function getPathData(subpaths, mapX = identity, mapY = identity) {
+  const commands = [];
+  const add = (command, ...values) => commands.push(command + values.map(round).join(' '));
+
+  for (const subpath of subpaths || []) {
+    const nodes = subpath.nodes;
+    if (!nodes || nodes.length === 0) continue;
+
+    add('M', mapX(nodes[0].x), mapY(nodes[0].y));
+
+    const segments = subpath.closed ? nodes.length : nodes.length - 1;
+    for (let i = 0; i < segments; i++) {
+      const a = nodes[i];
+      const b = nodes[(i + 1) % nodes.length];
+
+      if (isStraightSegment(a, b)) {
+        add('L', mapX(b.x), mapY(b.y));
+      } else {
+        add('C', mapX(a.outX), mapY(a.outY), mapX(b.inX), mapY(b.inY), mapX(b.x), mapY(b.y));
+      }
+    }
+
+    if (subpath.closed) commands.push('Z');
+  }
+
+  return commands.join(' ');
+}
+
+/**
+ * Point on a cubic Bézier segment
+ */
+export function cubicPoint(p0, p1, p2, p3, t) {
+  const mt = 1 - t;
+  const a = mt * mt * mt;
+  const b = 3 * mt * mt * t;
+  const c = 3 * mt * t * t;
+  const d = t * t * t;
+  return {
+    x: a * p0.x + b * p1.x + c * p2.x + d * p3.x,
+    y: a * p0.y + b * p1.y + c * p2.y + d * p3.y
+  };
+}
+
+/**
+ * Convert subpaths into polylines
+ * Curves are subdivided so consecutive points are about `spacing` px apart.
+ * @returns {Array<{closed: boolean, points: Array<{x, y}>}>}
+ */
+export function flattenPath(subpaths, spacing = 2) {
+  const polylines = [];
+
+  for (const subpath of subpaths || []) {
+    const nodes = subpath.nodes;
+    if (!nodes || nodes.length === 0) continue;
+
+    const points = [{ x: nodes[0].x, y: nodes[0].y }];
+    const segments = subpath.closed ? nodes.length : nodes.length - 1;
+
+    for (let i = 0; i < segments; i++) {
+      const a = nodes[i];
+      const b = nodes[(i + 1) % nodes.length];
+
+      if (isStraightSegment(a, b)) {
+        points.push({ x: b.x, y: b.y });
+        continue;
+      }
+
+      const p0 = { x: a.x, y: a.y };
+      const p1 = { x: a.outX, y: a.outY };
+      const p2 = { x: b.inX, y: b.inY };
+      const p3 = { x: b.x, y: b.y };
+
+      // The control polygon length bounds the curve length
+      const length = Math.hypot(p1.x - p0.x, p1.y - p0.y) +
+        Math.hypot(p2.x - p1.x, p2.y - p1.y) +
+        Math.hypot(p3.x - p2.x, p3.y - p2.y);
+      const steps = Math.min(1000, Math.max(1, Math.ceil(length / spacing)));
+
+      for (let step = 1; step <= steps; step++) {
+        points.push(cubicPoint(p0, p1, p2, p3, step / steps));
+      }
+    }
+
+    polylines.push({ closed: subpath.closed, points });
+  }
+
+  return polylines;
+}
+
+/**
+ * Bounds of all anchors and handles
+ * @returns {{x, y, width, height}|null}
+ */
+export function getPathBounds(subpaths) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  for (const subpath of subpaths || []) {
+    for (const node of subpath.nodes) {
+      minX = Math.min(minX, node.x, node.inX, node.outX);
+      minY = Math.min(minY, node.y, node.inY, node.outY);
+      maxX = Math.max(maxX, node.x, node.inX, node.outX);
+      maxY = Math.max(maxY, node.y, node.inY, node.outY);
+    }
+  }
+
+  if (minX === Infinity) return null;
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Load a path as a selection
+ * Open subpaths are closed with a straight line, as when filling.
+ * @param {Object} path - The path
+ * @param {Selection} selection - Selection to update
+ * @param {Object} options - { mode, feather }
+ */
+export function selectPath(path, selection, options = {}) {
+  const { mode = SelectionMode.REPLACE, feather = 0 } = options;
+
+  const polygons = flattenPath(path.subpaths, 1)
+    .map(polyline => polyline.points)
+    .filter(points => points.length >= 3);
+
+  selection.fromPath(polygons, mode);
+
+  if (feather > 0 && selection.hasSelection()) {
+    selection.featherSelection(feather);
+  }
+}
+
+/**
+ * Fill a path into a layer
+ * @param {Layer} layer - Target layer (path coordinates are in document space)
+ * @param {Object} path - The path
+ * @param {string} color - Fill color
+ */
+export function fillPath(layer, path, color) {
+  const ctx = layer.ctx;
+
+  ctx.save();
+  ctx.translate(-layer.x, -layer.y);
+  ctx.fillStyle = color;
+  ctx.fill(new Path2D(getPathData(path.subpaths)));
+  ctx.restore();
+
+  layer.dirty = true;
+  layer.updateThumbnail();
+}
+
+/**
+ * Command for adding, editing or deleting a path (undo/redo)
+ * A null state means the path doesn't exist on that side of the change.
+ */
+export class SetPathCommand extends Command {
+  constructor(pathId, beforePath, afterPath, name = 'Edit Path', index = -1) {
+    super(name);
+    this.pathId = pathId;
+    this.beforePath = clonePath(beforePath);
+    this.afterPath = clonePath(afterPath);
+    this.index = index;
+  }
+
+  execute() {
+    return this.applyPath(this.afterPath);
+  }
+
+  undo() {
+    return this.applyPath(this.beforePath);
+  }
+
+  applyPath(state) {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return false;
+
+    const doc = app.document;
+    const path = doc.getPath(this.pathId);
+
+    if (!state) {
+      doc.removePath(this.pathId);
+    } else if (path) {
+      path.name = state.name;
+      path.subpaths = structuredClone(state.subpaths);
+      getEventBus().emit(Events.PATHS_CHANGED, { path });
+    } else {
+      doc.addPath(clonePath(state), this.index);
+      doc.setActivePath(this.pathId);
+    }
+
+    return true;
+  }
+
+  serialize() {
+    return {
+      type: 'path',
+      data: { pathId: this.pathId, beforePath: this.beforePath, afterPath: this.afterPath, index: this.index }
+    };
+  }
+}
+
+registerCommand('path', data => new SetPathCommand(data.pathId, data.beforePath, data.afterPath, null, data.index));
+
+/**
+ * Command for painting a path into a layer (fill or stroke)
+ */
+export class PathPixelsCommand extends PixelCommand {
+  constructor(layerId, name, beforeImageData, afterImageData) {
+    super(name, layerId, beforeImageData, afterImageData);
+  }
+}
@@ -0,0 +1,414 @@
+/**
+ * Refine Edge - Selection edge refinement for hair, fur and soft edges
+ * Pixels near the selection edge (within the detection radius, or painted
+ * with the refine radius brush) get their selection amount from their color:
+ * how close it is to the nearby selected versus unselected colors.
+ * Smooth, feather, contrast and shift edge then adjust the resulting mask.
+ */
+
+import { Command } from '../core/commands.js';
+import { getEventBus, Events } from '../core/event-bus.js';
+
+export const RefineEdgeView = {
+  MARCHING_ANTS: 'marchingAnts',
+  OVERLAY: 'overlay',
+  ON_BLACK: 'onBlack',
+  ON_WHITE: 'onWhite'
+};
+
+export const RefineEdgeViewNames = {
+  [RefineEdgeView.MARCHING_ANTS]: 'Marching Ants',
+  [RefineEdgeView.OVERLAY]: 'Overlay',
+  [RefineEdgeView.ON_BLACK]: 'On Black',
+  [RefineEdgeView.ON_WHITE]: 'On White'
+};
+
+export const RefineEdgeOutput = {
+  SELECTION: 'selection',
+  NEW_LAYER: 'newLayer',
+  NEW_DOCUMENT: 'newDocument'
+};
+
+export const RefineEdgeOutputNames = {
+  [RefineEdgeOutput.SELECTION]: 'Selection',
+  [RefineEdgeOutput.NEW_LAYER]: 'New Layer with Layer Mask',
+  [RefineEdgeOutput.NEW_DOCUMENT]: 'New Document'
+};
+
+export const RefineEdgeDefaults = {
+  radius: 0,          // edge detection radius, px
+  smooth: 0,          // 0-100
+  feather: 0,         // Gaussian radius, px
+  contrast: 0,        // 0-100%
+  shiftEdge: 0,       // -100 to 100%
+  decontaminate: false,
+  decontaminateAmount: 50,
+  output: RefineEdgeOutput.SELECTION
+};
+
+// Pixels the shift edge slider moves the edge at 100%
+const SHIFT_EDGE_RANGE = 10;
+
+// Selected and unselected colors closer than this (squared RGB distance)
+// can't tell pixels apart, so those keep their selection amount
+const MIN_COLOR_CONTRAST = 300;
+
+/**
+ * Sum of values in the (2r+1)^2 window around each pixel, clipped to the image
+ */
+function boxSum(values, width, height, radius) {
+  const rows = new Float32Array(values.length);
+  const sums = new Float32Array(values.length);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let sum = 0;
+    for (let x = 0; x <= Math.min(radius, width - 1); x++) sum += values[row + x];
+
+    for (let x = 0; x < width; x++) {
+      rows[row + x] = sum;
+      if (x + radius + 1 < width) sum += values[row + x + radius + 1];
+      if (x - radius >= 0) sum -= values[row + x - radius];
+    }
+  }
+
+  for (let x = 0; x < width; x++) {
+    let sum = 0;
+    for (let y = 0; y <= Math.min(radius, height - 1); y++) sum += rows[y * width + x];
+
+    for (let y = 0; y < height; y++) {
+      sums[y * width + x] = sum;
+      if (y + radius + 1 < height) sum += rows[(y + radius + 1) * width + x];
+      if (y - radius >= 0) sum -= rows[(y - radius) * width + x];
+    }
+  }
+
+  return sums;
+}
+
+/**
+ * Run a recursive Gaussian over one row or column (Young & van Vliet)
+ */
+function gaussianLine(values, start, stride, length, coefficients, buffer) {
+  const { B, b1, b2, b3 } = coefficients;
+
+  // Forward pass, starting as if the edge value extended outward
+  let w1 = values[start], w2 = w1, w3 = w1;
+  for (let i = 0; i < length; i++) {
+    const w = B * values[start + i * stride] + b1 * w1 + b2 * w2 + b3 * w3;
+    buffer[i] = w;
+    w3 = w2;
+    w2 = w1;
+    w1 = w;
+  }
+
+  // Backward pass
+  let y1 = buffer[length - 1], y2 = y1, y3 = y1;
+  for (let i = length - 1; i >= 0; i--) {
+    const y = B * buffer[i] + b1 * y1 + b2 * y2 + b3 * y3;
+    values[start + i * stride] = y;
+    y3 = y2;
+    y2 = y1;
+    y1 = y;
+  }
+}
+
+/**
+ * Blur a mask with a Gaussian of the given standard deviation
+ * Uses a recursive filter, so the cost doesn't grow with the radius.
+ * @returns {Uint8ClampedArray} New mask
+ */
+export function gaussianBlurMask(mask, width, height, sigma) {
+  if (sigma < 0.5) return new Uint8ClampedArray(mask);
+
+  const q = sigma >= 2.5
+    ? 0.98711 * sigma - 0.96330
+    : 3.97156 - 4.14554 * Math.sqrt(1 - 0.26891 * sigma);
+  const q2 = q * q;
+  const q3 = q2 * q;
+  const b0 = 1.57825 + 2.44413 * q + 1.4281 * q2 + 0.422205 * q3;
+  const coefficients = {
+    b1: (2.44413 * q + 2.85619 * q2 + 1.26661 * q3) / b0,
+    b2: -(1.4281 * q2 + 1.26661 * q3) / b0,
+    b3: 0.422205 * q3 / b0
+  };
+  coefficients.B = 1 - coefficients.b1 - coefficients.b2 - coefficients.b3;
+
+  const values = Float32Array.from(mask);
+  const buffer = new Float32Array(Math.max(width, height));
+
+  for (let y = 0; y < height; y++) {
+    gaussianLine(values, y * width, 1, width, coefficients, buffer);
+  }
+  for (let x = 0; x < width; x++) {
+    gaussianLine(values, x, width, height, coefficients, buffer);
+  }
+
+  return Uint8ClampedArray.from(values, v => Math.round(v));
+}
+
+/**
+ * Grow (radius > 0) or shrink (radius < 0) a mask by whole pixels
+ */
+function shiftMask(mask, width, height, radius) {
+  const size = Math.abs(radius);
+  const pick = radius > 0 ? Math.max : Math.min;
+  const rows = new Uint8ClampedArray(mask.length);
+  const result = new Uint8ClampedArray(mask.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = mask[y * width + x];
+      for (let nx = Math.max(0, x - size); nx <= Math.min(width - 1, x + size); nx++) {
+        value = pick(value, mask[y * width + nx]);
+      }
+      rows[y * width + x] = value;
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = rows[y * width + x];
+      for (let ny = Math.max(0, y - size); ny <= Math.min(height - 1, y + size); ny++) {
+        value = pick(value, rows[ny * width + x]);
+      }
+      result[y * width + x] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Stretch mask values away from 50%, so soft edges get harder
+ */
+function applyGain(mask, gain) {
+  for (let i = 0; i < mask.length; i++) {
+    mask[i] = (mask[i] - 127.5) * gain + 127.5;
+  }
+}
+
+/**
+ * Recompute the selection amount of pixels near the edge from their colors
+ * @param {Uint8ClampedArray} mask - Selection mask
+ * @param {ImageData} imageData - Pixels the selection is on
+ * @param {number} radius - Edge detection radius, px
+ * @param {Uint8Array|null} refineArea - Extra pixels to refine (refine radius brush)
+ * @param {number} sampleRadius - Distance to look for selected and unselected colors
+ * @returns {Uint8ClampedArray} New mask
+ */
+function detectEdges(mask, imageData, radius, refineArea, sampleRadius) {
+  const { width, height, data } = imageData;
+  const size = width * height;
+  const result = new Uint8ClampedArray(mask);
+
+  const hard = new Float32Array(size);
+  for (let i = 0; i < size; i++) hard[i] = mask[i] >= 128 ? 1 : 0;
+
+  // Pixels with both selected and unselected pixels within the radius
+  const band = new Uint8Array(size);
+  let hasBand = false;
+  if (radius > 0) {
+    const counts = boxSum(hard, width, height, radius);
+    for (let y = 0; y < height; y++) {
+      const rows = Math.min(height - 1, y + radius) - Math.max(0, y - radius) + 1;
+      for (let x = 0; x < width; x++) {
+        const columns = Math.min(width - 1, x + radius) - Math.max(0, x - radius) + 1;
+        const count = Math.round(counts[y * width + x]);
+        if (count > 0 && count < rows * columns) {
+          band[y * width + x] = 1;
+          hasBand = true;
+        }
+      }
+    }
+  }
+  if (refineArea) {
+    for (let i = 0; i < size; i++) {
+      if (refineArea[i]) {
+        band[i] = 1;
+        hasBand = true;
+      }
+    }
+  }
+  if (!hasBand) return result;
+
+  // Pixels outside the band are known to be selected or unselected
+  const foreground = new Float32Array(size);
+  const background = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    if (band[i]) continue;
+    foreground[i] = hard[i];
+    background[i] = 1 - hard[i];
+  }
+
+  const foregroundCount = boxSum(foreground, width, height, sampleRadius);
+  const backgroundCount = boxSum(background, width, height, sampleRadius);
+
+  // alpha = (C - B) . (F - B) / |F - B|^2 from the mean nearby colors F and B
+  const numerator = new Float32Array(size);
+  const denominator = new Float32Array(size);
+  const channel = new Float32Array(size);
+
+  for (let c = 0; c < 3; c++) {
+    for (let i = 0; i < size; i++) channel[i] = data[i * 4 + c] * foreground[i];
+    const foregroundSum = boxSum(channel, width, height, sampleRadius);
+    for (let i = 0; i < size; i++) channel[i] = data[i * 4 + c] * background[i];
+    const backgroundSum = boxSum(channel, width, height, sampleRadius);
+
+    for (let i = 0; i < size; i++) {
+      if (!band[i] || foregroundCount[i] < 0.5 || backgroundCount[i] < 0.5) continue;
+
+      const f = foregroundSum[i] / foregroundCount[i];
+      const b = backgroundSum[i] / backgroundCount[i];
+      numerator[i] += (data[i * 4 + c] - b) * (f - b);
+      denominator[i] += (f - b) * (f - b);
+    }
+  }
+
+  for (let i = 0; i < size; i++) {
+    if (!band[i] || denominator[i] < MIN_COLOR_CONTRAST) continue;
+
+    const alpha = Math.min(1, Math.max(0, numerator[i] / denominator[i]));
+    result[i] = Math.round(alpha * 255);
+  }
+
+  return result;
+}
+
+/**
+ * Refine a selection mask
+ * @param {Uint8ClampedArray} mask - width * height selection mask
+ * @param {ImageData} imageData - Pixels the selection is on
+ * @param {Object} settings - See RefineEdgeDefaults
+ * @param {Object} options - { refineArea } pixels painted with the refine
+ *   radius brush, { brushSize } of that brush, { scale } of the image
+ *   relative to the document (distances in settings are document pixels)
+ * @returns {Uint8ClampedArray} Refined mask
+ */
+export function refineMask(mask, imageData, settings = {}, options = {}) {
+  const { radius, smooth, feather, contrast, shiftEdge } = { ...RefineEdgeDefaults, ...settings };
+  const { width, height } = imageData;
+  const scale = options.scale ?? 1;
+  let result = new Uint8ClampedArray(mask);
+
+  // Edge detection
+  const edgeRadius = Math.round(radius * scale);
+  if (edgeRadius > 0 || options.refineArea) {
+    const sampleRadius = Math.max(2, edgeRadius * 2, Math.round((options.brushSize ?? 0) * scale));
+    result = detectEdges(result, imageData, edgeRadius, options.refineArea || null, sampleRadius);
+  }
+
+  // Smooth: blur away jagged edges, then harden back
+  if (smooth > 0) {
+    const sigma = smooth / 10 * scale;
+    result = gaussianBlurMask(result, width, height, sigma);
+    applyGain(result, 1 + sigma);
+  }
+
+  if (feather > 0) {
+    result = gaussianBlurMask(result, width, height, feather * scale);
+  }
+
+  if (contrast > 0) {
+    applyGain(result, 1 / Math.max(0.01, 1 - contrast / 100));
+  }
+
+  const shift = Math.round(shiftEdge / 100 * SHIFT_EDGE_RANGE * scale);
+  if (shift !== 0) {
+    result = shiftMask(result, width, height, shift);
+  }
+
+  return result;
+}
+
+/**
+ * Replace the colors of partly selected pixels with nearby fully selected colors
+ * Removes the background color fringe left around hair and fur.
+ * @param {ImageData} imageData - Pixels to clean up
+ * @param {Uint8ClampedArray} mask - Refined selection mask
+ * @param {number} amount - 0-100
+ * @param {number} radius - Distance to look for selected colors, px
+ * @returns {ImageData} New pixels
+ */
+export function decontaminateColors(imageData, mask, amount, radius = 8) {
+  const { width, height, data } = imageData;
+  const size = width * height;
+  const output = new ImageData(new Uint8ClampedArray(data), width, height);
+  const strength = amount / 100;
+  if (strength <= 0) return output;
+
+  const solid = new Float32Array(size);
+  for (let i = 0; i < size; i++) solid[i] = mask[i] >= 250 ? 1 : 0;
+
+  const sampleRadius = Math.max(2, Math.round(radius));
+  const counts = boxSum(solid, width, height, sampleRadius);
+  const channel = new Float32Array(size);
+
+  for (let c = 0; c < 3; c++) {
+    for (let i = 0; i < size; i++) channel[i] = data[i * 4 + c] * solid[i];
+    const sums = boxSum(channel, width, height, sampleRadius);
+
+    for (let i = 0; i < size; i++) {
+      if (mask[i] === 0 || mask[i] >= 250 || counts[i] < 0.5) continue;
+
+      const p = i * 4 + c;
+      const t = strength * (1 - mask[i] / 255);
+      output.data[p] = data[p] + (sums[i] / counts[i] - data[p]) * t;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Command for adding a refined copy of a layer and hiding the original
+ */
+export class AddRefinedLayerCommand extends Command {
+  constructor(layer, index, sourceLayerId) {
+    super('Refine Edge');
+    this.layer = layer;
+    this.index = index;
+    this.sourceLayerId = sourceLayerId;
+    this.sourceVisible = true;
+  }
+
+  execute() {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return false;
+
+    const source = app.document.getLayer(this.sourceLayerId);
+    if (source) {
+      this.sourceVisible = source.visible;
+      source.visible = false;
+      getEventBus().emit(Events.LAYER_UPDATED, { layer: source });
+    }
+
+    app.document.addLayer(this.layer, this.index);
+    app.document.setActiveLayer(this.layer.id);
+
+    getEventBus().emit(Events.RENDER_REQUEST);
+    return true;
+  }
+
+  undo() {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return false;
+
+    app.document.removeLayer(this.layer.id);
+
+    const source = app.document.getLayer(this.sourceLayerId);
+    if (source) {
+      source.visible = this.sourceVisible;
+      app.document.setActiveLayer(source.id);
+      getEventBus().emit(Events.LAYER_UPDATED, { layer: source });
+    }
+
+    getEventBus().emit(Events.RENDER_REQUEST);
+    return true;
+  }
+
+  getMemorySize() {
+    // Layer pixels plus its mask
+    return this.layer.width * this.layer.height * 8;
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Select Subject - Edge-based automatic selection of the main subject
+ * Segmentation runs locally in a worker (GrabCut-style color models and a
+ * graph cut along image edges); no network model is involved.
+ */
+
+let segmentWorker = null;
+let messageId = 0;
+const pendingMessages = new Map();
+
+/**
+ * Get or create the segment worker
+ */
+function getSegmentWorker() {
+  if (!segmentWorker) {
+    segmentWorker = new Worker(new URL('../../workers/segment-worker.js', import.meta.url));
+
+    segmentWorker.onmessage = (e) => {
+      const { id, success, result, error, progress } = e.data;
+      const pending = pendingMessages.get(id);
+      if (!pending) return;
+
+      // Progress messages arrive before the final result
+      if (success === undefined) {
+        pending.onProgress?.(progress);
+        return;
+      }
+
+      pendingMessages.delete(id);
+      if (success) {
+        pending.resolve(result);
+      } else {
+        pending.reject(new Error(error));
+      }
+    };
+
+    // A crashed worker can't answer; fail its segmentations and start fresh next time
+    segmentWorker.onerror = (e) => {
+      console.error('Segment worker error:', e);
+      segmentWorker.terminate();
+      segmentWorker = null;
+      rejectPending(() => new Error(e.message || 'Segment worker failed'));
+    };
+  }
+
+  return segmentWorker;
+}
+
+/**
+ * Reject every segmentation still waiting on the worker
+ */
+function rejectPending(createError) {
+  for (const pending of pendingMessages.values()) {
+    pending.reject(createError());
+  }
+  pendingMessages.clear();
+}
+
+/**
+ * Stop a running segmentation; its promise rejects with an AbortError
+ */
+export function cancelSelectSubject() {
+  if (segmentWorker) {
+    segmentWorker.terminate();
+    segmentWorker = null;
+  }
+
+  rejectPending(() => {
+    const error = new Error('Select Subject cancelled');
+    error.name = 'AbortError';
+    return error;
+  });
+}
+
+/**
+ * Find the main subject of an image
+ * @param {ImageData} imageData - Pixels to segment (transferred to the worker)
+ * @param {Object} options - { rect } to look only inside a region,
+ *   { onProgress } called with 0-100
+ * @returns {Promise<Uint8ClampedArray>} width * height selection mask
+ */
+export function segmentSubject(imageData, options = {}) {
+  return new Promise((resolve, reject) => {
+    const id = ++messageId;
+    pendingMessages.set(id, { resolve, reject, onProgress: options.onProgress });
+
+    getSegmentWorker().postMessage({
+      type: 'segment',
+      id,
+      data: { imageData, rect: options.rect || null }
+    }, [imageData.data.buffer]);
+  });
+}
@@ -26,6 +26,37 @@ export const SelectionType = {
   MASK: 'mask'       // Pixel-based (magic wand result)
 };
 
+/**
+ * Apply an affine matrix ({a, b, c, d, e, f}, as in DOMMatrix) to a point
+ */
+function mapPoint(m, x, y) {
+  return { x: m.a * x + m.c * y + m.e, y: m.b * x + m.d * y + m.f };
+}
+
+function invertMatrix(m) {
+  const det = m.a * m.d - m.b * m.c;
+  if (Math.abs(det) < 1e-12) return null;
+
+  return {
+    a: m.d / det,
+    b: -m.b / det,
+    c: -m.c / det,
+    d: m.a / det,
+    e: (m.c * m.f - m.d * m.e) / det,
+    f: (m.b * m.e - m.a * m.f) / det
+  };
+}
+
+/**
+ * Map a selection path (one polygon or a list of them) through a matrix
+ */
+function mapOutline(path, m) {
+  if (Array.isArray(path[0])) {
+    return path.map(polygon => mapOutline(polygon, m));
+  }
+  return path.map(p => mapPoint(m, p.x, p.y));
+}
+
 export class Selection {
   constructor(width, height) {
     this.width = width;
@@ -48,6 +79,9 @@ export class Selection {
     // Anti-aliased edge
     this.antiAlias = true;
 
+    // Outline replaced by previewTransform() while a move is in progress
+    this.previewSource = null;
+
     this.eventBus = getEventBus();
   }
 
@@ -177,9 +211,15 @@ export class Selection {
 
   /**
    * Create selection from polygon path
+   * Accepts a single polygon or a list of polygons filled together with the
+   * even-odd rule, so inner subpaths cut holes.
    */
   fromPath(points, mode = SelectionMode.REPLACE) {
-    if (points.length < 3) {
+    const polygons = Array.isArray(points[0])
+      ? points.filter(polygon => polygon.length >= 3)
+      : [points];
+
+    if (polygons.length === 0 || polygons[0].length < 3) {
       if (mode === SelectionMode.REPLACE) this.clear();
       return;
     }
@@ -187,20 +227,30 @@ export class Selection {
     const newMask = new Uint8ClampedArray(this.width * this.height);
 
     // Use scanline fill algorithm
-    const minY = Math.max(0, Math.floor(Math.min(...points.map(p => p.y))));
-    const maxY = Math.min(this.height - 1, Math.ceil(Math.max(...points.map(p => p.y))));
+    let top = Infinity;
+    let bottom = -Infinity;
+    for (const polygon of polygons) {
+      for (const p of polygon) {
+        top = Math.min(top, p.y);
+        bottom = Math.max(bottom, p.y);
+      }
+    }
+    const minY = Math.max(0, Math.floor(top));
+    const maxY = Math.min(this.height - 1, Math.ceil(bottom));
 
     for (let y = minY; y <= maxY; y++) {
       const intersections = [];
 
       // Find all edge intersections with this scanline
-      for (let i = 0; i < points.length; i++) {
-        const p1 = points[i];
-        const p2 = points[(i + 1) % points.length];
-
-        if ((p1.y <= y && p2.y > y) || (p2.y <= y && p1.y > y)) {
-          const x = p1.x + (y - p1.y) / (p2.y - p1.y) * (p2.x - p1.x);
-          intersections.push(x);
+      for (const polygon of polygons) {
+        for (let i = 0; i < polygon.length; i++) {
+          const p1 = polygon[i];
+          const p2 = polygon[(i + 1) % polygon.length];
+
+          if ((p1.y <= y && p2.y > y) || (p2.y <= y && p1.y > y)) {
+            const x = p1.x + (y - p1.y) / (p2.y - p1.y) * (p2.x - p1.x);
+            intersections.push(x);
+          }
         }
       }
 
@@ -220,7 +270,7 @@ export class Selection {
 
     this.applyMask(newMask, mode);
     this.type = SelectionType.PATH;
-    this.path = points;
+    this.path = polygons.length === 1 ? polygons[0] : polygons;
     this.updateBounds();
 
     this.eventBus.emit(Events.SELECTION_CHANGED, { selection: this });
@@ -366,6 +416,105 @@ export class Selection {
     this.eventBus.emit(Events.SELECTION_CHANGED, { selection: this });
   }
 
+  /**
+   * Move the selection outline and mask by whole pixels
+   */
+  translate(dx, dy) {
+    this.transform({ a: 1, b: 0, c: 0, d: 1, e: Math.round(dx), f: Math.round(dy) });
+  }
+
+  /**
+   * Move, scale or rotate the selection without touching any pixels
+   * The mask is resampled bilinearly, so soft edges stay soft.
+   * @param {Object} matrix - Document-space affine matrix {a, b, c, d, e, f}
+   */
+  transform(matrix) {
+    this.endPreview();
+    if (!this.mask || !this.bounds) return;
+
+    const inverse = invertMatrix(matrix);
+    if (!inverse) return;
+
+    const { width, height } = this;
+    const source = this.mask;
+    const mask = new Uint8ClampedArray(width * height);
+
+    // Only pixels inside the transformed bounds can be selected
+    const corners = this.boundsToPath(this.bounds).map(p => mapPoint(matrix, p.x, p.y));
+    const x1 = Math.max(0, Math.floor(Math.min(...corners.map(p => p.x))));
+    const y1 = Math.max(0, Math.floor(Math.min(...corners.map(p => p.y))));
+    const x2 = Math.min(width, Math.ceil(Math.max(...corners.map(p => p.x))));
+    const y2 = Math.min(height, Math.ceil(Math.max(...corners.map(p => p.y))));
+
+    const sample = (x, y) => (x < 0 || x >= width || y < 0 || y >= height) ? 0 : source[y * width + x];
+
+    for (let y = y1; y < y2; y++) {
+      for (let x = x1; x < x2; x++) {
+        // Pixel centers map to pixel centers, so whole-pixel moves are exact
+        const src = mapPoint(inverse, x + 0.5, y + 0.5);
+        const sx = src.x - 0.5;
+        const sy = src.y - 0.5;
+        const ix = Math.floor(sx);
+        const iy = Math.floor(sy);
+        const fx = sx - ix;
+        const fy = sy - iy;
+
+        const top = sample(ix, iy) * (1 - fx) + sample(ix + 1, iy) * fx;
+        const bottom = sample(ix, iy + 1) * (1 - fx) + sample(ix + 1, iy + 1) * fx;
+        mask[y * width + x] = Math.round(top * (1 - fy) + bottom * fy);
+      }
+    }
+
+    const moveOnly = matrix.a === 1 && matrix.b === 0 && matrix.c === 0 && matrix.d === 1;
+
+    this.mask = mask;
+    if (this.path) {
+      this.path = mapOutline(this.path, matrix);
+      if (!moveOnly) this.type = SelectionType.PATH;
+    }
+    this.updateBounds();
+
+    this.eventBus.emit(Events.SELECTION_CHANGED, { selection: this });
+  }
+
+  /**
+   * Show the outline moved by a transform while leaving the mask alone
+   * Tools call this while dragging, then transform() or endPreview().
+   */
+  previewTransform(matrix) {
+    if (!this.bounds && !this.previewSource) return;
+
+    if (!this.previewSource) {
+      this.previewSource = { path: this.path, bounds: this.bounds };
+    }
+
+    const { path, bounds } = this.previewSource;
+    this.path = mapOutline(path ?? this.boundsToPath(bounds), matrix);
+
+    const points = this.path.flat();
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    this.bounds = {
+      x: Math.min(...xs),
+      y: Math.min(...ys),
+      width: Math.max(...xs) - Math.min(...xs),
+      height: Math.max(...ys) - Math.min(...ys)
+    };
+
+    this.eventBus.emit(Events.SELECTION_CHANGED, { selection: this });
+  }
+
+  /**
+   * Put back the outline replaced by previewTransform()
+   */
+  endPreview() {
+    if (!this.previewSource) return;
+
+    this.path = this.previewSource.path;
+    this.bounds = this.previewSource.bounds;
+    this.previewSource = null;
+  }
+
   /**
    * Update selection bounds
    */
@@ -494,7 +643,7 @@ export class Selection {
       cloned.mask = new Uint8ClampedArray(this.mask);
     }
     if (this.path) {
-      cloned.path = this.path.map(p => ({ ...p }));
+      cloned.path = structuredClone(this.path);
     }
     if (this.bounds) {
       cloned.bounds = { ...this.bounds };
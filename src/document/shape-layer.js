@@ -0,0 +1,469 @@
+/**
+ * Shape Layer - Resolution-independent vector shapes rendered into a layer canvas
+ * Geometry is kept as parameters (bounds, corner radius, sides...) or as path
+ * nodes relative to the bounds, so shapes can be edited and rescaled without
+ * losing quality and exported as SVG paths.
+ */
+
+import { Layer, LayerType, rasterizeLayer } from './layer.js';
+import { RasterizeTextCommand } from './text-layer.js';
+import { getEventBus, Events } from '../core/event-bus.js';
+import { Command, registerCommand } from '../core/commands.js';
+import { getPathData } from './paths.js';
+
+/**
+ * Shape kinds
+ */
+export const ShapeKind = {
+  RECTANGLE: 'rectangle',
+  ELLIPSE: 'ellipse',
+  POLYGON: 'polygon',   // Regular polygon, or a star when `star` is set
+  LINE: 'line',
+  PATH: 'path'          // Free-form path nodes (custom shapes)
+};
+
+/**
+ * Default shape properties
+ */
+export const ShapeDefaults = {
+  kind: ShapeKind.RECTANGLE,
+  x: 0,                 // Bounds in layer coordinates
+  y: 0,
+  width: 0,
+  height: 0,
+  rotation: 0,          // Degrees around the bounds centre
+  cornerRadius: 0,      // Rectangle only, px
+  sides: 5,             // Polygon only
+  star: false,
+  starRatio: 0.5,       // Inner radius as a fraction of the outer radius
+  path: null,           // Line and path: [{ closed, nodes: [{ x, y, inX, inY, outX, outY }] }], 0-1 within the bounds
+  fill: '#000000',      // null for no fill
+  stroke: null,         // null for no stroke
+  strokeWidth: 0,       // px
+  dash: [],             // Dash pattern in multiples of the stroke width, empty for solid
+  lineCap: 'butt',
+  lineJoin: 'miter'
+};
+
+/**
+ * Path node with optional bezier handles (handles default to the anchor)
+ */
+function node(x, y, inX = x, inY = y, outX = x, outY = y) {
+  return { x, y, inX, inY, outX, outY };
+}
+
+function polygonPath(points) {
+  return [{ closed: true, nodes: points.map(([x, y]) => node(x, y)) }];
+}
+
+/**
+ * Built-in custom shapes, normalized to a unit box
+ */
+export const ShapePresets = {
+  arrow: {
+    name: 'Arrow',
+    path: polygonPath([[0, 0.3], [0.6, 0.3], [0.6, 0], [1, 0.5], [0.6, 1], [0.6, 0.7], [0, 0.7]])
+  },
+  heart: {
+    name: 'Heart',
+    path: [{
+      closed: true,
+      nodes: [
+        node(0.5, 0.22, 0.62, 0, 0.38, 0),
+        node(0, 0.3, 0.02, 0.02, 0, 0.6),
+        node(0.5, 1, 0.3, 0.82, 0.7, 0.82),
+        node(1, 0.3, 1, 0.6, 0.98, 0.02)
+      ]
+    }]
+  },
+  speech: {
+    name: 'Speech Bubble',
+    path: polygonPath([[0, 0], [1, 0], [1, 0.75], [0.45, 0.75], [0.2, 1], [0.25, 0.75], [0, 0.75]])
+  },
+  check: {
+    name: 'Check Mark',
+    path: polygonPath([[0, 0.55], [0.15, 0.4], [0.38, 0.62], [0.85, 0.1], [1, 0.25], [0.38, 0.9]])
+  },
+  lightning: {
+    name: 'Lightning',
+    path: polygonPath([[0.6, 0], [0.15, 0.55], [0.45, 0.55], [0.35, 1], [0.85, 0.4], [0.55, 0.4], [0.75, 0]])
+  }
+};
+
+/**
+ * Deep copy shape properties
+ */
+export function cloneShape(shape) {
+  return structuredClone({ ...ShapeDefaults, ...shape });
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Build the SVG path data for a shape, in layer coordinates before rotation
+ * The same string drives canvas rendering (via Path2D) and SVG export.
+ * @param {Object} shape - Shape properties
+ * @returns {string}
+ */
+export function getShapePathData(shape) {
+  const { kind, x, y, width, height } = shape;
+  const commands = [];
+  const add = (command, ...values) => commands.push(command + values.map(round).join(' '));
+
+  switch (kind) {
+    case ShapeKind.RECTANGLE: {
+      const r = Math.max(0, Math.min(shape.cornerRadius || 0, width / 2, height / 2));
+
+      if (r === 0) {
+        add('M', x, y);
+        add('H', x + width);
+        add('V', y + height);
+        add('H', x);
+      } else {
+        add('M', x + r, y);
+        add('H', x + width - r);
+        add('A', r, r, 0, 0, 1, x + width, y + r);
+        add('V', y + height - r);
+        add('A', r, r, 0, 0, 1, x + width - r, y + height);
+        add('H', x + r);
+        add('A', r, r, 0, 0, 1, x, y + height - r);
+        add('V', y + r);
+        add('A', r, r, 0, 0, 1, x + r, y);
+      }
+      commands.push('Z');
+      break;
+    }
+
+    case ShapeKind.ELLIPSE: {
+      const rx = width / 2;
+      const ry = height / 2;
+      add('M', x, y + ry);
+      add('A', rx, ry, 0, 1, 1, x + width, y + ry);
+      add('A', rx, ry, 0, 1, 1, x, y + ry);
+      commands.push('Z');
+      break;
+    }
+
+    case ShapeKind.POLYGON: {
+      const sides = Math.max(3, Math.round(shape.sides || 3));
+      const count = shape.star ? sides * 2 : sides;
+      const cx = x + width / 2;
+      const cy = y + height / 2;
+
+      for (let i = 0; i < count; i++) {
+        // First point at the top; stars alternate outer and inner points
+        const angle = -Math.PI / 2 + (i / count) * Math.PI * 2;
+        const ratio = shape.star && i % 2 === 1 ? shape.starRatio : 1;
+        add(i === 0 ? 'M' : 'L', cx + Math.cos(angle) * (width / 2) * ratio, cy + Math.sin(angle) * (height / 2) * ratio);
+      }
+      commands.push('Z');
+      break;
+    }
+
+    case ShapeKind.LINE:
+    case ShapeKind.PATH: {
+      const px = (value) => x + value * width;
+      const py = (value) => y + value * height;
+
+      commands.push(getPathData(shape.path, px, py));
+      break;
+    }
+  }
+
+  return commands.join(' ');
+}
+
+/**
+ * Create line path nodes from two points in layer coordinates
+ * @returns {Object} Bounds and path for the line
+ */
+export function getLineGeometry(x1, y1, x2, y2) {
+  const x = Math.min(x1, x2);
+  const y = Math.min(y1, y2);
+  const width = Math.abs(x2 - x1);
+  const height = Math.abs(y2 - y1);
+  const nx = (value) => width > 0 ? (value - x) / width : 0;
+  const ny = (value) => height > 0 ? (value - y) / height : 0;
+
+  return {
+    x,
+    y,
+    width,
+    height,
+    path: [{ closed: false, nodes: [node(nx(x1), ny(y1)), node(nx(x2), ny(y2))] }]
+  };
+}
+
+/**
+ * ShapeLayer - Layer whose pixels are generated from vector geometry
+ */
+export class ShapeLayer extends Layer {
+  constructor(options = {}) {
+    super({
+      ...options,
+      type: LayerType.SHAPE
+    });
+
+    this.shape = cloneShape(options.shape);
+
+    // Set when shape properties change and the canvas needs redrawing
+    this.shapeDirty = true;
+  }
+
+  /**
+   * Update shape properties and re-render
+   */
+  setShape(props) {
+    this.shape = cloneShape({ ...this.shape, ...props });
+    this.shapeDirty = true;
+    this.renderShape();
+  }
+
+  /**
+   * Render the shape if properties changed since the last render
+   */
+  ensureRendered() {
+    if (this.shapeDirty || !this.canvas) {
+      this.renderShape();
+    }
+  }
+
+  /**
+   * Get the shape outline as a Path2D in layer coordinates (before rotation)
+   */
+  getPath() {
+    return new Path2D(getShapePathData(this.shape));
+  }
+
+  /**
+   * Apply the shape rotation around its bounds centre
+   */
+  applyRotation(ctx) {
+    const { x, y, width, height, rotation } = this.shape;
+    if (!rotation) return;
+
+    const cx = x + width / 2;
+    const cy = y + height / 2;
+    ctx.translate(cx, cy);
+    ctx.rotate(rotation * Math.PI / 180);
+    ctx.translate(-cx, -cy);
+  }
+
+  /**
+   * Configure stroke style on a context
+   */
+  applyStroke(ctx) {
+    const { stroke, strokeWidth, dash, lineCap, lineJoin } = this.shape;
+    ctx.strokeStyle = stroke;
+    ctx.lineWidth = strokeWidth;
+    ctx.lineCap = lineCap;
+    ctx.lineJoin = lineJoin;
+    ctx.setLineDash((dash || []).map(length => length * strokeWidth));
+  }
+
+  /**
+   * Draw the shape into the layer canvas
+   */
+  renderShape() {
+    if (!this.canvas) {
+      this.initCanvas(this.width, this.height);
+    }
+
+    const ctx = this.ctx;
+    const { fill, stroke, strokeWidth } = this.shape;
+
+    ctx.clearRect(0, 0, this.width, this.height);
+
+    ctx.save();
+    this.applyRotation(ctx);
+
+    const path = this.getPath();
+
+    if (fill) {
+      ctx.fillStyle = fill;
+      ctx.fill(path);
+    }
+
+    if (stroke && strokeWidth > 0) {
+      this.applyStroke(ctx);
+      ctx.stroke(path);
+    }
+
+    ctx.restore();
+
+    this.shapeDirty = false;
+    this.dirty = true;
+    this.updateThumbnail();
+  }
+
+  /**
+   * Get the shape bounds in layer coordinates (before rotation)
+   */
+  getShapeBounds() {
+    const { x, y, width, height } = this.shape;
+    return { x, y, width, height };
+  }
+
+  /**
+   * Check whether a document point hits the shape fill or stroke
+   */
+  containsPoint(x, y, padding = 4) {
+    this.ensureRendered();
+
+    const { width, height, rotation } = this.shape;
+    let localX = x - this.x;
+    let localY = y - this.y;
+
+    // Undo the rotation so the point can be tested against the unrotated path
+    if (rotation) {
+      const cx = this.shape.x + width / 2;
+      const cy = this.shape.y + height / 2;
+      const angle = -rotation * Math.PI / 180;
+      const dx = localX - cx;
+      const dy = localY - cy;
+      localX = cx + dx * Math.cos(angle) - dy * Math.sin(angle);
+      localY = cy + dx * Math.sin(angle) + dy * Math.cos(angle);
+    }
+
+    const ctx = this.ctx;
+    const path = this.getPath();
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.lineWidth = Math.max(this.shape.stroke ? this.shape.strokeWidth : 0, 1) + padding * 2;
+    const hit = (this.shape.fill && ctx.isPointInPath(path, localX, localY)) ||
+      ctx.isPointInStroke(path, localX, localY);
+    ctx.restore();
+
+    return hit;
+  }
+
+  /**
+   * Convert to a raster layer with the same pixels and properties
+   */
+  rasterize() {
+    this.ensureRendered();
+    return rasterizeLayer(this);
+  }
+
+  clone() {
+    const cloned = new ShapeLayer({
+      name: `${this.name} Copy`,
+      visible: this.visible,
+      opacity: this.opacity,
+      blendMode: this.blendMode,
+      x: this.x,
+      y: this.y,
+      width: this.width,
+      height: this.height,
+      clipped: this.clipped,
+      styles: this.styles,
+      smartFilters: this.smartFilters,
+      shape: this.shape
+    });
+
+    cloned.renderShape();
+
+    if (this.mask) {
+      cloned.mask = this.mask.clone();
+      cloned.maskEnabled = this.maskEnabled;
+      cloned.maskLinked = this.maskLinked;
+    }
+
+    return cloned;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      shape: cloneShape(this.shape)
+    };
+  }
+}
+
+/**
+ * Create a shape layer sized to the document
+ */
+export function createShapeLayer(shape, width, height, name = null) {
+  const props = cloneShape(shape);
+  const layer = new ShapeLayer({
+    name: name ?? getShapeName(props),
+    width,
+    height,
+    shape: props
+  });
+  layer.initCanvas(width, height);
+  layer.renderShape();
+  return layer;
+}
+
+/**
+ * Default layer name for a shape
+ */
+export function getShapeName(shape) {
+  const names = {
+    [ShapeKind.RECTANGLE]: 'Rectangle',
+    [ShapeKind.ELLIPSE]: 'Ellipse',
+    [ShapeKind.POLYGON]: shape.star ? 'Star' : 'Polygon',
+    [ShapeKind.LINE]: 'Line',
+    [ShapeKind.PATH]: 'Shape'
+  };
+  return names[shape.kind] || 'Shape';
+}
+
+/**
+ * Command for changing shape properties (undo/redo)
+ */
+export class SetShapeCommand extends Command {
+  constructor(layerId, beforeShape, afterShape, name = 'Edit Shape') {
+    super(name);
+    this.layerId = layerId;
+    this.beforeShape = cloneShape(beforeShape);
+    this.afterShape = cloneShape(afterShape);
+  }
+
+  execute() {
+    return this.applyShape(this.afterShape);
+  }
+
+  undo() {
+    return this.applyShape(this.beforeShape);
+  }
+
+  applyShape(shape) {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return false;
+
+    const layer = app.document.getLayer(this.layerId);
+    if (!layer || layer.type !== LayerType.SHAPE) return false;
+
+    layer.setShape(shape);
+
+    getEventBus().emit(Events.LAYER_UPDATED, { layer });
+    getEventBus().emit(Events.RENDER_REQUEST);
+    return true;
+  }
+
+  serialize() {
+    return {
+      type: 'shape',
+      data: { layerId: this.layerId, beforeShape: this.beforeShape, afterShape: this.afterShape }
+    };
+  }
+}
+
+registerCommand('shape', data => new SetShapeCommand(data.layerId, data.beforeShape, data.afterShape));
+
+/**
+ * Command for rasterizing a shape layer (replaces it with a raster layer)
+ */
+export class RasterizeShapeCommand extends RasterizeTextCommand {
+  constructor(layerId) {
+    super(layerId);
+    this.name = 'Rasterize Shape';
+  }
+
+  canRasterize(layer) {
+    return layer.type === LayerType.SHAPE;
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * History Snapshots - Named copies of the full document state
+ * Snapshots outlive the undo steps they were taken at and can be restored
+ * (as an undoable step) or opened as a new document.
+ */
+
+import { getEventBus, Events } from '../core/event-bus.js';
+import { Command, getHistory } from '../core/commands.js';
+import { LayerType, LayerGroup } from './layer.js';
+import { clonePaths } from './paths.js';
+import { cloneChannels } from './channels.js';
+import { getTileCache } from '../engine/tiles/tile-cache.js';
+
+let snapshotIdCounter = 0;
+
+/**
+ * Copy a layer, keeping its id so history entries still find it
+ */
+function copyLayer(layer) {
+  if (layer.type === LayerType.GROUP) {
+    return new LayerGroup({
+      ...layer.toJSON(),
+      children: layer.children.map(copyLayer)
+    });
+  }
+
+  const copy = layer.clone();
+  copy.id = layer.id;
+  copy.name = layer.name;
+  copy.locked = layer.locked;
+  copy.clipped = layer.clipped;
+  copy.parentId = layer.parentId;
+  return copy;
+}
+
+function forEachLayer(layers, callback) {
+  for (const layer of layers) {
+    callback(layer);
+    if (layer.type === LayerType.GROUP) {
+      forEachLayer(layer.children, callback);
+    }
+  }
+}
+
+/**
+ * Capture the document's layers, paths and canvas settings
+ * @returns {Object} State that can be passed to applyDocumentState
+ */
+export function captureDocumentState(doc) {
+  return {
+    width: doc.width,
+    height: doc.height,
+    background: { ...doc.background },
+    layers: doc.layers.map(copyLayer),
+    activeLayerId: doc.activeLayerId,
+    paths: clonePaths(doc.paths),
+    activePathId: doc.activePathId,
+    channels: cloneChannels(doc.channels)
+  };
+}
+
+/**
+ * Replace the document's contents with a captured state
+ * The state is copied, so it can be applied again later.
+ */
+export function applyDocumentState(doc, state) {
+  const eventBus = getEventBus();
+
+  doc.width = state.width;
+  doc.height = state.height;
+  doc.background = { ...state.background };
+  doc.layers = state.layers.map(copyLayer);
+  doc.paths = clonePaths(state.paths);
+  doc.activePathId = state.activePathId;
+  doc.channels = cloneChannels(state.channels);
+  doc.activeLayerId = doc.getLayer(state.activeLayerId) ? state.activeLayerId : doc.layers[0]?.id ?? null;
+  doc.modifiedAt = Date.now();
+
+  // Copies reuse layer ids, so cached renders of the old layers must go
+  const cache = getTileCache();
+  forEachLayer(doc.layers, layer => {
+    cache.invalidateLayer(layer.id);
+    layer.updateThumbnail();
+  });
+
+  doc.syncToStore();
+
+  eventBus.emit(Events.LAYER_SELECTED, { layer: doc.getActiveLayer() });
+  eventBus.emit(Events.PATHS_CHANGED, {});
+  eventBus.emit(Events.CHANNELS_CHANGED, {});
+  eventBus.emit(Events.RENDER_REQUEST);
+}
+
+/**
+ * Approximate bytes of pixel data held by a captured state
+ */
+export function getDocumentStateSize(state) {
+  let size = 0;
+  forEachLayer(state.layers, layer => {
+    if (layer.canvas) size += layer.width * layer.height * 4;
+    if (layer.mask) size += layer.mask.width * layer.mask.height * 4;
+  });
+  for (const channel of state.channels) {
+    size += channel.data.length;
+  }
+  return size;
+}
+
+/**
+ * Command for restoring a snapshot (undo/redo)
+ */
+export class RestoreSnapshotCommand extends Command {
+  constructor(snapshot) {
+    super(`Restore ${snapshot.name}`);
+    this.state = snapshot.state;
+    this.previousState = null;
+  }
+
+  execute() {
+    const doc = window.photoEditorApp?.document;
+    if (!doc) return false;
+
+    if (!this.previousState) {
+      this.previousState = captureDocumentState(doc);
+    }
+
+    applyDocumentState(doc, this.state);
+    return true;
+  }
+
+  undo() {
+    const doc = window.photoEditorApp?.document;
+    if (!doc || !this.previousState) return false;
+
+    applyDocumentState(doc, this.previousState);
+    return true;
+  }
+
+  getMemorySize() {
+    return this.previousState ? getDocumentStateSize(this.previousState) : 0;
+  }
+
+  dispose() {
+    this.previousState = null;
+  }
+}
+
+/**
+ * Snapshot manager - the document's list of snapshots
+ */
+class SnapshotManager {
+  constructor() {
+    this.snapshots = [];
+    this.eventBus = null;
+  }
+
+  init() {
+    this.eventBus = getEventBus();
+
+    // Snapshots belong to the document they were taken of
+    this.eventBus.on(Events.DOCUMENT_CREATED, () => this.clear());
+    this.eventBus.on(Events.DOCUMENT_OPENED, () => this.clear());
+  }
+
+  /**
+   * Take a snapshot of the current document
+   */
+  create(doc, name = null) {
+    const snapshot = {
+      id: `snapshot_${Date.now().toString(36)}_${++snapshotIdCounter}`,
+      name: name || `Snapshot ${this.snapshots.length + 1}`,
+      timestamp: Date.now(),
+      state: captureDocumentState(doc)
+    };
+
+    this.snapshots.push(snapshot);
+    this.eventBus?.emit(Events.HISTORY_CHANGED);
+    return snapshot;
+  }
+
+  get(snapshotId) {
+    return this.snapshots.find(s => s.id === snapshotId) ?? null;
+  }
+
+  rename(snapshotId, name) {
+    const snapshot = this.get(snapshotId);
+    if (!snapshot || !name) return;
+
+    snapshot.name = name;
+    this.eventBus?.emit(Events.HISTORY_CHANGED);
+  }
+
+  remove(snapshotId) {
+    const index = this.snapshots.findIndex(s => s.id === snapshotId);
+    if (index === -1) return;
+
+    this.snapshots.splice(index, 1);
+    this.eventBus?.emit(Events.HISTORY_CHANGED);
+  }
+
+  /**
+   * Make a snapshot the current state (undoable)
+   */
+  restore(snapshotId) {
+    const snapshot = this.get(snapshotId);
+    if (!snapshot) return false;
+
+    return getHistory().execute(new RestoreSnapshotCommand(snapshot));
+  }
+
+  clear() {
+    if (this.snapshots.length === 0) return;
+
+    this.snapshots = [];
+    this.eventBus?.emit(Events.HISTORY_CHANGED);
+  }
+}
+
+// Singleton instance
+let snapshotManager = null;
+
+export function getSnapshotManager() {
+  if (!snapshotManager) {
+    snapshotManager = new SnapshotManager();
+    snapshotManager.init();
+  }
+  return snapshotManager;
+}
@@ -0,0 +1,375 @@
+/**
+ * Text Layer - Live, editable text rendered into a layer canvas
+ * Supports point text and paragraph (box) text with word wrapping
+ */
+
+import { Layer, LayerType, rasterizeLayer } from './layer.js';
+import { getEventBus, Events } from '../core/event-bus.js';
+import { Command } from '../core/commands.js';
+
+/**
+ * Text modes
+ */
+export const TextMode = {
+  POINT: 'point',       // Single anchor, lines only break on newlines
+  PARAGRAPH: 'box'      // Fixed box, lines wrap to the box width
+};
+
+/**
+ * Text alignment
+ */
+export const TextAlign = {
+  LEFT: 'left',
+  CENTER: 'center',
+  RIGHT: 'right'
+};
+
+/**
+ * Default text properties
+ */
+export const TextDefaults = {
+  content: '',
+  fontFamily: 'Arial',
+  fontSize: 48,         // px
+  fontWeight: '400',    // CSS font-weight
+  fontStyle: 'normal',  // 'normal' or 'italic'
+  color: '#000000',
+  align: TextAlign.LEFT,
+  lineHeight: 1.2,      // Multiple of font size
+  letterSpacing: 0,     // px between characters
+  mode: TextMode.POINT,
+  x: 0,                 // Anchor (point) or box origin (paragraph), document coords
+  y: 0,
+  boxWidth: 0,          // Paragraph mode only
+  boxHeight: 0
+};
+
+/**
+ * TextLayer - Layer whose pixels are generated from its text properties
+ */
+export class TextLayer extends Layer {
+  constructor(options = {}) {
+    super({
+      ...options,
+      type: LayerType.TEXT
+    });
+
+    this.text = { ...TextDefaults, ...options.text };
+
+    // Set when text properties change and the canvas needs redrawing
+    this.textDirty = true;
+
+    // Cached layout from the last render (used for bounds and hit testing)
+    this.layout = null;
+  }
+
+  /**
+   * Update text properties and re-render
+   */
+  setText(props) {
+    this.text = { ...this.text, ...props };
+    this.textDirty = true;
+    this.renderText();
+  }
+
+  /**
+   * Render the text if properties changed since the last render
+   */
+  ensureRendered() {
+    if (this.textDirty || !this.canvas) {
+      this.renderText();
+    }
+  }
+
+  /**
+   * Get the CSS font shorthand for the current properties
+   */
+  getFont() {
+    const { fontStyle, fontWeight, fontSize, fontFamily } = this.text;
+    return `${fontStyle} ${fontWeight} ${fontSize}px ${fontFamily}`;
+  }
+
+  /**
+   * Measure a string including letter spacing
+   */
+  measure(ctx, str) {
+    if (str.length === 0) return 0;
+    return ctx.measureText(str).width + this.text.letterSpacing * (str.length - 1);
+  }
+
+  /**
+   * Break content into lines for the current mode
+   */
+  layoutLines(ctx) {
+    const { content, mode, boxWidth } = this.text;
+    const paragraphs = content.split('\n');
+
+    if (mode !== TextMode.PARAGRAPH || boxWidth <= 0) {
+      return paragraphs;
+    }
+
+    const lines = [];
+
+    for (const paragraph of paragraphs) {
+      const words = paragraph.split(' ');
+      let line = '';
+
+      for (const word of words) {
+        const candidate = line ? `${line} ${word}` : word;
+
+        if (line && this.measure(ctx, candidate) > boxWidth) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+
+        // Break words that are wider than the box on their own
+        while (this.measure(ctx, line) > boxWidth && line.length > 1) {
+          let fit = line.length - 1;
+          while (fit > 1 && this.measure(ctx, line.slice(0, fit)) > boxWidth) {
+            fit--;
+          }
+          lines.push(line.slice(0, fit));
+          line = line.slice(fit);
+        }
+      }
+
+      lines.push(line);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Compute line positions and overall bounds
+   */
+  computeLayout(ctx) {
+    const { fontSize, lineHeight, align, mode, x, y, boxWidth, boxHeight } = this.text;
+
+    ctx.font = this.getFont();
+
+    const lines = this.layoutLines(ctx);
+    const lineAdvance = fontSize * lineHeight;
+    const isBox = mode === TextMode.PARAGRAPH && boxWidth > 0;
+
+    const measured = lines.map((line, index) => {
+      const width = this.measure(ctx, line);
+      let lineX = x;
+
+      if (isBox) {
+        if (align === TextAlign.CENTER) lineX = x + (boxWidth - width) / 2;
+        else if (align === TextAlign.RIGHT) lineX = x + boxWidth - width;
+      } else {
+        if (align === TextAlign.CENTER) lineX = x - width / 2;
+        else if (align === TextAlign.RIGHT) lineX = x - width;
+      }
+
+      return { text: line, x: lineX, y: y + index * lineAdvance, width };
+    });
+
+    let bounds;
+    if (isBox) {
+      bounds = { x, y, width: boxWidth, height: boxHeight > 0 ? boxHeight : lines.length * lineAdvance };
+    } else {
+      const left = Math.min(...measured.map(l => l.x));
+      const right = Math.max(...measured.map(l => l.x + l.width));
+      bounds = {
+        x: left,
+        y,
+        width: Math.max(right - left, 1),
+        height: Math.max(lines.length, 1) * lineAdvance
+      };
+    }
+
+    return { lines: measured, bounds, lineAdvance };
+  }
+
+  /**
+   * Draw the text into the layer canvas
+   */
+  renderText() {
+    if (!this.canvas) {
+      this.initCanvas(this.width, this.height);
+    }
+
+    const ctx = this.ctx;
+    const { fontSize, lineHeight, color, letterSpacing, mode, x, y, boxWidth, boxHeight } = this.text;
+
+    ctx.clearRect(0, 0, this.width, this.height);
+
+    this.layout = this.computeLayout(ctx);
+
+    ctx.save();
+
+    // Paragraph text is clipped to its box
+    if (mode === TextMode.PARAGRAPH && boxWidth > 0 && boxHeight > 0) {
+      ctx.beginPath();
+      ctx.rect(x, y, boxWidth, boxHeight);
+      ctx.clip();
+    }
+
+    ctx.font = this.getFont();
+    ctx.fillStyle = color;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+
+    // Center glyphs vertically within each line box
+    const baselineOffset = (fontSize * lineHeight) / 2;
+
+    for (const line of this.layout.lines) {
+      if (letterSpacing === 0) {
+        ctx.fillText(line.text, line.x, line.y + baselineOffset);
+      } else {
+        let cursorX = line.x;
+        for (const char of line.text) {
+          ctx.fillText(char, cursorX, line.y + baselineOffset);
+          cursorX += ctx.measureText(char).width + letterSpacing;
+        }
+      }
+    }
+
+    ctx.restore();
+
+    this.textDirty = false;
+    this.dirty = true;
+    this.updateThumbnail();
+  }
+
+  /**
+   * Get the text bounds in layer coordinates
+   */
+  getTextBounds() {
+    this.ensureRendered();
+    return { ...this.layout.bounds };
+  }
+
+  /**
+   * Check whether a document point falls within the text bounds
+   */
+  containsPoint(x, y, padding = 4) {
+    const bounds = this.getTextBounds();
+    const localX = x - this.x;
+    const localY = y - this.y;
+
+    return localX >= bounds.x - padding &&
+           localX <= bounds.x + bounds.width + padding &&
+           localY >= bounds.y - padding &&
+           localY <= bounds.y + bounds.height + padding;
+  }
+
+  /**
+   * Convert to a raster layer with the same pixels and properties
+   */
+  rasterize() {
+    this.ensureRendered();
+    return rasterizeLayer(this);
+  }
+
+  clone() {
+    const cloned = new TextLayer({
+      name: `${this.name} Copy`,
+      visible: this.visible,
+      opacity: this.opacity,
+      blendMode: this.blendMode,
+      x: this.x,
+      y: this.y,
+      width: this.width,
+      height: this.height,
+      clipped: this.clipped,
+      styles: this.styles,
+      smartFilters: this.smartFilters,
+      text: { ...this.text }
+    });
+
+    cloned.renderText();
+
+    if (this.mask) {
+      cloned.mask = this.mask.clone();
+      cloned.maskEnabled = this.maskEnabled;
+      cloned.maskLinked = this.maskLinked;
+    }
+
+    return cloned;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      text: { ...this.text }
+    };
+  }
+}
+
+/**
+ * Create a text layer sized to the document
+ */
+export function createTextLayer(text, width, height, name = null) {
+  const props = { ...TextDefaults, ...text };
+  const layer = new TextLayer({
+    name: name ?? (props.content.split('\n')[0].slice(0, 30) || 'Text'),
+    width,
+    height,
+    text: props
+  });
+  layer.initCanvas(width, height);
+  layer.renderText();
+  return layer;
+}
+
+/**
+ * Command for rasterizing a text layer (replaces it with a raster layer)
+ */
+export class RasterizeTextCommand extends Command {
+  constructor(layerId) {
+    super('Rasterize Type');
+    this.layerId = layerId;
+    this.sourceLayer = null;
+    this.rasterLayer = null;
+  }
+
+  execute() {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return false;
+
+    const doc = app.document;
+    const found = doc.findLayer(this.layerId);
+    if (!found || !this.canRasterize(found.layer)) return false;
+
+    const layer = found.layer;
+    this.sourceLayer = layer;
+    this.rasterLayer = this.rasterLayer ?? layer.rasterize();
+    found.siblings[found.index] = this.rasterLayer;
+
+    this.afterSwap(doc, this.rasterLayer);
+    return true;
+  }
+
+  undo() {
+    const app = window.photoEditorApp;
+    if (!app || !app.document || !this.sourceLayer) return false;
+
+    const doc = app.document;
+    const found = doc.findLayer(this.layerId);
+    if (!found) return false;
+
+    found.siblings[found.index] = this.sourceLayer;
+
+    this.afterSwap(doc, this.sourceLayer);
+    return true;
+  }
+
+  canRasterize(layer) {
+    return layer.type === LayerType.TEXT;
+  }
+
+  afterSwap(doc, layer) {
+    layer.dirty = true;
+    doc.modifiedAt = Date.now();
+    doc.syncToStore();
+
+    getEventBus().emit(Events.LAYER_UPDATED, { layer });
+    getEventBus().emit(Events.LAYER_SELECTED, { layer });
+    getEventBus().emit(Events.RENDER_REQUEST);
+  }
+}
@@ -93,6 +93,15 @@ export const AdjustmentDefaults = {
   [AdjustmentType.VIBRANCE]: {
     vibrance: 0,     // -100 to 100
     saturation: 0    // -100 to 100
+  },
+
+  [AdjustmentType.GRADIENT_MAP]: {
+    stops: [
+      { offset: 0, color: '#000000' },  // offset 0-1, shadows
+      { offset: 1, color: '#ffffff' }   // highlights
+    ],
+    reverse: false,
+    dither: false
   }
 };
 
@@ -755,6 +764,119 @@ export class PhotoFilterAdjustment extends Adjustment {
   }
 }
 
+/**
+ * 4x4 Bayer matrix used for ordered dithering (values 0-15)
+ */
+const BAYER_4X4 = [
+  0, 8, 2, 10,
+  12, 4, 14, 6,
+  3, 11, 1, 9,
+  15, 7, 13, 5
+];
+
+/**
+ * Gradient Map Adjustment
+ * Maps the luminosity of each pixel onto a multi-stop gradient
+ */
+export class GradientMapAdjustment extends Adjustment {
+  constructor(params = {}) {
+    super(AdjustmentType.GRADIENT_MAP, params);
+
+    // Don't share the stops array with the defaults or the caller
+    this.params.stops = this.params.stops.map(stop => ({ ...stop }));
+  }
+
+  apply(imageData) {
+    const { dither } = this.params;
+    const data = imageData.data;
+    const width = imageData.width;
+    const lut = this.buildLUT();
+
+    for (let i = 0; i < data.length; i += 4) {
+      const lum = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+      const offset = lum * 3;
+
+      if (dither) {
+        // Ordered dither around the exact gradient value to hide banding
+        const p = i >> 2;
+        const threshold = (BAYER_4X4[((p / width | 0) & 3) * 4 + (p % width & 3)] + 0.5) / 16 - 0.5;
+        data[i] = Math.max(0, Math.min(255, Math.round(lut[offset] + threshold)));
+        data[i + 1] = Math.max(0, Math.min(255, Math.round(lut[offset + 1] + threshold)));
+        data[i + 2] = Math.max(0, Math.min(255, Math.round(lut[offset + 2] + threshold)));
+      } else {
+        data[i] = Math.round(lut[offset]);
+        data[i + 1] = Math.round(lut[offset + 1]);
+        data[i + 2] = Math.round(lut[offset + 2]);
+      }
+    }
+
+    return imageData;
+  }
+
+  /**
+   * Build an unrounded RGB lookup table (256 entries x 3 channels)
+   */
+  buildLUT() {
+    const { stops, reverse } = this.params;
+    const lut = new Float32Array(256 * 3);
+
+    const sorted = (stops.length > 0 ? [...stops] : AdjustmentDefaults[AdjustmentType.GRADIENT_MAP].stops)
+      .map(stop => ({
+        offset: Math.max(0, Math.min(1, stop.offset)),
+        rgb: this.hexToRgb(stop.color)
+      }))
+      .sort((a, b) => a.offset - b.offset);
+
+    for (let i = 0; i < 256; i++) {
+      const t = reverse ? 1 - i / 255 : i / 255;
+      const color = this.sampleStops(sorted, t);
+      lut[i * 3] = color.r;
+      lut[i * 3 + 1] = color.g;
+      lut[i * 3 + 2] = color.b;
+    }
+
+    return lut;
+  }
+
+  getLUT() {
+    return this.buildLUT();
+  }
+
+  sampleStops(sorted, t) {
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+
+    if (t <= first.offset) return first.rgb;
+    if (t >= last.offset) return last.rgb;
+
+    for (let i = 0; i < sorted.length - 1; i++) {
+      const a = sorted[i];
+      const b = sorted[i + 1];
+
+      if (t >= a.offset && t <= b.offset) {
+        const span = b.offset - a.offset;
+        const localT = span > 0 ? (t - a.offset) / span : 0;
+        return {
+          r: a.rgb.r + (b.rgb.r - a.rgb.r) * localT,
+          g: a.rgb.g + (b.rgb.g - a.rgb.g) * localT,
+          b: a.rgb.b + (b.rgb.b - a.rgb.b) * localT
+        };
+      }
+    }
+
+    return last.rgb;
+  }
+
+  hexToRgb(hex) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result ? {
+      r: parseInt(result[1], 16),
+      g: parseInt(result[2], 16),
+      b: parseInt(result[3], 16)
+    } : { r: 0, g: 0, b: 0 };
+  }
+}
+
 /**
  * Create an adjustment by type
  */
@@ -782,6 +904,8 @@ export function createAdjustment(type, params = {}) {
       return new VibranceAdjustment(params);
     case AdjustmentType.PHOTO_FILTER:
       return new PhotoFilterAdjustment(params);
+    case AdjustmentType.GRADIENT_MAP:
+      return new GradientMapAdjustment(params);
     default:
       throw new Error(`Unknown adjustment type: ${type}`);
   }
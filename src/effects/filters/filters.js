@@ -0,0 +1,419 @@
+/**
+ * Filters - Destructive convolution and neighbourhood filters
+ * Pixels are processed in the filter worker; results are undoable commands
+ */
+
+import { getEventBus, Events } from '../../core/event-bus.js';
+import { getHistory } from '../../core/commands.js';
+import { PixelCommand } from '../../core/pixel-delta.js';
+import { LayerType } from '../../document/layer.js';
+
+let filterWorker = null;
+let messageId = 0;
+const pendingMessages = new Map();
+
+/**
+ * Filter types
+ */
+export const FilterType = {
+  GAUSSIAN_BLUR: 'gaussian-blur',
+  BOX_BLUR: 'box-blur',
+  MOTION_BLUR: 'motion-blur',
+  UNSHARP_MASK: 'unsharp-mask',
+  HIGH_PASS: 'high-pass',
+  ADD_NOISE: 'add-noise',
+  MEDIAN: 'median',
+  DESPECKLE: 'despeckle',
+  EMBOSS: 'emboss'
+};
+
+/**
+ * Default parameters for each filter type
+ */
+export const FilterDefaults = {
+  [FilterType.GAUSSIAN_BLUR]: {
+    radius: 2           // 0.1-250 px
+  },
+
+  [FilterType.BOX_BLUR]: {
+    radius: 3           // 1-250 px
+  },
+
+  [FilterType.MOTION_BLUR]: {
+    angle: 0,           // -90 to 90 degrees
+    distance: 10        // 1-500 px
+  },
+
+  [FilterType.UNSHARP_MASK]: {
+    amount: 100,        // 1-500 %
+    radius: 1,          // 0.1-250 px
+    threshold: 0        // 0-255 levels
+  },
+
+  [FilterType.HIGH_PASS]: {
+    radius: 10          // 0.1-250 px
+  },
+
+  [FilterType.ADD_NOISE]: {
+    amount: 10,         // 0.1-400 %
+    distribution: 'uniform', // 'uniform', 'gaussian'
+    monochromatic: false,
+    seed: 1
+  },
+
+  [FilterType.MEDIAN]: {
+    radius: 1           // 1-100 px
+  },
+
+  [FilterType.DESPECKLE]: {},
+
+  [FilterType.EMBOSS]: {
+    angle: 135,         // -180 to 180 degrees
+    height: 3,          // 1-10 px
+    amount: 100         // 1-500 %
+  }
+};
+
+/**
+ * Display names and dialog controls for each filter
+ */
+export const FilterInfo = {
+  [FilterType.GAUSSIAN_BLUR]: {
+    name: 'Gaussian Blur',
+    group: 'Blur',
+    params: [
+      { key: 'radius', label: 'Radius', min: 0.1, max: 250, step: 0.1, unit: 'px' }
+    ]
+  },
+
+  [FilterType.BOX_BLUR]: {
+    name: 'Box Blur',
+    group: 'Blur',
+    params: [
+      { key: 'radius', label: 'Radius', min: 1, max: 250, step: 1, unit: 'px' }
+    ]
+  },
+
+  [FilterType.MOTION_BLUR]: {
+    name: 'Motion Blur',
+    group: 'Blur',
+    params: [
+      { key: 'angle', label: 'Angle', min: -90, max: 90, step: 1, unit: '°' },
+      { key: 'distance', label: 'Distance', min: 1, max: 500, step: 1, unit: 'px' }
+    ]
+  },
+
+  [FilterType.UNSHARP_MASK]: {
+    name: 'Unsharp Mask',
+    group: 'Sharpen',
+    params: [
+      { key: 'amount', label: 'Amount', min: 1, max: 500, step: 1, unit: '%' },
+      { key: 'radius', label: 'Radius', min: 0.1, max: 250, step: 0.1, unit: 'px' },
+      { key: 'threshold', label: 'Threshold', min: 0, max: 255, step: 1, unit: 'levels' }
+    ]
+  },
+
+  [FilterType.HIGH_PASS]: {
+    name: 'High Pass',
+    group: 'Other',
+    params: [
+      { key: 'radius', label: 'Radius', min: 0.1, max: 250, step: 0.1, unit: 'px' }
+    ]
+  },
+
+  [FilterType.ADD_NOISE]: {
+    name: 'Add Noise',
+    group: 'Noise',
+    params: [
+      { key: 'amount', label: 'Amount', min: 0.1, max: 400, step: 0.1, unit: '%' },
+      { key: 'distribution', label: 'Distribution', type: 'select', options: [
+        { value: 'uniform', label: 'Uniform' },
+        { value: 'gaussian', label: 'Gaussian' }
+      ] },
+      { key: 'monochromatic', label: 'Monochromatic', type: 'checkbox' }
+    ]
+  },
+
+  [FilterType.MEDIAN]: {
+    name: 'Median',
+    group: 'Noise',
+    params: [
+      { key: 'radius', label: 'Radius', min: 1, max: 100, step: 1, unit: 'px' }
+    ]
+  },
+
+  [FilterType.DESPECKLE]: {
+    name: 'Despeckle',
+    group: 'Noise',
+    params: []
+  },
+
+  [FilterType.EMBOSS]: {
+    name: 'Emboss',
+    group: 'Stylize',
+    params: [
+      { key: 'angle', label: 'Angle', min: -180, max: 180, step: 1, unit: '°' },
+      { key: 'height', label: 'Height', min: 1, max: 10, step: 1, unit: 'px' },
+      { key: 'amount', label: 'Amount', min: 1, max: 500, step: 1, unit: '%' }
+    ]
+  }
+};
+
+/**
+ * Get or create the filter worker
+ */
+function getFilterWorker() {
+  if (!filterWorker) {
+    filterWorker = new Worker(new URL('../../../workers/filter-worker.js', import.meta.url));
+
+    filterWorker.onmessage = (e) => {
+      const { id, success, result, error, progress } = e.data;
+      const pending = pendingMessages.get(id);
+      if (!pending) return;
+
+      // Progress messages arrive before the final result
+      if (success === undefined) {
+        pending.onProgress?.(progress);
+        return;
+      }
+
+      pendingMessages.delete(id);
+      if (success) {
+        pending.resolve(result);
+      } else {
+        pending.reject(new Error(error));
+      }
+    };
+
+    // A crashed worker can't answer; fail its jobs and start fresh next time
+    filterWorker.onerror = (e) => {
+      console.error('Filter worker error:', e);
+      filterWorker.terminate();
+      filterWorker = null;
+      rejectPending(() => new Error(e.message || 'Filter worker failed'));
+    };
+  }
+
+  return filterWorker;
+}
+
+/**
+ * Reject every job still waiting on the worker
+ */
+function rejectPending(createError) {
+  for (const pending of pendingMessages.values()) {
+    pending.reject(createError());
+  }
+  pendingMessages.clear();
+}
+
+/**
+ * Send a job to the filter worker
+ */
+function sendToFilterWorker(type, data, transfer = [], onProgress = null) {
+  return new Promise((resolve, reject) => {
+    const id = ++messageId;
+    pendingMessages.set(id, { resolve, reject, onProgress });
+
+    const worker = getFilterWorker();
+    worker.postMessage({ type, id, data }, transfer);
+  });
+}
+
+/**
+ * Stop every running filter job; their promises reject as cancelled
+ */
+export function cancelFilters() {
+  if (filterWorker) {
+    filterWorker.terminate();
+    filterWorker = null;
+  }
+
+  rejectPending(() => {
+    const error = new Error('Filter cancelled');
+    error.name = 'AbortError';
+    return error;
+  });
+}
+
+/**
+ * Get merged parameters for a filter
+ */
+export function getFilterParams(type, params = {}) {
+  return { ...FilterDefaults[type], ...params };
+}
+
+/**
+ * How far (in px) a filter reads beyond the pixel it writes
+ */
+export function getFilterPadding(type, params = {}) {
+  const p = getFilterParams(type, params);
+
+  switch (type) {
+    case FilterType.GAUSSIAN_BLUR:
+    case FilterType.UNSHARP_MASK:
+    case FilterType.HIGH_PASS:
+      return Math.ceil(p.radius * 3);
+    case FilterType.BOX_BLUR:
+    case FilterType.MEDIAN:
+      return Math.ceil(p.radius);
+    case FilterType.MOTION_BLUR:
+      return Math.ceil(p.distance / 2);
+    case FilterType.EMBOSS:
+      return Math.ceil(p.height) + 1;
+    case FilterType.DESPECKLE:
+      return 2;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Whether a layer's pixels can be filtered
+ */
+export function canFilterLayer(layer) {
+  return !!layer && !!layer.ctx && !layer.locked &&
+    layer.type !== LayerType.ADJUSTMENT &&
+    layer.type !== LayerType.GROUP &&
+    layer.type !== LayerType.TEXT &&
+    layer.type !== LayerType.SHAPE;
+}
+
+/**
+ * Area of the layer a filter touches, in layer coordinates
+ * The selection bounds (document coordinates) are grown by the filter padding
+ * so neighbourhood filters see real pixels around the edge.
+ * @returns {{ x, y, width, height, padding, selection }|null}
+ */
+export function getFilterRegion(layer, selection, padding = 0) {
+  let x0 = 0;
+  let y0 = 0;
+  let x1 = layer.width;
+  let y1 = layer.height;
+
+  const bounds = selection?.hasSelection() ? selection.bounds : null;
+  if (bounds) {
+    x0 = Math.max(x0, bounds.x - layer.x - padding);
+    y0 = Math.max(y0, bounds.y - layer.y - padding);
+    x1 = Math.min(x1, bounds.x + bounds.width - layer.x + padding);
+    y1 = Math.min(y1, bounds.y + bounds.height - layer.y + padding);
+  }
+
+  if (x1 <= x0 || y1 <= y0) return null;
+
+  return {
+    x: Math.floor(x0),
+    y: Math.floor(y0),
+    width: Math.ceil(x1 - x0),
+    height: Math.ceil(y1 - y0),
+    padding,
+    selection: bounds ? selection : null
+  };
+}
+
+/**
+ * Crop the document-sized selection mask to a layer region
+ * Pixels outside the document are unselected.
+ */
+export function cropSelectionMask(selection, layer, region) {
+  const mask = new Uint8ClampedArray(region.width * region.height);
+
+  for (let y = 0; y < region.height; y++) {
+    const docY = y + region.y + layer.y;
+    if (docY < 0 || docY >= selection.height) continue;
+
+    for (let x = 0; x < region.width; x++) {
+      const docX = x + region.x + layer.x;
+      if (docX < 0 || docX >= selection.width) continue;
+      mask[y * region.width + x] = selection.mask[docY * selection.width + docX];
+    }
+  }
+
+  return mask;
+}
+
+/**
+ * Run a filter in the worker
+ * @param {ImageData} imageData - Source pixels (copied, not modified)
+ * @param {string} type - FilterType
+ * @param {Object} params - Filter parameters (merged with defaults)
+ * @param {Object} options - { mask, onProgress } mask limits the result to selected pixels
+ * @returns {Promise<ImageData>}
+ */
+export async function applyFilter(imageData, type, params = {}, options = {}) {
+  if (!FilterDefaults[type]) {
+    throw new Error(`Unknown filter: ${type}`);
+  }
+
+  const copy = new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height);
+  const mask = options.mask ? new Uint8ClampedArray(options.mask) : null;
+  const transfer = mask ? [copy.data.buffer, mask.buffer] : [copy.data.buffer];
+
+  return sendToFilterWorker('apply', {
+    filter: type,
+    params: getFilterParams(type, params),
+    imageData: copy,
+    mask
+  }, transfer, options.onProgress);
+}
+
+/**
+ * Filter the pixels of a layer inside a region
+ * @returns {Promise<{ before: ImageData, after: ImageData, region }>}
+ */
+export async function filterLayerRegion(layer, region, type, params, options = {}) {
+  const before = layer.ctx.getImageData(region.x, region.y, region.width, region.height);
+  const mask = region.selection ? cropSelectionMask(region.selection, layer, region) : null;
+  const after = await applyFilter(before, type, params, { mask, onProgress: options.onProgress });
+  return { before, after, region };
+}
+
+/**
+ * Apply a filter to a layer with progress reporting and an undo step
+ * @param {Layer} layer - Target raster layer
+ * @param {string} type - FilterType
+ * @param {Object} params - Filter parameters
+ * @param {Selection} selection - Active selection, or null for the whole layer
+ * @returns {Promise<boolean>} Whether the filter was applied
+ */
+export async function applyFilterToLayer(layer, type, params, selection = null) {
+  const eventBus = getEventBus();
+  const name = FilterInfo[type]?.name || type;
+
+  if (!canFilterLayer(layer)) {
+    eventBus.emit(Events.FILTER_ERROR, { type, error: new Error('Select an unlocked pixel layer to filter') });
+    return false;
+  }
+
+  const region = getFilterRegion(layer, selection, getFilterPadding(type, params));
+  if (!region) return false;
+
+  eventBus.emit(Events.FILTER_START, { type, name, onCancel: cancelFilters });
+
+  try {
+    const { before, after } = await filterLayerRegion(layer, region, type, params, {
+      onProgress: (progress) => eventBus.emit(Events.FILTER_PROGRESS, { type, progress })
+    });
+
+    getHistory().execute(new ApplyFilterCommand(layer.id, name, region, before, after));
+
+    eventBus.emit(Events.FILTER_COMPLETE, { type, layer });
+    return true;
+  } catch (error) {
+    const cancelled = error.name === 'AbortError';
+    if (!cancelled) {
+      console.error('Filter failed:', error);
+    }
+    eventBus.emit(Events.FILTER_ERROR, { type, error, cancelled });
+    return false;
+  }
+}
+
+/**
+ * Command for undoable filter application
+ */
+export class ApplyFilterCommand extends PixelCommand {
+  constructor(layerId, name, region, beforeImageData, afterImageData) {
+    super(name, layerId, beforeImageData, afterImageData, { x: region.x, y: region.y });
+  }
+}
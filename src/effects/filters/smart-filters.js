@@ -0,0 +1,296 @@
+/**
+ * Smart Filters - Non-destructive filter stacks on layers
+ * Each layer keeps an ordered list of filters that is re-evaluated in the
+ * filter worker; results are cached in the tile cache until the layer or
+ * the stack changes.
+ */
+
+import { getEventBus, Events } from '../../core/event-bus.js';
+import { Command, registerCommand } from '../../core/commands.js';
+import { getTileCache } from '../../engine/tiles/tile-cache.js';
+import { FilterInfo, getFilterParams, applyFilter } from './filters.js';
+
+// Tile cache slot holding a layer's filtered image
+const SMART_FILTER_TILE = 'smart-filters';
+
+let nextFilterId = 1;
+
+/**
+ * Create a smart filter entry
+ * @param {string} type - FilterType
+ * @param {Object} params - Filter parameters (merged with defaults)
+ * @param {Object} options - { enabled, blendMode, opacity }
+ */
+export function createSmartFilter(type, params = {}, options = {}) {
+  return {
+    id: options.id || `sf-${Date.now().toString(36)}-${nextFilterId++}`,
+    type,
+    params: getFilterParams(type, params),
+    enabled: options.enabled ?? true,
+    blendMode: options.blendMode || 'normal',
+    opacity: options.opacity ?? 1
+  };
+}
+
+/**
+ * Deep copy a smart filter stack (null when empty)
+ */
+export function cloneSmartFilters(filters) {
+  if (!filters || filters.length === 0) return null;
+  return filters.map(filter => createSmartFilter(filter.type, structuredClone(filter.params), filter));
+}
+
+/**
+ * Whether a layer has any enabled smart filter
+ */
+export function hasActiveSmartFilters(layer) {
+  return !!layer?.smartFilters?.some(filter => filter.enabled && FilterInfo[filter.type]);
+}
+
+/**
+ * Display name for a smart filter
+ */
+export function getSmartFilterName(filter) {
+  return FilterInfo[filter.type]?.name || filter.type;
+}
+
+/**
+ * Cache key for the parts of a stack that affect the result
+ */
+function getStackKey(filters) {
+  return JSON.stringify(
+    (filters || [])
+      .filter(filter => filter.enabled)
+      .map(({ type, params, blendMode, opacity }) => ({ type, params, blendMode, opacity }))
+  );
+}
+
+/**
+ * Combine a filter result with its input using the filter's blending options
+ * @param {ImageData} base - Input to the filter
+ * @param {ImageData} filtered - Filter output
+ * @returns {ImageData}
+ */
+export function blendFilterResult(base, filtered, blendMode = 'normal', opacity = 1) {
+  if (blendMode === 'normal' && opacity >= 1) return filtered;
+
+  let blended = filtered;
+
+  if (blendMode !== 'normal') {
+    const canvas = new OffscreenCanvas(base.width, base.height);
+    const ctx = canvas.getContext('2d');
+    ctx.putImageData(base, 0, 0);
+
+    const top = new OffscreenCanvas(base.width, base.height);
+    top.getContext('2d').putImageData(filtered, 0, 0);
+
+    ctx.globalCompositeOperation = blendMode;
+    ctx.drawImage(top, 0, 0);
+    blended = ctx.getImageData(0, 0, base.width, base.height);
+  }
+
+  if (opacity >= 1) return blended;
+
+  const out = new ImageData(base.width, base.height);
+  for (let i = 0; i < out.data.length; i++) {
+    out.data[i] = base.data[i] + (blended.data[i] - base.data[i]) * opacity;
+  }
+  return out;
+}
+
+/**
+ * Run a smart filter stack over layer pixels, bottom filter first
+ * @param {ImageData} imageData - Layer pixels
+ * @param {Array} filters - Smart filter stack
+ * @returns {Promise<ImageData>}
+ */
+export async function renderSmartFilters(imageData, filters) {
+  let current = imageData;
+
+  for (const filter of filters || []) {
+    if (!filter.enabled || !FilterInfo[filter.type]) continue;
+
+    const filtered = await applyFilter(current, filter.type, filter.params);
+    current = blendFilterResult(current, filtered, filter.blendMode, filter.opacity);
+  }
+
+  return current;
+}
+
+/**
+ * Drop the cached result so the stack is evaluated again on the next render
+ */
+export function invalidateSmartFilters(layer) {
+  getTileCache().invalidateLayer(layer.id);
+}
+
+/**
+ * Result for a layer when it matches the current pixels and stack
+ * The layer keeps its last result, so this holds even after cache eviction.
+ */
+function getCurrentResult(layer, key) {
+  const entry = getTileCache().get(layer.id, SMART_FILTER_TILE, 0) || layer._smartFilterLast;
+  return entry && entry.version === layer.contentVersion && entry.key === key ? entry : null;
+}
+
+/**
+ * Get the filtered image of a layer for rendering
+ * Returns the cached result when it is current. Otherwise an evaluation is
+ * started in the worker and the previous result (or null, meaning "draw the
+ * unfiltered pixels") is returned until it finishes. Output paths await
+ * whenSmartFiltersReady() first so they never get the placeholder.
+ * @returns {OffscreenCanvas|null}
+ */
+export function getSmartFilteredCanvas(layer) {
+  if (!hasActiveSmartFilters(layer) || !layer.canvas) return null;
+
+  const key = getStackKey(layer.smartFilters);
+  const current = getCurrentResult(layer, key);
+  if (current) return current.canvas;
+
+  const cache = getTileCache();
+  if (cache.get(layer.id, SMART_FILTER_TILE, 0)) {
+    cache.invalidateLayer(layer.id);
+  }
+
+  scheduleSmartFilters(layer, key);
+
+  const last = layer._smartFilterLast?.canvas;
+  return last && last.width === layer.width && last.height === layer.height ? last : null;
+}
+
+/**
+ * Wait until every layer's smart filters have a current result
+ * Stacks that failed on the same pixels are tried once more; a second
+ * failure rejects rather than letting unfiltered pixels into the output.
+ * @param {Array} layers - Layers to check, including group children
+ * @returns {Promise<void>}
+ */
+export async function whenSmartFiltersReady(layers) {
+  const jobs = [];
+
+  const visit = (list) => {
+    for (const layer of list) {
+      if (layer.children) visit(layer.children);
+      if (hasActiveSmartFilters(layer) && layer.canvas) jobs.push(settleSmartFilters(layer));
+    }
+  };
+  visit(layers);
+
+  await Promise.all(jobs);
+}
+
+async function settleSmartFilters(layer) {
+  let retried = false;
+
+  for (;;) {
+    const key = getStackKey(layer.smartFilters);
+    if (getCurrentResult(layer, key)) return;
+
+    const signature = `${layer.contentVersion}:${key}`;
+    if (layer._smartFilterFailed === signature) {
+      if (retried) throw new Error(`Smart filters failed on layer '${layer.name}'`);
+      layer._smartFilterFailed = null;
+      retried = true;
+    }
+
+    // A running job may be for older pixels; loop until the result is current
+    await (layer._smartFilterJob?.promise ?? scheduleSmartFilters(layer, key));
+  }
+}
+
+/**
+ * Start an evaluation unless one for the same input is already running
+ * @returns {Promise<void>|undefined} The evaluation that was started
+ */
+function scheduleSmartFilters(layer, key) {
+  const signature = `${layer.contentVersion}:${key}`;
+
+  // Don't retry a stack that just failed on the same pixels
+  if (layer._smartFilterFailed === signature) return;
+
+  // A running job re-renders when it finishes, which reschedules if stale
+  if (layer._smartFilterJob) return;
+
+  const job = { signature, promise: null };
+  layer._smartFilterJob = job;
+  job.promise = evaluateSmartFilters(layer, key, signature);
+  return job.promise;
+}
+
+/**
+ * Evaluate a layer's stack and cache the result; never rejects
+ * The job is cleared however it ends, including when the filter worker
+ * crashes, so the layer can be evaluated again.
+ */
+async function evaluateSmartFilters(layer, key, signature) {
+  const version = layer.contentVersion;
+  const { width, height } = layer;
+
+  try {
+    const imageData = layer.ctx.getImageData(0, 0, width, height);
+    const result = await renderSmartFilters(imageData, layer.smartFilters);
+
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').putImageData(result, 0, 0);
+
+    const entry = { version, key, canvas };
+    getTileCache().put(layer.id, SMART_FILTER_TILE, 0, entry, width * height * 4);
+    layer._smartFilterLast = entry;
+    layer._smartFilterFailed = null;
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Smart filter evaluation failed:', error);
+      layer._smartFilterFailed = signature;
+    }
+  } finally {
+    layer._smartFilterJob = null;
+  }
+
+  getEventBus().emit(Events.RENDER_REQUEST);
+}
+
+/**
+ * Command for changing a layer's smart filter stack (undo/redo)
+ */
+export class SetSmartFiltersCommand extends Command {
+  constructor(layerId, beforeFilters, afterFilters, name = 'Smart Filters') {
+    super(name);
+    this.layerId = layerId;
+    this.beforeFilters = cloneSmartFilters(beforeFilters);
+    this.afterFilters = cloneSmartFilters(afterFilters);
+  }
+
+  execute() {
+    return this.applyFilters(this.afterFilters);
+  }
+
+  undo() {
+    return this.applyFilters(this.beforeFilters);
+  }
+
+  applyFilters(filters) {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return false;
+
+    const layer = app.document.getLayer(this.layerId);
+    if (!layer) return false;
+
+    layer.smartFilters = cloneSmartFilters(filters);
+    invalidateSmartFilters(layer);
+
+    const eventBus = getEventBus();
+    eventBus.emit(Events.LAYER_UPDATED, { layer });
+    eventBus.emit(Events.RENDER_REQUEST);
+    return true;
+  }
+
+  serialize() {
+    return {
+      type: 'smart-filters',
+      data: { layerId: this.layerId, beforeFilters: this.beforeFilters, afterFilters: this.afterFilters }
+    };
+  }
+}
+
+registerCommand('smart-filters', data => new SetSmartFiltersCommand(data.layerId, data.beforeFilters, data.afterFilters));
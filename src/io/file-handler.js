@@ -28,6 +28,14 @@ export const PSDFileType = {
   accept: { 'image/vnd.adobe.photoshop': ['.psd'] }
 };
 
+/**
+ * SVG file type (vector export)
+ */
+export const SVGFileType = {
+  description: 'SVG Image',
+  accept: { 'image/svg+xml': ['.svg'] }
+};
+
 /**
  * Project file type (our native format)
  */
@@ -4,6 +4,11 @@
 
 import { getEventBus, Events } from '../core/event-bus.js';
 import { saveFile, ImageFileTypes } from './file-handler.js';
+import { getAnimationFrames, renderFrame, DEFAULT_FRAME_DELAY } from '../document/animation.js';
+
+let encoderWorker = null;
+let messageId = 0;
+const pendingMessages = new Map();
 
 /**
  * Export format options
@@ -34,9 +39,124 @@ export const ExportDefaults = {
     dithering: true,
     colors: 256
   },
-  [ExportFormat.BMP]: {}
+  [ExportFormat.BMP]: {
+    bitDepth: 24,               // 24 = RGB, 32 = RGBA
+    backgroundColor: '#ffffff'  // 24-bit BMP doesn't support transparency
+  }
 };
 
+/**
+ * Animation export options (GIF and PNG/APNG, with `animation: true`)
+ */
+export const AnimationDefaults = {
+  loop: 0,                          // 0 = forever, otherwise play count
+  defaultDelay: DEFAULT_FRAME_DELAY // ms, for layers without "(120ms)" in their name
+};
+
+/**
+ * Formats the browser can't encode from a canvas; these use the encoder worker
+ */
+const WORKER_FORMATS = {
+  [ExportFormat.GIF]: 'gif',
+  [ExportFormat.BMP]: 'bmp'
+};
+
+/**
+ * Get or create the image encoder worker
+ */
+function getEncoderWorker() {
+  if (!encoderWorker) {
+    encoderWorker = new Worker(new URL('../../workers/image-encoder-worker.js', import.meta.url));
+
+    encoderWorker.onmessage = (e) => {
+      const { id, success, result, error } = e.data;
+      const pending = pendingMessages.get(id);
+
+      if (pending) {
+        pendingMessages.delete(id);
+        if (success) {
+          pending.resolve(result);
+        } else {
+          pending.reject(new Error(error));
+        }
+      }
+    };
+
+    // A crashed worker can't answer; fail its exports and start fresh next time
+    encoderWorker.onerror = (e) => {
+      console.error('Image encoder worker error:', e);
+      encoderWorker.terminate();
+      encoderWorker = null;
+
+      for (const pending of pendingMessages.values()) {
+        pending.reject(new Error(e.message || 'Image encoder worker failed'));
+      }
+      pendingMessages.clear();
+    };
+  }
+
+  return encoderWorker;
+}
+
+/**
+ * Send pixels to the encoder worker and wait for the encoded file
+ * Pixel buffers in `transfer` are moved to the worker, not copied
+ */
+function sendToEncoder(type, data, transfer = []) {
+  return new Promise((resolve, reject) => {
+    const id = ++messageId;
+    pendingMessages.set(id, { resolve, reject });
+
+    const worker = getEncoderWorker();
+    worker.postMessage({ type, id, data }, transfer);
+  });
+}
+
+/**
+ * Encode a canvas to a blob, using the encoder worker when needed
+ * @param {OffscreenCanvas} canvas - The canvas to encode
+ * @param {string} format - The export format (MIME type)
+ * @param {Object} options - Merged export options
+ * @returns {Promise<Blob>}
+ */
+async function encodeCanvas(canvas, format, options) {
+  const workerType = WORKER_FORMATS[format];
+
+  if (workerType) {
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const buffer = await sendToEncoder(workerType, { imageData, options }, [imageData.data.buffer]);
+    return new Blob([buffer], { type: format });
+  }
+
+  return await canvas.convertToBlob({
+    type: format,
+    quality: options.quality
+  });
+}
+
+/**
+ * Whether the format needs a solid background behind transparent pixels
+ */
+function needsBackground(format, options) {
+  return format === ExportFormat.JPEG ||
+    (format === ExportFormat.BMP && options.bitDepth !== 32);
+}
+
+/**
+ * Copy a canvas onto a solid background color
+ */
+function flattenOnBackground(canvas, color) {
+  const flatCanvas = new OffscreenCanvas(canvas.width, canvas.height);
+  const flatCtx = flatCanvas.getContext('2d');
+
+  flatCtx.fillStyle = color;
+  flatCtx.fillRect(0, 0, canvas.width, canvas.height);
+  flatCtx.drawImage(canvas, 0, 0);
+
+  return flatCanvas;
+}
+
 /**
  * Export a document to a blob
  * @param {Document} document - The document to export
@@ -45,35 +165,70 @@ export const ExportDefaults = {
  * @returns {Promise<Blob>}
  */
 export async function exportToBlob(document, format = ExportFormat.PNG, options = {}) {
+  if (options.animation) {
+    return await exportAnimationToBlob(document, format, options);
+  }
+
   const mergedOptions = { ...ExportDefaults[format], ...options };
+  await document.whenSmartFiltersReady();
 
-  // Get composited canvas - include background for JPEG
-  const includeBackground = format === ExportFormat.JPEG;
+  // Get composited canvas - include background for opaque formats
+  const includeBackground = needsBackground(format, mergedOptions);
   const canvas = document.getCompositedCanvas(includeBackground);
 
-  // For JPEG, fill with background color if transparent
-  if (format === ExportFormat.JPEG && document.background.transparent) {
-    const ctx = canvas.getContext('2d');
+  // For opaque formats, fill with background color if transparent
+  if (includeBackground && document.background.transparent) {
     const bgColor = mergedOptions.backgroundColor || '#ffffff';
+    return await encodeCanvas(flattenOnBackground(canvas, bgColor), format, mergedOptions);
+  }
 
-    // Create a new canvas with background
-    const jpegCanvas = new OffscreenCanvas(canvas.width, canvas.height);
-    const jpegCtx = jpegCanvas.getContext('2d');
+  return await encodeCanvas(canvas, format, mergedOptions);
+}
 
-    jpegCtx.fillStyle = bgColor;
-    jpegCtx.fillRect(0, 0, canvas.width, canvas.height);
-    jpegCtx.drawImage(canvas, 0, 0);
+/**
+ * Whether a format can be exported as an animation (GIF or APNG)
+ */
+export function supportsAnimation(format) {
+  return format === ExportFormat.GIF || format === ExportFormat.PNG;
+}
 
-    return await jpegCanvas.convertToBlob({
-      type: format,
-      quality: mergedOptions.quality
-    });
+/**
+ * Export the document's layers as animation frames
+ * PNG output is an animated PNG (APNG), which keeps the .png extension
+ * @param {Document} document - The document to export
+ * @param {string} format - ExportFormat.GIF or ExportFormat.PNG
+ * @param {Object} options - Export options plus { loop, defaultDelay }
+ * @returns {Promise<Blob>}
+ */
+export async function exportAnimationToBlob(document, format = ExportFormat.GIF, options = {}) {
+  if (!supportsAnimation(format)) {
+    throw new Error(`Animation export is not supported for ${format}`);
   }
 
-  return await canvas.convertToBlob({
-    type: format,
-    quality: mergedOptions.quality
+  const mergedOptions = { ...ExportDefaults[format], ...AnimationDefaults, ...options };
+  const frames = getAnimationFrames(document, { defaultDelay: mergedOptions.defaultDelay });
+
+  if (frames.length === 0) {
+    throw new Error('No visible layers to use as animation frames');
+  }
+
+  await document.whenSmartFiltersReady();
+  const rendered = frames.map(frame => {
+    const canvas = renderFrame(document, frame, true);
+    return {
+      imageData: canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height),
+      delay: frame.delay
+    };
   });
+
+  const type = format === ExportFormat.GIF ? 'animated-gif' : 'apng';
+  const buffer = await sendToEncoder(
+    type,
+    { frames: rendered, options: mergedOptions },
+    rendered.map(frame => frame.imageData.data.buffer)
+  );
+
+  return new Blob([buffer], { type: format });
 }
 
 /**
@@ -96,7 +251,9 @@ export async function exportDocument(document, format = ExportFormat.PNG, option
     const fileTypes = {
       [ExportFormat.PNG]: [ImageFileTypes.PNG],
       [ExportFormat.JPEG]: [ImageFileTypes.JPEG],
-      [ExportFormat.WEBP]: [ImageFileTypes.WEBP]
+      [ExportFormat.WEBP]: [ImageFileTypes.WEBP],
+      [ExportFormat.GIF]: [ImageFileTypes.GIF],
+      [ExportFormat.BMP]: [ImageFileTypes.BMP]
     };
 
     await saveFile(blob, suggestedName, {
@@ -163,10 +320,12 @@ export async function exportLayerToBlob(layer, format = ExportFormat.PNG, option
 
   const mergedOptions = { ...ExportDefaults[format], ...options };
 
-  return await layer.canvas.convertToBlob({
-    type: format,
-    quality: mergedOptions.quality
-  });
+  if (needsBackground(format, mergedOptions)) {
+    const bgColor = mergedOptions.backgroundColor || '#ffffff';
+    return await encodeCanvas(flattenOnBackground(layer.canvas, bgColor), format, mergedOptions);
+  }
+
+  return await encodeCanvas(layer.canvas, format, mergedOptions);
 }
 
 /**
@@ -180,7 +339,9 @@ export async function exportLayerToBlob(layer, format = ExportFormat.PNG, option
 export async function exportResized(document, size, format = ExportFormat.PNG, options = {}) {
   const { width, height, maintainAspect = true } = size;
 
-  const canvas = document.getCompositedCanvas(format === ExportFormat.JPEG);
+  const mergedOptions = { ...ExportDefaults[format], ...options };
+  await document.whenSmartFiltersReady();
+  const canvas = document.getCompositedCanvas(needsBackground(format, mergedOptions));
 
   let targetWidth = width;
   let targetHeight = height;
@@ -214,12 +375,12 @@ export async function exportResized(document, size, format = ExportFormat.PNG, o
 
   ctx.drawImage(canvas, 0, 0, targetWidth, targetHeight);
 
-  const mergedOptions = { ...ExportDefaults[format], ...options };
+  if (needsBackground(format, mergedOptions) && document.background.transparent) {
+    const bgColor = mergedOptions.backgroundColor || '#ffffff';
+    return await encodeCanvas(flattenOnBackground(resizedCanvas, bgColor), format, mergedOptions);
+  }
 
-  return await resizedCanvas.convertToBlob({
-    type: format,
-    quality: mergedOptions.quality
-  });
+  return await encodeCanvas(resizedCanvas, format, mergedOptions);
 }
 
 /**
@@ -273,6 +434,28 @@ export class ExportOptionsBuilder {
     return this;
   }
 
+  setColors(colors) {
+    this.options.colors = Math.max(2, Math.min(256, Math.round(colors)));
+    return this;
+  }
+
+  setDithering(dithering) {
+    this.options.dithering = !!dithering;
+    return this;
+  }
+
+  setBitDepth(bitDepth) {
+    this.options.bitDepth = bitDepth === 32 ? 32 : 24;
+    return this;
+  }
+
+  setAnimation(animation, loop = AnimationDefaults.loop, defaultDelay = AnimationDefaults.defaultDelay) {
+    this.options.animation = !!animation;
+    this.options.loop = Math.max(0, Math.round(loop));
+    this.options.defaultDelay = Math.max(1, Math.round(defaultDelay));
+    return this;
+  }
+
   setBackgroundColor(color) {
     this.options.backgroundColor = color;
     return this;
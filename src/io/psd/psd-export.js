@@ -6,6 +6,7 @@
 import { getEventBus, Events } from '../../core/event-bus.js';
 import { saveFile, PSDFileType } from '../file-handler.js';
 import { LayerType } from '../../document/layer.js';
+import { hasActiveStyles } from '../../document/layer-styles.js';
 
 let psdWorker = null;
 let messageId = 0;
@@ -125,10 +126,20 @@ async function prepareDocumentForExport(document, options = {}) {
     }
   }
 
+  // Merged composite, stored as the file's image data section
+  await document.whenSmartFiltersReady();
+  const composite = document.getCompositedCanvas(false);
+  const compositeImage = composite.getContext('2d').getImageData(0, 0, document.width, document.height);
+
+  // Alpha channels are written after the composite planes
+  const channels = document.channels.map(({ name, data }) => ({ name, data }));
+
   return {
     width: document.width,
     height: document.height,
     layers,
+    composite: compositeImage,
+    channels,
     background: document.background
   };
 }
@@ -137,7 +148,6 @@ async function prepareDocumentForExport(document, options = {}) {
  * Prepare a single layer for export
  */
 async function prepareLayerForExport(layer, document) {
-  // Skip adjustment layers for now (complex to export)
   if (layer.type === LayerType.ADJUSTMENT) {
     return prepareAdjustmentLayerForExport(layer);
   }
@@ -158,16 +168,22 @@ async function prepareLayerForExport(layer, document) {
     y: layer.y,
     width: layer.width,
     height: layer.height,
-    clipped: layer.clipped
+    clipped: layer.clipped,
+    styles: hasActiveStyles(layer.styles) ? layer.styles : null
   };
 
+  // Text and shape layers are exported as their rendered pixels
+  if (layer.type === LayerType.TEXT || layer.type === LayerType.SHAPE) {
+    layer.ensureRendered();
+  }
+
   // Get layer image data
   if (layer.canvas) {
     layerData.imageData = layer.ctx.getImageData(0, 0, layer.width, layer.height);
   }
 
-  // Get mask data
-  if (layer.mask && layer.maskEnabled) {
+  // Get mask data (disabled masks are kept and flagged)
+  if (layer.mask) {
     layerData.mask = {
       left: 0,
       top: 0,
@@ -200,6 +216,7 @@ async function prepareGroupForExport(group, document) {
     visible: group.visible,
     opacity: group.opacity,
     blendMode: group.blendMode,
+    clipped: group.clipped,
     expanded: group.expanded,
     children
   };
@@ -207,7 +224,6 @@ async function prepareGroupForExport(group, document) {
 
 /**
  * Prepare an adjustment layer for export
- * Note: Full adjustment layer export requires more complex handling
  */
 function prepareAdjustmentLayerForExport(layer) {
   return {
@@ -216,6 +232,7 @@ function prepareAdjustmentLayerForExport(layer) {
     visible: layer.visible,
     opacity: layer.opacity,
     blendMode: layer.blendMode,
+    clipped: layer.clipped,
     adjustment: layer.adjustment
   };
 }
@@ -229,7 +246,8 @@ export function estimatePSDSize(document) {
   let totalPixels = 0;
 
   for (const layer of document.layers) {
-    if (layer.type === LayerType.RASTER && layer.canvas) {
+    if ((layer.type === LayerType.RASTER || layer.type === LayerType.TEXT ||
+         layer.type === LayerType.SHAPE) && layer.canvas) {
       totalPixels += layer.width * layer.height;
     }
     if (layer.mask) {
@@ -292,14 +310,23 @@ export function validateForPSDExport(document) {
       // Check if adjustment type is supported
       const supportedTypes = [
         'brightness-contrast', 'levels', 'curves',
-        'hue-saturation', 'color-balance', 'invert',
-        'posterize', 'threshold'
+        'hue-saturation', 'color-balance', 'black-white',
+        'photo-filter', 'vibrance', 'invert',
+        'posterize', 'threshold', 'gradient-map'
       ];
 
       if (layer.adjustment && !supportedTypes.includes(layer.adjustment.type)) {
-        warnings.push(`Adjustment type '${layer.adjustment.type}' may not export correctly`);
+        warnings.push(`Adjustment type '${layer.adjustment.type}' will not be exported`);
       }
     }
+
+    if (layer.type === LayerType.TEXT) {
+      warnings.push(`Text layer '${layer.name}' will be exported as pixels`);
+    }
+
+    if (layer.type === LayerType.SHAPE) {
+      warnings.push(`Shape layer '${layer.name}' will be exported as pixels`);
+    }
   }
 
   return {
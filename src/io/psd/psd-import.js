@@ -106,6 +106,21 @@ async function createDocumentFromPSD(psdData, filename) {
   // Process layers (in reverse order since PSD stores top-to-bottom)
   const layers = psdData.layers.slice().reverse();
 
+  // Flat files have no layer records, only the merged composite
+  if (layers.length === 0 && psdData.compositeImage) {
+    layers.push({
+      name: 'Background',
+      type: 'raster',
+      visible: true,
+      opacity: 1,
+      blendMode: 'normal',
+      left: 0,
+      top: 0,
+      clippingMask: false,
+      imageData: psdData.compositeImage
+    });
+  }
+
   for (const layerData of layers) {
     const layer = await createLayerFromPSDData(layerData, psdData.width, psdData.height);
     if (layer) {
@@ -132,7 +147,8 @@ async function createLayerFromPSDData(layerData, docWidth, docHeight) {
       visible: layerData.visible,
       opacity: layerData.opacity,
       blendMode: layerData.blendMode,
-      expanded: !layerData.expanded
+      clipped: layerData.clippingMask,
+      expanded: layerData.expanded
     });
 
     // Process child layers
@@ -160,15 +176,14 @@ async function createLayerFromPSDData(layerData, docWidth, docHeight) {
     visible: layerData.visible,
     opacity: layerData.opacity,
     blendMode: layerData.blendMode,
-    x: layerData.left,
-    y: layerData.top,
-    clipped: layerData.clippingMask
+    clipped: layerData.clippingMask,
+    styles: layerData.styles
   });
 
   // Initialize canvas
   layer.initCanvas(docWidth, docHeight);
 
-  // Draw layer image data
+  // Draw layer image data (PSD layer bounds are in document coordinates)
   if (layerData.imageData) {
     const imageData = new ImageData(
       new Uint8ClampedArray(layerData.imageData.data),
@@ -179,10 +194,15 @@ async function createLayerFromPSDData(layerData, docWidth, docHeight) {
     layer.updateThumbnail();
   }
 
-  // Add mask if present
-  if (layerData.mask && layerData.mask.imageData) {
-    layer.mask = new LayerMask(docWidth, docHeight);
+  // Add mask if present; outside its bounds a mask takes its default color
+  if (layerData.mask) {
+    layer.mask = new LayerMask(docWidth, docHeight, {
+      fillBlack: layerData.mask.defaultColor === 0
+    });
+    layer.maskEnabled = !layerData.mask.disabled;
+  }
 
+  if (layerData.mask && layerData.mask.imageData) {
     const maskData = new ImageData(
       new Uint8ClampedArray(layerData.mask.imageData.data),
       layerData.mask.imageData.width,
@@ -191,7 +211,6 @@ async function createLayerFromPSDData(layerData, docWidth, docHeight) {
 
     layer.mask.ctx.putImageData(maskData, layerData.mask.left, layerData.mask.top);
     layer.mask.updateThumbnail();
-    layer.maskEnabled = !layerData.mask.disabled;
   }
 
   return layer;
@@ -209,7 +228,13 @@ function createAdjustmentLayerFromPSD(layerData) {
     return null;
   }
 
-  return createAdjustmentLayer(adjustmentType, layerData.adjustment.params || {});
+  const layer = createAdjustmentLayer(adjustmentType, layerData.adjustment.params || {});
+  layer.name = layerData.name;
+  layer.visible = layerData.visible;
+  layer.opacity = layerData.opacity;
+  layer.blendMode = layerData.blendMode;
+  layer.clipped = layerData.clippingMask;
+  return layer;
 }
 
 /**
@@ -229,7 +254,8 @@ function mapPSDAdjustmentType(adjustment) {
     'vibrance': 'vibrance',
     'invert': 'invert',
     'posterize': 'posterize',
-    'threshold': 'threshold'
+    'threshold': 'threshold',
+    'gradientMap': 'gradient-map'
   };
 
   return typeMap[adjustment.type] || null;
@@ -0,0 +1,237 @@
+/**
+ * SVG Export - Export documents as SVG
+ * Shape layers become vector paths; other pixel layers are embedded as PNG
+ * images so the file still matches the document.
+ */
+
+import { saveFile, SVGFileType } from './file-handler.js';
+import { LayerType } from '../document/layer.js';
+import { getShapePathData } from '../document/shape-layer.js';
+import { hasActiveStyles } from '../document/layer-styles.js';
+import { hasActiveSmartFilters } from '../effects/filters/smart-filters.js';
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Escape text for use in an XML attribute
+ */
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Opacity and blend mode attributes shared by layers and groups
+ */
+function getCompositingAttributes(layer) {
+  let attributes = '';
+  if (layer.opacity < 1) {
+    attributes += ` opacity="${round(layer.opacity)}"`;
+  }
+  if (layer.blendMode && layer.blendMode !== 'normal') {
+    attributes += ` style="mix-blend-mode:${layer.blendMode}"`;
+  }
+  return attributes;
+}
+
+/**
+ * Whether a shape layer can be written as a plain SVG path
+ * Effects, smart filters, masks and clipping need the rendered pixels.
+ */
+export function canExportShapeAsVector(layer) {
+  return layer.type === LayerType.SHAPE &&
+    !hasActiveStyles(layer.styles) &&
+    !hasActiveSmartFilters(layer) &&
+    !(layer.mask && layer.maskEnabled);
+}
+
+/**
+ * Build the SVG element for a shape layer
+ * @param {ShapeLayer} layer - The shape layer
+ * @returns {string}
+ */
+export function shapeToSVG(layer) {
+  const shape = layer.shape;
+  const attributes = [`d="${getShapePathData(shape)}"`];
+
+  attributes.push(`fill="${shape.fill ? escapeXML(shape.fill) : 'none'}"`);
+
+  if (shape.stroke && shape.strokeWidth > 0) {
+    attributes.push(`stroke="${escapeXML(shape.stroke)}"`);
+    attributes.push(`stroke-width="${round(shape.strokeWidth)}"`);
+    attributes.push(`stroke-linecap="${shape.lineCap}"`);
+    attributes.push(`stroke-linejoin="${shape.lineJoin}"`);
+
+    if (shape.dash && shape.dash.length > 0) {
+      attributes.push(`stroke-dasharray="${shape.dash.map(length => round(length * shape.strokeWidth)).join(' ')}"`);
+    }
+  }
+
+  if (shape.rotation) {
+    const cx = shape.x + shape.width / 2;
+    const cy = shape.y + shape.height / 2;
+    attributes.push(`transform="rotate(${round(shape.rotation)} ${round(cx)} ${round(cy)})"`);
+  }
+
+  const offset = layer.x || layer.y ? ` transform="translate(${round(layer.x)} ${round(layer.y)})"` : '';
+
+  return `<g${offset}${getCompositingAttributes(layer)}><path ${attributes.join(' ')}/></g>`;
+}
+
+/**
+ * Encode a canvas as a PNG data URL
+ */
+async function canvasToDataURL(canvas) {
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Embed rendered pixels as an image element
+ * Opacity is already applied to the pixels; the blend mode is kept.
+ */
+async function pixelsToSVG(canvas, document, blendMode) {
+  const href = await canvasToDataURL(canvas);
+  const style = blendMode && blendMode !== 'normal' ? ` style="mix-blend-mode:${blendMode}"` : '';
+  return `<image width="${document.width}" height="${document.height}"${style} href="${href}"/>`;
+}
+
+/**
+ * Build SVG elements for a list of layers (bottom to top)
+ */
+async function layersToSVG(document, layers) {
+  const elements = [];
+
+  let i = 0;
+  while (i < layers.length) {
+    const layer = layers[i];
+
+    // Adjustment layers have no SVG equivalent and are left out
+    if (!layer.visible || layer.type === LayerType.ADJUSTMENT) {
+      i++;
+      continue;
+    }
+
+    if (layer.type === LayerType.GROUP) {
+      const children = await layersToSVG(document, layer.children || []);
+      elements.push(`<g${getCompositingAttributes(layer)}>${children.join('')}</g>`);
+      i++;
+      continue;
+    }
+
+    // Clipped layers above this one are rendered together with it
+    const clippingGroup = [layer];
+    let j = i + 1;
+    while (j < layers.length && layers[j].clipped) {
+      if (layers[j].visible) {
+        clippingGroup.push(layers[j]);
+      }
+      j++;
+    }
+
+    if (clippingGroup.length === 1 && canExportShapeAsVector(layer)) {
+      elements.push(shapeToSVG(layer));
+    } else {
+      const canvas = new OffscreenCanvas(document.width, document.height);
+      const ctx = canvas.getContext('2d');
+
+      if (clippingGroup.length === 1) {
+        document.renderLayerToContext(ctx, layer);
+      } else {
+        document.renderClippingGroup(ctx, clippingGroup);
+      }
+
+      elements.push(await pixelsToSVG(canvas, document, layer.blendMode));
+    }
+
+    i = j;
+  }
+
+  return elements;
+}
+
+/**
+ * Convert a document to SVG markup
+ * @param {Document} document - The document to export
+ * @returns {Promise<string>}
+ */
+export async function documentToSVG(document) {
+  const { width, height } = document;
+  const elements = [];
+  await document.whenSmartFiltersReady();
+
+  if (!document.background.transparent) {
+    elements.push(`<rect width="${width}" height="${height}" fill="${escapeXML(document.background.color)}"/>`);
+  }
+
+  elements.push(...await layersToSVG(document, document.layers));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<title>${escapeXML(document.name)}</title>`,
+    ...elements,
+    '</svg>'
+  ].join('\n');
+}
+
+/**
+ * Export a document to an SVG blob
+ * @param {Document} document - The document to export
+ * @returns {Promise<Blob>}
+ */
+export async function exportToSVGBlob(document) {
+  const svg = await documentToSVG(document);
+  return new Blob([svg], { type: 'image/svg+xml' });
+}
+
+/**
+ * Export a document as SVG and prompt the user to save it
+ * @param {Document} document - The document to export
+ */
+export async function exportAndSaveSVG(document) {
+  const blob = await exportToSVGBlob(document);
+  return saveFile(blob, `${document.name}.svg`, { types: [SVGFileType] });
+}
+
+/**
+ * Check what will not survive an SVG export
+ * @param {Document} document - The document to check
+ * @returns {{canExport: boolean, warnings: string[]}}
+ */
+export function validateForSVGExport(document) {
+  const warnings = [];
+  let pixelLayers = 0;
+
+  const checkLayers = (layers) => {
+    for (const layer of layers) {
+      if (!layer.visible) continue;
+
+      if (layer.type === LayerType.ADJUSTMENT) {
+        warnings.push(`Adjustment layer '${layer.name}' is not supported in SVG`);
+      } else if (layer.type === LayerType.GROUP) {
+        checkLayers(layer.children || []);
+      } else if (!canExportShapeAsVector(layer) || layer.clipped) {
+        pixelLayers++;
+      }
+    }
+  };
+  checkLayers(document.layers);
+
+  if (pixelLayers > 0) {
+    warnings.push(`${pixelLayers} layer${pixelLayers === 1 ? '' : 's'} will be embedded as pixels`);
+  }
+
+  return {
+    canExport: true,
+    warnings
+  };
+}
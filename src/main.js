@@ -10,22 +10,44 @@ import { getHistory } from './core/commands.js';
 import { getShortcuts, ShortcutContext } from './core/shortcuts.js';
 
 // Document
-import { createDocument, createDocumentFromImage } from './document/document.js';
+import { Document, createDocument, createDocumentFromImage } from './document/document.js';
 import { createRasterLayer } from './document/layer.js';
+import { RasterizeTextCommand } from './document/text-layer.js';
+import { RasterizeShapeCommand } from './document/shape-layer.js';
+import { Selection, SelectionMode } from './document/selection.js';
+import {
+  createChannel, cloneChannels, getColorChannelMask, ColorChannels, SetChannelCommand
+} from './document/channels.js';
+import { clonePath, clonePaths, createPath, selectPath, fillPath, flattenPath, SetPathCommand, PathPixelsCommand } from './document/paths.js';
+import { cloneLayerStyle } from './document/layer-styles.js';
+import { getMaskManager, LayerMask } from './document/mask.js';
+import { segmentSubject, cancelSelectSubject } from './document/select-subject.js';
+import { RefineEdgeOutput, AddRefinedLayerCommand } from './document/refine-edge.js';
+import { getSnapshotManager, captureDocumentState, applyDocumentState } from './document/snapshots.js';
+
+// Effects
+import { FilterInfo, canFilterLayer, applyFilterToLayer } from './effects/filters/filters.js';
+import { cloneSmartFilters } from './effects/filters/smart-filters.js';
 
 // Tools
 import { getToolManager } from './tools/tool-manager.js';
 import { BrushTool } from './tools/brush/brush-tool.js';
+import { MixerBrushTool, SmudgeTool, BrushTools } from './tools/brush/mixer-brush-tool.js';
 import { EraserTool } from './tools/eraser-tool.js';
 import { MoveTool } from './tools/move-tool.js';
 import { EyedropperTool } from './tools/eyedropper-tool.js';
 import { FillTool } from './tools/fill-tool.js';
 import { RectangularMarqueeTool, EllipticalMarqueeTool } from './tools/selection/marquee-tool.js';
-import { LassoTool, PolygonalLassoTool } from './tools/selection/lasso-tool.js';
+import { LassoTool, PolygonalLassoTool, MagneticLassoTool, LassoTools } from './tools/selection/lasso-tool.js';
 import { MagicWandTool } from './tools/selection/magic-wand-tool.js';
-import { TransformTool } from './tools/transform-tool.js';
+import { TransformTool, TransformTarget } from './tools/transform-tool.js';
 import { GradientTool } from './tools/gradient-tool.js';
 import { CropTool } from './tools/crop-tool.js';
+import { TextTool } from './tools/text-tool.js';
+import { PenTool } from './tools/pen-tool.js';
+import {
+  RectangleTool, EllipseTool, PolygonTool, LineTool, CustomShapeTool, ShapeTools
+} from './tools/shape-tool.js';
 
 // Components
 import './components/app-shell.js';
@@ -34,6 +56,8 @@ import './components/canvas/canvas-overlay.js';
 import './components/panels/layers-panel.js';
 import './components/panels/color-panel.js';
 import './components/panels/history-panel.js';
+import './components/panels/paths-panel.js';
+import './components/panels/channels-panel.js';
 import './components/panels/brushes-panel.js';
 import './components/panels/adjustments-panel.js';
 
@@ -43,11 +67,19 @@ import './components/dialogs/recent-documents-dialog.js';
 import './components/dialogs/shortcuts-dialog.js';
 import './components/dialogs/settings-dialog.js';
 import './components/dialogs/new-document-dialog.js';
+import './components/dialogs/layer-style-dialog.js';
+import './components/dialogs/filter-dialog.js';
+import './components/dialogs/color-range-dialog.js';
+import './components/dialogs/refine-edge-dialog.js';
 import { showExportDialog } from './components/dialogs/export-dialog.js';
 import { showRecentDocumentsDialog } from './components/dialogs/recent-documents-dialog.js';
 import { showShortcutsDialog } from './components/dialogs/shortcuts-dialog.js';
 import { showSettingsDialog } from './components/dialogs/settings-dialog.js';
 import { showNewDocumentDialog as openNewDocumentDialog } from './components/dialogs/new-document-dialog.js';
+import { showLayerStyleDialog } from './components/dialogs/layer-style-dialog.js';
+import { showFilterDialog, showSmartFilterDialog } from './components/dialogs/filter-dialog.js';
+import { showColorRangeDialog } from './components/dialogs/color-range-dialog.js';
+import { showRefineEdgeDialog } from './components/dialogs/refine-edge-dialog.js';
 
 // Shared components
 import './components/shared/loading-indicator.js';
@@ -59,7 +91,7 @@ import { importPSD } from './io/psd/psd-import.js';
 
 // Storage
 import { openDatabase } from './storage/db.js';
-import { saveProject, loadProject } from './storage/project-store.js';
+import { saveProject, loadProject, getSetting } from './storage/project-store.js';
 import { initAutosave, checkForRecovery } from './storage/autosave.js';
 
 // Theme and accessibility
@@ -113,6 +145,13 @@ class PhotoEditorApp {
     this.history = getHistory();
     this.history.init();
 
+    const historyMemory = await getSetting('historyMemory');
+    if (historyMemory) {
+      this.history.setMemoryBudget(historyMemory);
+    }
+    this.history.setBranching(await getSetting('historyBranching', false));
+    getSnapshotManager();
+
     // Initialize shortcuts
     this.shortcuts = getShortcuts();
     this.shortcuts.init();
@@ -156,6 +195,8 @@ class PhotoEditorApp {
   registerTools() {
     // Paint tools
     this.toolManager.register('brush', new BrushTool());
+    this.toolManager.register('mixerBrush', new MixerBrushTool());
+    this.toolManager.register('smudge', new SmudgeTool());
     this.toolManager.register('eraser', new EraserTool());
     this.toolManager.register('fill', new FillTool());
     this.toolManager.register('eyedropper', new EyedropperTool());
@@ -165,6 +206,7 @@ class PhotoEditorApp {
     this.toolManager.register('ellipticalMarquee', new EllipticalMarqueeTool());
     this.toolManager.register('lasso', new LassoTool());
     this.toolManager.register('polygonalLasso', new PolygonalLassoTool());
+    this.toolManager.register('magneticLasso', new MagneticLassoTool());
     this.toolManager.register('magicWand', new MagicWandTool());
 
     // Transform tools
@@ -174,6 +216,17 @@ class PhotoEditorApp {
 
     // Gradient tool
     this.toolManager.register('gradient', new GradientTool());
+
+    // Type tool
+    this.toolManager.register('text', new TextTool());
+    this.toolManager.register('pen', new PenTool());
+
+    // Shape tools
+    this.toolManager.register('rectangle', new RectangleTool());
+    this.toolManager.register('ellipse', new EllipseTool());
+    this.toolManager.register('polygon', new PolygonTool());
+    this.toolManager.register('line', new LineTool());
+    this.toolManager.register('customShape', new CustomShapeTool());
   }
 
   /**
@@ -217,8 +270,12 @@ class PhotoEditorApp {
       description: 'Move Tool'
     });
 
-    s.register('b', () => this.setTool('brush'), {
-      description: 'Brush Tool'
+    s.register('b', () => this.cycleBrushTool(), {
+      description: 'Brush Tools'
+    });
+
+    s.register('r', () => this.setTool('smudge'), {
+      description: 'Smudge Tool'
     });
 
     s.register('e', () => this.setTool('eraser'), {
@@ -233,6 +290,22 @@ class PhotoEditorApp {
       description: 'Eyedropper Tool'
     });
 
+    s.register('l', () => this.cycleLassoTool(), {
+      description: 'Lasso Tools'
+    });
+
+    s.register('t', () => this.setTool('text'), {
+      description: 'Text Tool'
+    });
+
+    s.register('u', () => this.cycleShapeTool(), {
+      description: 'Shape Tools'
+    });
+
+    s.register('p', () => this.setTool('pen'), {
+      description: 'Pen Tool'
+    });
+
     // Brush size
     s.register('bracketleft', () => this.decreaseBrushSize(), {
       description: 'Decrease Brush Size'
@@ -276,6 +349,19 @@ class PhotoEditorApp {
     s.register('backspace', () => this.deleteSelected(), {
       description: 'Delete'
     });
+
+    // Selection
+    s.register('ctrl+alt+t', () => this.transformSelection(), {
+      description: 'Transform Selection'
+    });
+
+    s.register('ctrl+alt+r', () => this.showRefineEdge(), {
+      description: 'Refine Edge'
+    });
+
+    s.register('q', () => this.toggleQuickMask(), {
+      description: 'Quick Mask'
+    });
   }
 
   /**
@@ -288,10 +374,18 @@ class PhotoEditorApp {
     this.eventBus.on('toolbar:save', () => this.save());
     this.eventBus.on('toolbar:undo', () => this.undo());
     this.eventBus.on('toolbar:redo', () => this.redo());
+    this.eventBus.on('toolbar:onion-skin', () => this.toggleOnionSkin());
+    this.eventBus.on('toolbar:filter', ({ filter }) => this.showFilter(filter));
+    this.eventBus.on('toolbar:color-range', () => this.showColorRange());
+    this.eventBus.on('toolbar:select-subject', () => this.selectSubject());
+    this.eventBus.on('toolbar:refine-edge', () => this.showRefineEdge());
 
     // Project handlers
     this.eventBus.on('project:load', (data) => this.loadProjectData(data));
     this.eventBus.on('project:recover', (data) => this.recoverProject(data));
+
+    // Settings
+    this.eventBus.on('settings:historyMemory', ({ bytes }) => this.history.setMemoryBudget(bytes));
     this.eventBus.on('project:save', () => this.saveProjectToStorage());
 
     // New document dialog
@@ -341,6 +435,35 @@ class PhotoEditorApp {
     openNewDocumentDialog();
   }
 
+  /**
+   * Open a history snapshot (or the current state) as a new document
+   */
+  newDocumentFromSnapshot(snapshotId = null) {
+    if (!this.document) return null;
+
+    const snapshot = snapshotId ? getSnapshotManager().get(snapshotId) : null;
+    if (snapshotId && !snapshot) return null;
+
+    const state = snapshot?.state ?? captureDocumentState(this.document);
+
+    this.document = new Document({
+      name: snapshot?.name ?? `${this.document.name} Copy`,
+      width: state.width,
+      height: state.height
+    });
+    applyDocumentState(this.document, state);
+
+    // Clear history
+    this.history.clear();
+
+    // Initialize autosave for this document
+    initAutosave(this.document);
+
+    this.eventBus.emit(Events.DOCUMENT_CREATED, { document: this.document });
+
+    return this.document;
+  }
+
   /**
    * Open a file
    */
@@ -581,6 +704,145 @@ class PhotoEditorApp {
     }
   }
 
+  /**
+   * Rasterize the active text or shape layer
+   */
+  rasterizeLayer() {
+    if (!this.document) return;
+
+    const layer = this.document.getActiveLayer();
+    if (!layer) return;
+
+    if (layer.type === 'text') {
+      this.history.execute(new RasterizeTextCommand(layer.id));
+    } else if (layer.type === 'shape') {
+      this.history.execute(new RasterizeShapeCommand(layer.id));
+    }
+  }
+
+  /**
+   * Open the layer style dialog for the active layer
+   */
+  editLayerStyle() {
+    if (!this.document) return;
+
+    const layer = this.document.getActiveLayer();
+    if (!layer || layer.type === 'adjustment' || layer.type === 'group') return;
+
+    showLayerStyleDialog(layer);
+  }
+
+  /**
+   * Run a filter on the active layer, inside the selection if there is one
+   * Filters without options apply straight away unless the layer has smart
+   * filters; text and shape layers can only take smart filters.
+   */
+  showFilter(type) {
+    if (!this.document || !FilterInfo[type]) return;
+
+    const layer = this.document.getActiveLayer();
+    const smartOnly = (layer?.type === 'text' || layer?.type === 'shape') && !layer.locked;
+
+    if (!canFilterLayer(layer) && !smartOnly) {
+      getLoadingIndicator().showToast('warning', FilterInfo[type].name, 'Select an unlocked pixel layer');
+      return;
+    }
+
+    const selection = this.selection?.hasSelection() ? this.selection : null;
+
+    if (FilterInfo[type].params.length === 0 && !smartOnly && !layer.smartFilters?.length) {
+      applyFilterToLayer(layer, type, {}, selection);
+    } else {
+      showFilterDialog(layer, type, selection, {}, { smartOnly });
+    }
+  }
+
+  /**
+   * Open the filter dialog for an entry of a layer's smart filter stack
+   */
+  editSmartFilter(layerId, filterId) {
+    if (!this.document) return;
+
+    showSmartFilterDialog(this.document.getLayer(layerId), filterId);
+  }
+
+  // ========== Path Operations ==========
+
+  /**
+   * Add an empty path and make it active
+   */
+  newPath() {
+    if (!this.document) return;
+
+    const path = createPath(`Path ${this.document.paths.length + 1}`);
+    this.history.execute(new SetPathCommand(path.id, null, path, 'New Path'));
+  }
+
+  /**
+   * Delete a path (the active one by default)
+   */
+  deletePath(pathId = this.document?.activePathId) {
+    const path = this.document?.getPath(pathId);
+    if (!path) return;
+
+    const index = this.document.paths.indexOf(path);
+    this.history.execute(new SetPathCommand(path.id, path, null, 'Delete Path', index));
+  }
+
+  /**
+   * Rename a path
+   */
+  renamePath(pathId, name) {
+    const path = this.document?.getPath(pathId);
+    if (!path || !name || name === path.name) return;
+
+    this.history.execute(new SetPathCommand(path.id, path, { ...clonePath(path), name }, 'Rename Path'));
+  }
+
+  /**
+   * Load the active path as a selection
+   * @param {number} feather - Feather radius in pixels
+   */
+  loadPathAsSelection(feather = 0) {
+    const path = this.document?.getActivePath();
+    if (!path) return;
+
+    if (!this.selection) {
+      this.selection = new Selection(this.document.width, this.document.height);
+    }
+
+    selectPath(path, this.selection, { feather });
+    this.eventBus.emit(Events.RENDER_REQUEST);
+  }
+
+  /**
+   * Fill the active path with the foreground color, or stroke it with the
+   * current brush preset, on the active layer
+   * @param {'fill'|'stroke'} mode
+   */
+  paintPath(mode) {
+    const path = this.document?.getActivePath();
+    if (!path) return;
+
+    const name = mode === 'stroke' ? 'Stroke Path' : 'Fill Path';
+    const layer = this.document.getActiveLayer();
+    if (!layer || layer.type !== 'raster' || layer.locked) {
+      getLoadingIndicator().showToast('warning', name, 'Select an unlocked pixel layer');
+      return;
+    }
+
+    const beforeImageData = layer.ctx.getImageData(0, 0, layer.width, layer.height);
+
+    if (mode === 'stroke') {
+      this.toolManager.getTool('brush').strokePolylines(layer, flattenPath(path.subpaths));
+    } else {
+      fillPath(layer, path, this.store.state.colors.foreground);
+    }
+
+    const afterImageData = layer.ctx.getImageData(0, 0, layer.width, layer.height);
+    this.history.execute(new PathPixelsCommand(layer.id, name, beforeImageData, afterImageData));
+  }
+
   // ========== Tool Operations ==========
 
   /**
@@ -591,6 +853,30 @@ class PhotoEditorApp {
     this.eventBus.emit(Events.TOOL_CHANGED, { tool: toolName });
   }
 
+  /**
+   * Select the shape tool, or the next one if a shape tool is active
+   */
+  cycleShapeTool() {
+    const index = ShapeTools.indexOf(this.store.state.tools.active);
+    this.setTool(ShapeTools[(index + 1) % ShapeTools.length]);
+  }
+
+  /**
+   * Select the brush, or the next brush tool if one is active
+   */
+  cycleBrushTool() {
+    const index = BrushTools.indexOf(this.store.state.tools.active);
+    this.setTool(BrushTools[(index + 1) % BrushTools.length]);
+  }
+
+  /**
+   * Select the lasso tool, or the next one if a lasso tool is active
+   */
+  cycleLassoTool() {
+    const index = LassoTools.indexOf(this.store.state.tools.active);
+    this.setTool(LassoTools[(index + 1) % LassoTools.length]);
+  }
+
   /**
    * Increase brush size
    */
@@ -662,6 +948,14 @@ class PhotoEditorApp {
     this.eventBus.emit('toolbar:fit');
   }
 
+  /**
+   * Toggle ghosting of neighbouring animation frames on the canvas
+   */
+  toggleOnionSkin() {
+    const onionSkin = this.store.state.ui.onionSkin;
+    onionSkin.enabled = !onionSkin.enabled;
+  }
+
   // ========== Selection Operations ==========
 
   selectAll() {
@@ -731,6 +1025,8 @@ class PhotoEditorApp {
   }
 
   cancelOperation() {
+    // The active tool gets the first chance to drop an operation in progress
+    if (this.toolManager.getActiveTool()?.cancel()) return;
     this.deselect();
   }
 
@@ -746,6 +1042,224 @@ class PhotoEditorApp {
     });
   }
 
+  /**
+   * Scale or rotate the selection outline with the transform handles
+   */
+  transformSelection() {
+    if (!this.document || !this.selection?.hasSelection()) return;
+
+    this.toolManager.getTool('transform').nextTarget = TransformTarget.SELECTION;
+    this.setTool('transform');
+  }
+
+  /**
+   * Toggle Quick Mask: edit the selection with the paint tools, then turn
+   * the painted mask back into a selection
+   */
+  toggleQuickMask() {
+    if (!this.document) return;
+
+    if (!this.selection) {
+      this.selection = new Selection(this.document.width, this.document.height);
+    }
+
+    const maskManager = getMaskManager();
+    if (maskManager.isQuickMask()) {
+      maskManager.exitQuickMask(this.selection);
+    } else {
+      maskManager.enterQuickMask(this.selection);
+    }
+
+    this.eventBus.emit(Events.RENDER_REQUEST);
+  }
+
+  /**
+   * Store the selection as a new alpha channel
+   */
+  saveSelection(name = null) {
+    if (!this.document || !this.selection?.hasSelection()) return;
+
+    const { width, height, channels } = this.document;
+    const channel = createChannel(name || `Alpha ${channels.length + 1}`, width, height, this.selection.mask);
+    this.history.execute(new SetChannelCommand(channel.id, null, channel, 'Save Selection'));
+  }
+
+  /**
+   * Load an alpha or color channel as a selection
+   * @param {string} channelId - Alpha channel ID, or a color channel ('rgb', 'red'...)
+   * @param {string} mode - SelectionMode used to combine it with the current selection
+   */
+  loadSelection(channelId, mode = SelectionMode.REPLACE) {
+    if (!this.document) return;
+
+    const channel = this.document.getChannel(channelId);
+    let mask;
+    if (channel) {
+      mask = new Uint8ClampedArray(channel.data);
+    } else if (ColorChannels.some(c => c.id === channelId)) {
+      mask = getColorChannelMask(this.document, channelId);
+    } else {
+      return;
+    }
+
+    this.applySelectionMask(mask, mode);
+  }
+
+  /**
+   * Combine a mask (0-255 per pixel) with the current selection
+   */
+  applySelectionMask(mask, mode = SelectionMode.REPLACE) {
+    if (!this.selection) {
+      this.selection = new Selection(this.document.width, this.document.height);
+    }
+
+    this.selection.fromMask(mask, mode);
+    this.eventBus.emit(Events.RENDER_REQUEST);
+  }
+
+  /**
+   * Select by sampled colors or tonal range (Select > Color Range)
+   */
+  showColorRange() {
+    if (!this.document) return;
+
+    const doc = this.document;
+    const canvas = doc.getCompositedCanvas(true);
+    const imageData = canvas.getContext('2d').getImageData(0, 0, doc.width, doc.height);
+    const foreground = this.store.state.colors.foreground;
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(foreground.slice(i, i + 2), 16));
+
+    showColorRangeDialog(imageData, {
+      colors: [{ r, g, b }],
+      onApply: (mask, mode) => {
+        if (this.document === doc) this.applySelectionMask(mask, mode);
+      }
+    });
+  }
+
+  /**
+   * Select the main subject, looking inside the current selection if there is one
+   * Segmentation runs in a worker and can be cancelled.
+   */
+  async selectSubject() {
+    if (!this.document) return;
+
+    const doc = this.document;
+    const canvas = doc.getCompositedCanvas(false);
+    const imageData = canvas.getContext('2d').getImageData(0, 0, doc.width, doc.height);
+    const rect = this.selection?.hasSelection() ? { ...this.selection.bounds } : null;
+
+    const loading = getLoadingIndicator();
+    loading.show('Selecting subject...', {
+      indeterminate: false,
+      cancellable: true,
+      onCancel: cancelSelectSubject
+    });
+
+    try {
+      const mask = await segmentSubject(imageData, {
+        rect,
+        onProgress: (progress) => loading.setProgress(progress)
+      });
+
+      loading.hide();
+      if (this.document === doc) this.applySelectionMask(mask, SelectionMode.REPLACE);
+    } catch (error) {
+      loading.hide();
+      if (error.name !== 'AbortError') {
+        console.error('Select Subject failed:', error);
+        loading.showToast('error', 'Select Subject failed', error.message);
+      }
+    }
+  }
+
+  /**
+   * Refine the selection's edge (Select > Refine Edge)
+   * Works on the active layer's pixels; the result goes to the selection,
+   * a masked copy of the layer, or a new document.
+   */
+  showRefineEdge() {
+    if (!this.document) return;
+
+    if (!this.selection?.hasSelection()) {
+      getLoadingIndicator().showToast('warning', 'Refine Edge', 'Make a selection first');
+      return;
+    }
+
+    const doc = this.document;
+    const layer = doc.getActiveLayer();
+    const canvas = doc.getCompositedCanvas(false, layer ? [layer] : doc.layers);
+    const imageData = canvas.getContext('2d').getImageData(0, 0, doc.width, doc.height);
+
+    showRefineEdgeDialog(imageData, this.selection.mask, {
+      onApply: (result) => {
+        if (this.document === doc) this.applyRefineEdge(result, layer);
+      }
+    });
+  }
+
+  /**
+   * Send a Refine Edge result to its output
+   */
+  async applyRefineEdge({ mask, imageData, output }, sourceLayer) {
+    const doc = this.document;
+
+    if (output === RefineEdgeOutput.SELECTION) {
+      this.applySelectionMask(mask, SelectionMode.REPLACE);
+      return;
+    }
+
+    if (output === RefineEdgeOutput.NEW_LAYER) {
+      const layer = createRasterLayer(`${sourceLayer?.name ?? 'Layer'} Copy`, doc.width, doc.height);
+      layer.ctx.putImageData(imageData, 0, 0);
+      layer.mask = LayerMask.fromMaskData(mask, doc.width, doc.height);
+      layer.maskEnabled = true;
+      layer.updateThumbnail();
+
+      const index = sourceLayer ? doc.layers.indexOf(sourceLayer) + 1 : doc.layers.length;
+      this.history.execute(new AddRefinedLayerCommand(layer, index, sourceLayer?.id));
+      this.selection.clear();
+      return;
+    }
+
+    // New document: the refined pixels with the mask applied as transparency
+    const pixels = new ImageData(new Uint8ClampedArray(imageData.data), doc.width, doc.height);
+    for (let i = 0; i < mask.length; i++) {
+      pixels.data[i * 4 + 3] = pixels.data[i * 4 + 3] * mask[i] / 255;
+    }
+    const canvas = new OffscreenCanvas(doc.width, doc.height);
+    canvas.getContext('2d').putImageData(pixels, 0, 0);
+
+    this.document = await createDocumentFromImage(canvas, `${doc.name} Refined`);
+    this.document.syncToStore();
+    this.history.clear();
+    initAutosave(this.document);
+
+    this.eventBus.emit(Events.DOCUMENT_CREATED, { document: this.document });
+    this.eventBus.emit(Events.RENDER_REQUEST);
+  }
+
+  /**
+   * Delete an alpha channel
+   */
+  deleteChannel(channelId) {
+    const channel = this.document?.getChannel(channelId);
+    if (!channel) return;
+
+    const index = this.document.channels.indexOf(channel);
+    this.history.execute(new SetChannelCommand(channel.id, channel, null, 'Delete Channel', index));
+  }
+
+  /**
+   * Rename an alpha channel
+   */
+  renameChannel(channelId, name) {
+    const channel = this.document?.getChannel(channelId);
+    if (!channel || !name || name === channel.name) return;
+
+    this.history.execute(new SetChannelCommand(channel.id, channel, { ...channel, name }, 'Rename Channel'));
+  }
+
   // ========== Project Storage Operations ==========
 
   /**
@@ -781,12 +1295,14 @@ class PhotoEditorApp {
 
       // Restore layers
       await this.restoreLayersFromData(data.layers);
+      this.document.paths = clonePaths(data.project.paths);
+      this.document.channels = cloneChannels(data.project.channels);
 
       // Sync to store
       this.document.syncToStore();
 
-      // Clear history
-      this.history.clear();
+      // Restore saved history (empty if none was saved)
+      this.history.restore(data.history, { document: this.document });
 
       // Initialize autosave
       initAutosave(this.document);
@@ -814,12 +1330,14 @@ class PhotoEditorApp {
 
       // Restore layers
       await this.restoreLayersFromData(data.layers);
+      this.document.paths = clonePaths(data.paths);
+      this.document.channels = cloneChannels(data.channels);
 
       // Sync to store
       this.document.syncToStore();
 
-      // Clear history
-      this.history.clear();
+      // Restore saved history (empty if none was saved)
+      this.history.restore(data.history, { document: this.document });
 
       // Initialize autosave
       initAutosave(this.document);
@@ -881,6 +1399,8 @@ class PhotoEditorApp {
    */
   async createLayerFromData(data) {
     const { createRasterLayer, createAdjustmentLayer, createLayerGroup, LayerType } = await import('./document/layer.js');
+    const { createTextLayer } = await import('./document/text-layer.js');
+    const { createShapeLayer } = await import('./document/shape-layer.js');
 
     let layer;
 
@@ -908,6 +1428,18 @@ class PhotoEditorApp {
         layer.expanded = data.expanded !== false;
         break;
 
+      case LayerType.TEXT:
+      case 'text':
+        // Text is re-rendered from its properties so it stays editable
+        layer = createTextLayer(data.text, data.width, data.height, data.name);
+        break;
+
+      case LayerType.SHAPE:
+      case 'shape':
+        // Shapes are re-rendered from their geometry so they stay editable
+        layer = createShapeLayer(data.shape, data.width, data.height, data.name);
+        break;
+
       default:
         console.warn('Unknown layer type:', data.type);
         return null;
@@ -922,6 +1454,8 @@ class PhotoEditorApp {
     layer.y = data.y || 0;
     layer.locked = data.locked || false;
     layer.clipped = data.clipped || false;
+    layer.styles = cloneLayerStyle(data.styles);
+    layer.smartFilters = cloneSmartFilters(data.smartFilters);
 
     // Restore mask
     if (data.maskData) {
@@ -4,8 +4,16 @@
  */
 
 import { getEventBus, Events } from '../core/event-bus.js';
-import { saveProject, loadProject, getSetting, saveSetting } from './project-store.js';
+import {
+  saveProject, loadProject, getSetting, saveSetting, saveHistoryChanges, loadHistory,
+  deleteHistory
+} from './project-store.js';
 import { Stores, get, put, remove, getAll } from './db.js';
+import { cloneLayerStyle } from '../document/layer-styles.js';
+import { cloneSmartFilters } from '../effects/filters/smart-filters.js';
+import { cloneShape } from '../document/shape-layer.js';
+import { clonePaths } from '../document/paths.js';
+import { cloneChannels } from '../document/channels.js';
 
 const AUTOSAVE_INTERVAL = 60000; // 1 minute
 const RECOVERY_KEY = 'recovery-state';
@@ -136,6 +144,8 @@ async function saveRecoveryState(document) {
     width: document.width,
     height: document.height,
     savedAt: Date.now(),
+    paths: clonePaths(document.paths),
+    channels: cloneChannels(document.channels),
     layers: []
   };
 
@@ -158,6 +168,9 @@ async function saveRecoveryState(document) {
     value: recoveryData,
     updatedAt: Date.now()
   });
+
+  // Only steps added since the last autosave are written
+  await saveHistoryChanges(RECOVERY_KEY);
 }
 
 /**
@@ -216,6 +229,26 @@ async function serializeLayerForRecovery(layer, parentId = null) {
     data.adjustment = { ...layer.adjustment };
   }
 
+  // Layer styles
+  if (layer.styles) {
+    data.styles = cloneLayerStyle(layer.styles);
+  }
+
+  // Smart filters
+  if (layer.smartFilters) {
+    data.smartFilters = cloneSmartFilters(layer.smartFilters);
+  }
+
+  // Text layer data
+  if (layer.text) {
+    data.text = { ...layer.text };
+  }
+
+  // Shape layer data
+  if (layer.shape) {
+    data.shape = cloneShape(layer.shape);
+  }
+
   // Group data
   if (layer.expanded !== undefined) {
     data.expanded = layer.expanded;
@@ -251,7 +284,10 @@ export async function recoverDocument(recoveryData) {
     name: recoveryData.documentName,
     width: recoveryData.width,
     height: recoveryData.height,
-    layers: []
+    paths: clonePaths(recoveryData.paths),
+    channels: cloneChannels(recoveryData.channels),
+    layers: [],
+    history: await loadHistory(RECOVERY_KEY)
   };
 
   // Reconstruct layers
@@ -299,6 +335,26 @@ async function deserializeRecoveryLayer(data) {
     layer.adjustment = { ...data.adjustment };
   }
 
+  // Layer styles
+  if (data.styles) {
+    layer.styles = cloneLayerStyle(data.styles);
+  }
+
+  // Smart filters
+  if (data.smartFilters) {
+    layer.smartFilters = cloneSmartFilters(data.smartFilters);
+  }
+
+  // Text layer data
+  if (data.text) {
+    layer.text = { ...data.text };
+  }
+
+  // Shape layer data
+  if (data.shape) {
+    layer.shape = cloneShape(data.shape);
+  }
+
   // Group data
   if (data.expanded !== undefined) {
     layer.expanded = data.expanded;
@@ -324,6 +380,7 @@ async function blobToImageData(blob, width, height) {
 export async function clearRecoveryState() {
   try {
     await remove(Stores.SETTINGS, RECOVERY_KEY);
+    await deleteHistory(RECOVERY_KEY);
   } catch (error) {
     console.error('Error clearing recovery state:', error);
   }
@@ -4,7 +4,7 @@
  */
 
 const DB_NAME = 'photo-editor-db';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 
 let dbInstance = null;
 
@@ -16,7 +16,9 @@ export const Stores = {
   LAYERS: 'layers',
   THUMBNAILS: 'thumbnails',
   SETTINGS: 'settings',
-  RECENT: 'recent'
+  RECENT: 'recent',
+  HISTORY: 'history',
+  SAVED_HISTORY: 'savedHistory'
 };
 
 /**
@@ -89,6 +91,16 @@ function createObjectStores(db) {
     const recentStore = db.createObjectStore(Stores.RECENT, { keyPath: 'id' });
     recentStore.createIndex('openedAt', 'openedAt', { unique: false });
   }
+
+  // History store - undo data moved out of memory
+  if (!db.objectStoreNames.contains(Stores.HISTORY)) {
+    db.createObjectStore(Stores.HISTORY, { keyPath: 'id' });
+  }
+
+  // Saved history store - undo steps kept with projects and recovery state
+  if (!db.objectStoreNames.contains(Stores.SAVED_HISTORY)) {
+    db.createObjectStore(Stores.SAVED_HISTORY, { keyPath: 'id' });
+  }
 }
 
 /**
@@ -16,7 +16,13 @@ import {
   openDatabase
 } from './db.js';
 import { getEventBus, Events } from '../core/event-bus.js';
+import { getHistory } from '../core/commands.js';
 import { LayerType } from '../document/layer.js';
+import { cloneLayerStyle } from '../document/layer-styles.js';
+import { cloneSmartFilters } from '../effects/filters/smart-filters.js';
+import { cloneShape } from '../document/shape-layer.js';
+import { clonePaths } from '../document/paths.js';
+import { cloneChannels } from '../document/channels.js';
 
 /**
  * Project metadata structure
@@ -29,6 +35,8 @@ export function createProjectMetadata(document) {
     height: document.height,
     layerCount: document.layers.length,
     background: document.background,
+    paths: clonePaths(document.paths),
+    channels: cloneChannels(document.channels),
     createdAt: document.createdAt || Date.now(),
     updatedAt: Date.now(),
     version: 1
@@ -73,6 +81,9 @@ export async function saveProject(document) {
 
     await putAll(Stores.LAYERS, layerDataList);
 
+    // Save undo history
+    await saveHistory(projectId);
+
     // Save thumbnail
     await saveProjectThumbnail(projectId, document);
 
@@ -128,6 +139,26 @@ async function serializeLayer(layer, projectId, order, parentId = null) {
     layerData.adjustment = { ...layer.adjustment };
   }
 
+  // Serialize layer styles
+  if (layer.styles) {
+    layerData.styles = cloneLayerStyle(layer.styles);
+  }
+
+  // Serialize smart filter stack
+  if (layer.smartFilters) {
+    layerData.smartFilters = cloneSmartFilters(layer.smartFilters);
+  }
+
+  // Serialize text properties (pixels are re-rendered on load)
+  if (layer.type === LayerType.TEXT && layer.text) {
+    layerData.text = { ...layer.text };
+  }
+
+  // Serialize shape geometry (pixels are re-rendered on load)
+  if (layer.type === LayerType.SHAPE && layer.shape) {
+    layerData.shape = cloneShape(layer.shape);
+  }
+
   // Serialize group properties
   if (layer.type === LayerType.GROUP) {
     layerData.expanded = layer.expanded;
@@ -154,7 +185,7 @@ async function canvasToBlob(canvas) {
 /**
  * Load a project from IndexedDB
  * @param {string} projectId - The project ID
- * @returns {Promise<{project: Object, layers: Object[]}>}
+ * @returns {Promise<{project: Object, layers: Object[], history: Object|null}>}
  */
 export async function loadProject(projectId) {
   const eventBus = getEventBus();
@@ -179,6 +210,9 @@ export async function loadProject(projectId) {
       layers.map(layer => deserializeLayer(layer))
     );
 
+    // Load undo history
+    const history = await loadHistory(projectId);
+
     // Update recent documents
     await addToRecent(projectId, project.name);
 
@@ -186,7 +220,8 @@ export async function loadProject(projectId) {
 
     return {
       project,
-      layers: deserializedLayers
+      layers: deserializedLayers,
+      history
     };
   } catch (error) {
     console.error('Error loading project:', error);
@@ -231,6 +266,26 @@ async function deserializeLayer(layerData) {
     layer.adjustment = { ...layerData.adjustment };
   }
 
+  // Deserialize layer styles
+  if (layerData.styles) {
+    layer.styles = cloneLayerStyle(layerData.styles);
+  }
+
+  // Deserialize smart filter stack
+  if (layerData.smartFilters) {
+    layer.smartFilters = cloneSmartFilters(layerData.smartFilters);
+  }
+
+  // Deserialize text properties
+  if (layerData.text) {
+    layer.text = { ...layerData.text };
+  }
+
+  // Deserialize shape geometry
+  if (layerData.shape) {
+    layer.shape = cloneShape(layerData.shape);
+  }
+
   // Deserialize group properties
   if (layerData.type === LayerType.GROUP) {
     layer.expanded = layerData.expanded;
@@ -253,6 +308,96 @@ async function blobToImageData(blob, width, height) {
   return ctx.getImageData(0, 0, width, height);
 }
 
+/**
+ * Save the current undo history under a key
+ * A failure only loses the history, never the save it belongs to.
+ * @param {string} key - Project ID or recovery key
+ */
+export async function saveHistory(key) {
+  try {
+    const history = await getHistory().serialize();
+    await put(Stores.SAVED_HISTORY, { id: key, ...history, savedAt: Date.now() });
+  } catch (error) {
+    console.warn('Failed to save undo history:', error);
+  }
+}
+
+// Steps already stored by saveHistoryChanges(), by command
+const storedSteps = new WeakMap();
+
+/**
+ * Save the current undo history under a key, writing only the steps that
+ * are new or changed since the last call
+ * Each step is its own record; the entry under the key lists them in order.
+ * @param {string} key - Recovery key
+ */
+export async function saveHistoryChanges(key) {
+  try {
+    const history = getHistory();
+    const written = [];
+
+    const { undo, redo } = await history.serialize(async (command) => {
+      const stored = storedSteps.get(command);
+      if (stored?.key === key && stored.revision === command.revision) return stored.id;
+
+      const record = await history.serializeCommand(command);
+      if (!record) return null;
+
+      const step = { key, id: `${key}:${generateId()}`, revision: command.revision };
+      written.push({ command, step, record: { ...record, id: step.id } });
+      return step.id;
+    });
+
+    const previous = await get(Stores.SAVED_HISTORY, key);
+
+    await putAll(Stores.SAVED_HISTORY, written.map(({ record }) => record));
+    await put(Stores.SAVED_HISTORY, { id: key, undoIds: undo, redoIds: redo, savedAt: Date.now() });
+    written.forEach(({ command, step }) => storedSteps.set(command, step));
+
+    // Remove steps that have left history
+    const live = new Set([...undo, ...redo]);
+    await removeAll(Stores.SAVED_HISTORY, getStepIds(previous).filter(id => !live.has(id)));
+  } catch (error) {
+    console.warn('Failed to save undo history:', error);
+  }
+}
+
+function getStepIds(saved) {
+  return [...(saved?.undoIds ?? []), ...(saved?.redoIds ?? [])];
+}
+
+/**
+ * Load undo history saved with saveHistory() or saveHistoryChanges()
+ * @param {string} key - Project ID or recovery key
+ * @returns {Promise<Object|null>} Pass to HistoryManager.restore()
+ */
+export async function loadHistory(key) {
+  try {
+    const saved = await get(Stores.SAVED_HISTORY, key);
+    if (!saved?.undoIds) return saved ?? null;
+
+    // Keep the steps after any record that went missing
+    const load = async (ids) => {
+      const records = await Promise.all(ids.map(id => get(Stores.SAVED_HISTORY, id)));
+      return records.slice(records.lastIndexOf(undefined) + 1);
+    };
+    return { undo: await load(saved.undoIds), redo: await load(saved.redoIds) };
+  } catch (error) {
+    console.warn('Failed to load undo history:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete undo history saved under a key
+ * @param {string} key - Project ID or recovery key
+ */
+export async function deleteHistory(key) {
+  const saved = await get(Stores.SAVED_HISTORY, key);
+  await removeAll(Stores.SAVED_HISTORY, getStepIds(saved));
+  await remove(Stores.SAVED_HISTORY, key);
+}
+
 /**
  * Delete a project and all its data
  * @param {string} projectId
@@ -266,6 +411,9 @@ export async function deleteProject(projectId) {
   // Delete thumbnail
   await remove(Stores.THUMBNAILS, `project-${projectId}`);
 
+  // Delete undo history
+  await deleteHistory(projectId);
+
   // Delete project metadata
   await remove(Stores.PROJECTS, projectId);
 
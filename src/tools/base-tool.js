@@ -59,6 +59,14 @@ export class BaseTool {
     // Override in subclass
   }
 
+  /**
+   * Cancel an operation in progress (Escape)
+   * @returns {boolean} True if there was something to cancel
+   */
+  cancel() {
+    return false;
+  }
+
   /**
    * Update tool options
    */
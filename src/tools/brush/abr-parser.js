@@ -0,0 +1,509 @@
+/**
+ * ABR Parser - Read Photoshop brush (.abr) files
+ * Versions 1 and 2 hold a list of computed and sampled brushes. Version 6
+ * and later keep the sampled tip images in a 'samp' section and the brush
+ * presets that use them in an action descriptor ('desc' section).
+ */
+
+const BrushType = {
+  COMPUTED: 1,
+  SAMPLED: 2
+};
+
+// Descriptor control values for "Control: Pen Pressure"
+const PEN_PRESSURE = 2;
+
+/**
+ * Big-endian reader over an ArrayBuffer
+ */
+class ABRReader {
+  constructor(buffer) {
+    this.view = new DataView(buffer);
+    this.bytes = new Uint8Array(buffer);
+    this.offset = 0;
+  }
+
+  get length() {
+    return this.bytes.length;
+  }
+
+  u8() {
+    return this.view.getUint8(this.offset++);
+  }
+
+  u16() {
+    const value = this.view.getUint16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  i16() {
+    const value = this.view.getInt16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  u32() {
+    const value = this.view.getUint32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  i32() {
+    const value = this.view.getInt32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  f64() {
+    const value = this.view.getFloat64(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  read(length) {
+    if (length < 0 || this.offset + length > this.bytes.length) {
+      throw new Error('Unexpected end of brush data');
+    }
+    const bytes = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  skip(length) {
+    this.offset += length;
+  }
+
+  signature() {
+    return String.fromCharCode(...this.read(4));
+  }
+
+  /**
+   * Pascal string (length byte + Latin-1 chars)
+   */
+  pascalString() {
+    return String.fromCharCode(...this.read(this.u8()));
+  }
+
+  /**
+   * Unicode string (uint32 char count + UTF-16BE chars)
+   */
+  unicodeString() {
+    const count = this.u32();
+    let str = '';
+    for (let i = 0; i < count; i++) {
+      str += String.fromCharCode(this.u16());
+    }
+    return str.replace(/\0+$/, '');
+  }
+}
+
+/**
+ * Parse an .abr file
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{version: number, samples: Array, brushes: Array}} samples are
+ *   { id, width, height, data } with one 0-255 coverage byte per pixel;
+ *   brushes are { name, sampleId, diameter, hardness, angle, roundness,
+ *   spacing, dynamics, colorDynamics, transfer } in BrushPreset units
+ */
+export function parseABR(buffer) {
+  const reader = new ABRReader(buffer);
+  if (reader.length < 4) throw new Error('Not a brush file');
+
+  const version = reader.i16();
+  switch (version) {
+    case 1:
+    case 2:
+      return parseVersion2(reader, version);
+    case 6:
+    case 7:
+    case 10:
+      return parseVersion6(reader, version);
+    default:
+      throw new Error(`Unsupported brush file version: ${version}`);
+  }
+}
+
+/**
+ * Versions 1 and 2: a count followed by typed brush records
+ */
+function parseVersion2(reader, version) {
+  const count = reader.i16();
+  const samples = [];
+  const brushes = [];
+
+  for (let i = 0; i < count && reader.offset < reader.length; i++) {
+    const type = reader.i16();
+    const size = reader.i32();
+    const next = reader.offset + size;
+
+    if (type === BrushType.COMPUTED) {
+      reader.skip(4);
+      const spacing = reader.i16();
+      const diameter = reader.i16();
+      const roundness = reader.i16();
+      const angle = reader.i16();
+      const hardness = reader.i16();
+
+      brushes.push(createBrush({
+        name: `${hardness >= 100 ? 'Hard' : 'Soft'} Round ${diameter}`,
+        diameter, hardness, angle, roundness, spacing
+      }));
+    } else if (type === BrushType.SAMPLED) {
+      reader.skip(4);
+      const spacing = reader.i16();
+      const name = version === 2 ? reader.unicodeString() : '';
+      reader.skip(1 + 8); // Anti-aliasing, short bounds
+
+      const sample = readSampleImage(reader, `sample-${i}`);
+      samples.push(sample);
+      brushes.push(createBrush({
+        name: name || `Sampled Brush ${samples.length}`,
+        sampleId: sample.id,
+        diameter: Math.max(sample.width, sample.height),
+        spacing
+      }));
+    }
+
+    reader.offset = next;
+  }
+
+  return { version, samples, brushes };
+}
+
+/**
+ * Version 6+: '8BIM' tagged sections
+ */
+function parseVersion6(reader, version) {
+  const subversion = reader.i16();
+  let samples = [];
+  let descriptor = null;
+
+  while (reader.offset + 12 <= reader.length) {
+    const signature = reader.signature();
+    if (signature !== '8BIM' && signature !== '8B64') break;
+
+    const key = reader.signature();
+    const length = reader.u32();
+    const end = reader.offset + length;
+
+    if (key === 'samp') {
+      samples = readSamples(reader, end, subversion);
+    } else if (key === 'desc') {
+      reader.skip(4); // Descriptor version
+      descriptor = readDescriptor(reader);
+    }
+
+    reader.offset = nextSection(reader, end);
+  }
+
+  // Files without presets still give one brush per tip
+  const presets = descriptor?.Brsh;
+  const brushes = Array.isArray(presets)
+    ? presets.map((item, index) => brushFromDescriptor(item, index))
+    : samples.map((sample, index) => createBrush({
+      name: `Sampled Brush ${index + 1}`,
+      sampleId: sample.id,
+      diameter: Math.max(sample.width, sample.height)
+    }));
+
+  return { version, samples, brushes };
+}
+
+/**
+ * Start of the section after one ending at `end`
+ * Writers differ in how they pad sections, so look for the next signature.
+ */
+function nextSection(reader, end) {
+  for (let offset = end; offset < end + 4 && offset + 4 <= reader.length; offset++) {
+    const signature = String.fromCharCode(...reader.bytes.subarray(offset, offset + 4));
+    if (signature === '8BIM' || signature === '8B64') return offset;
+  }
+  return end;
+}
+
+/**
+ * Tip images of the 'samp' section, each keyed by a UUID
+ */
+function readSamples(reader, end, subversion) {
+  const samples = [];
+
+  while (reader.offset + 4 < end) {
+    const size = reader.u32();
+    const next = reader.offset + Math.ceil(size / 4) * 4;
+
+    const id = reader.pascalString();
+    // Subversion 1 has short bounds and a short of unknown use; 2 has 264 unknown bytes
+    reader.skip(subversion === 1 ? 10 : 264);
+
+    samples.push(readSampleImage(reader, id));
+    reader.offset = next;
+  }
+
+  return samples;
+}
+
+/**
+ * Bounds, depth, compression and pixels of a sampled tip
+ */
+function readSampleImage(reader, id) {
+  const top = reader.i32();
+  const left = reader.i32();
+  const bottom = reader.i32();
+  const right = reader.i32();
+  const depth = reader.i16();
+  const compression = reader.u8();
+
+  const width = right - left;
+  const height = bottom - top;
+  if (width <= 0 || height <= 0 || (depth !== 8 && depth !== 16)) {
+    throw new Error(`Unsupported brush tip (${width}x${height}, ${depth}-bit)`);
+  }
+
+  const bytesPerPixel = depth / 8;
+  const rowLength = width * bytesPerPixel;
+  const raw = new Uint8Array(rowLength * height);
+
+  if (compression === 0) {
+    raw.set(reader.read(raw.length));
+  } else {
+    // PackBits rows, preceded by the packed length of each row
+    const rowSizes = [];
+    for (let y = 0; y < height; y++) rowSizes.push(reader.u16());
+    for (let y = 0; y < height; y++) {
+      decodePackBits(reader.read(rowSizes[y]), raw, y * rowLength, rowLength);
+    }
+  }
+
+  // 16-bit tips keep their high bytes
+  let data = raw;
+  if (bytesPerPixel === 2) {
+    data = new Uint8Array(width * height);
+    for (let i = 0; i < data.length; i++) data[i] = raw[i * 2];
+  }
+
+  return { id, width, height, data };
+}
+
+/**
+ * Decode PackBits data into dst
+ */
+function decodePackBits(src, dst, dstOffset, dstLength) {
+  let i = 0;
+  let o = dstOffset;
+  const end = dstOffset + dstLength;
+
+  while (i < src.length && o < end) {
+    let n = src[i++];
+    if (n > 127) n -= 256;
+
+    if (n >= 0) {
+      const count = Math.min(n + 1, end - o);
+      dst.set(src.subarray(i, i + count), o);
+      i += n + 1;
+      o += count;
+    } else if (n !== -128) {
+      const count = Math.min(1 - n, end - o);
+      dst.fill(src[i++], o, o + count);
+      o += count;
+    }
+  }
+}
+
+// ========== Descriptors ==========
+
+function readDescriptorKey(reader) {
+  const length = reader.u32();
+  return length === 0 ? reader.signature() : String.fromCharCode(...reader.read(length));
+}
+
+function readDescriptor(reader) {
+  reader.unicodeString(); // Name
+  const result = { _class: readDescriptorKey(reader) };
+
+  const count = reader.u32();
+  for (let i = 0; i < count; i++) {
+    const key = readDescriptorKey(reader);
+    result[key] = readDescriptorValue(reader, reader.signature());
+  }
+
+  return result;
+}
+
+function readDescriptorValue(reader, type) {
+  switch (type) {
+    case 'Objc':
+    case 'GlbO':
+      return readDescriptor(reader);
+    case 'VlLs': {
+      const count = reader.u32();
+      const values = [];
+      for (let i = 0; i < count; i++) values.push(readDescriptorValue(reader, reader.signature()));
+      return values;
+    }
+    case 'UntF':
+      return { unit: reader.signature(), value: reader.f64() };
+    case 'UnFl': {
+      const unit = reader.signature();
+      const count = reader.u32();
+      const values = [];
+      for (let i = 0; i < count; i++) values.push(reader.f64());
+      return { unit, values };
+    }
+    case 'doub':
+      return reader.f64();
+    case 'long':
+      return reader.i32();
+    case 'comp':
+      return reader.u32() * 0x100000000 + reader.u32();
+    case 'bool':
+      return reader.u8() !== 0;
+    case 'enum':
+      return { enumType: readDescriptorKey(reader), value: readDescriptorKey(reader) };
+    case 'type':
+    case 'GlbC':
+      reader.unicodeString();
+      return readDescriptorKey(reader);
+    case 'TEXT':
+      return reader.unicodeString();
+    case 'tdta':
+    case 'alis':
+    case 'Pth ':
+      return reader.read(reader.u32()).slice();
+    case 'obj ':
+      return readReference(reader);
+    default:
+      throw new Error(`Unsupported descriptor value type: ${type}`);
+  }
+}
+
+/**
+ * References point at other objects; brushes only need them skipped
+ */
+function readReference(reader) {
+  const count = reader.u32();
+  for (let i = 0; i < count; i++) {
+    const form = reader.signature();
+    if (form === 'Idnt' || form === 'indx') {
+      reader.skip(4);
+      continue;
+    }
+
+    reader.unicodeString();
+    readDescriptorKey(reader);
+    switch (form) {
+      case 'prop':
+        readDescriptorKey(reader);
+        break;
+      case 'Enmr':
+        readDescriptorKey(reader);
+        readDescriptorKey(reader);
+        break;
+      case 'rele':
+        reader.skip(4);
+        break;
+      case 'name':
+        reader.unicodeString();
+        break;
+    }
+  }
+  return null;
+}
+
+// ========== Presets ==========
+
+/**
+ * Number from a unit float, double or long
+ */
+function numberValue(value, fallback) {
+  if (typeof value === 'number') return value;
+  if (value && typeof value.value === 'number') return value.value;
+  return fallback;
+}
+
+function createBrush(options) {
+  return {
+    name: options.name,
+    sampleId: options.sampleId ?? null,
+    diameter: options.diameter ?? 20,
+    hardness: options.hardness ?? 100,
+    angle: options.angle ?? 0,
+    roundness: options.roundness ?? 100,
+    // Spacing 0 means spacing is switched off
+    spacing: options.spacing || 25,
+    dynamics: options.dynamics ?? {},
+    colorDynamics: options.colorDynamics ?? {},
+    transfer: options.transfer ?? {}
+  };
+}
+
+/**
+ * Map a brush preset descriptor onto BrushPreset settings
+ * Sections switched off in Photoshop (tip dynamics, scattering, color
+ * dynamics, transfer) are left at their defaults.
+ */
+function brushFromDescriptor(item, index) {
+  const tip = item.Brsh || {};
+  const jitter = (key) => numberValue(item[key]?.jitter, 0);
+  const pressure = (key) => item[key]?.bVTy === PEN_PRESSURE;
+
+  const dynamics = {};
+  if (item.useTipDynamics) {
+    Object.assign(dynamics, {
+      sizeJitter: jitter('szVr'),
+      sizePressure: pressure('szVr'),
+      sizeMinimum: numberValue(item.minimumDiameter, 0),
+      angleJitter: jitter('angleDynamics') * 3.6,
+      anglePressure: pressure('angleDynamics'),
+      roundnessJitter: jitter('roundnessDynamics'),
+      roundnessPressure: pressure('roundnessDynamics')
+    });
+  } else {
+    dynamics.sizePressure = false;
+  }
+
+  if (item.useScatter) {
+    Object.assign(dynamics, {
+      scatter: jitter('scatterDynamics'),
+      scatterBothAxes: !!item.bothAxes,
+      count: Math.max(1, numberValue(item['Cnt '], 1)),
+      countJitter: jitter('countDynamics')
+    });
+  }
+
+  if (item.usePaintDynamics) {
+    Object.assign(dynamics, {
+      opacityJitter: jitter('opVr'),
+      opacityPressure: pressure('opVr'),
+      flowJitter: jitter('prVr'),
+      flowPressure: pressure('prVr')
+    });
+  }
+
+  const colorDynamics = item.useColorDynamics ? {
+    enabled: true,
+    foregroundBackgroundJitter: jitter('clVr'),
+    foregroundBackgroundPressure: pressure('clVr'),
+    hueJitter: numberValue(item['H   '], 0),
+    saturationJitter: numberValue(item.Strt, 0),
+    brightnessJitter: numberValue(item.Brgh, 0),
+    perTip: item.colorDynamicsPerTip ?? true
+  } : {};
+
+  return createBrush({
+    name: item['Nm  '] || tip['Nm  '] || `Brush ${index + 1}`,
+    sampleId: tip.sampledData ?? null,
+    diameter: numberValue(tip.Dmtr, 20),
+    hardness: numberValue(tip.Hrdn, 100),
+    angle: numberValue(tip.Angl, 0),
+    roundness: numberValue(tip.Rndn, 100),
+    spacing: numberValue(tip.Spcn, 25),
+    dynamics,
+    colorDynamics,
+    transfer: {
+      buildup: !!item['Rpt '],
+      wetEdges: !!item.Wtdg,
+      smoothing: item.Smoo ? 50 : 0
+    }
+  });
+}
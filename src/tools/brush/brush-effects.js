@@ -0,0 +1,168 @@
+/**
+ * Brush Effects - Color dynamics, texture and dual brush masking for dabs
+ * Textures and dual brush tips are applied to a rendered dab by scaling its
+ * alpha with a second grayscale source through one of the mask modes.
+ */
+
+/**
+ * How a texture or dual brush combines with the dab
+ */
+export const MaskMode = {
+  MULTIPLY: 'multiply',
+  SUBTRACT: 'subtract',
+  DARKEN: 'darken',
+  COLOR_BURN: 'colorBurn',
+  LINEAR_BURN: 'linearBurn',
+  HARD_MIX: 'hardMix',
+  HEIGHT: 'height'
+};
+
+export const MaskModeNames = {
+  [MaskMode.MULTIPLY]: 'Multiply',
+  [MaskMode.SUBTRACT]: 'Subtract',
+  [MaskMode.DARKEN]: 'Darken',
+  [MaskMode.COLOR_BURN]: 'Color Burn',
+  [MaskMode.LINEAR_BURN]: 'Linear Burn',
+  [MaskMode.HARD_MIX]: 'Hard Mix',
+  [MaskMode.HEIGHT]: 'Height'
+};
+
+/**
+ * Combine a dab alpha with a mask value
+ * @param {number} alpha - Dab alpha, 0-1
+ * @param {number} value - Mask value, 0-1 (0 removes paint)
+ * @param {number} depth - Mask strength, 0-1
+ * @param {string} mode - MaskMode
+ * @returns {number} New alpha, 0-1
+ */
+export function blendMask(alpha, value, depth, mode) {
+  // Depth fades the mask towards white, which leaves the dab alone
+  const v = 1 - depth * (1 - value);
+
+  switch (mode) {
+    case MaskMode.SUBTRACT:
+      return Math.max(0, alpha - (1 - v));
+    case MaskMode.DARKEN:
+      return Math.min(alpha, v);
+    case MaskMode.COLOR_BURN:
+      return v <= 0 ? 0 : Math.max(0, 1 - (1 - alpha) / v);
+    case MaskMode.LINEAR_BURN:
+      return Math.max(0, alpha + v - 1);
+    case MaskMode.HARD_MIX:
+      return alpha + v > 1 ? alpha : 0;
+    case MaskMode.HEIGHT:
+      // Paint only reaches the peaks, deeper as the dab gets denser
+      return v >= 1 - alpha ? alpha : alpha * v;
+    default:
+      return alpha * v;
+  }
+}
+
+/**
+ * Scale the alpha of a rendered dab by a mask
+ * @param {ImageData} imageData - Rendered dab, modified in place
+ * @param {(x: number, y: number) => number} sample - Mask value at a pixel, 0-1
+ * @param {number} depth - Mask strength, 0-1
+ * @param {string} mode - MaskMode
+ */
+export function applyDabMask(imageData, sample, depth, mode) {
+  const { width, height, data } = imageData;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4 + 3;
+      if (data[i] === 0) continue;
+
+      data[i] = blendMask(data[i] / 255, sample(x, y), depth, mode) * 255;
+    }
+  }
+}
+
+/**
+ * Create a sampler that tiles a pattern across the document
+ * The pattern's alpha is its value, as for brush tips.
+ * @param {ImageData} pattern
+ * @param {number} originX - Document position of the dab image's left edge
+ * @param {number} originY - Document position of the dab image's top edge
+ * @param {{scale: number, invert: boolean}} texture - Scale in %
+ */
+export function createPatternSampler(pattern, originX, originY, texture) {
+  const scale = Math.max(0.01, texture.scale / 100);
+  const { width, height, data } = pattern;
+
+  return (x, y) => {
+    const px = ((Math.floor((originX + x) / scale) % width) + width) % width;
+    const py = ((Math.floor((originY + y) / scale) % height) + height) % height;
+    const value = data[(py * width + px) * 4 + 3] / 255;
+    return texture.invert ? 1 - value : value;
+  };
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.replace('#', ''), 16) || 0;
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+function rgbToHex({ r, g, b }) {
+  return '#' + [r, g, b]
+    .map(c => Math.round(Math.max(0, Math.min(255, c))).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function rgbToHsb({ r, g, b }) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+
+  let h = 0;
+  if (delta > 0) {
+    if (max === r) h = ((g - b) / delta) % 6;
+    else if (max === g) h = (b - r) / delta + 2;
+    else h = (r - g) / delta + 4;
+  }
+
+  return { h: (h / 6 + 1) % 1, s: max > 0 ? delta / max : 0, b: max };
+}
+
+function hsbToRgb({ h, s, b }) {
+  const i = Math.floor(h * 6);
+  const f = h * 6 - i;
+  const p = b * (1 - s);
+  const q = b * (1 - f * s);
+  const t = b * (1 - (1 - f) * s);
+  const [r, g, bl] = [
+    [b, t, p], [q, b, p], [p, b, t], [p, q, b], [t, p, b], [b, p, q]
+  ][((i % 6) + 6) % 6];
+
+  return { r: r * 255, g: g * 255, b: bl * 255 };
+}
+
+/**
+ * Apply color dynamics to the paint color
+ * @param {string} foreground - Hex color
+ * @param {string} background - Hex color
+ * @param {{mix, hue, saturation, brightness}} jitter - From BrushEngine.getColorJitter;
+ *   mix is 0-1 towards the background, the rest are offsets in -1 to 1
+ * @returns {string} Hex color
+ */
+export function jitterColor(foreground, background, jitter) {
+  const fg = hexToRgb(foreground);
+  const bg = hexToRgb(background);
+  const mixed = {
+    r: fg.r + (bg.r - fg.r) * jitter.mix,
+    g: fg.g + (bg.g - fg.g) * jitter.mix,
+    b: fg.b + (bg.b - fg.b) * jitter.mix
+  };
+
+  if (!jitter.hue && !jitter.saturation && !jitter.brightness) {
+    return rgbToHex(mixed);
+  }
+
+  const hsb = rgbToHsb(mixed);
+  hsb.h = ((hsb.h + jitter.hue) % 1 + 1) % 1;
+  hsb.s = Math.max(0, Math.min(1, hsb.s + jitter.saturation));
+  hsb.b = Math.max(0, Math.min(1, hsb.b + jitter.brightness));
+  return rgbToHex(hsbToRgb(hsb));
+}
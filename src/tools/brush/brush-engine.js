@@ -2,6 +2,9 @@
  * Brush Engine - Handles pressure sensitivity, interpolation, and brush dynamics
  */
 
+import { StrokeStabilizer } from './stroke-stabilizer.js';
+import { transformPoint } from './symmetry.js';
+
 export class BrushEngine {
   constructor() {
     // Pressure curve: gamma < 1 = soft response, > 1 = firm response
@@ -37,6 +40,26 @@ export class BrushEngine {
       count: 1,
       countJitter: 0
     };
+
+    // Color dynamics settings (can be set from preset)
+    this.colorDynamics = {
+      enabled: false,
+      foregroundBackgroundJitter: 0,
+      foregroundBackgroundPressure: false,
+      hueJitter: 0,
+      saturationJitter: 0,
+      brightnessJitter: 0,
+      perTip: true
+    };
+
+    // Color jitter picked once per stroke when not per tip
+    this.strokeColorJitter = null;
+
+    // Keeps the brush steady behind the pointer
+    this.stabilizer = new StrokeStabilizer();
+
+    // Symmetry transforms each dab is repeated through (empty for none)
+    this.symmetry = [];
   }
 
   /**
@@ -78,6 +101,36 @@ export class BrushEngine {
     this.dynamics = { ...this.dynamics, ...dynamics };
   }
 
+  /**
+   * Set the symmetry transforms from createSymmetryTransforms
+   */
+  setSymmetry(transforms) {
+    this.symmetry = transforms ?? [];
+  }
+
+  /**
+   * Get a point and its mirrored copies
+   * Copies carry the index of their symmetry transform as `mirror`.
+   */
+  mirrorPoint(point) {
+    if (this.symmetry.length < 2) return [point];
+    return this.symmetry.map((t, mirror) => ({ ...transformPoint(t, point), mirror }));
+  }
+
+  /**
+   * Set stabilizer settings from a brush preset
+   */
+  setStabilizer(settings) {
+    this.stabilizer.setSettings(settings);
+  }
+
+  /**
+   * Set color dynamics from a brush preset
+   */
+  setColorDynamics(colorDynamics) {
+    this.colorDynamics = { ...this.colorDynamics, ...colorDynamics };
+  }
+
   /**
    * Apply pressure curve to raw pressure value
    */
@@ -244,6 +297,34 @@ export class BrushEngine {
   resetStroke() {
     this.accumulatedDistance = 0;
     this.seed = Math.random();
+    this.strokeColorJitter = null;
+  }
+
+  /**
+   * Get the color variation for a dab
+   * @returns {{mix, hue, saturation, brightness}|null} Null when color dynamics are off.
+   *   Mix is 0-1 towards the background; the rest are offsets in -1 to 1.
+   */
+  getColorJitter(pressure) {
+    const c = this.colorDynamics;
+    if (!c.enabled) return null;
+
+    let jitter = this.strokeColorJitter;
+    if (c.perTip || !jitter) {
+      jitter = {
+        mix: (c.foregroundBackgroundJitter / 100) * this.seededRandom(),
+        hue: (c.hueJitter / 100) * this.randomRange() / 2,
+        saturation: (c.saturationJitter / 100) * this.randomRange(),
+        brightness: (c.brightnessJitter / 100) * this.randomRange()
+      };
+      if (!c.perTip) this.strokeColorJitter = jitter;
+    }
+
+    // Light pressure fades towards the background color
+    if (c.foregroundBackgroundPressure) {
+      return { ...jitter, mix: Math.min(1, jitter.mix + (1 - pressure)) };
+    }
+    return jitter;
   }
 
   /**
@@ -285,7 +366,9 @@ export class BrushEngine {
     roundness = this.applyJitter(roundness, d.roundnessJitter, 10);
     roundness = Math.max(10, Math.min(100, roundness));
 
-    return { size, opacity, flow, angle, roundness };
+    const colorJitter = this.getColorJitter(pressure);
+
+    return { size, opacity, flow, angle, roundness, colorJitter };
   }
 
   /**
@@ -360,16 +443,16 @@ export class BrushEngine {
     // Generate multiple dab positions
     const dabPositions = this.generateDabPositions(point, baseSize);
 
-    // Calculate properties for each dab
-    return dabPositions.map(pos => {
+    // Calculate properties for each dab, then repeat it for symmetry
+    return dabPositions.flatMap(pos => {
       const props = this.calculateDabProperties(
         pos, baseSize, baseOpacity, baseFlow, baseAngle, baseRoundness
       );
-      return {
+      return this.mirrorPoint({
         x: pos.x,
         y: pos.y,
         ...props
-      };
+      });
     });
   }
 }
@@ -2,6 +2,11 @@
  * Brush Presets - Predefined brush configurations
  */
 
+import { BrushTip, getBrushTipManager } from './brush-tips.js';
+import { parseABR } from './abr-parser.js';
+import { MaskMode } from './brush-effects.js';
+import { StabilizerMode } from './stroke-stabilizer.js';
+
 /**
  * Brush tip shapes
  */
@@ -71,6 +76,45 @@ export class BrushPreset {
       countJitter: options.dynamics?.countJitter ?? 0
     };
 
+    // Color dynamics - per-dab or per-stroke color variation (jitter in %)
+    this.colorDynamics = {
+      enabled: options.colorDynamics?.enabled ?? false,
+      foregroundBackgroundJitter: options.colorDynamics?.foregroundBackgroundJitter ?? 0,
+      foregroundBackgroundPressure: options.colorDynamics?.foregroundBackgroundPressure ?? false,
+      hueJitter: options.colorDynamics?.hueJitter ?? 0,
+      saturationJitter: options.colorDynamics?.saturationJitter ?? 0,
+      brightnessJitter: options.colorDynamics?.brightnessJitter ?? 0,
+      perTip: options.colorDynamics?.perTip ?? true
+    };
+
+    // Texture - a tiled pattern (brush tip id) masking each dab
+    this.texture = {
+      enabled: options.texture?.enabled ?? false,
+      patternId: options.texture?.patternId ?? 'builtin-noise',
+      scale: options.texture?.scale ?? 100,  // %
+      depth: options.texture?.depth ?? 100,  // %
+      mode: options.texture?.mode ?? MaskMode.MULTIPLY,
+      invert: options.texture?.invert ?? false
+    };
+
+    // Dual brush - a second tip (null for round) masking each dab
+    this.dualBrush = {
+      enabled: options.dualBrush?.enabled ?? false,
+      tipId: options.dualBrush?.tipId ?? null,
+      mode: options.dualBrush?.mode ?? MaskMode.MULTIPLY,
+      size: options.dualBrush?.size ?? 50,     // % of the primary dab size
+      scatter: options.dualBrush?.scatter ?? 0, // % of the primary dab size
+      count: options.dualBrush?.count ?? 1
+    };
+
+    // Stabilizer - keeps the brush steady behind the pointer
+    this.stabilizer = {
+      mode: options.stabilizer?.mode ?? StabilizerMode.OFF,
+      length: options.stabilizer?.length ?? 40,     // string length in pixels
+      strength: options.stabilizer?.strength ?? 50, // %
+      catchUp: options.stabilizer?.catchUp ?? true  // finish the stroke at the pointer
+    };
+
     // Transfer (how paint transfers)
     this.transfer = {
       buildup: options.transfer?.buildup ?? false, // Airbrush mode
@@ -94,6 +138,10 @@ export class BrushPreset {
       id: `preset_${Date.now()}`,
       name: `${this.name} Copy`,
       dynamics: { ...this.dynamics },
+      colorDynamics: { ...this.colorDynamics },
+      texture: { ...this.texture },
+      dualBrush: { ...this.dualBrush },
+      stabilizer: { ...this.stabilizer },
       transfer: { ...this.transfer }
     });
   }
@@ -158,6 +206,7 @@ export class BrushPreset {
       name: this.name,
       category: this.category,
       tipShape: this.tipShape,
+      tipImage: this.tipImage,
       size: this.size,
       hardness: this.hardness,
       opacity: this.opacity,
@@ -166,6 +215,10 @@ export class BrushPreset {
       angle: this.angle,
       roundness: this.roundness,
       dynamics: this.dynamics,
+      colorDynamics: this.colorDynamics,
+      texture: this.texture,
+      dualBrush: this.dualBrush,
+      stabilizer: this.stabilizer,
       transfer: this.transfer,
       blendMode: this.blendMode
     };
@@ -533,6 +586,65 @@ class BrushPresetManager {
       this.addPreset(preset);
     }
   }
+
+  /**
+   * Import a Photoshop .abr brush file
+   * Sampled tips are added to the brush tip manager and used by the presets.
+   * @param {ArrayBuffer} buffer - File contents
+   * @param {string} category - Category for the new presets and tips
+   * @returns {BrushPreset[]} The imported presets
+   */
+  importABR(buffer, category = 'Imported') {
+    const { samples, brushes } = parseABR(buffer);
+    const tipManager = getBrushTipManager();
+    const prefix = `abr_${Date.now()}`;
+
+    const tips = new Map();
+    samples.forEach((sample, index) => {
+      const imageData = new ImageData(sample.width, sample.height);
+      for (let i = 0; i < sample.data.length; i++) {
+        imageData.data.set([255, 255, 255, sample.data[i]], i * 4);
+      }
+
+      const tip = new BrushTip({
+        id: `${prefix}_tip_${index}`,
+        name: brushes.find(b => b.sampleId === sample.id)?.name ?? `Tip ${index + 1}`,
+        category,
+        useGrayscale: false
+      });
+      tip.loadFromImageData(imageData);
+      tipManager.addTip(tip);
+      tips.set(sample.id, tip);
+    });
+
+    return brushes.map((brush, index) => {
+      const tip = tips.get(brush.sampleId);
+      const preset = new BrushPreset({
+        id: `${prefix}_${index}`,
+        name: brush.name,
+        category,
+        tipShape: tip ? BrushTipShape.CUSTOM : BrushTipShape.ROUND,
+        tipImage: tip?.id ?? null,
+        size: Math.max(1, Math.round(brush.diameter)),
+        hardness: brush.hardness,
+        spacing: brush.spacing,
+        angle: brush.angle,
+        roundness: brush.roundness,
+        dynamics: brush.dynamics,
+        colorDynamics: brush.colorDynamics,
+        transfer: brush.transfer
+      });
+
+      if (tip) {
+        preset.thumbnail = tip.generateThumbnail();
+      } else {
+        preset.generateThumbnail();
+      }
+
+      this.addPreset(preset);
+      return preset;
+    });
+  }
 }
 
 // Singleton instance
@@ -9,86 +9,42 @@ import { getBrushPresetManager, BrushTipShape } from './brush-presets.js';
 import { getBrushTipManager } from './brush-tips.js';
 import { getStore } from '../../core/store.js';
 import { getEventBus, Events } from '../../core/event-bus.js';
-import { Command, executeCommand, getHistory } from '../../core/commands.js';
-import { getMaskManager, MaskPaintCommand } from '../../document/mask.js';
+import { executeCommand, getHistory } from '../../core/commands.js';
+import { PixelCommand } from '../../core/pixel-delta.js';
+import { getMaskManager } from '../../document/mask.js';
+import { LayerType } from '../../document/layer.js';
+import { applyDabMask, createPatternSampler, jitterColor } from './brush-effects.js';
+import { StabilizerMode } from './stroke-stabilizer.js';
+import { getSymmetryTransforms, SymmetryHandleDrag } from './symmetry.js';
 
 /**
  * Command for brush strokes (for undo/redo)
  */
-class BrushStrokeCommand extends Command {
-  constructor(layerId, beforeImageData, afterImageData, bounds) {
-    super('Brush Stroke');
-    this.layerId = layerId;
-    this.beforeImageData = beforeImageData;
-    this.afterImageData = afterImageData;
-    this.bounds = bounds;
-  }
-
-  execute() {
-    const app = window.photoEditorApp;
-    if (!app || !app.document) return false;
-
-    const layer = app.document.getLayer(this.layerId);
-    if (!layer || !layer.ctx) return false;
-
-    layer.ctx.putImageData(this.afterImageData, this.bounds.x, this.bounds.y);
-    layer.dirty = true;
-    layer.updateThumbnail();
-
-    getEventBus().emit(Events.RENDER_REQUEST);
-    return true;
-  }
-
-  undo() {
-    const app = window.photoEditorApp;
-    if (!app || !app.document) return false;
-
-    const layer = app.document.getLayer(this.layerId);
-    if (!layer || !layer.ctx) return false;
-
-    layer.ctx.putImageData(this.beforeImageData, this.bounds.x, this.bounds.y);
-    layer.dirty = true;
-    layer.updateThumbnail();
-
-    getEventBus().emit(Events.RENDER_REQUEST);
-    return true;
+class BrushStrokeCommand extends PixelCommand {
+  constructor(layerId, beforeImageData, afterImageData, bounds, name = 'Brush Stroke') {
+    super(name, layerId, beforeImageData, afterImageData, { bounds });
   }
 
   canMergeWith(other) {
-    // Merge rapid strokes on same layer within 300ms
+    // Merge rapid strokes of the same tool on same layer within 300ms
     return other instanceof BrushStrokeCommand &&
+           other.name === this.name &&
            other.layerId === this.layerId &&
            (this.timestamp - other.timestamp) < 300;
   }
 
   merge(other) {
-    // Keep the original before state, update after state
-    this.afterImageData = other.afterImageData;
-
-    // Expand bounds to include both strokes
-    const minX = Math.min(this.bounds.x, other.bounds.x);
-    const minY = Math.min(this.bounds.y, other.bounds.y);
-    const maxX = Math.max(
-      this.bounds.x + this.bounds.width,
-      other.bounds.x + other.bounds.width
-    );
-    const maxY = Math.max(
-      this.bounds.y + this.bounds.height,
-      other.bounds.y + other.bounds.height
-    );
-
-    this.bounds = {
-      x: minX,
-      y: minY,
-      width: maxX - minX,
-      height: maxY - minY
-    };
+    // Keep the original before state, take the later after state
+    this.delta.merge(other.delta);
   }
 }
 
 export class BrushTool extends BaseTool {
-  constructor() {
-    super('brush');
+  constructor(name = 'brush') {
+    super(name);
+
+    // History entry name for strokes
+    this.strokeName = 'Brush Stroke';
 
     this.engine = new BrushEngine();
     this.presetManager = null;
@@ -109,6 +65,7 @@ export class BrushTool extends BaseTool {
 
     // Mask editing state
     this.isPaintingMask = false;
+    this.strokeMask = null;
     this.beforeMaskData = null;
 
     // Current brush settings (from preset + overrides)
@@ -116,6 +73,13 @@ export class BrushTool extends BaseTool {
 
     // Custom tip (if using one)
     this.customTip = null;
+
+    // Texture pattern pixels and dual brush tip for the current preset
+    this.texturePattern = null;
+    this.dualTip = null;
+
+    // Dragging the symmetry center or axis
+    this.symmetryDrag = new SymmetryHandleDrag();
   }
 
   onActivate() {
@@ -127,12 +91,19 @@ export class BrushTool extends BaseTool {
     this.maskManager = getMaskManager();
 
     // Load options from store
-    this.options = { ...this.store.state.tools.options.brush };
+    this.options = this.getToolOptions();
 
     // Get active preset and apply dynamics to engine
     this.loadActivePreset();
   }
 
+  /**
+   * Copy of the store options this tool paints with
+   */
+  getToolOptions() {
+    return { ...this.store.state.tools.options.brush };
+  }
+
   loadActivePreset() {
     const preset = this.presetManager.getActivePreset();
     if (preset) {
@@ -147,6 +118,9 @@ export class BrushTool extends BaseTool {
         angle: preset.angle,
         roundness: preset.roundness,
         dynamics: { ...preset.dynamics },
+        colorDynamics: { ...preset.colorDynamics },
+        texture: { ...preset.texture },
+        dualBrush: { ...preset.dualBrush },
         transfer: { ...preset.transfer }
       };
 
@@ -159,6 +133,8 @@ export class BrushTool extends BaseTool {
 
       // Apply dynamics to engine
       this.engine.setDynamics(preset.dynamics);
+      this.engine.setColorDynamics(preset.colorDynamics);
+      this.engine.setStabilizer(preset.stabilizer);
       this.engine.setSpacing(preset.spacing / 100);
     } else {
       // Fallback to basic brush
@@ -173,55 +149,89 @@ export class BrushTool extends BaseTool {
         angle: 0,
         roundness: 100,
         dynamics: { sizePressure: true },
+        colorDynamics: { enabled: false },
+        texture: { enabled: false },
+        dualBrush: { enabled: false },
         transfer: {}
       };
       this.customTip = null;
+      this.engine.setColorDynamics(this.currentBrush.colorDynamics);
+      this.engine.setStabilizer({ mode: StabilizerMode.OFF });
+    }
+
+    this.loadTipEffects();
+  }
+
+  /**
+   * Look up the texture pattern and dual brush tip of the current brush
+   */
+  loadTipEffects() {
+    const { texture, dualBrush } = this.currentBrush;
+
+    this.texturePattern = null;
+    if (texture.enabled) {
+      const tip = this.tipManager.getTip(texture.patternId);
+      const canvas = tip?.originalCanvas;
+      if (canvas) {
+        this.texturePattern = canvas.getContext('2d')
+          .getImageData(0, 0, canvas.width, canvas.height);
+      }
     }
+
+    this.dualTip = dualBrush.enabled && dualBrush.tipId
+      ? this.tipManager.getTip(dualBrush.tipId) ?? null
+      : null;
+  }
+
+  /**
+   * Whether dabs need a texture or dual brush pass
+   */
+  hasTipEffects() {
+    return !!this.texturePattern || !!this.currentBrush.dualBrush.enabled;
   }
 
   onPointerDown(event) {
     const app = window.photoEditorApp;
     if (!app || !app.document) return;
 
-    // Check if we're editing a mask
-    this.isPaintingMask = this.maskManager.isEditing();
-    const editingLayerId = this.maskManager.getEditingLayerId();
-
-    // Get the layer to work with
-    let layer;
-    if (this.isPaintingMask && editingLayerId) {
-      layer = app.document.getLayer(editingLayerId);
-      if (!layer || !layer.mask) {
-        this.isPaintingMask = false;
-        layer = app.document.getActiveLayer();
-      }
-    } else {
-      layer = app.document.getActiveLayer();
+    // Drag the symmetry center or axis instead of painting
+    const symmetry = this.store.state.tools.options.symmetry;
+    if (this.symmetryDrag.begin(symmetry, app.document, event, this.store.state.viewport.zoom)) {
+      return;
     }
 
-    if (!layer || layer.locked) return;
+    // Paint into the mask being edited (a layer mask or the Quick Mask)
+    this.strokeMask = this.maskManager.getEditingMask(app.document);
+    this.isPaintingMask = this.strokeMask !== null;
+
+    // Get the layer to work with
+    const layer = this.isPaintingMask
+      ? this.maskManager.getEditingLayer(app.document)
+      : app.document.getActiveLayer();
 
-    // For mask painting, we need a mask; for layer painting, we need a ctx
     if (this.isPaintingMask) {
-      if (!layer.mask) return;
+      if (layer?.locked) return;
     } else {
-      if (!layer.ctx) return;
+      // Text and shape layers must be rasterized before painting
+      if (!layer || layer.locked || !layer.ctx ||
+          layer.type === LayerType.TEXT || layer.type === LayerType.SHAPE) return;
     }
 
     this.isDrawing = true;
     this.strokePoints = [];
-    this.strokeLayerId = layer.id;
+    this.strokeLayerId = layer?.id ?? null;
 
     // Reload preset in case it changed
-    this.options = { ...this.store.state.tools.options.brush };
+    this.options = this.getToolOptions();
     this.loadActivePreset();
+    this.engine.setSymmetry(getSymmetryTransforms(symmetry, app.document));
 
     // Reset the engine for a new stroke
     this.engine.resetStroke();
 
     // Store before state for undo
     if (this.isPaintingMask) {
-      this.beforeMaskData = layer.mask.getImageData();
+      this.beforeMaskData = this.strokeMask.getImageData();
       this.beforeImageData = null;
     } else {
       this.beforeImageData = layer.ctx.getImageData(0, 0, layer.width, layer.height);
@@ -237,30 +247,50 @@ export class BrushTool extends BaseTool {
       height: Math.ceil(brushSize * 2)
     };
 
+    this.prepareStroke(layer);
+
     // Process first point
-    const point = this.engine.processPoint(event);
+    const point = this.engine.stabilizer.begin(this.engine.processPoint(event));
     this.strokePoints.push(point);
     this.lastPoint = point;
 
     // Draw initial dab(s) with dynamics
     this.drawDabsWithDynamics(layer, point, null);
+    this.emitStabilizerGuide();
 
-    layer.dirty = true;
+    if (layer) layer.dirty = true;
     this.eventBus.emit(Events.RENDER_REQUEST);
   }
 
   onPointerMove(event) {
-    if (!this.isDrawing) return;
-
     const app = window.photoEditorApp;
     if (!app || !app.document) return;
 
+    if (this.symmetryDrag.active) {
+      this.symmetryDrag.move(this.store.state.tools.options.symmetry, app.document, event);
+      return;
+    }
+
+    if (!this.isDrawing) return;
+
     const layer = app.document.getLayer(this.strokeLayerId);
-    if (!layer || !layer.ctx) return;
+    if (!this.isPaintingMask && !layer?.ctx) return;
+
+    // Process point with pressure; the stabilizer may hold the brush back
+    const point = this.engine.stabilizer.update(this.engine.processPoint(event));
+    this.emitStabilizerGuide();
+    if (!point) return;
 
-    // Process point with pressure
-    const point = this.engine.processPoint(event);
+    this.strokeTo(layer, point);
 
+    if (layer) layer.dirty = true;
+    this.eventBus.emit(Events.RENDER_REQUEST);
+  }
+
+  /**
+   * Paint from the last stroke point to a new one
+   */
+  strokeTo(layer, point) {
     // Interpolate between last point and current point
     const interpolatedPoints = this.engine.interpolate(
       this.lastPoint,
@@ -275,84 +305,148 @@ export class BrushTool extends BaseTool {
 
     this.strokePoints.push(point);
     this.lastPoint = point;
+  }
 
-    layer.dirty = true;
-    this.eventBus.emit(Events.RENDER_REQUEST);
+  /**
+   * Show or hide the stabilizer string on the overlay
+   */
+  emitStabilizerGuide() {
+    const guide = this.engine.stabilizer.getGuide();
+    if (guide) {
+      this.eventBus.emit(Events.STABILIZER_UPDATE, guide);
+    }
   }
 
   onPointerUp(event) {
+    if (this.symmetryDrag.active) {
+      this.symmetryDrag.end();
+      this.eventBus.emit(Events.TOOL_OPTIONS_CHANGED, {
+        tool: 'symmetry',
+        options: { ...this.store.state.tools.options.symmetry }
+      });
+      return;
+    }
+
     if (!this.isDrawing) return;
 
     this.isDrawing = false;
 
+    const stabilizer = this.engine.stabilizer;
+    const catchUp = stabilizer.finish();
+    if (stabilizer.isActive) {
+      this.eventBus.emit(Events.STABILIZER_END);
+    }
+
     const app = window.photoEditorApp;
     if (!app || !app.document) return;
 
     const layer = app.document.getLayer(this.strokeLayerId);
-    if (!layer) return;
+    if (!this.isPaintingMask && !layer) return;
 
-    // Clamp bounds to layer/mask size
-    const width = this.isPaintingMask ? layer.mask?.width : layer.width;
-    const height = this.isPaintingMask ? layer.mask?.height : layer.height;
+    // Bring a lagging brush to where the pointer was released
+    for (const point of catchUp) {
+      this.strokeTo(layer, point);
+    }
 
-    if (!width || !height) return;
+    // Clamp bounds to layer/mask size
+    const width = this.isPaintingMask ? this.strokeMask.width : layer.width;
+    const height = this.isPaintingMask ? this.strokeMask.height : layer.height;
 
     this.strokeBounds.x = Math.max(0, this.strokeBounds.x);
     this.strokeBounds.y = Math.max(0, this.strokeBounds.y);
     this.strokeBounds.width = Math.min(width - this.strokeBounds.x, this.strokeBounds.width);
     this.strokeBounds.height = Math.min(height - this.strokeBounds.y, this.strokeBounds.height);
 
-    const history = getHistory();
-    let command;
-
-    if (this.isPaintingMask && layer.mask) {
-      // Get after mask state for undo
-      const afterMaskData = layer.mask.getImageData();
-
-      // Create mask paint command
-      command = new MaskPaintCommand(
-        this.strokeLayerId,
+    if (this.isPaintingMask) {
+      // Record the mask stroke and update the mask thumbnail
+      this.maskManager.commitMaskPaint(
+        app.document,
+        'Paint Mask',
         this.beforeMaskData,
-        afterMaskData
+        this.strokeMask.getImageData(),
+        this.strokeBounds
       );
-
-      // Update mask thumbnail
-      layer.mask.updateThumbnail();
     } else if (layer.ctx) {
       // Get after layer state for undo
       const afterImageData = layer.ctx.getImageData(0, 0, layer.width, layer.height);
 
       // Create layer brush stroke command
-      command = new BrushStrokeCommand(
+      const command = new BrushStrokeCommand(
         this.strokeLayerId,
         this.beforeImageData,
         afterImageData,
-        this.strokeBounds
+        this.strokeBounds,
+        this.strokeName
       );
 
       // Update layer thumbnail
       layer.updateThumbnail();
-    }
 
-    if (command) {
       // Note: we already drew, so just push to history without re-executing
-      history.undoStack.push(command);
-      history.redoStack = [];
-
-      this.eventBus.emit(Events.HISTORY_PUSH, { command });
-      this.eventBus.emit(Events.DOCUMENT_MODIFIED);
+      getHistory().push(command);
+      this.eventBus.emit(Events.LAYER_UPDATED, { layer });
     }
 
-    this.eventBus.emit(Events.LAYER_UPDATED, { layer });
-
     // Reset state
     this.strokePoints = [];
     this.lastPoint = null;
     this.beforeImageData = null;
     this.beforeMaskData = null;
     this.isPaintingMask = false;
+    this.strokeMask = null;
+  }
+
+  /**
+   * Paint polylines (e.g. a flattened path) with the current brush preset
+   * Points are in document coordinates; pressure is full along the stroke.
+   * The caller records the change for undo.
+   * @param {Layer} layer - Raster layer to paint on
+   * @param {Array<{points: Array<{x, y}>, closed: boolean}>} polylines
+   */
+  strokePolylines(layer, polylines) {
+    this.store = getStore();
+    this.eventBus = getEventBus();
+    this.presetManager = getBrushPresetManager();
+    this.tipManager = getBrushTipManager();
+
+    this.isPaintingMask = false;
+    this.options = this.getToolOptions();
+    this.loadActivePreset();
+    this.engine.setSymmetry([]);
+    this.prepareStroke(layer);
+
+    const size = this.currentBrush.size;
+    this.strokeBounds = { x: 0, y: 0, width: 0, height: 0 };
+
+    for (const polyline of polylines) {
+      const points = polyline.closed ? [...polyline.points, polyline.points[0]] : polyline.points;
+      if (points.length === 0) continue;
+
+      this.engine.resetStroke();
+      let lastPoint = null;
+
+      for (const { x, y } of points) {
+        const point = this.engine.processPoint({ x: x - layer.x, y: y - layer.y, pressure: 1 });
+        const dabPoints = lastPoint ? this.engine.interpolate(lastPoint, point, size) : [point];
+
+        for (const p of dabPoints) {
+          this.drawDabsWithDynamics(layer, p, lastPoint);
+        }
+        lastPoint = point;
+      }
+    }
+
+    this.strokeBounds = null;
+    layer.dirty = true;
+    layer.updateThumbnail();
   }
 
+  /**
+   * Hook for subclasses to set up per-stroke state before the first dab
+   * @param {Layer} layer - Layer being painted (the mask's layer when painting a mask)
+   */
+  prepareStroke(layer) {}
+
   /**
    * Draw multiple dabs with dynamics (scatter, jitter, etc.)
    */
@@ -379,25 +473,102 @@ export class BrushTool extends BaseTool {
 
   drawDab(layer, dab) {
     // Determine which context to draw on
-    const ctx = this.isPaintingMask && layer.mask ? layer.mask.ctx : layer.ctx;
+    const ctx = this.isPaintingMask ? this.strokeMask.ctx : layer.ctx;
     if (!ctx) return;
 
     // For mask painting: foreground = white (reveal), background = black (hide)
     // Use X key to swap colors for easy mask painting
     let color;
     if (this.isPaintingMask) {
-      // Get foreground color and check if it's closer to white or black
-      // For simplicity, use foreground=white (reveal) and background=black (hide)
-      const fg = this.store.state.colors.foreground;
-      const bg = this.store.state.colors.background;
       // Use the foreground color brightness to determine mask value
-      const fgRgb = this.hexToRgb(fg);
-      const brightness = (fgRgb.r + fgRgb.g + fgRgb.b) / 3;
-      color = `rgb(${Math.round(brightness)}, ${Math.round(brightness)}, ${Math.round(brightness)})`;
+      const fgRgb = this.hexToRgb(this.store.state.colors.foreground);
+      const brightness = Math.round((fgRgb.r + fgRgb.g + fgRgb.b) / 3);
+      color = '#' + brightness.toString(16).padStart(2, '0').repeat(3);
+    } else if (dab.colorJitter) {
+      color = jitterColor(
+        this.store.state.colors.foreground,
+        this.store.state.colors.background,
+        dab.colorJitter
+      );
     } else {
       color = this.store.state.colors.foreground;
     }
 
+    if (!this.isPaintingMask && this.hasTipEffects()) {
+      this.drawMaskedDab(ctx, dab, color);
+    } else {
+      this.drawTip(ctx, dab, color);
+    }
+  }
+
+  /**
+   * Render a dab on its own, mask it with the texture and dual brush, then
+   * composite it onto the target
+   */
+  drawMaskedDab(ctx, dab, color) {
+    const pad = Math.ceil(dab.size / 2) + 1;
+    const left = Math.floor(dab.x) - pad;
+    const top = Math.floor(dab.y) - pad;
+    const size = pad * 2 + 1;
+
+    const canvas = new OffscreenCanvas(size, size);
+    const dabCtx = canvas.getContext('2d');
+    const local = { ...dab, x: dab.x - left, y: dab.y - top };
+    this.drawTip(dabCtx, local, color);
+
+    const imageData = dabCtx.getImageData(0, 0, size, size);
+
+    if (this.texturePattern) {
+      const { texture } = this.currentBrush;
+      const sample = createPatternSampler(this.texturePattern, left, top, texture);
+      applyDabMask(imageData, sample, texture.depth / 100, texture.mode);
+    }
+
+    if (this.currentBrush.dualBrush.enabled) {
+      const mask = this.renderDualMask(local, size);
+      applyDabMask(imageData, (x, y) => mask.data[(y * size + x) * 4 + 3] / 255, 1,
+        this.currentBrush.dualBrush.mode);
+    }
+
+    dabCtx.putImageData(imageData, 0, 0);
+    ctx.drawImage(canvas, left, top);
+  }
+
+  /**
+   * Stamp the dual brush tip around a dab position
+   * @returns {ImageData} Coverage of the secondary tip in the alpha channel
+   */
+  renderDualMask(dab, size) {
+    const dual = this.currentBrush.dualBrush;
+    const canvas = new OffscreenCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+    const tipSize = Math.max(1, dab.size * dual.size / 100);
+    const scatter = dab.size * dual.scatter / 100;
+
+    for (let i = 0; i < Math.max(1, dual.count); i++) {
+      const x = dab.x + scatter * this.engine.randomRange();
+      const y = dab.y + scatter * this.engine.randomRange();
+
+      if (this.dualTip) {
+        this.dualTip.draw(ctx, x, y, tipSize, '#ffffff');
+      } else {
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.arc(x, y, tipSize / 2, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
+    return ctx.getImageData(0, 0, size, size);
+  }
+
+  /**
+   * Draw the brush tip shape for a dab
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {Object} dab - Dab position and properties
+   * @param {string} color - Hex color
+   */
+  drawTip(ctx, dab, color) {
     const hardness = this.currentBrush.hardness / 100;
     const tipShape = this.currentBrush.tipShape;
 
@@ -442,17 +613,7 @@ export class BrushTool extends BaseTool {
     } else {
       // Soft brush with radial gradient
       const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, radius);
-
-      // Parse color to RGB for gradient
-      let rgb;
-      if (this.isPaintingMask) {
-        const fg = this.store.state.colors.foreground;
-        const fgRgb = this.hexToRgb(fg);
-        const brightness = Math.round((fgRgb.r + fgRgb.g + fgRgb.b) / 3);
-        rgb = { r: brightness, g: brightness, b: brightness };
-      } else {
-        rgb = this.hexToRgb(color);
-      }
+      const rgb = this.hexToRgb(color);
 
       const innerColor = `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${opacity})`;
       const midColor = `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${opacity * hardness})`;
@@ -0,0 +1,181 @@
+/**
+ * Mixer Brush and Smudge tools - Paint with color picked up from the canvas
+ * Both reuse the brush stroke pipeline (spacing, pressure, undo) and replace
+ * the dab with a wet mix of loaded paint and the colors under the tip.
+ */
+
+import { BrushTool } from './brush-tool.js';
+import { PaintMixer, getDabRect, compositeOver } from './paint-mixer.js';
+
+/**
+ * Names of the tools sharing the brush shortcut
+ */
+export const BrushTools = ['brush', 'mixerBrush'];
+
+export class MixerBrushTool extends BrushTool {
+  constructor(name = 'mixerBrush') {
+    super(name);
+    this.strokeName = 'Mixer Brush';
+
+    this.mixer = new PaintMixer();
+    this.primed = false;
+
+    // One mixer per symmetry copy, so mirrored dabs don't share paint
+    this.mixers = [this.mixer];
+
+    // Visible layers below the painted one, for sampling all layers
+    this.underData = null;
+  }
+
+  onActivate() {
+    super.onActivate();
+    this.primed = false;
+  }
+
+  getToolOptions() {
+    return {
+      ...this.store.state.tools.options.brush,
+      ...this.store.state.tools.options[this.name]
+    };
+  }
+
+  /**
+   * Wet mixing settings for the mixer, all 0-1
+   */
+  getMixSettings() {
+    const wet = this.options.wet / 100;
+    return {
+      wet,
+      mix: wet * this.options.mix / 100,
+      load: this.options.load / 100,
+      hardness: this.currentBrush.hardness / 100
+    };
+  }
+
+  prepareStroke(layer) {
+    if (this.isPaintingMask) return;
+
+    this.mixer.resize(this.currentBrush.size);
+
+    // The first stroke always starts with a clean, freshly loaded brush
+    if (!this.primed || this.options.cleanAfterStroke) {
+      this.mixer.clean();
+    }
+    if (!this.primed || this.options.loadAfterStroke) {
+      this.mixer.loadColor(this.hexToRgb(this.store.state.colors.foreground));
+    }
+    this.primed = true;
+
+    this.underData = this.options.sampleAllLayers ? this.getUnderlyingData(layer) : null;
+    this.splitMixers();
+  }
+
+  /**
+   * Give each symmetry copy its own mixer, starting with the same paint
+   */
+  splitMixers() {
+    const copies = Math.max(1, this.engine.symmetry.length);
+    this.mixers = [this.mixer];
+    for (let i = 1; i < copies; i++) {
+      this.mixers.push(this.mixer.clone());
+    }
+  }
+
+  /**
+   * Snapshot the visible layers below a layer over the document background
+   */
+  getUnderlyingData(layer) {
+    const doc = window.photoEditorApp?.document;
+    if (!doc) return null;
+
+    const index = doc.layers.indexOf(layer);
+    const below = index > 0 ? doc.layers.slice(0, index) : [];
+    const canvas = doc.getCompositedCanvas(true, below);
+    return {
+      data: canvas.getContext('2d').getImageData(0, 0, doc.width, doc.height),
+      x: layer.x || 0,
+      y: layer.y || 0
+    };
+  }
+
+  /**
+   * Crop the underlying snapshot to a rect in layer coordinates
+   */
+  getUnderlyingRect(rect) {
+    const { data, x: offsetX, y: offsetY } = this.underData;
+    const result = new ImageData(rect.width, rect.height);
+
+    for (let y = 0; y < rect.height; y++) {
+      const sy = rect.y + y + offsetY;
+      if (sy < 0 || sy >= data.height) continue;
+
+      for (let x = 0; x < rect.width; x++) {
+        const sx = rect.x + x + offsetX;
+        if (sx < 0 || sx >= data.width) continue;
+
+        const src = (sy * data.width + sx) * 4;
+        result.data.set(data.data.subarray(src, src + 4), (y * rect.width + x) * 4);
+      }
+    }
+
+    return result;
+  }
+
+  drawDab(layer, dab) {
+    // Masks are grayscale, so they get plain brush dabs
+    if (this.isPaintingMask) {
+      super.drawDab(layer, dab);
+      return;
+    }
+
+    const rect = getDabRect(dab, layer.width, layer.height);
+    if (!rect) return;
+
+    const target = layer.ctx.getImageData(rect.x, rect.y, rect.width, rect.height);
+    const sample = this.underData
+      ? compositeOver(target, this.getUnderlyingRect(rect))
+      : target;
+
+    const mixer = this.mixers[dab.mirror ?? 0] ?? this.mixer;
+    mixer.applyDab(
+      target,
+      sample,
+      { ...dab, x: dab.x - rect.x, y: dab.y - rect.y },
+      this.getMixSettings()
+    );
+
+    layer.ctx.putImageData(target, rect.x, rect.y);
+  }
+}
+
+export class SmudgeTool extends MixerBrushTool {
+  constructor() {
+    super('smudge');
+    this.strokeName = 'Smudge';
+  }
+
+  getMixSettings() {
+    // Strength is how far the picked up color is carried before it fades
+    return {
+      wet: 1 - this.options.strength / 100,
+      mix: 1,
+      load: 1,
+      hardness: this.currentBrush.hardness / 100
+    };
+  }
+
+  prepareStroke(layer) {
+    if (this.isPaintingMask) return;
+
+    this.mixer.resize(this.currentBrush.size);
+    this.mixer.clean();
+
+    // Finger painting starts each stroke with a dab of foreground color
+    if (this.options.fingerPainting) {
+      this.mixer.fillPickup(this.hexToRgb(this.store.state.colors.foreground));
+    }
+
+    this.underData = this.options.sampleAllLayers ? this.getUnderlyingData(layer) : null;
+    this.splitMixers();
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Paint Mixer - Wet paint simulation for the Smudge tool and Mixer Brush
+ * The brush holds a reservoir of loaded paint and a pickup buffer of the
+ * colors it has dragged through. Colors are premultiplied RGBA in 0-1.
+ */
+
+/** Largest pickup buffer side, in pixels */
+const MAX_RESOLUTION = 256;
+
+/** Share of the remaining paint a dab uses up at the lowest load */
+const DRAIN_RATE = 0.05;
+
+/**
+ * Get the pixel rect a dab covers, clipped to the target size
+ * @returns {{x, y, width, height}|null} Null when the dab is off canvas
+ */
+export function getDabRect(dab, width, height) {
+  const radius = dab.size / 2;
+  const x = Math.max(0, Math.floor(dab.x - radius));
+  const y = Math.max(0, Math.floor(dab.y - radius));
+  const right = Math.min(width, Math.ceil(dab.x + radius));
+  const bottom = Math.min(height, Math.ceil(dab.y + radius));
+
+  if (right <= x || bottom <= y) return null;
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+/**
+ * Composite one image over another of the same size (source-over)
+ * @returns {ImageData}
+ */
+export function compositeOver(top, bottom) {
+  const result = new ImageData(top.width, top.height);
+  const out = result.data;
+  const t = top.data;
+  const b = bottom.data;
+
+  for (let i = 0; i < out.length; i += 4) {
+    const ta = t[i + 3] / 255;
+    const ba = b[i + 3] / 255 * (1 - ta);
+    const a = ta + ba;
+    if (a <= 0) continue;
+
+    out[i] = (t[i] * ta + b[i] * ba) / a;
+    out[i + 1] = (t[i + 1] * ta + b[i + 1] * ba) / a;
+    out[i + 2] = (t[i + 2] * ta + b[i + 2] * ba) / a;
+    out[i + 3] = a * 255;
+  }
+
+  return result;
+}
+
+export class PaintMixer {
+  constructor(resolution = 32) {
+    // Loaded paint color and how much of it is left (0-1)
+    this.reservoir = new Float32Array(4);
+    this.load = 0;
+
+    // Colors picked up from the canvas, in brush tip space
+    this.resolution = 0;
+    this.pickup = null;
+    this.hasPickup = false;
+
+    this.resize(resolution);
+  }
+
+  /**
+   * Resize the pickup buffer for a new brush size, keeping its contents
+   */
+  resize(size) {
+    const resolution = Math.max(1, Math.min(MAX_RESOLUTION, Math.ceil(size)));
+    if (resolution === this.resolution) return;
+
+    const pickup = new Float32Array(resolution * resolution * 4);
+    if (this.pickup && this.hasPickup) {
+      const scale = this.resolution / resolution;
+      for (let y = 0; y < resolution; y++) {
+        const sy = Math.floor(y * scale);
+        for (let x = 0; x < resolution; x++) {
+          const src = (sy * this.resolution + Math.floor(x * scale)) * 4;
+          pickup.set(this.pickup.subarray(src, src + 4), (y * resolution + x) * 4);
+        }
+      }
+    }
+
+    this.resolution = resolution;
+    this.pickup = pickup;
+  }
+
+  /**
+   * Copy the brush with its loaded and picked up paint
+   * @returns {PaintMixer}
+   */
+  clone() {
+    const copy = new PaintMixer(this.resolution);
+    copy.reservoir.set(this.reservoir);
+    copy.load = this.load;
+    copy.pickup.set(this.pickup);
+    copy.hasPickup = this.hasPickup;
+    return copy;
+  }
+
+  /**
+   * Empty the brush of both loaded and picked up paint
+   */
+  clean() {
+    this.load = 0;
+    this.hasPickup = false;
+    this.pickup.fill(0);
+  }
+
+  /**
+   * Fill the reservoir with a color
+   * @param {{r, g, b}} color - 0-255 channels
+   */
+  loadColor(color) {
+    this.reservoir[0] = color.r / 255;
+    this.reservoir[1] = color.g / 255;
+    this.reservoir[2] = color.b / 255;
+    this.reservoir[3] = 1;
+    this.load = 1;
+  }
+
+  /**
+   * Coat the whole tip with a color, as if it had been dipped in paint
+   * @param {{r, g, b}} color - 0-255 channels
+   */
+  fillPickup(color) {
+    for (let i = 0; i < this.pickup.length; i += 4) {
+      this.pickup[i] = color.r / 255;
+      this.pickup[i + 1] = color.g / 255;
+      this.pickup[i + 2] = color.b / 255;
+      this.pickup[i + 3] = 1;
+    }
+    this.hasPickup = true;
+  }
+
+  /**
+   * Paint one dab, picking up color from under it first
+   * @param {ImageData} target - Pixels under the dab, modified in place
+   * @param {ImageData} sample - Colors to pick up, same rect as target
+   * @param {{x, y, size, flow, opacity, angle, roundness}} dab - Relative to the rect
+   * @param {{wet, mix, load, hardness}} settings - All 0-1. Wet is how fast the
+   *   pickup takes on the canvas color, mix the share of pickup in the paint
+   *   laid down, load how slowly the reservoir runs dry.
+   */
+  applyDab(target, sample, dab, settings) {
+    const { wet, mix, load } = settings;
+    const hardness = Math.min(settings.hardness ?? 1, 0.999);
+    const strength = (dab.flow ?? 100) / 100 * (dab.opacity ?? 100) / 100;
+
+    const radius = dab.size / 2;
+    if (radius <= 0 || strength <= 0) return;
+
+    const angle = (dab.angle || 0) * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const roundness = Math.max(0.01, (dab.roundness || 100) / 100);
+
+    const res = this.resolution;
+    const pickup = this.pickup;
+    const firstDab = !this.hasPickup;
+
+    // Loaded paint still on the brush
+    const paint = this.load * (1 - mix);
+    const rr = this.reservoir[0] * paint;
+    const rg = this.reservoir[1] * paint;
+    const rb = this.reservoir[2] * paint;
+    const ra = this.reservoir[3] * paint;
+
+    const out = target.data;
+    const src = sample.data;
+
+    for (let y = 0; y < target.height; y++) {
+      const dy = y + 0.5 - dab.y;
+
+      for (let x = 0; x < target.width; x++) {
+        const dx = x + 0.5 - dab.x;
+
+        // Position in tip space, -1 to 1 across the dab
+        const u = (dx * cos + dy * sin) / radius;
+        const v = (dy * cos - dx * sin) / (radius * roundness);
+        const d = Math.sqrt(u * u + v * v);
+        if (d >= 1) continue;
+
+        const px = Math.min(res - 1, Math.floor((u + 1) / 2 * res));
+        const py = Math.min(res - 1, Math.floor((v + 1) / 2 * res));
+        const p = (py * res + px) * 4;
+        const i = (y * target.width + x) * 4;
+
+        // Pick up the color under this part of the tip
+        const sa = src[i + 3] / 255;
+        const sr = src[i] / 255 * sa;
+        const sg = src[i + 1] / 255 * sa;
+        const sb = src[i + 2] / 255 * sa;
+
+        if (firstDab) {
+          pickup[p] = sr;
+          pickup[p + 1] = sg;
+          pickup[p + 2] = sb;
+          pickup[p + 3] = sa;
+        } else {
+          pickup[p] += (sr - pickup[p]) * wet;
+          pickup[p + 1] += (sg - pickup[p + 1]) * wet;
+          pickup[p + 2] += (sb - pickup[p + 2]) * wet;
+          pickup[p + 3] += (sa - pickup[p + 3]) * wet;
+        }
+
+        // Paint on the brush: loaded color mixed with what it picked up
+        const br = rr + pickup[p] * mix;
+        const bg = rg + pickup[p + 1] * mix;
+        const bb = rb + pickup[p + 2] * mix;
+        const ba = ra + pickup[p + 3] * mix;
+
+        const coverage = d <= hardness ? 1 : (1 - d) / (1 - hardness);
+        const c = coverage * strength;
+        const keep = 1 - c * ba;
+
+        const ca = out[i + 3] / 255;
+        const a = ba * c + ca * keep;
+        if (a <= 0) {
+          out[i + 3] = 0;
+          continue;
+        }
+
+        out[i] = (br * c + out[i] / 255 * ca * keep) / a * 255;
+        out[i + 1] = (bg * c + out[i + 1] / 255 * ca * keep) / a * 255;
+        out[i + 2] = (bb * c + out[i + 2] / 255 * ca * keep) / a * 255;
+        out[i + 3] = a * 255;
+      }
+    }
+
+    this.hasPickup = true;
+    this.load *= 1 - (1 - load) * DRAIN_RATE;
+  }
+}
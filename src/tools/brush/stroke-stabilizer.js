@@ -0,0 +1,151 @@
+/**
+ * Stroke Stabilizer - Steadies the brush position behind the pointer
+ * Lazy rope and pulled string trail the brush on a string; dynamic smoothing
+ * paints at a weighted average of the recent pointer positions.
+ */
+
+export const StabilizerMode = {
+  OFF: 'off',
+  ROPE: 'rope',
+  STRING: 'string',
+  AVERAGE: 'average'
+};
+
+export const StabilizerModeNames = {
+  [StabilizerMode.OFF]: 'Off',
+  [StabilizerMode.ROPE]: 'Lazy Rope',
+  [StabilizerMode.STRING]: 'Pulled String',
+  [StabilizerMode.AVERAGE]: 'Dynamic Smoothing'
+};
+
+/** Longest pointer history averaged at full strength */
+const MAX_WINDOW = 32;
+
+/** Brush moves shorter than this are dropped */
+const MIN_MOVE = 0.5;
+
+export class StrokeStabilizer {
+  constructor(settings = {}) {
+    this.settings = {
+      mode: StabilizerMode.OFF,
+      length: 40,      // string length in pixels
+      strength: 50,    // lazy rope drag and averaging window, 0-100
+      catchUp: true    // finish the stroke at the pointer
+    };
+    this.setSettings(settings);
+
+    this.brush = null;
+    this.cursor = null;
+    this.history = [];
+  }
+
+  setSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+  }
+
+  get isActive() {
+    return this.settings.mode !== StabilizerMode.OFF;
+  }
+
+  /**
+   * Start a stroke with the brush under the pointer
+   * @returns {Object} The first brush point
+   */
+  begin(point) {
+    this.brush = { ...point };
+    this.cursor = point;
+    this.history = [point];
+    return this.brush;
+  }
+
+  /**
+   * Move the pointer
+   * @returns {Object|null} The new brush point, or null if the brush stays put
+   */
+  update(point) {
+    this.cursor = point;
+    const { mode, length, strength } = this.settings;
+
+    let x = point.x;
+    let y = point.y;
+
+    if (mode === StabilizerMode.STRING || mode === StabilizerMode.ROPE) {
+      if (mode === StabilizerMode.ROPE) {
+        // Ease towards the pointer, dragging more at higher strength
+        const follow = 1 - strength / 100 * 0.95;
+        x = this.brush.x + (point.x - this.brush.x) * follow;
+        y = this.brush.y + (point.y - this.brush.y) * follow;
+      } else {
+        x = this.brush.x;
+        y = this.brush.y;
+      }
+
+      // The string never gets longer than its length
+      const dx = point.x - x;
+      const dy = point.y - y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance > length) {
+        x = point.x - dx / distance * length;
+        y = point.y - dy / distance * length;
+      }
+    } else if (mode === StabilizerMode.AVERAGE) {
+      const size = 1 + Math.round(strength / 100 * (MAX_WINDOW - 1));
+      this.history.push(point);
+      if (this.history.length > size) {
+        this.history.splice(0, this.history.length - size);
+      }
+
+      // Recent points weigh more
+      let total = 0;
+      x = 0;
+      y = 0;
+      this.history.forEach((p, i) => {
+        total += i + 1;
+        x += p.x * (i + 1);
+        y += p.y * (i + 1);
+      });
+      x /= total;
+      y /= total;
+    }
+
+    if (Math.abs(x - this.brush.x) < MIN_MOVE && Math.abs(y - this.brush.y) < MIN_MOVE) {
+      return null;
+    }
+
+    this.brush = { ...point, x, y };
+    return this.brush;
+  }
+
+  /**
+   * End the stroke
+   * @returns {Object[]} Points to paint so the stroke reaches the pointer
+   */
+  finish() {
+    const points = [];
+    const { brush, cursor } = this;
+
+    if (this.settings.catchUp && brush && cursor &&
+        (brush.x !== cursor.x || brush.y !== cursor.y)) {
+      points.push({ ...cursor });
+    }
+
+    this.brush = null;
+    this.cursor = null;
+    this.history = [];
+    return points;
+  }
+
+  /**
+   * Overlay guide for the string between brush and pointer
+   * @returns {{mode, length, brush: {x, y}, cursor: {x, y}}|null}
+   */
+  getGuide() {
+    if (!this.isActive || !this.brush) return null;
+    return {
+      mode: this.settings.mode,
+      length: this.settings.length,
+      brush: { x: this.brush.x, y: this.brush.y },
+      cursor: { x: this.cursor.x, y: this.cursor.y }
+    };
+  }
+}
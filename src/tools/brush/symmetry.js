@@ -0,0 +1,222 @@
+/**
+ * Symmetry - Mirrored and radial painting
+ * Symmetry settings become a list of transforms about the center; every dab
+ * is painted once per transform. The first transform is always the identity.
+ */
+
+export const SymmetryMode = {
+  OFF: 'off',
+  HORIZONTAL: 'horizontal',
+  VERTICAL: 'vertical',
+  BOTH: 'both',
+  RADIAL: 'radial',
+  MANDALA: 'mandala'
+};
+
+export const SymmetryModeNames = {
+  [SymmetryMode.OFF]: 'Off',
+  [SymmetryMode.HORIZONTAL]: 'Horizontal',
+  [SymmetryMode.VERTICAL]: 'Vertical',
+  [SymmetryMode.BOTH]: 'Both Axes',
+  [SymmetryMode.RADIAL]: 'Radial',
+  [SymmetryMode.MANDALA]: 'Mandala'
+};
+
+/**
+ * Names of the tools that paint with symmetry
+ */
+export const SymmetryTools = ['brush', 'mixerBrush', 'smudge', 'eraser'];
+
+/** Distance of the axis handle from the center, in screen pixels */
+export const AXIS_HANDLE_DISTANCE = 60;
+
+/** Handle grab distance, in screen pixels */
+const HANDLE_TOLERANCE = 8;
+
+function rotation(degrees) {
+  const r = degrees * Math.PI / 180;
+  return { a: Math.cos(r), b: -Math.sin(r), c: Math.sin(r), d: Math.cos(r) };
+}
+
+/**
+ * Reflection across a line through the center at an angle
+ */
+function reflection(degrees) {
+  const r = degrees * Math.PI / 90;
+  return { a: Math.cos(r), b: Math.sin(r), c: Math.sin(r), d: -Math.cos(r) };
+}
+
+/**
+ * Get the symmetry center, defaulting to the document center
+ */
+export function getSymmetryCenter(settings, width, height) {
+  return {
+    x: settings.centerX ?? width / 2,
+    y: settings.centerY ?? height / 2
+  };
+}
+
+/**
+ * Build the transforms for a symmetry setting
+ * @param {{mode, segments, angle}} settings - Angle of the axis in degrees
+ * @param {{x, y}} center
+ * @returns {Array<{a, b, c, d, cx, cy}>} Linear maps about the center
+ */
+export function createSymmetryTransforms(settings, center) {
+  const angle = settings.angle || 0;
+  const segments = Math.max(2, Math.round(settings.segments || 2));
+  const maps = [rotation(0)];
+
+  switch (settings.mode) {
+    case SymmetryMode.HORIZONTAL:
+      maps.push(reflection(angle + 90));
+      break;
+    case SymmetryMode.VERTICAL:
+      maps.push(reflection(angle));
+      break;
+    case SymmetryMode.BOTH:
+      maps.push(reflection(angle + 90), reflection(angle), rotation(180));
+      break;
+    case SymmetryMode.RADIAL:
+      for (let i = 1; i < segments; i++) {
+        maps.push(rotation(i * 360 / segments));
+      }
+      break;
+    case SymmetryMode.MANDALA:
+      for (let i = 1; i < segments; i++) {
+        maps.push(rotation(i * 360 / segments));
+      }
+      for (let i = 0; i < segments; i++) {
+        maps.push(reflection(angle + i * 180 / segments));
+      }
+      break;
+  }
+
+  return maps.map(m => ({ ...m, cx: center.x, cy: center.y }));
+}
+
+/**
+ * Map a point, and optionally a dab angle, through a symmetry transform
+ * @returns {Object} Copy of the point with x, y and angle replaced
+ */
+export function transformPoint(t, point) {
+  const dx = point.x - t.cx;
+  const dy = point.y - t.cy;
+  const result = {
+    ...point,
+    x: t.cx + t.a * dx + t.b * dy,
+    y: t.cy + t.c * dx + t.d * dy
+  };
+
+  if (point.angle !== undefined) {
+    const r = point.angle * Math.PI / 180;
+    const cos = Math.cos(r);
+    const sin = Math.sin(r);
+    result.angle = Math.atan2(t.c * cos + t.d * sin, t.a * cos + t.b * sin) * 180 / Math.PI;
+  }
+
+  return result;
+}
+
+/**
+ * Angles of the guide rays drawn out from the center, in degrees
+ */
+export function getSymmetryRays(settings) {
+  const angle = settings.angle || 0;
+  const segments = Math.max(2, Math.round(settings.segments || 2));
+  const fan = (count, step) => Array.from({ length: count }, (_, i) => angle + i * step);
+
+  switch (settings.mode) {
+    case SymmetryMode.HORIZONTAL:
+      return [angle + 90, angle + 270];
+    case SymmetryMode.VERTICAL:
+      return [angle, angle + 180];
+    case SymmetryMode.BOTH:
+      return fan(4, 90);
+    case SymmetryMode.RADIAL:
+      return fan(segments, 360 / segments);
+    case SymmetryMode.MANDALA:
+      return fan(segments * 2, 180 / segments);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Position of the handle that rotates the axis
+ */
+export function getAxisHandle(settings, center, zoom) {
+  const r = (settings.angle || 0) * Math.PI / 180;
+  const distance = AXIS_HANDLE_DISTANCE / zoom;
+  return { x: center.x + Math.cos(r) * distance, y: center.y + Math.sin(r) * distance };
+}
+
+/**
+ * Find the symmetry handle under a point
+ * @returns {'center'|'axis'|null}
+ */
+export function hitTestSymmetryHandle(settings, center, point, zoom) {
+  if (settings.mode === SymmetryMode.OFF) return null;
+
+  const tolerance = HANDLE_TOLERANCE / zoom;
+  const near = p => Math.abs(point.x - p.x) <= tolerance && Math.abs(point.y - p.y) <= tolerance;
+
+  if (near(center)) return 'center';
+  if (near(getAxisHandle(settings, center, zoom))) return 'axis';
+  return null;
+}
+
+/**
+ * Move the center or rotate the axis to follow the pointer
+ * @param {Object} settings - Symmetry settings, modified in place
+ */
+export function dragSymmetryHandle(settings, handle, center, point) {
+  if (handle === 'center') {
+    settings.centerX = Math.round(point.x);
+    settings.centerY = Math.round(point.y);
+  } else if (handle === 'axis') {
+    const degrees = Math.atan2(point.y - center.y, point.x - center.x) * 180 / Math.PI;
+    settings.angle = Math.round(degrees);
+  }
+}
+
+/**
+ * Get the transforms painting tools use for a document
+ * @returns {Array} Empty when symmetry is off
+ */
+export function getSymmetryTransforms(settings, doc) {
+  if (!settings || settings.mode === SymmetryMode.OFF) return [];
+  return createSymmetryTransforms(settings, getSymmetryCenter(settings, doc.width, doc.height));
+}
+
+/**
+ * Pointer drag of the symmetry center or axis, shared by the painting tools
+ */
+export class SymmetryHandleDrag {
+  constructor() {
+    this.handle = null;
+  }
+
+  get active() {
+    return this.handle !== null;
+  }
+
+  /**
+   * Start dragging if a handle is under the point
+   * @returns {boolean} Whether a drag started
+   */
+  begin(settings, doc, point, zoom) {
+    const center = getSymmetryCenter(settings, doc.width, doc.height);
+    this.handle = hitTestSymmetryHandle(settings, center, point, zoom);
+    return this.active;
+  }
+
+  move(settings, doc, point) {
+    const center = getSymmetryCenter(settings, doc.width, doc.height);
+    dragSymmetryHandle(settings, this.handle, center, point);
+  }
+
+  end() {
+    this.handle = null;
+  }
+}
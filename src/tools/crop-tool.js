@@ -5,6 +5,7 @@
 import { BaseTool } from './base-tool.js';
 import { getStore } from '../core/store.js';
 import { getEventBus, Events } from '../core/event-bus.js';
+import { offsetChannel } from '../document/channels.js';
 
 export class CropTool extends BaseTool {
   constructor() {
@@ -336,6 +337,11 @@ export class CropTool extends BaseTool {
       layer.updateThumbnail();
     }
 
+    // Alpha channels are cropped with the layers
+    for (const channel of doc.channels) {
+      offsetChannel(channel, cropWidth, cropHeight, -cropX, -cropY);
+    }
+
     // Update document size
     doc.width = cropWidth;
     doc.height = cropHeight;
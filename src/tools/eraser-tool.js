@@ -4,46 +4,19 @@
 
 import { BaseTool } from './base-tool.js';
 import { BrushEngine } from './brush/brush-engine.js';
+import { getBrushPresetManager } from './brush/brush-presets.js';
+import { StabilizerMode } from './brush/stroke-stabilizer.js';
+import { getSymmetryTransforms, SymmetryHandleDrag } from './brush/symmetry.js';
 import { getStore } from '../core/store.js';
 import { getEventBus, Events } from '../core/event-bus.js';
-import { Command, getHistory } from '../core/commands.js';
+import { getHistory } from '../core/commands.js';
+import { PixelCommand } from '../core/pixel-delta.js';
+import { LayerType } from '../document/layer.js';
+import { getMaskManager, getMaskValue } from '../document/mask.js';
 
-class EraserStrokeCommand extends Command {
+class EraserStrokeCommand extends PixelCommand {
   constructor(layerId, beforeImageData, afterImageData) {
-    super('Eraser');
-    this.layerId = layerId;
-    this.beforeImageData = beforeImageData;
-    this.afterImageData = afterImageData;
-  }
-
-  execute() {
-    const app = window.photoEditorApp;
-    if (!app || !app.document) return false;
-
-    const layer = app.document.getLayer(this.layerId);
-    if (!layer || !layer.ctx) return false;
-
-    layer.ctx.putImageData(this.afterImageData, 0, 0);
-    layer.dirty = true;
-    layer.updateThumbnail();
-
-    getEventBus().emit(Events.RENDER_REQUEST);
-    return true;
-  }
-
-  undo() {
-    const app = window.photoEditorApp;
-    if (!app || !app.document) return false;
-
-    const layer = app.document.getLayer(this.layerId);
-    if (!layer || !layer.ctx) return false;
-
-    layer.ctx.putImageData(this.beforeImageData, 0, 0);
-    layer.dirty = true;
-    layer.updateThumbnail();
-
-    getEventBus().emit(Events.RENDER_REQUEST);
-    return true;
+    super('Eraser', layerId, beforeImageData, afterImageData);
   }
 }
 
@@ -54,17 +27,25 @@ export class EraserTool extends BaseTool {
     this.engine = new BrushEngine();
     this.store = null;
     this.eventBus = null;
+    this.maskManager = null;
 
     this.isErasing = false;
     this.lastPoint = null;
     this.strokeLayerId = null;
     this.beforeImageData = null;
+
+    // Mask being erased (a layer mask or the Quick Mask)
+    this.strokeMask = null;
+
+    // Dragging the symmetry center or axis
+    this.symmetryDrag = new SymmetryHandleDrag();
   }
 
   onActivate() {
     super.onActivate();
     this.store = getStore();
     this.eventBus = getEventBus();
+    this.maskManager = getMaskManager();
     this.options = { ...this.store.state.tools.options.eraser };
   }
 
@@ -72,53 +53,145 @@ export class EraserTool extends BaseTool {
     const app = window.photoEditorApp;
     if (!app || !app.document) return;
 
-    const layer = app.document.getActiveLayer();
-    if (!layer || !layer.ctx || layer.locked) return;
+    // Drag the symmetry center or axis instead of erasing
+    const symmetry = this.store.state.tools.options.symmetry;
+    if (this.symmetryDrag.begin(symmetry, app.document, event, this.store.state.viewport.zoom)) {
+      return;
+    }
+
+    this.strokeMask = this.maskManager.getEditingMask(app.document);
+
+    const layer = this.strokeMask
+      ? this.maskManager.getEditingLayer(app.document)
+      : app.document.getActiveLayer();
+
+    if (this.strokeMask) {
+      if (layer?.locked) return;
+    } else if (!layer || !layer.ctx || layer.locked ||
+        layer.type === LayerType.TEXT || layer.type === LayerType.SHAPE) {
+      return;
+    }
 
     this.isErasing = true;
-    this.strokeLayerId = layer.id;
+    this.strokeLayerId = layer?.id ?? null;
+
+    // The eraser steadies strokes like the active brush preset
+    const preset = getBrushPresetManager().getActivePreset();
+    this.engine.setStabilizer(preset?.stabilizer ?? { mode: StabilizerMode.OFF });
+    this.engine.setSymmetry(getSymmetryTransforms(symmetry, app.document));
 
     // Store before state
-    this.beforeImageData = layer.ctx.getImageData(0, 0, layer.width, layer.height);
+    this.beforeImageData = this.strokeMask
+      ? this.strokeMask.getImageData()
+      : layer.ctx.getImageData(0, 0, layer.width, layer.height);
 
-    const point = this.engine.processPoint(event);
+    const point = this.engine.stabilizer.begin(this.engine.processPoint(event));
     this.lastPoint = point;
 
-    this.eraseAt(layer, point);
+    this.eraseMirrored(layer, point);
+    this.emitStabilizerGuide();
 
-    layer.dirty = true;
+    if (layer) layer.dirty = true;
     this.eventBus.emit(Events.RENDER_REQUEST);
   }
 
   onPointerMove(event) {
-    if (!this.isErasing) return;
-
     const app = window.photoEditorApp;
     if (!app || !app.document) return;
 
+    if (this.symmetryDrag.active) {
+      this.symmetryDrag.move(this.store.state.tools.options.symmetry, app.document, event);
+      return;
+    }
+
+    if (!this.isErasing) return;
+
     const layer = app.document.getLayer(this.strokeLayerId);
-    if (!layer || !layer.ctx) return;
+    if (!this.strokeMask && !layer?.ctx) return;
+
+    const point = this.engine.stabilizer.update(this.engine.processPoint(event));
+    this.emitStabilizerGuide();
+    if (!point) return;
+
+    this.eraseTo(layer, point);
+
+    if (layer) layer.dirty = true;
+    this.eventBus.emit(Events.RENDER_REQUEST);
+  }
 
-    const point = this.engine.processPoint(event);
+  /**
+   * Erase from the last stroke point to a new one
+   */
+  eraseTo(layer, point) {
     const interpolatedPoints = this.engine.interpolate(this.lastPoint, point);
 
     for (const p of interpolatedPoints) {
-      this.eraseAt(layer, p);
+      this.eraseMirrored(layer, p);
     }
 
     this.lastPoint = point;
-    layer.dirty = true;
-    this.eventBus.emit(Events.RENDER_REQUEST);
+  }
+
+  /**
+   * Erase at a point and its symmetry copies
+   */
+  eraseMirrored(layer, point) {
+    for (const p of this.engine.mirrorPoint(point)) {
+      this.eraseAt(layer, p);
+    }
+  }
+
+  /**
+   * Show the stabilizer string on the overlay
+   */
+  emitStabilizerGuide() {
+    const guide = this.engine.stabilizer.getGuide();
+    if (guide) {
+      this.eventBus.emit(Events.STABILIZER_UPDATE, guide);
+    }
   }
 
   onPointerUp(event) {
+    if (this.symmetryDrag.active) {
+      this.symmetryDrag.end();
+      this.eventBus.emit(Events.TOOL_OPTIONS_CHANGED, {
+        tool: 'symmetry',
+        options: { ...this.store.state.tools.options.symmetry }
+      });
+      return;
+    }
+
     if (!this.isErasing) return;
 
     this.isErasing = false;
 
+    const stabilizer = this.engine.stabilizer;
+    const catchUp = stabilizer.finish();
+    if (stabilizer.isActive) {
+      this.eventBus.emit(Events.STABILIZER_END);
+    }
+
     const app = window.photoEditorApp;
     if (!app || !app.document) return;
 
+    // Bring a lagging eraser to where the pointer was released
+    const strokeLayer = app.document.getLayer(this.strokeLayerId);
+    if (this.strokeMask || strokeLayer?.ctx) {
+      for (const point of catchUp) {
+        this.eraseTo(strokeLayer, point);
+      }
+    }
+
+    if (this.strokeMask) {
+      this.maskManager.commitMaskPaint(
+        app.document, 'Eraser', this.beforeImageData, this.strokeMask.getImageData()
+      );
+      this.strokeMask = null;
+      this.lastPoint = null;
+      this.beforeImageData = null;
+      return;
+    }
+
     const layer = app.document.getLayer(this.strokeLayerId);
     if (!layer || !layer.ctx) return;
 
@@ -132,12 +205,7 @@ export class EraserTool extends BaseTool {
       afterImageData
     );
 
-    const history = getHistory();
-    history.undoStack.push(command);
-    history.redoStack = [];
-
-    this.eventBus.emit(Events.HISTORY_PUSH, { command });
-    this.eventBus.emit(Events.DOCUMENT_MODIFIED);
+    getHistory().push(command);
 
     layer.updateThumbnail();
     this.eventBus.emit(Events.LAYER_UPDATED, { layer });
@@ -147,17 +215,21 @@ export class EraserTool extends BaseTool {
   }
 
   eraseAt(layer, point) {
-    const ctx = layer.ctx;
+    const ctx = this.strokeMask ? this.strokeMask.ctx : layer.ctx;
     const size = this.options.size * point.pressure;
     const opacity = this.options.opacity / 100;
     const hardness = this.options.hardness / 100;
     const radius = size / 2;
 
+    // Masks can't go transparent: erasing paints the background color's value
+    const value = this.strokeMask ? getMaskValue(this.store.state.colors.background) : 0;
+
     ctx.save();
-    ctx.globalCompositeOperation = 'destination-out';
+    ctx.globalCompositeOperation = this.strokeMask ? 'source-over' : 'destination-out';
 
     if (hardness >= 0.99) {
       ctx.globalAlpha = opacity;
+      ctx.fillStyle = `rgb(${value}, ${value}, ${value})`;
       ctx.beginPath();
       ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
       ctx.fill();
@@ -167,9 +239,10 @@ export class EraserTool extends BaseTool {
         point.x, point.y, radius
       );
 
-      gradient.addColorStop(0, `rgba(0, 0, 0, ${opacity})`);
-      gradient.addColorStop(hardness, `rgba(0, 0, 0, ${opacity * hardness})`);
-      gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+      const rgb = `${value}, ${value}, ${value}`;
+      gradient.addColorStop(0, `rgba(${rgb}, ${opacity})`);
+      gradient.addColorStop(hardness, `rgba(${rgb}, ${opacity * hardness})`);
+      gradient.addColorStop(1, `rgba(${rgb}, 0)`);
 
       ctx.fillStyle = gradient;
       ctx.fillRect(point.x - radius, point.y - radius, size, size);
@@ -5,44 +5,14 @@
 import { BaseTool } from './base-tool.js';
 import { getStore } from '../core/store.js';
 import { getEventBus, Events } from '../core/event-bus.js';
-import { Command, getHistory } from '../core/commands.js';
+import { getHistory } from '../core/commands.js';
+import { PixelCommand } from '../core/pixel-delta.js';
+import { LayerType } from '../document/layer.js';
+import { getMaskManager, getMaskValue } from '../document/mask.js';
 
-class FillCommand extends Command {
+class FillCommand extends PixelCommand {
   constructor(layerId, beforeImageData, afterImageData) {
-    super('Fill');
-    this.layerId = layerId;
-    this.beforeImageData = beforeImageData;
-    this.afterImageData = afterImageData;
-  }
-
-  execute() {
-    const app = window.photoEditorApp;
-    if (!app || !app.document) return false;
-
-    const layer = app.document.getLayer(this.layerId);
-    if (!layer || !layer.ctx) return false;
-
-    layer.ctx.putImageData(this.afterImageData, 0, 0);
-    layer.dirty = true;
-    layer.updateThumbnail();
-
-    getEventBus().emit(Events.RENDER_REQUEST);
-    return true;
-  }
-
-  undo() {
-    const app = window.photoEditorApp;
-    if (!app || !app.document) return false;
-
-    const layer = app.document.getLayer(this.layerId);
-    if (!layer || !layer.ctx) return false;
-
-    layer.ctx.putImageData(this.beforeImageData, 0, 0);
-    layer.dirty = true;
-    layer.updateThumbnail();
-
-    getEventBus().emit(Events.RENDER_REQUEST);
-    return true;
+    super('Fill', layerId, beforeImageData, afterImageData);
   }
 }
 
@@ -52,6 +22,7 @@ export class FillTool extends BaseTool {
 
     this.store = null;
     this.eventBus = null;
+    this.maskManager = null;
     this.tolerance = 32;
   }
 
@@ -59,14 +30,22 @@ export class FillTool extends BaseTool {
     super.onActivate();
     this.store = getStore();
     this.eventBus = getEventBus();
+    this.maskManager = getMaskManager();
   }
 
   onPointerDown(event) {
     const app = window.photoEditorApp;
     if (!app || !app.document) return;
 
+    const mask = this.maskManager.getEditingMask(app.document);
+    if (mask) {
+      this.fillMask(app.document, mask, event);
+      return;
+    }
+
     const layer = app.document.getActiveLayer();
-    if (!layer || !layer.ctx || layer.locked) return;
+    if (!layer || !layer.ctx || layer.locked ||
+        layer.type === LayerType.TEXT || layer.type === LayerType.SHAPE) return;
 
     const x = Math.floor(event.x - layer.x);
     const y = Math.floor(event.y - layer.y);
@@ -88,12 +67,7 @@ export class FillTool extends BaseTool {
     // Add to history
     const command = new FillCommand(layer.id, beforeImageData, afterImageData);
 
-    const history = getHistory();
-    history.undoStack.push(command);
-    history.redoStack = [];
-
-    this.eventBus.emit(Events.HISTORY_PUSH, { command });
-    this.eventBus.emit(Events.DOCUMENT_MODIFIED);
+    getHistory().push(command);
 
     layer.dirty = true;
     layer.updateThumbnail();
@@ -101,12 +75,35 @@ export class FillTool extends BaseTool {
     this.eventBus.emit(Events.RENDER_REQUEST);
   }
 
-  floodFill(layer, startX, startY, fillColor, tolerance) {
-    const ctx = layer.ctx;
-    const imageData = ctx.getImageData(0, 0, layer.width, layer.height);
+  /**
+   * Flood fill the mask being edited with the foreground color's value
+   */
+  fillMask(doc, mask, event) {
+    const layer = this.maskManager.getEditingLayer(doc);
+    if (layer?.locked) return;
+
+    const x = Math.floor(event.x - (layer?.x ?? 0));
+    const y = Math.floor(event.y - (layer?.y ?? 0));
+
+    if (x < 0 || x >= mask.width || y < 0 || y >= mask.height) return;
+
+    const beforeImageData = mask.getImageData();
+
+    const value = getMaskValue(this.store.state.colors.foreground);
+    this.floodFill(mask, x, y, { r: value, g: value, b: value }, this.tolerance);
+
+    this.maskManager.commitMaskPaint(doc, 'Fill', beforeImageData, mask.getImageData());
+  }
+
+  /**
+   * Flood fill a layer or mask (anything with ctx, width and height)
+   */
+  floodFill(surface, startX, startY, fillColor, tolerance) {
+    const ctx = surface.ctx;
+    const width = surface.width;
+    const height = surface.height;
+    const imageData = ctx.getImageData(0, 0, width, height);
     const data = imageData.data;
-    const width = layer.width;
-    const height = layer.height;
 
     // Get target color at start position
     const startIdx = (startY * width + startX) * 4;
@@ -5,7 +5,10 @@
 import { BaseTool } from './base-tool.js';
 import { getStore } from '../core/store.js';
 import { getEventBus, Events } from '../core/event-bus.js';
-import { Command, getHistory } from '../core/commands.js';
+import { getHistory } from '../core/commands.js';
+import { PixelCommand } from '../core/pixel-delta.js';
+import { LayerType } from '../document/layer.js';
+import { getMaskManager, getMaskValue } from '../document/mask.js';
 
 /**
  * Gradient types
@@ -21,42 +24,9 @@ export const GradientType = {
 /**
  * Command for gradient fills (undo/redo)
  */
-class GradientCommand extends Command {
+class GradientCommand extends PixelCommand {
   constructor(layerId, beforeImageData, afterImageData) {
-    super('Gradient Fill');
-    this.layerId = layerId;
-    this.beforeImageData = beforeImageData;
-    this.afterImageData = afterImageData;
-  }
-
-  execute() {
-    const app = window.photoEditorApp;
-    if (!app || !app.document) return false;
-
-    const layer = app.document.getLayer(this.layerId);
-    if (!layer || !layer.ctx) return false;
-
-    layer.ctx.putImageData(this.afterImageData, 0, 0);
-    layer.dirty = true;
-    layer.updateThumbnail();
-
-    getEventBus().emit(Events.RENDER_REQUEST);
-    return true;
-  }
-
-  undo() {
-    const app = window.photoEditorApp;
-    if (!app || !app.document) return false;
-
-    const layer = app.document.getLayer(this.layerId);
-    if (!layer || !layer.ctx) return false;
-
-    layer.ctx.putImageData(this.beforeImageData, 0, 0);
-    layer.dirty = true;
-    layer.updateThumbnail();
-
-    getEventBus().emit(Events.RENDER_REQUEST);
-    return true;
+    super('Gradient Fill', layerId, beforeImageData, afterImageData);
   }
 }
 
@@ -66,6 +36,7 @@ export class GradientTool extends BaseTool {
 
     this.store = null;
     this.eventBus = null;
+    this.maskManager = null;
 
     // Gradient state
     this.isDrawing = false;
@@ -74,6 +45,9 @@ export class GradientTool extends BaseTool {
     this.layerId = null;
     this.beforeImageData = null;
 
+    // Mask being filled (a layer mask or the Quick Mask)
+    this.strokeMask = null;
+
     // Options
     this.gradientType = GradientType.LINEAR;
     this.opacity = 1;
@@ -88,6 +62,7 @@ export class GradientTool extends BaseTool {
     super.onActivate();
     this.store = getStore();
     this.eventBus = getEventBus();
+    this.maskManager = getMaskManager();
 
     // Load options
     const options = this.store.state.tools.options.gradient;
@@ -102,16 +77,27 @@ export class GradientTool extends BaseTool {
     const app = window.photoEditorApp;
     if (!app || !app.document) return;
 
-    const layer = app.document.getActiveLayer();
-    if (!layer || !layer.ctx || layer.locked) return;
+    this.strokeMask = this.maskManager.getEditingMask(app.document);
+
+    const layer = this.strokeMask
+      ? this.maskManager.getEditingLayer(app.document)
+      : app.document.getActiveLayer();
+
+    if (this.strokeMask) {
+      if (layer?.locked) return;
+    } else if (!layer || !layer.ctx || layer.locked ||
+        layer.type === LayerType.TEXT || layer.type === LayerType.SHAPE) {
+      return;
+    }
 
     this.isDrawing = true;
     this.startPoint = { x: event.x, y: event.y };
     this.endPoint = { x: event.x, y: event.y };
-    this.layerId = layer.id;
+    this.layerId = layer?.id ?? null;
 
     // Store before state
-    this.beforeImageData = layer.ctx.getImageData(0, 0, layer.width, layer.height);
+    const surface = this.getSurface();
+    this.beforeImageData = surface.ctx.getImageData(0, 0, surface.width, surface.height);
 
     // Set up gradient colors
     this.updateGradientStops();
@@ -145,6 +131,17 @@ export class GradientTool extends BaseTool {
     // Draw final gradient
     this.drawGradient(false);
 
+    if (this.strokeMask) {
+      this.maskManager.commitMaskPaint(
+        app.document, 'Gradient Fill', this.beforeImageData, this.strokeMask.getImageData()
+      );
+      this.strokeMask = null;
+      this.startPoint = null;
+      this.endPoint = null;
+      this.beforeImageData = null;
+      return;
+    }
+
     const layer = app.document.getLayer(this.layerId);
     if (!layer) return;
 
@@ -153,12 +150,7 @@ export class GradientTool extends BaseTool {
 
     // Add to history
     const command = new GradientCommand(this.layerId, this.beforeImageData, afterImageData);
-    const history = getHistory();
-    history.undoStack.push(command);
-    history.redoStack = [];
-
-    this.eventBus.emit(Events.HISTORY_PUSH, { command });
-    this.eventBus.emit(Events.DOCUMENT_MODIFIED);
+    getHistory().push(command);
 
     layer.dirty = true;
     layer.updateThumbnail();
@@ -171,9 +163,27 @@ export class GradientTool extends BaseTool {
     this.beforeImageData = null;
   }
 
+  /**
+   * Layer or mask the gradient is drawn on (both have ctx, width and height)
+   */
+  getSurface() {
+    if (this.strokeMask) return this.strokeMask;
+    return window.photoEditorApp?.document?.getLayer(this.layerId) ?? null;
+  }
+
   updateGradientStops() {
-    const fg = this.store.state.colors.foreground;
-    const bg = this.store.state.colors.background;
+    let fg = this.store.state.colors.foreground;
+    let bg = this.store.state.colors.background;
+
+    // Masks are grayscale: use each color's mask value
+    if (this.strokeMask) {
+      const toGray = hex => {
+        const v = getMaskValue(hex).toString(16).padStart(2, '0');
+        return `#${v}${v}${v}`;
+      };
+      fg = toGray(fg);
+      bg = toGray(bg);
+    }
 
     if (this.reverse) {
       this.stops = [
@@ -189,10 +199,7 @@ export class GradientTool extends BaseTool {
   }
 
   drawGradient(isPreview) {
-    const app = window.photoEditorApp;
-    if (!app || !app.document) return;
-
-    const layer = app.document.getLayer(this.layerId);
+    const layer = this.getSurface();
     if (!layer || !layer.ctx) return;
 
     const ctx = layer.ctx;
@@ -282,8 +289,7 @@ export class GradientTool extends BaseTool {
   }
 
   drawAngularGradient(ctx) {
-    const app = window.photoEditorApp;
-    const layer = app.document.getLayer(this.layerId);
+    const layer = this.getSurface();
     if (!layer) return;
 
     const { startPoint } = this;
@@ -314,7 +320,7 @@ export class GradientTool extends BaseTool {
         data[idx] = color.r;
         data[idx + 1] = color.g;
         data[idx + 2] = color.b;
-        data[idx + 3] = Math.round(255 * this.opacity);
+        data[idx + 3] = this.strokeMask ? 255 : Math.round(255 * this.opacity);
       }
     }
 
@@ -323,8 +329,7 @@ export class GradientTool extends BaseTool {
   }
 
   drawDiamondGradient(ctx) {
-    const app = window.photoEditorApp;
-    const layer = app.document.getLayer(this.layerId);
+    const layer = this.getSurface();
     if (!layer) return;
 
     const { startPoint, endPoint } = this;
@@ -358,7 +363,7 @@ export class GradientTool extends BaseTool {
         data[idx] = color.r;
         data[idx + 1] = color.g;
         data[idx + 2] = color.b;
-        data[idx + 3] = Math.round(255 * this.opacity);
+        data[idx + 3] = this.strokeMask ? 255 : Math.round(255 * this.opacity);
       }
     }
 
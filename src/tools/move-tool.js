@@ -5,7 +5,7 @@
 import { BaseTool } from './base-tool.js';
 import { getStore } from '../core/store.js';
 import { getEventBus, Events } from '../core/event-bus.js';
-import { Command, getHistory } from '../core/commands.js';
+import { Command, getHistory, registerCommand } from '../core/commands.js';
 
 class MoveLayerCommand extends Command {
   constructor(layerId, fromX, fromY, toX, toY) {
@@ -48,8 +48,15 @@ class MoveLayerCommand extends Command {
     getEventBus().emit(Events.RENDER_REQUEST);
     return true;
   }
+
+  serialize() {
+    const { layerId, fromX, fromY, toX, toY } = this;
+    return { type: 'move-layer', data: { layerId, fromX, fromY, toX, toY } };
+  }
 }
 
+registerCommand('move-layer', data => new MoveLayerCommand(data.layerId, data.fromX, data.fromY, data.toX, data.toY));
+
 export class MoveTool extends BaseTool {
   constructor() {
     super('move');
@@ -126,12 +133,7 @@ export class MoveTool extends BaseTool {
         layer.y
       );
 
-      const history = getHistory();
-      history.undoStack.push(command);
-      history.redoStack = [];
-
-      this.eventBus.emit(Events.HISTORY_PUSH, { command });
-      this.eventBus.emit(Events.DOCUMENT_MODIFIED);
+      getHistory().push(command);
     }
 
     this.movingLayerId = null;
@@ -0,0 +1,329 @@
+/**
+ * Pen Tool - Draw and edit cubic Bézier paths
+ * Click adds a corner anchor, click-drag adds a smooth anchor, clicking the
+ * first anchor closes the subpath. Existing anchors and handles can be dragged;
+ * Alt breaks handle symmetry and Alt-click converts between corner and smooth.
+ */
+
+import { BaseTool } from './base-tool.js';
+import { getStore } from '../core/store.js';
+import { getEventBus, Events } from '../core/event-bus.js';
+import { getHistory } from '../core/commands.js';
+import { createPath, createPathNode, clonePath, isSmoothNode, SetPathCommand } from '../document/paths.js';
+
+// Hit radius around anchors and handles, in screen pixels
+const HIT_RADIUS = 6;
+
+export class PenTool extends BaseTool {
+  constructor() {
+    super('pen');
+
+    this.store = null;
+    this.eventBus = null;
+    this.unsubscribers = [];
+
+    // Path being edited and the subpath new anchors are appended to
+    this.pathId = null;
+    this.openSubpath = -1;
+    this.selected = null;
+    this.hover = null;
+
+    // Gesture in progress
+    this.drag = null;
+    this.beforePath = null;
+    this.pathIndex = -1;
+    this.commandName = null;
+  }
+
+  onActivate() {
+    super.onActivate();
+    this.store = getStore();
+    this.eventBus = getEventBus();
+
+    // Undo, redo and the Paths panel can change the path under us
+    const validate = () => this.validateState();
+    this.unsubscribers.push(
+      this.eventBus.on(Events.PATHS_CHANGED, validate),
+      this.eventBus.on(Events.PATH_SELECTED, validate),
+      this.eventBus.on(Events.DOCUMENT_CREATED, validate),
+      this.eventBus.on(Events.DOCUMENT_OPENED, validate)
+    );
+
+    this.validateState();
+  }
+
+  onDeactivate() {
+    super.onDeactivate();
+    this.unsubscribers.forEach(unsub => unsub());
+    this.unsubscribers = [];
+
+    this.finishGesture();
+    this.openSubpath = -1;
+    this.selected = null;
+    this.hover = null;
+    this.eventBus?.emit(Events.PATH_EDIT_END);
+  }
+
+  onPointerDown(event) {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return;
+
+    const doc = app.document;
+    let path = doc.getActivePath();
+    const zoom = this.store.state.viewport.zoom || 1;
+    const hit = path ? this.hitTest(path, event.x, event.y, HIT_RADIUS / zoom) : null;
+
+    this.beforePath = clonePath(path);
+    this.pathIndex = path ? doc.paths.indexOf(path) : doc.paths.length;
+
+    if (hit && hit.type === 'anchor' && this.isClosingHit(path, hit)) {
+      // Close the open subpath; dragging shapes the closing curve
+      path.subpaths[hit.subpath].closed = true;
+      this.openSubpath = -1;
+      this.drag = { ...hit, type: 'new' };
+      this.commandName = 'Close Path';
+    } else if (hit && hit.type === 'anchor' && event.altKey) {
+      const node = path.subpaths[hit.subpath].nodes[hit.node];
+      if (isSmoothNode(node)) {
+        Object.assign(node, createPathNode(node.x, node.y));
+        this.drag = { ...hit, type: 'none' };
+      } else {
+        this.drag = { ...hit, type: 'new' };
+      }
+      this.commandName = 'Convert Point';
+    } else if (hit) {
+      const node = path.subpaths[hit.subpath].nodes[hit.node];
+      this.drag = { ...hit, startX: event.x, startY: event.y, origin: { ...node } };
+      this.commandName = hit.type === 'anchor' ? 'Move Anchor Point' : 'Move Direction Point';
+    } else {
+      if (!path) {
+        path = createPath('Work Path');
+        this.beforePath = null;
+        doc.addPath(path);
+        doc.setActivePath(path.id);
+      }
+
+      if (this.pathId !== path.id || !this.isOpenSubpath(path, this.openSubpath)) {
+        path.subpaths.push({ closed: false, nodes: [] });
+        this.openSubpath = path.subpaths.length - 1;
+      }
+
+      const nodes = path.subpaths[this.openSubpath].nodes;
+      nodes.push(createPathNode(event.x, event.y));
+
+      this.drag = { type: 'new', subpath: this.openSubpath, node: nodes.length - 1 };
+      this.commandName = this.beforePath ? 'Add Anchor Point' : 'New Work Path';
+    }
+
+    this.pathId = path.id;
+    this.selected = { subpath: this.drag.subpath, node: this.drag.node };
+    this.emitUpdate();
+  }
+
+  onPointerMove(event) {
+    this.hover = { x: event.x, y: event.y };
+
+    if (this.drag) {
+      this.updateDrag(event);
+    }
+
+    this.emitUpdate();
+  }
+
+  onPointerUp(event) {
+    if (!this.drag) return;
+
+    this.updateDrag(event);
+    this.finishGesture();
+    this.emitUpdate();
+  }
+
+  onKeyDown(event) {
+    if (event.key === 'Enter') {
+      this.cancel();
+    }
+  }
+
+  /**
+   * End the open subpath (Escape / Enter)
+   */
+  cancel() {
+    if (this.drag || this.openSubpath === -1) return false;
+
+    this.openSubpath = -1;
+    this.emitUpdate();
+    return true;
+  }
+
+  /**
+   * Apply pointer movement to the dragged anchor or handle
+   */
+  updateDrag(event) {
+    const drag = this.drag;
+    const path = this.getPath();
+    if (!drag || !path || drag.type === 'none') return;
+
+    const node = path.subpaths[drag.subpath]?.nodes[drag.node];
+    if (!node) return;
+
+    switch (drag.type) {
+      case 'new':
+        // Symmetric handles following the pointer
+        node.outX = event.x;
+        node.outY = event.y;
+        node.inX = node.x * 2 - event.x;
+        node.inY = node.y * 2 - event.y;
+        break;
+
+      case 'anchor': {
+        const dx = event.x - drag.startX;
+        const dy = event.y - drag.startY;
+        const { origin } = drag;
+        Object.assign(node, {
+          x: origin.x + dx,
+          y: origin.y + dy,
+          inX: origin.inX + dx,
+          inY: origin.inY + dy,
+          outX: origin.outX + dx,
+          outY: origin.outY + dy
+        });
+        break;
+      }
+
+      case 'in':
+      case 'out': {
+        const other = drag.type === 'in' ? 'out' : 'in';
+        node[`${drag.type}X`] = event.x;
+        node[`${drag.type}Y`] = event.y;
+
+        // Keep the opposite handle collinear (with its own length) unless Alt is held
+        const otherLength = Math.hypot(drag.origin[`${other}X`] - node.x, drag.origin[`${other}Y`] - node.y);
+        const dx = event.x - node.x;
+        const dy = event.y - node.y;
+        const length = Math.hypot(dx, dy);
+
+        if (!event.altKey && otherLength > 0 && length > 0) {
+          node[`${other}X`] = node.x - (dx / length) * otherLength;
+          node[`${other}Y`] = node.y - (dy / length) * otherLength;
+        } else {
+          node[`${other}X`] = drag.origin[`${other}X`];
+          node[`${other}Y`] = drag.origin[`${other}Y`];
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Record the gesture in history
+   */
+  finishGesture() {
+    if (!this.drag) return;
+    this.drag = null;
+
+    const path = this.getPath();
+    if (!path) return;
+
+    // Clicking an anchor without moving it only selects it
+    if (this.beforePath && JSON.stringify(this.beforePath) === JSON.stringify(path)) {
+      this.beforePath = null;
+      return;
+    }
+
+    // Already applied while dragging, so push without re-executing
+    const command = new SetPathCommand(path.id, this.beforePath, path, this.commandName, this.pathIndex);
+    getHistory().push(command);
+
+    this.beforePath = null;
+    this.eventBus.emit(Events.PATHS_CHANGED, { path });
+  }
+
+  /**
+   * Find the anchor or handle under a point
+   * @returns {{type: 'anchor'|'in'|'out', subpath: number, node: number}|null}
+   */
+  hitTest(path, x, y, radius) {
+    const near = (px, py) => Math.hypot(px - x, py - y) <= radius;
+
+    for (let s = 0; s < path.subpaths.length; s++) {
+      const nodes = path.subpaths[s].nodes;
+      for (let n = 0; n < nodes.length; n++) {
+        if (near(nodes[n].x, nodes[n].y)) {
+          return { type: 'anchor', subpath: s, node: n };
+        }
+      }
+    }
+
+    for (let s = 0; s < path.subpaths.length; s++) {
+      const nodes = path.subpaths[s].nodes;
+      for (let n = 0; n < nodes.length; n++) {
+        const node = nodes[n];
+        if ((node.outX !== node.x || node.outY !== node.y) && near(node.outX, node.outY)) {
+          return { type: 'out', subpath: s, node: n };
+        }
+        if ((node.inX !== node.x || node.inY !== node.y) && near(node.inX, node.inY)) {
+          return { type: 'in', subpath: s, node: n };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a hit on an anchor closes the subpath being drawn
+   */
+  isClosingHit(path, hit) {
+    return this.pathId === path.id &&
+      hit.subpath === this.openSubpath &&
+      hit.node === 0 &&
+      this.isOpenSubpath(path, hit.subpath) &&
+      path.subpaths[hit.subpath].nodes.length >= 2;
+  }
+
+  isOpenSubpath(path, index) {
+    const subpath = path.subpaths[index];
+    return !!subpath && !subpath.closed;
+  }
+
+  getPath() {
+    return window.photoEditorApp?.document?.getPath(this.pathId) ?? null;
+  }
+
+  /**
+   * Drop editing state that no longer matches the active path
+   */
+  validateState() {
+    if (this.drag) return;
+
+    const path = window.photoEditorApp?.document?.getActivePath();
+
+    if (!path || path.id !== this.pathId) {
+      this.pathId = path?.id ?? null;
+      this.openSubpath = -1;
+      this.selected = null;
+    } else {
+      if (!this.isOpenSubpath(path, this.openSubpath)) {
+        this.openSubpath = -1;
+      }
+      if (this.selected && !path.subpaths[this.selected.subpath]?.nodes[this.selected.node]) {
+        this.selected = null;
+      }
+    }
+
+    this.emitUpdate();
+  }
+
+  emitUpdate() {
+    this.eventBus?.emit(Events.PATH_EDIT_UPDATE, {
+      pathId: this.pathId,
+      openSubpath: this.openSubpath,
+      selected: this.selected,
+      hover: this.openSubpath !== -1 && !this.drag ? this.hover : null
+    });
+  }
+
+  getCursor() {
+    return 'crosshair';
+  }
+}
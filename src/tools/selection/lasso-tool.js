@@ -6,6 +6,12 @@ import { BaseTool } from '../base-tool.js';
 import { getStore } from '../../core/store.js';
 import { getEventBus, Events } from '../../core/event-bus.js';
 import { Selection, SelectionMode } from '../../document/selection.js';
+import { computeEdgeMap, snapToEdge, findEdgePath, pathLength } from './live-wire.js';
+
+/**
+ * Names of the registered lasso tools
+ */
+export const LassoTools = ['lasso', 'polygonalLasso', 'magneticLasso'];
 
 export class LassoTool extends BaseTool {
   constructor() {
@@ -288,3 +294,240 @@ export class PolygonalLassoTool extends BaseTool {
     return 'crosshair';
   }
 }
+
+/**
+ * Magnetic Lasso Tool - Path snaps to image edges between anchors
+ * Click to start, move along an edge to drop anchors automatically, click to
+ * add an anchor. Double-click, Enter or clicking the start point closes it.
+ */
+export class MagneticLassoTool extends BaseTool {
+  constructor() {
+    super('magneticLasso');
+
+    this.store = null;
+    this.eventBus = null;
+
+    // Selection in progress
+    this.isSelecting = false;
+    this.edgeMap = null;
+    this.points = [];
+    this.anchors = [];
+    this.livePath = [];
+    this.lastClick = null;
+
+    // Options
+    this.feather = 0;
+    this.antiAlias = true;
+  }
+
+  onActivate() {
+    super.onActivate();
+    this.store = getStore();
+    this.eventBus = getEventBus();
+  }
+
+  onDeactivate() {
+    super.onDeactivate();
+    this.cancelSelection();
+  }
+
+  /**
+   * Width, contrast and frequency from the options bar
+   */
+  getOptions() {
+    return this.store?.state.tools.options.magneticLasso || { width: 10, contrast: 10, frequency: 57 };
+  }
+
+  /**
+   * Path length after which an anchor is dropped automatically
+   */
+  getAnchorSpacing() {
+    const { frequency } = this.getOptions();
+    return 10 + (100 - frequency) * 1.5;
+  }
+
+  onPointerDown(event) {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return;
+
+    const now = performance.now();
+    const isDoubleClick = this.lastClick && now - this.lastClick.time < 300 &&
+      Math.hypot(event.x - this.lastClick.x, event.y - this.lastClick.y) < 4;
+    this.lastClick = { x: event.x, y: event.y, time: now };
+
+    if (!this.isSelecting) {
+      this.startSelection(app.document, event);
+      return;
+    }
+
+    const startPoint = this.points[0];
+    const distance = Math.hypot(event.x - startPoint.x, event.y - startPoint.y);
+
+    if (isDoubleClick || (distance < 10 && this.anchors.length >= 2)) {
+      this.finishSelection(event);
+    } else {
+      this.updateLivePath(event);
+      this.addAnchor();
+      this.emitPreview();
+    }
+  }
+
+  startSelection(doc, event) {
+    const composite = doc.getCompositedCanvas(true);
+    const ctx = composite.getContext('2d');
+    this.edgeMap = computeEdgeMap(ctx.getImageData(0, 0, composite.width, composite.height));
+
+    const start = snapToEdge(this.edgeMap, event, this.getOptions());
+    this.isSelecting = true;
+    this.points = [start];
+    this.anchors = [{ ...start, index: 0 }];
+    this.livePath = [];
+
+    this.eventBus.emit(Events.SELECTION_PREVIEW_START, {
+      shape: 'polygon',
+      points: this.points,
+      anchors: this.anchors
+    });
+  }
+
+  onPointerMove(event) {
+    if (!this.isSelecting) return;
+
+    this.updateLivePath(event);
+
+    // Drop an anchor once the wire has followed the edge far enough
+    if (pathLength(this.livePath) >= this.getAnchorSpacing()) {
+      this.addAnchor();
+    }
+
+    this.emitPreview();
+  }
+
+  onPointerUp(event) {
+    // Magnetic lasso uses clicks, not drag
+  }
+
+  /**
+   * Route the wire from the last anchor to the edge nearest the pointer
+   */
+  updateLivePath(point) {
+    const options = this.getOptions();
+    const anchor = this.anchors[this.anchors.length - 1];
+    const target = snapToEdge(this.edgeMap, point, options);
+
+    this.livePath = findEdgePath(this.edgeMap, anchor, target, {
+      contrast: options.contrast,
+      margin: options.width + 8
+    });
+  }
+
+  /**
+   * Fix the live wire in place and start a new one from its end
+   */
+  addAnchor() {
+    if (this.livePath.length < 2) return;
+
+    this.points.push(...this.livePath.slice(1));
+    const end = this.points[this.points.length - 1];
+    this.anchors.push({ ...end, index: this.points.length - 1 });
+    this.livePath = [];
+  }
+
+  /**
+   * Remove the last anchor and the path leading to it
+   */
+  removeAnchor() {
+    if (this.anchors.length < 2) return;
+
+    this.anchors.pop();
+    const anchor = this.anchors[this.anchors.length - 1];
+    this.points.length = anchor.index + 1;
+    this.livePath = [];
+    this.emitPreview();
+  }
+
+  emitPreview() {
+    this.eventBus.emit(Events.SELECTION_PREVIEW_UPDATE, {
+      shape: 'polygon',
+      points: this.points.concat(this.livePath.slice(1)),
+      anchors: this.anchors
+    });
+  }
+
+  onKeyDown(event) {
+    if (!this.isSelecting) return;
+
+    if (event.key === 'Escape') {
+      this.cancelSelection();
+    } else if (event.key === 'Enter') {
+      this.finishSelection(event);
+    } else if (event.key === 'Backspace' || event.key === 'Delete') {
+      this.removeAnchor();
+    }
+  }
+
+  finishSelection(event) {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return;
+
+    // Close the loop along the edges back to the start
+    this.addAnchor();
+    const options = this.getOptions();
+    const closing = findEdgePath(this.edgeMap, this.points[this.points.length - 1], this.points[0], {
+      contrast: options.contrast,
+      margin: options.width + 8
+    });
+    const points = this.points.concat(closing.slice(1, -1));
+
+    this.isSelecting = false;
+
+    // Determine selection mode
+    let mode = SelectionMode.REPLACE;
+    if (event.shiftKey && !event.altKey) {
+      mode = SelectionMode.ADD;
+    } else if (event.altKey && !event.shiftKey) {
+      mode = SelectionMode.SUBTRACT;
+    } else if (event.shiftKey && event.altKey) {
+      mode = SelectionMode.INTERSECT;
+    }
+
+    // Create or update selection
+    if (!app.selection) {
+      app.selection = new Selection(app.document.width, app.document.height);
+    }
+
+    if (points.length >= 3) {
+      app.selection.fromPath(points, mode);
+
+      if (this.feather > 0) {
+        app.selection.featherSelection(this.feather);
+      }
+    } else if (mode === SelectionMode.REPLACE) {
+      app.selection.clear();
+    }
+
+    this.eventBus.emit(Events.SELECTION_PREVIEW_END);
+    this.eventBus.emit(Events.RENDER_REQUEST);
+
+    this.reset();
+  }
+
+  cancelSelection() {
+    if (this.isSelecting) {
+      this.isSelecting = false;
+      this.reset();
+      this.eventBus?.emit(Events.SELECTION_PREVIEW_END);
+    }
+  }
+
+  reset() {
+    this.edgeMap = null;
+    this.points = [];
+    this.anchors = [];
+    this.livePath = [];
+  }
+
+  getCursor() {
+    return 'crosshair';
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * Live Wire - Edge-following paths for the magnetic lasso
+ * An edge map holds the Sobel gradient strength of the image; paths are the
+ * cheapest route between two points where stepping along strong edges is
+ * cheap and crossing flat areas is expensive (intelligent scissors).
+ */
+
+// Cost of a step along the strongest edge, relative to a step across a flat area
+const MIN_STEP_COST = 0.05;
+
+const NEIGHBORS = [
+  [-1, -1], [0, -1], [1, -1],
+  [-1, 0], [1, 0],
+  [-1, 1], [0, 1], [1, 1]
+];
+
+/**
+ * Build the edge map of an image
+ * @param {ImageData} imageData - Pixels to find edges in
+ * @returns {{width: number, height: number, strength: Float32Array}} Edge
+ *   strength per pixel, 0-1 relative to the strongest edge in the image
+ */
+export function computeEdgeMap(imageData) {
+  const { width, height, data } = imageData;
+  const luminance = new Float32Array(width * height);
+
+  for (let i = 0; i < luminance.length; i++) {
+    const p = i * 4;
+    // Transparent pixels read as black so layer outlines count as edges
+    const alpha = data[p + 3] / 255;
+    luminance[i] = (0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2]) * alpha;
+  }
+
+  const strength = new Float32Array(width * height);
+  let max = 0;
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - 1) * width;
+    const y1 = y * width;
+    const y2 = Math.min(height - 1, y + 1) * width;
+
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - 1);
+      const x2 = Math.min(width - 1, x + 1);
+
+      const gx = luminance[y0 + x2] + 2 * luminance[y1 + x2] + luminance[y2 + x2] -
+        luminance[y0 + x0] - 2 * luminance[y1 + x0] - luminance[y2 + x0];
+      const gy = luminance[y2 + x0] + 2 * luminance[y2 + x] + luminance[y2 + x2] -
+        luminance[y0 + x0] - 2 * luminance[y0 + x] - luminance[y0 + x2];
+
+      const magnitude = Math.sqrt(gx * gx + gy * gy);
+      strength[y1 + x] = magnitude;
+      if (magnitude > max) max = magnitude;
+    }
+  }
+
+  if (max > 0) {
+    for (let i = 0; i < strength.length; i++) {
+      strength[i] /= max;
+    }
+  }
+
+  return { width, height, strength };
+}
+
+/**
+ * Edge strength at a pixel, ignoring edges below the contrast threshold
+ */
+function edgeStrength(edgeMap, index, threshold) {
+  const value = edgeMap.strength[index];
+  return value < threshold ? 0 : value;
+}
+
+function clampPoint(edgeMap, point) {
+  return {
+    x: Math.min(edgeMap.width - 1, Math.max(0, Math.round(point.x))),
+    y: Math.min(edgeMap.height - 1, Math.max(0, Math.round(point.y)))
+  };
+}
+
+/**
+ * Find the strongest edge near a point
+ * @param {Object} edgeMap - From computeEdgeMap
+ * @param {{x: number, y: number}} point - Point to snap
+ * @param {Object} options - { width: search radius, contrast: 1-100 threshold }
+ * @returns {{x: number, y: number}} Pixel on the strongest edge, or the point
+ *   itself when no edge within the radius passes the contrast threshold
+ */
+export function snapToEdge(edgeMap, point, options = {}) {
+  const radius = Math.max(0, Math.round(options.width ?? 10));
+  const threshold = (options.contrast ?? 10) / 100;
+  const center = clampPoint(edgeMap, point);
+  const { width, height } = edgeMap;
+
+  let best = center;
+  let bestScore = 0;
+
+  for (let y = Math.max(0, center.y - radius); y <= Math.min(height - 1, center.y + radius); y++) {
+    for (let x = Math.max(0, center.x - radius); x <= Math.min(width - 1, center.x + radius); x++) {
+      const dx = x - center.x;
+      const dy = y - center.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance > radius) continue;
+
+      // Closer edges win between edges of similar strength
+      const strength = edgeStrength(edgeMap, y * width + x, threshold);
+      const score = strength * (1 - distance / (radius + 1) * 0.25);
+      if (score > bestScore) {
+        bestScore = score;
+        best = { x, y };
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Route a path along the strongest edges between two points
+ * The search is limited to the box around both points grown by a margin.
+ * @param {Object} edgeMap - From computeEdgeMap
+ * @param {{x: number, y: number}} from - Start point
+ * @param {{x: number, y: number}} to - End point
+ * @param {Object} options - { contrast: 1-100 threshold, margin: pixels }
+ * @returns {Array<{x: number, y: number}>} Pixels from start to end
+ */
+export function findEdgePath(edgeMap, from, to, options = {}) {
+  const threshold = (options.contrast ?? 10) / 100;
+  const margin = Math.max(1, Math.round(options.margin ?? 16));
+  const start = clampPoint(edgeMap, from);
+  const end = clampPoint(edgeMap, to);
+
+  if (start.x === end.x && start.y === end.y) return [start];
+
+  // Search window
+  const left = Math.max(0, Math.min(start.x, end.x) - margin);
+  const top = Math.max(0, Math.min(start.y, end.y) - margin);
+  const right = Math.min(edgeMap.width - 1, Math.max(start.x, end.x) + margin);
+  const bottom = Math.min(edgeMap.height - 1, Math.max(start.y, end.y) + margin);
+  const windowWidth = right - left + 1;
+  const windowHeight = bottom - top + 1;
+  const size = windowWidth * windowHeight;
+
+  const cost = new Float32Array(size);
+  for (let y = 0; y < windowHeight; y++) {
+    const row = (y + top) * edgeMap.width + left;
+    for (let x = 0; x < windowWidth; x++) {
+      cost[y * windowWidth + x] = MIN_STEP_COST + 1 - edgeStrength(edgeMap, row + x, threshold);
+    }
+  }
+
+  const distance = new Float32Array(size).fill(Infinity);
+  const previous = new Int32Array(size).fill(-1);
+  const done = new Uint8Array(size);
+  const heap = new MinHeap();
+
+  const startIndex = (start.y - top) * windowWidth + (start.x - left);
+  const endIndex = (end.y - top) * windowWidth + (end.x - left);
+  distance[startIndex] = 0;
+  heap.push(startIndex, 0);
+
+  // Dijkstra over 8-connected pixels; each step costs the entered pixel
+  while (heap.size > 0) {
+    const index = heap.pop();
+    if (done[index]) continue;
+    done[index] = 1;
+    if (index === endIndex) break;
+
+    const x = index % windowWidth;
+    const y = (index - x) / windowWidth;
+
+    for (const [dx, dy] of NEIGHBORS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= windowWidth || ny >= windowHeight) continue;
+
+      const next = ny * windowWidth + nx;
+      if (done[next]) continue;
+
+      const step = dx !== 0 && dy !== 0 ? Math.SQRT2 : 1;
+      const total = distance[index] + cost[next] * step;
+      if (total < distance[next]) {
+        distance[next] = total;
+        previous[next] = index;
+        heap.push(next, total);
+      }
+    }
+  }
+
+  const path = [];
+  for (let index = endIndex; index !== -1; index = previous[index]) {
+    const x = index % windowWidth;
+    path.push({ x: x + left, y: (index - x) / windowWidth + top });
+  }
+
+  return path.reverse();
+}
+
+/**
+ * Length of a path in pixels
+ */
+export function pathLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return length;
+}
+
+/**
+ * Binary min-heap of indices keyed by distance
+ */
+class MinHeap {
+  constructor() {
+    this.indices = [];
+    this.keys = [];
+  }
+
+  get size() {
+    return this.indices.length;
+  }
+
+  push(index, key) {
+    const { indices, keys } = this;
+    let i = indices.length;
+    indices.push(index);
+    keys.push(key);
+
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (keys[parent] <= key) break;
+      indices[i] = indices[parent];
+      keys[i] = keys[parent];
+      i = parent;
+    }
+    indices[i] = index;
+    keys[i] = key;
+  }
+
+  pop() {
+    const { indices, keys } = this;
+    const top = indices[0];
+    const lastIndex = indices.pop();
+    const lastKey = keys.pop();
+    const length = indices.length;
+    if (length === 0) return top;
+
+    let i = 0;
+    while (true) {
+      const left = i * 2 + 1;
+      if (left >= length) break;
+      const right = left + 1;
+      const child = right < length && keys[right] < keys[left] ? right : left;
+      if (keys[child] >= lastKey) break;
+      indices[i] = indices[child];
+      keys[i] = keys[child];
+      i = child;
+    }
+    indices[i] = lastIndex;
+    keys[i] = lastKey;
+
+    return top;
+  }
+}
@@ -23,6 +23,9 @@ class BaseMarqueeTool extends BaseTool {
     this.startPoint = null;
     this.currentPoint = null;
 
+    // Dragging inside the selection moves its outline
+    this.isMoving = false;
+
     // Options
     this.feather = 0;
     this.antiAlias = true;
@@ -49,10 +52,18 @@ class BaseMarqueeTool extends BaseTool {
     const app = window.photoEditorApp;
     if (!app || !app.document) return;
 
-    this.isSelecting = true;
     this.startPoint = { x: event.x, y: event.y };
     this.currentPoint = { x: event.x, y: event.y };
 
+    // Without modifiers, a drag inside the selection moves it
+    const modifier = event.shiftKey || event.altKey;
+    if (!modifier && app.selection?.hasSelection() && app.selection.containsPoint(event.x, event.y)) {
+      this.isMoving = true;
+      return;
+    }
+
+    this.isSelecting = true;
+
     // Emit start event for overlay drawing
     this.eventBus.emit(Events.SELECTION_PREVIEW_START, {
       shape: this.shape,
@@ -62,6 +73,11 @@ class BaseMarqueeTool extends BaseTool {
   }
 
   onPointerMove(event) {
+    if (this.isMoving) {
+      window.photoEditorApp?.selection?.previewTransform(this.getMoveMatrix(event));
+      return;
+    }
+
     if (!this.isSelecting) return;
 
     this.currentPoint = { x: event.x, y: event.y };
@@ -77,11 +93,20 @@ class BaseMarqueeTool extends BaseTool {
   }
 
   onPointerUp(event) {
-    if (!this.isSelecting) return;
-
     const app = window.photoEditorApp;
     if (!app || !app.document) return;
 
+    if (this.isMoving) {
+      this.isMoving = false;
+      app.selection?.transform(this.getMoveMatrix(event));
+      this.eventBus.emit(Events.RENDER_REQUEST);
+      this.startPoint = null;
+      this.currentPoint = null;
+      return;
+    }
+
+    if (!this.isSelecting) return;
+
     this.isSelecting = false;
     this.currentPoint = { x: event.x, y: event.y };
 
@@ -141,6 +166,14 @@ class BaseMarqueeTool extends BaseTool {
   }
 
   cancelSelection() {
+    if (this.isMoving) {
+      this.isMoving = false;
+      this.startPoint = null;
+      const selection = window.photoEditorApp?.selection;
+      selection?.endPreview();
+      this.eventBus?.emit(Events.SELECTION_CHANGED, { selection });
+    }
+
     if (this.isSelecting) {
       this.isSelecting = false;
       this.startPoint = null;
@@ -149,6 +182,21 @@ class BaseMarqueeTool extends BaseTool {
     }
   }
 
+  /**
+   * Whole-pixel move from the drag start; Shift keeps it horizontal or vertical
+   */
+  getMoveMatrix(event) {
+    let dx = Math.round(event.x - this.startPoint.x);
+    let dy = Math.round(event.y - this.startPoint.y);
+
+    if (event.shiftKey) {
+      if (Math.abs(dx) > Math.abs(dy)) dy = 0;
+      else dx = 0;
+    }
+
+    return { a: 1, b: 0, c: 0, d: 1, e: dx, f: dy };
+  }
+
   /**
    * Calculate selection bounds from start and current points
    * @param {boolean} constrain - Shift key: constrain to square/circle
@@ -210,7 +258,7 @@ class BaseMarqueeTool extends BaseTool {
   }
 
   getCursor() {
-    return 'crosshair';
+    return this.isMoving ? 'move' : 'crosshair';
   }
 }
 
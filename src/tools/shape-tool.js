@@ -0,0 +1,468 @@
+/**
+ * Shape Tools - Draw vector shape layers
+ * Rectangle, Ellipse, Polygon/Star, Line and Custom Shape. Drag to draw,
+ * Shift constrains proportions (or line angle), Alt draws from the centre.
+ * Changing options while a shape layer is active edits that shape.
+ */
+
+import { BaseTool } from './base-tool.js';
+import { getStore } from '../core/store.js';
+import { getEventBus, Events } from '../core/event-bus.js';
+import { Command, getHistory, registerCommand } from '../core/commands.js';
+import { LayerType } from '../document/layer.js';
+import {
+  ShapeKind, ShapePresets, ShapeLayer, createShapeLayer, getLineGeometry, SetShapeCommand
+} from '../document/shape-layer.js';
+
+// Minimum drag distance (document px) before a shape is created
+const DRAG_THRESHOLD = 2;
+
+/**
+ * Names of the registered shape tools
+ */
+export const ShapeTools = ['rectangle', 'ellipse', 'polygon', 'line', 'customShape'];
+
+/**
+ * Stroke dash patterns offered in the options bar (multiples of stroke width)
+ */
+export const DashPatterns = {
+  solid: [],
+  dashed: [4, 2],
+  dotted: [1, 1]
+};
+
+/**
+ * Command for adding a new shape layer (undo/redo)
+ */
+class AddShapeLayerCommand extends Command {
+  constructor(layer, index) {
+    super(`Add ${layer.name}`);
+    this.layer = layer;
+    this.index = index;
+  }
+
+  execute() {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return false;
+
+    app.document.addLayer(this.layer, this.index);
+    app.document.setActiveLayer(this.layer.id);
+
+    getEventBus().emit(Events.RENDER_REQUEST);
+    return true;
+  }
+
+  undo() {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return false;
+
+    app.document.removeLayer(this.layer.id);
+
+    getEventBus().emit(Events.RENDER_REQUEST);
+    return true;
+  }
+
+  serialize() {
+    return { type: 'add-shape-layer', data: { layer: this.layer.toJSON(), index: this.index } };
+  }
+}
+
+// Reuses the layer if the restored document still has it
+registerCommand('add-shape-layer', (data, { document }) => {
+  let layer = document?.getLayer(data.layer.id);
+  if (!layer) {
+    layer = new ShapeLayer(data.layer);
+    layer.renderShape();
+  }
+  return new AddShapeLayerCommand(layer, data.index);
+});
+
+/**
+ * Base class for shape tools
+ */
+class BaseShapeTool extends BaseTool {
+  constructor(name, kind) {
+    super(name);
+    this.kind = kind;
+
+    this.store = null;
+    this.eventBus = null;
+    this.unsubscribers = [];
+
+    // Drag state
+    this.isDragging = false;
+    this.startPoint = null;
+    this.currentPoint = null;
+    this.drawingLayer = null;
+
+    this.options = {
+      fill: true,
+      stroke: false,
+      strokeColor: '#000000',
+      strokeWidth: 3,
+      dash: 'solid',
+      cornerRadius: 0,
+      sides: 5,
+      star: false,
+      starRatio: 50,
+      lineWeight: 4,
+      preset: 'arrow'
+    };
+  }
+
+  onActivate() {
+    super.onActivate();
+    this.store = getStore();
+    this.eventBus = getEventBus();
+
+    // Share the options with the options bar, which also reflects the selected shape
+    const stored = this.store.state.tools.options.shape;
+    if (stored) {
+      this.options = Object.assign(stored, { ...this.options, ...stored });
+    }
+
+    // The foreground color fills (or, for lines, strokes) the active shape
+    this.unsubscribers.push(
+      this.eventBus.on(Events.COLOR_FOREGROUND_CHANGED, ({ color }) => {
+        const layer = this.getActiveShapeLayer();
+        if (!layer || this.isDragging) return;
+
+        if (layer.shape.kind === ShapeKind.LINE) {
+          this.editShape(layer, { stroke: color });
+        } else if (layer.shape.fill) {
+          this.editShape(layer, { fill: color });
+        }
+      })
+    );
+  }
+
+  onDeactivate() {
+    this.cancelShape();
+
+    this.unsubscribers.forEach(unsub => unsub());
+    this.unsubscribers = [];
+
+    super.onDeactivate();
+  }
+
+  onPointerDown(event) {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return;
+
+    this.isDragging = true;
+    this.startPoint = { x: event.x, y: event.y };
+    this.currentPoint = { x: event.x, y: event.y };
+    this.drawingLayer = null;
+  }
+
+  onPointerMove(event) {
+    if (!this.isDragging) return;
+
+    this.currentPoint = { x: event.x, y: event.y };
+    this.updateShape(event.shiftKey, event.altKey);
+  }
+
+  onPointerUp(event) {
+    if (!this.isDragging) return;
+
+    this.isDragging = false;
+    this.currentPoint = { x: event.x, y: event.y };
+    this.updateShape(event.shiftKey, event.altKey);
+
+    const layer = this.drawingLayer;
+    this.drawingLayer = null;
+    if (!layer) return;
+
+    const app = window.photoEditorApp;
+    const index = app.document.layers.indexOf(layer);
+    const command = new AddShapeLayerCommand(layer, index);
+
+    getHistory().push(command);
+    this.eventBus.emit(Events.LAYER_UPDATED, { layer });
+  }
+
+  onKeyDown(event) {
+    if (event.key === 'Escape') {
+      this.cancelShape();
+    }
+  }
+
+  /**
+   * Create or reshape the layer being drawn
+   */
+  updateShape(constrain, fromCenter) {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return;
+
+    const dx = this.currentPoint.x - this.startPoint.x;
+    const dy = this.currentPoint.y - this.startPoint.y;
+
+    if (!this.drawingLayer && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+
+    const geometry = this.getGeometry(constrain, fromCenter);
+
+    if (!this.drawingLayer) {
+      const doc = app.document;
+      const layer = createShapeLayer(
+        { ...this.getShapeProps(), ...geometry },
+        doc.width,
+        doc.height
+      );
+
+      const activeIndex = doc.layers.findIndex(l => l.id === doc.activeLayerId);
+      doc.addLayer(layer, activeIndex === -1 ? -1 : activeIndex + 1);
+      doc.setActiveLayer(layer.id);
+      this.drawingLayer = layer;
+    } else {
+      this.drawingLayer.setShape(geometry);
+    }
+
+    this.eventBus.emit(Events.RENDER_REQUEST);
+  }
+
+  /**
+   * Remove a shape that is still being drawn
+   */
+  cancelShape() {
+    if (!this.isDragging) return;
+
+    this.isDragging = false;
+
+    const app = window.photoEditorApp;
+    if (this.drawingLayer && app?.document) {
+      app.document.removeLayer(this.drawingLayer.id);
+      this.eventBus.emit(Events.RENDER_REQUEST);
+    }
+
+    this.drawingLayer = null;
+  }
+
+  /**
+   * Shape bounds from the drag, in document coordinates
+   * @param {boolean} constrain - Shift key: equal width and height
+   * @param {boolean} fromCenter - Alt key: draw from the centre
+   */
+  getGeometry(constrain, fromCenter) {
+    let width = this.currentPoint.x - this.startPoint.x;
+    let height = this.currentPoint.y - this.startPoint.y;
+
+    if (constrain) {
+      const size = Math.max(Math.abs(width), Math.abs(height));
+      width = (Math.sign(width) || 1) * size;
+      height = (Math.sign(height) || 1) * size;
+    }
+
+    if (fromCenter) {
+      return {
+        x: this.startPoint.x - Math.abs(width),
+        y: this.startPoint.y - Math.abs(height),
+        width: Math.abs(width) * 2,
+        height: Math.abs(height) * 2
+      };
+    }
+
+    return {
+      x: Math.min(this.startPoint.x, this.startPoint.x + width),
+      y: Math.min(this.startPoint.y, this.startPoint.y + height),
+      width: Math.abs(width),
+      height: Math.abs(height)
+    };
+  }
+
+  /**
+   * Fill and stroke for new shapes from the tool options
+   */
+  getStyleProps() {
+    const { fill, stroke, strokeColor, strokeWidth, dash } = this.options;
+    return {
+      fill: fill ? this.store.state.colors.foreground : null,
+      stroke: stroke ? strokeColor : null,
+      strokeWidth,
+      dash: DashPatterns[dash] || []
+    };
+  }
+
+  /**
+   * All properties for a new shape (geometry is added from the drag)
+   */
+  getShapeProps() {
+    return { kind: this.kind, ...this.getStyleProps() };
+  }
+
+  /**
+   * Properties of an existing shape affected by changed options
+   */
+  getShapeEdits(layer, options) {
+    const edits = {};
+    const style = this.getStyleProps();
+
+    if (options.fill !== undefined) edits.fill = style.fill;
+    if (options.stroke !== undefined || options.strokeColor !== undefined) edits.stroke = style.stroke;
+    if (options.strokeWidth !== undefined) edits.strokeWidth = style.strokeWidth;
+    if (options.dash !== undefined) edits.dash = style.dash;
+
+    return edits;
+  }
+
+  /**
+   * Record a change to an existing shape
+   */
+  editShape(layer, props) {
+    if (Object.keys(props).length === 0 || layer.locked) return;
+
+    const before = layer.shape;
+    const after = { ...before, ...props };
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+    getHistory().execute(new SetShapeCommand(layer.id, before, after));
+  }
+
+  getActiveShapeLayer() {
+    const layer = window.photoEditorApp?.document?.getActiveLayer();
+    return layer?.type === LayerType.SHAPE ? layer : null;
+  }
+
+  updateOptions(options) {
+    Object.assign(this.options, options);
+
+    // Live-edit the active shape
+    const layer = this.getActiveShapeLayer();
+    if (layer && !this.isDragging) {
+      this.editShape(layer, this.getShapeEdits(layer, options));
+    }
+  }
+
+  getCursor() {
+    return 'crosshair';
+  }
+}
+
+/**
+ * Rectangle Tool - Rectangles with optional rounded corners
+ */
+export class RectangleTool extends BaseShapeTool {
+  constructor() {
+    super('rectangle', ShapeKind.RECTANGLE);
+  }
+
+  getShapeProps() {
+    return { ...super.getShapeProps(), cornerRadius: this.options.cornerRadius };
+  }
+
+  getShapeEdits(layer, options) {
+    const edits = super.getShapeEdits(layer, options);
+    if (options.cornerRadius !== undefined && layer.shape.kind === ShapeKind.RECTANGLE) {
+      edits.cornerRadius = this.options.cornerRadius;
+    }
+    return edits;
+  }
+}
+
+/**
+ * Ellipse Tool - Ellipses and circles
+ */
+export class EllipseTool extends BaseShapeTool {
+  constructor() {
+    super('ellipse', ShapeKind.ELLIPSE);
+  }
+}
+
+/**
+ * Polygon Tool - Regular polygons and stars
+ */
+export class PolygonTool extends BaseShapeTool {
+  constructor() {
+    super('polygon', ShapeKind.POLYGON);
+  }
+
+  getPolygonProps() {
+    return {
+      sides: this.options.sides,
+      star: this.options.star,
+      starRatio: this.options.starRatio / 100
+    };
+  }
+
+  getShapeProps() {
+    return { ...super.getShapeProps(), ...this.getPolygonProps() };
+  }
+
+  getShapeEdits(layer, options) {
+    const edits = super.getShapeEdits(layer, options);
+    if (layer.shape.kind === ShapeKind.POLYGON) {
+      const polygon = this.getPolygonProps();
+      for (const key of Object.keys(polygon)) {
+        if (options[key] !== undefined) edits[key] = polygon[key];
+      }
+    }
+    return edits;
+  }
+}
+
+/**
+ * Line Tool - Straight stroked lines
+ * Shift snaps the angle to 45 degree steps.
+ */
+export class LineTool extends BaseShapeTool {
+  constructor() {
+    super('line', ShapeKind.LINE);
+  }
+
+  getGeometry(constrain) {
+    let { x, y } = this.currentPoint;
+
+    if (constrain) {
+      const dx = x - this.startPoint.x;
+      const dy = y - this.startPoint.y;
+      const length = Math.hypot(dx, dy);
+      const angle = Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) * (Math.PI / 4);
+      x = this.startPoint.x + Math.cos(angle) * length;
+      y = this.startPoint.y + Math.sin(angle) * length;
+    }
+
+    return getLineGeometry(this.startPoint.x, this.startPoint.y, x, y);
+  }
+
+  getStyleProps() {
+    const { lineWeight, dash } = this.options;
+    return {
+      fill: null,
+      stroke: this.store.state.colors.foreground,
+      strokeWidth: lineWeight,
+      dash: DashPatterns[dash] || []
+    };
+  }
+
+  getShapeEdits(layer, options) {
+    const edits = {};
+    if (options.lineWeight !== undefined) edits.strokeWidth = this.options.lineWeight;
+    if (options.dash !== undefined) edits.dash = DashPatterns[this.options.dash] || [];
+    return edits;
+  }
+}
+
+/**
+ * Custom Shape Tool - Preset path shapes scaled to the dragged box
+ */
+export class CustomShapeTool extends BaseShapeTool {
+  constructor() {
+    super('customShape', ShapeKind.PATH);
+  }
+
+  getPresetPath() {
+    const preset = ShapePresets[this.options.preset] || ShapePresets.arrow;
+    return structuredClone(preset.path);
+  }
+
+  getShapeProps() {
+    return { ...super.getShapeProps(), path: this.getPresetPath() };
+  }
+
+  getShapeEdits(layer, options) {
+    const edits = super.getShapeEdits(layer, options);
+    if (options.preset !== undefined && layer.shape.kind === ShapeKind.PATH) {
+      edits.path = this.getPresetPath();
+    }
+    return edits;
+  }
+}
@@ -0,0 +1,404 @@
+/**
+ * Text Tool - Place and edit live text layers
+ * Click to create point text, drag to create paragraph text in a box
+ */
+
+import { BaseTool } from './base-tool.js';
+import { getStore } from '../core/store.js';
+import { getEventBus, Events } from '../core/event-bus.js';
+import { Command, getHistory, registerCommand } from '../core/commands.js';
+import { LayerType } from '../document/layer.js';
+import { createTextLayer, TextLayer, TextMode } from '../document/text-layer.js';
+
+// Minimum drag distance (document px) before a click becomes a text box
+const BOX_DRAG_THRESHOLD = 8;
+
+// Tool options that map directly onto text properties
+const TEXT_OPTION_KEYS = ['fontFamily', 'fontSize', 'fontWeight', 'align', 'lineHeight', 'letterSpacing'];
+
+/**
+ * Command for adding a new text layer (undo/redo)
+ */
+class AddTextLayerCommand extends Command {
+  constructor(layer, index) {
+    super('Add Text Layer');
+    this.layer = layer;
+    this.index = index;
+  }
+
+  execute() {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return false;
+
+    app.document.addLayer(this.layer, this.index);
+    app.document.setActiveLayer(this.layer.id);
+
+    getEventBus().emit(Events.RENDER_REQUEST);
+    return true;
+  }
+
+  undo() {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return false;
+
+    app.document.removeLayer(this.layer.id);
+
+    getEventBus().emit(Events.RENDER_REQUEST);
+    return true;
+  }
+
+  serialize() {
+    return { type: 'add-text-layer', data: { layer: this.layer.toJSON(), index: this.index } };
+  }
+}
+
+// Reuses the layer if the restored document still has it
+registerCommand('add-text-layer', (data, { document }) => {
+  let layer = document?.getLayer(data.layer.id);
+  if (!layer) {
+    layer = new TextLayer(data.layer);
+    layer.renderText();
+  }
+  return new AddTextLayerCommand(layer, data.index);
+});
+
+/**
+ * Command for editing text properties (undo/redo)
+ */
+class EditTextCommand extends Command {
+  constructor(layerId, beforeText, afterText) {
+    super('Edit Type Layer');
+    this.layerId = layerId;
+    this.beforeText = beforeText;
+    this.afterText = afterText;
+  }
+
+  execute() {
+    return this.applyText(this.afterText);
+  }
+
+  undo() {
+    return this.applyText(this.beforeText);
+  }
+
+  applyText(text) {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return false;
+
+    const layer = app.document.getLayer(this.layerId);
+    if (!layer || layer.type !== LayerType.TEXT) return false;
+
+    layer.setText(text);
+
+    getEventBus().emit(Events.LAYER_UPDATED, { layer });
+    getEventBus().emit(Events.RENDER_REQUEST);
+    return true;
+  }
+
+  serialize() {
+    return {
+      type: 'edit-text',
+      data: { layerId: this.layerId, beforeText: this.beforeText, afterText: this.afterText }
+    };
+  }
+}
+
+registerCommand('edit-text', data => new EditTextCommand(data.layerId, data.beforeText, data.afterText));
+
+export class TextTool extends BaseTool {
+  constructor() {
+    super('text');
+
+    this.store = null;
+    this.eventBus = null;
+    this.unsubscribers = [];
+
+    // Drag state for creating text boxes
+    this.isDragging = false;
+    this.dragStart = null;
+    this.dragEnd = null;
+
+    // Editing state
+    this.editingLayer = null;
+    this.isNewLayer = false;
+    this.beforeText = null;
+
+    this.options = {
+      fontFamily: 'Arial',
+      fontSize: 48,
+      fontWeight: '400',
+      align: 'left',
+      lineHeight: 1.2,
+      letterSpacing: 0
+    };
+  }
+
+  onActivate() {
+    super.onActivate();
+    this.store = getStore();
+    this.eventBus = getEventBus();
+
+    const stored = this.store.state.tools.options.text;
+    if (stored) {
+      this.options = { ...this.options, ...stored };
+    }
+
+    this.unsubscribers.push(
+      this.eventBus.on(Events.TEXT_INPUT, ({ content }) => this.handleInput(content)),
+      this.eventBus.on(Events.TEXT_COMMIT, ({ cancel } = {}) => {
+        if (cancel) {
+          this.cancelEdit();
+        } else {
+          this.commitEdit();
+        }
+      }),
+      this.eventBus.on(Events.COLOR_FOREGROUND_CHANGED, ({ color }) => {
+        this.applyToEditingLayer({ color });
+      })
+    );
+  }
+
+  onDeactivate() {
+    this.commitEdit();
+
+    this.unsubscribers.forEach(unsub => unsub());
+    this.unsubscribers = [];
+
+    this.isDragging = false;
+    super.onDeactivate();
+  }
+
+  onPointerDown(event) {
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return;
+
+    // Clicking outside the text being edited finishes the edit
+    this.commitEdit();
+
+    // Clicking existing text starts editing it
+    const hit = this.hitTest(app.document, event.x, event.y);
+    if (hit) {
+      if (hit.locked) return;
+      app.document.setActiveLayer(hit.id);
+      this.beginEdit(hit, false);
+      return;
+    }
+
+    this.isDragging = true;
+    this.dragStart = { x: event.x, y: event.y };
+    this.dragEnd = { x: event.x, y: event.y };
+  }
+
+  onPointerMove(event) {
+    if (!this.isDragging) return;
+
+    this.dragEnd = { x: event.x, y: event.y };
+
+    // Reuse the marquee preview to show the text box being dragged out
+    this.eventBus.emit(Events.SELECTION_PREVIEW_UPDATE, {
+      shape: 'rectangle',
+      bounds: this.getDragRect()
+    });
+  }
+
+  onPointerUp(event) {
+    if (!this.isDragging) return;
+
+    this.isDragging = false;
+    this.dragEnd = { x: event.x, y: event.y };
+    this.eventBus.emit(Events.SELECTION_PREVIEW_END);
+
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return;
+
+    const rect = this.getDragRect();
+    const isBox = rect.width >= BOX_DRAG_THRESHOLD && rect.height >= BOX_DRAG_THRESHOLD;
+
+    const text = {
+      ...this.getTextOptions(),
+      color: this.store.state.colors.foreground,
+      content: ''
+    };
+
+    if (isBox) {
+      Object.assign(text, {
+        mode: TextMode.PARAGRAPH,
+        x: Math.round(rect.x),
+        y: Math.round(rect.y),
+        boxWidth: Math.round(rect.width),
+        boxHeight: Math.round(rect.height)
+      });
+    } else {
+      // Place the first line so its middle sits on the click point
+      Object.assign(text, {
+        mode: TextMode.POINT,
+        x: Math.round(this.dragStart.x),
+        y: Math.round(this.dragStart.y - (text.fontSize * text.lineHeight) / 2)
+      });
+    }
+
+    const doc = app.document;
+    const layer = createTextLayer(text, doc.width, doc.height, 'Text');
+
+    const activeIndex = doc.layers.findIndex(l => l.id === doc.activeLayerId);
+    doc.addLayer(layer, activeIndex === -1 ? -1 : activeIndex + 1);
+    doc.setActiveLayer(layer.id);
+
+    this.beginEdit(layer, true);
+  }
+
+  /**
+   * Find the topmost visible text layer under a point, looking inside groups
+   */
+  hitTest(doc, x, y, layers = doc.layers) {
+    for (let i = layers.length - 1; i >= 0; i--) {
+      const layer = layers[i];
+      if (!layer.visible) continue;
+
+      if (layer.type === LayerType.GROUP) {
+        const hit = this.hitTest(doc, x, y, layer.children ?? []);
+        if (hit) return hit;
+      } else if (layer.type === LayerType.TEXT && layer.containsPoint(x, y)) {
+        return layer;
+      }
+    }
+    return null;
+  }
+
+  getDragRect() {
+    const x = Math.min(this.dragStart.x, this.dragEnd.x);
+    const y = Math.min(this.dragStart.y, this.dragEnd.y);
+    return {
+      x,
+      y,
+      width: Math.abs(this.dragEnd.x - this.dragStart.x),
+      height: Math.abs(this.dragEnd.y - this.dragStart.y)
+    };
+  }
+
+  getTextOptions() {
+    const text = {};
+    for (const key of TEXT_OPTION_KEYS) {
+      if (this.options[key] !== undefined) {
+        text[key] = this.options[key];
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Start editing a text layer
+   */
+  beginEdit(layer, isNew) {
+    this.editingLayer = layer;
+    this.isNewLayer = isNew;
+    this.beforeText = { ...layer.text };
+
+    this.eventBus.emit(Events.TEXT_EDIT_START, { layer });
+  }
+
+  /**
+   * Update the edited layer's content from the on-canvas editor
+   */
+  handleInput(content) {
+    this.applyToEditingLayer({ content });
+  }
+
+  applyToEditingLayer(props) {
+    const layer = this.editingLayer;
+    if (!layer) return;
+
+    layer.setText(props);
+
+    this.eventBus.emit(Events.TEXT_EDIT_UPDATE, { layer });
+    this.eventBus.emit(Events.RENDER_REQUEST);
+  }
+
+  /**
+   * Finish editing and record the change in history
+   */
+  commitEdit() {
+    const layer = this.editingLayer;
+    if (!layer) return;
+
+    this.endEdit();
+
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return;
+
+    const doc = app.document;
+    const isEmpty = layer.text.content.trim() === '';
+
+    // An empty new text layer is discarded rather than recorded
+    if (this.isNewLayer && isEmpty) {
+      doc.removeLayer(layer.id);
+      this.eventBus.emit(Events.RENDER_REQUEST);
+      return;
+    }
+
+    let command;
+
+    if (this.isNewLayer) {
+      layer.name = layer.text.content.split('\n')[0].slice(0, 30);
+      const index = doc.layers.indexOf(layer);
+      command = new AddTextLayerCommand(layer, index);
+    } else if (JSON.stringify(this.beforeText) !== JSON.stringify(layer.text)) {
+      command = new EditTextCommand(layer.id, this.beforeText, { ...layer.text });
+    }
+
+    this.beforeText = null;
+    this.eventBus.emit(Events.LAYER_UPDATED, { layer });
+
+    if (!command) return;
+
+    getHistory().push(command);
+  }
+
+  /**
+   * Abandon editing and restore the previous text
+   */
+  cancelEdit() {
+    const layer = this.editingLayer;
+    if (!layer) return;
+
+    this.endEdit();
+
+    const app = window.photoEditorApp;
+    if (!app || !app.document) return;
+
+    if (this.isNewLayer) {
+      app.document.removeLayer(layer.id);
+    } else {
+      layer.setText(this.beforeText);
+      this.eventBus.emit(Events.LAYER_UPDATED, { layer });
+    }
+
+    this.beforeText = null;
+    this.eventBus.emit(Events.RENDER_REQUEST);
+  }
+
+  endEdit() {
+    const layer = this.editingLayer;
+    this.editingLayer = null;
+    this.eventBus.emit(Events.TEXT_EDIT_END, { layer });
+  }
+
+  updateOptions(options) {
+    super.updateOptions(options);
+
+    // Live-update the text being edited
+    if (this.editingLayer) {
+      const props = {};
+      for (const key of TEXT_OPTION_KEYS) {
+        if (options[key] !== undefined) {
+          props[key] = options[key];
+        }
+      }
+      this.applyToEditingLayer(props);
+    }
+  }
+
+  getCursor() {
+    return 'text';
+  }
+}
@@ -4,6 +4,7 @@
 
 import { getStore } from '../core/store.js';
 import { getEventBus, Events } from '../core/event-bus.js';
+import { getShortcuts } from '../core/shortcuts.js';
 
 class ToolManager {
   constructor() {
@@ -22,6 +23,9 @@ class ToolManager {
     this.eventBus.on(Events.CANVAS_POINTER_MOVE, (e) => this.onPointerMove(e));
     this.eventBus.on(Events.CANVAS_POINTER_UP, (e) => this.onPointerUp(e));
 
+    // Keys not taken by a shortcut go to the active tool (Enter, arrows...)
+    document.addEventListener('keydown', (e) => this.onKeyDown(e));
+
     // Listen for tool changes
     this.eventBus.on(Events.TOOL_CHANGED, ({ tool }) => this.setTool(tool));
     this.eventBus.on(Events.TOOL_OPTIONS_CHANGED, ({ tool, options }) => {
@@ -75,6 +79,11 @@ class ToolManager {
       this.activeTool.onPointerUp(event);
     }
   }
+
+  onKeyDown(event) {
+    if (!this.activeTool || getShortcuts().isInputElement(event.target)) return;
+    this.activeTool.onKeyDown(event);
+  }
 }
 
 let toolManagerInstance = null;
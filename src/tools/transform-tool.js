@@ -1,11 +1,22 @@
 /**
  * Transform Tool - Scale, rotate, skew layers
+ * Shape layers are transformed through their geometry, so they stay sharp.
+ * In Transform Selection mode the same handles move the selection outline
+ * and leave pixels alone. The skew, distort, perspective and warp modes
+ * resample the pixels of raster layers (see transform-warp.js).
  */
 
 import { BaseTool } from './base-tool.js';
 import { getStore } from '../core/store.js';
 import { getEventBus, Events } from '../core/event-bus.js';
-import { Command, getHistory } from '../core/commands.js';
+import { Command, getHistory, registerCommand } from '../core/commands.js';
+import { PixelDelta } from '../core/pixel-delta.js';
+import { LayerType } from '../document/layer.js';
+import { cloneShape } from '../document/shape-layer.js';
+import {
+  TransformMode, TransformModeNames, WarpPreset, getContentBounds, rectToQuad,
+  createWarpMesh, renderPerspective, renderMesh
+} from './transform-warp.js';
 
 /**
  * Transform handle types
@@ -24,15 +35,32 @@ const HandleType = {
   MOVE: 'move'
 };
 
+/**
+ * What the transform handles act on
+ */
+export const TransformTarget = {
+  LAYER: 'layer',
+  SELECTION: 'selection'
+};
+
+// Modes that move the corners of a quad; warp moves a grid of points instead
+const QuadModes = [TransformMode.SKEW, TransformMode.DISTORT, TransformMode.PERSPECTIVE];
+
 /**
  * Command for layer transforms (undo/redo)
+ * Pixel transforms (skew, distort, perspective, warp) keep the layer geometry
+ * and carry the resampled pixels as a delta instead.
  */
 class TransformCommand extends Command {
-  constructor(layerId, beforeState, afterState) {
-    super('Transform');
+  /**
+   * @param {Object} options - { name: history name, pixels: PixelDelta }
+   */
+  constructor(layerId, beforeState, afterState, options = {}) {
+    super(options.name || 'Transform');
     this.layerId = layerId;
     this.beforeState = beforeState;
     this.afterState = afterState;
+    this.pixels = options.pixels || null;
   }
 
   execute() {
@@ -42,7 +70,7 @@ class TransformCommand extends Command {
     const layer = app.document.getLayer(this.layerId);
     if (!layer) return false;
 
-    this.applyState(layer, this.afterState);
+    this.applyState(layer, this.afterState, 'after');
     return true;
   }
 
@@ -53,11 +81,11 @@ class TransformCommand extends Command {
     const layer = app.document.getLayer(this.layerId);
     if (!layer) return false;
 
-    this.applyState(layer, this.beforeState);
+    this.applyState(layer, this.beforeState, 'before');
     return true;
   }
 
-  applyState(layer, state) {
+  applyState(layer, state, side) {
     layer.x = state.x;
     layer.y = state.y;
     layer.width = state.width;
@@ -67,11 +95,61 @@ class TransformCommand extends Command {
     layer.scaleY = state.scaleY;
     layer.dirty = true;
 
+    if (state.shape) {
+      layer.setShape(state.shape);
+    }
+
+    if (this.pixels && this.pixels.apply(layer.ctx, side)) {
+      layer.updateThumbnail();
+    }
+
     getEventBus().emit(Events.LAYER_UPDATED, { layer });
     getEventBus().emit(Events.RENDER_REQUEST);
   }
+
+  getMemorySize() {
+    return this.pixels ? this.pixels.byteSize : 0;
+  }
+
+  canSpill() {
+    return !!this.pixels;
+  }
+
+  isSpilled() {
+    return !!this.pixels?.spilled;
+  }
+
+  spill() {
+    return this.pixels ? this.pixels.spill() : Promise.resolve();
+  }
+
+  restore() {
+    return this.pixels ? this.pixels.restore() : Promise.resolve();
+  }
+
+  dispose() {
+    this.pixels?.dispose();
+  }
+
+  async serialize() {
+    return {
+      type: 'transform',
+      data: {
+        layerId: this.layerId,
+        beforeState: this.beforeState,
+        afterState: this.afterState,
+        name: this.name,
+        pixels: this.pixels ? await this.pixels.toRecord() : null
+      }
+    };
+  }
 }
 
+registerCommand('transform', data => new TransformCommand(data.layerId, data.beforeState, data.afterState, {
+  name: data.name,
+  pixels: data.pixels ? PixelDelta.fromRecord(data.pixels) : null
+}));
+
 export class TransformTool extends BaseTool {
   constructor() {
     super('transform');
@@ -86,22 +164,85 @@ export class TransformTool extends BaseTool {
     this.startBounds = null;
     this.currentBounds = null;
 
-    // Target layer
+    // Target layer, or the selection in Transform Selection mode
+    this.target = TransformTarget.LAYER;
     this.targetLayerId = null;
     this.beforeState = null;
 
+    // Set before activation to transform the selection instead of the layer
+    this.nextTarget = TransformTarget.LAYER;
+    this.returnTool = null;
+
+    // Pixel transforms: the layer pixels before the transform, the part of
+    // them being transformed, and the quad or warp mesh it is mapped onto
+    this.mode = TransformMode.FREE;
+    this.pixelSource = null;
+    this.sourceRect = null;
+    this.pixelRect = null;
+    this.quad = null;
+    this.mesh = null;
+    this.startPoints = null;
+    this.pixelHandle = null;
+    this.previewFrame = null;
+
     // Handle size for hit testing
     this.handleSize = 8;
     this.rotateHandleDistance = 30;
   }
 
+  getOptions() {
+    return this.store?.state.tools.options.transform ||
+      { mode: TransformMode.FREE, warpPreset: WarpPreset.CUSTOM, bend: 50, grid: 3 };
+  }
+
+  /**
+   * Mode and warp changes apply to the transform in progress
+   */
+  updateOptions(options) {
+    super.updateOptions(options);
+    if (!this.isActive || this.target !== TransformTarget.LAYER || !this.targetLayerId) return;
+
+    const layer = window.photoEditorApp?.document?.getLayer(this.targetLayerId);
+    if (!layer) return;
+
+    if ('mode' in options) {
+      // Switching between quad modes keeps the corners where they are
+      if (this.pixelSource && QuadModes.includes(this.mode) && QuadModes.includes(options.mode)) {
+        this.mode = options.mode;
+        return;
+      }
+
+      this.cancelTransform();
+      this.startTransform(layer);
+      return;
+    }
+
+    if (this.mesh && ('warpPreset' in options || 'bend' in options || 'grid' in options)) {
+      this.mesh = this.createMesh(this.pixelRect);
+      this.schedulePixelPreview();
+      this.eventBus.emit(Events.TRANSFORM_UPDATE, this.getPixelHandles());
+    }
+  }
+
   onActivate() {
     super.onActivate();
     this.store = getStore();
     this.eventBus = getEventBus();
 
-    // Start transform on active layer
+    const target = this.nextTarget;
+    this.nextTarget = TransformTarget.LAYER;
+
     const app = window.photoEditorApp;
+    if (target === TransformTarget.SELECTION) {
+      // The tool manager hasn't switched yet, so this is the tool to go back to
+      this.returnTool = this.store.state.tools.active;
+      if (app?.selection?.hasSelection()) {
+        this.startSelectionTransform(app.selection);
+      }
+      return;
+    }
+
+    // Start transform on active layer
     if (app?.document) {
       const layer = app.document.getActiveLayer();
       if (layer) {
@@ -116,38 +257,138 @@ export class TransformTool extends BaseTool {
   }
 
   startTransform(layer) {
+    // Only raster layers have pixels to resample; others get free transform
+    const { mode } = this.getOptions();
+    if (mode !== TransformMode.FREE && layer.type === LayerType.RASTER &&
+        this.startPixelTransform(layer, mode)) {
+      return;
+    }
+
+    this.target = TransformTarget.LAYER;
     this.targetLayerId = layer.id;
-    this.beforeState = {
+    this.mode = TransformMode.FREE;
+    this.beforeState = this.getLayerState(layer);
+
+    this.currentBounds = {
       x: layer.x,
       y: layer.y,
       width: layer.width,
       height: layer.height,
-      rotation: layer.rotation || 0,
-      scaleX: layer.scaleX || 1,
-      scaleY: layer.scaleY || 1
+      rotation: layer.rotation || 0
     };
 
-    this.currentBounds = {
+    // Shapes are transformed by their geometry bounds rather than their canvas
+    if (layer.type === LayerType.SHAPE) {
+      const { x, y, width, height, rotation } = layer.shape;
+      this.beforeState.shape = cloneShape(layer.shape);
+      this.currentBounds = { x: layer.x + x, y: layer.y + y, width, height, rotation };
+    }
+
+    // Show transform handles
+    this.eventBus.emit(Events.TRANSFORM_START, {
+      bounds: this.currentBounds,
+      showRotation: true
+    });
+  }
+
+  getLayerState(layer) {
+    return {
       x: layer.x,
       y: layer.y,
       width: layer.width,
       height: layer.height,
-      rotation: layer.rotation || 0
+      rotation: layer.rotation || 0,
+      scaleX: layer.scaleX || 1,
+      scaleY: layer.scaleY || 1
     };
+  }
+
+  /**
+   * Put the handles around the layer content for skew, distort, perspective
+   * or warp
+   * @returns {boolean} False if the layer has no pixels to transform
+   */
+  startPixelTransform(layer, mode) {
+    const source = layer.ctx.getImageData(0, 0, layer.width, layer.height);
+    const bounds = getContentBounds(source);
+    if (!bounds) return false;
+
+    this.target = TransformTarget.LAYER;
+    this.targetLayerId = layer.id;
+    this.beforeState = this.getLayerState(layer);
+    this.mode = mode;
+    this.pixelSource = source;
+    this.sourceRect = bounds;
+    this.pixelRect = { ...bounds, x: layer.x + bounds.x, y: layer.y + bounds.y };
+    this.currentBounds = { ...this.pixelRect, rotation: 0 };
+    this.quad = rectToQuad(this.pixelRect);
+    this.mesh = mode === TransformMode.WARP ? this.createMesh(this.pixelRect) : null;
+
+    // Preset warps show straight away
+    if (this.mesh && this.getOptions().warpPreset !== WarpPreset.CUSTOM) {
+      this.schedulePixelPreview();
+    }
+
+    this.eventBus.emit(Events.TRANSFORM_START, this.getPixelHandles());
+    return true;
+  }
+
+  createMesh(rect) {
+    const { warpPreset, bend, grid } = this.getOptions();
+    return createWarpMesh(rect, grid, warpPreset, bend);
+  }
+
+  /**
+   * Overlay data for the quad or warp mesh
+   */
+  getPixelHandles() {
+    return { quad: this.quad, mesh: this.mesh, showRotation: false };
+  }
+
+  /**
+   * Put the handles around the selection
+   */
+  startSelectionTransform(selection) {
+    const { x, y, width, height } = selection.bounds;
+
+    this.target = TransformTarget.SELECTION;
+    this.targetLayerId = null;
+    this.beforeState = { x, y, width, height, rotation: 0 };
+    this.currentBounds = { x, y, width, height, rotation: 0 };
 
-    // Show transform handles
     this.eventBus.emit(Events.TRANSFORM_START, {
       bounds: this.currentBounds,
       showRotation: true
     });
   }
 
+  /**
+   * Whether a transform is in progress
+   */
+  hasTarget() {
+    return this.target === TransformTarget.SELECTION ? !!this.beforeState : !!this.targetLayerId;
+  }
+
   onPointerDown(event) {
-    if (!this.targetLayerId) return;
+    if (!this.hasTarget()) return;
 
     const app = window.photoEditorApp;
     if (!app || !app.document) return;
 
+    if (this.pixelSource) {
+      this.pixelHandle = this.hitTestPixelHandle(event.x, event.y);
+      if (!this.pixelHandle) {
+        this.applyTransform();
+        return;
+      }
+
+      this.activeHandle = this.pixelHandle.type === 'move' ? HandleType.MOVE : HandleType.NONE;
+      this.startPoint = { x: event.x, y: event.y };
+      this.startPoints = (this.mesh ? this.mesh.points : this.quad).map(p => ({ ...p }));
+      this.isTransforming = true;
+      return;
+    }
+
     // Hit test handles
     this.activeHandle = this.hitTestHandle(event.x, event.y);
     this.startPoint = { x: event.x, y: event.y };
@@ -168,6 +409,11 @@ export class TransformTool extends BaseTool {
     const dx = event.x - this.startPoint.x;
     const dy = event.y - this.startPoint.y;
 
+    if (this.pixelSource) {
+      this.dragPixelHandle(dx, dy);
+      return;
+    }
+
     // Apply transform based on handle type
     switch (this.activeHandle) {
       case HandleType.MOVE:
@@ -227,6 +473,8 @@ export class TransformTool extends BaseTool {
     this.activeHandle = HandleType.NONE;
     this.startPoint = null;
     this.startBounds = null;
+    this.startPoints = null;
+    this.pixelHandle = null;
   }
 
   onKeyDown(event) {
@@ -248,6 +496,16 @@ export class TransformTool extends BaseTool {
   nudge(dx, dy) {
     if (!this.currentBounds) return;
 
+    if (this.pixelSource) {
+      for (const point of this.mesh ? this.mesh.points : this.quad) {
+        point.x += dx;
+        point.y += dy;
+      }
+      this.schedulePixelPreview();
+      this.eventBus.emit(Events.TRANSFORM_UPDATE, this.getPixelHandles());
+      return;
+    }
+
     this.currentBounds.x += dx;
     this.currentBounds.y += dy;
 
@@ -412,13 +670,177 @@ export class TransformTool extends BaseTool {
     return HandleType.NONE;
   }
 
+  /**
+   * Quad corner, edge or warp point under the pointer
+   * Corners are indexed top-left, top-right, bottom-right, bottom-left; edge
+   * i runs from corner i to the next one.
+   * @returns {{type: string, index?: number}|null} null outside the transform
+   */
+  hitTestPixelHandle(x, y) {
+    const hs = this.handleSize;
+    const near = p => Math.abs(x - p.x) <= hs && Math.abs(y - p.y) <= hs;
+
+    if (this.mesh) {
+      const index = this.mesh.points.findIndex(near);
+      if (index !== -1) return { type: 'point', index };
+    } else {
+      const corner = this.quad.findIndex(near);
+      if (corner !== -1) return { type: 'corner', index: corner };
+
+      const edge = this.quad.findIndex((p, i) => {
+        const next = this.quad[(i + 1) % 4];
+        return near({ x: (p.x + next.x) / 2, y: (p.y + next.y) / 2 });
+      });
+      if (edge !== -1) return { type: 'edge', index: edge };
+    }
+
+    return pointInPolygon(this.getOutline(), x, y) ? { type: 'move' } : null;
+  }
+
+  /**
+   * Outline of the quad, or of the warp mesh's border control points
+   */
+  getOutline() {
+    if (!this.mesh) return this.quad;
+
+    const { rows, cols, points } = this.mesh;
+    const at = (row, col) => points[row * (cols + 1) + col];
+    const outline = [];
+    for (let col = 0; col < cols; col++) outline.push(at(0, col));
+    for (let row = 0; row < rows; row++) outline.push(at(row, cols));
+    for (let col = cols; col > 0; col--) outline.push(at(rows, col));
+    for (let row = rows; row > 0; row--) outline.push(at(row, 0));
+    return outline;
+  }
+
+  /**
+   * Move the dragged corner, edge or point by the pointer offset
+   */
+  dragPixelHandle(dx, dy) {
+    const { type, index } = this.pixelHandle;
+    const points = this.startPoints.map(p => ({ ...p }));
+    const horizontal = Math.abs(dx) >= Math.abs(dy);
+
+    if (type === 'move') {
+      for (const point of points) {
+        point.x += dx;
+        point.y += dy;
+      }
+    } else if (type === 'point') {
+      points[index].x += dx;
+      points[index].y += dy;
+    } else if (type === 'corner') {
+      const corner = points[index];
+      if (this.mode === TransformMode.DISTORT) {
+        corner.x += dx;
+        corner.y += dy;
+      } else if (this.mode === TransformMode.PERSPECTIVE) {
+        // The other corner on the same edge moves the opposite way
+        if (horizontal) {
+          corner.x += dx;
+          points[index ^ 1].x -= dx;
+        } else {
+          corner.y += dy;
+          points[3 - index].y -= dy;
+        }
+      } else if (horizontal) {
+        corner.x += dx;
+      } else {
+        corner.y += dy;
+      }
+    } else if (type === 'edge') {
+      // Skew and perspective slide edges along themselves
+      const free = this.mode === TransformMode.DISTORT;
+      const topOrBottom = index % 2 === 0;
+      for (const point of [points[index], points[(index + 1) % 4]]) {
+        if (free || topOrBottom) point.x += dx;
+        if (free || !topOrBottom) point.y += dy;
+      }
+    }
+
+    if (this.mesh) {
+      this.mesh.points = points;
+    } else {
+      this.quad = points;
+    }
+
+    this.schedulePixelPreview();
+    this.eventBus.emit(Events.TRANSFORM_UPDATE, this.getPixelHandles());
+  }
+
+  /**
+   * Redraw the resampled layer at most once per frame
+   */
+  schedulePixelPreview() {
+    if (this.previewFrame) return;
+
+    this.previewFrame = requestAnimationFrame(() => {
+      this.previewFrame = null;
+      this.renderPixelPreview();
+    });
+  }
+
+  cancelPixelPreview() {
+    if (this.previewFrame) {
+      cancelAnimationFrame(this.previewFrame);
+      this.previewFrame = null;
+    }
+  }
+
+  /**
+   * Resample the layer for the current quad or mesh
+   * @returns {ImageData|null} The new layer pixels
+   */
+  renderPixelPreview() {
+    const layer = window.photoEditorApp?.document?.getLayer(this.targetLayerId);
+    if (!layer || !this.pixelSource) return null;
+
+    const pixels = new ImageData(layer.width, layer.height);
+    const offset = { x: layer.x, y: layer.y };
+    if (this.mesh) {
+      renderMesh(this.pixelSource, this.sourceRect, this.mesh, pixels, offset);
+    } else {
+      renderPerspective(this.pixelSource, this.sourceRect, this.quad, pixels, offset);
+    }
+
+    layer.ctx.putImageData(pixels, 0, 0);
+    layer.dirty = true;
+    this.eventBus.emit(Events.RENDER_REQUEST);
+    return pixels;
+  }
+
+  resetPixelTransform() {
+    this.cancelPixelPreview();
+    this.mode = TransformMode.FREE;
+    this.pixelSource = null;
+    this.sourceRect = null;
+    this.pixelRect = null;
+    this.quad = null;
+    this.mesh = null;
+    this.startPoints = null;
+    this.pixelHandle = null;
+  }
+
   updateLayerPreview() {
     const app = window.photoEditorApp;
     if (!app || !app.document) return;
 
+    // Only the outline moves until the transform is applied
+    if (this.target === TransformTarget.SELECTION) {
+      app.selection?.previewTransform(this.getSelectionMatrix());
+      return;
+    }
+
     const layer = app.document.getLayer(this.targetLayerId);
     if (!layer) return;
 
+    // Shapes re-render their geometry at the new size, so scaling is lossless
+    if (layer.type === LayerType.SHAPE) {
+      layer.setShape(this.getShapeGeometry(layer));
+      this.eventBus.emit(Events.RENDER_REQUEST);
+      return;
+    }
+
     // Update layer position and size
     layer.x = this.currentBounds.x;
     layer.y = this.currentBounds.y;
@@ -433,15 +855,117 @@ export class TransformTool extends BaseTool {
     this.eventBus.emit(Events.RENDER_REQUEST);
   }
 
+  /**
+   * Shape geometry matching the current transform bounds, in layer coordinates
+   */
+  getShapeGeometry(layer) {
+    return {
+      x: this.currentBounds.x - layer.x,
+      y: this.currentBounds.y - layer.y,
+      width: this.currentBounds.width,
+      height: this.currentBounds.height,
+      rotation: this.currentBounds.rotation || 0
+    };
+  }
+
+  /**
+   * Matrix taking the selection from its starting bounds to the current ones
+   * Scales about the center, then rotates there and moves it to the new center.
+   */
+  getSelectionMatrix() {
+    const from = this.beforeState;
+    const to = this.currentBounds;
+
+    const angle = (to.rotation || 0) * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const scaleX = to.width / from.width;
+    const scaleY = to.height / from.height;
+
+    const cx = from.x + from.width / 2;
+    const cy = from.y + from.height / 2;
+    const a = scaleX * cos;
+    const b = scaleX * sin;
+    const c = -scaleY * sin;
+    const d = scaleY * cos;
+
+    return {
+      a, b, c, d,
+      e: to.x + to.width / 2 - (a * cx + c * cy),
+      f: to.y + to.height / 2 - (b * cx + d * cy)
+    };
+  }
+
+  applySelectionTransform() {
+    const app = window.photoEditorApp;
+    if (!app || !this.beforeState) return;
+
+    app.selection?.transform(this.getSelectionMatrix());
+
+    this.eventBus.emit(Events.TRANSFORM_END);
+    this.eventBus.emit(Events.RENDER_REQUEST);
+
+    this.target = TransformTarget.LAYER;
+    this.beforeState = null;
+    this.currentBounds = null;
+
+    app.setTool(this.returnTool || 'move');
+  }
+
+  /**
+   * Commit the resampled pixels as one undo step
+   */
+  applyPixelTransform() {
+    const app = window.photoEditorApp;
+    const layer = app?.document?.getLayer(this.targetLayerId);
+
+    this.cancelPixelPreview();
+    const after = this.renderPixelPreview();
+
+    if (layer && after) {
+      const pixels = PixelDelta.fromImageData(this.pixelSource, after);
+      layer.updateThumbnail();
+
+      const command = new TransformCommand(this.targetLayerId, this.beforeState, this.beforeState, {
+        name: TransformModeNames[this.mode],
+        pixels
+      });
+      getHistory().push(command);
+      this.eventBus.emit(Events.LAYER_UPDATED, { layer });
+    }
+
+    this.eventBus.emit(Events.TRANSFORM_END);
+
+    this.resetPixelTransform();
+    this.targetLayerId = null;
+    this.beforeState = null;
+    this.currentBounds = null;
+
+    app?.setTool('move');
+  }
+
   applyTransform() {
+    if (this.target === TransformTarget.SELECTION) {
+      this.applySelectionTransform();
+      return;
+    }
+
+    if (this.pixelSource) {
+      this.applyPixelTransform();
+      return;
+    }
+
     const app = window.photoEditorApp;
     if (!app || !app.document || !this.targetLayerId) return;
 
     const layer = app.document.getLayer(this.targetLayerId);
     if (!layer) return;
 
-    // Create after state
-    const afterState = {
+    // Create after state (shapes only change their geometry)
+    const afterState = layer.type === LayerType.SHAPE ? {
+      ...this.beforeState,
+      shape: { ...cloneShape(layer.shape), ...this.getShapeGeometry(layer) }
+    } : {
       x: this.currentBounds.x,
       y: this.currentBounds.y,
       width: this.currentBounds.width,
@@ -453,12 +977,7 @@ export class TransformTool extends BaseTool {
 
     // Add to history
     const command = new TransformCommand(this.targetLayerId, this.beforeState, afterState);
-    const history = getHistory();
-    history.undoStack.push(command);
-    history.redoStack = [];
-
-    this.eventBus.emit(Events.HISTORY_PUSH, { command });
-    this.eventBus.emit(Events.DOCUMENT_MODIFIED);
+    getHistory().push(command);
 
     // Hide transform handles
     this.eventBus.emit(Events.TRANSFORM_END);
@@ -473,12 +992,42 @@ export class TransformTool extends BaseTool {
   }
 
   cancelTransform() {
+    if (this.target === TransformTarget.SELECTION && this.beforeState) {
+      const selection = window.photoEditorApp?.selection;
+      selection?.endPreview();
+      this.eventBus.emit(Events.SELECTION_CHANGED, { selection });
+      this.eventBus.emit(Events.TRANSFORM_END);
+
+      this.target = TransformTarget.LAYER;
+      this.beforeState = null;
+      this.currentBounds = null;
+      return;
+    }
+
     if (!this.beforeState || !this.targetLayerId) return;
 
     const app = window.photoEditorApp;
     if (!app || !app.document) return;
 
     const layer = app.document.getLayer(this.targetLayerId);
+
+    // Put back the pixels from before the preview
+    if (this.pixelSource) {
+      this.cancelPixelPreview();
+      if (layer) {
+        layer.ctx.putImageData(this.pixelSource, 0, 0);
+        layer.dirty = true;
+        this.eventBus.emit(Events.RENDER_REQUEST);
+      }
+
+      this.eventBus.emit(Events.TRANSFORM_END);
+      this.resetPixelTransform();
+      this.targetLayerId = null;
+      this.beforeState = null;
+      this.currentBounds = null;
+      return;
+    }
+
     if (layer) {
       // Restore original state
       layer.x = this.beforeState.x;
@@ -488,6 +1037,10 @@ export class TransformTool extends BaseTool {
       layer.rotation = this.beforeState.rotation;
       layer.dirty = true;
 
+      if (this.beforeState.shape) {
+        layer.setShape(this.beforeState.shape);
+      }
+
       this.eventBus.emit(Events.RENDER_REQUEST);
     }
 
@@ -501,6 +1054,8 @@ export class TransformTool extends BaseTool {
   }
 
   getCursor() {
+    if (this.pixelHandle && this.pixelHandle.type !== 'move') return 'crosshair';
+
     switch (this.activeHandle) {
       case HandleType.TOP_LEFT:
       case HandleType.BOTTOM_RIGHT:
@@ -523,3 +1078,18 @@ export class TransformTool extends BaseTool {
     }
   }
 }
+
+/**
+ * Even-odd test of a point against a polygon
+ */
+function pointInPolygon(points, x, y) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
@@ -0,0 +1,390 @@
+/**
+ * Transform Warp - Resampling for skew, distort, perspective and mesh warp
+ * Skew, distort and perspective map the layer content onto a quadrilateral
+ * with a projective transform (homography). Warp bends it through a grid of
+ * control points; the smooth surface through them is drawn as a fine mesh
+ * of triangles.
+ */
+
+export const TransformMode = {
+  FREE: 'free',
+  SKEW: 'skew',
+  DISTORT: 'distort',
+  PERSPECTIVE: 'perspective',
+  WARP: 'warp'
+};
+
+export const TransformModeNames = {
+  [TransformMode.FREE]: 'Free Transform',
+  [TransformMode.SKEW]: 'Skew',
+  [TransformMode.DISTORT]: 'Distort',
+  [TransformMode.PERSPECTIVE]: 'Perspective',
+  [TransformMode.WARP]: 'Warp'
+};
+
+export const WarpPreset = {
+  CUSTOM: 'custom',
+  ARC: 'arc',
+  BULGE: 'bulge',
+  FLAG: 'flag'
+};
+
+export const WarpPresetNames = {
+  [WarpPreset.CUSTOM]: 'Custom',
+  [WarpPreset.ARC]: 'Arc',
+  [WarpPreset.BULGE]: 'Bulge',
+  [WarpPreset.FLAG]: 'Flag'
+};
+
+// Triangle mesh cells drawn per warp grid cell, per side
+const MESH_SUBDIVISIONS = 8;
+
+/**
+ * Bounds of the non-transparent pixels
+ * @returns {{x, y, width, height}|null} null if every pixel is transparent
+ */
+export function getContentBounds(imageData) {
+  const { width, height, data } = imageData;
+  let left = width, top = height, right = -1, bottom = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] === 0) continue;
+      if (x < left) left = x;
+      if (x > right) right = x;
+      if (y < top) top = y;
+      if (y > bottom) bottom = y;
+    }
+  }
+
+  if (right < 0) return null;
+  return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Corners of a rectangle: top-left, top-right, bottom-right, bottom-left
+ */
+export function rectToQuad({ x, y, width, height }) {
+  return [
+    { x, y },
+    { x: x + width, y },
+    { x: x + width, y: y + height },
+    { x, y: y + height }
+  ];
+}
+
+/**
+ * Projective transform taking the unit square onto a quad
+ * (0,0), (1,0), (1,1), (0,1) go to the quad's corners in order.
+ * @returns {number[]} Row-major 3x3 matrix
+ */
+export function computeHomography(quad) {
+  const [p0, p1, p2, p3] = quad;
+  const sx = p0.x - p1.x + p2.x - p3.x;
+  const sy = p0.y - p1.y + p2.y - p3.y;
+
+  // Parallelograms (plain skew) are affine
+  if (Math.abs(sx) < 1e-9 && Math.abs(sy) < 1e-9) {
+    return [
+      p1.x - p0.x, p3.x - p0.x, p0.x,
+      p1.y - p0.y, p3.y - p0.y, p0.y,
+      0, 0, 1
+    ];
+  }
+
+  const dx1 = p1.x - p2.x;
+  const dx2 = p3.x - p2.x;
+  const dy1 = p1.y - p2.y;
+  const dy2 = p3.y - p2.y;
+  const det = dx1 * dy2 - dx2 * dy1;
+  const g = (sx * dy2 - dx2 * sy) / det;
+  const h = (dx1 * sy - sx * dy1) / det;
+
+  return [
+    p1.x - p0.x + g * p1.x, p3.x - p0.x + h * p3.x, p0.x,
+    p1.y - p0.y + g * p1.y, p3.y - p0.y + h * p3.y, p0.y,
+    g, h, 1
+  ];
+}
+
+/**
+ * Inverse of a 3x3 matrix (up to scale, which projective maps ignore)
+ */
+function invertHomography(m) {
+  const [a, b, c, d, e, f, g, h, i] = m;
+  return [
+    e * i - f * h, c * h - b * i, b * f - c * e,
+    f * g - d * i, a * i - c * g, c * d - a * f,
+    d * h - e * g, b * g - a * h, a * e - b * d
+  ];
+}
+
+/**
+ * Map a point through a 3x3 projective matrix
+ */
+export function projectPoint(m, x, y) {
+  const w = m[6] * x + m[7] * y + m[8];
+  return { x: (m[0] * x + m[1] * y + m[2]) / w, y: (m[3] * x + m[4] * y + m[5]) / w };
+}
+
+/**
+ * Bilinear sample with transparent pixels outside a rectangle of the source
+ * Colors are weighted by alpha so edges don't pick up dark fringes.
+ */
+function sampleBilinear(source, rect, sx, sy, out, o) {
+  const { width, data } = source;
+  const x0 = Math.floor(sx);
+  const y0 = Math.floor(sy);
+  const fx = sx - x0;
+  const fy = sy - y0;
+  const right = rect.x + rect.width;
+  const bottom = rect.y + rect.height;
+
+  let r = 0, g = 0, b = 0, a = 0;
+  for (let j = 0; j < 2; j++) {
+    const y = y0 + j;
+    if (y < rect.y || y >= bottom) continue;
+    const wy = j ? fy : 1 - fy;
+
+    for (let i = 0; i < 2; i++) {
+      const x = x0 + i;
+      if (x < rect.x || x >= right) continue;
+
+      const p = (y * width + x) * 4;
+      const weight = wy * (i ? fx : 1 - fx) * data[p + 3];
+      r += data[p] * weight;
+      g += data[p + 1] * weight;
+      b += data[p + 2] * weight;
+      a += weight;
+    }
+  }
+
+  if (a <= 0) return;
+  out[o] = r / a;
+  out[o + 1] = g / a;
+  out[o + 2] = b / a;
+  out[o + 3] = a;
+}
+
+/**
+ * Draw layer content mapped onto a quad
+ * @param {ImageData} source - Layer pixels before the transform
+ * @param {Object} sourceRect - Part of the source to transform (layer coordinates)
+ * @param {Array<{x, y}>} quad - Where the rectangle's corners go (document coordinates)
+ * @param {ImageData} target - Layer-sized pixels to draw into
+ * @param {{x, y}} offset - Layer position in the document
+ */
+export function renderPerspective(source, sourceRect, quad, target, offset = { x: 0, y: 0 }) {
+  const forward = computeHomography(quad);
+  const inverse = invertHomography(forward);
+  const { width, height } = target;
+
+  const left = Math.max(0, Math.floor(Math.min(...quad.map(p => p.x)) - offset.x));
+  const top = Math.max(0, Math.floor(Math.min(...quad.map(p => p.y)) - offset.y));
+  const right = Math.min(width, Math.ceil(Math.max(...quad.map(p => p.x)) - offset.x));
+  const bottom = Math.min(height, Math.ceil(Math.max(...quad.map(p => p.y)) - offset.y));
+
+  // Allow half a source pixel past the edge so it blends out smoothly
+  const marginU = 0.5 / sourceRect.width;
+  const marginV = 0.5 / sourceRect.height;
+
+  for (let y = top; y < bottom; y++) {
+    const dy = y + 0.5 + offset.y;
+    for (let x = left; x < right; x++) {
+      const dx = x + 0.5 + offset.x;
+      const w = inverse[6] * dx + inverse[7] * dy + inverse[8];
+      const u = (inverse[0] * dx + inverse[1] * dy + inverse[2]) / w;
+      const v = (inverse[3] * dx + inverse[4] * dy + inverse[5]) / w;
+      if (u < -marginU || u > 1 + marginU || v < -marginV || v > 1 + marginV) continue;
+
+      // Points behind the vanishing line map back from the wrong side
+      if (forward[6] * u + forward[7] * v + 1 <= 0) continue;
+
+      sampleBilinear(
+        source, sourceRect,
+        sourceRect.x + u * sourceRect.width - 0.5,
+        sourceRect.y + v * sourceRect.height - 0.5,
+        target.data, (y * width + x) * 4
+      );
+    }
+  }
+}
+
+/**
+ * Control point grid for a warp over a rectangle
+ * @param {Object} rect - Area being warped (document coordinates)
+ * @param {number} grid - Cells per side
+ * @param {string} preset - WarpPreset
+ * @param {number} bend - -100 to 100
+ * @returns {{rows: number, cols: number, points: Array<{x, y}>}}
+ */
+export function createWarpMesh(rect, grid = 3, preset = WarpPreset.CUSTOM, bend = 50) {
+  const cells = Math.max(1, Math.round(grid));
+  const amount = bend / 100;
+  const points = [];
+
+  for (let row = 0; row <= cells; row++) {
+    for (let col = 0; col <= cells; col++) {
+      const u = col / cells;
+      const v = row / cells;
+      // -1 to 1 across the rectangle
+      const cu = u * 2 - 1;
+      const cv = v * 2 - 1;
+      let dx = 0;
+      let dy = 0;
+
+      switch (preset) {
+        case WarpPreset.ARC:
+          // Rows bend into arches, the top more than the bottom
+          dy = -amount * rect.height * 0.5 * (1 - cu * cu) * (1 - v * 0.5);
+          break;
+
+        case WarpPreset.BULGE:
+          dx = amount * cu * rect.width * 0.25 * (1 - cv * cv);
+          dy = amount * cv * rect.height * 0.25 * (1 - cu * cu);
+          break;
+
+        case WarpPreset.FLAG:
+          dy = amount * rect.height * 0.25 * Math.sin(u * Math.PI * 2);
+          break;
+      }
+
+      points.push({ x: rect.x + u * rect.width + dx, y: rect.y + v * rect.height + dy });
+    }
+  }
+
+  return { rows: cells, cols: cells, points };
+}
+
+/**
+ * Catmull-Rom interpolation of four values
+ */
+function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return 0.5 * (2 * p1 + (p2 - p0) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+    (3 * p1 - p0 - 3 * p2 + p3) * t3);
+}
+
+/**
+ * Point on the smooth warp surface through the control points
+ * @param {Object} mesh - From createWarpMesh
+ * @param {number} u - 0-1 across
+ * @param {number} v - 0-1 down
+ */
+export function evaluateMesh(mesh, u, v) {
+  const { rows, cols, points } = mesh;
+
+  // Points past the edge of the grid continue its last step
+  const at = (row, col) => {
+    const r = Math.min(rows, Math.max(0, row));
+    const c = Math.min(cols, Math.max(0, col));
+    const p = points[r * (cols + 1) + c];
+    if (r === row && c === col) return p;
+
+    const inner = points[
+      Math.min(rows, Math.max(0, r * 2 - row)) * (cols + 1) + Math.min(cols, Math.max(0, c * 2 - col))
+    ];
+    return { x: p.x * 2 - inner.x, y: p.y * 2 - inner.y };
+  };
+
+  const gu = Math.min(cols - 1e-9, Math.max(0, u * cols));
+  const gv = Math.min(rows - 1e-9, Math.max(0, v * rows));
+  const col = Math.floor(gu);
+  const row = Math.floor(gv);
+  const tu = gu - col;
+  const tv = gv - row;
+
+  const across = [];
+  for (let j = -1; j <= 2; j++) {
+    const p0 = at(row + j, col - 1);
+    const p1 = at(row + j, col);
+    const p2 = at(row + j, col + 1);
+    const p3 = at(row + j, col + 2);
+    across.push({
+      x: catmullRom(p0.x, p1.x, p2.x, p3.x, tu),
+      y: catmullRom(p0.y, p1.y, p2.y, p3.y, tu)
+    });
+  }
+  return {
+    x: catmullRom(across[0].x, across[1].x, across[2].x, across[3].x, tv),
+    y: catmullRom(across[0].y, across[1].y, across[2].y, across[3].y, tv)
+  };
+}
+
+/**
+ * Fill a triangle, mapping each pixel back into the source with an affine map
+ */
+function drawTriangle(source, sourceRect, target, offset, d0, d1, d2, s0, s1, s2) {
+  const { width, height } = target;
+  const ax = d0.x - offset.x, ay = d0.y - offset.y;
+  const bx = d1.x - offset.x, by = d1.y - offset.y;
+  const cx = d2.x - offset.x, cy = d2.y - offset.y;
+
+  const area = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+  if (Math.abs(area) < 1e-9) return;
+
+  const left = Math.max(0, Math.floor(Math.min(ax, bx, cx)));
+  const top = Math.max(0, Math.floor(Math.min(ay, by, cy)));
+  const right = Math.min(width - 1, Math.ceil(Math.max(ax, bx, cx)));
+  const bottom = Math.min(height - 1, Math.ceil(Math.max(ay, by, cy)));
+  const epsilon = -1e-6;
+
+  for (let y = top; y <= bottom; y++) {
+    const py = y + 0.5;
+    for (let x = left; x <= right; x++) {
+      const px = x + 0.5;
+
+      // Barycentric weights of the pixel center
+      const w0 = ((bx - px) * (cy - py) - (by - py) * (cx - px)) / area;
+      const w1 = ((cx - px) * (ay - py) - (cy - py) * (ax - px)) / area;
+      const w2 = 1 - w0 - w1;
+      if (w0 < epsilon || w1 < epsilon || w2 < epsilon) continue;
+
+      sampleBilinear(
+        source, sourceRect,
+        w0 * s0.x + w1 * s1.x + w2 * s2.x - 0.5,
+        w0 * s0.y + w1 * s1.y + w2 * s2.y - 0.5,
+        target.data, (y * width + x) * 4
+      );
+    }
+  }
+}
+
+/**
+ * Draw layer content bent through a warp mesh
+ * @param {ImageData} source - Layer pixels before the warp
+ * @param {Object} sourceRect - Part of the source to warp (layer coordinates)
+ * @param {Object} mesh - From createWarpMesh (document coordinates)
+ * @param {ImageData} target - Layer-sized pixels to draw into
+ * @param {{x, y}} offset - Layer position in the document
+ */
+export function renderMesh(source, sourceRect, mesh, target, offset = { x: 0, y: 0 }) {
+  const columns = mesh.cols * MESH_SUBDIVISIONS;
+  const rows = mesh.rows * MESH_SUBDIVISIONS;
+
+  // Surface points and the source points they show
+  const surface = [];
+  for (let row = 0; row <= rows; row++) {
+    for (let col = 0; col <= columns; col++) {
+      const u = col / columns;
+      const v = row / rows;
+      surface.push({
+        dest: evaluateMesh(mesh, u, v),
+        src: { x: sourceRect.x + u * sourceRect.width, y: sourceRect.y + v * sourceRect.height }
+      });
+    }
+  }
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      const p00 = surface[row * (columns + 1) + col];
+      const p10 = surface[row * (columns + 1) + col + 1];
+      const p01 = surface[(row + 1) * (columns + 1) + col];
+      const p11 = surface[(row + 1) * (columns + 1) + col + 1];
+
+      drawTriangle(source, sourceRect, target, offset, p00.dest, p10.dest, p11.dest, p00.src, p10.src, p11.src);
+      drawTriangle(source, sourceRect, target, offset, p00.dest, p11.dest, p01.dest, p00.src, p11.src, p01.src);
+    }
+  }
+}
@@ -17,18 +17,35 @@ const STATIC_ASSETS = [
   '/src/core/store.js',
   '/src/core/event-bus.js',
   '/src/core/commands.js',
+  '/src/core/pixel-delta.js',
   '/src/core/shortcuts.js',
   // Document modules
   '/src/document/document.js',
   '/src/document/layer.js',
   '/src/document/selection.js',
   '/src/document/transform.js',
+  '/src/document/animation.js',
+  '/src/document/layer-styles.js',
+  '/src/document/text-layer.js',
+  '/src/document/shape-layer.js',
+  '/src/document/paths.js',
+  '/src/document/channels.js',
+  '/src/document/color-range.js',
+  '/src/document/select-subject.js',
+  '/src/document/refine-edge.js',
+  '/src/document/snapshots.js',
   // Tool modules
   '/src/tools/tool-manager.js',
   '/src/tools/base-tool.js',
   '/src/tools/brush/brush-tool.js',
   '/src/tools/brush/brush-engine.js',
   '/src/tools/brush/brush-presets.js',
+  '/src/tools/brush/abr-parser.js',
+  '/src/tools/brush/brush-effects.js',
+  '/src/tools/brush/stroke-stabilizer.js',
+  '/src/tools/brush/symmetry.js',
+  '/src/tools/brush/paint-mixer.js',
+  '/src/tools/brush/mixer-brush-tool.js',
   '/src/tools/eraser-tool.js',
   '/src/tools/move-tool.js',
   '/src/tools/eyedropper-tool.js',
@@ -36,20 +53,28 @@ const STATIC_ASSETS = [
   '/src/tools/gradient-tool.js',
   '/src/tools/crop-tool.js',
   '/src/tools/transform-tool.js',
+  '/src/tools/transform-warp.js',
+  '/src/tools/text-tool.js',
+  '/src/tools/shape-tool.js',
+  '/src/tools/pen-tool.js',
   '/src/tools/selection/marquee-tool.js',
   '/src/tools/selection/lasso-tool.js',
+  '/src/tools/selection/live-wire.js',
   '/src/tools/selection/magic-wand-tool.js',
   // Engine modules
   '/src/engine/renderer.js',
   '/src/engine/compositor.js',
   // Effects
   '/src/effects/adjustments/index.js',
+  '/src/effects/filters/filters.js',
+  '/src/effects/filters/smart-filters.js',
   // I/O modules
   '/src/io/file-handler.js',
   '/src/io/image-import.js',
   '/src/io/image-export.js',
   '/src/io/psd/psd-import.js',
   '/src/io/psd/psd-export.js',
+  '/src/io/svg-export.js',
   // Storage modules
   '/src/storage/db.js',
   '/src/storage/project-store.js',
@@ -61,11 +86,20 @@ const STATIC_ASSETS = [
   '/src/components/panels/layers-panel.js',
   '/src/components/panels/color-panel.js',
   '/src/components/panels/history-panel.js',
+  '/src/components/panels/paths-panel.js',
+  '/src/components/panels/channels-panel.js',
   '/src/components/panels/brushes-panel.js',
   '/src/components/panels/adjustments-panel.js',
   '/src/components/dialogs/export-dialog.js',
+  '/src/components/dialogs/layer-style-dialog.js',
+  '/src/components/dialogs/filter-dialog.js',
+  '/src/components/dialogs/color-range-dialog.js',
+  '/src/components/dialogs/refine-edge-dialog.js',
   // Workers
-  '/workers/psd-worker.js'
+  '/workers/psd-worker.js',
+  '/workers/image-encoder-worker.js',
+  '/workers/filter-worker.js',
+  '/workers/segment-worker.js'
 ];
 
 // Install event - cache static assets
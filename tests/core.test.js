@@ -6,11 +6,24 @@
 import { TestRunner, assert } from './test-runner.js';
 import { Store, createInitialState } from '../src/core/store.js';
 import { EventBus, getEventBus, Events } from '../src/core/event-bus.js';
-import { getHistory, Command } from '../src/core/commands.js';
+import { getHistory, Command, registerCommand } from '../src/core/commands.js';
 import { getShortcuts } from '../src/core/shortcuts.js';
+import { PixelDelta, TILE_SIZE } from '../src/core/pixel-delta.js';
 
 const runner = new TestRunner();
 
+/**
+ * History steps mark the app dirty in the shared store. The Store tests
+ * create it with their own state, so add the app state steps write to.
+ */
+function useAppState() {
+  const initial = createInitialState();
+  const store = new Store(initial);
+  for (const key of Object.keys(initial)) {
+    if (!(key in store.state)) store.state[key] = initial[key];
+  }
+}
+
 // ============ Store Tests ============
 runner.describe('Store', () => {
   let store;
@@ -117,6 +130,7 @@ runner.describe('History (Commands)', () => {
   let history;
 
   runner.beforeEach(() => {
+    useAppState();
     history = getHistory();
     history.clear();
   });
@@ -164,12 +178,291 @@ runner.describe('History (Commands)', () => {
     assert.false(history.canRedo());
   });
 
-  runner.it('should respect max history size', () => {
-    for (let i = 0; i < 60; i++) {
+  runner.it('should keep every step regardless of count', () => {
+    for (let i = 0; i < 600; i++) {
       history.push(new Command(`Cmd${i}`, () => {}, () => {}));
     }
-    // Should be capped at maxSize (default 50)
-    assert.true(history.getHistory().length <= 50);
+    // Only the memory budget limits history
+    assert.equal(history.getUndoStack().length, 600);
+  });
+});
+
+// ============ Pixel Delta Tests ============
+runner.describe('Pixel Delta', () => {
+  const solid = (width, height, rgba) => {
+    const imageData = new ImageData(width, height);
+    for (let i = 0; i < imageData.data.length; i += 4) {
+      imageData.data.set(rgba, i);
+    }
+    return imageData;
+  };
+
+  runner.it('should keep only changed tiles', () => {
+    const before = new ImageData(TILE_SIZE * 2, TILE_SIZE * 2);
+    const after = new ImageData(TILE_SIZE * 2, TILE_SIZE * 2);
+    after.data[(5 * after.width + TILE_SIZE + 6) * 4 + 3] = 255;
+
+    const delta = PixelDelta.fromImageData(before, after);
+    assert.equal(delta.tiles.size, 1);
+    assert.true(delta.tiles.has(`${TILE_SIZE},0`));
+  });
+
+  runner.it('should compact solid and identical tiles', () => {
+    const before = new ImageData(TILE_SIZE * 2, TILE_SIZE * 2);
+    const after = solid(TILE_SIZE * 2, TILE_SIZE * 2, [255, 0, 0, 255]);
+
+    const delta = PixelDelta.fromImageData(before, after);
+    assert.equal(delta.tiles.size, 4);
+    assert.equal(delta.byteSize, 8);
+  });
+
+  runner.it('should restore both sides when applied', () => {
+    const before = solid(100, 80, [0, 0, 255, 255]);
+    const after = solid(100, 80, [0, 0, 255, 255]);
+    after.data.set([255, 255, 0, 255], (70 * 100 + 90) * 4);
+
+    const delta = PixelDelta.fromImageData(before, after);
+    const canvas = new OffscreenCanvas(100, 80);
+    const ctx = canvas.getContext('2d');
+
+    delta.apply(ctx, 'after');
+    assert.equal(ctx.getImageData(90, 70, 1, 1).data[0], 255);
+    // Unchanged tiles are left alone
+    assert.equal(ctx.getImageData(0, 0, 1, 1).data[3], 0);
+
+    delta.apply(ctx, 'before');
+    assert.equal(ctx.getImageData(90, 70, 1, 1).data[0], 0);
+  });
+
+  runner.it('should keep the first before state when merged', () => {
+    const first = new ImageData(TILE_SIZE, TILE_SIZE);
+    const second = solid(TILE_SIZE, TILE_SIZE, [10, 10, 10, 255]);
+    const third = solid(TILE_SIZE, TILE_SIZE, [20, 20, 20, 255]);
+
+    const delta = PixelDelta.fromImageData(first, second);
+    delta.merge(PixelDelta.fromImageData(second, third));
+
+    const tile = delta.tiles.get('0,0');
+    assert.equal(tile.before[3], 0);
+    assert.equal(tile.after[0], 20);
+  });
+
+  runner.it('should round-trip through a storage record', async () => {
+    const before = new ImageData(TILE_SIZE * 2, TILE_SIZE);
+    const after = solid(TILE_SIZE * 2, TILE_SIZE, [30, 60, 90, 255]);
+
+    const delta = PixelDelta.fromImageData(before, after);
+    const copy = PixelDelta.fromRecord(await delta.toRecord());
+
+    assert.equal(copy.tiles.size, 2);
+    assert.equal(copy.byteSize, delta.byteSize);
+    assert.equal(copy.tiles.get(`${TILE_SIZE},0`).after[2], 90);
+  });
+});
+
+// ============ History Memory Tests ============
+runner.describe('History Memory', () => {
+  class SizedCommand extends Command {
+    constructor(name, size) {
+      super(name);
+      this.size = size;
+      this.spilled = false;
+    }
+    execute() { return true; }
+    undo() { return true; }
+    getMemorySize() { return this.spilled ? 0 : this.size; }
+    canSpill() { return true; }
+    isSpilled() { return this.spilled; }
+    async spill() { this.spilled = true; }
+    async restore() { this.spilled = false; }
+  }
+
+  let history;
+  let budget;
+
+  runner.beforeEach(() => {
+    useAppState();
+    history = getHistory();
+    history.clear();
+    budget = history.memoryBudget;
+  });
+
+  runner.afterEach(() => {
+    history.memoryBudget = budget;
+    history.clear();
+  });
+
+  runner.it('should track memory of history entries', () => {
+    history.push(new SizedCommand('A', 100));
+    history.push(new SizedCommand('B', 50));
+    assert.equal(history.getMemoryUsage(), 150);
+  });
+
+  runner.it('should spill the oldest entries when over budget', () => {
+    history.memoryBudget = 15;
+    const commands = ['A', 'B', 'C'].map(name => new SizedCommand(name, 10));
+    commands.forEach(command => history.push(command));
+
+    assert.true(commands[0].isSpilled());
+    assert.true(commands[1].isSpilled());
+    assert.false(commands[2].isSpilled());
+    assert.equal(history.getUndoStack().length, 3);
+  });
+
+  runner.it('should not count memory of commands that stay in memory', () => {
+    class PinnedCommand extends SizedCommand {
+      canSpill() { return false; }
+    }
+
+    history.memoryBudget = 25;
+    const pinned = new PinnedCommand('A', 10);
+    const commands = [new SizedCommand('B', 10), new SizedCommand('C', 10)];
+    [pinned, ...commands].forEach(command => history.push(command));
+
+    assert.false(pinned.isSpilled());
+    assert.true(commands[0].isSpilled());
+    assert.false(commands[1].isSpilled());
+  });
+});
+
+// ============ History Branching Tests ============
+runner.describe('History Branching', () => {
+  class SetValueCommand extends Command {
+    constructor(state, value) {
+      super(`Set ${value}`);
+      this.state = state;
+      this.value = value;
+      this.previous = null;
+    }
+    execute() {
+      this.previous = this.state.value;
+      this.state.value = this.value;
+      return true;
+    }
+    undo() {
+      this.state.value = this.previous;
+      return true;
+    }
+  }
+
+  let history;
+
+  runner.beforeEach(() => {
+    useAppState();
+    history = getHistory();
+    history.clear();
+  });
+
+  runner.afterEach(() => {
+    history.setBranching(false);
+    history.clear();
+  });
+
+  runner.it('should discard undone steps without branching', () => {
+    const state = { value: 0 };
+    history.execute(new SetValueCommand(state, 1));
+    history.undo();
+    history.execute(new SetValueCommand(state, 2));
+
+    assert.equal(history.getBranches().length, 0);
+  });
+
+  runner.it('should keep undone steps as a branch', () => {
+    const state = { value: 0 };
+    history.setBranching(true);
+    history.execute(new SetValueCommand(state, 1));
+    history.execute(new SetValueCommand(state, 2));
+    history.undo();
+    history.execute(new SetValueCommand(state, 3));
+
+    const [branch] = history.getBranches();
+    assert.exists(branch);
+    assert.equal(branch.forkIndex, 1);
+    assert.equal(branch.steps[0].name, 'Set 2');
+  });
+
+  runner.it('should switch to a branch and keep the old line', async () => {
+    const state = { value: 0 };
+    history.setBranching(true);
+    history.execute(new SetValueCommand(state, 1));
+    history.execute(new SetValueCommand(state, 2));
+    history.undo();
+    history.execute(new SetValueCommand(state, 3));
+
+    await history.switchBranch(history.getBranches()[0].id);
+    assert.equal(state.value, 2);
+
+    const [branch] = history.getBranches();
+    assert.equal(branch.steps[0].name, 'Set 3');
+  });
+});
+
+// ============ History Persistence Tests ============
+runner.describe('History Persistence', () => {
+  const values = [];
+
+  class PushValueCommand extends Command {
+    constructor(value) {
+      super(`Push ${value}`);
+      this.value = value;
+    }
+    execute() {
+      values.push(this.value);
+      return true;
+    }
+    undo() {
+      values.pop();
+      return true;
+    }
+    serialize() {
+      return { type: 'test-push-value', data: { value: this.value } };
+    }
+  }
+
+  registerCommand('test-push-value', data => new PushValueCommand(data.value));
+
+  let history;
+
+  runner.beforeEach(() => {
+    useAppState();
+    history = getHistory();
+    history.clear();
+    values.length = 0;
+  });
+
+  runner.afterEach(() => {
+    history.clear();
+  });
+
+  runner.it('should restore undo and redo steps', async () => {
+    history.execute(new PushValueCommand(1));
+    history.execute(new PushValueCommand(2));
+    history.undo();
+
+    const saved = await history.serialize();
+    history.restore(saved);
+
+    assert.equal(history.getUndoStack().length, 1);
+    assert.true(history.canRedo());
+    assert.equal(history.getUndoStack()[0].name, 'Push 1');
+
+    history.redo();
+    assert.equal(values[values.length - 1], 2);
+  });
+
+  runner.it('should keep only steps after an unsaveable one', async () => {
+    history.execute(new PushValueCommand(1));
+    history.push(new Command('Unsaveable'));
+    history.execute(new PushValueCommand(2));
+
+    const saved = await history.serialize();
+    assert.equal(saved.undo.length, 1);
+    assert.equal(saved.undo[0].name, 'Push 2');
+  });
+
+  runner.it('should skip records of unknown types', () => {
+    history.restore({ undo: [{ type: 'missing', data: {}, name: 'Gone' }], redo: [] });
+    assert.equal(history.getUndoStack().length, 0);
   });
 });
 
@@ -16,9 +16,83 @@ import {
   createRasterLayer,
   createAdjustmentLayer,
   createLayerGroup,
-  createLayerFromImage
+  createLayerFromImage,
+  rasterizeLayer
 } from '../src/document/layer.js';
-import { Selection } from '../src/document/selection.js';
+import { Selection, SelectionMode } from '../src/document/selection.js';
+import { getMaskManager, QUICK_MASK_ID } from '../src/document/mask.js';
+import { getHistory, Command } from '../src/core/commands.js';
+import { ColorRangePreset, computeColorRangeMask } from '../src/document/color-range.js';
+import { segmentSubject } from '../src/document/select-subject.js';
+import { refineMask, gaussianBlurMask, decontaminateColors } from '../src/document/refine-edge.js';
+import {
+  TextLayer,
+  TextMode,
+  createTextLayer,
+  RasterizeTextCommand
+} from '../src/document/text-layer.js';
+import {
+  ShapeLayer,
+  ShapeKind,
+  createShapeLayer,
+  getShapePathData,
+  getLineGeometry
+} from '../src/document/shape-layer.js';
+import { shapeToSVG } from '../src/io/svg-export.js';
+import {
+  createPath,
+  createPathNode,
+  getPathData,
+  flattenPath,
+  selectPath,
+  fillPath
+} from '../src/document/paths.js';
+import {
+  createChannel,
+  offsetChannel,
+  getColorChannelMask
+} from '../src/document/channels.js';
+import {
+  captureDocumentState,
+  applyDocumentState,
+  getDocumentStateSize
+} from '../src/document/snapshots.js';
+import {
+  parseFrameDelay,
+  getAnimationFrames,
+  findFrameIndex,
+  DEFAULT_FRAME_DELAY
+} from '../src/document/animation.js';
+import {
+  LayerStyleType,
+  createLayerStyle,
+  hasActiveStyles,
+  distanceTransform,
+  renderLayerStyles
+} from '../src/document/layer-styles.js';
+import {
+  FilterType,
+  FilterInfo,
+  FilterDefaults,
+  getFilterPadding,
+  getFilterRegion,
+  cropSelectionMask,
+  applyFilter
+} from '../src/effects/filters/filters.js';
+import {
+  createSmartFilter,
+  hasActiveSmartFilters,
+  blendFilterResult,
+  renderSmartFilters
+} from '../src/effects/filters/smart-filters.js';
+import {
+  AdjustmentType,
+  GradientMapAdjustment,
+  createAdjustment
+} from '../src/effects/adjustments/adjustment-layer.js';
+import { ExportFormat, exportToBlob } from '../src/io/image-export.js';
+import { exportToPSD } from '../src/io/psd/psd-export.js';
+import { importPSD } from '../src/io/psd/psd-import.js';
 
 const runner = new TestRunner();
 
@@ -233,6 +307,1192 @@ runner.describe('Selection', () => {
     assert.true(selection.containsPoint(0, 0));
     assert.true(selection.containsPoint(799, 599));
   });
+
+  runner.it('should move without changing shape', () => {
+    selection.fromRectangle(100, 100, 50, 40);
+    selection.translate(30, -20);
+
+    assert.equal(selection.bounds.x, 130);
+    assert.equal(selection.bounds.y, 80);
+    assert.equal(selection.bounds.width, 50);
+    assert.equal(selection.bounds.height, 40);
+    assert.equal(selection.path[0].x, 130);
+  });
+
+  runner.it('should scale about a matrix', () => {
+    selection.fromRectangle(100, 100, 50, 40);
+    selection.transform({ a: 2, b: 0, c: 0, d: 1, e: -100, f: 0 });
+
+    assert.equal(selection.bounds.x, 100);
+    assert.equal(selection.bounds.width, 100);
+    assert.true(selection.containsPoint(190, 120));
+    assert.false(selection.containsPoint(210, 120));
+  });
+
+  runner.it('should preview a transform without touching the mask', () => {
+    selection.fromRectangle(100, 100, 50, 40);
+    selection.previewTransform({ a: 1, b: 0, c: 0, d: 1, e: 200, f: 0 });
+
+    assert.equal(selection.bounds.x, 300);
+    assert.true(selection.containsPoint(120, 120));
+
+    selection.endPreview();
+    assert.equal(selection.bounds.x, 100);
+  });
+});
+
+// ============ Adjustment Tests ============
+runner.describe('Gradient Map Adjustment', () => {
+  const pixel = (r, g, b) => new ImageData(new Uint8ClampedArray([r, g, b, 255]), 1, 1);
+
+  runner.it('should be created by type', () => {
+    const adjustment = createAdjustment(AdjustmentType.GRADIENT_MAP);
+    assert.instanceOf(adjustment, GradientMapAdjustment);
+    assert.equal(adjustment.params.stops.length, 2);
+  });
+
+  runner.it('should map luminosity onto the gradient', () => {
+    const adjustment = createAdjustment(AdjustmentType.GRADIENT_MAP, {
+      stops: [
+        { offset: 0, color: '#ff0000' },
+        { offset: 1, color: '#0000ff' }
+      ]
+    });
+    const dark = adjustment.apply(pixel(0, 0, 0));
+    const light = adjustment.apply(pixel(255, 255, 255));
+    assert.deepEqual(Array.from(dark.data), [255, 0, 0, 255]);
+    assert.deepEqual(Array.from(light.data), [0, 0, 255, 255]);
+  });
+
+  runner.it('should interpolate between unsorted stops', () => {
+    const adjustment = createAdjustment(AdjustmentType.GRADIENT_MAP, {
+      stops: [
+        { offset: 1, color: '#ffffff' },
+        { offset: 0, color: '#000000' },
+        { offset: 0.5, color: '#ff0000' }
+      ]
+    });
+    const lut = adjustment.getLUT();
+    assert.equal(Math.round(lut[128 * 3]), 255);
+    assert.equal(Math.round(lut[128 * 3 + 1]), 1);
+  });
+
+  runner.it('should reverse the gradient', () => {
+    const adjustment = createAdjustment(AdjustmentType.GRADIENT_MAP, { reverse: true });
+    const result = adjustment.apply(pixel(0, 0, 0));
+    assert.equal(result.data[0], 255);
+  });
+
+  runner.it('should not share stops with the defaults', () => {
+    const adjustment = createAdjustment(AdjustmentType.GRADIENT_MAP);
+    adjustment.params.stops[0].color = '#123456';
+    const fresh = createAdjustment(AdjustmentType.GRADIENT_MAP);
+    assert.equal(fresh.params.stops[0].color, '#000000');
+  });
+});
+
+// ============ Text Layer Tests ============
+runner.describe('Text Layer', () => {
+  runner.it('should create a text layer with properties', () => {
+    const layer = createTextLayer({ content: 'Hello', fontSize: 32 }, 200, 100);
+    assert.instanceOf(layer, TextLayer);
+    assert.equal(layer.type, LayerType.TEXT);
+    assert.equal(layer.name, 'Hello');
+    assert.equal(layer.text.fontSize, 32);
+    assert.equal(layer.text.mode, TextMode.POINT);
+  });
+
+  runner.it('should render glyphs into the layer canvas', () => {
+    const layer = createTextLayer({ content: 'WWW', fontSize: 40, x: 10, y: 10 }, 200, 100);
+    const data = layer.ctx.getImageData(0, 0, 200, 100).data;
+    let opaque = 0;
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] > 0) opaque++;
+    }
+    assert.greaterThan(opaque, 0);
+  });
+
+  runner.it('should re-render when text changes', () => {
+    const layer = createTextLayer({ content: 'A' }, 200, 100);
+    const before = layer.getTextBounds().width;
+    layer.setText({ content: 'AAAA' });
+    assert.greaterThan(layer.getTextBounds().width, before);
+  });
+
+  runner.it('should wrap paragraph text to the box width', () => {
+    const layer = createTextLayer({
+      content: 'one two three four five six',
+      fontSize: 20,
+      mode: TextMode.PARAGRAPH,
+      boxWidth: 60,
+      boxHeight: 200
+    }, 200, 200);
+    assert.greaterThan(layer.layout.lines.length, 1);
+    for (const line of layer.layout.lines) {
+      assert.true(line.width <= 60 || !line.text.includes(' '));
+    }
+  });
+
+  runner.it('should hit test against text bounds', () => {
+    const layer = createTextLayer({ content: 'Hit', fontSize: 30, x: 50, y: 20 }, 200, 100);
+    assert.true(layer.containsPoint(55, 30));
+    assert.false(layer.containsPoint(5, 90));
+  });
+
+  runner.it('should serialize text properties', () => {
+    const layer = createTextLayer({ content: 'Saved', color: '#ff0000' }, 100, 100);
+    const json = layer.toJSON();
+    assert.equal(json.text.content, 'Saved');
+    assert.equal(json.text.color, '#ff0000');
+  });
+
+  runner.it('should rasterize to a raster layer with the same id', () => {
+    const layer = createTextLayer({ content: 'Flat' }, 100, 100);
+    const raster = layer.rasterize();
+    assert.equal(raster.type, LayerType.RASTER);
+    assert.equal(raster.id, layer.id);
+    assert.notExists(raster.text);
+  });
+
+  runner.it('should rasterize text inside a group', () => {
+    const app = window.photoEditorApp;
+    const doc = createDocument({ width: 100, height: 100 });
+    const layer = createTextLayer({ content: 'Nested' }, 100, 100);
+    const group = createLayerGroup('Group');
+    group.children.push(layer);
+    doc.addLayer(group);
+    window.photoEditorApp = { document: doc };
+
+    try {
+      const command = new RasterizeTextCommand(layer.id);
+      assert.true(command.execute());
+      assert.equal(group.children[0].type, LayerType.RASTER);
+      assert.equal(doc.getLayer(layer.id), group.children[0]);
+
+      assert.true(command.undo());
+      assert.equal(group.children[0], layer);
+    } finally {
+      window.photoEditorApp = app;
+    }
+  });
+
+  runner.it('should give the rasterized layer its own mask', () => {
+    const layer = createTextLayer({ content: 'Masked' }, 100, 100);
+    layer.createMask();
+
+    const raster = rasterizeLayer(layer);
+    assert.exists(raster.mask);
+    assert.true(raster.mask !== layer.mask);
+  });
+});
+
+// ============ Shape Layer Tests ============
+runner.describe('Shape Layer', () => {
+  const countOpaque = (layer) => {
+    const data = layer.ctx.getImageData(0, 0, layer.width, layer.height).data;
+    let opaque = 0;
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] > 0) opaque++;
+    }
+    return opaque;
+  };
+
+  runner.it('should create a shape layer with properties', () => {
+    const layer = createShapeLayer({ kind: ShapeKind.ELLIPSE, x: 10, y: 10, width: 50, height: 30 }, 100, 100);
+    assert.instanceOf(layer, ShapeLayer);
+    assert.equal(layer.type, LayerType.SHAPE);
+    assert.equal(layer.name, 'Ellipse');
+    assert.equal(layer.shape.fill, '#000000');
+    assert.greaterThan(countOpaque(layer), 0);
+  });
+
+  runner.it('should build path data for each kind', () => {
+    const rect = getShapePathData({ kind: ShapeKind.RECTANGLE, x: 0, y: 0, width: 10, height: 20 });
+    assert.equal(rect, 'M0 0 H10 V20 H0 Z');
+
+    const rounded = getShapePathData({ kind: ShapeKind.RECTANGLE, x: 0, y: 0, width: 10, height: 20, cornerRadius: 50 });
+    assert.true(rounded.includes('A5 5'));
+
+    const star = getShapePathData({ kind: ShapeKind.POLYGON, x: 0, y: 0, width: 10, height: 10, sides: 5, star: true, starRatio: 0.5 });
+    assert.equal(star.split('L').length, 10);
+
+    const line = getLineGeometry(20, 10, 0, 10);
+    assert.equal(getShapePathData({ kind: ShapeKind.LINE, ...line }), 'M20 10 L0 10');
+  });
+
+  runner.it('should scale losslessly by changing the bounds', () => {
+    const layer = createShapeLayer({ kind: ShapeKind.RECTANGLE, x: 10, y: 10, width: 10, height: 10 }, 100, 100);
+    layer.setShape({ width: 80, height: 80 });
+    assert.equal(countOpaque(layer), 80 * 80);
+  });
+
+  runner.it('should hit test the shape outline', () => {
+    const layer = createShapeLayer({ kind: ShapeKind.ELLIPSE, x: 0, y: 0, width: 100, height: 100 }, 100, 100);
+    assert.true(layer.containsPoint(50, 50));
+    assert.false(layer.containsPoint(2, 2, 0));
+  });
+
+  runner.it('should clone, serialize and rasterize', () => {
+    const layer = createShapeLayer({
+      kind: ShapeKind.POLYGON, x: 0, y: 0, width: 40, height: 40, sides: 6, stroke: '#ff0000', strokeWidth: 2, dash: [4, 2]
+    }, 100, 100);
+
+    const cloned = layer.clone();
+    cloned.shape.dash.push(1);
+    assert.equal(layer.shape.dash.length, 2);
+
+    const json = layer.toJSON();
+    assert.equal(json.shape.sides, 6);
+
+    const raster = layer.rasterize();
+    assert.equal(raster.type, LayerType.RASTER);
+    assert.equal(raster.id, layer.id);
+  });
+
+  runner.it('should export as an SVG path', () => {
+    const layer = createShapeLayer({
+      kind: ShapeKind.RECTANGLE, x: 0, y: 0, width: 10, height: 10,
+      fill: null, stroke: '#00ff00', strokeWidth: 2, dash: [2, 1], rotation: 45
+    }, 100, 100);
+    layer.opacity = 0.5;
+
+    const svg = shapeToSVG(layer);
+    assert.true(svg.includes('d="M0 0 H10 V10 H0 Z"'));
+    assert.true(svg.includes('fill="none"'));
+    assert.true(svg.includes('stroke-dasharray="4 2"'));
+    assert.true(svg.includes('rotate(45 5 5)'));
+    assert.true(svg.includes('opacity="0.5"'));
+  });
+});
+
+// ============ Path Tests ============
+runner.describe('Paths', () => {
+  const square = (x, y, size) => ({
+    closed: true,
+    nodes: [
+      createPathNode(x, y),
+      createPathNode(x + size, y),
+      createPathNode(x + size, y + size),
+      createPathNode(x, y + size)
+    ]
+  });
+
+  runner.it('should build path data for lines and curves', () => {
+    assert.equal(getPathData([square(0, 0, 10)]), 'M0 0 L10 0 L10 10 L0 10 L0 0 Z');
+
+    const curve = {
+      closed: false,
+      nodes: [createPathNode(0, 0, 0, 0, 10, 0), createPathNode(20, 20, 20, 10)]
+    };
+    assert.equal(getPathData([curve]), 'M0 0 C10 0 20 10 20 20');
+  });
+
+  runner.it('should flatten curves into polylines', () => {
+    const curve = {
+      closed: false,
+      nodes: [createPathNode(0, 0, 0, 0, 10, 0), createPathNode(20, 20, 20, 10)]
+    };
+    const [polyline] = flattenPath([curve], 2);
+
+    assert.greaterThan(polyline.points.length, 10);
+    assert.equal(polyline.points[0].x, 0);
+    assert.equal(polyline.points[polyline.points.length - 1].x, 20);
+    assert.equal(polyline.points[polyline.points.length - 1].y, 20);
+  });
+
+  runner.it('should select subpaths with holes using even-odd', () => {
+    const selection = new Selection(50, 50);
+    selectPath(createPath('Frame', [square(0, 0, 40), square(10, 10, 20)]), selection);
+
+    assert.true(selection.hasSelection());
+    assert.equal(selection.mask[5 * 50 + 5], 255);
+    assert.equal(selection.mask[20 * 50 + 20], 0);
+  });
+
+  runner.it('should feather a path selection', () => {
+    const selection = new Selection(50, 50);
+    selectPath(createPath('Square', [square(10, 10, 30)]), selection, { feather: 4 });
+
+    const edge = selection.mask[25 * 50 + 10];
+    assert.greaterThan(edge, 0);
+    assert.true(edge < 255);
+  });
+
+  runner.it('should fill a path into a layer', () => {
+    const layer = createRasterLayer('Fill', 50, 50);
+    fillPath(layer, createPath('Square', [square(10, 10, 20)]), '#ff0000');
+
+    const inside = layer.ctx.getImageData(20, 20, 1, 1).data;
+    const outside = layer.ctx.getImageData(5, 5, 1, 1).data;
+    assert.equal(inside[0], 255);
+    assert.equal(inside[3], 255);
+    assert.equal(outside[3], 0);
+  });
+
+  runner.it('should keep paths on the document', () => {
+    const doc = createDocument({ width: 100, height: 100 });
+    const path = createPath('Work Path', [square(0, 0, 10)]);
+
+    doc.addPath(path);
+    doc.setActivePath(path.id);
+    assert.equal(doc.getActivePath(), path);
+    assert.equal(doc.toJSON().paths.length, 1);
+
+    doc.resizeCanvas(120, 120, 'bottom-right');
+    assert.equal(path.subpaths[0].nodes[0].x, 20);
+
+    doc.removePath(path.id);
+    assert.equal(doc.paths.length, 0);
+    assert.equal(doc.activePathId, null);
+  });
+});
+
+// ============ Snapshot Tests ============
+runner.describe('Channels', () => {
+  runner.it('should store a selection as a channel and load it back', () => {
+    const doc = createDocument({ width: 40, height: 30 });
+    const selection = new Selection(40, 30);
+    selection.fromRectangle(5, 5, 10, 10);
+
+    const channel = createChannel('Alpha 1', 40, 30, selection.mask);
+    doc.addChannel(channel);
+    selection.clear();
+
+    selection.fromMask(new Uint8ClampedArray(doc.getChannel(channel.id).data));
+    assert.true(selection.containsPoint(8, 8));
+    assert.false(selection.containsPoint(20, 20));
+
+    doc.removeChannel(channel.id);
+    assert.equal(doc.channels.length, 0);
+  });
+
+  runner.it('should combine a channel with the current selection', () => {
+    const selection = new Selection(40, 30);
+    const channel = createChannel('Alpha 1', 40, 30);
+    channel.data.fill(255, 0, 40 * 10);
+
+    selection.fromRectangle(0, 0, 20, 30);
+    selection.fromMask(new Uint8ClampedArray(channel.data), SelectionMode.INTERSECT);
+
+    assert.true(selection.containsPoint(5, 5));
+    assert.false(selection.containsPoint(25, 5));
+    assert.false(selection.containsPoint(5, 20));
+  });
+
+  runner.it('should move channel content when the canvas changes size', () => {
+    const channel = createChannel('Alpha 1', 10, 10);
+    channel.data[2 * 10 + 3] = 255;
+
+    offsetChannel(channel, 20, 15, 5, 4);
+    assert.equal(channel.width, 20);
+    assert.equal(channel.data.length, 300);
+    assert.equal(channel.data[6 * 20 + 8], 255);
+  });
+
+  runner.it('should read color channels of the composite', () => {
+    const doc = createDocument({ width: 4, height: 4, backgroundColor: '#ff8000' });
+    assert.equal(getColorChannelMask(doc, 'red')[0], 255);
+    assert.equal(getColorChannelMask(doc, 'green')[0], 128);
+    assert.equal(getColorChannelMask(doc, 'blue')[0], 0);
+  });
+});
+
+runner.describe('Quick Mask', () => {
+  runner.afterEach(() => {
+    getMaskManager().discardQuickMask();
+  });
+
+  runner.it('should edit the selection as a mask and convert it back', () => {
+    const manager = getMaskManager();
+    const selection = new Selection(40, 30);
+    selection.fromRectangle(0, 0, 10, 10);
+
+    manager.enterQuickMask(selection);
+    assert.true(manager.isQuickMask());
+    assert.equal(manager.getEditingLayerId(), QUICK_MASK_ID);
+
+    const mask = manager.getEditingMask(null);
+    assert.equal(mask.toMaskData()[5 * 40 + 5], 255);
+    assert.equal(mask.toMaskData()[20 * 40 + 20], 0);
+
+    // Paint white (selected) into the unselected area
+    mask.ctx.fillStyle = '#ffffff';
+    mask.ctx.fillRect(20, 20, 5, 5);
+
+    manager.exitQuickMask(selection);
+    assert.false(manager.isQuickMask());
+    assert.false(manager.isEditing());
+    assert.true(selection.containsPoint(5, 5));
+    assert.true(selection.containsPoint(22, 22));
+    assert.false(selection.containsPoint(15, 15));
+  });
+
+  runner.it('should start fully selected without a selection', () => {
+    const manager = getMaskManager();
+    const selection = new Selection(20, 20);
+
+    manager.enterQuickMask(selection);
+    const mask = manager.getEditingMask(null);
+    assert.equal(mask.toMaskData()[0], 255);
+
+    mask.fill(0);
+    manager.exitQuickMask(selection);
+    assert.false(selection.hasSelection());
+  });
+
+  runner.it('should undo past a closed Quick Mask', () => {
+    const manager = getMaskManager();
+    const history = getHistory();
+    history.clear();
+
+    let undone = false;
+    class EarlierCommand extends Command {
+      execute() { return true; }
+      undo() { undone = true; return true; }
+    }
+    history.execute(new EarlierCommand('Earlier'));
+
+    const selection = new Selection(20, 20);
+    manager.enterQuickMask(selection);
+    const mask = manager.getEditingMask(null);
+    const before = mask.ctx.getImageData(0, 0, 20, 20);
+    mask.ctx.clearRect(0, 0, 5, 5);
+    manager.commitMaskPaint(null, 'Paint', before, mask.ctx.getImageData(0, 0, 20, 20));
+    assert.equal(history.getUndoStack().length, 2);
+
+    manager.exitQuickMask(selection);
+    assert.equal(history.getUndoStack().length, 1);
+    assert.true(history.undo());
+    assert.true(undone);
+    history.clear();
+  });
+});
+
+runner.describe('Automatic Selection', () => {
+  const pixels = (colors) => {
+    const imageData = new ImageData(colors.length, 1);
+    colors.forEach(([r, g, b], i) => imageData.data.set([r, g, b, 255], i * 4));
+    return imageData;
+  };
+
+  runner.it('should select sampled colors within the fuzziness', () => {
+    const imageData = pixels([[200, 0, 0], [190, 10, 0], [0, 0, 200]]);
+    const options = { colors: [{ r: 200, g: 0, b: 0 }], fuzziness: 40 };
+
+    const mask = computeColorRangeMask(imageData, options);
+    assert.equal(mask[0], 255);
+    assert.equal(mask[1], 255);
+    assert.equal(mask[2], 0);
+
+    const inverted = computeColorRangeMask(imageData, { ...options, invert: true });
+    assert.equal(inverted[2], 255);
+  });
+
+  runner.it('should never select transparent pixels', () => {
+    const imageData = pixels([[200, 0, 0], [0, 0, 200]]);
+    imageData.data[7] = 0;
+    const options = { colors: [{ r: 200, g: 0, b: 0 }], fuzziness: 40 };
+
+    assert.equal(computeColorRangeMask(imageData, options)[1], 0);
+    assert.equal(computeColorRangeMask(imageData, { ...options, invert: true })[1], 0);
+  });
+
+  runner.it('should select tonal ranges and skin tones', () => {
+    const imageData = pixels([[250, 250, 250], [128, 128, 128], [10, 10, 10], [224, 172, 140]]);
+
+    const highlights = computeColorRangeMask(imageData, { preset: ColorRangePreset.HIGHLIGHTS });
+    const midtones = computeColorRangeMask(imageData, { preset: ColorRangePreset.MIDTONES });
+    const shadows = computeColorRangeMask(imageData, { preset: ColorRangePreset.SHADOWS });
+    const skin = computeColorRangeMask(imageData, { preset: ColorRangePreset.SKIN_TONES });
+
+    assert.equal(highlights[0], 255);
+    assert.equal(midtones[1], 255);
+    assert.equal(shadows[2], 255);
+    assert.equal(skin[3], 255);
+    assert.equal(skin[1], 0);
+  });
+
+  runner.it('should segment a subject from its background', async () => {
+    const canvas = new OffscreenCanvas(60, 40);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#3c783c';
+    ctx.fillRect(0, 0, 60, 40);
+    ctx.fillStyle = '#c83232';
+    ctx.beginPath();
+    ctx.arc(30, 20, 12, 0, Math.PI * 2);
+    ctx.fill();
+
+    const mask = await segmentSubject(ctx.getImageData(0, 0, 60, 40));
+    assert.equal(mask.length, 60 * 40);
+    assert.equal(mask[20 * 60 + 30], 255);
+    assert.equal(mask[2 * 60 + 2], 0);
+  });
+});
+
+runner.describe('Refine Edge', () => {
+  // Red on the right half over blue, with a one pixel red strand on row 0
+  const createImage = () => {
+    const imageData = new ImageData(40, 10);
+    for (let i = 0; i < 40 * 10; i++) {
+      const x = i % 40;
+      const red = x >= 20 || (i < 40 && x >= 12);
+      imageData.data.set(red ? [220, 30, 40, 255] : [20, 30, 200, 255], i * 4);
+    }
+    return imageData;
+  };
+  const createMask = () => Uint8ClampedArray.from({ length: 40 * 10 }, (_, i) => i % 40 >= 18 ? 255 : 0);
+
+  runner.it('should select pixels near the edge by color', () => {
+    const mask = refineMask(createMask(), createImage(), { radius: 8 });
+
+    assert.equal(mask[14], 255);
+    assert.equal(mask[40 + 14], 0);
+    assert.equal(mask[40 + 18], 0);
+    assert.equal(mask[40 + 25], 255);
+  });
+
+  runner.it('should feather with a Gaussian and shift the edge', () => {
+    const blurred = gaussianBlurMask(createMask(), 40, 10, 2);
+    assert.true(blurred[5 * 40 + 17] > 0 && blurred[5 * 40 + 17] < 128);
+    assert.true(blurred[5 * 40 + 18] > 128 && blurred[5 * 40 + 18] < 255);
+    assert.equal(blurred[5 * 40 + 30], 255);
+
+    const grown = refineMask(createMask(), createImage(), { shiftEdge: 50 });
+    assert.equal(grown[5 * 40 + 13], 255);
+    assert.equal(grown[5 * 40 + 12], 0);
+  });
+
+  runner.it('should decontaminate partly selected colors', () => {
+    const imageData = new ImageData(3, 1);
+    imageData.data.set([200, 0, 0, 255, 100, 0, 100, 255, 0, 0, 200, 255]);
+    const mask = new Uint8ClampedArray([255, 128, 0]);
+
+    const output = decontaminateColors(imageData, mask, 100, 2);
+    assert.true(output.data[4] > 140);
+    assert.true(output.data[6] < 60);
+    assert.equal(output.data[8], 0);
+  });
+});
+
+runner.describe('Snapshots', () => {
+  runner.it('should restore layers and pixels from a captured state', () => {
+    const doc = createDocument({ width: 40, height: 30, backgroundColor: '#ff0000' });
+    const background = doc.layers[0];
+    const state = captureDocumentState(doc);
+
+    background.locked = false;
+    background.fill('#0000ff');
+    doc.addLayer(createRasterLayer('Extra', 40, 30));
+
+    applyDocumentState(doc, state);
+
+    assert.equal(doc.layers.length, 1);
+    assert.equal(doc.layers[0].id, background.id);
+    assert.true(doc.layers[0].locked);
+    assert.equal(doc.layers[0].ctx.getImageData(5, 5, 1, 1).data[0], 255);
+    assert.equal(doc.activeLayerId, background.id);
+  });
+
+  runner.it('should keep a captured state unchanged when applied', () => {
+    const doc = createDocument({ width: 20, height: 20 });
+    doc.addPath(createPath('Work Path'));
+    const state = captureDocumentState(doc);
+
+    applyDocumentState(doc, state);
+    doc.layers[0].ctx.clearRect(0, 0, 20, 20);
+    doc.paths[0].name = 'Renamed';
+
+    assert.equal(state.layers[0].ctx.getImageData(0, 0, 1, 1).data[3], 255);
+    assert.equal(state.paths[0].name, 'Work Path');
+    assert.equal(getDocumentStateSize(state), 20 * 20 * 4);
+  });
+});
+
+// ============ Animation Frame Tests ============
+runner.describe('Animation Frames', () => {
+  let doc;
+
+  runner.beforeEach(() => {
+    doc = createDocument({ width: 100, height: 100 });
+    doc.layers = [];
+    doc.addLayer(createRasterLayer('frame 1 (120ms)', 100, 100));
+    doc.addLayer(createRasterLayer('frame 2', 100, 100));
+    doc.addLayer(createRasterLayer('frame 3 (40 ms)', 100, 100));
+  });
+
+  runner.it('should read frame delays from layer names', () => {
+    assert.equal(parseFrameDelay('frame 3 (120ms)'), 120);
+    assert.equal(parseFrameDelay('Walk (250 MS)'), 250);
+    assert.equal(parseFrameDelay('frame 2'), DEFAULT_FRAME_DELAY);
+    assert.equal(parseFrameDelay('frame 2', 80), 80);
+  });
+
+  runner.it('should make one frame per visible layer, bottom to top', () => {
+    const frames = getAnimationFrames(doc);
+    assert.equal(frames.length, 3);
+    assert.deepEqual(frames.map(f => f.delay), [120, DEFAULT_FRAME_DELAY, 40]);
+  });
+
+  runner.it('should skip hidden and adjustment layers', () => {
+    doc.layers[1].visible = false;
+    doc.addLayer(createAdjustmentLayer('invert'));
+    const frames = getAnimationFrames(doc);
+    assert.equal(frames.length, 2);
+    assert.equal(frames[1].name, 'frame 3 (40 ms)');
+  });
+
+  runner.it('should keep clipped layers with their base frame', () => {
+    const clipped = createRasterLayer('shading', 100, 100);
+    clipped.clipped = true;
+    doc.addLayer(clipped, 1);
+    const frames = getAnimationFrames(doc);
+    assert.equal(frames.length, 3);
+    assert.equal(frames[0].layers.length, 2);
+    assert.equal(findFrameIndex(frames, clipped.id), 0);
+  });
+});
+
+// ============ Layer Style Tests ============
+runner.describe('Layer Styles', () => {
+  runner.it('should fill styles from defaults', () => {
+    const styles = createLayerStyle({ stroke: { enabled: true, size: 4 } });
+    assert.equal(styles.stroke.size, 4);
+    assert.equal(styles.stroke.position, 'outside');
+    assert.false(styles.dropShadow.enabled);
+    assert.true(hasActiveStyles(styles));
+    assert.false(hasActiveStyles(createLayerStyle()));
+    assert.false(hasActiveStyles(null));
+  });
+
+  runner.it('should compute distances to the nearest feature pixel', () => {
+    const features = new Uint8Array(25);
+    features[12] = 1; // Center of a 5x5 grid
+    const distances = distanceTransform(features, 5, 5);
+    assert.equal(distances[12], 0);
+    assert.equal(distances[13], 1);
+    assert.equal(distances[0], Math.fround(Math.sqrt(8)));
+  });
+
+  runner.it('should draw an outside stroke beyond the content', () => {
+    const source = new OffscreenCanvas(60, 60);
+    const ctx = source.getContext('2d');
+    ctx.fillStyle = '#ff0000';
+    ctx.fillRect(20, 20, 10, 10);
+
+    const styles = createLayerStyle({
+      [LayerStyleType.STROKE]: { enabled: true, size: 3, color: '#00ff00' }
+    });
+    const result = renderLayerStyles(source, styles);
+    const pixel = (x, y) => result.canvas.getContext('2d')
+      .getImageData(x - result.x, y - result.y, 1, 1).data;
+
+    assert.lessThan(result.x, 20);
+    assert.deepEqual(Array.from(pixel(18, 25)), [0, 255, 0, 255]);
+    assert.deepEqual(Array.from(pixel(25, 25)), [255, 0, 0, 255]);
+    assert.equal(pixel(14, 25)[3], 0);
+  });
+
+  runner.it('should copy styles with the layer', () => {
+    const layer = createRasterLayer('Styled', 50, 50);
+    layer.styles = createLayerStyle({ dropShadow: { enabled: true } });
+
+    const cloned = layer.clone();
+    cloned.styles.dropShadow.distance = 20;
+    assert.equal(layer.styles.dropShadow.distance, 5);
+    assert.true(layer.toJSON().styles.dropShadow.enabled);
+
+    const version = layer.contentVersion;
+    layer.dirty = true;
+    assert.equal(layer.contentVersion, version + 1);
+  });
+});
+
+// ============ Filter Tests ============
+runner.describe('Filters', () => {
+  runner.it('should describe every filter type', () => {
+    for (const type of Object.values(FilterType)) {
+      assert.exists(FilterDefaults[type], `${type} has defaults`);
+      assert.exists(FilterInfo[type]?.name, `${type} has a name`);
+    }
+    assert.equal(getFilterPadding(FilterType.GAUSSIAN_BLUR, { radius: 2 }), 6);
+    assert.equal(getFilterPadding(FilterType.MOTION_BLUR, { distance: 10 }), 5);
+  });
+
+  runner.it('should limit the region to the padded selection', () => {
+    const layer = createRasterLayer('Filtered', 100, 100);
+    layer.x = 10;
+
+    const whole = getFilterRegion(layer, null);
+    assert.equal(whole.width, 100);
+    assert.equal(whole.height, 100);
+    assert.notExists(whole.selection);
+
+    const selection = new Selection(200, 200);
+    selection.fromRectangle(20, 20, 30, 30);
+    const region = getFilterRegion(layer, selection, 5);
+    assert.equal(region.x, 5);
+    assert.equal(region.y, 15);
+    assert.equal(region.width, 40);
+    assert.equal(region.height, 40);
+
+    const mask = cropSelectionMask(selection, layer, region);
+    assert.equal(mask[0], 0);
+    assert.equal(mask[5 * region.width + 5], 255);
+  });
+
+  runner.it('should only change selected pixels', async () => {
+    const imageData = new ImageData(4, 1);
+    imageData.data.set([0, 0, 0, 255, 255, 255, 255, 255, 0, 0, 0, 255, 255, 255, 255, 255]);
+    const mask = new Uint8ClampedArray([0, 255, 255, 0]);
+
+    const result = await applyFilter(imageData, FilterType.BOX_BLUR, { radius: 1 }, { mask });
+    assert.equal(result.data[0], 0);
+    assert.equal(result.data[12], 255);
+    assert.equal(result.data[4], 85);
+    assert.equal(imageData.data[4], 255);
+  });
+});
+
+// ============ Smart Filter Tests ============
+runner.describe('Smart Filters', () => {
+  runner.it('should create filters with defaults and copy them with the layer', () => {
+    const layer = createRasterLayer('Smart', 20, 20);
+    assert.false(hasActiveSmartFilters(layer));
+
+    layer.smartFilters = [createSmartFilter(FilterType.GAUSSIAN_BLUR, { radius: 4 })];
+    assert.true(hasActiveSmartFilters(layer));
+    assert.equal(layer.smartFilters[0].blendMode, 'normal');
+    assert.equal(layer.smartFilters[0].opacity, 1);
+
+    const cloned = layer.clone();
+    cloned.smartFilters[0].params.radius = 8;
+    assert.equal(layer.smartFilters[0].params.radius, 4);
+    assert.equal(layer.toJSON().smartFilters[0].type, FilterType.GAUSSIAN_BLUR);
+
+    layer.smartFilters[0].enabled = false;
+    assert.false(hasActiveSmartFilters(layer));
+  });
+
+  runner.it('should mix the filter result by opacity', () => {
+    const base = new ImageData(1, 1);
+    base.data.set([0, 0, 0, 255]);
+    const filtered = new ImageData(1, 1);
+    filtered.data.set([200, 100, 50, 255]);
+
+    assert.equal(blendFilterResult(base, filtered), filtered);
+    const half = blendFilterResult(base, filtered, 'normal', 0.5);
+    assert.deepEqual(Array.from(half.data), [100, 50, 25, 255]);
+  });
+
+  runner.it('should skip disabled filters', async () => {
+    const imageData = new ImageData(3, 1);
+    imageData.data.set([0, 0, 0, 255, 255, 255, 255, 255, 0, 0, 0, 255]);
+
+    const filters = [createSmartFilter(FilterType.BOX_BLUR, { radius: 1 }, { enabled: false })];
+    const unchanged = await renderSmartFilters(imageData, filters);
+    assert.equal(unchanged.data[4], 255);
+
+    filters[0].enabled = true;
+    const blurred = await renderSmartFilters(imageData, filters);
+    assert.equal(blurred.data[4], 85);
+  });
+
+  runner.it('should flatten the filtered pixels, not the unfiltered ones', async () => {
+    const doc = createDocument({ width: 3, height: 1, transparentBackground: true });
+    doc.layers = [];
+    const layer = createRasterLayer('Smart', 3, 1);
+    layer.ctx.fillStyle = '#ffffff';
+    layer.ctx.fillRect(1, 0, 1, 1);
+    layer.smartFilters = [createSmartFilter(FilterType.BOX_BLUR, { radius: 1 })];
+    doc.addLayer(layer);
+    doc.addLayer(createRasterLayer('Top', 3, 1));
+
+    const flattened = await doc.flatten();
+    const alpha = flattened.ctx.getImageData(0, 0, 3, 1).data[3];
+    assert.greaterThan(alpha, 0);
+  });
+});
+
+// ============ PSD Round Trip Tests ============
+runner.describe('PSD Round Trip', () => {
+  let doc;
+
+  const roundTrip = async (source) => {
+    const buffer = await exportToPSD(source);
+    return importPSD(new File([buffer], 'Round Trip.psd'));
+  };
+
+  const pixel = (layer, x, y) => Array.from(layer.ctx.getImageData(x, y, 1, 1).data);
+
+  runner.beforeEach(() => {
+    doc = createDocument({ width: 16, height: 16 });
+    doc.layers = [];
+  });
+
+  runner.it('should keep raster pixels, order and layer properties', async () => {
+    const bottom = createRasterLayer('Bottom', 16, 16);
+    bottom.fill('#336699');
+    const top = createRasterLayer('Top', 16, 16);
+    top.ctx.fillStyle = '#ff0000';
+    top.ctx.fillRect(4, 4, 4, 4);
+    top.opacity = 0.5;
+    top.blendMode = BlendMode.MULTIPLY;
+    top.visible = false;
+    doc.addLayer(bottom);
+    doc.addLayer(top);
+
+    const imported = await roundTrip(doc);
+    assert.deepEqual(imported.layers.map(layer => layer.name), ['Bottom', 'Top']);
+
+    const [importedBottom, importedTop] = imported.layers;
+    assert.deepEqual(pixel(importedBottom, 0, 0), [51, 102, 153, 255]);
+    assert.deepEqual(pixel(importedTop, 5, 5), [255, 0, 0, 255]);
+    assert.equal(pixel(importedTop, 0, 0)[3], 0);
+    assert.equal(importedTop.blendMode, BlendMode.MULTIPLY);
+    assert.false(importedTop.visible);
+    assert.lessThan(Math.abs(importedTop.opacity - 0.5), 0.01);
+  });
+
+  runner.it('should keep groups and their children', async () => {
+    const group = createLayerGroup('Group');
+    group.expanded = false;
+    group.children.push(createRasterLayer('Child A', 16, 16), createRasterLayer('Child B', 16, 16));
+    group.children.forEach(child => child.fill('#00ff00'));
+    doc.addLayer(createRasterLayer('Below', 16, 16));
+    doc.addLayer(group);
+
+    const imported = await roundTrip(doc);
+    assert.equal(imported.layers.length, 2);
+
+    const importedGroup = imported.layers[1];
+    assert.equal(importedGroup.type, LayerType.GROUP);
+    assert.false(importedGroup.expanded);
+    assert.deepEqual(importedGroup.children.map(child => child.name), ['Child A', 'Child B']);
+  });
+
+  runner.it('should keep masks and clipping', async () => {
+    const base = createRasterLayer('Base', 16, 16);
+    base.fill('#ffffff');
+    base.createMask();
+    base.mask.ctx.fillStyle = '#000000';
+    base.mask.ctx.fillRect(0, 0, 8, 16);
+
+    const clipped = createRasterLayer('Clipped', 16, 16);
+    clipped.fill('#0000ff');
+    clipped.clipped = true;
+    doc.addLayer(base);
+    doc.addLayer(clipped);
+
+    const imported = await roundTrip(doc);
+    const [importedBase, importedClipped] = imported.layers;
+
+    assert.exists(importedBase.mask);
+    assert.true(importedBase.maskEnabled);
+    assert.equal(pixel(importedBase.mask, 2, 2)[0], 0);
+    assert.equal(pixel(importedBase.mask, 12, 2)[0], 255);
+    assert.true(importedClipped.clipped);
+    assert.false(importedBase.clipped);
+  });
+
+  runner.it('should keep adjustment layer settings', async () => {
+    const settings = {
+      [AdjustmentType.BRIGHTNESS_CONTRAST]: { brightness: 20, contrast: -10 },
+      [AdjustmentType.LEVELS]: { inputBlack: 10, inputWhite: 240, gamma: 1.5, outputBlack: 5, outputWhite: 250, channel: 'green' },
+      [AdjustmentType.CURVES]: {
+        points: {
+          rgb: [{ x: 0, y: 0 }, { x: 128, y: 160 }, { x: 255, y: 255 }],
+          red: [{ x: 0, y: 20 }, { x: 255, y: 255 }],
+          green: [{ x: 0, y: 0 }, { x: 255, y: 255 }],
+          blue: [{ x: 0, y: 0 }, { x: 255, y: 230 }]
+        }
+      },
+      [AdjustmentType.HUE_SATURATION]: { hue: -30, saturation: 20, lightness: -10 },
+      [AdjustmentType.COLOR_BALANCE]: {
+        shadows: { cyan: -10, magenta: 5, yellow: 0 },
+        midtones: { cyan: 0, magenta: 0, yellow: 30 },
+        highlights: { cyan: 1, magenta: 2, yellow: 3 },
+        preserveLuminosity: false
+      },
+      [AdjustmentType.BLACK_WHITE]: { reds: 10, yellows: 20, greens: 30, cyans: 40, blues: 50, magentas: 60, tint: true, tintColor: '#112233' },
+      [AdjustmentType.PHOTO_FILTER]: { color: '#00aaff', density: 60, preserveLuminosity: false },
+      [AdjustmentType.VIBRANCE]: { vibrance: 35, saturation: -15 },
+      [AdjustmentType.INVERT]: {},
+      [AdjustmentType.POSTERIZE]: { levels: 6 },
+      [AdjustmentType.THRESHOLD]: { level: 100 },
+      [AdjustmentType.GRADIENT_MAP]: {
+        stops: [{ offset: 0, color: '#102030' }, { offset: 0.5, color: '#ff0000' }, { offset: 1, color: '#ffee00' }],
+        reverse: true,
+        dither: true
+      }
+    };
+
+    doc.addLayer(createRasterLayer('Pixels', 16, 16));
+    for (const [type, params] of Object.entries(settings)) {
+      doc.addLayer(createAdjustmentLayer(type, params));
+    }
+
+    const imported = await roundTrip(doc);
+    const adjustments = imported.layers.filter(layer => layer.type === LayerType.ADJUSTMENT);
+    assert.deepEqual(adjustments.map(layer => layer.adjustment.type), Object.keys(settings));
+
+    for (const layer of adjustments) {
+      for (const [key, value] of Object.entries(settings[layer.adjustment.type])) {
+        assert.deepEqual(layer.adjustment.params[key], value);
+      }
+    }
+  });
+
+  runner.it('should keep layer effects', async () => {
+    const layer = createRasterLayer('Styled', 16, 16);
+    layer.ctx.fillRect(4, 4, 8, 8);
+    layer.styles = createLayerStyle({
+      [LayerStyleType.DROP_SHADOW]: { enabled: true, color: '#123456', distance: 7, size: 3 },
+      [LayerStyleType.STROKE]: { enabled: true, color: '#ff0000', size: 2, position: 'inside' }
+    });
+    doc.addLayer(layer);
+
+    const imported = await roundTrip(doc);
+    const { styles } = imported.layers[0];
+
+    assert.true(hasActiveStyles(styles));
+    assert.equal(styles[LayerStyleType.DROP_SHADOW].color, '#123456');
+    assert.equal(styles[LayerStyleType.DROP_SHADOW].distance, 7);
+    assert.equal(styles[LayerStyleType.STROKE].position, 'inside');
+    assert.equal(styles[LayerStyleType.STROKE].size, 2);
+  });
+});
+
+// ============ Image Encoder Tests ============
+runner.describe('Image Encoders', () => {
+  /**
+   * Decode a single-image GIF into RGBA pixels and its palette
+   */
+  const decodeGIF = (bytes) => {
+    let offset = 6;
+    const u8 = () => bytes[offset++];
+    const u16 = () => u8() | (u8() << 8);
+
+    const width = u16();
+    const height = u16();
+    const screenFlags = u8();
+    offset += 2;
+
+    const readTable = (bits) => {
+      const table = [];
+      for (let i = 0; i < 1 << bits; i++) table.push([u8(), u8(), u8()]);
+      return table;
+    };
+
+    let palette = screenFlags & 0x80 ? readTable((screenFlags & 7) + 1) : null;
+    let transparentIndex = -1;
+
+    while (bytes[offset] === 0x21) {
+      offset++;
+      const label = u8();
+      if (label === 0xf9) {
+        offset++;
+        const flags = u8();
+        offset += 2;
+        const index = u8();
+        if (flags & 1) transparentIndex = index;
+      }
+      while (bytes[offset] !== 0) offset += bytes[offset] + 1;
+      offset++;
+    }
+
+    assert.equal(u8(), 0x2c);
+    offset += 8;
+    const imageFlags = u8();
+    if (imageFlags & 0x80) palette = readTable((imageFlags & 7) + 1);
+
+    // Join the data sub-blocks, then undo the LZW coding
+    const minCodeSize = u8();
+    const data = [];
+    for (let size = u8(); size > 0; size = u8()) {
+      data.push(...bytes.subarray(offset, offset + size));
+      offset += size;
+    }
+    assert.equal(u8(), 0x3b);
+
+    const clearCode = 1 << minCodeSize;
+    const indices = [];
+    let dictionary = [];
+    let codeSize = minCodeSize + 1;
+    let previous = null;
+    let bit = 0;
+    let clears = 0;
+
+    const reset = () => {
+      dictionary = Array.from({ length: clearCode + 2 }, (_, i) => [i]);
+      codeSize = minCodeSize + 1;
+      previous = null;
+    };
+    reset();
+
+    // Stop at the end of the data if a broken stream never ends
+    while (bit + codeSize <= data.length * 8) {
+      let code = 0;
+      for (let i = 0; i < codeSize; i++, bit++) {
+        code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+      }
+
+      if (code === clearCode) {
+        reset();
+        clears++;
+        continue;
+      }
+      if (code === clearCode + 1) break;
+
+      let entry = dictionary[code];
+      if (previous !== null) {
+        entry = entry || [...previous, previous[0]];
+        if (dictionary.length < 4096) dictionary.push([...previous, entry[0]]);
+        if (dictionary.length === 1 << codeSize && codeSize < 12) codeSize++;
+      }
+
+      indices.push(...entry);
+      previous = entry;
+    }
+
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    indices.forEach((index, i) => {
+      if (index === transparentIndex) return;
+      pixels.set([...palette[index], 255], i * 4);
+    });
+
+    return { width, height, pixels, pixelCount: indices.length, palette, clears };
+  };
+
+  /**
+   * Read a BMP's header fields and its pixels, top row first
+   */
+  const decodeBMP = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const header = {
+      signature: String.fromCharCode(bytes[0], bytes[1]),
+      fileSize: view.getUint32(2, true),
+      pixelOffset: view.getUint32(10, true),
+      headerSize: view.getUint32(14, true),
+      width: view.getInt32(18, true),
+      height: view.getInt32(22, true),
+      bitDepth: view.getUint16(28, true),
+      compression: view.getUint32(30, true)
+    };
+
+    const { width, height, bitDepth, pixelOffset } = header;
+    const channels = bitDepth / 8;
+    const rowSize = Math.ceil((width * bitDepth) / 32) * 4;
+    const pixels = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+      const row = pixelOffset + (height - 1 - y) * rowSize;
+      for (let x = 0; x < width; x++) {
+        const p = row + x * channels;
+        pixels.set([bytes[p + 2], bytes[p + 1], bytes[p], channels === 4 ? bytes[p + 3] : 255], (y * width + x) * 4);
+      }
+    }
+
+    return { header, rowSize, pixels };
+  };
+
+  const exportBytes = async (layer, format, options) => {
+    const doc = createDocument({ width: layer.width, height: layer.height });
+    doc.layers = [];
+    doc.addLayer(layer);
+    const blob = await exportToBlob(doc, format, options);
+    return new Uint8Array(await blob.arrayBuffer());
+  };
+
+  const meanError = (a, b) => {
+    let total = 0;
+    for (let i = 0; i < a.length; i++) total += Math.abs(a[i] - b[i]);
+    return total / a.length;
+  };
+
+  runner.it('should encode a GIF that decodes to the same colors', async () => {
+    const layer = createRasterLayer('Flat', 5, 3);
+    const colors = ['#ff0000', '#00ff00', '#0000ff', '#ffffff', '#000000'];
+    colors.forEach((color, x) => {
+      layer.ctx.fillStyle = color;
+      layer.ctx.fillRect(x, 0, 1, 3);
+    });
+    const source = layer.ctx.getImageData(0, 0, 5, 3).data;
+
+    const gif = decodeGIF(await exportBytes(layer, ExportFormat.GIF, { dithering: false }));
+    assert.equal(gif.width, 5);
+    assert.equal(gif.height, 3);
+    assert.equal(gif.pixelCount, 15);
+    assert.lessThan(meanError(gif.pixels, source), 4);
+  });
+
+  runner.it('should limit the GIF palette and keep transparency', async () => {
+    const layer = createRasterLayer('Gradient', 64, 8);
+    for (let x = 0; x < 64; x++) {
+      layer.ctx.fillStyle = `rgb(${x * 4}, ${255 - x * 4}, 128)`;
+      layer.ctx.fillRect(x, 0, 1, 7);
+    }
+    const source = layer.ctx.getImageData(0, 0, 64, 8).data;
+
+    const gif = decodeGIF(await exportBytes(layer, ExportFormat.GIF, { colors: 16, dithering: false }));
+    assert.equal(gif.palette.length, 16);
+    assert.equal(gif.pixels[(7 * 64 + 10) * 4 + 3], 0);
+    assert.equal(gif.pixels[(0 * 64 + 10) * 4 + 3], 255);
+    assert.lessThan(meanError(gif.pixels, source), 12);
+  });
+
+  runner.it('should restart the LZW table when it fills up', async () => {
+    const layer = createRasterLayer('Noise', 96, 96);
+    const imageData = layer.ctx.createImageData(96, 96);
+    let seed = 1;
+    for (let i = 0; i < imageData.data.length; i += 4) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      imageData.data.set([seed & 0xe0, (seed >> 8) & 0xe0, (seed >> 16) & 0xc0, 255], i);
+    }
+    layer.ctx.putImageData(imageData, 0, 0);
+
+    const gif = decodeGIF(await exportBytes(layer, ExportFormat.GIF, { dithering: false }));
+    assert.equal(gif.pixelCount, 96 * 96);
+    assert.greaterThan(gif.clears, 1);
+    assert.lessThan(meanError(gif.pixels, imageData.data), 4);
+  });
+
+  runner.it('should write padded 24-bit BMP rows bottom-up on the background', async () => {
+    const layer = createRasterLayer('Pixels', 3, 2);
+    layer.ctx.fillStyle = '#102030';
+    layer.ctx.fillRect(0, 0, 3, 1);
+    layer.ctx.fillStyle = '#405060';
+    layer.ctx.fillRect(0, 1, 2, 1);
+
+    const bytes = await exportBytes(layer, ExportFormat.BMP, { bitDepth: 24 });
+    const { header, rowSize, pixels } = decodeBMP(bytes);
+
+    assert.equal(header.signature, 'BM');
+    assert.equal(header.fileSize, bytes.length);
+    assert.equal(header.headerSize, 40);
+    assert.equal(header.bitDepth, 24);
+    assert.equal(header.compression, 0);
+    assert.equal(rowSize, 12);
+    assert.equal(header.pixelOffset + rowSize * 2, bytes.length);
+    assert.deepEqual(Array.from(pixels.subarray(0, 4)), [16, 32, 48, 255]);
+    assert.deepEqual(Array.from(pixels.subarray(12, 16)), [64, 80, 96, 255]);
+    assert.deepEqual(Array.from(pixels.subarray(20, 24)), [255, 255, 255, 255]);
+  });
+
+  runner.it('should keep alpha in 32-bit BMPs', async () => {
+    const layer = createRasterLayer('Alpha', 2, 2);
+    layer.ctx.fillStyle = '#ff8000';
+    layer.ctx.fillRect(0, 0, 1, 1);
+
+    const bytes = await exportBytes(layer, ExportFormat.BMP, { bitDepth: 32 });
+    const { header, pixels } = decodeBMP(bytes);
+
+    assert.equal(header.headerSize, 108);
+    assert.equal(header.bitDepth, 32);
+    assert.equal(header.compression, 3);
+    assert.equal(header.fileSize, bytes.length);
+    assert.deepEqual(Array.from(pixels.subarray(0, 4)), [255, 128, 0, 255]);
+    assert.equal(pixels[7], 0);
+  });
 });
 
 export { runner as documentTests };
@@ -22,17 +22,37 @@ import {
   getAllProjects,
   getRecentDocuments,
   saveSetting,
-  getSetting
+  getSetting,
+  loadHistory,
+  saveHistoryChanges,
+  deleteHistory
 } from '../src/storage/project-store.js';
 import {
   checkForRecovery,
   clearRecoveryState,
   getAutosaveStatus
 } from '../src/storage/autosave.js';
+import { Store, createInitialState } from '../src/core/store.js';
+import { getHistory, Command } from '../src/core/commands.js';
 import { createDocument } from '../src/document/document.js';
+import { createChannel } from '../src/document/channels.js';
+import { createAdjustmentLayer } from '../src/document/layer.js';
+import { AdjustmentType, AdjustmentDefaults } from '../src/effects/adjustments/adjustment-layer.js';
 
 const runner = new TestRunner();
 
+/**
+ * Documents and history steps write to the shared store. The Store tests
+ * create it with their own state, so add the app state these tests need.
+ */
+function useAppState() {
+  const initial = createInitialState();
+  const store = new Store(initial);
+  for (const key of Object.keys(initial)) {
+    if (!(key in store.state)) store.state[key] = initial[key];
+  }
+}
+
 // ============ IndexedDB Tests ============
 runner.describe('IndexedDB', () => {
   runner.it('should open database', async () => {
@@ -55,6 +75,7 @@ runner.describe('IndexedDB', () => {
     assert.true(db.objectStoreNames.contains(Stores.THUMBNAILS));
     assert.true(db.objectStoreNames.contains(Stores.SETTINGS));
     assert.true(db.objectStoreNames.contains(Stores.RECENT));
+    assert.true(db.objectStoreNames.contains(Stores.SAVED_HISTORY));
   });
 
   runner.it('should put and get data', async () => {
@@ -82,6 +103,105 @@ runner.describe('IndexedDB', () => {
   });
 });
 
+// ============ Project Store Tests ============
+runner.describe('Project Store', () => {
+  runner.beforeEach(() => {
+    useAppState();
+  });
+
+  runner.it('should round-trip gradient map adjustment layers', async () => {
+    const doc = createDocument({ width: 16, height: 16, name: 'Gradient Map Test' });
+    const params = structuredClone(AdjustmentDefaults[AdjustmentType.GRADIENT_MAP]);
+    params.stops.splice(1, 0, { offset: 0.4, color: '#ff8800' });
+    params.dither = true;
+    doc.addLayer(createAdjustmentLayer(AdjustmentType.GRADIENT_MAP, params));
+
+    const projectId = await saveProject(doc);
+    const { layers } = await loadProject(projectId);
+    const restored = layers.find(l => l.type === 'adjustment');
+
+    assert.exists(restored);
+    assert.equal(restored.adjustment.type, AdjustmentType.GRADIENT_MAP);
+    assert.equal(restored.adjustment.params.stops.length, 3);
+    assert.equal(restored.adjustment.params.stops[1].color, '#ff8800');
+    assert.true(restored.adjustment.params.dither);
+
+    await deleteProject(projectId);
+  });
+
+  runner.it('should round-trip alpha channels', async () => {
+    const doc = createDocument({ width: 16, height: 16, name: 'Channel Test' });
+    const channel = createChannel('Alpha 1', 16, 16);
+    channel.data[17] = 200;
+    doc.addChannel(channel);
+
+    const projectId = await saveProject(doc);
+    const { project } = await loadProject(projectId);
+
+    assert.equal(project.channels.length, 1);
+    assert.equal(project.channels[0].name, 'Alpha 1');
+    assert.equal(project.channels[0].data[17], 200);
+
+    await deleteProject(projectId);
+  });
+
+  runner.it('should save undo history with the project', async () => {
+    const doc = createDocument({ width: 16, height: 16, name: 'History Test' });
+    const history = getHistory();
+    history.clear();
+    const command = new Command('Saved Step');
+    command.serialize = () => ({ type: 'test-step', data: {} });
+    history.push(command);
+
+    const projectId = await saveProject(doc);
+    const loaded = await loadProject(projectId);
+    assert.equal(loaded.history.undo.length, 1);
+    assert.equal(loaded.history.undo[0].name, 'Saved Step');
+
+    await deleteProject(projectId);
+    assert.notExists(await loadHistory(projectId));
+    history.clear();
+  });
+
+  runner.it('should only write new steps when saving history changes', async () => {
+    const key = 'history-changes-test';
+    const history = getHistory();
+    history.clear();
+
+    let serialized = 0;
+    const step = (name) => {
+      const command = new Command(name);
+      command.serialize = () => {
+        serialized++;
+        return { type: 'test-step', data: {} };
+      };
+      return command;
+    };
+
+    history.push(step('First'));
+    await saveHistoryChanges(key);
+    history.push(step('Second'));
+    await saveHistoryChanges(key);
+    assert.equal(serialized, 2);
+
+    const loaded = await loadHistory(key);
+    assert.equal(loaded.undo.length, 2);
+    assert.equal(loaded.undo[1].name, 'Second');
+
+    // Steps that left history are removed from storage
+    const [firstId] = (await get(Stores.SAVED_HISTORY, key)).undoIds;
+    history.clear();
+    history.push(step('Third'));
+    await saveHistoryChanges(key);
+    assert.notExists(await get(Stores.SAVED_HISTORY, firstId));
+    assert.equal((await loadHistory(key)).undo.length, 1);
+
+    await deleteHistory(key);
+    assert.notExists(await loadHistory(key));
+    history.clear();
+  });
+});
+
 // ============ Settings Tests ============
 runner.describe('Settings Store', () => {
   runner.it('should save and load settings', async () => {
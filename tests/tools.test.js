@@ -4,11 +4,19 @@
  */
 
 import { TestRunner, assert } from './test-runner.js';
-import { getToolManager, ToolManager } from '../src/tools/tool-manager.js';
+import { getToolManager } from '../src/tools/tool-manager.js';
 import { BaseTool } from '../src/tools/base-tool.js';
 import { BrushTool } from '../src/tools/brush/brush-tool.js';
 import { BrushEngine } from '../src/tools/brush/brush-engine.js';
-import { BrushPresets, getDefaultPresets } from '../src/tools/brush/brush-presets.js';
+import { BrushPreset, defaultPresets } from '../src/tools/brush/brush-presets.js';
+import { blendMask, createPatternSampler, jitterColor, MaskMode } from '../src/tools/brush/brush-effects.js';
+import { StrokeStabilizer, StabilizerMode } from '../src/tools/brush/stroke-stabilizer.js';
+import {
+  SymmetryMode, createSymmetryTransforms, transformPoint, hitTestSymmetryHandle
+} from '../src/tools/brush/symmetry.js';
+import { parseABR } from '../src/tools/brush/abr-parser.js';
+import { PaintMixer } from '../src/tools/brush/paint-mixer.js';
+import { MixerBrushTool, SmudgeTool } from '../src/tools/brush/mixer-brush-tool.js';
 import { EraserTool } from '../src/tools/eraser-tool.js';
 import { MoveTool } from '../src/tools/move-tool.js';
 import { EyedropperTool } from '../src/tools/eyedropper-tool.js';
@@ -17,8 +25,15 @@ import { GradientTool } from '../src/tools/gradient-tool.js';
 import { CropTool } from '../src/tools/crop-tool.js';
 import { TransformTool } from '../src/tools/transform-tool.js';
 import { RectangularMarqueeTool, EllipticalMarqueeTool } from '../src/tools/selection/marquee-tool.js';
-import { LassoTool, PolygonalLassoTool } from '../src/tools/selection/lasso-tool.js';
+import { LassoTool, PolygonalLassoTool, MagneticLassoTool } from '../src/tools/selection/lasso-tool.js';
+import { computeEdgeMap, snapToEdge, findEdgePath } from '../src/tools/selection/live-wire.js';
+import {
+  computeHomography, projectPoint, createWarpMesh, evaluateMesh, renderPerspective, WarpPreset
+} from '../src/tools/transform-warp.js';
 import { MagicWandTool } from '../src/tools/selection/magic-wand-tool.js';
+import { TextTool } from '../src/tools/text-tool.js';
+import { createTextLayer } from '../src/document/text-layer.js';
+import { createLayerGroup } from '../src/document/layer.js';
 
 const runner = new TestRunner();
 
@@ -115,13 +130,13 @@ runner.describe('BrushEngine', () => {
 // ============ Brush Presets Tests ============
 runner.describe('BrushPresets', () => {
   runner.it('should have default presets', () => {
-    const presets = getDefaultPresets();
+    const presets = defaultPresets;
     assert.exists(presets);
     assert.greaterThan(presets.length, 0);
   });
 
   runner.it('should have preset properties', () => {
-    const presets = getDefaultPresets();
+    const presets = defaultPresets;
     const preset = presets[0];
     assert.hasProperty(preset, 'name');
     assert.hasProperty(preset, 'size');
@@ -130,6 +145,266 @@ runner.describe('BrushPresets', () => {
   });
 });
 
+// ============ Brush Effects Tests ============
+runner.describe('Brush Effects', () => {
+  runner.it('should mask dab alpha by mode and depth', () => {
+    assert.equal(blendMask(1, 0.5, 1, MaskMode.MULTIPLY), 0.5);
+    assert.equal(blendMask(0.8, 0.5, 1, MaskMode.SUBTRACT).toFixed(2), '0.30');
+    assert.equal(blendMask(0.8, 0.5, 1, MaskMode.DARKEN), 0.5);
+    assert.equal(blendMask(0.8, 0, 0, MaskMode.MULTIPLY), 0.8);
+  });
+
+  runner.it('should tile a pattern across the document', () => {
+    const pattern = new ImageData(2, 1);
+    pattern.data[3] = 255;
+    const sample = createPatternSampler(pattern, 10, 0, { scale: 100, invert: false });
+    assert.equal(sample(0, 0), 1);
+    assert.equal(sample(1, 0), 0);
+    assert.equal(sample(2, 5), 1);
+  });
+
+  runner.it('should jitter between foreground and background colors', () => {
+    const none = { mix: 0, hue: 0, saturation: 0, brightness: 0 };
+    assert.equal(jitterColor('#ff0000', '#0000ff', none), '#ff0000');
+    assert.equal(jitterColor('#ff0000', '#0000ff', { ...none, mix: 1 }), '#0000ff');
+    assert.equal(jitterColor('#ff0000', '#0000ff', { ...none, hue: 0.5 }), '#00ffff');
+  });
+
+  runner.it('should keep one color jitter per stroke when not per tip', () => {
+    const engine = new BrushEngine();
+    engine.setColorDynamics({ enabled: true, hueJitter: 100, perTip: false });
+    engine.resetStroke();
+    const first = engine.getColorJitter(1);
+    assert.equal(engine.getColorJitter(1).hue, first.hue);
+  });
+
+  runner.it('should save effects with presets', () => {
+    const preset = new BrushPreset({
+      texture: { enabled: true, scale: 50 },
+      dualBrush: { enabled: true, tipId: 'builtin-splatter' }
+    });
+    const copy = BrushPreset.fromJSON(JSON.parse(JSON.stringify(preset.toJSON())));
+    assert.true(copy.texture.enabled);
+    assert.equal(copy.texture.scale, 50);
+    assert.equal(copy.dualBrush.tipId, 'builtin-splatter');
+    assert.false(copy.colorDynamics.enabled);
+  });
+});
+
+// ============ Stroke Stabilizer Tests ============
+runner.describe('Stroke Stabilizer', () => {
+  const point = (x, y) => ({ x, y, pressure: 1 });
+
+  runner.it('should hold the brush until the string is pulled tight', () => {
+    const stabilizer = new StrokeStabilizer({ mode: StabilizerMode.STRING, length: 10 });
+    stabilizer.begin(point(0, 0));
+    assert.notExists(stabilizer.update(point(8, 0)));
+
+    const brush = stabilizer.update(point(25, 0));
+    assert.equal(brush.x, 15);
+    assert.equal(brush.y, 0);
+  });
+
+  runner.it('should trail the lazy rope no further than its length', () => {
+    const stabilizer = new StrokeStabilizer({ mode: StabilizerMode.ROPE, length: 10, strength: 100 });
+    stabilizer.begin(point(0, 0));
+    const brush = stabilizer.update(point(100, 0));
+    assert.equal(brush.x, 90);
+  });
+
+  runner.it('should average recent points when smoothing', () => {
+    const stabilizer = new StrokeStabilizer({ mode: StabilizerMode.AVERAGE, strength: 100 });
+    stabilizer.begin(point(0, 0));
+    const brush = stabilizer.update(point(0, 30));
+    assert.equal(brush.y, 20);
+  });
+
+  runner.it('should catch up to the pointer on stroke end', () => {
+    const stabilizer = new StrokeStabilizer({ mode: StabilizerMode.STRING, length: 10 });
+    stabilizer.begin(point(0, 0));
+    stabilizer.update(point(30, 0));
+    const points = stabilizer.finish();
+    assert.equal(points.length, 1);
+    assert.equal(points[0].x, 30);
+
+    stabilizer.setSettings({ catchUp: false });
+    stabilizer.begin(point(0, 0));
+    stabilizer.update(point(30, 0));
+    assert.equal(stabilizer.finish().length, 0);
+  });
+});
+
+// ============ Symmetry Tests ============
+runner.describe('Symmetry', () => {
+  const center = { x: 50, y: 50 };
+
+  runner.it('should mirror horizontally across the center', () => {
+    const transforms = createSymmetryTransforms({ mode: SymmetryMode.HORIZONTAL }, center);
+    assert.equal(transforms.length, 2);
+
+    const mirrored = transformPoint(transforms[1], { x: 10, y: 5 });
+    assert.equal(Math.round(mirrored.x), 90);
+    assert.equal(Math.round(mirrored.y), 5);
+  });
+
+  runner.it('should rotate radial copies around the center', () => {
+    const transforms = createSymmetryTransforms({ mode: SymmetryMode.RADIAL, segments: 4 }, center);
+    assert.equal(transforms.length, 4);
+
+    const rotated = transformPoint(transforms[1], { x: 60, y: 50, angle: 0 });
+    assert.equal(Math.round(rotated.x), 50);
+    assert.equal(Math.round(rotated.y), 60);
+    assert.equal(Math.round(rotated.angle), 90);
+  });
+
+  runner.it('should add a reflection per segment for mandala', () => {
+    const transforms = createSymmetryTransforms({ mode: SymmetryMode.MANDALA, segments: 6 }, center);
+    assert.equal(transforms.length, 12);
+  });
+
+  runner.it('should tag mirrored dabs in the brush engine', () => {
+    const engine = new BrushEngine();
+    assert.equal(engine.mirrorPoint({ x: 1, y: 1 }).length, 1);
+
+    engine.setSymmetry(createSymmetryTransforms({ mode: SymmetryMode.BOTH }, center));
+    const points = engine.mirrorPoint({ x: 10, y: 20 });
+    assert.equal(points.length, 4);
+    assert.equal(points[3].mirror, 3);
+    assert.equal(Math.round(points[3].x), 90);
+    assert.equal(Math.round(points[3].y), 80);
+  });
+
+  runner.it('should find the center and axis handles', () => {
+    const settings = { mode: SymmetryMode.VERTICAL, angle: 0 };
+    assert.equal(hitTestSymmetryHandle(settings, center, { x: 52, y: 49 }, 1), 'center');
+    assert.equal(hitTestSymmetryHandle(settings, center, { x: 110, y: 50 }, 1), 'axis');
+    assert.notExists(hitTestSymmetryHandle(settings, center, { x: 80, y: 80 }, 1));
+    assert.notExists(hitTestSymmetryHandle({ mode: SymmetryMode.OFF }, center, center, 1));
+  });
+});
+
+// ============ ABR Import Tests ============
+runner.describe('ABR Parser', () => {
+  // Version 2 file: a computed brush, then a 2x2 sampled brush named "Dot"
+  function createVersion2File() {
+    const buffer = new ArrayBuffer(128);
+    const view = new DataView(buffer);
+    let offset = 0;
+    const write = (method, size, value) => {
+      view[method](offset, value);
+      offset += size;
+    };
+
+    write('setInt16', 2, 2);
+    write('setInt16', 2, 2);
+
+    write('setInt16', 2, 1);
+    write('setInt32', 4, 14);
+    write('setUint32', 4, 0);
+    [30, 19, 80, 45, 50].forEach(value => write('setInt16', 2, value));
+
+    write('setInt16', 2, 2);
+    const sizeOffset = offset;
+    write('setInt32', 4, 0);
+    const start = offset;
+    write('setUint32', 4, 0);
+    write('setInt16', 2, 10);
+    write('setUint32', 4, 4);
+    [68, 111, 116, 0].forEach(char => write('setUint16', 2, char));
+    offset += 9;
+    [0, 0, 2, 2].forEach(value => write('setInt32', 4, value));
+    write('setInt16', 2, 8);
+    write('setUint8', 1, 0);
+    [0, 85, 170, 255].forEach(value => write('setUint8', 1, value));
+    view.setInt32(sizeOffset, offset - start);
+
+    return buffer.slice(0, offset);
+  }
+
+  runner.it('should read computed brush settings', () => {
+    const { brushes } = parseABR(createVersion2File());
+    assert.equal(brushes[0].sampleId, null);
+    assert.equal(brushes[0].diameter, 19);
+    assert.equal(brushes[0].roundness, 80);
+    assert.equal(brushes[0].angle, 45);
+    assert.equal(brushes[0].hardness, 50);
+    assert.equal(brushes[0].spacing, 30);
+  });
+
+  runner.it('should read sampled tips', () => {
+    const { samples, brushes } = parseABR(createVersion2File());
+    assert.equal(samples.length, 1);
+    assert.equal(samples[0].width, 2);
+    assert.equal(Array.from(samples[0].data).join(), '0,85,170,255');
+    assert.equal(brushes[1].name, 'Dot');
+    assert.equal(brushes[1].sampleId, samples[0].id);
+    assert.equal(brushes[1].spacing, 10);
+  });
+
+  runner.it('should reject unknown versions', () => {
+    const buffer = new ArrayBuffer(4);
+    new DataView(buffer).setInt16(0, 3);
+    let error = null;
+    try {
+      parseABR(buffer);
+    } catch (e) {
+      error = e;
+    }
+    assert.exists(error);
+  });
+});
+
+// ============ Paint Mixer Tests ============
+runner.describe('Paint Mixer', () => {
+  // 10x10 image, red on the left half and blue on the right
+  const createSplitImage = () => {
+    const image = new ImageData(10, 10);
+    for (let i = 0; i < 100; i++) {
+      const left = i % 10 < 5;
+      image.data.set(left ? [255, 0, 0, 255] : [0, 0, 255, 255], i * 4);
+    }
+    return image;
+  };
+  const pixel = (image, x, y) => Array.from(image.data.slice((y * 10 + x) * 4, (y * 10 + x) * 4 + 4));
+  const dab = (x) => ({ x, y: 5, size: 6, flow: 100, opacity: 100, angle: 0, roundness: 100 });
+
+  runner.it('should leave the canvas unchanged on the first smudge dab', () => {
+    const mixer = new PaintMixer(6);
+    const image = createSplitImage();
+    mixer.clean();
+    mixer.applyDab(image, image, dab(2), { wet: 0, mix: 1, load: 1, hardness: 1 });
+    assert.equal(pixel(image, 2, 5).join(), '255,0,0,255');
+  });
+
+  runner.it('should carry picked up color along a smudge stroke', () => {
+    const mixer = new PaintMixer(6);
+    const image = createSplitImage();
+    mixer.clean();
+    mixer.applyDab(image, image, dab(3), { wet: 0, mix: 1, load: 1, hardness: 1 });
+    mixer.applyDab(image, image, dab(6), { wet: 0, mix: 1, load: 1, hardness: 1 });
+    assert.equal(pixel(image, 6, 5).join(), '255,0,0,255');
+  });
+
+  runner.it('should mix loaded paint with the canvas color', () => {
+    const mixer = new PaintMixer(6);
+    const image = createSplitImage();
+    mixer.clean();
+    mixer.loadColor({ r: 0, g: 255, b: 0 });
+    mixer.applyDab(image, image, dab(2), { wet: 1, mix: 0.5, load: 1, hardness: 1 });
+    assert.equal(pixel(image, 2, 5).join(), '128,128,0,255');
+  });
+
+  runner.it('should run dry at a low load', () => {
+    const mixer = new PaintMixer(6);
+    mixer.loadColor({ r: 0, g: 255, b: 0 });
+    const image = createSplitImage();
+    for (let i = 0; i < 10; i++) {
+      mixer.applyDab(image, image, dab(2), { wet: 0, mix: 0, load: 0.01, hardness: 1 });
+    }
+    assert.lessThan(mixer.load, 1);
+  });
+});
+
 // ============ Individual Tools Existence Tests ============
 runner.describe('Tool Classes', () => {
   runner.it('should have BrushTool', () => {
@@ -138,6 +413,11 @@ runner.describe('Tool Classes', () => {
     assert.equal(tool.name, 'brush');
   });
 
+  runner.it('should have MixerBrushTool and SmudgeTool', () => {
+    assert.equal(new MixerBrushTool().name, 'mixerBrush');
+    assert.equal(new SmudgeTool().name, 'smudge');
+  });
+
   runner.it('should have EraserTool', () => {
     const tool = new EraserTool();
     assert.exists(tool);
@@ -180,6 +460,23 @@ runner.describe('Tool Classes', () => {
     assert.equal(tool.name, 'transform');
   });
 
+  runner.it('should have TextTool', () => {
+    const tool = new TextTool();
+    assert.exists(tool);
+    assert.equal(tool.name, 'text');
+    assert.equal(tool.getCursor(), 'text');
+  });
+
+  runner.it('should hit text layers inside groups', () => {
+    const text = createTextLayer({ content: 'Hit', fontSize: 30, x: 50, y: 20 }, 200, 100);
+    const group = createLayerGroup('Group');
+    group.children.push(text);
+
+    const tool = new TextTool();
+    assert.equal(tool.hitTest({ layers: [group] }, 55, 30), text);
+    assert.notExists(tool.hitTest({ layers: [group] }, 5, 90));
+  });
+
   runner.it('should have RectangularMarqueeTool', () => {
     const tool = new RectangularMarqueeTool();
     assert.exists(tool);
@@ -200,10 +497,89 @@ runner.describe('Tool Classes', () => {
     assert.exists(tool);
   });
 
+  runner.it('should have MagneticLassoTool', () => {
+    const tool = new MagneticLassoTool();
+    assert.exists(tool);
+    assert.equal(tool.name, 'magneticLasso');
+  });
+
   runner.it('should have MagicWandTool', () => {
     const tool = new MagicWandTool();
     assert.exists(tool);
   });
 });
 
+// ============ Live Wire Tests ============
+runner.describe('Live Wire', () => {
+  let edgeMap;
+
+  runner.beforeEach(() => {
+    // Black left half, white right half: one vertical edge at x = 20
+    const imageData = new ImageData(40, 40);
+    for (let i = 0; i < 40 * 40; i++) {
+      const value = i % 40 < 20 ? 0 : 255;
+      imageData.data.fill(value, i * 4, i * 4 + 3);
+      imageData.data[i * 4 + 3] = 255;
+    }
+    edgeMap = computeEdgeMap(imageData);
+  });
+
+  runner.it('should snap to the nearest strong edge', () => {
+    const point = snapToEdge(edgeMap, { x: 10, y: 20 }, { width: 15, contrast: 10 });
+    assert.true(point.x >= 19 && point.x <= 20);
+    assert.equal(point.y, 20);
+  });
+
+  runner.it('should not snap when no edge is within the width', () => {
+    const point = snapToEdge(edgeMap, { x: 5, y: 20 }, { width: 5, contrast: 10 });
+    assert.equal(point.x, 5);
+  });
+
+  runner.it('should route the path along the edge', () => {
+    const path = findEdgePath(edgeMap, { x: 20, y: 2 }, { x: 20, y: 37 }, { contrast: 10 });
+    assert.equal(path[0].y, 2);
+    assert.equal(path[path.length - 1].y, 37);
+    assert.true(path.every(point => point.x >= 19 && point.x <= 20));
+  });
+});
+
+// ============ Transform Warp Tests ============
+runner.describe('Transform Warp', () => {
+  const quad = [{ x: 10, y: 5 }, { x: 50, y: 0 }, { x: 60, y: 40 }, { x: 0, y: 30 }];
+
+  runner.it('should map the unit square onto the quad corners', () => {
+    const matrix = computeHomography(quad);
+    [[0, 0], [1, 0], [1, 1], [0, 1]].forEach(([u, v], i) => {
+      const point = projectPoint(matrix, u, v);
+      assert.true(Math.abs(point.x - quad[i].x) < 1e-6);
+      assert.true(Math.abs(point.y - quad[i].y) < 1e-6);
+    });
+  });
+
+  runner.it('should leave pixels in place for an untransformed quad', () => {
+    const source = new ImageData(8, 8);
+    for (let i = 0; i < 64; i++) {
+      source.data.set([i * 4, 0, 255 - i * 4, 255], i * 4);
+    }
+    const rect = { x: 0, y: 0, width: 8, height: 8 };
+    const target = new ImageData(8, 8);
+    renderPerspective(source, rect, [{ x: 0, y: 0 }, { x: 8, y: 0 }, { x: 8, y: 8 }, { x: 0, y: 8 }], target);
+
+    assert.true(target.data.every((value, i) => Math.abs(value - source.data[i]) <= 1));
+  });
+
+  runner.it('should pass the warp surface through its control points', () => {
+    const mesh = createWarpMesh({ x: 0, y: 0, width: 90, height: 60 }, 3, WarpPreset.FLAG, 50);
+    const point = evaluateMesh(mesh, 1 / 3, 2 / 3);
+    assert.true(Math.abs(point.x - mesh.points[9].x) < 1e-6);
+    assert.true(Math.abs(point.y - mesh.points[9].y) < 1e-6);
+  });
+
+  runner.it('should bend the top edge up for an arc', () => {
+    const mesh = createWarpMesh({ x: 0, y: 0, width: 100, height: 50 }, 4, WarpPreset.ARC, 50);
+    assert.true(evaluateMesh(mesh, 0.5, 0).y < 0);
+    assert.equal(evaluateMesh(mesh, 0, 0).y, 0);
+  });
+});
+
 export { runner as toolsTests };
@@ -0,0 +1,594 @@
+/**
+ * Filter Worker - Convolution and neighbourhood filters off the main thread
+ * Blur, sharpen, noise, median and emboss on RGBA ImageData
+ */
+
+// How often (in rows) progress is reported
+const PROGRESS_INTERVAL = 16;
+
+/**
+ * Message handler for worker communication
+ */
+self.onmessage = function(e) {
+  const { type, id, data } = e.data;
+
+  try {
+    let result;
+
+    switch (type) {
+      case 'apply':
+        result = applyFilter(data, (progress) => {
+          self.postMessage({ id, progress });
+        });
+        break;
+
+      default:
+        throw new Error(`Unknown message type: ${type}`);
+    }
+
+    self.postMessage({ id, success: true, result }, [result.data.buffer]);
+  } catch (error) {
+    self.postMessage({ id, success: false, error: error.message });
+  }
+};
+
+/**
+ * Run a filter and blend it into the original through the selection mask
+ * @param {Object} data - { filter, params, imageData, mask }
+ */
+function applyFilter(data, onProgress) {
+  const { filter, params, imageData, mask } = data;
+  const { width, height } = imageData;
+  const src = imageData.data;
+
+  const run = Filters[filter];
+  if (!run) {
+    throw new Error(`Unknown filter: ${filter}`);
+  }
+
+  const progress = createProgressReporter(onProgress);
+  const out = run(src, width, height, params || {}, progress);
+
+  if (mask) {
+    blendThroughMask(src, out, mask);
+  }
+
+  onProgress(100);
+  return new ImageData(out, width, height);
+}
+
+/**
+ * Throttled progress callback taking a 0-1 fraction
+ */
+function createProgressReporter(onProgress) {
+  let last = -1;
+  return (fraction) => {
+    const percent = Math.floor(fraction * 100);
+    if (percent !== last) {
+      last = percent;
+      onProgress(percent);
+    }
+  };
+}
+
+/**
+ * Keep original pixels where the selection mask is 0, partial where it is soft
+ */
+function blendThroughMask(src, out, mask) {
+  for (let i = 0; i < mask.length; i++) {
+    const m = mask[i];
+    if (m === 255) continue;
+
+    const p = i * 4;
+    const t = m / 255;
+    for (let c = 0; c < 4; c++) {
+      out[p + c] = src[p + c] + (out[p + c] - src[p + c]) * t;
+    }
+  }
+}
+
+// ========== Filters ==========
+
+const Filters = {
+  'gaussian-blur': (src, width, height, params, progress) =>
+    blurRGBA(src, width, height, (plane) => gaussianBlurPlane(plane, width, height, params.radius), progress),
+
+  'box-blur': (src, width, height, params, progress) =>
+    blurRGBA(src, width, height, (plane) => boxBlurPlane(plane, width, height, Math.round(params.radius)), progress),
+
+  'motion-blur': motionBlur,
+  'unsharp-mask': unsharpMask,
+  'high-pass': highPass,
+  'add-noise': addNoise,
+  'median': (src, width, height, params, progress) =>
+    median(src, width, height, Math.round(params.radius), progress),
+  'despeckle': despeckle,
+  'emboss': emboss
+};
+
+/**
+ * Blur all channels on premultiplied planes so transparent pixels do not darken edges
+ */
+function blurRGBA(src, width, height, blurPlane, progress) {
+  const planes = toPremultipliedPlanes(src, width, height);
+
+  for (let c = 0; c < 4; c++) {
+    planes[c] = blurPlane(planes[c]);
+    progress((c + 1) / 4);
+  }
+
+  return fromPremultipliedPlanes(planes, width, height);
+}
+
+function toPremultipliedPlanes(src, width, height) {
+  const size = width * height;
+  const planes = [0, 1, 2, 3].map(() => new Float32Array(size));
+
+  for (let i = 0; i < size; i++) {
+    const p = i * 4;
+    const a = src[p + 3] / 255;
+    planes[0][i] = src[p] * a;
+    planes[1][i] = src[p + 1] * a;
+    planes[2][i] = src[p + 2] * a;
+    planes[3][i] = src[p + 3];
+  }
+
+  return planes;
+}
+
+function fromPremultipliedPlanes(planes, width, height) {
+  const size = width * height;
+  const out = new Uint8ClampedArray(size * 4);
+
+  for (let i = 0; i < size; i++) {
+    const p = i * 4;
+    const alpha = planes[3][i];
+    const a = alpha / 255;
+    if (a > 0) {
+      out[p] = planes[0][i] / a;
+      out[p + 1] = planes[1][i] / a;
+      out[p + 2] = planes[2][i] / a;
+    }
+    out[p + 3] = alpha;
+  }
+
+  return out;
+}
+
+/**
+ * Gaussian blur of one plane; small radii use an exact kernel,
+ * larger ones three box passes
+ */
+function gaussianBlurPlane(plane, width, height, radius) {
+  const sigma = Math.max(0, radius);
+  if (sigma < 0.2) return plane;
+
+  if (sigma <= 4) {
+    const kernel = gaussianKernel(sigma);
+    return convolveSeparable(plane, width, height, kernel);
+  }
+
+  let result = plane;
+  for (const size of boxSizesForGauss(sigma, 3)) {
+    result = boxBlurPlane(result, width, height, (size - 1) / 2);
+  }
+  return result;
+}
+
+function gaussianKernel(sigma) {
+  const half = Math.ceil(sigma * 3);
+  const kernel = new Float32Array(half * 2 + 1);
+  let sum = 0;
+
+  for (let i = -half; i <= half; i++) {
+    const value = Math.exp(-(i * i) / (2 * sigma * sigma));
+    kernel[i + half] = value;
+    sum += value;
+  }
+
+  for (let i = 0; i < kernel.length; i++) kernel[i] /= sum;
+  return kernel;
+}
+
+/**
+ * Odd box widths whose repeated application approximates a Gaussian
+ */
+function boxSizesForGauss(sigma, count) {
+  const ideal = Math.sqrt((12 * sigma * sigma / count) + 1);
+  let lower = Math.floor(ideal);
+  if (lower % 2 === 0) lower--;
+  const upper = lower + 2;
+
+  const m = Math.round((12 * sigma * sigma - count * lower * lower - 4 * count * lower - 3 * count) /
+    (-4 * lower - 4));
+
+  const sizes = [];
+  for (let i = 0; i < count; i++) sizes.push(i < m ? lower : upper);
+  return sizes;
+}
+
+/**
+ * Convolve rows then columns with a symmetric 1D kernel (edges clamped)
+ */
+function convolveSeparable(plane, width, height, kernel) {
+  const half = (kernel.length - 1) / 2;
+  const temp = new Float32Array(plane.length);
+  const out = new Float32Array(plane.length);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -half; k <= half; k++) {
+        const sx = Math.min(width - 1, Math.max(0, x + k));
+        sum += plane[row + sx] * kernel[k + half];
+      }
+      temp[row + x] = sum;
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -half; k <= half; k++) {
+        const sy = Math.min(height - 1, Math.max(0, y + k));
+        sum += temp[sy * width + x] * kernel[k + half];
+      }
+      out[y * width + x] = sum;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Box blur of one plane with a running sum (edges clamped)
+ */
+function boxBlurPlane(plane, width, height, radius) {
+  if (radius < 1) return plane;
+
+  const size = radius * 2 + 1;
+  const temp = new Float32Array(plane.length);
+  const out = new Float32Array(plane.length);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let sum = 0;
+    for (let k = -radius; k <= radius; k++) {
+      sum += plane[row + Math.min(width - 1, Math.max(0, k))];
+    }
+    for (let x = 0; x < width; x++) {
+      temp[row + x] = sum / size;
+      const add = Math.min(width - 1, x + radius + 1);
+      const remove = Math.max(0, x - radius);
+      sum += plane[row + add] - plane[row + remove];
+    }
+  }
+
+  for (let x = 0; x < width; x++) {
+    let sum = 0;
+    for (let k = -radius; k <= radius; k++) {
+      sum += temp[Math.min(height - 1, Math.max(0, k)) * width + x];
+    }
+    for (let y = 0; y < height; y++) {
+      out[y * width + x] = sum / size;
+      const add = Math.min(height - 1, y + radius + 1);
+      const remove = Math.max(0, y - radius);
+      sum += temp[add * width + x] - temp[remove * width + x];
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Average samples along a line through each pixel
+ */
+function motionBlur(src, width, height, params, progress) {
+  const distance = Math.max(1, Math.round(params.distance));
+  const radians = params.angle * Math.PI / 180;
+  const dx = Math.cos(radians);
+  const dy = -Math.sin(radians);
+
+  const planes = toPremultipliedPlanes(src, width, height);
+  const result = [0, 1, 2, 3].map(() => new Float32Array(width * height));
+  const samples = distance + 1;
+
+  // Sample offsets centred on the pixel
+  const offsets = [];
+  for (let s = 0; s < samples; s++) {
+    const t = s - distance / 2;
+    offsets.push([Math.round(dx * t), Math.round(dy * t)]);
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      for (const [ox, oy] of offsets) {
+        const sx = Math.min(width - 1, Math.max(0, x + ox));
+        const sy = Math.min(height - 1, Math.max(0, y + oy));
+        const j = sy * width + sx;
+        result[0][i] += planes[0][j];
+        result[1][i] += planes[1][j];
+        result[2][i] += planes[2][j];
+        result[3][i] += planes[3][j];
+      }
+      for (let c = 0; c < 4; c++) result[c][i] /= samples;
+    }
+    if (y % PROGRESS_INTERVAL === 0) progress(y / height);
+  }
+
+  return fromPremultipliedPlanes(result, width, height);
+}
+
+/**
+ * Blur of the colour channels only (alpha left as is), per plane
+ */
+function blurColorPlanes(src, width, height, radius) {
+  const size = width * height;
+  const planes = [];
+
+  for (let c = 0; c < 3; c++) {
+    const plane = new Float32Array(size);
+    for (let i = 0; i < size; i++) plane[i] = src[i * 4 + c];
+    planes.push(gaussianBlurPlane(plane, width, height, radius));
+  }
+
+  return planes;
+}
+
+/**
+ * Sharpen by adding back the difference from a blurred copy
+ */
+function unsharpMask(src, width, height, params, progress) {
+  const amount = params.amount / 100;
+  const threshold = params.threshold;
+  const blurred = blurColorPlanes(src, width, height, params.radius);
+  progress(0.5);
+
+  const out = new Uint8ClampedArray(src);
+  const size = width * height;
+
+  for (let i = 0; i < size; i++) {
+    const p = i * 4;
+    for (let c = 0; c < 3; c++) {
+      const diff = src[p + c] - blurred[c][i];
+      if (Math.abs(diff) >= threshold) {
+        out[p + c] = src[p + c] + diff * amount;
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Keep only detail finer than the radius, around mid grey
+ */
+function highPass(src, width, height, params, progress) {
+  const blurred = blurColorPlanes(src, width, height, params.radius);
+  progress(0.5);
+
+  const out = new Uint8ClampedArray(src);
+  const size = width * height;
+
+  for (let i = 0; i < size; i++) {
+    const p = i * 4;
+    for (let c = 0; c < 3; c++) {
+      out[p + c] = src[p + c] - blurred[c][i] + 128;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Seeded PRNG so the preview and the applied result match
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Add uniform or Gaussian noise to the colour channels
+ */
+function addNoise(src, width, height, params, progress) {
+  const random = mulberry32(params.seed ?? 1);
+  const strength = params.amount / 100 * 255;
+  const gaussian = params.distribution === 'gaussian';
+
+  const sample = () => {
+    if (gaussian) {
+      // Box-Muller, scaled so most values fall within the amount
+      const u = Math.max(random(), 1e-7);
+      const v = random();
+      return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v) * strength / 2.5;
+    }
+    return (random() * 2 - 1) * strength;
+  };
+
+  const out = new Uint8ClampedArray(src);
+  const size = width * height;
+
+  for (let i = 0; i < size; i++) {
+    const p = i * 4;
+    if (params.monochromatic) {
+      const n = sample();
+      out[p] = src[p] + n;
+      out[p + 1] = src[p + 1] + n;
+      out[p + 2] = src[p + 2] + n;
+    } else {
+      out[p] = src[p] + sample();
+      out[p + 1] = src[p + 1] + sample();
+      out[p + 2] = src[p + 2] + sample();
+    }
+    if (i % (width * PROGRESS_INTERVAL) === 0) progress(i / size);
+  }
+
+  return out;
+}
+
+/**
+ * Median of each channel over a square window (sliding histogram)
+ */
+function median(src, width, height, radius, progress) {
+  const out = new Uint8ClampedArray(src.length);
+  if (radius < 1) {
+    out.set(src);
+    return out;
+  }
+
+  const windowSize = (radius * 2 + 1) * (radius * 2 + 1);
+  const half = Math.floor(windowSize / 2);
+  const histogram = new Uint32Array(256);
+
+  const clampX = (x) => Math.min(width - 1, Math.max(0, x));
+  const clampY = (y) => Math.min(height - 1, Math.max(0, y));
+
+  for (let c = 0; c < 4; c++) {
+    for (let y = 0; y < height; y++) {
+      histogram.fill(0);
+
+      // Window for the first pixel of the row
+      for (let wy = -radius; wy <= radius; wy++) {
+        const row = clampY(y + wy) * width;
+        for (let wx = -radius; wx <= radius; wx++) {
+          histogram[src[(row + clampX(wx)) * 4 + c]]++;
+        }
+      }
+
+      for (let x = 0; x < width; x++) {
+        // Find the median bin
+        let count = 0;
+        let value = 0;
+        while (value < 255 && count + histogram[value] <= half) {
+          count += histogram[value];
+          value++;
+        }
+        out[(y * width + x) * 4 + c] = value;
+
+        // Slide the window one column right
+        const removeX = clampX(x - radius);
+        const addX = clampX(x + radius + 1);
+        for (let wy = -radius; wy <= radius; wy++) {
+          const row = clampY(y + wy) * width;
+          histogram[src[(row + removeX) * 4 + c]]--;
+          histogram[src[(row + addX) * 4 + c]]++;
+        }
+      }
+    }
+    progress((c + 1) / 4);
+  }
+
+  return out;
+}
+
+/**
+ * Remove specks: median smoothing except across strong edges
+ */
+function despeckle(src, width, height, params, progress) {
+  const smoothed = median(src, width, height, 1, (f) => progress(f * 0.8));
+  const out = new Uint8ClampedArray(src);
+  const edgeThreshold = 48;
+
+  const luminance = (i) => src[i * 4] * 0.299 + src[i * 4 + 1] * 0.587 + src[i * 4 + 2] * 0.114;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const center = luminance(i);
+
+      // Largest difference to a 4-neighbour marks an edge
+      let edge = 0;
+      if (x > 0) edge = Math.max(edge, Math.abs(center - luminance(i - 1)));
+      if (x < width - 1) edge = Math.max(edge, Math.abs(center - luminance(i + 1)));
+      if (y > 0) edge = Math.max(edge, Math.abs(center - luminance(i - width)));
+      if (y < height - 1) edge = Math.max(edge, Math.abs(center - luminance(i + width)));
+
+      // Isolated specks differ from every neighbour; edges only from some
+      if (edge < edgeThreshold || isSpeck(src, width, height, x, y, center, luminance)) {
+        const p = i * 4;
+        out[p] = smoothed[p];
+        out[p + 1] = smoothed[p + 1];
+        out[p + 2] = smoothed[p + 2];
+        out[p + 3] = smoothed[p + 3];
+      }
+    }
+  }
+
+  progress(1);
+  return out;
+}
+
+function isSpeck(src, width, height, x, y, center, luminance) {
+  let differing = 0;
+  let total = 0;
+
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if (dx === 0 && dy === 0) continue;
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+      total++;
+      if (Math.abs(center - luminance(ny * width + nx)) >= 48) differing++;
+    }
+  }
+
+  return total > 0 && differing === total;
+}
+
+/**
+ * Grey relief lit from an angle
+ */
+function emboss(src, width, height, params, progress) {
+  const radians = params.angle * Math.PI / 180;
+  const dx = Math.cos(radians) * params.height;
+  const dy = -Math.sin(radians) * params.height;
+  const amount = params.amount / 100;
+
+  const size = width * height;
+  const lum = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    const p = i * 4;
+    lum[i] = src[p] * 0.299 + src[p + 1] * 0.587 + src[p + 2] * 0.114;
+  }
+
+  // Bilinear luminance lookup with clamped edges
+  const sampleLum = (x, y) => {
+    x = Math.min(width - 1, Math.max(0, x));
+    y = Math.min(height - 1, Math.max(0, y));
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const x1 = Math.min(width - 1, x0 + 1);
+    const y1 = Math.min(height - 1, y0 + 1);
+    const fx = x - x0;
+    const fy = y - y0;
+    const top = lum[y0 * width + x0] * (1 - fx) + lum[y0 * width + x1] * fx;
+    const bottom = lum[y1 * width + x0] * (1 - fx) + lum[y1 * width + x1] * fx;
+    return top * (1 - fy) + bottom * fy;
+  };
+
+  const out = new Uint8ClampedArray(src.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 4;
+      const value = 128 + (sampleLum(x + dx, y + dy) - sampleLum(x - dx, y - dy)) * amount;
+      out[p] = value;
+      out[p + 1] = value;
+      out[p + 2] = value;
+      out[p + 3] = src[p + 3];
+    }
+    if (y % PROGRESS_INTERVAL === 0) progress(y / height);
+  }
+
+  return out;
+}
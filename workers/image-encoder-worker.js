@@ -0,0 +1,789 @@
+/**
+ * Image Encoder Worker - Encodes formats browsers can't produce from a canvas
+ * GIF (median-cut palette, Floyd-Steinberg dithering, LZW), BMP (24/32-bit)
+ * and animations (animated GIF, APNG)
+ */
+
+/**
+ * Message handler for worker communication
+ */
+self.onmessage = async function(e) {
+  const { type, id, data } = e.data;
+
+  try {
+    let result;
+
+    switch (type) {
+      case 'gif':
+        result = encodeGIF(data.imageData, data.options);
+        break;
+
+      case 'bmp':
+        result = encodeBMP(data.imageData, data.options);
+        break;
+
+      case 'animated-gif':
+        result = encodeAnimatedGIF(data.frames, data.options);
+        break;
+
+      case 'apng':
+        result = await encodeAPNG(data.frames, data.options);
+        break;
+
+      default:
+        throw new Error(`Unknown message type: ${type}`);
+    }
+
+    self.postMessage({ id, success: true, result }, [result]);
+  } catch (error) {
+    self.postMessage({ id, success: false, error: error.message });
+  }
+};
+
+// ========== Byte Writer ==========
+
+/**
+ * Little-endian writer with a growable buffer
+ */
+class ByteWriter {
+  constructor(initialSize = 65536) {
+    this.bytes = new Uint8Array(initialSize);
+    this.offset = 0;
+  }
+
+  ensure(size) {
+    if (this.offset + size <= this.bytes.length) return;
+
+    let newSize = this.bytes.length * 2;
+    while (newSize < this.offset + size) newSize *= 2;
+
+    const bytes = new Uint8Array(newSize);
+    bytes.set(this.bytes.subarray(0, this.offset));
+    this.bytes = bytes;
+  }
+
+  u8(value) {
+    this.ensure(1);
+    this.bytes[this.offset++] = value;
+  }
+
+  u16(value) {
+    this.ensure(2);
+    this.bytes[this.offset++] = value & 0xff;
+    this.bytes[this.offset++] = (value >> 8) & 0xff;
+  }
+
+  u32(value) {
+    this.ensure(4);
+    this.bytes[this.offset++] = value & 0xff;
+    this.bytes[this.offset++] = (value >> 8) & 0xff;
+    this.bytes[this.offset++] = (value >> 16) & 0xff;
+    this.bytes[this.offset++] = (value >>> 24) & 0xff;
+  }
+
+  u16BE(value) {
+    this.ensure(2);
+    this.bytes[this.offset++] = (value >> 8) & 0xff;
+    this.bytes[this.offset++] = value & 0xff;
+  }
+
+  u32BE(value) {
+    this.ensure(4);
+    this.bytes[this.offset++] = (value >>> 24) & 0xff;
+    this.bytes[this.offset++] = (value >> 16) & 0xff;
+    this.bytes[this.offset++] = (value >> 8) & 0xff;
+    this.bytes[this.offset++] = value & 0xff;
+  }
+
+  ascii(str) {
+    for (let i = 0; i < str.length; i++) {
+      this.u8(str.charCodeAt(i));
+    }
+  }
+
+  write(bytes) {
+    this.ensure(bytes.length);
+    this.bytes.set(bytes, this.offset);
+    this.offset += bytes.length;
+  }
+
+  zeros(count) {
+    this.ensure(count);
+    this.bytes.fill(0, this.offset, this.offset + count);
+    this.offset += count;
+  }
+
+  getBuffer() {
+    return this.bytes.buffer.slice(0, this.offset);
+  }
+}
+
+// ========== GIF ==========
+
+// Pixels below this alpha become the transparent palette entry
+const GIF_ALPHA_THRESHOLD = 128;
+
+/**
+ * Encode ImageData as a GIF89a file
+ * @param {ImageData} imageData - Source pixels
+ * @param {Object} options - { colors: 2-256, dithering: boolean }
+ * @returns {ArrayBuffer}
+ */
+function encodeGIF(imageData, options = {}) {
+  const { width, height } = imageData;
+  const image = prepareGIFImage(imageData, options);
+  const writer = new ByteWriter(Math.max(1024, (width * height) >> 1));
+
+  writeGIFHeader(writer, width, height, image);
+
+  if (image.transparentIndex !== -1) {
+    writeGraphicControl(writer, 0, 0, image.transparentIndex);
+  }
+
+  writeGIFImage(writer, image, false);
+
+  writer.u8(0x3b); // Trailer
+  return writer.getBuffer();
+}
+
+/**
+ * Encode frames as an animated GIF, each frame with its own color table
+ * @param {Array<{imageData: ImageData, delay: number}>} frames - Delay in ms
+ * @param {Object} options - { colors, dithering, loop: 0 = forever, else play count }
+ * @returns {ArrayBuffer}
+ */
+function encodeAnimatedGIF(frames, options = {}) {
+  if (!frames || frames.length === 0) {
+    throw new Error('Animation has no frames');
+  }
+
+  const { width, height } = frames[0].imageData;
+  const loop = Math.max(0, Math.round(options.loop || 0));
+  const writer = new ByteWriter(Math.max(1024, (width * height * frames.length) >> 1));
+
+  writeGIFHeader(writer, width, height, null);
+
+  // NETSCAPE2.0 looping extension; playing once needs no extension
+  if (loop !== 1) {
+    writer.u8(0x21);
+    writer.u8(0xff);
+    writer.u8(11);
+    writer.ascii('NETSCAPE2.0');
+    writer.u8(3);
+    writer.u8(1);
+    writer.u16(loop === 0 ? 0 : Math.min(65535, loop - 1)); // Repeats after the first play
+    writer.u8(0);
+  }
+
+  for (const frame of frames) {
+    const image = prepareGIFImage(frame.imageData, options);
+
+    // Delay is in hundredths of a second; disposal 2 clears before the next frame
+    const delay = Math.min(65535, Math.round((frame.delay || 0) / 10));
+    writeGraphicControl(writer, delay, 2, image.transparentIndex);
+    writeGIFImage(writer, image, true);
+  }
+
+  writer.u8(0x3b); // Trailer
+  return writer.getBuffer();
+}
+
+/**
+ * Quantize and index an image for GIF output
+ */
+function prepareGIFImage(imageData, options) {
+  const colors = Math.max(2, Math.min(256, Math.round(options.colors || 256)));
+  const dithering = options.dithering !== false;
+
+  const hasTransparency = hasTransparentPixels(imageData);
+
+  // One palette entry is reserved for transparency
+  const palette = quantize(imageData, hasTransparency ? colors - 1 : colors);
+  const transparentIndex = hasTransparency ? palette.length : -1;
+
+  return {
+    width: imageData.width,
+    height: imageData.height,
+    palette,
+    transparentIndex,
+    indices: mapToPalette(imageData, palette, dithering, transparentIndex),
+    tableBits: getTableBits(palette.length + (hasTransparency ? 1 : 0))
+  };
+}
+
+/**
+ * Write the header and logical screen descriptor, with an optional global color table
+ */
+function writeGIFHeader(writer, width, height, globalImage) {
+  writer.ascii('GIF89a');
+  writer.u16(width);
+  writer.u16(height);
+
+  if (globalImage) {
+    const bits = globalImage.tableBits;
+    writer.u8(0x80 | ((bits - 1) << 4) | (bits - 1)); // Global color table
+  } else {
+    writer.u8(0x70); // No global color table, 8-bit color resolution
+  }
+
+  writer.u8(0);  // Background color index
+  writer.u8(0);  // Pixel aspect ratio
+
+  if (globalImage) {
+    writeColorTable(writer, globalImage.palette, globalImage.tableBits);
+  }
+}
+
+/**
+ * Write a graphic control extension (delay, disposal, transparency)
+ */
+function writeGraphicControl(writer, delay, disposal, transparentIndex) {
+  writer.u8(0x21);
+  writer.u8(0xf9);
+  writer.u8(4);
+  writer.u8((disposal << 2) | (transparentIndex !== -1 ? 0x01 : 0));
+  writer.u16(delay);
+  writer.u8(transparentIndex !== -1 ? transparentIndex : 0);
+  writer.u8(0);
+}
+
+/**
+ * Write an image descriptor and its LZW-compressed data
+ */
+function writeGIFImage(writer, image, localTable) {
+  writer.u8(0x2c);
+  writer.u16(0);
+  writer.u16(0);
+  writer.u16(image.width);
+  writer.u16(image.height);
+
+  if (localTable) {
+    writer.u8(0x80 | (image.tableBits - 1)); // Local color table, not interlaced
+    writeColorTable(writer, image.palette, image.tableBits);
+  } else {
+    writer.u8(0);  // No local color table, not interlaced
+  }
+
+  lzwEncode(image.indices, Math.max(2, image.tableBits), writer);
+}
+
+/**
+ * Smallest color table size (as 2^bits) that holds count entries
+ */
+function getTableBits(count) {
+  let bits = 1;
+  while ((1 << bits) < count) bits++;
+  return bits;
+}
+
+function hasTransparentPixels(imageData) {
+  const data = imageData.data;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < GIF_ALPHA_THRESHOLD) return true;
+  }
+  return false;
+}
+
+/**
+ * Write the palette padded to 2^bits entries
+ */
+function writeColorTable(writer, palette, bits) {
+  const size = 1 << bits;
+  for (let i = 0; i < size; i++) {
+    const color = palette[i];
+    if (color) {
+      writer.u8(color[0]);
+      writer.u8(color[1]);
+      writer.u8(color[2]);
+    } else {
+      writer.zeros(3);
+    }
+  }
+}
+
+/**
+ * Median-cut palette quantization
+ * Works on a 5-bit-per-channel histogram of the opaque pixels
+ * @returns {Array<number[]>} Palette of [r, g, b]
+ */
+function quantize(imageData, maxColors) {
+  const data = imageData.data;
+  const histogram = new Uint32Array(32768);
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < GIF_ALPHA_THRESHOLD) continue;
+    histogram[((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3)]++;
+  }
+
+  const entries = [];
+  for (let key = 0; key < histogram.length; key++) {
+    if (histogram[key] > 0) entries.push(key);
+  }
+
+  if (entries.length === 0) return [[0, 0, 0]];
+
+  const boxes = [createBox(entries, histogram)];
+
+  while (boxes.length < maxColors) {
+    // Split the box with the largest weighted volume along its longest axis
+    let target = -1;
+    let bestScore = 0;
+    for (let i = 0; i < boxes.length; i++) {
+      const box = boxes[i];
+      if (box.entries.length < 2) continue;
+      const score = box.count * Math.max(...box.range);
+      if (score > bestScore) {
+        bestScore = score;
+        target = i;
+      }
+    }
+
+    if (target === -1) break;
+
+    const [first, second] = splitBox(boxes[target], histogram);
+    boxes.splice(target, 1, first, second);
+  }
+
+  return boxes.map(box => averageColor(box, histogram));
+}
+
+function keyChannel(key, channel) {
+  return (key >> (10 - channel * 5)) & 31;
+}
+
+function createBox(entries, histogram) {
+  const min = [31, 31, 31];
+  const max = [0, 0, 0];
+  let count = 0;
+
+  for (const key of entries) {
+    for (let c = 0; c < 3; c++) {
+      const value = keyChannel(key, c);
+      if (value < min[c]) min[c] = value;
+      if (value > max[c]) max[c] = value;
+    }
+    count += histogram[key];
+  }
+
+  return { entries, count, range: [max[0] - min[0], max[1] - min[1], max[2] - min[2]] };
+}
+
+/**
+ * Split a box at the pixel-count median of its longest axis
+ */
+function splitBox(box, histogram) {
+  const axis = box.range.indexOf(Math.max(...box.range));
+  const sorted = box.entries.slice().sort((a, b) => keyChannel(a, axis) - keyChannel(b, axis));
+
+  const half = box.count / 2;
+  let running = 0;
+  let split = 1;
+
+  for (let i = 0; i < sorted.length - 1; i++) {
+    running += histogram[sorted[i]];
+    if (running >= half) {
+      split = i + 1;
+      break;
+    }
+    split = i + 1;
+  }
+
+  return [
+    createBox(sorted.slice(0, split), histogram),
+    createBox(sorted.slice(split), histogram)
+  ];
+}
+
+function averageColor(box, histogram) {
+  let r = 0, g = 0, b = 0;
+
+  for (const key of box.entries) {
+    const weight = histogram[key];
+    r += (keyChannel(key, 0) * 8 + 4) * weight;
+    g += (keyChannel(key, 1) * 8 + 4) * weight;
+    b += (keyChannel(key, 2) * 8 + 4) * weight;
+  }
+
+  return [
+    Math.min(255, Math.round(r / box.count)),
+    Math.min(255, Math.round(g / box.count)),
+    Math.min(255, Math.round(b / box.count))
+  ];
+}
+
+/**
+ * Map pixels to palette indices, optionally with Floyd-Steinberg dithering
+ */
+function mapToPalette(imageData, palette, dithering, transparentIndex) {
+  const { width, height, data } = imageData;
+  const indices = new Uint8Array(width * height);
+
+  // Nearest-color lookups cached on a 5-bit-per-channel grid
+  const cache = new Int16Array(32768).fill(-1);
+  const nearest = (r, g, b) => {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    if (cache[key] === -1) {
+      cache[key] = findNearestColor(palette, r, g, b);
+    }
+    return cache[key];
+  };
+
+  // Error buffers for the current and next row (r, g, b per pixel)
+  let current = new Float32Array(width * 3);
+  let next = new Float32Array(width * 3);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      const i = p * 4;
+
+      if (transparentIndex !== -1 && data[i + 3] < GIF_ALPHA_THRESHOLD) {
+        indices[p] = transparentIndex;
+        continue;
+      }
+
+      if (!dithering) {
+        indices[p] = nearest(data[i], data[i + 1], data[i + 2]);
+        continue;
+      }
+
+      const e = x * 3;
+      const r = clamp(data[i] + current[e]);
+      const g = clamp(data[i + 1] + current[e + 1]);
+      const b = clamp(data[i + 2] + current[e + 2]);
+
+      const index = nearest(r, g, b);
+      indices[p] = index;
+
+      const color = palette[index];
+      const errors = [r - color[0], g - color[1], b - color[2]];
+
+      for (let c = 0; c < 3; c++) {
+        const error = errors[c];
+        if (x + 1 < width) current[e + 3 + c] += error * 7 / 16;
+        if (x > 0) next[e - 3 + c] += error * 3 / 16;
+        next[e + c] += error * 5 / 16;
+        if (x + 1 < width) next[e + 3 + c] += error * 1 / 16;
+      }
+    }
+
+    [current, next] = [next, current];
+    next.fill(0);
+  }
+
+  return indices;
+}
+
+function clamp(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+}
+
+function findNearestColor(palette, r, g, b) {
+  let best = 0;
+  let bestDistance = Infinity;
+
+  for (let i = 0; i < palette.length; i++) {
+    const color = palette[i];
+    const dr = r - color[0];
+    const dg = g - color[1];
+    const db = b - color[2];
+    const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = i;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * LZW-compress palette indices into GIF image data sub-blocks
+ */
+function lzwEncode(indices, minCodeSize, writer) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let dictionary = new Map();
+
+  // Bit packing into 255-byte sub-blocks
+  const block = new Uint8Array(255);
+  let blockLength = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const flushBlock = () => {
+    if (blockLength === 0) return;
+    writer.u8(blockLength);
+    writer.write(block.subarray(0, blockLength));
+    blockLength = 0;
+  };
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+
+    while (bitCount >= 8) {
+      block[blockLength++] = bitBuffer & 0xff;
+      bitBuffer >>= 8;
+      bitCount -= 8;
+      if (blockLength === 255) flushBlock();
+    }
+  };
+
+  writer.u8(minCodeSize);
+  emit(clearCode);
+
+  if (indices.length > 0) {
+    let prefix = indices[0];
+
+    for (let i = 1; i < indices.length; i++) {
+      const k = indices[i];
+      const key = (prefix << 8) | k;
+      const code = dictionary.get(key);
+
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+
+      emit(prefix);
+
+      if (nextCode < 4096) {
+        dictionary.set(key, nextCode++);
+        if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+      } else {
+        // Table full: start over
+        emit(clearCode);
+        dictionary = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      }
+
+      prefix = k;
+    }
+
+    emit(prefix);
+  }
+
+  emit(endCode);
+
+  if (bitCount > 0) {
+    block[blockLength++] = bitBuffer & 0xff;
+    if (blockLength === 255) flushBlock();
+  }
+
+  flushBlock();
+  writer.u8(0); // Block terminator
+}
+
+// ========== BMP ==========
+
+const BMP_FILE_HEADER_SIZE = 14;
+const BMP_INFO_HEADER_SIZE = 40;   // BITMAPINFOHEADER
+const BMP_V4_HEADER_SIZE = 108;    // BITMAPV4HEADER (alpha channel mask)
+const BMP_PIXELS_PER_METER = 2835; // 72 dpi
+
+/**
+ * Encode ImageData as a BMP file
+ * 24-bit output drops alpha (flatten first); 32-bit keeps it via BITFIELDS
+ * @param {ImageData} imageData - Source pixels
+ * @param {Object} options - { bitDepth: 24 | 32 }
+ * @returns {ArrayBuffer}
+ */
+function encodeBMP(imageData, options = {}) {
+  const { width, height, data } = imageData;
+  const bitDepth = options.bitDepth === 32 ? 32 : 24;
+
+  const headerSize = bitDepth === 32 ? BMP_V4_HEADER_SIZE : BMP_INFO_HEADER_SIZE;
+  const rowSize = Math.ceil((width * bitDepth) / 32) * 4;
+  const imageSize = rowSize * height;
+  const pixelOffset = BMP_FILE_HEADER_SIZE + headerSize;
+
+  const writer = new ByteWriter(pixelOffset + imageSize);
+
+  // File header
+  writer.ascii('BM');
+  writer.u32(pixelOffset + imageSize);
+  writer.u32(0);
+  writer.u32(pixelOffset);
+
+  // Info header
+  writer.u32(headerSize);
+  writer.u32(width);
+  writer.u32(height); // Positive height: rows stored bottom-up
+  writer.u16(1);      // Planes
+  writer.u16(bitDepth);
+  writer.u32(bitDepth === 32 ? 3 : 0); // BI_BITFIELDS or BI_RGB
+  writer.u32(imageSize);
+  writer.u32(BMP_PIXELS_PER_METER);
+  writer.u32(BMP_PIXELS_PER_METER);
+  writer.u32(0); // Colors used
+  writer.u32(0); // Important colors
+
+  if (bitDepth === 32) {
+    writer.u32(0x00ff0000); // Red mask
+    writer.u32(0x0000ff00); // Green mask
+    writer.u32(0x000000ff); // Blue mask
+    writer.u32(0xff000000); // Alpha mask
+    writer.ascii('BGRs');   // LCS_sRGB
+    writer.zeros(36);       // Endpoints (unused for sRGB)
+    writer.zeros(12);       // Gamma (unused for sRGB)
+  }
+
+  const padding = rowSize - width * (bitDepth / 8);
+
+  for (let y = height - 1; y >= 0; y--) {
+    let i = y * width * 4;
+    for (let x = 0; x < width; x++, i += 4) {
+      writer.u8(data[i + 2]);
+      writer.u8(data[i + 1]);
+      writer.u8(data[i]);
+      if (bitDepth === 32) writer.u8(data[i + 3]);
+    }
+    writer.zeros(padding);
+  }
+
+  return writer.getBuffer();
+}
+
+// ========== APNG ==========
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+let crcTable = null;
+
+function crc32(bytes, start, end) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = start; i < end; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Write a PNG chunk: length, type, data, CRC of type + data
+ */
+function writeChunk(writer, type, writeData) {
+  const lengthOffset = writer.offset;
+  writer.u32BE(0);
+
+  const typeOffset = writer.offset;
+  writer.ascii(type);
+  writeData();
+
+  const end = writer.offset;
+  const length = end - typeOffset - 4;
+  writer.bytes[lengthOffset] = (length >>> 24) & 0xff;
+  writer.bytes[lengthOffset + 1] = (length >> 16) & 0xff;
+  writer.bytes[lengthOffset + 2] = (length >> 8) & 0xff;
+  writer.bytes[lengthOffset + 3] = length & 0xff;
+
+  writer.u32BE(crc32(writer.bytes, typeOffset, end));
+}
+
+/**
+ * Filter rows (Sub filter) and zlib-compress RGBA pixels for IDAT/fdAT
+ */
+async function compressPNGData(imageData) {
+  const { width, height, data } = imageData;
+  const stride = width * 4;
+  const raw = new Uint8Array((stride + 1) * height);
+
+  for (let y = 0; y < height; y++) {
+    const src = y * stride;
+    const dst = y * (stride + 1);
+    raw[dst] = 1; // Sub filter
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= 4 ? data[src + x - 4] : 0;
+      raw[dst + 1 + x] = (data[src + x] - left) & 0xff;
+    }
+  }
+
+  const stream = new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encode frames as an animated PNG
+ * @param {Array<{imageData: ImageData, delay: number}>} frames - Delay in ms
+ * @param {Object} options - { loop: 0 = forever, else play count }
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function encodeAPNG(frames, options = {}) {
+  if (!frames || frames.length === 0) {
+    throw new Error('Animation has no frames');
+  }
+  if (typeof CompressionStream === 'undefined') {
+    throw new Error('APNG export is not supported in this browser');
+  }
+
+  const { width, height } = frames[0].imageData;
+  const loop = Math.max(0, Math.round(options.loop || 0));
+  const writer = new ByteWriter(Math.max(1024, width * height * frames.length));
+
+  writer.write(PNG_SIGNATURE);
+
+  writeChunk(writer, 'IHDR', () => {
+    writer.u32BE(width);
+    writer.u32BE(height);
+    writer.u8(8);  // Bit depth
+    writer.u8(6);  // Color type: RGBA
+    writer.u8(0);  // Compression
+    writer.u8(0);  // Filter method
+    writer.u8(0);  // No interlace
+  });
+
+  writeChunk(writer, 'acTL', () => {
+    writer.u32BE(frames.length);
+    writer.u32BE(loop);
+  });
+
+  let sequence = 0;
+
+  for (let i = 0; i < frames.length; i++) {
+    const frame = frames[i];
+    const compressed = await compressPNGData(frame.imageData);
+
+    writeChunk(writer, 'fcTL', () => {
+      writer.u32BE(sequence++);
+      writer.u32BE(width);
+      writer.u32BE(height);
+      writer.u32BE(0);  // x offset
+      writer.u32BE(0);  // y offset
+      writer.u16BE(Math.min(65535, Math.round(frame.delay || 0)));
+      writer.u16BE(1000); // Delay denominator: milliseconds
+      writer.u8(0);     // Dispose: none
+      writer.u8(0);     // Blend: source (frames replace the canvas)
+    });
+
+    // The first frame doubles as the default image for non-animated viewers
+    if (i === 0) {
+      writeChunk(writer, 'IDAT', () => writer.write(compressed));
+    } else {
+      writeChunk(writer, 'fdAT', () => {
+        writer.u32BE(sequence++);
+        writer.write(compressed);
+      });
+    }
+  }
+
+  writeChunk(writer, 'IEND', () => {});
+
+  return writer.getBuffer();
+}
@@ -1,19 +1,89 @@
 /**
  * PSD Worker - Handles PSD file parsing and export in a separate thread
- * Uses ag-psd library for PSD file operations
+ * Self-contained PSD codec covering the header, color mode data, image
+ * resources, layer and mask info (raw, RLE/PackBits and ZIP channels)
+ * and the merged composite image
  */
 
-// Import ag-psd when available
-// Note: ag-psd needs to be added to lib/ag-psd.min.js
-let agPsd = null;
+// File format constants
+const PSD_SIGNATURE = '8BPS';
+const RESOURCE_SIGNATURE = '8BIM';
 
-try {
-  // Dynamic import for the ag-psd library
-  importScripts('../lib/ag-psd.min.js');
-  agPsd = self.agPsd || self.Psd;
-} catch (e) {
-  console.warn('ag-psd library not found. PSD support will be limited.');
-}
+const ColorMode = {
+  BITMAP: 0,
+  GRAYSCALE: 1,
+  INDEXED: 2,
+  RGB: 3,
+  CMYK: 4,
+  MULTICHANNEL: 7,
+  DUOTONE: 8,
+  LAB: 9
+};
+
+const Compression = {
+  RAW: 0,
+  RLE: 1,
+  ZIP: 2,
+  ZIP_PREDICTION: 3
+};
+
+const ChannelID = {
+  RED: 0,
+  GREEN: 1,
+  BLUE: 2,
+  ALPHA: -1,
+  USER_MASK: -2,
+  REAL_USER_MASK: -3
+};
+
+// Section divider types ('lsct' additional layer info)
+const SectionType = {
+  OTHER: 0,
+  OPEN_FOLDER: 1,
+  CLOSED_FOLDER: 2,
+  BOUNDING_DIVIDER: 3
+};
+
+// Image resource IDs
+const Resource = {
+  RESOLUTION_INFO: 1005,
+  ALPHA_NAMES: 1006,
+  THUMBNAIL: 1036,
+  ALPHA_NAMES_UNICODE: 1045
+};
+
+// Adjustment layer keys we recognise, mapped to the names psd-import expects
+const AdjustmentKeys = {
+  'brit': 'brightnessContrast',
+  'levl': 'levels',
+  'curv': 'curves',
+  'hue2': 'hueSaturation',
+  'blnc': 'colorBalance',
+  'blwh': 'blackAndWhite',
+  'phfl': 'photoFilter',
+  'vibA': 'vibrance',
+  'nvrt': 'invert',
+  'post': 'posterize',
+  'thrs': 'threshold',
+  'grdm': 'gradientMap'
+};
+
+// Levels blocks hold 29 records: composite, then one per channel
+const LEVELS_RECORD_COUNT = 29;
+const LEVELS_CHANNELS = ['rgb', 'red', 'green', 'blue'];
+
+// Curves are written for the composite and each RGB channel
+const CURVES_CHANNELS = ['rgb', 'red', 'green', 'blue'];
+
+// Default hue ranges (reds to magentas) of a hue/saturation block
+const HUE_RANGES = [
+  [315, 345, 15, 45],
+  [15, 45, 75, 105],
+  [75, 105, 135, 165],
+  [135, 165, 195, 225],
+  [195, 225, 255, 285],
+  [255, 285, 315, 345]
+];
 
 /**
  * Message handler for worker communication
@@ -47,233 +117,2157 @@ self.onmessage = async function(e) {
   }
 };
 
+// ========== Binary Reader / Writer ==========
+
 /**
- * Parse a PSD file from an ArrayBuffer
- * @param {ArrayBuffer} buffer - The PSD file data
- * @returns {Object} Parsed PSD data
+ * Big-endian reader over an ArrayBuffer
  */
-async function parsePSD(buffer) {
-  if (!agPsd) {
-    throw new Error('ag-psd library is not loaded. Please add ag-psd.min.js to the lib folder.');
+class PSDReader {
+  constructor(buffer) {
+    this.view = new DataView(buffer);
+    this.bytes = new Uint8Array(buffer);
+    this.offset = 0;
+  }
+
+  get length() {
+    return this.bytes.length;
+  }
+
+  u8() {
+    return this.view.getUint8(this.offset++);
+  }
+
+  u16() {
+    const value = this.view.getUint16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  i16() {
+    const value = this.view.getInt16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  u32() {
+    const value = this.view.getUint32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  i32() {
+    const value = this.view.getInt32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  f64() {
+    const value = this.view.getFloat64(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  read(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Unexpected end of PSD data');
+    }
+    const bytes = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  skip(length) {
+    this.offset += length;
+  }
+
+  signature() {
+    return String.fromCharCode(...this.read(4));
+  }
+
+  /**
+   * Pascal string (length byte + Latin-1 chars), padded to a multiple of padTo
+   */
+  pascalString(padTo) {
+    const length = this.u8();
+    const str = String.fromCharCode(...this.read(length));
+    const total = length + 1;
+    this.skip((padTo - (total % padTo)) % padTo);
+    return str;
+  }
+
+  /**
+   * Unicode string (uint32 char count + UTF-16BE chars)
+   */
+  unicodeString() {
+    const count = this.u32();
+    let str = '';
+    for (let i = 0; i < count; i++) {
+      str += String.fromCharCode(this.u16());
+    }
+    return str.replace(/\0+$/, '');
+  }
+}
+
+/**
+ * Big-endian writer with a growable buffer
+ */
+class PSDWriter {
+  constructor(initialSize = 65536) {
+    this.buffer = new ArrayBuffer(initialSize);
+    this.view = new DataView(this.buffer);
+    this.bytes = new Uint8Array(this.buffer);
+    this.offset = 0;
+  }
+
+  ensure(size) {
+    if (this.offset + size <= this.buffer.byteLength) return;
+
+    let newSize = this.buffer.byteLength * 2;
+    while (newSize < this.offset + size) newSize *= 2;
+
+    const bytes = new Uint8Array(newSize);
+    bytes.set(this.bytes.subarray(0, this.offset));
+    this.buffer = bytes.buffer;
+    this.view = new DataView(this.buffer);
+    this.bytes = bytes;
+  }
+
+  u8(value) {
+    this.ensure(1);
+    this.view.setUint8(this.offset++, value);
+  }
+
+  u16(value) {
+    this.ensure(2);
+    this.view.setUint16(this.offset, value);
+    this.offset += 2;
+  }
+
+  i16(value) {
+    this.ensure(2);
+    this.view.setInt16(this.offset, value);
+    this.offset += 2;
+  }
+
+  u32(value) {
+    this.ensure(4);
+    this.view.setUint32(this.offset, value);
+    this.offset += 4;
+  }
+
+  i32(value) {
+    this.ensure(4);
+    this.view.setInt32(this.offset, value);
+    this.offset += 4;
+  }
+
+  f64(value) {
+    this.ensure(8);
+    this.view.setFloat64(this.offset, value);
+    this.offset += 8;
+  }
+
+  write(bytes) {
+    this.ensure(bytes.length);
+    this.bytes.set(bytes, this.offset);
+    this.offset += bytes.length;
+  }
+
+  zeros(count) {
+    this.ensure(count);
+    this.bytes.fill(0, this.offset, this.offset + count);
+    this.offset += count;
+  }
+
+  signature(str) {
+    for (let i = 0; i < 4; i++) {
+      this.u8(str.charCodeAt(i));
+    }
+  }
+
+  pascalString(str, padTo) {
+    // Latin-1 only; the full name is also written as 'luni'
+    const chars = Array.from(str.slice(0, 255), c => {
+      const code = c.charCodeAt(0);
+      return code < 256 ? code : 63; // '?'
+    });
+    this.u8(chars.length);
+    this.write(chars);
+    const total = chars.length + 1;
+    this.zeros((padTo - (total % padTo)) % padTo);
+  }
+
+  unicodeString(str) {
+    this.u32(str.length);
+    for (let i = 0; i < str.length; i++) {
+      this.u16(str.charCodeAt(i));
+    }
+  }
+
+  /**
+   * Start a uint32 length-prefixed section, returns its position
+   */
+  beginSection() {
+    const position = this.offset;
+    this.u32(0);
+    return position;
+  }
+
+  /**
+   * Close a section, padding its content to a multiple of padTo
+   */
+  endSection(position, padTo = 1) {
+    const length = this.offset - position - 4;
+    this.zeros((padTo - (length % padTo)) % padTo);
+    this.view.setUint32(position, this.offset - position - 4);
+  }
+
+  getBuffer() {
+    return this.buffer.slice(0, this.offset);
+  }
+}
+
+// ========== Descriptors ==========
+
+/*
+ * Action descriptors store structured settings such as layer effects.
+ * Values are written from tagged objects built with the helpers below and
+ * read back into plain objects ({ _class, key: value }).
+ */
+
+const desc = {
+  object: (classId, items) => ({ type: 'Objc', classId, items }),
+  list: (values) => ({ type: 'VlLs', values }),
+  units: (unit, value) => ({ type: 'UntF', unit, value }),
+  double: (value) => ({ type: 'doub', value }),
+  long: (value) => ({ type: 'long', value }),
+  bool: (value) => ({ type: 'bool', value }),
+  enum: (enumType, value) => ({ type: 'enum', enumType, value }),
+  text: (value) => ({ type: 'TEXT', value })
+};
+
+/**
+ * Keys and class IDs: 4-char codes are written with a zero length
+ */
+function writeDescriptorKey(writer, key) {
+  if (key.length === 4) {
+    writer.u32(0);
+    writer.signature(key);
+  } else {
+    writer.u32(key.length);
+    writer.write(Array.from(key, c => c.charCodeAt(0)));
+  }
+}
+
+function readDescriptorKey(reader) {
+  const length = reader.u32();
+  return length === 0 ? reader.signature() : String.fromCharCode(...reader.read(length));
+}
+
+function writeDescriptor(writer, classId, items) {
+  writer.unicodeString('');
+  writeDescriptorKey(writer, classId);
+
+  const entries = Object.entries(items);
+  writer.u32(entries.length);
+  for (const [key, value] of entries) {
+    writeDescriptorKey(writer, key);
+    writeDescriptorValue(writer, value);
+  }
+}
+
+function writeDescriptorValue(writer, item) {
+  writer.signature(item.type);
+
+  switch (item.type) {
+    case 'Objc':
+      writeDescriptor(writer, item.classId, item.items);
+      break;
+    case 'VlLs':
+      writer.u32(item.values.length);
+      for (const value of item.values) writeDescriptorValue(writer, value);
+      break;
+    case 'UntF':
+      writer.signature(item.unit);
+      writer.f64(item.value);
+      break;
+    case 'doub':
+      writer.f64(item.value);
+      break;
+    case 'long':
+      writer.i32(item.value);
+      break;
+    case 'bool':
+      writer.u8(item.value ? 1 : 0);
+      break;
+    case 'enum':
+      writeDescriptorKey(writer, item.enumType);
+      writeDescriptorKey(writer, item.value);
+      break;
+    case 'TEXT':
+      writer.unicodeString(item.value);
+      break;
+  }
+}
+
+function readDescriptor(reader) {
+  reader.unicodeString(); // Name
+  const result = { _class: readDescriptorKey(reader) };
+
+  const count = reader.u32();
+  for (let i = 0; i < count; i++) {
+    const key = readDescriptorKey(reader);
+    result[key] = readDescriptorValue(reader, reader.signature());
+  }
+
+  return result;
+}
+
+function readDescriptorValue(reader, type) {
+  switch (type) {
+    case 'Objc':
+    case 'GlbO':
+      return readDescriptor(reader);
+    case 'VlLs': {
+      const count = reader.u32();
+      const values = [];
+      for (let i = 0; i < count; i++) values.push(readDescriptorValue(reader, reader.signature()));
+      return values;
+    }
+    case 'UntF':
+      return { unit: reader.signature(), value: reader.f64() };
+    case 'UnFl': {
+      const unit = reader.signature();
+      const count = reader.u32();
+      const values = [];
+      for (let i = 0; i < count; i++) values.push(reader.f64());
+      return { unit, values };
+    }
+    case 'doub':
+      return reader.f64();
+    case 'long':
+      return reader.i32();
+    case 'comp':
+      return reader.u32() * 0x100000000 + reader.u32();
+    case 'bool':
+      return reader.u8() !== 0;
+    case 'enum':
+      return { enumType: readDescriptorKey(reader), value: readDescriptorKey(reader) };
+    case 'type':
+    case 'GlbC':
+      reader.unicodeString();
+      return readDescriptorKey(reader);
+    case 'TEXT':
+      return reader.unicodeString();
+    case 'tdta':
+      return reader.read(reader.u32()).slice();
+    default:
+      throw new Error(`Unsupported descriptor value type: ${type}`);
   }
+}
+
+// ========== Layer Effects ('lfx2') ==========
+
+// Layer style blend modes as descriptor enum values
+const EffectBlendModes = {
+  'normal': 'Nrml',
+  'multiply': 'Mltp',
+  'screen': 'Scrn',
+  'overlay': 'Ovrl',
+  'darken': 'Drkn',
+  'lighten': 'Lghn',
+  'color-dodge': 'CDdg',
+  'color-burn': 'CBrn',
+  'hard-light': 'HrdL',
+  'soft-light': 'SftL',
+  'difference': 'Dfrn',
+  'exclusion': 'Xclu',
+  'hue': 'H   ',
+  'saturation': 'Strt',
+  'color': 'Clr ',
+  'luminosity': 'Lmns'
+};
+
+const StrokePositions = { outside: 'OutF', inside: 'InsF', center: 'CtrF' };
+
+// Gradient stop locations are stored in 0-4096
+const GRADIENT_LOCATION_SCALE = 4096;
+
+function invertMap(map) {
+  return Object.fromEntries(Object.entries(map).map(([key, value]) => [value, key]));
+}
+
+function colorToDescriptor(hex) {
+  const value = parseInt((hex || '#000000').slice(1), 16);
+  return desc.object('RGBC', {
+    'Rd  ': desc.double((value >> 16) & 255),
+    'Grn ': desc.double((value >> 8) & 255),
+    'Bl  ': desc.double(value & 255)
+  });
+}
+
+function descriptorToColor(color) {
+  if (!color) return '#000000';
+  const channel = (v) => Math.max(0, Math.min(255, Math.round(v || 0))).toString(16).padStart(2, '0');
+  return `#${channel(color['Rd  '])}${channel(color['Grn '])}${channel(color['Bl  '])}`;
+}
+
+/**
+ * Color structures hold a color space and four 16-bit components
+ */
+function writeColor(writer, hex) {
+  const value = parseInt((hex || '#000000').slice(1), 16);
+  writer.u16(0); // RGB color space
+  writer.u16(((value >> 16) & 255) * 257);
+  writer.u16(((value >> 8) & 255) * 257);
+  writer.u16((value & 255) * 257);
+  writer.u16(0);
+}
+
+function readColor(reader) {
+  reader.u16(); // Color space, assumed RGB
+  const channel = () => Math.round(reader.u16() / 257).toString(16).padStart(2, '0');
+  const color = `#${channel()}${channel()}${channel()}`;
+  reader.u16();
+  return color;
+}
 
-  const psd = agPsd.readPsd(buffer, {
-    skipLayerImageData: false,
-    skipCompositeImageData: false,
-    skipThumbnail: false
+function linearContour() {
+  return desc.object('ShpC', {
+    'Nm  ': desc.text('Linear'),
+    'Crv ': desc.list([
+      desc.object('CrPt', { 'Hrzn': desc.double(0), 'Vrtc': desc.double(0) }),
+      desc.object('CrPt', { 'Hrzn': desc.double(255), 'Vrtc': desc.double(255) })
+    ])
   });
+}
+
+/**
+ * Items shared by every effect: on/off, blend mode and opacity
+ */
+function commonEffectItems(effect) {
+  return {
+    'enab': desc.bool(!!effect.enabled),
+    'Md  ': desc.enum('BlnM', EffectBlendModes[effect.blendMode] || 'Nrml'),
+    'Opct': desc.units('#Prc', Math.round((effect.opacity ?? 1) * 100))
+  };
+}
+
+function shadowItems(effect, amount) {
+  return {
+    ...commonEffectItems(effect),
+    'Clr ': colorToDescriptor(effect.color),
+    'uglg': desc.bool(false),
+    'lagl': desc.units('#Ang', effect.angle),
+    'Dstn': desc.units('#Pxl', effect.distance),
+    'Ckmt': desc.units('#Pxl', amount),
+    'blur': desc.units('#Pxl', effect.size),
+    'Nose': desc.units('#Prc', 0),
+    'AntA': desc.bool(false),
+    'TrnS': linearContour()
+  };
+}
 
-  // Convert to a transferable structure
+function glowItems(effect, amount) {
   return {
-    width: psd.width,
-    height: psd.height,
-    colorMode: psd.colorMode,
-    bitsPerChannel: psd.bitsPerChannel,
-    channels: psd.channels,
-    layers: extractLayers(psd.children || []),
-    compositeImage: psd.composite ? getImageDataFromCanvas(psd.composite) : null,
-    thumbnail: psd.thumbnail ? getImageDataFromCanvas(psd.thumbnail) : null
+    ...commonEffectItems(effect),
+    'Clr ': colorToDescriptor(effect.color),
+    'GlwT': desc.enum('BETE', 'SfBL'),
+    'Ckmt': desc.units('#Pxl', amount),
+    'blur': desc.units('#Pxl', effect.size),
+    'Nose': desc.units('#Prc', 0),
+    'ShdN': desc.units('#Prc', 0),
+    'AntA': desc.bool(false),
+    'TrnS': linearContour(),
+    'Inpr': desc.units('#Prc', 50)
+  };
+}
+
+function gradientToDescriptor(stops) {
+  const sorted = [...stops].sort((a, b) => a.offset - b.offset);
+  const location = (stop) => Math.round(stop.offset * GRADIENT_LOCATION_SCALE);
+
+  return desc.object('Grdn', {
+    'Nm  ': desc.text('Custom'),
+    'GrdF': desc.enum('GrdF', 'CstS'),
+    'Intr': desc.double(GRADIENT_LOCATION_SCALE),
+    'Clrs': desc.list(sorted.map(stop => desc.object('Clrt', {
+      'Clr ': colorToDescriptor(stop.color),
+      'Type': desc.enum('Clry', 'UsrS'),
+      'Lctn': desc.long(location(stop)),
+      'Mdpn': desc.long(50)
+    }))),
+    'Trns': desc.list([
+      desc.object('TrnS', { 'Opct': desc.units('#Prc', 100), 'Lctn': desc.long(0), 'Mdpn': desc.long(50) }),
+      desc.object('TrnS', { 'Opct': desc.units('#Prc', 100), 'Lctn': desc.long(GRADIENT_LOCATION_SCALE), 'Mdpn': desc.long(50) })
+    ])
+  });
+}
+
+/**
+ * Write layer styles as an object-based effects block
+ */
+function writeLayerEffects(writer, styles) {
+  const items = {
+    'Scl ': desc.units('#Prc', 100),
+    'masterFXSwitch': desc.bool(true)
   };
+
+  if (styles.dropShadow) {
+    items['DrSh'] = desc.object('DrSh', {
+      ...shadowItems(styles.dropShadow, styles.dropShadow.spread),
+      'layerConceals': desc.bool(true)
+    });
+  }
+
+  if (styles.innerShadow) {
+    items['IrSh'] = desc.object('IrSh', shadowItems(styles.innerShadow, styles.innerShadow.choke));
+  }
+
+  if (styles.outerGlow) {
+    items['OrGl'] = desc.object('OrGl', glowItems(styles.outerGlow, styles.outerGlow.spread));
+  }
+
+  if (styles.innerGlow) {
+    items['IrGl'] = desc.object('IrGl', {
+      ...glowItems(styles.innerGlow, styles.innerGlow.choke),
+      'glwS': desc.enum('IGSr', styles.innerGlow.source === 'center' ? 'SrcC' : 'SrcE')
+    });
+  }
+
+  if (styles.colorOverlay) {
+    items['SoFi'] = desc.object('SoFi', {
+      ...commonEffectItems(styles.colorOverlay),
+      'Clr ': colorToDescriptor(styles.colorOverlay.color)
+    });
+  }
+
+  if (styles.gradientOverlay) {
+    const gradient = styles.gradientOverlay;
+    items['GrFl'] = desc.object('GrFl', {
+      ...commonEffectItems(gradient),
+      'Grad': gradientToDescriptor(gradient.stops || []),
+      'Angl': desc.units('#Ang', gradient.angle),
+      'Type': desc.enum('GrdT', gradient.style === 'radial' ? 'Rdl ' : 'Lnr '),
+      'Rvrs': desc.bool(!!gradient.reverse),
+      'Algn': desc.bool(true),
+      'Scl ': desc.units('#Prc', gradient.scale ?? 100),
+      'Ofst': desc.object('Pnt ', {
+        'Hrzn': desc.units('#Prc', 0),
+        'Vrtc': desc.units('#Prc', 0)
+      })
+    });
+  }
+
+  if (styles.stroke) {
+    items['FrFX'] = desc.object('FrFX', {
+      ...commonEffectItems(styles.stroke),
+      'Styl': desc.enum('FStl', StrokePositions[styles.stroke.position] || 'OutF'),
+      'PntT': desc.enum('FrFl', 'SClr'),
+      'Sz  ': desc.units('#Pxl', styles.stroke.size),
+      'Clr ': colorToDescriptor(styles.stroke.color)
+    });
+  }
+
+  writer.u32(0);   // Object effects version
+  writer.u32(16);  // Descriptor version
+  writeDescriptor(writer, 'null', items);
 }
 
 /**
- * Extract layer data from PSD layers
- * @param {Array} layers - PSD layer array
- * @param {number} depth - Nesting depth
- * @returns {Array} Extracted layer data
- */
-function extractLayers(layers, depth = 0) {
-  const result = [];
-
-  for (const layer of layers) {
-    const layerData = {
-      name: layer.name || 'Layer',
-      type: layer.children ? 'group' : 'raster',
-      visible: !layer.hidden,
-      opacity: (layer.opacity ?? 255) / 255,
-      blendMode: mapBlendMode(layer.blendMode),
-      left: layer.left || 0,
-      top: layer.top || 0,
-      right: layer.right || 0,
-      bottom: layer.bottom || 0,
-      width: (layer.right || 0) - (layer.left || 0),
-      height: (layer.bottom || 0) - (layer.top || 0),
-      clippingMask: layer.clipping || false,
-      depth
+ * Read an object-based effects block into layer styles
+ */
+function readLayerEffects(reader) {
+  reader.u32(); // Object effects version
+  reader.u32(); // Descriptor version
+  const effects = readDescriptor(reader);
+  if (effects.masterFXSwitch === false) return null;
+
+  const blendModes = invertMap(EffectBlendModes);
+  const number = (item, fallback = 0) => (item && typeof item === 'object' ? item.value : item) ?? fallback;
+  const common = (item) => ({
+    enabled: item.enab !== false,
+    blendMode: blendModes[item['Md  ']?.value] || 'normal',
+    opacity: number(item['Opct'], 100) / 100
+  });
+
+  const styles = {};
+
+  if (effects['DrSh']) {
+    const item = effects['DrSh'];
+    styles.dropShadow = {
+      ...common(item),
+      color: descriptorToColor(item['Clr ']),
+      angle: number(item['lagl'], 120),
+      distance: number(item['Dstn'], 5),
+      spread: number(item['Ckmt']),
+      size: number(item['blur'], 5)
+    };
+  }
+
+  if (effects['IrSh']) {
+    const item = effects['IrSh'];
+    styles.innerShadow = {
+      ...common(item),
+      color: descriptorToColor(item['Clr ']),
+      angle: number(item['lagl'], 120),
+      distance: number(item['Dstn'], 5),
+      choke: number(item['Ckmt']),
+      size: number(item['blur'], 5)
     };
+  }
 
-    // Extract layer image data
-    if (layer.canvas) {
-      layerData.imageData = getImageDataFromCanvas(layer.canvas);
-    }
-
-    // Extract mask data
-    if (layer.mask && layer.mask.canvas) {
-      layerData.mask = {
-        left: layer.mask.left || 0,
-        top: layer.mask.top || 0,
-        right: layer.mask.right || 0,
-        bottom: layer.mask.bottom || 0,
-        defaultColor: layer.mask.defaultColor,
-        disabled: layer.mask.disabled,
-        imageData: getImageDataFromCanvas(layer.mask.canvas)
-      };
+  if (effects['OrGl']) {
+    const item = effects['OrGl'];
+    styles.outerGlow = {
+      ...common(item),
+      color: descriptorToColor(item['Clr ']),
+      spread: number(item['Ckmt']),
+      size: number(item['blur'], 5)
+    };
+  }
+
+  if (effects['IrGl']) {
+    const item = effects['IrGl'];
+    styles.innerGlow = {
+      ...common(item),
+      color: descriptorToColor(item['Clr ']),
+      source: item['glwS']?.value === 'SrcC' ? 'center' : 'edge',
+      choke: number(item['Ckmt']),
+      size: number(item['blur'], 5)
+    };
+  }
+
+  if (effects['SoFi']) {
+    const item = effects['SoFi'];
+    styles.colorOverlay = { ...common(item), color: descriptorToColor(item['Clr ']) };
+  }
+
+  if (effects['GrFl']) {
+    const item = effects['GrFl'];
+    const colors = item['Grad']?.['Clrs'] || [];
+    styles.gradientOverlay = {
+      ...common(item),
+      style: item['Type']?.value === 'Rdl ' ? 'radial' : 'linear',
+      angle: number(item['Angl'], 90),
+      scale: number(item['Scl '], 100),
+      reverse: !!item['Rvrs'],
+      stops: colors.length >= 2
+        ? colors.map(stop => ({
+          offset: (stop['Lctn'] || 0) / GRADIENT_LOCATION_SCALE,
+          color: descriptorToColor(stop['Clr '])
+        }))
+        : undefined
+    };
+    if (!styles.gradientOverlay.stops) delete styles.gradientOverlay.stops;
+  }
+
+  if (effects['FrFX']) {
+    const item = effects['FrFX'];
+    styles.stroke = {
+      ...common(item),
+      color: descriptorToColor(item['Clr ']),
+      position: invertMap(StrokePositions)[item['Styl']?.value] || 'outside',
+      size: number(item['Sz  '], 3)
+    };
+  }
+
+  return Object.keys(styles).length > 0 ? styles : null;
+}
+
+// ========== Compression ==========
+
+/**
+ * Decode PackBits data into dst
+ */
+function decodePackBits(src, dst, dstOffset, dstLength) {
+  let i = 0;
+  let o = dstOffset;
+  const end = dstOffset + dstLength;
+
+  while (i < src.length && o < end) {
+    let n = src[i++];
+    if (n > 127) n -= 256;
+
+    if (n >= 0) {
+      const count = Math.min(n + 1, end - o);
+      dst.set(src.subarray(i, i + count), o);
+      i += n + 1;
+      o += count;
+    } else if (n !== -128) {
+      const count = Math.min(1 - n, end - o);
+      dst.fill(src[i++], o, o + count);
+      o += count;
+    }
+  }
+}
+
+/**
+ * Encode one row with PackBits
+ */
+function encodePackBits(src, start, length) {
+  const out = new Uint8Array(length * 2 + 2);
+  let o = 0;
+  let i = 0;
+
+  while (i < length) {
+    // Repeat run of 3+ identical bytes
+    let run = 1;
+    while (i + run < length && run < 128 && src[start + i + run] === src[start + i]) {
+      run++;
     }
 
-    // Extract adjustment layer info
-    if (layer.adjustment) {
-      layerData.adjustment = layer.adjustment;
+    if (run >= 3) {
+      out[o++] = (1 - run) & 0xff;
+      out[o++] = src[start + i];
+      i += run;
+      continue;
     }
 
-    // Handle group children
-    if (layer.children) {
-      layerData.children = extractLayers(layer.children, depth + 1);
-      layerData.expanded = !layer.folderOpen;
+    // Literal run until the next repeat run of 3+
+    let literal = 1;
+    while (i + literal < length && literal < 128) {
+      const p = start + i + literal;
+      if (i + literal + 2 < length && src[p] === src[p + 1] && src[p] === src[p + 2]) break;
+      literal++;
     }
 
-    result.push(layerData);
+    out[o++] = literal - 1;
+    out.set(src.subarray(start + i, start + i + literal), o);
+    o += literal;
+    i += literal;
   }
 
-  return result;
+  return out.subarray(0, o);
 }
 
 /**
- * Map PSD blend mode to CSS blend mode
+ * Inflate zlib data (used for ZIP-compressed channels)
  */
-function mapBlendMode(psdBlendMode) {
-  const blendModeMap = {
-    'normal': 'normal',
-    'dissolve': 'normal',
-    'darken': 'darken',
-    'multiply': 'multiply',
-    'color burn': 'color-burn',
-    'linear burn': 'color-burn',
-    'darker color': 'darken',
-    'lighten': 'lighten',
-    'screen': 'screen',
-    'color dodge': 'color-dodge',
-    'linear dodge': 'color-dodge',
-    'lighter color': 'lighten',
-    'overlay': 'overlay',
-    'soft light': 'soft-light',
-    'hard light': 'hard-light',
-    'vivid light': 'hard-light',
-    'linear light': 'hard-light',
-    'pin light': 'hard-light',
-    'hard mix': 'hard-light',
-    'difference': 'difference',
-    'exclusion': 'exclusion',
-    'subtract': 'difference',
-    'divide': 'difference',
-    'hue': 'hue',
-    'saturation': 'saturation',
-    'color': 'color',
-    'luminosity': 'luminosity'
-  };
+async function inflate(data) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('ZIP-compressed PSD channels are not supported in this browser');
+  }
 
-  return blendModeMap[psdBlendMode?.toLowerCase()] || 'normal';
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Undo per-row delta prediction for 8-bit ZIP channels
+ */
+function undoPrediction(data, width, height) {
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 1; x < width; x++) {
+      data[row + x] = (data[row + x] + data[row + x - 1]) & 0xff;
+    }
+  }
 }
 
 /**
- * Get ImageData from a canvas
+ * RLE-encode a channel plane: row byte counts followed by the packed rows
  */
-function getImageDataFromCanvas(canvas) {
-  if (!canvas) return null;
+function encodeChannelRLE(plane, width, height) {
+  const rows = [];
+  let total = 0;
+
+  for (let y = 0; y < height; y++) {
+    const row = encodePackBits(plane, y * width, width);
+    rows.push(row);
+    total += row.length;
+  }
 
-  const ctx = canvas.getContext('2d');
-  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+  return { rows, total };
 }
 
+// ========== Parsing ==========
+
 /**
- * Export document data to PSD format
- * @param {Object} data - Document data to export
- * @returns {ArrayBuffer} PSD file data
+ * Parse a PSD file from an ArrayBuffer
+ * @param {ArrayBuffer} buffer - The PSD file data
+ * @returns {Object} Parsed PSD data
  */
-async function exportPSD(data) {
-  if (!agPsd) {
-    throw new Error('ag-psd library is not loaded. Please add ag-psd.min.js to the lib folder.');
+async function parsePSD(buffer) {
+  const reader = new PSDReader(buffer);
+
+  const header = readHeader(reader);
+
+  // Color mode data (only meaningful for indexed/duotone, which we reject)
+  const colorModeLength = reader.u32();
+  reader.skip(colorModeLength);
+
+  const resources = readImageResources(reader);
+  const layerInfo = await readLayerAndMaskInfo(reader, header);
+
+  let compositeImage = null;
+  if (reader.offset < reader.length) {
+    compositeImage = readCompositeImage(reader, header, layerInfo.hasMergedAlpha);
   }
 
-  const psdData = {
-    width: data.width,
-    height: data.height,
-    children: []
+  return {
+    width: header.width,
+    height: header.height,
+    colorMode: header.colorMode,
+    bitsPerChannel: header.depth,
+    channels: header.channels,
+    resolution: readResolution(resources),
+    layers: layerInfo.layers,
+    compositeImage,
+    thumbnail: await readThumbnail(resources)
   };
+}
 
-  // Convert layers to PSD format
-  for (const layer of data.layers) {
-    const psdLayer = {
-      name: layer.name,
-      hidden: !layer.visible,
-      opacity: Math.round(layer.opacity * 255),
-      blendMode: reverseMapBlendMode(layer.blendMode),
-      left: layer.x || 0,
-      top: layer.y || 0,
-      right: (layer.x || 0) + layer.width,
-      bottom: (layer.y || 0) + layer.height,
-      clipping: layer.clipped || false
-    };
+/**
+ * Read and validate the file header
+ */
+function readHeader(reader) {
+  if (reader.signature() !== PSD_SIGNATURE) {
+    throw new Error('Not a PSD file (invalid signature)');
+  }
 
-    // Add image data if available
-    if (layer.imageData) {
-      // Create canvas from ImageData
-      const canvas = new OffscreenCanvas(layer.width, layer.height);
-      const ctx = canvas.getContext('2d');
-      ctx.putImageData(layer.imageData, 0, 0);
-      psdLayer.canvas = canvas;
-    }
-
-    // Add mask if available
-    if (layer.mask) {
-      const maskCanvas = new OffscreenCanvas(layer.mask.width, layer.mask.height);
-      const maskCtx = maskCanvas.getContext('2d');
-      maskCtx.putImageData(layer.mask.imageData, 0, 0);
-
-      psdLayer.mask = {
-        left: layer.mask.left || layer.x || 0,
-        top: layer.mask.top || layer.y || 0,
-        right: (layer.mask.left || layer.x || 0) + layer.mask.width,
-        bottom: (layer.mask.top || layer.y || 0) + layer.mask.height,
-        canvas: maskCanvas
-      };
-    }
+  const version = reader.u16();
+  if (version === 2) {
+    throw new Error('Large document (PSB) files are not supported');
+  }
+  if (version !== 1) {
+    throw new Error(`Unsupported PSD version: ${version}`);
+  }
 
-    psdData.children.push(psdLayer);
+  reader.skip(6); // Reserved
+
+  const header = {
+    channels: reader.u16(),
+    height: reader.u32(),
+    width: reader.u32(),
+    depth: reader.u16(),
+    colorMode: reader.u16()
+  };
+
+  if (header.depth !== 8) {
+    throw new Error(`Only 8-bit PSD files are supported (file is ${header.depth}-bit)`);
   }
 
-  // Write PSD
-  const buffer = agPsd.writePsd(psdData, {
-    generateThumbnail: true,
-    trimImageData: false
-  });
+  if (header.colorMode !== ColorMode.RGB && header.colorMode !== ColorMode.GRAYSCALE) {
+    throw new Error(`Unsupported PSD color mode: ${header.colorMode}`);
+  }
+
+  return header;
+}
+
+/**
+ * Read the image resources section into a map of id -> { name, data }
+ */
+function readImageResources(reader) {
+  const resources = new Map();
+  const length = reader.u32();
+  const end = reader.offset + length;
 
-  return buffer;
+  while (reader.offset + 12 <= end) {
+    reader.signature(); // '8BIM' (or 'MeSa', 'AgHg', ...)
+    const id = reader.u16();
+    const name = reader.pascalString(2);
+    const size = reader.u32();
+    const data = reader.read(size).slice();
+    reader.skip(size % 2);
+
+    resources.set(id, { name, data });
+  }
+
+  reader.offset = end;
+  return resources;
+}
+
+/**
+ * Read resolution info (pixels per inch)
+ */
+function readResolution(resources) {
+  const resource = resources.get(Resource.RESOLUTION_INFO);
+  if (!resource || resource.data.length < 16) return null;
+
+  const view = new DataView(resource.data.buffer);
+  return {
+    horizontal: view.getUint32(0) / 65536,
+    vertical: view.getUint32(8) / 65536
+  };
+}
+
+/**
+ * Decode the JPEG thumbnail resource when the browser can
+ */
+async function readThumbnail(resources) {
+  const resource = resources.get(Resource.THUMBNAIL);
+  if (!resource || resource.data.length <= 28) return null;
+  if (typeof createImageBitmap !== 'function' || typeof OffscreenCanvas === 'undefined') return null;
+
+  try {
+    const jpeg = resource.data.subarray(28);
+    const bitmap = await createImageBitmap(new Blob([jpeg], { type: 'image/jpeg' }));
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read the layer and mask information section
+ */
+async function readLayerAndMaskInfo(reader, header) {
+  const length = reader.u32();
+  const end = reader.offset + length;
+  const result = { layers: [], hasMergedAlpha: false };
+
+  if (length === 0) return result;
+
+  const layerInfoLength = reader.u32();
+  const layerInfoEnd = reader.offset + layerInfoLength;
+
+  if (layerInfoLength > 0) {
+    let count = reader.i16();
+
+    // A negative count means the first alpha channel holds merged transparency
+    if (count < 0) {
+      result.hasMergedAlpha = true;
+      count = -count;
+    }
+
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      records.push(readLayerRecord(reader));
+    }
+
+    for (const record of records) {
+      await readLayerChannels(reader, record);
+    }
+
+    result.layers = buildLayerTree(records, header);
+  }
+
+  // Global layer mask info and additional info are not needed
+  reader.offset = Math.max(layerInfoEnd, reader.offset);
+  reader.offset = end;
+
+  return result;
+}
+
+/**
+ * Read a single layer record
+ */
+function readLayerRecord(reader) {
+  const record = {
+    top: reader.i32(),
+    left: reader.i32(),
+    bottom: reader.i32(),
+    right: reader.i32(),
+    channels: [],
+    mask: null,
+    sectionType: null,
+    adjustment: null,
+    effects: null
+  };
+
+  const channelCount = reader.u16();
+  for (let i = 0; i < channelCount; i++) {
+    record.channels.push({ id: reader.i16(), length: reader.u32(), data: null });
+  }
+
+  if (reader.signature() !== RESOURCE_SIGNATURE) {
+    throw new Error('Invalid layer record signature');
+  }
+
+  record.blendKey = reader.signature();
+  record.opacity = reader.u8() / 255;
+  record.clipping = reader.u8() === 1;
+  const flags = reader.u8();
+  record.hidden = (flags & 0x02) !== 0;
+  reader.skip(1); // Filler
+
+  const extraLength = reader.u32();
+  const extraEnd = reader.offset + extraLength;
+
+  record.mask = readLayerMaskData(reader);
+
+  // Blending ranges
+  const rangesLength = reader.u32();
+  reader.skip(rangesLength);
+
+  record.name = reader.pascalString(4);
+
+  readAdditionalLayerInfo(reader, extraEnd, record);
+
+  reader.offset = extraEnd;
+  return record;
+}
+
+/**
+ * Read layer mask / adjustment layer data
+ */
+function readLayerMaskData(reader) {
+  const size = reader.u32();
+  if (size === 0) return null;
+
+  const end = reader.offset + size;
+  const mask = {
+    top: reader.i32(),
+    left: reader.i32(),
+    bottom: reader.i32(),
+    right: reader.i32(),
+    defaultColor: reader.u8()
+  };
+
+  const flags = reader.u8();
+  mask.disabled = (flags & 0x02) !== 0;
+  mask.invert = (flags & 0x04) !== 0;
+
+  reader.offset = end;
+  return mask;
+}
+
+/**
+ * Read tagged additional layer info blocks we care about
+ */
+function readAdditionalLayerInfo(reader, end, record) {
+  while (reader.offset + 12 <= end) {
+    const signature = reader.signature();
+    if (signature !== '8BIM' && signature !== '8B64') break;
+
+    const key = reader.signature();
+    const length = reader.u32();
+    const dataEnd = reader.offset + length;
+
+    switch (key) {
+      case 'luni':
+        record.name = reader.unicodeString();
+        break;
+
+      case 'lsct':
+      case 'lsdk':
+        record.sectionType = reader.u32();
+        if (length >= 12) {
+          reader.signature(); // '8BIM'
+          record.blendKey = reader.signature();
+        }
+        break;
+
+      case 'brit':
+        record.adjustment = {
+          type: AdjustmentKeys.brit,
+          params: { brightness: reader.i16(), contrast: reader.i16() }
+        };
+        break;
+
+      case 'post':
+        record.adjustment = { type: AdjustmentKeys.post, params: { levels: reader.u16() } };
+        break;
+
+      case 'thrs':
+        record.adjustment = { type: AdjustmentKeys.thrs, params: { level: reader.u16() } };
+        break;
+
+      case 'levl':
+      case 'curv':
+      case 'hue2':
+      case 'blnc':
+      case 'blwh':
+      case 'phfl':
+      case 'vibA':
+      case 'grdm':
+        // Settings we cannot parse fall back to the adjustment's defaults
+        try {
+          record.adjustment = { type: AdjustmentKeys[key], params: readAdjustmentParams(reader, key) };
+        } catch (error) {
+          record.adjustment = { type: AdjustmentKeys[key], params: {} };
+        }
+        break;
+
+      case 'lfx2':
+        // Effects we cannot parse are dropped rather than failing the import
+        try {
+          record.effects = readLayerEffects(reader);
+        } catch (error) {
+          record.effects = null;
+        }
+        break;
+
+      default:
+        // Other adjustments are recognised by type; their settings use defaults
+        if (AdjustmentKeys[key] && !record.adjustment) {
+          record.adjustment = { type: AdjustmentKeys[key], params: {} };
+        }
+    }
+
+    reader.offset = dataEnd + (length % 2);
+  }
+}
+
+/**
+ * Read the settings of an adjustment block into adjustment params
+ */
+function readAdjustmentParams(reader, key) {
+  switch (key) {
+    case 'levl': {
+      reader.u16(); // Version
+      const records = LEVELS_CHANNELS.map(() => ({
+        inputBlack: reader.i16(),
+        inputWhite: reader.i16(),
+        outputBlack: reader.i16(),
+        outputWhite: reader.i16(),
+        gamma: reader.i16() / 100
+      }));
+
+      // We keep one record: the composite, or the first channel that changes anything
+      const isIdentity = (levels) => levels.inputBlack === 0 && levels.inputWhite === 255 &&
+        levels.outputBlack === 0 && levels.outputWhite === 255 && levels.gamma === 1;
+      const index = Math.max(0, records.findIndex(levels => !isIdentity(levels)));
+      return { ...records[index], channel: LEVELS_CHANNELS[index] };
+    }
+
+    case 'curv': {
+      reader.u8();  // Filler
+      reader.u16(); // Version
+      const channels = reader.u32();
+      const points = {};
+
+      CURVES_CHANNELS.forEach((channel, index) => {
+        points[channel] = [];
+        if (!(channels & (1 << index))) {
+          points[channel].push({ x: 0, y: 0 }, { x: 255, y: 255 });
+          return;
+        }
+
+        const count = reader.u16();
+        for (let i = 0; i < count; i++) {
+          const y = reader.i16();
+          points[channel].push({ x: reader.i16(), y });
+        }
+      });
+
+      return { points };
+    }
+
+    case 'hue2': {
+      reader.u16(); // Version
+      const colorize = reader.u8() !== 0;
+      reader.u8();
+      const colorizeHue = reader.i16();
+      const colorizeSaturation = reader.i16();
+      const colorizeLightness = reader.i16();
+      const hue = reader.i16();
+      const saturation = reader.i16();
+      const lightness = reader.i16();
+
+      return {
+        colorize,
+        colorizeHue,
+        colorizeSaturation,
+        hue,
+        saturation,
+        lightness: colorize ? colorizeLightness : lightness
+      };
+    }
+
+    case 'blnc': {
+      const params = {};
+      for (const tone of ['shadows', 'midtones', 'highlights']) {
+        params[tone] = { cyan: reader.i16(), magenta: reader.i16(), yellow: reader.i16() };
+      }
+      params.preserveLuminosity = reader.u8() !== 0;
+      return params;
+    }
+
+    case 'blwh': {
+      reader.u32(); // Descriptor version
+      const settings = readDescriptor(reader);
+      return {
+        reds: settings['Rd  '] ?? 40,
+        yellows: settings['Yllw'] ?? 60,
+        greens: settings['Grn '] ?? 40,
+        cyans: settings['Cyn '] ?? 60,
+        blues: settings['Bl  '] ?? 20,
+        magentas: settings['Mgnt'] ?? 80,
+        tint: !!settings.useTint,
+        tintColor: settings.tintColor ? descriptorToColor(settings.tintColor) : '#a28c6e'
+      };
+    }
+
+    case 'phfl': {
+      if (reader.u16() !== 2) return {}; // Lab colors (version 3) use the default filter
+      return {
+        color: readColor(reader),
+        density: reader.u32(),
+        preserveLuminosity: reader.u8() !== 0
+      };
+    }
+
+    case 'vibA': {
+      reader.u32(); // Descriptor version
+      const settings = readDescriptor(reader);
+      return { vibrance: settings.vibrance ?? 0, saturation: settings['Strt'] ?? 0 };
+    }
+
+    case 'grdm': {
+      reader.u16(); // Version
+      const reverse = reader.u8() !== 0;
+      const dither = reader.u8() !== 0;
+      reader.unicodeString(); // Name
+
+      const count = reader.u16();
+      const stops = [];
+      for (let i = 0; i < count; i++) {
+        const offset = reader.u32() / GRADIENT_LOCATION_SCALE;
+        reader.u32(); // Midpoint
+        stops.push({ offset, color: readColor(reader) });
+        reader.u16();
+      }
+
+      // Transparency stops and noise settings are not used by gradient maps here
+      return { stops, reverse, dither };
+    }
+
+    default:
+      return {};
+  }
+}
+
+/**
+ * Read channel image data for a layer record
+ */
+async function readLayerChannels(reader, record) {
+  for (const channel of record.channels) {
+    const start = reader.offset;
+    let rect = record;
+
+    if (channel.id === ChannelID.USER_MASK && record.mask) {
+      rect = record.mask;
+    }
+
+    const width = rect.right - rect.left;
+    const height = rect.bottom - rect.top;
+
+    // Real user masks (vector + pixel masks) are skipped
+    if (channel.id !== ChannelID.REAL_USER_MASK && width > 0 && height > 0 && channel.length > 2) {
+      channel.data = await readChannelPlane(reader, channel.length - 2, width, height);
+    }
+
+    reader.offset = start + channel.length;
+  }
+}
+
+/**
+ * Read one compressed channel plane
+ */
+async function readChannelPlane(reader, dataLength, width, height) {
+  const compression = reader.u16();
+  const plane = new Uint8Array(width * height);
+
+  switch (compression) {
+    case Compression.RAW:
+      plane.set(reader.read(Math.min(width * height, dataLength)));
+      break;
+
+    case Compression.RLE: {
+      const rowLengths = [];
+      for (let y = 0; y < height; y++) {
+        rowLengths.push(reader.u16());
+      }
+      for (let y = 0; y < height; y++) {
+        decodePackBits(reader.read(rowLengths[y]), plane, y * width, width);
+      }
+      break;
+    }
+
+    case Compression.ZIP:
+    case Compression.ZIP_PREDICTION: {
+      const inflated = await inflate(reader.read(dataLength));
+      plane.set(inflated.subarray(0, plane.length));
+      if (compression === Compression.ZIP_PREDICTION) {
+        undoPrediction(plane, width, height);
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unsupported channel compression: ${compression}`);
+  }
+
+  return plane;
+}
+
+/**
+ * Build the group hierarchy from bottom-to-top layer records.
+ * Returns layers top-to-bottom, with groups holding their children.
+ */
+function buildLayerTree(records, header) {
+  const root = [];
+  const stack = [root];
+
+  for (let i = records.length - 1; i >= 0; i--) {
+    const record = records[i];
+    const siblings = stack[stack.length - 1];
+    const depth = stack.length - 1;
+
+    if (record.sectionType === SectionType.OPEN_FOLDER ||
+        record.sectionType === SectionType.CLOSED_FOLDER) {
+      const group = {
+        ...createBaseLayerData(record, depth),
+        type: 'group',
+        expanded: record.sectionType === SectionType.OPEN_FOLDER,
+        children: []
+      };
+      siblings.push(group);
+      stack.push(group.children);
+      continue;
+    }
+
+    if (record.sectionType === SectionType.BOUNDING_DIVIDER) {
+      if (stack.length > 1) stack.pop();
+      continue;
+    }
+
+    siblings.push(createLayerData(record, header, depth));
+  }
+
+  return root;
+}
+
+/**
+ * Properties shared by every layer type
+ */
+function createBaseLayerData(record, depth) {
+  return {
+    name: record.name || 'Layer',
+    type: 'raster',
+    visible: !record.hidden,
+    opacity: record.opacity,
+    blendMode: mapBlendMode(record.blendKey),
+    left: record.left,
+    top: record.top,
+    right: record.right,
+    bottom: record.bottom,
+    width: record.right - record.left,
+    height: record.bottom - record.top,
+    clippingMask: record.clipping,
+    styles: record.effects,
+    depth
+  };
+}
+
+/**
+ * Convert a layer record into the layer data sent to the main thread
+ */
+function createLayerData(record, header, depth) {
+  const layerData = createBaseLayerData(record, depth);
+  const planes = {};
+
+  for (const channel of record.channels) {
+    if (channel.data) planes[channel.id] = channel.data;
+  }
+
+  // Extract layer image data
+  if (layerData.width > 0 && layerData.height > 0) {
+    layerData.imageData = planesToImageData(planes, layerData.width, layerData.height, header.colorMode);
+  }
+
+  // Extract mask data
+  if (record.mask) {
+    const mask = record.mask;
+    const width = mask.right - mask.left;
+    const height = mask.bottom - mask.top;
+
+    layerData.mask = {
+      left: mask.left,
+      top: mask.top,
+      right: mask.right,
+      bottom: mask.bottom,
+      defaultColor: mask.defaultColor,
+      disabled: mask.disabled,
+      imageData: planes[ChannelID.USER_MASK] && width > 0 && height > 0
+        ? grayToImageData(planes[ChannelID.USER_MASK], width, height)
+        : null
+    };
+  }
+
+  // Extract adjustment layer info
+  if (record.adjustment) {
+    layerData.adjustment = record.adjustment;
+  }
+
+  return layerData;
+}
+
+/**
+ * Interleave channel planes into RGBA ImageData
+ */
+function planesToImageData(planes, width, height, colorMode) {
+  const size = width * height;
+  const rgba = new Uint8ClampedArray(size * 4);
+  const isGray = colorMode === ColorMode.GRAYSCALE;
+
+  const r = planes[ChannelID.RED];
+  const g = isGray ? r : planes[ChannelID.GREEN];
+  const b = isGray ? r : planes[ChannelID.BLUE];
+  const a = planes[ChannelID.ALPHA];
+
+  for (let i = 0, p = 0; i < size; i++, p += 4) {
+    rgba[p] = r ? r[i] : 0;
+    rgba[p + 1] = g ? g[i] : 0;
+    rgba[p + 2] = b ? b[i] : 0;
+    rgba[p + 3] = a ? a[i] : 255;
+  }
+
+  return new ImageData(rgba, width, height);
+}
+
+/**
+ * Expand a single grayscale plane into opaque RGBA ImageData
+ */
+function grayToImageData(plane, width, height) {
+  const rgba = new Uint8ClampedArray(width * height * 4);
+
+  for (let i = 0, p = 0; i < plane.length; i++, p += 4) {
+    rgba[p] = rgba[p + 1] = rgba[p + 2] = plane[i];
+    rgba[p + 3] = 255;
+  }
+
+  return new ImageData(rgba, width, height);
+}
+
+/**
+ * Read the merged composite image (image data section)
+ */
+function readCompositeImage(reader, header, hasMergedAlpha) {
+  const { width, height, channels, colorMode } = header;
+  const size = width * height;
+  if (size === 0) return null;
+
+  const compression = reader.u16();
+  const colorChannels = colorMode === ColorMode.GRAYSCALE ? 1 : 3;
+
+  // The channel after the color channels is only transparency when flagged
+  const wanted = Math.min(channels, colorChannels + (hasMergedAlpha ? 1 : 0));
+  const planes = [];
+
+  if (compression === Compression.RAW) {
+    for (let c = 0; c < wanted; c++) {
+      planes.push(reader.read(size).slice());
+    }
+  } else if (compression === Compression.RLE) {
+    const rowLengths = [];
+    for (let i = 0; i < channels * height; i++) {
+      rowLengths.push(reader.u16());
+    }
+
+    for (let c = 0; c < wanted; c++) {
+      const plane = new Uint8Array(size);
+      for (let y = 0; y < height; y++) {
+        decodePackBits(reader.read(rowLengths[c * height + y]), plane, y * width, width);
+      }
+      planes.push(plane);
+    }
+  } else {
+    throw new Error(`Unsupported composite compression: ${compression}`);
+  }
+
+  const byId = {
+    [ChannelID.RED]: planes[0],
+    [ChannelID.GREEN]: planes[1],
+    [ChannelID.BLUE]: planes[2]
+  };
+
+  if (planes.length > colorChannels) {
+    byId[ChannelID.ALPHA] = planes[colorChannels];
+  }
+
+  return planesToImageData(byId, width, height, colorMode);
+}
+
+/**
+ * Map a PSD blend mode key to a CSS blend mode
+ */
+function mapBlendMode(psdBlendKey) {
+  const blendModeMap = {
+    'pass': 'normal',
+    'norm': 'normal',
+    'diss': 'normal',
+    'dark': 'darken',
+    'mul ': 'multiply',
+    'idiv': 'color-burn',
+    'lbrn': 'color-burn',
+    'dkCl': 'darken',
+    'lite': 'lighten',
+    'scrn': 'screen',
+    'div ': 'color-dodge',
+    'lddg': 'color-dodge',
+    'lgCl': 'lighten',
+    'over': 'overlay',
+    'sLit': 'soft-light',
+    'hLit': 'hard-light',
+    'vLit': 'hard-light',
+    'lLit': 'hard-light',
+    'pLit': 'hard-light',
+    'hMix': 'hard-light',
+    'diff': 'difference',
+    'smud': 'exclusion',
+    'fsub': 'difference',
+    'fdiv': 'difference',
+    'hue ': 'hue',
+    'sat ': 'saturation',
+    'colr': 'color',
+    'lum ': 'luminosity'
+  };
+
+  return blendModeMap[psdBlendKey] || 'normal';
+}
+
+// ========== Writing ==========
+
+/**
+ * Export document data to PSD format
+ * @param {Object} data - Document data to export
+ * @returns {ArrayBuffer} PSD file data
+ */
+async function exportPSD(data) {
+  const { width, height } = data;
+  const alphas = data.channels || [];
+
+  // PSD stores layers bottom-to-top with groups bracketed by divider records
+  const records = [];
+  for (const layer of data.layers) {
+    collectLayerRecords(layer, records);
+  }
+
+  const writer = new PSDWriter(Math.max(65536, width * height * 2));
+
+  // Header: RGB + transparency + saved alpha channels, 8 bits per channel
+  writer.signature(PSD_SIGNATURE);
+  writer.u16(1);
+  writer.zeros(6);
+  writer.u16(4 + alphas.length);
+  writer.u32(height);
+  writer.u32(width);
+  writer.u16(8);
+  writer.u16(ColorMode.RGB);
+
+  // Color mode data (none for RGB)
+  writer.u32(0);
+
+  writeImageResources(writer, data);
+  writeLayerAndMaskInfo(writer, records);
+  writeCompositeImage(writer, data.composite, width, height, alphas);
+
+  return writer.getBuffer();
+}
+
+/**
+ * Flatten a layer (and group children) into layer records
+ */
+function collectLayerRecords(layer, records) {
+  if (layer.type === 'group') {
+    records.push(createDividerRecord());
+
+    for (const child of layer.children || []) {
+      collectLayerRecords(child, records);
+    }
+
+    const record = createEmptyRecord(layer);
+    record.sectionType = layer.expanded === false
+      ? SectionType.CLOSED_FOLDER
+      : SectionType.OPEN_FOLDER;
+    records.push(record);
+    return;
+  }
+
+  if (layer.type === 'adjustment') {
+    // Adjustments PSD cannot store are left out rather than written as empty layers
+    const adjustment = createAdjustmentBlock(layer.adjustment);
+    if (!adjustment) return;
+
+    const record = createEmptyRecord(layer);
+    record.adjustment = adjustment;
+    records.push(record);
+    return;
+  }
+
+  records.push(createRasterRecord(layer));
+}
+
+/**
+ * Base record with no pixel data
+ */
+function createEmptyRecord(layer) {
+  const channels = [ChannelID.ALPHA, ChannelID.RED, ChannelID.GREEN, ChannelID.BLUE]
+    .map(id => ({ id, compression: Compression.RAW, rows: [], total: 0 }));
+
+  return {
+    top: 0,
+    left: 0,
+    bottom: 0,
+    right: 0,
+    channels,
+    name: layer.name || 'Layer',
+    blendKey: reverseMapBlendMode(layer.blendMode),
+    opacity: Math.round((layer.opacity ?? 1) * 255),
+    clipping: !!layer.clipped,
+    hidden: layer.visible === false,
+    mask: null,
+    sectionType: null,
+    adjustment: null,
+    effects: null
+  };
+}
+
+/**
+ * Hidden "</Layer group>" record that closes a group
+ */
+function createDividerRecord() {
+  const record = createEmptyRecord({ name: '</Layer group>' });
+  record.sectionType = SectionType.BOUNDING_DIVIDER;
+  return record;
+}
+
+/**
+ * Record for a pixel layer, trimmed to its non-transparent bounds
+ */
+function createRasterRecord(layer) {
+  const record = createEmptyRecord(layer);
+  record.effects = layer.styles || null;
+  const offsetX = layer.x || 0;
+  const offsetY = layer.y || 0;
+
+  const bounds = layer.imageData ? getBounds(layer.imageData, 3, 0) : null;
+
+  if (bounds) {
+    const w = bounds.right - bounds.left;
+    const h = bounds.bottom - bounds.top;
+
+    record.left = offsetX + bounds.left;
+    record.top = offsetY + bounds.top;
+    record.right = record.left + w;
+    record.bottom = record.top + h;
+
+    const channelOffsets = {
+      [ChannelID.ALPHA]: 3,
+      [ChannelID.RED]: 0,
+      [ChannelID.GREEN]: 1,
+      [ChannelID.BLUE]: 2
+    };
+
+    record.channels = record.channels.map(({ id }) => ({
+      id,
+      compression: Compression.RLE,
+      ...encodeChannelRLE(extractPlane(layer.imageData, bounds, channelOffsets[id]), w, h)
+    }));
+  }
+
+  // Mask, trimmed to where it differs from white
+  if (layer.mask && layer.mask.imageData) {
+    const maskImage = layer.mask.imageData;
+    const maskBounds = getBounds(maskImage, 0, 255);
+    const maskLeft = offsetX + (layer.mask.left || 0);
+    const maskTop = offsetY + (layer.mask.top || 0);
+
+    record.mask = {
+      top: maskBounds ? maskTop + maskBounds.top : 0,
+      left: maskBounds ? maskLeft + maskBounds.left : 0,
+      bottom: maskBounds ? maskTop + maskBounds.bottom : 0,
+      right: maskBounds ? maskLeft + maskBounds.right : 0,
+      defaultColor: 255,
+      disabled: !!layer.mask.disabled
+    };
+
+    if (maskBounds) {
+      const w = maskBounds.right - maskBounds.left;
+      const h = maskBounds.bottom - maskBounds.top;
+      record.channels.push({
+        id: ChannelID.USER_MASK,
+        compression: Compression.RLE,
+        ...encodeChannelRLE(extractPlane(maskImage, maskBounds, 0), w, h)
+      });
+    } else {
+      record.channels.push({ id: ChannelID.USER_MASK, compression: Compression.RAW, rows: [], total: 0 });
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Find the bounds of pixels whose channel value differs from a background value
+ */
+function getBounds(imageData, channelOffset, background) {
+  const { width, height, data } = imageData;
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    let i = y * width * 4 + channelOffset;
+    for (let x = 0; x < width; x++, i += 4) {
+      if (data[i] !== background) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        maxY = y;
+      }
+    }
+  }
+
+  if (maxX < 0) return null;
+  return { left: minX, top: minY, right: maxX + 1, bottom: maxY + 1 };
+}
+
+/**
+ * Copy one channel of an RGBA region into a plane
+ */
+function extractPlane(imageData, bounds, channelOffset) {
+  const w = bounds.right - bounds.left;
+  const h = bounds.bottom - bounds.top;
+  const plane = new Uint8Array(w * h);
+  const data = imageData.data;
+
+  for (let y = 0; y < h; y++) {
+    let i = ((bounds.top + y) * imageData.width + bounds.left) * 4 + channelOffset;
+    const row = y * w;
+    for (let x = 0; x < w; x++, i += 4) {
+      plane[row + x] = data[i];
+    }
+  }
+
+  return plane;
+}
+
+/**
+ * Encode the adjustment layer info block for an adjustment
+ * Returns null for types PSD has no block for
+ */
+function createAdjustmentBlock(adjustment) {
+  if (!adjustment) return null;
+  const params = adjustment.params || {};
+
+  switch (adjustment.type) {
+    case 'brightness-contrast':
+      return {
+        key: 'brit',
+        write: (writer) => {
+          writer.i16(Math.round(params.brightness || 0));
+          writer.i16(Math.round(params.contrast || 0));
+          writer.u16(127); // Mean value for brightness and contrast
+          writer.u8(0);    // Lab color only
+        }
+      };
+
+    case 'levels':
+      return {
+        key: 'levl',
+        write: (writer) => {
+          const selected = LEVELS_CHANNELS.indexOf(params.channel ?? 'rgb');
+          writer.u16(2); // Version
+          for (let i = 0; i < LEVELS_RECORD_COUNT; i++) {
+            const levels = i === selected ? params : {};
+            writer.i16(Math.round(levels.inputBlack ?? 0));
+            writer.i16(Math.round(levels.inputWhite ?? 255));
+            writer.i16(Math.round(levels.outputBlack ?? 0));
+            writer.i16(Math.round(levels.outputWhite ?? 255));
+            writer.i16(Math.round((levels.gamma ?? 1) * 100));
+          }
+        }
+      };
+
+    case 'curves':
+      return {
+        key: 'curv',
+        write: (writer) => {
+          writer.u8(0);  // Filler
+          writer.u16(1); // Version
+          writer.u32((1 << CURVES_CHANNELS.length) - 1);
+          for (const channel of CURVES_CHANNELS) {
+            const points = params.points?.[channel] || [{ x: 0, y: 0 }, { x: 255, y: 255 }];
+            writer.u16(points.length);
+            for (const point of points) {
+              writer.i16(Math.round(point.y)); // Output
+              writer.i16(Math.round(point.x)); // Input
+            }
+          }
+        }
+      };
+
+    case 'hue-saturation':
+      return {
+        key: 'hue2',
+        write: (writer) => {
+          writer.u16(2); // Version
+          writer.u8(params.colorize ? 1 : 0);
+          writer.u8(0);
+          writer.i16(Math.round(params.colorizeHue || 0));
+          writer.i16(Math.round(params.colorizeSaturation ?? 25));
+          writer.i16(Math.round(params.lightness || 0));
+          writer.i16(Math.round(params.hue || 0));
+          writer.i16(Math.round(params.saturation || 0));
+          writer.i16(Math.round(params.lightness || 0));
+          // Per-color ranges are left at their defaults with no change
+          for (const range of HUE_RANGES) {
+            for (const value of range) writer.i16(value);
+            writer.zeros(6);
+          }
+        }
+      };
+
+    case 'color-balance':
+      return {
+        key: 'blnc',
+        write: (writer) => {
+          for (const tone of ['shadows', 'midtones', 'highlights']) {
+            const balance = params[tone] || {};
+            writer.i16(Math.round(balance.cyan || 0));
+            writer.i16(Math.round(balance.magenta || 0));
+            writer.i16(Math.round(balance.yellow || 0));
+          }
+          writer.u8(params.preserveLuminosity === false ? 0 : 1);
+        }
+      };
+
+    case 'black-white':
+      return {
+        key: 'blwh',
+        write: (writer) => {
+          writer.u32(16); // Descriptor version
+          writeDescriptor(writer, 'null', {
+            'Rd  ': desc.long(Math.round(params.reds ?? 40)),
+            'Yllw': desc.long(Math.round(params.yellows ?? 60)),
+            'Grn ': desc.long(Math.round(params.greens ?? 40)),
+            'Cyn ': desc.long(Math.round(params.cyans ?? 60)),
+            'Bl  ': desc.long(Math.round(params.blues ?? 20)),
+            'Mgnt': desc.long(Math.round(params.magentas ?? 80)),
+            'useTint': desc.bool(!!params.tint),
+            'tintColor': colorToDescriptor(params.tintColor)
+          });
+        }
+      };
+
+    case 'photo-filter':
+      return {
+        key: 'phfl',
+        write: (writer) => {
+          writer.u16(2); // Version
+          writeColor(writer, params.color || '#ec8a00');
+          writer.u32(Math.round(params.density ?? 25));
+          writer.u8(params.preserveLuminosity === false ? 0 : 1);
+        }
+      };
+
+    case 'vibrance':
+      return {
+        key: 'vibA',
+        write: (writer) => {
+          writer.u32(16); // Descriptor version
+          writeDescriptor(writer, 'null', {
+            'vibrance': desc.long(Math.round(params.vibrance || 0)),
+            'Strt': desc.long(Math.round(params.saturation || 0))
+          });
+        }
+      };
+
+    case 'invert':
+      return { key: 'nvrt', write: () => {} };
+
+    case 'posterize':
+      return {
+        key: 'post',
+        write: (writer) => {
+          writer.u16(params.levels ?? 4);
+          writer.u16(0);
+        }
+      };
+
+    case 'threshold':
+      return {
+        key: 'thrs',
+        write: (writer) => {
+          writer.u16(params.level ?? 128);
+          writer.u16(0);
+        }
+      };
+
+    case 'gradient-map':
+      return {
+        key: 'grdm',
+        write: (writer) => writeGradientMap(writer, params)
+      };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Write a gradient map block: color stops, two opaque transparency stops
+ * and the solid gradient settings
+ */
+function writeGradientMap(writer, params) {
+  const stops = [...(params.stops || [])].sort((a, b) => a.offset - b.offset);
+
+  writer.u16(1); // Version
+  writer.u8(params.reverse ? 1 : 0);
+  writer.u8(params.dither ? 1 : 0);
+  writer.unicodeString('Custom');
+
+  writer.u16(stops.length);
+  for (const stop of stops) {
+    writer.u32(Math.round(stop.offset * GRADIENT_LOCATION_SCALE));
+    writer.u32(50); // Midpoint
+    writeColor(writer, stop.color);
+    writer.zeros(2);
+  }
+
+  writer.u16(2);
+  for (const location of [0, GRADIENT_LOCATION_SCALE]) {
+    writer.u32(location);
+    writer.u32(50);
+    writer.u16(255); // Opacity
+  }
+
+  writer.u16(2);    // Expansion count
+  writer.u16(GRADIENT_LOCATION_SCALE); // Interpolation
+  writer.u16(32);   // Length
+  writer.u16(0);    // Solid gradient
+  writer.u32(0);    // Random seed
+  writer.u16(0);    // Show transparency
+  writer.u16(0);    // Use vector color
+  writer.u32(0);    // Roughness
+  writer.u16(0);    // Color model: RGB
+  writer.zeros(16); // Minimum and maximum color, used by noise gradients
+  writer.zeros(2);
+}
+
+/**
+ * Write the image resources section
+ */
+function writeImageResources(writer, data) {
+  const section = writer.beginSection();
+
+  // Resolution info: 72 ppi unless the document specifies otherwise
+  const resolution = data.resolution || 72;
+  writer.signature(RESOURCE_SIGNATURE);
+  writer.u16(Resource.RESOLUTION_INFO);
+  writer.pascalString('', 2);
+  writer.u32(16);
+  writer.u32(Math.round(resolution * 65536));
+  writer.u16(1); // Pixels per inch
+  writer.u16(1); // Width unit: inches
+  writer.u32(Math.round(resolution * 65536));
+  writer.u16(1);
+  writer.u16(1); // Height unit: inches
+
+  // Saved alpha channel names, in the order their planes follow the composite
+  const alphas = data.channels || [];
+  if (alphas.length > 0) {
+    writeResource(writer, Resource.ALPHA_NAMES, () => {
+      for (const channel of alphas) writer.pascalString(channel.name, 1);
+    });
+    writeResource(writer, Resource.ALPHA_NAMES_UNICODE, () => {
+      for (const channel of alphas) writer.unicodeString(channel.name);
+    });
+  }
+
+  writer.endSection(section);
+}
+
+/**
+ * Write one image resource block (data length excludes the even padding)
+ */
+function writeResource(writer, id, writeData) {
+  writer.signature(RESOURCE_SIGNATURE);
+  writer.u16(id);
+  writer.pascalString('', 2);
+
+  const position = writer.beginSection();
+  writeData();
+
+  const length = writer.offset - position - 4;
+  writer.view.setUint32(position, length);
+  if (length % 2) writer.u8(0);
+}
+
+/**
+ * Write the layer and mask information section
+ */
+function writeLayerAndMaskInfo(writer, records) {
+  const section = writer.beginSection();
+  const layerInfo = writer.beginSection();
+
+  if (records.length > 0) {
+    // Negative count: the composite's alpha channel is its transparency
+    writer.i16(-records.length);
+
+    for (const record of records) {
+      writeLayerRecord(writer, record);
+    }
+
+    for (const record of records) {
+      for (const channel of record.channels) {
+        writer.u16(channel.compression);
+        if (channel.compression === Compression.RLE) {
+          for (const row of channel.rows) writer.u16(row.length);
+          for (const row of channel.rows) writer.write(row);
+        }
+      }
+    }
+  }
+
+  writer.endSection(layerInfo, 2);
+
+  // Global layer mask info
+  writer.u32(0);
+
+  writer.endSection(section, 2);
+}
+
+/**
+ * Write a layer record
+ */
+function writeLayerRecord(writer, record) {
+  writer.i32(record.top);
+  writer.i32(record.left);
+  writer.i32(record.bottom);
+  writer.i32(record.right);
+
+  writer.u16(record.channels.length);
+  for (const channel of record.channels) {
+    writer.i16(channel.id);
+    writer.u32(channelDataLength(channel));
+  }
+
+  const isSection = record.sectionType !== null;
+
+  writer.signature(RESOURCE_SIGNATURE);
+  writer.signature(record.blendKey);
+  writer.u8(record.opacity);
+  writer.u8(record.clipping ? 1 : 0);
+  // Bit 1: hidden, bit 3: bit 4 is valid, bit 4: pixel data irrelevant (dividers)
+  writer.u8((record.hidden ? 0x02 : 0) | 0x08 | (isSection ? 0x10 : 0));
+  writer.u8(0);
+
+  const extra = writer.beginSection();
+
+  // Layer mask data
+  if (record.mask) {
+    writer.u32(20);
+    writer.i32(record.mask.top);
+    writer.i32(record.mask.left);
+    writer.i32(record.mask.bottom);
+    writer.i32(record.mask.right);
+    writer.u8(record.mask.defaultColor);
+    writer.u8(record.mask.disabled ? 0x02 : 0);
+    writer.zeros(2);
+  } else {
+    writer.u32(0);
+  }
+
+  // Blending ranges
+  writer.u32(0);
+
+  writer.pascalString(record.name, 4);
+
+  writeAdditionalInfo(writer, 'luni', () => writer.unicodeString(record.name));
+
+  if (isSection) {
+    writeAdditionalInfo(writer, 'lsct', () => {
+      writer.u32(record.sectionType);
+      if (record.sectionType !== SectionType.BOUNDING_DIVIDER) {
+        writer.signature(RESOURCE_SIGNATURE);
+        writer.signature(record.blendKey);
+      }
+    });
+  }
+
+  if (record.adjustment) {
+    writeAdditionalInfo(writer, record.adjustment.key, () => record.adjustment.write(writer));
+  }
+
+  if (record.effects) {
+    writeAdditionalInfo(writer, 'lfx2', () => writeLayerEffects(writer, record.effects));
+  }
+
+  writer.endSection(extra);
+}
+
+/**
+ * Write a tagged additional layer info block (length padded to even)
+ */
+function writeAdditionalInfo(writer, key, writeData) {
+  writer.signature(RESOURCE_SIGNATURE);
+  writer.signature(key);
+  const section = writer.beginSection();
+  writeData();
+  writer.endSection(section, 2);
+}
+
+/**
+ * Byte length of a channel including its compression marker
+ */
+function channelDataLength(channel) {
+  if (channel.compression === Compression.RLE) {
+    return 2 + channel.rows.length * 2 + channel.total;
+  }
+  return 2;
+}
+
+/**
+ * Write the merged composite image as RLE RGBA planes, followed by the
+ * saved alpha channels
+ */
+function writeCompositeImage(writer, composite, width, height, alphas = []) {
+  writer.u16(Compression.RLE);
+
+  const bounds = { left: 0, top: 0, right: width, bottom: height };
+  const encoded = [0, 1, 2, 3].map(offset => {
+    const plane = composite
+      ? extractPlane(composite, bounds, offset)
+      : new Uint8Array(width * height); // Transparent when no composite was provided
+    return encodeChannelRLE(plane, width, height);
+  });
+
+  for (const channel of alphas) {
+    encoded.push(encodeChannelRLE(channel.data, width, height));
+  }
+
+  for (const channel of encoded) {
+    for (const row of channel.rows) writer.u16(row.length);
+  }
+
+  for (const channel of encoded) {
+    for (const row of channel.rows) writer.write(row);
+  }
 }
 
 /**
- * Reverse map CSS blend mode to PSD blend mode
+ * Reverse map CSS blend mode to a PSD blend mode key
  */
 function reverseMapBlendMode(cssBlendMode) {
   const reverseMap = {
-    'normal': 'normal',
-    'darken': 'darken',
-    'multiply': 'multiply',
-    'color-burn': 'color burn',
-    'lighten': 'lighten',
-    'screen': 'screen',
-    'color-dodge': 'color dodge',
-    'overlay': 'overlay',
-    'soft-light': 'soft light',
-    'hard-light': 'hard light',
-    'difference': 'difference',
-    'exclusion': 'exclusion',
-    'hue': 'hue',
-    'saturation': 'saturation',
-    'color': 'color',
-    'luminosity': 'luminosity'
+    'normal': 'norm',
+    'darken': 'dark',
+    'multiply': 'mul ',
+    'color-burn': 'idiv',
+    'lighten': 'lite',
+    'screen': 'scrn',
+    'color-dodge': 'div ',
+    'overlay': 'over',
+    'soft-light': 'sLit',
+    'hard-light': 'hLit',
+    'difference': 'diff',
+    'exclusion': 'smud',
+    'hue': 'hue ',
+    'saturation': 'sat ',
+    'color': 'colr',
+    'luminosity': 'lum '
   };
 
-  return reverseMap[cssBlendMode] || 'normal';
+  return reverseMap[cssBlendMode] || 'norm';
 }
 
 /**
@@ -0,0 +1,518 @@
+/**
+ * Segment Worker - Edge-based subject segmentation off the main thread
+ * GrabCut-style: color models for subject and background are refined over a
+ * few rounds, each labelling pixels with a min cut that prefers to follow
+ * strong image edges. Everything runs locally on a downscaled copy.
+ */
+
+// Longest side of the image the segmentation runs on
+const MAX_SIZE = 256;
+
+// Gaussians per color model
+const COMPONENTS = 5;
+
+// Weight of edge (smoothness) costs against color costs
+const GAMMA = 50;
+
+const INFINITE = 1e9;
+const EPSILON = 1e-9;
+
+/**
+ * Message handler for worker communication
+ */
+self.onmessage = function(e) {
+  const { type, id, data } = e.data;
+
+  try {
+    let result;
+
+    switch (type) {
+      case 'segment':
+        result = segment(data, (progress) => {
+          self.postMessage({ id, progress });
+        });
+        break;
+
+      default:
+        throw new Error(`Unknown message type: ${type}`);
+    }
+
+    self.postMessage({ id, success: true, result }, [result.buffer]);
+  } catch (error) {
+    self.postMessage({ id, success: false, error: error.message });
+  }
+};
+
+/**
+ * Find the subject of an image
+ * @param {Object} data - { imageData, rect, iterations }; pixels outside rect
+ *   are background, the default rect leaves a thin border
+ * @returns {Uint8ClampedArray} width * height mask, soft along the edges
+ */
+function segment(data, onProgress) {
+  const { imageData, iterations = 4 } = data;
+  const { width, height } = imageData;
+
+  const scale = Math.min(1, MAX_SIZE / Math.max(width, height));
+  const small = downscale(imageData, Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+  const rect = scaleRect(data.rect || defaultRect(width, height), small.width / width, small.height / height, small);
+
+  const n = small.width * small.height;
+
+  // Pixels outside the rect (or transparent) are fixed background
+  const fixedBackground = new Uint8Array(n);
+  const labels = new Uint8Array(n);
+  for (let y = 0; y < small.height; y++) {
+    for (let x = 0; x < small.width; x++) {
+      const i = y * small.width + x;
+      const inside = x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+      fixedBackground[i] = !inside || small.alpha[i] < 8 ? 1 : 0;
+      labels[i] = fixedBackground[i] ? 0 : 1;
+    }
+  }
+
+  const edges = computeEdgeWeights(small);
+
+  for (let round = 0; round < iterations; round++) {
+    const foreground = fitModel(small.rgb, labels, 1);
+    const background = fitModel(small.rgb, labels, 0);
+    if (!foreground || !background) break;
+
+    const cut = minCut(small, edges, foreground, background, fixedBackground);
+
+    let changed = 0;
+    for (let i = 0; i < n; i++) {
+      if (labels[i] !== cut[i]) changed++;
+      labels[i] = cut[i];
+    }
+
+    onProgress(Math.round((round + 1) / iterations * 90));
+    if (changed === 0) break;
+  }
+
+  const mask = upscale(labels, small.width, small.height, width, height);
+  onProgress(100);
+  return mask;
+}
+
+/**
+ * Rect leaving a thin border that is assumed to be background
+ */
+function defaultRect(width, height) {
+  const insetX = Math.max(1, Math.round(width * 0.03));
+  const insetY = Math.max(1, Math.round(height * 0.03));
+  return { x: insetX, y: insetY, width: width - insetX * 2, height: height - insetY * 2 };
+}
+
+function scaleRect(rect, sx, sy, small) {
+  const x = Math.max(0, Math.floor(rect.x * sx));
+  const y = Math.max(0, Math.floor(rect.y * sy));
+  return {
+    x,
+    y,
+    width: Math.min(small.width - x, Math.ceil(rect.width * sx)),
+    height: Math.min(small.height - y, Math.ceil(rect.height * sy))
+  };
+}
+
+/**
+ * Box-average an image down to planar RGB and alpha
+ */
+function downscale(imageData, width, height) {
+  const { data } = imageData;
+  const srcWidth = imageData.width;
+  const srcHeight = imageData.height;
+  const sums = new Float64Array(width * height * 4);
+  const counts = new Float64Array(width * height);
+
+  for (let y = 0; y < srcHeight; y++) {
+    const dy = Math.min(height - 1, Math.floor(y * height / srcHeight));
+    for (let x = 0; x < srcWidth; x++) {
+      const dx = Math.min(width - 1, Math.floor(x * width / srcWidth));
+      const d = dy * width + dx;
+      const p = (y * srcWidth + x) * 4;
+      sums[d * 4] += data[p];
+      sums[d * 4 + 1] += data[p + 1];
+      sums[d * 4 + 2] += data[p + 2];
+      sums[d * 4 + 3] += data[p + 3];
+      counts[d]++;
+    }
+  }
+
+  const rgb = new Float64Array(width * height * 3);
+  const alpha = new Float64Array(width * height);
+  for (let i = 0; i < counts.length; i++) {
+    const count = counts[i] || 1;
+    rgb[i * 3] = sums[i * 4] / count;
+    rgb[i * 3 + 1] = sums[i * 4 + 1] / count;
+    rgb[i * 3 + 2] = sums[i * 4 + 2] / count;
+    alpha[i] = sums[i * 4 + 3] / count;
+  }
+
+  return { width, height, rgb, alpha };
+}
+
+/**
+ * Bilinear upscale of a 0/1 label map to a soft 0-255 mask
+ */
+function upscale(labels, width, height, outWidth, outHeight) {
+  const mask = new Uint8ClampedArray(outWidth * outHeight);
+  const sx = width / outWidth;
+  const sy = height / outHeight;
+
+  for (let y = 0; y < outHeight; y++) {
+    const fy = Math.min(height - 1, Math.max(0, (y + 0.5) * sy - 0.5));
+    const y0 = Math.floor(fy);
+    const y1 = Math.min(height - 1, y0 + 1);
+    const ty = fy - y0;
+
+    for (let x = 0; x < outWidth; x++) {
+      const fx = Math.min(width - 1, Math.max(0, (x + 0.5) * sx - 0.5));
+      const x0 = Math.floor(fx);
+      const x1 = Math.min(width - 1, x0 + 1);
+      const tx = fx - x0;
+
+      const top = labels[y0 * width + x0] * (1 - tx) + labels[y0 * width + x1] * tx;
+      const bottom = labels[y1 * width + x0] * (1 - tx) + labels[y1 * width + x1] * tx;
+      mask[y * outWidth + x] = Math.round((top * (1 - ty) + bottom * ty) * 255);
+    }
+  }
+
+  return mask;
+}
+
+// Forward neighbours: right, down, down-right, down-left
+const NEIGHBORS = [[1, 0], [0, 1], [1, 1], [-1, 1]];
+
+/**
+ * Smoothness weights between neighbours: high across flat color, low across edges
+ * @returns {Float64Array} 4 weights per pixel, one per forward neighbour
+ */
+function computeEdgeWeights(image) {
+  const { width, height, rgb } = image;
+  const weights = new Float64Array(width * height * 4);
+
+  const colorDistance = (i, j) => {
+    const dr = rgb[i * 3] - rgb[j * 3];
+    const dg = rgb[i * 3 + 1] - rgb[j * 3 + 1];
+    const db = rgb[i * 3 + 2] - rgb[j * 3 + 2];
+    return dr * dr + dg * dg + db * db;
+  };
+
+  // beta adapts the edge sensitivity to the image's overall contrast
+  let total = 0;
+  let count = 0;
+  forEachNeighbor(width, height, (i, j) => {
+    total += colorDistance(i, j);
+    count++;
+  });
+  const beta = total > 0 ? count / (2 * total) : 0;
+
+  forEachNeighbor(width, height, (i, j, k) => {
+    const distance = k >= 2 ? Math.SQRT2 : 1;
+    weights[i * 4 + k] = GAMMA / distance * Math.exp(-beta * colorDistance(i, j));
+  });
+
+  return weights;
+}
+
+function forEachNeighbor(width, height, callback) {
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let k = 0; k < NEIGHBORS.length; k++) {
+        const nx = x + NEIGHBORS[k][0];
+        const ny = y + NEIGHBORS[k][1];
+        if (nx < 0 || nx >= width || ny >= height) continue;
+        callback(y * width + x, ny * width + nx, k);
+      }
+    }
+  }
+}
+
+/**
+ * Fit a Gaussian mixture to the pixels with one label
+ * Components start as luminance bands and are refit around the pixels they
+ * explain best.
+ * @returns {Array|null} Components { weight, mean, inverse, norm }, null without pixels
+ */
+function fitModel(rgb, labels, label) {
+  const indices = [];
+  for (let i = 0; i < labels.length; i++) {
+    if (labels[i] === label) indices.push(i);
+  }
+  if (indices.length === 0) return null;
+
+  const luminance = i => 0.299 * rgb[i * 3] + 0.587 * rgb[i * 3 + 1] + 0.114 * rgb[i * 3 + 2];
+  indices.sort((a, b) => luminance(a) - luminance(b));
+
+  const count = Math.min(COMPONENTS, indices.length);
+  let assignment = new Uint8Array(indices.length);
+  for (let n = 0; n < indices.length; n++) {
+    assignment[n] = Math.floor(n * count / indices.length);
+  }
+
+  let components = estimateComponents(rgb, indices, assignment, count);
+
+  // One refinement pass: move pixels to the component that explains them best
+  for (let n = 0; n < indices.length; n++) {
+    assignment[n] = mostLikelyComponent(components, rgb, indices[n]);
+  }
+  components = estimateComponents(rgb, indices, assignment, count);
+
+  return components.filter(c => c.weight > 0);
+}
+
+function estimateComponents(rgb, indices, assignment, count) {
+  const sums = Array.from({ length: count }, () => ({ n: 0, mean: [0, 0, 0], products: new Float64Array(9) }));
+
+  for (let n = 0; n < indices.length; n++) {
+    const s = sums[assignment[n]];
+    const p = indices[n] * 3;
+    s.n++;
+    for (let a = 0; a < 3; a++) {
+      s.mean[a] += rgb[p + a];
+      for (let b = 0; b < 3; b++) {
+        s.products[a * 3 + b] += rgb[p + a] * rgb[p + b];
+      }
+    }
+  }
+
+  return sums.map(s => {
+    if (s.n === 0) return { weight: 0 };
+
+    const mean = s.mean.map(v => v / s.n);
+    const covariance = new Float64Array(9);
+    for (let a = 0; a < 3; a++) {
+      for (let b = 0; b < 3; b++) {
+        covariance[a * 3 + b] = s.products[a * 3 + b] / s.n - mean[a] * mean[b];
+      }
+      // Keep flat-colored components invertible
+      covariance[a * 3 + a] += 0.01 + (s.n < 4 ? 25 : 0);
+    }
+
+    const { inverse, determinant } = invert3(covariance);
+    return {
+      weight: s.n / indices.length,
+      mean,
+      inverse,
+      norm: 1 / Math.sqrt(Math.max(determinant, EPSILON))
+    };
+  });
+}
+
+function invert3(m) {
+  const [a, b, c, d, e, f, g, h, i] = m;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  let determinant = a * A + b * B + c * C;
+  if (Math.abs(determinant) < EPSILON) determinant = EPSILON;
+
+  const inverse = new Float64Array([
+    A, -(b * i - c * h), b * f - c * e,
+    B, a * i - c * g, -(a * f - c * d),
+    C, -(a * h - b * g), a * e - b * d
+  ].map(v => v / determinant));
+
+  return { inverse, determinant };
+}
+
+function componentLikelihood(component, rgb, i) {
+  const p = i * 3;
+  const d0 = rgb[p] - component.mean[0];
+  const d1 = rgb[p + 1] - component.mean[1];
+  const d2 = rgb[p + 2] - component.mean[2];
+  const m = component.inverse;
+  const exponent =
+    d0 * (m[0] * d0 + m[1] * d1 + m[2] * d2) +
+    d1 * (m[3] * d0 + m[4] * d1 + m[5] * d2) +
+    d2 * (m[6] * d0 + m[7] * d1 + m[8] * d2);
+  return component.weight * component.norm * Math.exp(-0.5 * exponent);
+}
+
+function mostLikelyComponent(components, rgb, i) {
+  let best = 0;
+  let bestLikelihood = -1;
+  components.forEach((component, k) => {
+    if (component.weight === 0) return;
+    const likelihood = componentLikelihood(component, rgb, i);
+    if (likelihood > bestLikelihood) {
+      bestLikelihood = likelihood;
+      best = k;
+    }
+  });
+  return best;
+}
+
+/**
+ * Cost (negative log likelihood) of a pixel's color under a model
+ */
+function colorCost(model, rgb, i) {
+  let likelihood = 0;
+  for (const component of model) {
+    likelihood += componentLikelihood(component, rgb, i);
+  }
+  return -Math.log(Math.max(likelihood, 1e-300));
+}
+
+/**
+ * Label pixels subject (1) or background (0) with a minimum cut
+ */
+function minCut(image, edges, foreground, background, fixedBackground) {
+  const { width, height, rgb } = image;
+  const n = width * height;
+  const graph = createGraph(n + 2, n + n * NEIGHBORS.length);
+  const source = n;
+  const sink = n + 1;
+
+  for (let i = 0; i < n; i++) {
+    // Cutting source -> i labels i background, i -> sink labels it subject
+    let toSource = fixedBackground[i] ? 0 : colorCost(background, rgb, i);
+    let toSink = fixedBackground[i] ? INFINITE : colorCost(foreground, rgb, i);
+    const shared = Math.min(toSource, toSink);
+    toSource -= shared;
+    toSink -= shared;
+
+    if (toSource > 0) addEdge(graph, source, i, toSource, 0);
+    if (toSink > 0) addEdge(graph, i, sink, toSink, 0);
+  }
+
+  forEachNeighbor(width, height, (i, j, k) => {
+    const weight = edges[i * 4 + k];
+    addEdge(graph, i, j, weight, weight);
+  });
+
+  maxFlow(graph, source, sink);
+
+  // Pixels still reachable from the source are the subject
+  const labels = new Uint8Array(n);
+  const reached = reachableFrom(graph, source);
+  for (let i = 0; i < n; i++) {
+    labels[i] = reached[i];
+  }
+  return labels;
+}
+
+function createGraph(nodes, maxEdges) {
+  return {
+    nodes,
+    count: 0,
+    head: new Int32Array(nodes).fill(-1),
+    next: new Int32Array(maxEdges * 2),
+    to: new Int32Array(maxEdges * 2),
+    cap: new Float64Array(maxEdges * 2)
+  };
+}
+
+/**
+ * Add an edge and its reverse (at index ^ 1)
+ */
+function addEdge(graph, from, to, capacity, reverseCapacity) {
+  const { head, next } = graph;
+
+  graph.to[graph.count] = to;
+  graph.cap[graph.count] = capacity;
+  next[graph.count] = head[from];
+  head[from] = graph.count++;
+
+  graph.to[graph.count] = from;
+  graph.cap[graph.count] = reverseCapacity;
+  next[graph.count] = head[to];
+  head[to] = graph.count++;
+}
+
+/**
+ * Dinic's max flow; leaves residual capacities in the graph
+ */
+function maxFlow(graph, source, sink) {
+  const { nodes, head, next, to, cap } = graph;
+  const level = new Int32Array(nodes);
+  const queue = new Int32Array(nodes);
+  const iter = new Int32Array(nodes);
+  const pathNodes = new Int32Array(nodes + 1);
+  const pathEdges = new Int32Array(nodes);
+
+  const buildLevels = () => {
+    level.fill(-1);
+    level[source] = 0;
+    let read = 0;
+    let write = 0;
+    queue[write++] = source;
+
+    while (read < write) {
+      const u = queue[read++];
+      for (let e = head[u]; e !== -1; e = next[e]) {
+        const v = to[e];
+        if (cap[e] > EPSILON && level[v] < 0) {
+          level[v] = level[u] + 1;
+          queue[write++] = v;
+        }
+      }
+    }
+    return level[sink] >= 0;
+  };
+
+  while (buildLevels()) {
+    iter.set(head);
+
+    // Walk the level graph without recursion, retreating from dead ends
+    let top = 0;
+    let u = source;
+    pathNodes[0] = source;
+
+    for (;;) {
+      if (u === sink) {
+        let flow = Infinity;
+        for (let k = 0; k < top; k++) {
+          flow = Math.min(flow, cap[pathEdges[k]]);
+        }
+        for (let k = 0; k < top; k++) {
+          cap[pathEdges[k]] -= flow;
+          cap[pathEdges[k] ^ 1] += flow;
+        }
+        top = 0;
+        u = source;
+        continue;
+      }
+
+      let e = iter[u];
+      while (e !== -1 && !(cap[e] > EPSILON && level[to[e]] === level[u] + 1)) {
+        e = next[e];
+      }
+      iter[u] = e;
+
+      if (e === -1) {
+        level[u] = -1;
+        if (top === 0) break;
+        top--;
+        u = pathNodes[top];
+        iter[u] = next[iter[u]];
+        continue;
+      }
+
+      pathEdges[top] = e;
+      u = to[e];
+      pathNodes[++top] = u;
+    }
+  }
+}
+
+function reachableFrom(graph, source) {
+  const { nodes, head, next, to, cap } = graph;
+  const reached = new Uint8Array(nodes);
+  const stack = [source];
+  reached[source] = 1;
+
+  while (stack.length > 0) {
+    const u = stack.pop();
+    for (let e = head[u]; e !== -1; e = next[e]) {
+      const v = to[e];
+      if (!reached[v] && cap[e] > EPSILON) {
+        reached[v] = 1;
+        stack.push(v);
+      }
+    }
+  }
+
+  return reached;
+}